@@ -0,0 +1,242 @@
+import fs from 'fs/promises';
+import yaml from 'js-yaml';
+
+// Fields kept per asset in asset-catalog.yml
+export const ASSET_CATALOG_FIELDS = ['tags', 'license', 'attribution', 'source', 'expires', 'notes'];
+
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 50;
+const MAX_LICENSE_LENGTH = 100;
+const MAX_ATTRIBUTION_LENGTH = 1000;
+const MAX_SOURCE_LENGTH = 2000;
+const MAX_NOTES_LENGTH = 2000;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const DUMP_OPTIONS = {
+  schema: yaml.CORE_SCHEMA,
+  indent: 2,
+  lineWidth: -1,
+  noRefs: true,
+  quotingType: '"',
+  forceQuotes: false
+};
+
+const FILE_HEADER = `# Asset Catalog
+# License, attribution and tags of shared assets, keyed by path under assets/
+#
+#   assets:
+#     music/intro-theme.mp3:
+#       tags: [intro, upbeat]
+#       license: CC-BY-4.0
+#       attribution: "Intro Theme by Jane Doe (CC BY 4.0)"
+#       source: https://example.com/intro-theme
+#       expires: 2026-12-31    # when the license runs out, if it does
+#       notes: Licensed for YouTube and podcast use
+`;
+
+/**
+ * Reads asset-catalog.yml. A missing file is an empty catalog.
+ * @async
+ * @param {string} filepath - Absolute path to asset-catalog.yml
+ * @returns {Promise<{assets: Object<string, Object>}>} Entries keyed by path under assets/
+ */
+export async function readAssetCatalog(filepath) {
+  let data = {};
+  try {
+    const content = await fs.readFile(filepath, 'utf8');
+    data = yaml.load(content, { schema: yaml.CORE_SCHEMA }) || {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  if (!data.assets || typeof data.assets !== 'object' || Array.isArray(data.assets)) {
+    data.assets = {};
+  }
+  return data;
+}
+
+/**
+ * Writes asset-catalog.yml with its usage header, entries sorted by path.
+ * @async
+ * @param {string} filepath - Absolute path to asset-catalog.yml
+ * @param {Object} data - Catalog with an `assets` map
+ * @returns {Promise<void>}
+ */
+export async function writeAssetCatalog(filepath, data) {
+  const assets = Object.fromEntries(Object.keys(data.assets).sort().map(key => [key, data.assets[key]]));
+  await fs.writeFile(filepath, `${FILE_HEADER}\n${yaml.dump({ ...data, assets }, DUMP_OPTIONS)}`, 'utf8');
+}
+
+// Serializes read-modify-write cycles on asset-catalog.yml
+let catalogLock = Promise.resolve();
+
+/**
+ * Runs a read-modify-write operation on the asset catalog while holding an
+ * in-process lock.
+ * @async
+ * @param {function(): Promise<*>} operation - The operation to run
+ * @returns {Promise<*>} The operation's result
+ */
+export function withAssetCatalogLock(operation) {
+  const run = catalogLock.then(operation, operation);
+  catalogLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Strips control characters (except newlines when allowed) and trims a free-text value.
+ * @param {*} value - Raw value
+ * @param {number} maxLength - Maximum length
+ * @param {boolean} [multiline=false] - Keep line breaks
+ * @returns {string}
+ */
+function sanitizeText(value, maxLength, multiline = false) {
+  const pattern = multiline ? /[\x00-\x09\x0B-\x1F\x7F]/g : /[\x00-\x1F\x7F]/g;
+  return String(value ?? '').replace(/\r\n/g, '\n').replace(pattern, '').trim().substring(0, maxLength);
+}
+
+/**
+ * Validates catalog fields for an asset. Empty values (null, '' or []) clear
+ * a field.
+ * @param {Object} input - Fields from the request body
+ * @returns {{errors: string[], sanitized: Object}} `sanitized` holds the
+ *   fields to set, with null for the ones to clear
+ * @example
+ * validateAssetEntry({ tags: ['Intro', 'upbeat'], license: 'CC-BY-4.0', expires: '2026-12-31' });
+ * // { errors: [], sanitized: { tags: ['intro', 'upbeat'], license: 'CC-BY-4.0', expires: '2026-12-31' } }
+ */
+export function validateAssetEntry(input) {
+  const errors = [];
+  const sanitized = {};
+
+  for (const key of Object.keys(input)) {
+    if (!ASSET_CATALOG_FIELDS.includes(key)) {
+      errors.push(`Asset field '${key}' is not valid`);
+    }
+  }
+
+  const isEmpty = value => value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+  if (input.tags !== undefined) {
+    if (isEmpty(input.tags)) {
+      sanitized.tags = null;
+    } else if (!Array.isArray(input.tags) || input.tags.some(tag => typeof tag !== 'string')) {
+      errors.push('Tags must be an array of strings');
+    } else {
+      const tags = [...new Set(input.tags.map(tag => sanitizeText(tag, MAX_TAG_LENGTH).toLowerCase()).filter(Boolean))];
+      if (tags.length > MAX_TAGS) {
+        errors.push(`An asset can have at most ${MAX_TAGS} tags`);
+      } else {
+        sanitized.tags = tags.length > 0 ? tags : null;
+      }
+    }
+  }
+
+  for (const [key, maxLength, multiline] of [
+    ['license', MAX_LICENSE_LENGTH, false],
+    ['attribution', MAX_ATTRIBUTION_LENGTH, true],
+    ['notes', MAX_NOTES_LENGTH, true]
+  ]) {
+    if (input[key] === undefined) continue;
+    if (input[key] !== null && typeof input[key] !== 'string') {
+      errors.push(`${key} must be text`);
+      continue;
+    }
+    sanitized[key] = sanitizeText(input[key], maxLength, multiline) || null;
+  }
+
+  if (input.source !== undefined) {
+    const source = input.source === null ? '' : sanitizeText(input.source, MAX_SOURCE_LENGTH);
+    if (typeof input.source !== 'string' && input.source !== null) {
+      errors.push('source must be a URL');
+    } else if (source && !/^https?:\/\/\S+$/i.test(source)) {
+      errors.push('source must be an http or https URL');
+    } else {
+      sanitized.source = source || null;
+    }
+  }
+
+  if (input.expires !== undefined) {
+    const expires = input.expires === null ? '' : String(input.expires).trim();
+    const date = new Date(`${expires}T00:00:00Z`);
+    if (expires && (!DATE_REGEX.test(expires) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== expires)) {
+      errors.push('expires must be a date in YYYY-MM-DD format');
+    } else {
+      sanitized.expires = expires || null;
+    }
+  }
+
+  return { errors, sanitized };
+}
+
+/**
+ * Applies validated fields to a catalog entry; cleared fields are removed.
+ * @param {Object|undefined} entry - Current entry
+ * @param {Object} sanitized - From validateAssetEntry()
+ * @returns {Object|null} The updated entry, null when it has no fields left
+ */
+export function updateAssetEntry(entry, sanitized) {
+  const updated = { ...(entry || {}) };
+  for (const [key, value] of Object.entries(sanitized)) {
+    if (value === null) delete updated[key];
+    else updated[key] = value;
+  }
+  return Object.keys(updated).length > 0 ? updated : null;
+}
+
+/**
+ * Whether a catalog key is the asset path or lies under it (a folder).
+ * @param {string} key - Catalog key
+ * @param {string} assetPath - File or folder path under assets/
+ * @returns {boolean}
+ */
+function isWithin(key, assetPath) {
+  return key === assetPath || key.startsWith(`${assetPath}/`);
+}
+
+/**
+ * Moves the catalog entries of a renamed or moved file or folder.
+ * @param {Object<string, Object>} assets - Catalog entries, changed in place
+ * @param {string} from - Old path under assets/
+ * @param {string} to - New path under assets/
+ * @returns {number} Number of entries moved
+ */
+export function moveAssetEntries(assets, from, to) {
+  const keys = Object.keys(assets).filter(key => isWithin(key, from));
+  for (const key of keys) {
+    const entry = assets[key];
+    delete assets[key];
+    assets[to + key.slice(from.length)] = entry;
+  }
+  return keys.length;
+}
+
+/**
+ * Removes the catalog entries of a deleted file or folder.
+ * @param {Object<string, Object>} assets - Catalog entries, changed in place
+ * @param {string} assetPath - Deleted path under assets/
+ * @returns {number} Number of entries removed
+ */
+export function removeAssetEntries(assets, assetPath) {
+  const keys = Object.keys(assets).filter(key => isWithin(key, assetPath));
+  for (const key of keys) delete assets[key];
+  return keys.length;
+}
+
+/**
+ * Adds each file's catalog entry to an asset tree as `catalog` (null when
+ * the file has none).
+ * @param {Object} node - Tree from getDirectoryTree(), changed in place
+ * @param {Object<string, Object>} assets - Catalog entries
+ * @param {function(Object): string} keyOf - Catalog key of a file node
+ * @returns {Object} The tree
+ */
+export function annotateAssetTree(node, assets, keyOf) {
+  if (node.type === 'file') {
+    node.catalog = assets[keyOf(node)] || null;
+  }
+  for (const child of node.children || []) {
+    annotateAssetTree(child, assets, keyOf);
+  }
+  return node;
+}
@@ -0,0 +1,546 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { CONTENT_STATUSES } from './episodeMetadata.js';
+import { refreshIndexedEpisode } from './episodeIndex.js';
+import { readReleaseQueue, writeReleaseQueue, withReleaseQueueLock, isValidIsoDate } from './releaseQueue.js';
+import { updateYamlContent } from './yamlRoundTrip.js';
+import { writeTrackedFile } from './history.js';
+import { withFileLock } from './revisions.js';
+
+// Right-hand side of every UID in the feed; the left-hand side names the event
+// (e.g. target/my-series/2025-01-01-pilot), so UIDs stay stable across exports
+export const CALENDAR_UID_DOMAIN = 'content-workflow-dashboard';
+
+const DATE_ONLY_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ICAL_DATE_REGEX = /^(\d{4})(\d{2})(\d{2})$/;
+const ICAL_DATE_TIME_REGEX = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/;
+const UID_REGEX = new RegExp(`^(target|published|staged|group)/(.+)@${CALENDAR_UID_DOMAIN}$`);
+// RFC 5545 limits content lines to 75 octets, excluding the line break
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Splits a comma separated query value into trimmed entries.
+ * @param {*} value - Query parameter value
+ * @returns {string[]}
+ */
+function parseList(value) {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(entry => String(entry).split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validates GET /api/calendar.ics query parameters.
+ * @param {Object} query - Express req.query
+ * @returns {{errors: string[], options: {series: string[], status: string[]}}}
+ * @example
+ * parseCalendarQuery({ series: 'merview', status: 'staged,released' });
+ */
+export function parseCalendarQuery(query) {
+  const options = { series: parseList(query.series), status: parseList(query.status) };
+  const errors = [];
+  const unknown = options.status.filter(status => !CONTENT_STATUSES.includes(status));
+  if (unknown.length > 0) {
+    errors.push(`status must be one or more of: ${CONTENT_STATUSES.join(', ')}`);
+  }
+  return { errors, options };
+}
+
+/**
+ * Turns a metadata or queue date into an iCalendar start. Bare dates become
+ * all-day events; times are converted to UTC so they keep their offset.
+ * @param {*} value - Date string or js-yaml Date
+ * @returns {{date: string}|{utc: string}|null} YYYYMMDD or YYYYMMDDTHHMMSSZ; null when unset or invalid
+ */
+function toCalendarTime(value) {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    // js-yaml loads an unquoted YYYY-MM-DD as midnight UTC
+    if (value.getTime() % (24 * 60 * 60 * 1000) === 0) {
+      return { date: value.toISOString().slice(0, 10).replace(/-/g, '') };
+    }
+    return { utc: formatUtc(value) };
+  }
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const dateOnly = DATE_ONLY_REGEX.exec(value.trim());
+  if (dateOnly) return { date: dateOnly.slice(1).join('') };
+  const time = Date.parse(value);
+  return isNaN(time) ? null : { utc: formatUtc(new Date(time)) };
+}
+
+/**
+ * Formats a point in time as an iCalendar UTC date-time.
+ * @param {Date} date
+ * @returns {string} YYYYMMDDTHHMMSSZ
+ */
+function formatUtc(date) {
+  return date.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+}
+
+/**
+ * Builds the UID of a feed event.
+ * @param {string} kind - target, published, staged or group
+ * @param {string} id - Episode path without the series/ prefix, or group id
+ * @returns {string}
+ */
+function buildUid(kind, id) {
+  return `${kind}/${id}@${CALENDAR_UID_DOMAIN}`;
+}
+
+/**
+ * Collects the calendar events of the release schedule: each episode's
+ * target date (scheduled) and publish date (released), release groups with a
+ * target date, and staged queue entries with their own target date.
+ * The series filter keeps release groups with an item in one of the series;
+ * the status filter matches episode content_status and a group's own status.
+ * @param {Array<{path: string, series: string, episode: string, metadata: Object}>} episodes - Indexed episodes
+ * @param {Object} queue - From readReleaseQueue()
+ * @param {{series?: string[], status?: string[]}} [filters] - From parseCalendarQuery()
+ * @returns {Array<Object>} Events with uid, kind, summary, description, categories, start and status
+ * @example
+ * const events = collectCalendarEvents(episodes, queue, { series: ['merview'] });
+ * // events[0]: { uid: 'target/merview/2025-01-01-pilot@content-workflow-dashboard', kind: 'target', start: { date: '20250115' }, ... }
+ */
+export function collectCalendarEvents(episodes, queue, { series = [], status = [] } = {}) {
+  const events = [];
+  const byPath = new Map(episodes.map(episode => [episode.path, episode]));
+  const inSeries = name => series.length === 0 || series.includes(name);
+  const hasStatus = value => status.length === 0 || status.includes(value);
+  const episodeMatches = episode => inSeries(episode.series) && hasStatus(episode.metadata?.content_status || 'draft');
+
+  for (const episode of episodes) {
+    if (!episodeMatches(episode)) continue;
+    const metadata = episode.metadata || {};
+    const title = metadata.title || episode.episode;
+    const id = `${episode.series}/${episode.episode}`;
+    const description = [
+      `Series: ${episode.series}`,
+      `Status: ${metadata.content_status || 'draft'}`,
+      metadata.release?.release_group ? `Release group: ${metadata.release.release_group}` : null,
+      `Path: ${episode.path}`
+    ].filter(Boolean).join('\n');
+
+    const target = toCalendarTime(metadata.release?.target_date);
+    if (target) {
+      events.push({ uid: buildUid('target', id), kind: 'target', summary: title, description, categories: [episode.series], start: target, status: 'TENTATIVE' });
+    }
+    const published = toCalendarTime(metadata.analytics?.publish_date);
+    if (published) {
+      events.push({ uid: buildUid('published', id), kind: 'published', summary: `Released: ${title}`, description, categories: [episode.series], start: published, status: 'CONFIRMED' });
+    }
+  }
+
+  for (const [id, group] of Object.entries(queue?.release_groups || {})) {
+    const start = toCalendarTime(group?.target_date);
+    const items = (Array.isArray(group?.items) ? group.items : []).map(item => item?.path).filter(Boolean);
+    const groupInSeries = series.length === 0 || items.some(item => inSeries(item.split('/')[1]));
+    if (!start || !hasStatus(group.status) || !groupInSeries) continue;
+    const description = [
+      `Status: ${group.status || 'draft'}`,
+      items.length > 0 ? `Items: ${items.join(', ')}` : null,
+      group.condition ? `Condition: ${group.condition}` : null
+    ].filter(Boolean).join('\n');
+    events.push({
+      uid: buildUid('group', id),
+      kind: 'group',
+      summary: `Release group: ${group.name || id}`,
+      description,
+      categories: ['release-group'],
+      start,
+      status: group.status === 'released' ? 'CONFIRMED' : 'TENTATIVE'
+    });
+  }
+
+  for (const entry of Array.isArray(queue?.staged) ? queue.staged : []) {
+    const start = toCalendarTime(entry?.target_date);
+    if (!start || typeof entry.path !== 'string') continue;
+    const episode = byPath.get(entry.path);
+    const seriesName = entry.path.split('/')[1];
+    // Without its episode the entry has no status, so a status filter leaves it out
+    const matches = episode ? episodeMatches(episode) : inSeries(seriesName) && status.length === 0;
+    if (!matches) continue;
+    const description = [
+      `Staged for release (${entry.distribution || 'full'})`,
+      entry.notes ? `Notes: ${entry.notes}` : null,
+      `Path: ${entry.path}`
+    ].filter(Boolean).join('\n');
+    events.push({
+      uid: buildUid('staged', entry.path.replace(/^series\//, '')),
+      kind: 'staged',
+      summary: `Staged: ${episode?.metadata?.title || entry.path}`,
+      description,
+      categories: [seriesName],
+      start,
+      status: 'TENTATIVE'
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Escapes a TEXT property value (RFC 5545 section 3.3.11).
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line into lines of at most 75 octets, never splitting a
+ * UTF-8 character. Continuation lines start with a space.
+ * @param {string} line
+ * @returns {string} Folded line, joined with CRLF
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > MAX_LINE_OCTETS) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+/**
+ * Formats the DTSTART and DTEND lines of an event. All-day events end the
+ * next day; timed events are instants and have no end.
+ * @param {{date: string}|{utc: string}} start
+ * @returns {string[]}
+ */
+function formatEventTimes(start) {
+  if (start.utc) return [`DTSTART:${start.utc}`];
+  const [, year, month, day] = ICAL_DATE_REGEX.exec(start.date);
+  const next = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day) + 1));
+  return [`DTSTART;VALUE=DATE:${start.date}`, `DTEND;VALUE=DATE:${next.toISOString().slice(0, 10).replace(/-/g, '')}`];
+}
+
+/**
+ * Serializes events as an RFC 5545 calendar.
+ * @param {Array<Object>} events - From collectCalendarEvents()
+ * @param {Object} [options]
+ * @param {Date} [options.now] - DTSTAMP of every event
+ * @param {string} [options.timeZone] - Zone calendar apps show the feed in (defaults to the server's)
+ * @returns {string} iCalendar text with CRLF line breaks
+ */
+export function buildICalendar(events, { now = new Date(), timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone } = {}) {
+  const stamp = formatUtc(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Content Workflow Dashboard//Release Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Release Calendar',
+    `X-WR-TIMEZONE:${timeZone}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${escapeText(event.uid)}`,
+      `DTSTAMP:${stamp}`,
+      ...formatEventTimes(event.start),
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`,
+      `CATEGORIES:${event.categories.map(escapeText).join(',')}`,
+      `STATUS:${event.status}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Splits a content line into name, parameters and value. Colons and
+ * semicolons inside quoted parameter values do not count.
+ * @param {string} line - Unfolded content line
+ * @returns {{name: string, params: Object<string, string>, value: string}|null}
+ */
+function parseContentLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === ':') {
+      fields.push(current);
+      const [name, ...params] = fields;
+      return {
+        name: name.toUpperCase(),
+        params: Object.fromEntries(params.map(param => {
+          const [key, ...rest] = param.split('=');
+          return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+        })),
+        value: line.slice(index + 1)
+      };
+    }
+    if (!quoted && char === ';') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  return null;
+}
+
+/**
+ * Reverses escapeText.
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+/**
+ * Works out the UTC offset of a zone at a wall-clock time.
+ * @param {string} timeZone - IANA zone name
+ * @param {number} wallTime - The wall-clock time as if it were UTC, in milliseconds
+ * @returns {number} Offset in minutes (e.g. -480 for 09:00 in Los Angeles in January)
+ * @throws {RangeError} When the zone is unknown
+ */
+function getZoneOffset(timeZone, wallTime) {
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  const offsetAt = time => {
+    const parts = Object.fromEntries(format.formatToParts(new Date(time)).map(part => [part.type, part.value]));
+    return Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second)) - time;
+  };
+  // The offset at the wall time read as UTC is close enough to find the real instant
+  const offset = offsetAt(wallTime - offsetAt(wallTime));
+  return Math.round(offset / 60000);
+}
+
+/**
+ * Converts a DTSTART value into a target_date. All-day events give a bare
+ * date, UTC times keep their Z, TZID times get that zone's offset and
+ * floating times stay without offset.
+ * @param {string} value - DTSTART value
+ * @param {Object<string, string>} params - DTSTART parameters
+ * @returns {{date: string}|{error: string}}
+ */
+function toTargetDate(value, params) {
+  const date = ICAL_DATE_REGEX.exec(value);
+  if (date) return { date: `${date[1]}-${date[2]}-${date[3]}` };
+
+  const match = ICAL_DATE_TIME_REGEX.exec(value);
+  if (!match || params.VALUE === 'DATE') return { error: `Unreadable DTSTART "${value}"` };
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const local = `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+  if (utc) return { date: `${local}Z` };
+  if (!params.TZID) return { date: local };
+
+  let offset;
+  try {
+    offset = getZoneOffset(params.TZID, Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)));
+  } catch {
+    return { error: `Unknown time zone "${params.TZID}"` };
+  }
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  return { date: `${local}${sign}${hours}:${minutes}` };
+}
+
+/**
+ * Reads the events of an iCalendar file. Recurring events count once, at
+ * their first start; nested components such as alarms are ignored.
+ * @param {string} text - iCalendar text
+ * @returns {Array<{uid: string, summary: string, target_date?: string, error?: string}>}
+ * @throws {Error} When the text is not an iCalendar file
+ */
+export function parseICalendar(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('Not an iCalendar file (no BEGIN:VCALENDAR)');
+  }
+
+  const events = [];
+  const components = [];
+  let event = null;
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) continue;
+    if (property.name === 'BEGIN') {
+      components.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') event = { uid: '', summary: '', start: null };
+      continue;
+    }
+    if (property.name === 'END') {
+      if (components.pop() === 'VEVENT' && event) {
+        const converted = event.start ? toTargetDate(event.start.value, event.start.params) : { error: 'No DTSTART' };
+        events.push({
+          uid: event.uid,
+          summary: event.summary,
+          ...(converted.error ? { error: converted.error } : { target_date: converted.date })
+        });
+        event = null;
+      }
+      continue;
+    }
+    if (!event || components.at(-1) !== 'VEVENT') continue;
+    if (property.name === 'UID') event.uid = unescapeText(property.value).trim();
+    else if (property.name === 'SUMMARY') event.summary = unescapeText(property.value).trim();
+    else if (property.name === 'DTSTART') event.start = { value: property.value.trim(), params: property.params };
+  }
+  return events;
+}
+
+/**
+ * Normalizes a title for matching: trimmed, lower case, single spaces.
+ * @param {string} title
+ * @returns {string}
+ */
+function normalizeTitle(title) {
+  return String(title).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Maps imported events to episode target dates. An event matches an episode
+ * by a UID from this dashboard's feed, otherwise by its summary being the
+ * title of exactly one episode.
+ * @param {Array<Object>} calendarEvents - From parseICalendar()
+ * @param {Array<{path: string, metadata: Object}>} episodes - Indexed episodes
+ * @returns {{updates: Array<Object>, unchanged: Array<Object>, unmatched: Array<{uid: string, summary: string, reason: string}>}}
+ *   updates/unchanged entries: { uid, summary, path, target_date, previous, matched_by: 'uid' | 'title' }
+ */
+export function matchCalendarEvents(calendarEvents, episodes) {
+  const byPath = new Map(episodes.map(episode => [episode.path, episode]));
+  const byTitle = new Map();
+  for (const episode of episodes) {
+    const title = normalizeTitle(episode.metadata?.title || episode.episode);
+    byTitle.set(title, [...(byTitle.get(title) ?? []), episode]);
+  }
+
+  const result = { updates: [], unchanged: [], unmatched: [] };
+  const claimed = new Map();
+  for (const event of calendarEvents) {
+    const { uid, summary } = event;
+    const skip = reason => result.unmatched.push({ uid, summary, reason });
+    if (event.error) {
+      skip(event.error);
+      continue;
+    }
+
+    let episode;
+    let matchedBy = 'uid';
+    const ownUid = UID_REGEX.exec(uid);
+    if (ownUid) {
+      const [, kind, id] = ownUid;
+      if (kind === 'group') {
+        skip('Release group events are not imported; change the group target date in the Release Queue');
+        continue;
+      }
+      if (kind === 'published') {
+        skip('Publish date events are not imported');
+        continue;
+      }
+      episode = byPath.get(`series/${id}`);
+      if (!episode) {
+        skip(`No episode at series/${id}`);
+        continue;
+      }
+    } else {
+      const matches = byTitle.get(normalizeTitle(summary)) ?? [];
+      if (matches.length !== 1) {
+        skip(matches.length === 0 ? 'No episode matches this UID or title' : `${matches.length} episodes have this title`);
+        continue;
+      }
+      episode = matches[0];
+      matchedBy = 'title';
+    }
+
+    // An episode's target and staged events come back together; only differing dates conflict
+    const time = JSON.stringify(toCalendarTime(event.target_date));
+    if (claimed.has(episode.path)) {
+      if (claimed.get(episode.path) !== time) skip(`Another event already sets the target date of ${episode.path}`);
+      continue;
+    }
+    claimed.set(episode.path, time);
+
+    const previous = episode.metadata?.release?.target_date;
+    const entry = {
+      uid,
+      summary,
+      path: episode.path,
+      target_date: event.target_date,
+      previous: previous instanceof Date ? previous.toISOString() : previous ?? null,
+      matched_by: matchedBy
+    };
+    const unchanged = JSON.stringify(toCalendarTime(previous)) === time;
+    (unchanged ? result.unchanged : result.updates).push(entry);
+  }
+  return result;
+}
+
+/**
+ * Writes imported target dates: release.target_date in each episode's
+ * metadata.yml (recorded in its history) and the target_date of its staged
+ * queue entry when that entry has one.
+ * @async
+ * @param {Array<{path: string, target_date: string}>} updates - From matchCalendarEvents()
+ * @param {Object} paths - From getContentPaths()
+ * @returns {Promise<void>}
+ */
+export async function applyCalendarImport(updates, paths) {
+  for (const update of updates) {
+    if (!isValidIsoDate(update.target_date)) {
+      throw new Error(`Invalid target date ${update.target_date} for ${update.path}`);
+    }
+    const episodeDir = path.join(paths.baseDir, update.path);
+    if (!path.resolve(episodeDir).startsWith(paths.resolvedSeriesDir)) {
+      throw new Error(`Invalid episode path ${update.path}`);
+    }
+    const metadataPath = path.join(episodeDir, 'metadata.yml');
+    await withFileLock(metadataPath, async () => {
+      const content = await fs.readFile(metadataPath, 'utf8');
+      const { content: updated } = updateYamlContent(content, metadata => {
+        metadata.release = { ...metadata.release, target_date: update.target_date };
+      });
+      await writeTrackedFile(metadataPath, updated, { source: 'dashboard', action: 'calendar_import', before: content });
+    });
+    await refreshIndexedEpisode(episodeDir);
+  }
+
+  await withReleaseQueueLock(async () => {
+    const queue = await readReleaseQueue(paths.releaseQueue);
+    let changed = false;
+    for (const update of updates) {
+      const entry = queue.staged.find(item => item.path === update.path);
+      if (entry?.target_date) {
+        entry.target_date = update.target_date;
+        changed = true;
+      }
+    }
+    if (changed) await writeReleaseQueue(paths.releaseQueue, queue);
+  });
+}
@@ -0,0 +1,300 @@
+import fs from 'fs/promises';
+import yaml from 'js-yaml';
+import { updateYamlContent } from './yamlRoundTrip.js';
+
+// Platform categories used in distribution-profiles.yml
+export const PLATFORM_TYPES = ['video', 'written', 'social', 'audio'];
+
+const VALID_ID_REGEX = /^[a-z0-9][a-z0-9-_]*[a-z0-9]$|^[a-z0-9]$/;
+const MAX_ID_LENGTH = 50;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_LIST_ENTRY_LENGTH = 50;
+const MAX_CHARACTER_LIMIT = 100000;
+
+const DUMP_OPTIONS = {
+  schema: yaml.CORE_SCHEMA,
+  indent: 2,
+  lineWidth: -1,
+  noRefs: true,
+  quotingType: '"',
+  forceQuotes: false
+};
+
+const FILE_HEADER = `# Distribution Profiles
+# Predefined platform sets for content distribution
+#
+# Usage in episode metadata.yml:
+#   distribution:
+#     profile: full          # Use a preset
+#   OR
+#   distribution:
+#     platforms: [youtube, blog]  # Custom list
+`;
+
+const SECTION_BANNERS = {
+  profiles: 'PROFILES',
+  platforms: 'PLATFORM DETAILS',
+  adaptations: 'CONTENT ADAPTATIONS'
+};
+
+/**
+ * Checks that an id is a lowercase slug suitable as a YAML key.
+ * @param {*} id - The id to check
+ * @returns {boolean}
+ */
+export function isValidDistributionId(id) {
+  return typeof id === 'string' && id.length <= MAX_ID_LENGTH && VALID_ID_REGEX.test(id);
+}
+
+/**
+ * Reads distribution-profiles.yml for editing, with every section present.
+ * @async
+ * @param {string} filepath - Absolute path to distribution-profiles.yml
+ * @returns {Promise<{profiles: Object, platforms: Object, adaptations: Object}>}
+ */
+export async function readDistributionConfig(filepath) {
+  let data = {};
+  try {
+    const content = await fs.readFile(filepath, 'utf8');
+    data = yaml.load(content, { schema: yaml.CORE_SCHEMA }) || {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  for (const section of Object.keys(SECTION_BANNERS)) {
+    data[section] = data[section] || {};
+  }
+  return data;
+}
+
+/**
+ * Writes distribution-profiles.yml. An existing file is edited in place, so
+ * comments, banners and key order are kept and only changed entries are
+ * rewritten; a new file gets the usage header and section banners.
+ * @async
+ * @param {string} filepath - Absolute path to distribution-profiles.yml
+ * @param {Object} data - Distribution configuration
+ * @returns {Promise<void>}
+ */
+export async function writeDistributionConfig(filepath, data) {
+  let content = null;
+  try {
+    content = await fs.readFile(filepath, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  if (content !== null && content.trim()) {
+    const { content: updated } = updateYamlContent(content, current => {
+      for (const key of Object.keys(current)) {
+        if (!Object.hasOwn(data, key)) delete current[key];
+      }
+      for (const [key, value] of Object.entries(data)) {
+        // readDistributionConfig() fills in missing sections; leave them out until used
+        if (!Object.hasOwn(current, key) && SECTION_BANNERS[key] && Object.keys(value).length === 0) continue;
+        current[key] = value;
+      }
+    });
+    if (updated !== content) {
+      await fs.writeFile(filepath, updated, 'utf8');
+    }
+    return;
+  }
+
+  const rule = '# ' + '='.repeat(77);
+  const sections = Object.entries(SECTION_BANNERS).map(([key, banner]) =>
+    `${rule}\n# ${banner}\n${rule}\n\n${yaml.dump({ [key]: data[key] }, DUMP_OPTIONS)}`
+  );
+
+  // Keep any extra top-level keys someone added by hand
+  const extra = Object.fromEntries(Object.entries(data).filter(([key]) => !SECTION_BANNERS[key]));
+  if (Object.keys(extra).length > 0) {
+    sections.push(yaml.dump(extra, DUMP_OPTIONS));
+  }
+
+  await fs.writeFile(filepath, `${FILE_HEADER}\n${sections.join('\n')}`, 'utf8');
+}
+
+// Serializes read-modify-write cycles on distribution-profiles.yml
+let configLock = Promise.resolve();
+
+/**
+ * Runs a read-modify-write operation on the distribution config while
+ * holding an in-process lock.
+ * @async
+ * @param {function(): Promise<*>} operation - The operation to run
+ * @returns {Promise<*>} The operation's result
+ */
+export function withDistributionLock(operation) {
+  const run = configLock.then(operation, operation);
+  configLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Strips control characters and trims a free-text value.
+ * @param {*} value - Raw value
+ * @param {number} maxLength - Maximum length
+ * @returns {string}
+ */
+function sanitizeText(value, maxLength) {
+  return String(value ?? '').replace(/[\x00-\x1F\x7F]/g, '').trim().substring(0, maxLength);
+}
+
+/**
+ * Validates a list of slug-like identifiers (platforms, requires, content types).
+ * @param {*} value - Raw list
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - Field label for messages
+ * @returns {string[]|undefined}
+ */
+function validateIdList(value, errors, label) {
+  if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string')) {
+    errors.push(`${label} must be an array of strings`);
+    return undefined;
+  }
+  const list = value.map(entry => entry.trim()).filter(Boolean);
+  const invalid = list.filter(entry => entry.length > MAX_LIST_ENTRY_LENGTH || !/^[a-z0-9][a-z0-9_-]*$/.test(entry));
+  if (invalid.length > 0) {
+    errors.push(`${label} entries must be lowercase identifiers: ${invalid.join(', ')}`);
+    return undefined;
+  }
+  return [...new Set(list)];
+}
+
+/**
+ * Validates and sanitizes a distribution profile.
+ * @param {Object} input - Profile fields from the request body
+ * @param {string[]} knownPlatforms - Platform ids defined in the config
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing required fields (PATCH)
+ * @returns {{errors: string[], sanitized: Object}}
+ * @example
+ * const { errors, sanitized } = validateProfile({ platforms: ['youtube'] }, ['youtube', 'blog']);
+ */
+export function validateProfile(input, knownPlatforms, { partial = false } = {}) {
+  const errors = [];
+  const sanitized = {};
+  const allowedFields = ['name', 'description', 'platforms', 'shorts', 'cross_post'];
+
+  for (const key of Object.keys(input)) {
+    if (key !== 'id' && !allowedFields.includes(key)) {
+      errors.push(`Profile field '${key}' is not valid`);
+    }
+  }
+
+  if (input.name !== undefined) {
+    sanitized.name = sanitizeText(input.name, MAX_NAME_LENGTH);
+  }
+
+  if (input.description !== undefined) {
+    sanitized.description = sanitizeText(input.description, MAX_DESCRIPTION_LENGTH);
+  }
+
+  if (input.platforms !== undefined || !partial) {
+    const platforms = validateIdList(input.platforms ?? [], errors, 'Platforms');
+    if (platforms) {
+      const unknown = platforms.filter(p => !knownPlatforms.includes(p));
+      if (platforms.length === 0) {
+        errors.push('A profile needs at least one platform');
+      } else if (unknown.length > 0) {
+        errors.push(`Unknown platforms: ${unknown.join(', ')}. Define them under platforms first.`);
+      } else {
+        sanitized.platforms = platforms;
+      }
+    }
+  }
+
+  for (const key of ['shorts', 'cross_post']) {
+    if (input[key] !== undefined) {
+      if (typeof input[key] !== 'boolean') {
+        errors.push(`${key} must be true or false`);
+      } else {
+        sanitized[key] = input[key];
+      }
+    } else if (!partial) {
+      sanitized[key] = false;
+    }
+  }
+
+  return { errors, sanitized };
+}
+
+/**
+ * Validates and sanitizes a platform definition.
+ * @param {Object} input - Platform fields from the request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing required fields (PATCH)
+ * @returns {{errors: string[], sanitized: Object}}
+ * @example
+ * const { errors, sanitized } = validatePlatform({ name: 'Threads', type: 'social', character_limit: 500 });
+ */
+export function validatePlatform(input, { partial = false } = {}) {
+  const errors = [];
+  const sanitized = {};
+  const allowedFields = ['name', 'type', 'content_types', 'requires', 'character_limit'];
+
+  for (const key of Object.keys(input)) {
+    if (key !== 'id' && !allowedFields.includes(key)) {
+      errors.push(`Platform field '${key}' is not valid`);
+    }
+  }
+
+  if (input.name !== undefined || !partial) {
+    const name = sanitizeText(input.name, MAX_NAME_LENGTH);
+    if (!name) {
+      errors.push('Platform name is required');
+    } else {
+      sanitized.name = name;
+    }
+  }
+
+  if (input.type !== undefined || !partial) {
+    if (!PLATFORM_TYPES.includes(input.type)) {
+      errors.push(`Platform type must be one of: ${PLATFORM_TYPES.join(', ')}`);
+    } else {
+      sanitized.type = input.type;
+    }
+  }
+
+  for (const key of ['content_types', 'requires']) {
+    if (input[key] !== undefined) {
+      const list = validateIdList(input[key], errors, key);
+      if (list) sanitized[key] = list;
+    } else if (!partial) {
+      sanitized[key] = [];
+    }
+  }
+
+  if (input.character_limit !== undefined && input.character_limit !== null) {
+    const limit = input.character_limit;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CHARACTER_LIMIT) {
+      errors.push(`character_limit must be a whole number between 1 and ${MAX_CHARACTER_LIMIT}`);
+    } else {
+      sanitized.character_limit = limit;
+    }
+  } else if (input.character_limit === null) {
+    // null clears the limit
+    sanitized.character_limit = null;
+  }
+
+  return { errors, sanitized };
+}
+
+/**
+ * Lists profiles and adaptation rules that reference a platform.
+ * @param {Object} config - Distribution configuration
+ * @param {string} platformId - Platform id
+ * @returns {{profiles: string[], adaptations: string[]}}
+ */
+export function findPlatformReferences(config, platformId) {
+  return {
+    profiles: Object.entries(config.profiles)
+      .filter(([, profile]) => (profile.platforms || []).includes(platformId))
+      .map(([id]) => id),
+    adaptations: Object.entries(config.adaptations)
+      .filter(([, rule]) => rule.source === platformId || rule.target === platformId)
+      .map(([id]) => id)
+  };
+}
@@ -0,0 +1,406 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash, randomBytes } from 'crypto';
+import { HISTORY_FILE, TRACKED_FILES, writeTrackedFile } from './history.js';
+import { withFileLock } from './revisions.js';
+import { refreshIndexedEpisode } from './episodeIndex.js';
+import { recordReplacedStatus } from './statusHistory.js';
+import { checksumFile, estimateZipSize, extractZipEntry, readZipEntries, writeZip, MAX_ZIP_BYTES } from './zip.js';
+
+// Written at the root of every bundle, next to the <episode>/ folder
+export const BUNDLE_MANIFEST = 'manifest.json';
+export const BUNDLE_FORMAT = 'content-workflow-episode-bundle';
+export const BUNDLE_VERSION = 1;
+
+// What a bundle can carry; `all` is the whole episode folder, raw/ included
+export const BUNDLE_PARTS = ['metadata', 'script', 'notes', 'exports', 'all'];
+export const DEFAULT_BUNDLE_PARTS = ['metadata', 'script', 'notes'];
+
+// When the target episode folder already exists: refuse, import next to it
+// as <episode>-2, or write the bundle's files over it (tracked files keep a revision)
+export const BUNDLE_CONFLICT_MODES = ['fail', 'rename', 'overwrite'];
+
+const PART_FILES = {
+  metadata: 'metadata.yml',
+  script: 'script.md',
+  notes: 'notes.md'
+};
+
+// Operating system clutter that is never bundled
+const SKIPPED_FILES = new Set(['.DS_Store', 'Thumbs.db', 'desktop.ini']);
+
+// Text files worth deflating; media is already compressed and is stored as is
+const COMPRESSIBLE_EXTENSIONS = new Set(['.md', '.txt', '.yml', '.yaml', '.json', '.jsonl', '.csv', '.xml', '.svg', '.srt', '.vtt', '.html']);
+const MAX_COMPRESSED_FILE_BYTES = 16 * 1024 * 1024;
+const MAX_MANIFEST_BYTES = 1024 * 1024;
+const MAX_RENAME_ATTEMPTS = 100;
+
+/**
+ * Validates the include query of an export.
+ * @param {*} value - Comma separated part names (req.query.include)
+ * @returns {{errors: string[], include: string[]}} `all` replaces any other parts
+ * @example
+ * parseBundleInclude('metadata,exports') // { errors: [], include: ['metadata', 'exports'] }
+ */
+export function parseBundleInclude(value) {
+  if (value === undefined || value === '') {
+    return { errors: [], include: [...DEFAULT_BUNDLE_PARTS] };
+  }
+
+  const parts = (Array.isArray(value) ? value : [value])
+    .flatMap(entry => String(entry).split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  const unknown = parts.filter(part => !BUNDLE_PARTS.includes(part));
+  if (unknown.length > 0 || parts.length === 0) {
+    return { errors: [`include must list parts from: ${BUNDLE_PARTS.join(', ')}`], include: [] };
+  }
+  return { errors: [], include: parts.includes('all') ? ['all'] : [...new Set(parts)] };
+}
+
+/**
+ * Whether a manifest path is a plain relative path inside the episode folder.
+ * @param {*} filePath
+ * @returns {boolean}
+ */
+export function isSafeBundlePath(filePath) {
+  if (typeof filePath !== 'string' || filePath === '' || filePath.includes('\\') || filePath.includes('\0')) {
+    return false;
+  }
+  if (filePath.startsWith('/') || /^[a-zA-Z]:/.test(filePath)) return false;
+  return filePath.split('/').every(segment => segment !== '' && segment !== '.' && segment !== '..');
+}
+
+// Every file below dir, as paths relative to root with forward slashes
+async function listFilesRecursive(root, dir = root) {
+  const files = [];
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return files;
+    throw error;
+  }
+
+  for (const entry of entries) {
+    if (SKIPPED_FILES.has(entry.name)) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFilesRecursive(root, fullPath));
+    } else if (entry.isFile()) {
+      files.push(path.relative(root, fullPath).split(path.sep).join('/'));
+    }
+  }
+  return files;
+}
+
+/**
+ * Lists the files of an episode folder that the given parts cover.
+ * @async
+ * @param {string} episodePath - Absolute episode folder
+ * @param {string[]} include - Parts from parseBundleInclude
+ * @returns {Promise<string[]>} Sorted paths relative to the episode folder
+ */
+export async function collectBundleFiles(episodePath, include) {
+  let files;
+  if (include.includes('all')) {
+    files = await listFilesRecursive(episodePath);
+  } else {
+    files = [];
+    for (const part of include) {
+      if (part === 'exports') {
+        files.push(...(await listFilesRecursive(path.join(episodePath, 'exports'))).map(file => `exports/${file}`));
+      } else {
+        try {
+          const stats = await fs.stat(path.join(episodePath, PART_FILES[part]));
+          if (stats.isFile()) files.push(PART_FILES[part]);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Reads and checksums the files of an export and builds its manifest.
+ * @async
+ * @param {string} episodePath - Absolute episode folder
+ * @param {Object} options
+ * @param {string} options.series
+ * @param {string} options.episode
+ * @param {string[]} options.include - Parts from parseBundleInclude
+ * @param {Object} [options.metadata] - Parsed metadata.yml, for the title and status
+ * @param {Date} [options.now]
+ * @returns {Promise<{manifest: Object, entries: Object[]}|{error: string, status: number}>}
+ */
+export async function prepareEpisodeBundle(episodePath, { series, episode, include, metadata = {}, now = new Date() }) {
+  const files = await collectBundleFiles(episodePath, include);
+  if (files.length === 0) {
+    return { error: `The episode has no files for: ${include.join(', ')}`, status: 404 };
+  }
+
+  const manifestFiles = [];
+  const entries = [];
+  for (const file of files) {
+    const absolute = path.join(episodePath, ...file.split('/'));
+    const stats = await fs.stat(absolute);
+    const name = `${episode}/${file}`;
+    if (COMPRESSIBLE_EXTENSIONS.has(path.extname(file).toLowerCase()) && stats.size <= MAX_COMPRESSED_FILE_BYTES) {
+      const data = await fs.readFile(absolute);
+      entries.push({ name, data, modified: stats.mtime });
+      manifestFiles.push({ path: file, size: data.length, sha256: createHash('sha256').update(data).digest('hex') });
+    } else {
+      const { size, crc, sha256 } = await checksumFile(absolute);
+      entries.push({ name, file: absolute, size, crc, modified: stats.mtime });
+      manifestFiles.push({ path: file, size, sha256 });
+    }
+  }
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    series,
+    episode,
+    title: typeof metadata.title === 'string' ? metadata.title : '',
+    content_status: typeof metadata.content_status === 'string' ? metadata.content_status : '',
+    created_at: now.toISOString(),
+    include,
+    files: manifestFiles
+  };
+  entries.unshift({ name: BUNDLE_MANIFEST, data: Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`, 'utf8'), modified: now });
+
+  const estimate = estimateZipSize(entries.map(entry => ({ name: entry.name, size: entry.data ? entry.data.length : entry.size })));
+  if (estimate > MAX_ZIP_BYTES) {
+    return { error: 'The bundle would be larger than 4 GB; include fewer parts (raw/ is only in "all")', status: 413 };
+  }
+  return { manifest, entries };
+}
+
+/**
+ * Writes a prepared bundle as a ZIP archive.
+ * @async
+ * @param {{entries: Object[]}} bundle - From prepareEpisodeBundle
+ * @param {import('stream').Writable} output - Left open; the caller ends it
+ */
+export async function writeEpisodeBundle(bundle, output) {
+  await writeZip(output, bundle.entries);
+}
+
+/**
+ * Checks a bundle manifest and pairs each listed file with its ZIP entry.
+ * @param {*} manifest - Parsed manifest.json
+ * @param {Object[]} zipEntries - From readZipEntries
+ * @returns {{error: string}|{files: Array<{path: string, size: number, sha256: string, entry: Object}>}}
+ */
+export function matchBundleManifest(manifest, zipEntries) {
+  if (!manifest || typeof manifest !== 'object' || manifest.format !== BUNDLE_FORMAT) {
+    return { error: 'manifest.json is not an episode bundle manifest' };
+  }
+  if (manifest.version !== BUNDLE_VERSION) {
+    return { error: `Unsupported bundle version: ${manifest.version}` };
+  }
+  if (typeof manifest.episode !== 'string' || !isValidEpisodeFolder(manifest.episode)) {
+    return { error: 'manifest.json has an invalid episode name' };
+  }
+  if (!Array.isArray(manifest.files) || manifest.files.length === 0) {
+    return { error: 'manifest.json lists no files' };
+  }
+
+  const byName = new Map(zipEntries.map(entry => [entry.name, entry]));
+  const seen = new Set();
+  const files = [];
+  for (const file of manifest.files) {
+    if (!file || !isSafeBundlePath(file.path) || seen.has(file.path)) {
+      return { error: `manifest.json has an invalid file path: ${file?.path}` };
+    }
+    if (!Number.isInteger(file.size) || file.size < 0 || typeof file.sha256 !== 'string' || !/^[0-9a-f]{64}$/.test(file.sha256)) {
+      return { error: `manifest.json has no size or sha256 for ${file.path}` };
+    }
+    const entry = byName.get(`${manifest.episode}/${file.path}`);
+    if (!entry) {
+      return { error: `${file.path} is listed in manifest.json but missing from the bundle` };
+    }
+    if (entry.size !== file.size) {
+      return { error: `${file.path} does not match the size in manifest.json` };
+    }
+    seen.add(file.path);
+    files.push({ path: file.path, size: file.size, sha256: file.sha256, entry });
+  }
+  return { files };
+}
+
+/**
+ * Whether a name can be used as an episode folder.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isValidEpisodeFolder(name) {
+  return name.length > 0 && name.length <= 200 && !name.startsWith('.') &&
+    !name.includes('..') && !name.includes('/') && !name.includes('\\') && !name.includes('\0');
+}
+
+async function pathExists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Restores an episode bundle into a series. Every file is extracted to a
+ * staging folder and checked against the manifest's SHA-256 before anything
+ * in the series changes.
+ * @async
+ * @param {string} zipPath - Uploaded bundle
+ * @param {Object} options
+ * @param {string} options.series - Target series folder (created if missing)
+ * @param {string} [options.episode] - Target episode folder; defaults to the bundle's
+ * @param {string} [options.onConflict='fail'] - One of BUNDLE_CONFLICT_MODES
+ * @param {{baseDir: string, seriesDir: string, resolvedSeriesDir: string}} options.paths - Active content paths
+ * @param {string} [options.source='dashboard'] - Revision source for overwritten tracked files
+ * @param {function(string|null, string, string): Promise<{refused?: Object, override?: Object}>} [options.checkMetadata] -
+ *   Checks a metadata.yml that overwrites an episode's (current content, bundled content,
+ *   episode folder) against status-transitions.yml before anything is written
+ * @returns {Promise<Object>} `{ series, episode, path, created, files, manifest }`, or `{ error, status }`
+ *   (with `refused` when checkMetadata refused the status change)
+ */
+export async function importEpisodeBundle(zipPath, { series, episode, onConflict = 'fail', paths, source = 'dashboard', checkMetadata }) {
+  if (!BUNDLE_CONFLICT_MODES.includes(onConflict)) {
+    return { error: `on_conflict must be one of: ${BUNDLE_CONFLICT_MODES.join(', ')}`, status: 400 };
+  }
+  if (episode !== undefined && !isValidEpisodeFolder(episode)) {
+    return { error: 'Invalid episode folder name', status: 400 };
+  }
+
+  let zipEntries;
+  try {
+    zipEntries = await readZipEntries(zipPath);
+  } catch (error) {
+    return { error: `Invalid bundle: ${error.message}`, status: 400 };
+  }
+  const manifestEntry = zipEntries.find(entry => entry.name === BUNDLE_MANIFEST);
+  if (!manifestEntry) {
+    return { error: `Invalid bundle: no ${BUNDLE_MANIFEST}`, status: 400 };
+  }
+  if (manifestEntry.size > MAX_MANIFEST_BYTES) {
+    return { error: `Invalid bundle: ${BUNDLE_MANIFEST} is too large`, status: 400 };
+  }
+
+  const stagingDir = path.join(paths.baseDir, 'uploads', `.bundle-${randomBytes(6).toString('hex')}`);
+  const stagedEpisode = path.join(stagingDir, 'episode');
+  try {
+    await fs.mkdir(stagedEpisode, { recursive: true });
+
+    let manifest;
+    try {
+      const manifestPath = path.join(stagingDir, BUNDLE_MANIFEST);
+      await extractZipEntry(zipPath, manifestEntry, manifestPath);
+      manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    } catch (error) {
+      return { error: `Invalid bundle: ${BUNDLE_MANIFEST} could not be read (${error.message})`, status: 400 };
+    }
+    const { error: manifestError, files } = matchBundleManifest(manifest, zipEntries);
+    if (manifestError) {
+      return { error: `Invalid bundle: ${manifestError}`, status: 400 };
+    }
+
+    const seriesPath = path.join(paths.seriesDir, series);
+    const requested = episode || manifest.episode;
+    let targetName = requested;
+    let targetPath = path.join(seriesPath, targetName);
+    if (!path.resolve(targetPath).startsWith(paths.resolvedSeriesDir)) {
+      return { error: 'Invalid path detected', status: 400 };
+    }
+
+    let exists = await pathExists(targetPath);
+    if (exists && onConflict === 'fail') {
+      return { error: `${series}/${targetName} already exists`, status: 409 };
+    }
+    if (exists && onConflict === 'rename') {
+      for (let suffix = 2; exists && suffix <= MAX_RENAME_ATTEMPTS; suffix++) {
+        targetName = `${requested}-${suffix}`;
+        targetPath = path.join(seriesPath, targetName);
+        exists = await pathExists(targetPath);
+      }
+      if (exists) {
+        return { error: `No free folder name for ${series}/${requested}`, status: 409 };
+      }
+    }
+    if (!exists && !files.some(file => file.path === 'metadata.yml')) {
+      return { error: 'The bundle has no metadata.yml, so it can only be imported over an existing episode (on_conflict=overwrite)', status: 400 };
+    }
+
+    for (const file of files) {
+      const destination = path.join(stagedEpisode, ...file.path.split('/'));
+      await fs.mkdir(path.dirname(destination), { recursive: true });
+      let extracted;
+      try {
+        extracted = await extractZipEntry(zipPath, file.entry, destination);
+      } catch (error) {
+        return { error: `Invalid bundle: ${error.message}`, status: 400 };
+      }
+      if (extracted.sha256 !== file.sha256) {
+        return { error: `Invalid bundle: ${file.path} does not match its checksum in manifest.json`, status: 400 };
+      }
+    }
+
+    let override;
+    if (exists && checkMetadata && files.some(file => file.path === 'metadata.yml')) {
+      const current = await fs.readFile(path.join(targetPath, 'metadata.yml'), 'utf8').catch(() => null);
+      const content = await fs.readFile(path.join(stagedEpisode, 'metadata.yml'), 'utf8');
+      const check = await checkMetadata(current, content, targetPath);
+      if (check.refused) {
+        return { error: `Cannot move from '${check.refused.from}' to '${check.refused.to}'`, status: 422, refused: check.refused };
+      }
+      override = check.override;
+    }
+
+    if (!exists) {
+      await fs.mkdir(seriesPath, { recursive: true });
+      await fs.rename(stagedEpisode, targetPath);
+    } else {
+      for (const file of files) {
+        // The existing folder keeps its own history; tracked files get a revision instead
+        if (file.path === HISTORY_FILE) continue;
+        const staged = path.join(stagedEpisode, ...file.path.split('/'));
+        const destination = path.join(targetPath, ...file.path.split('/'));
+        if (TRACKED_FILES.includes(file.path)) {
+          const content = await fs.readFile(staged, 'utf8');
+          await withFileLock(destination, async () => {
+            const current = file.path === 'metadata.yml' ? await fs.readFile(destination, 'utf8').catch(() => null) : null;
+            await writeTrackedFile(destination, recordReplacedStatus(content, current, source), {
+              source,
+              action: 'bundle_import',
+              override: file.path === 'metadata.yml' ? override : undefined
+            });
+          });
+        } else {
+          await fs.mkdir(path.dirname(destination), { recursive: true });
+          await fs.rename(staged, destination);
+        }
+      }
+    }
+    await refreshIndexedEpisode(targetPath);
+
+    return {
+      series,
+      episode: targetName,
+      path: path.relative(paths.baseDir, targetPath).split(path.sep).join('/'),
+      created: !exists,
+      files: files.map(file => file.path),
+      manifest: {
+        series: manifest.series,
+        episode: manifest.episode,
+        title: manifest.title,
+        created_at: manifest.created_at,
+        include: manifest.include
+      }
+    };
+  } finally {
+    await fs.rm(stagingDir, { recursive: true, force: true });
+  }
+}
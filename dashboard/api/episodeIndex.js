@@ -0,0 +1,397 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getContentPaths, onWorkspaceChange } from './workspaces.js';
+import { computeRevision } from './revisions.js';
+import { parseEpisodeContent } from './lint.js';
+
+// Query parameter limits for GET /api/episodes
+export const MAX_PAGE_SIZE = 500;
+export const EPISODE_SORT_FIELDS = ['created', 'target_date', 'publish_date', 'title', 'series', 'status'];
+export const EPISODE_DATE_FIELDS = ['target_date', 'publish_date'];
+
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Recursively scans a directory for episode folders containing metadata.yml.
+ * Returns an array of episode objects with their path, series, and metadata.
+ * @async
+ * @param {string} dir - The directory path to scan
+ * @param {string} baseDir - Content root that episode paths are relative to
+ * @returns {Promise<Array<{path: string, series: string, episode: string, metadata: Object}>>}
+ *   Array of episode objects
+ * @example
+ * const episodes = await scanForEpisodes('/path/to/series', '/path/to');
+ * // Returns [{ path: 'series/show/ep1', series: 'show', episode: 'ep1', metadata: {...} }, ...]
+ */
+export async function scanForEpisodes(dir, baseDir) {
+  const episodes = [];
+
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        const episode = await readEpisode(fullPath, baseDir);
+        if (episode) {
+          episodes.push(episode);
+        } else {
+          // No metadata.yml, might contain subdirectories
+          episodes.push(...await scanForEpisodes(fullPath, baseDir));
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`Error scanning directory ${dir}:`, error);
+  }
+
+  return episodes;
+}
+
+/**
+ * Reads a single episode folder, or returns null if it has no metadata.yml.
+ * Schema problems are attached as `lint` so the cards can flag them; metadata
+ * that does not parse is kept as `{}` with the syntax error in `lint`.
+ * @async
+ * @param {string} episodeDir - Absolute path to the episode folder
+ * @param {string} baseDir - Content root that episode paths are relative to
+ * @returns {Promise<{path: string, series: string, episode: string, revision: string, metadata: Object, lint: Object}|null>}
+ */
+async function readEpisode(episodeDir, baseDir) {
+  try {
+    const content = await fs.readFile(path.join(episodeDir, 'metadata.yml'), 'utf8');
+    const relativePath = path.relative(baseDir, episodeDir);
+    const pathParts = relativePath.split(path.sep);
+    const { metadata, lint } = parseEpisodeContent(content);
+
+    return {
+      path: relativePath,
+      series: pathParts[1] || 'unknown',
+      episode: path.basename(episodeDir),
+      revision: computeRevision(content),
+      metadata,
+      lint
+    };
+  } catch (err) {
+    if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') {
+      console.error(`Error reading episode ${episodeDir}:`, err.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Creates an in-memory index of the episodes under a series directory.
+ * The index is built on first use and then kept current through
+ * applyFileEvent() (watcher events) and refreshEpisode() (API writes).
+ * @param {{seriesDir: string, baseDir: string}} paths - Content paths to index
+ * @returns {object} Episode index
+ * @example
+ * const index = createEpisodeIndex(getContentPaths());
+ * const episodes = await index.getEpisodes();
+ */
+export function createEpisodeIndex({ seriesDir, baseDir }) {
+  let episodes = new Map(); // Episode folder (absolute) -> episode
+  let ready = null;
+
+  // Builds into a fresh map and swaps it in, so a rebuild never exposes a half-filled index
+  const build = async () => {
+    const next = new Map();
+    for (const episode of await scanForEpisodes(seriesDir, baseDir)) {
+      next.set(path.join(baseDir, episode.path), episode);
+    }
+    episodes = next;
+  };
+
+  const ensureBuilt = () => {
+    if (!ready) {
+      ready = build().catch(err => {
+        ready = null;
+        throw err;
+      });
+    }
+    return ready;
+  };
+
+  const isWithinSeries = (target) => {
+    const relative = path.relative(seriesDir, target);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+  };
+
+  /**
+   * Re-reads one episode folder, adding, updating or dropping it.
+   * @param {string} episodeDir - Absolute path to the episode folder
+   * @returns {Promise<void>}
+   */
+  const refreshEpisode = async (episodeDir) => {
+    const resolved = path.resolve(episodeDir);
+    if (!isWithinSeries(resolved)) return;
+    await ensureBuilt();
+
+    const episode = await readEpisode(resolved, baseDir);
+    if (episode) {
+      episodes.set(resolved, episode);
+    } else {
+      episodes.delete(resolved);
+    }
+  };
+
+  return {
+    /**
+     * Returns every indexed episode, building the index on first use.
+     * @returns {Promise<Array<object>>}
+     */
+    async getEpisodes() {
+      await ensureBuilt();
+      return [...episodes.values()];
+    },
+
+    refreshEpisode,
+
+    /**
+     * Applies a chokidar event. Only metadata.yml files and removed folders
+     * affect the index; everything else is ignored.
+     * @param {string} event - add | change | unlink | addDir | unlinkDir
+     * @param {string} filepath - Absolute path reported by the watcher
+     * @returns {Promise<void>}
+     */
+    async applyFileEvent(event, filepath) {
+      const resolved = path.resolve(filepath);
+      if (!isWithinSeries(resolved)) return;
+
+      if (event === 'unlinkDir') {
+        await ensureBuilt();
+        const prefix = resolved + path.sep;
+        for (const key of episodes.keys()) {
+          if (key === resolved || key.startsWith(prefix)) {
+            episodes.delete(key);
+          }
+        }
+        return;
+      }
+
+      if (path.basename(resolved) === 'metadata.yml') {
+        await refreshEpisode(path.dirname(resolved));
+      }
+    },
+
+    /**
+     * Drops everything so the next read rescans the series directory.
+     */
+    invalidate() {
+      ready = null;
+    }
+  };
+}
+
+// Index for the active workspace, replaced when the workspace changes
+let activeIndex = createEpisodeIndex(getContentPaths());
+
+// Without a file watcher the index cannot see external edits, so it is
+// rebuilt on every read until the server enables incremental updates
+let incrementalUpdates = false;
+
+onWorkspaceChange((paths) => {
+  activeIndex = createEpisodeIndex(paths);
+});
+
+/**
+ * Returns the episodes of the active workspace from the index.
+ * @async
+ * @returns {Promise<Array<{path: string, series: string, episode: string, metadata: Object}>>}
+ */
+export function getIndexedEpisodes() {
+  if (!incrementalUpdates) {
+    activeIndex.invalidate();
+  }
+  return activeIndex.getEpisodes();
+}
+
+/**
+ * Re-reads one episode after the API wrote to it, so the next read sees the
+ * change without waiting for the watcher.
+ * @async
+ * @param {string} episodeDir - Absolute path to the episode folder
+ * @returns {Promise<void>}
+ */
+export async function refreshIndexedEpisode(episodeDir) {
+  if (incrementalUpdates) {
+    await activeIndex.refreshEpisode(episodeDir);
+  }
+}
+
+/**
+ * Forwards a file watcher event to the active workspace's index.
+ * @async
+ * @param {string} event - chokidar event name
+ * @param {string} filepath - Absolute path reported by the watcher
+ * @returns {Promise<void>}
+ */
+export function applyIndexFileEvent(event, filepath) {
+  return activeIndex.applyFileEvent(event, filepath);
+}
+
+/**
+ * Marks the index as kept current by a file watcher (see server.js).
+ * Until this is called, every read rescans the series directory.
+ */
+export function enableIncrementalUpdates() {
+  incrementalUpdates = true;
+}
+
+/**
+ * Normalizes a metadata date (string or js-yaml Date) to YYYY-MM-DD.
+ * @param {*} value - Date value from metadata
+ * @returns {string} Date key, or '' when missing or unparseable
+ */
+export function toDateKey(value) {
+  if (!value) return '';
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? '' : value.toISOString().slice(0, 10);
+  }
+  const key = String(value).slice(0, 10);
+  return DATE_KEY_REGEX.test(key) ? key : '';
+}
+
+/**
+ * Reads the sortable/filterable value of a field from an episode.
+ * @param {object} episode - Indexed episode
+ * @param {string} field - One of EPISODE_SORT_FIELDS
+ * @returns {string}
+ */
+function getEpisodeField(episode, field) {
+  const metadata = episode.metadata || {};
+  switch (field) {
+  case 'target_date':
+    return toDateKey(metadata.release?.target_date);
+  case 'publish_date':
+    return toDateKey(metadata.analytics?.publish_date);
+  case 'title':
+    return String(metadata.title || episode.episode).toLowerCase();
+  case 'series':
+    return episode.series;
+  case 'status':
+    return metadata.content_status || 'draft';
+  default:
+    // Episode folders start with YYYY-MM-DD, so the name sorts by creation date
+    return episode.episode;
+  }
+}
+
+/**
+ * Splits a comma separated query value into trimmed entries.
+ * @param {*} value - Query parameter value
+ * @returns {string[]}
+ */
+function parseList(value) {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(entry => String(entry).split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validates GET /api/episodes query parameters.
+ * @param {Object} query - Express req.query
+ * @returns {{errors: string[], options: Object}}
+ * @example
+ * parseEpisodeQuery({ status: 'draft,ready', sort: 'target_date', limit: '20' });
+ */
+export function parseEpisodeQuery(query) {
+  const errors = [];
+  const options = {
+    series: parseList(query.series),
+    status: parseList(query.status),
+    tag: parseList(query.tag).map(tag => tag.toLowerCase()),
+    releaseGroup: parseList(query.release_group),
+    dateField: query.date_field || 'target_date',
+    from: query.from || '',
+    to: query.to || '',
+    sort: query.sort || 'created',
+    order: query.order || (query.sort && query.sort !== 'created' ? 'asc' : 'desc'),
+    page: 1,
+    limit: null
+  };
+
+  if (!EPISODE_DATE_FIELDS.includes(options.dateField)) {
+    errors.push(`date_field must be one of: ${EPISODE_DATE_FIELDS.join(', ')}`);
+  }
+  for (const key of ['from', 'to']) {
+    if (options[key] && !DATE_KEY_REGEX.test(options[key])) {
+      errors.push(`${key} must be a date in YYYY-MM-DD format`);
+    }
+  }
+  if (!EPISODE_SORT_FIELDS.includes(options.sort)) {
+    errors.push(`sort must be one of: ${EPISODE_SORT_FIELDS.join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(options.order)) {
+    errors.push('order must be asc or desc');
+  }
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+    } else {
+      options.limit = limit;
+    }
+  }
+  if (query.page !== undefined) {
+    const page = Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      errors.push('page must be a whole number of 1 or more');
+    } else {
+      options.page = page;
+    }
+  }
+
+  return { errors, options };
+}
+
+/**
+ * Filters, sorts and paginates episodes.
+ * Episodes without a value for the date field are excluded by from/to and
+ * sorted last regardless of order.
+ * @param {Array<object>} episodes - Indexed episodes
+ * @param {Object} options - Parsed options from parseEpisodeQuery()
+ * @returns {{episodes: Array<object>, total: number, page: number, limit: number|null}}
+ */
+export function queryEpisodes(episodes, options) {
+  let results = episodes.filter(episode => {
+    const metadata = episode.metadata || {};
+    if (options.series.length > 0 && !options.series.includes(episode.series)) return false;
+    if (options.status.length > 0 && !options.status.includes(metadata.content_status || 'draft')) return false;
+    if (options.releaseGroup.length > 0 && !options.releaseGroup.includes(metadata.release?.release_group)) return false;
+    if (options.tag.length > 0) {
+      const tags = (Array.isArray(metadata.tags) ? metadata.tags : [])
+        .filter(tag => tag !== null && tag !== undefined)
+        .map(tag => String(tag).toLowerCase());
+      if (!options.tag.every(tag => tags.includes(tag))) return false;
+    }
+    if (options.from || options.to) {
+      const date = getEpisodeField(episode, options.dateField);
+      if (!date) return false;
+      if (options.from && date < options.from) return false;
+      if (options.to && date > options.to) return false;
+    }
+    return true;
+  });
+
+  const direction = options.order === 'asc' ? 1 : -1;
+  results = results.sort((a, b) => {
+    const valueA = getEpisodeField(a, options.sort);
+    const valueB = getEpisodeField(b, options.sort);
+    if (!valueA && valueB) return 1;
+    if (valueA && !valueB) return -1;
+    return valueA.localeCompare(valueB) * direction || a.path.localeCompare(b.path);
+  });
+
+  const total = results.length;
+  if (options.limit) {
+    const start = (options.page - 1) * options.limit;
+    results = results.slice(start, start + options.limit);
+  }
+
+  return { episodes: results, total, page: options.page, limit: options.limit };
+}
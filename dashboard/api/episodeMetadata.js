@@ -0,0 +1,496 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { isValidIsoDate } from './releaseQueue.js';
+import { validateDependencies } from './releaseDependencies.js';
+
+// YouTube video categories (id -> name) accepted for `category`
+export const YOUTUBE_CATEGORIES = {
+  1: 'Film & Animation',
+  2: 'Autos & Vehicles',
+  10: 'Music',
+  15: 'Pets & Animals',
+  17: 'Sports',
+  19: 'Travel & Events',
+  20: 'Gaming',
+  22: 'People & Blogs',
+  23: 'Comedy',
+  24: 'Entertainment',
+  25: 'News & Politics',
+  26: 'Howto & Style',
+  27: 'Education',
+  28: 'Science & Technology',
+  29: 'Nonprofits & Activism'
+};
+
+export const CONTENT_STATUSES = ['draft', 'ready', 'staged', 'blocked', 'released', 'archived'];
+export const PRIVACY_OPTIONS = ['public', 'unlisted', 'private'];
+export const RECORDING_FORMATS = ['4K', '1080p', '720p'];
+export const THUMBNAIL_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.gif'];
+
+const ALLOWED_FIELDS = [
+  'title',
+  'description',
+  'content_status',
+  'tags',
+  'category',
+  'privacy',
+  'playlist',
+  'scheduled_at',
+  'thumbnail',
+  'distribution',
+  'release',
+  'recording',
+  'series',
+  'workflow',
+  'analytics'
+];
+
+const MAX_SHORT_TEXT_LENGTH = 200;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+// 4:32 or 1:04:32
+const DURATION_REGEX = /^(\d+:)?[0-5]?\d:[0-5]\d$/;
+const YOUTUBE_ID_REGEX = /^[A-Za-z0-9_-]{11}$/;
+
+/**
+ * Strips control characters and trims a single-line value.
+ * @param {*} value - Raw value
+ * @param {number} maxLength - Maximum length
+ * @returns {string}
+ */
+function sanitizeLine(value, maxLength) {
+  return String(value ?? '').replace(/[\x00-\x1F\x7F]/g, '').trim().substring(0, maxLength);
+}
+
+/**
+ * Validates a short single-line text field ('' clears it).
+ * @param {*} value - Raw value
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - Field label for messages
+ * @returns {string|undefined}
+ */
+function validateLine(value, errors, label) {
+  if (value === null) return '';
+  if (typeof value !== 'string') {
+    errors.push(`${label} must be a string`);
+    return undefined;
+  }
+  if (value.length > MAX_SHORT_TEXT_LENGTH) {
+    errors.push(`${label} must be ${MAX_SHORT_TEXT_LENGTH} characters or less`);
+    return undefined;
+  }
+  return sanitizeLine(value, MAX_SHORT_TEXT_LENGTH);
+}
+
+/**
+ * Validates a calendar date (YYYY-MM-DD, '' clears it).
+ * @param {*} value - Raw value
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - Field label for messages
+ * @returns {string|undefined}
+ */
+function validateDateOnly(value, errors, label) {
+  if (value === null || value === '') return '';
+  if (typeof value !== 'string' || !DATE_ONLY_REGEX.test(value) || !isValidIsoDate(value)) {
+    errors.push(`${label} must be a valid date (YYYY-MM-DD)`);
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Validates an ISO 8601 datetime such as 2025-01-15T17:00:00.000Z ('' clears it).
+ * @param {*} value - Raw value
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - Field label for messages
+ * @returns {string|undefined}
+ */
+function validateDateTime(value, errors, label) {
+  if (value === null || value === '') return '';
+  if (typeof value !== 'string' || !value.includes('T') || !isValidIsoDate(value)) {
+    errors.push(`${label} must be an ISO datetime (YYYY-MM-DDTHH:MM:SS.000Z)`);
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Validates a duration such as 4:32 or 1:04:32 ('' clears it).
+ * @param {*} value - Raw value
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - Field label for messages
+ * @returns {string|undefined}
+ */
+function validateDuration(value, errors, label) {
+  if (value === null || value === '') return '';
+  if (typeof value !== 'string' || !DURATION_REGEX.test(value.trim())) {
+    errors.push(`${label} must be a duration like 4:32 or 1:04:32`);
+    return undefined;
+  }
+  return value.trim();
+}
+
+/**
+ * Validates a non-negative number (null clears it).
+ * @param {*} value - Raw value
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - Field label for messages
+ * @param {Object} [options]
+ * @param {boolean} [options.integer=true] - Require a whole number
+ * @param {number} [options.max] - Upper bound
+ * @returns {number|null|undefined}
+ */
+function validateCount(value, errors, label, { integer = true, max } = {}) {
+  if (value === null || value === '') return null;
+  const valid = typeof value === 'number' && Number.isFinite(value) && value >= 0 &&
+    (!integer || Number.isInteger(value)) && (max === undefined || value <= max);
+  if (!valid) {
+    const kind = integer ? 'a whole number' : 'a number';
+    errors.push(`${label} must be ${kind} of 0 or more${max === undefined ? '' : ` and at most ${max}`}`);
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Validates one of a fixed set of values ('' in the set allows clearing).
+ * @param {*} value - Raw value
+ * @param {Array} options - Allowed values
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - Field label for messages
+ * @returns {*} The value if allowed
+ */
+function validateOption(value, options, errors, label) {
+  if (!options.includes(value)) {
+    errors.push(`${label} must be one of: ${options.filter(option => option !== '').join(', ')}`);
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Validates the thumbnail path: an image inside the episode folder ('' clears it).
+ * @async
+ * @param {*} value - Path relative to the episode folder
+ * @param {string} episodePath - Absolute path to the episode folder
+ * @param {string[]} errors - Error list to append to
+ * @returns {Promise<string|undefined>}
+ */
+async function validateThumbnail(value, episodePath, errors) {
+  if (value === null || value === '') return '';
+  if (typeof value !== 'string' || value.includes('\0')) {
+    errors.push('Thumbnail must be a file path');
+    return undefined;
+  }
+
+  const thumbnail = value.trim().replace(/\\/g, '/');
+  const resolved = path.resolve(episodePath, thumbnail);
+  if (path.isAbsolute(thumbnail) || !resolved.startsWith(path.resolve(episodePath) + path.sep)) {
+    errors.push('Thumbnail must be inside the episode folder');
+    return undefined;
+  }
+  if (!THUMBNAIL_EXTENSIONS.includes(path.extname(thumbnail).toLowerCase())) {
+    errors.push(`Thumbnail must be an image (${THUMBNAIL_EXTENSIONS.join(', ')})`);
+    return undefined;
+  }
+
+  try {
+    const stats = await fs.stat(resolved);
+    if (!stats.isFile()) throw new Error('not a file');
+  } catch {
+    errors.push(`Thumbnail '${thumbnail}' does not exist in the episode folder`);
+    return undefined;
+  }
+  return thumbnail;
+}
+
+/**
+ * Validates the fields of a nested block (release, recording, ...) with one
+ * validator per field; fields whose value is invalid are left out.
+ * @async
+ * @param {*} input - Raw block
+ * @param {Object<string, function(*): *>} validators - Field validators returning the sanitized value or undefined
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - Block label for messages
+ * @returns {Promise<Object|undefined>} Sanitized block
+ */
+async function validateBlock(input, validators, errors, label) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    errors.push(`${label} must be an object`);
+    return undefined;
+  }
+
+  const block = {};
+  for (const key of Object.keys(input)) {
+    if (!validators[key]) {
+      errors.push(`${label} field '${key}' is not valid`);
+      continue;
+    }
+    const value = await validators[key](input[key]);
+    if (value !== undefined) {
+      block[key] = value;
+    }
+  }
+  return block;
+}
+
+/**
+ * Validates and sanitizes episode metadata updates.
+ * Covers every field of the metadata template. Checks field types, lengths,
+ * allowed values, dates and file references, and sanitizes strings by
+ * removing control characters and trimming whitespace.
+ * @async
+ * @param {Object} updates - The update fields to validate
+ * @param {string} [updates.title] - Episode title (max 200 chars)
+ * @param {string} [updates.description] - Episode description (max 10000 chars)
+ * @param {string} [updates.content_status] - One of CONTENT_STATUSES (see applyStatusRules for 'blocked')
+ * @param {string[]} [updates.tags] - Array of tag strings
+ * @param {number} [updates.category] - YouTube category id (see YOUTUBE_CATEGORIES)
+ * @param {string} [updates.privacy] - 'public'|'unlisted'|'private'
+ * @param {string} [updates.scheduled_at] - ISO datetime
+ * @param {string} [updates.thumbnail] - Image path relative to the episode folder
+ * @param {Object} [updates.distribution] - Profile or explicit platform list
+ * @param {Object} [updates.release] - Release scheduling info
+ * @param {Object} [updates.recording] - Recording date, durations and format
+ * @param {Object} [updates.series] - Series name and episode number
+ * @param {Object} [updates.workflow] - Workflow progress flags
+ * @param {Object} [updates.analytics] - Post-publish analytics
+ * @param {Object} ctx - Validation context
+ * @param {string} ctx.episodePath - Absolute path to the episode folder
+ * @param {string[]} ctx.profiles - Known distribution profile ids (empty accepts any)
+ * @param {string[]} ctx.platforms - Known platform ids (empty accepts any)
+ * @param {string[]} ctx.workflowStages - Workflow stage ids of the episode's series (see workflowStages.js)
+ * @returns {Promise<{errors: string[], sanitized: Object}>} Validation errors and sanitized values
+ * @example
+ * const { errors, sanitized } = await validateEpisodeUpdate({ title: 'New Title', category: 28 }, ctx);
+ * if (errors.length === 0) {
+ *   // Apply sanitized updates
+ * }
+ */
+export async function validateEpisodeUpdate(updates, ctx) {
+  const errors = [];
+  const sanitized = {};
+
+  for (const key of Object.keys(updates)) {
+    if (!ALLOWED_FIELDS.includes(key)) {
+      errors.push(`Field '${key}' is not allowed to be updated`);
+      continue;
+    }
+
+    let value;
+    switch (key) {
+    case 'title':
+      if (typeof updates.title !== 'string') {
+        errors.push('Title must be a string');
+      } else if (updates.title.length > 200) {
+        errors.push('Title must be 200 characters or less');
+      } else {
+        // Sanitize: trim and remove control characters
+        const sanitizedTitle = updates.title.trim().replace(/[\x00-\x1F\x7F]/g, '');
+        if (sanitizedTitle.length === 0) {
+          errors.push('Title cannot be empty after sanitization');
+        } else {
+          value = sanitizedTitle;
+        }
+      }
+      break;
+
+    case 'description':
+      if (typeof updates.description !== 'string') {
+        errors.push('Description must be a string');
+      } else if (updates.description.length > 10000) {
+        errors.push('Description must be 10000 characters or less');
+      } else {
+        // Sanitize: trim and remove control characters (except newlines)
+        value = updates.description.trim().replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
+      }
+      break;
+
+    case 'content_status':
+      if (!CONTENT_STATUSES.includes(updates.content_status)) {
+        errors.push(`Content status must be one of: ${CONTENT_STATUSES.join(', ')}`);
+      } else {
+        value = updates.content_status;
+      }
+      break;
+
+    case 'tags':
+      if (!Array.isArray(updates.tags)) {
+        errors.push('Tags must be an array');
+      } else {
+        // Sanitize each tag
+        value = updates.tags
+          .filter(tag => typeof tag === 'string' && tag.trim().length > 0)
+          .map(tag => tag.trim().replace(/[\x00-\x1F\x7F]/g, '').substring(0, 100));
+      }
+      break;
+
+    case 'category': {
+      const category = Number(updates.category);
+      if (updates.category === null || updates.category === '') {
+        value = null;
+      } else if (!Number.isInteger(category) || !YOUTUBE_CATEGORIES[category]) {
+        const options = Object.entries(YOUTUBE_CATEGORIES).map(([id, name]) => `${id} (${name})`);
+        errors.push(`Category must be a YouTube category id: ${options.join(', ')}`);
+      } else {
+        value = category;
+      }
+      break;
+    }
+
+    case 'privacy':
+      value = validateOption(updates.privacy ?? '', ['', ...PRIVACY_OPTIONS], errors, 'Privacy');
+      break;
+
+    case 'playlist':
+      value = validateLine(updates.playlist, errors, 'Playlist');
+      break;
+
+    case 'scheduled_at':
+      value = validateDateTime(updates.scheduled_at, errors, 'Scheduled time');
+      break;
+
+    case 'thumbnail':
+      value = await validateThumbnail(updates.thumbnail, ctx.episodePath, errors);
+      break;
+
+    case 'distribution':
+      value = await validateBlock(updates.distribution, {
+        profile: profile => {
+          if (profile === null || profile === '') return '';
+          if (typeof profile !== 'string' || (ctx.profiles.length > 0 && !ctx.profiles.includes(profile))) {
+            errors.push(`Distribution profile must be one of: ${ctx.profiles.join(', ')}`);
+            return undefined;
+          }
+          return profile;
+        },
+        platforms: platforms => {
+          if (!Array.isArray(platforms) || platforms.some(platform => typeof platform !== 'string')) {
+            errors.push('Distribution platforms must be an array of platform ids');
+            return undefined;
+          }
+          const unknown = ctx.platforms.length > 0 ? platforms.filter(platform => !ctx.platforms.includes(platform)) : [];
+          if (unknown.length > 0) {
+            errors.push(`Unknown distribution platform(s): ${unknown.join(', ')}`);
+            return undefined;
+          }
+          return [...new Set(platforms.map(platform => platform.trim()).filter(Boolean))];
+        }
+      }, errors, 'Distribution');
+      break;
+
+    case 'release':
+      value = await validateBlock(updates.release, {
+        target_date: targetDate => {
+          if (targetDate === null || targetDate === '') return '';
+          // Validate date format (YYYY-MM-DD)
+          if (!DATE_ONLY_REGEX.test(targetDate)) {
+            errors.push('Target date must be in YYYY-MM-DD format');
+            return undefined;
+          }
+          // Validate date is actually valid (e.g., not Feb 30)
+          if (!isValidIsoDate(targetDate)) {
+            errors.push('Target date must be a valid date');
+            return undefined;
+          }
+          return targetDate;
+        },
+        release_group: group => String(group || '').trim(),
+        blocked_by: reason => validateLine(reason, errors, 'Blocked by'),
+        blocked_since: date => validateDateOnly(date, errors, 'Blocked since'),
+        notes: notes => String(notes || '').trim().substring(0, 2000),
+        depends_on: dependsOn => {
+          const { errors: dependencyErrors, dependencies } = validateDependencies(dependsOn, 'Depends on');
+          errors.push(...dependencyErrors);
+          return dependencyErrors.length === 0 ? dependencies : undefined;
+        }
+      }, errors, 'Release');
+      break;
+
+    case 'recording':
+      value = await validateBlock(updates.recording, {
+        date: date => validateDateOnly(date, errors, 'Recording date'),
+        duration_raw: duration => validateDuration(duration, errors, 'Raw duration'),
+        duration_final: duration => validateDuration(duration, errors, 'Final duration'),
+        format: format => validateOption(format ?? '', ['', ...RECORDING_FORMATS], errors, 'Recording format')
+      }, errors, 'Recording');
+      break;
+
+    case 'series':
+      value = await validateBlock(updates.series, {
+        name: name => validateLine(name, errors, 'Series name'),
+        episode_number: number => validateCount(number, errors, 'Episode number')
+      }, errors, 'Series');
+      break;
+
+    case 'workflow':
+      value = await validateBlock(updates.workflow, Object.fromEntries(ctx.workflowStages.map(stage => [stage, flag => {
+        if (typeof flag !== 'boolean') {
+          errors.push(`Workflow field '${stage}' must be a boolean`);
+          return undefined;
+        }
+        return flag;
+      }])), errors, 'Workflow');
+      // Only add workflow if there are valid fields to update
+      if (value && Object.keys(value).length === 0) value = undefined;
+      break;
+
+    case 'analytics':
+      value = await validateBlock(updates.analytics, {
+        youtube_id: id => {
+          if (id === null || id === '') return '';
+          if (typeof id !== 'string' || !YOUTUBE_ID_REGEX.test(id.trim())) {
+            errors.push('YouTube id must be the 11-character video id');
+            return undefined;
+          }
+          return id.trim();
+        },
+        publish_date: date => validateDateOnly(date, errors, 'Publish date'),
+        views_24h: views => validateCount(views, errors, 'Views (24h)'),
+        views_7d: views => validateCount(views, errors, 'Views (7d)'),
+        ctr: ctr => validateCount(ctr, errors, 'CTR', { integer: false, max: 100 }),
+        avg_view_duration: duration => validateDuration(duration, errors, 'Average view duration')
+      }, errors, 'Analytics');
+      break;
+    }
+
+    if (value !== undefined) {
+      sanitized[key] = value;
+    }
+  }
+
+  return { errors, sanitized };
+}
+
+/**
+ * Applies the status rules that depend on the episode's current metadata.
+ * A blocked episode needs a reason (release.blocked_by), either in the update
+ * or already in the file, and blocked_since defaults to the day it was
+ * blocked. Moving out of `blocked` clears both fields.
+ * @param {Object} current - Parsed metadata.yml before the update
+ * @param {Object} sanitized - Validated updates; blocked_since and the clears are added here
+ * @param {string} today - Current date (YYYY-MM-DD)
+ * @returns {string[]} Errors; empty when the update can be applied
+ * @example
+ * applyStatusRules({ content_status: 'draft' }, { content_status: 'blocked' }, '2025-01-10');
+ * // ['Blocked episodes need a reason (release.blocked_by)']
+ */
+export function applyStatusRules(current, sanitized, today) {
+  const wasBlocked = current?.content_status === 'blocked';
+  const status = sanitized.content_status ?? current?.content_status;
+  const release = sanitized.release ?? {};
+
+  if (status === 'blocked') {
+    // Only checked when the update touches the status or the reason, so other
+    // edits still work on a file that was blocked by hand without one
+    const touched = sanitized.content_status !== undefined || release.blocked_by !== undefined;
+    if (touched && !(release.blocked_by ?? current?.release?.blocked_by)) {
+      return ['Blocked episodes need a reason (release.blocked_by)'];
+    }
+    if (!wasBlocked && !release.blocked_since) {
+      sanitized.release = { ...release, blocked_since: today };
+    }
+  } else if (wasBlocked) {
+    sanitized.release = { blocked_by: '', blocked_since: '', ...release };
+  }
+  return [];
+}
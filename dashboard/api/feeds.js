@@ -0,0 +1,643 @@
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { getContentPaths } from './workspaces.js';
+import { getIndexedEpisodes } from './episodeIndex.js';
+
+// Feed formats: RSS 2.0, Atom 1.0, and RSS 2.0 with iTunes/Podcasting 2.0 tags
+export const FEED_FORMATS = ['rss', 'atom', 'podcast'];
+
+// Used when feeds.yml is missing; URLs default to the dashboard serving the feed
+export const DEFAULT_FEED_CONFIG = {
+  title: 'Content Workflow',
+  description: 'Released episodes',
+  language: 'en',
+  author: '',
+  site_url: '',
+  media_url: '',
+  episode_url: '',
+  feeds_url: '',
+  image: '',
+  output_dir: 'feeds',
+  limit: 50,
+  series: {}
+};
+
+// Audio files in exports/ used as podcast enclosures, in order of preference
+const AUDIO_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/opus',
+  '.flac': 'audio/flac',
+  '.wav': 'audio/wav'
+};
+const PODCAST_TYPES = ['episodic', 'serial'];
+const MAX_FEED_LIMIT = 500;
+const MAX_TEXT_LENGTH = 5000;
+const URL_REGEX = /^https?:\/\/[^\s]+$/;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+// "0:00 - Intro", "1:02:03 Deep dive": chapter lines in the description
+const CHAPTER_LINE_REGEX = /^\s*(?:(\d{1,2}):)?(\d{1,2}):(\d{2})\s*(?:[-–—:|]\s*)?(\S.*)$/;
+// Atom entry ids are tag URIs built from the episode path
+const TAG_AUTHORITY = 'tag:content-workflow-dashboard,2024:';
+
+const STRING_SETTINGS = ['title', 'description', 'language', 'author', 'image', 'site_url', 'media_url', 'episode_url', 'feeds_url', 'output_dir'];
+const URL_SETTINGS = ['image', 'site_url', 'media_url', 'feeds_url'];
+
+/**
+ * Validates the podcast settings of one series.
+ * @param {*} value - Raw `podcast` setting
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - Setting label for messages
+ * @returns {Object|null} Null when podcast mode is off
+ */
+function validatePodcastSettings(value, errors, label) {
+  if (value === undefined || value === null || value === false) return null;
+  const settings = value === true ? {} : value;
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    errors.push(`${label} must be true or a mapping of podcast settings`);
+    return null;
+  }
+
+  const podcast = { category: 'Technology', subcategory: '', explicit: false, type: 'episodic', owner_name: '', owner_email: '' };
+  for (const key of ['category', 'subcategory', 'owner_name', 'owner_email']) {
+    if (settings[key] === undefined || settings[key] === null) continue;
+    if (typeof settings[key] === 'string') podcast[key] = settings[key].trim();
+    else errors.push(`${label}.${key} must be text`);
+  }
+  if (settings.explicit !== undefined) {
+    if (typeof settings.explicit === 'boolean') podcast.explicit = settings.explicit;
+    else errors.push(`${label}.explicit must be true or false`);
+  }
+  if (settings.type !== undefined) {
+    if (PODCAST_TYPES.includes(settings.type)) podcast.type = settings.type;
+    else errors.push(`${label}.type must be one of: ${PODCAST_TYPES.join(', ')}`);
+  }
+  return podcast;
+}
+
+/**
+ * Validates parsed feeds.yml content.
+ * @param {*} data - Parsed YAML
+ * @returns {{errors: string[], config: Object}} Invalid settings fall back to DEFAULT_FEED_CONFIG
+ * @example
+ * const { config } = validateFeedConfig({ title: 'My Show', series: { 'my-show': { podcast: true } } });
+ * // config.series['my-show'].podcast: { category: 'Technology', explicit: false, ... }
+ */
+export function validateFeedConfig(data) {
+  const errors = [];
+  const config = { ...DEFAULT_FEED_CONFIG, series: {} };
+
+  if (data === null || data === undefined) {
+    return { errors, config };
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    errors.push('feeds.yml must be a mapping of settings');
+    return { errors, config };
+  }
+
+  for (const key of STRING_SETTINGS) {
+    if (data[key] === undefined || data[key] === null) continue;
+    const value = typeof data[key] === 'string' ? data[key].trim() : null;
+    if (value === null || value.length > MAX_TEXT_LENGTH) {
+      errors.push(`${key} must be text of at most ${MAX_TEXT_LENGTH} characters`);
+    } else if (value && URL_SETTINGS.includes(key) && !URL_REGEX.test(value)) {
+      errors.push(`${key} must be an http(s) URL`);
+    } else {
+      config[key] = URL_SETTINGS.includes(key) ? value.replace(/\/+$/, '') : value;
+    }
+  }
+  if (config.episode_url && !/^https?:\/\/\S+$/.test(config.episode_url)) {
+    errors.push('episode_url must be an http(s) URL template');
+    config.episode_url = '';
+  }
+  if (path.isAbsolute(config.output_dir) || config.output_dir.split(/[\\/]/).includes('..') || !config.output_dir) {
+    errors.push('output_dir must be a folder inside the content root');
+    config.output_dir = DEFAULT_FEED_CONFIG.output_dir;
+  }
+
+  if (data.limit !== undefined && data.limit !== null) {
+    const limit = Number(data.limit);
+    if (Number.isInteger(limit) && limit >= 1 && limit <= MAX_FEED_LIMIT) config.limit = limit;
+    else errors.push(`limit must be a whole number from 1 to ${MAX_FEED_LIMIT}`);
+  }
+
+  if (data.series !== undefined && data.series !== null) {
+    if (typeof data.series !== 'object' || Array.isArray(data.series)) {
+      errors.push('series must be a mapping of series folder names to settings');
+    } else {
+      for (const [name, settings] of Object.entries(data.series)) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+          errors.push(`series.${name} must be a mapping of settings`);
+          continue;
+        }
+        const series = {};
+        for (const key of ['title', 'description', 'image']) {
+          if (settings[key] === undefined || settings[key] === null) continue;
+          if (typeof settings[key] !== 'string') errors.push(`series.${name}.${key} must be text`);
+          else if (key === 'image' && settings.image && !URL_REGEX.test(settings.image)) errors.push(`series.${name}.image must be an http(s) URL`);
+          else series[key] = settings[key].trim();
+        }
+        series.podcast = validatePodcastSettings(settings.podcast, errors, `series.${name}.podcast`);
+        config.series[name] = series;
+      }
+    }
+  }
+
+  return { errors, config };
+}
+
+/**
+ * Reads feeds.yml. A missing file yields the defaults; problems in the file
+ * are logged and the invalid settings replaced by their defaults.
+ * @async
+ * @param {string} filepath - Absolute path to feeds.yml
+ * @returns {Promise<Object>} See validateFeedConfig
+ */
+export async function readFeedConfig(filepath) {
+  let data = null;
+  try {
+    data = yaml.load(await fs.readFile(filepath, 'utf8'), { schema: yaml.CORE_SCHEMA });
+  } catch (err) {
+    if (err.code === 'ENOENT') return validateFeedConfig(null).config;
+    if (!(err instanceof yaml.YAMLException)) throw err;
+    console.error(`Failed to parse ${filepath}:`, err.message);
+  }
+
+  const { errors, config } = validateFeedConfig(data);
+  for (const message of errors) {
+    console.error(`${filepath}: ${message}`);
+  }
+  return config;
+}
+
+/**
+ * Parses a duration from metadata into seconds.
+ * @param {*} value - e.g. recording.duration_final: 754, "12:34", "1:02:03" or "12m 34s"
+ * @returns {number|null} Whole seconds, or null when unset or unreadable
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? Math.round(value) : null;
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const text = value.trim();
+  if (/^\d+(?::\d{1,2}){0,2}$/.test(text)) {
+    return text.split(':').map(Number).reduce((total, part) => total * 60 + part, 0) || null;
+  }
+  const units = /^(?:(\d+)\s*h)?\s*(?:(\d+)\s*m(?:in)?)?\s*(?:(\d+)\s*s(?:ec)?)?$/i.exec(text);
+  if (!units || !units.slice(1).some(Boolean)) return null;
+  const [hours, minutes, seconds] = units.slice(1).map(part => Number(part || 0));
+  return hours * 3600 + minutes * 60 + seconds || null;
+}
+
+/**
+ * Reads chapters from the timestamp lines of a description ("0:00 - Intro").
+ * @param {string} description - Episode description
+ * @returns {Array<{startTime: number, title: string}>} In order; empty when the first chapter does not start at 0:00
+ */
+export function parseChapters(description) {
+  const chapters = [];
+  for (const line of String(description || '').split('\n')) {
+    const match = CHAPTER_LINE_REGEX.exec(line);
+    if (!match) continue;
+    const [, hours, minutes, seconds, title] = match;
+    const startTime = Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds);
+    if (chapters.length > 0 && startTime <= chapters.at(-1).startTime) continue;
+    chapters.push({ startTime, title: title.trim() });
+  }
+  return chapters[0]?.startTime === 0 ? chapters : [];
+}
+
+/**
+ * Parses a metadata date into a point in time; bare dates are midnight UTC.
+ * @param {*} value - String or js-yaml Date
+ * @returns {number|null} Milliseconds since the epoch
+ */
+function parseTime(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.getTime();
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const time = Date.parse(DATE_ONLY_REGEX.test(value.trim()) ? `${value.trim()}T00:00:00Z` : value);
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Works out when an episode was published: analytics.publish_date, else the
+ * last move to released in status_history.
+ * @param {Object} metadata - Episode metadata
+ * @returns {number|null} Milliseconds since the epoch
+ */
+function getPublishTime(metadata) {
+  const published = parseTime(metadata.analytics?.publish_date);
+  if (published !== null) return published;
+  const history = Array.isArray(metadata.status_history) ? metadata.status_history : [];
+  const released = history.filter(entry => entry?.status === 'released').at(-1);
+  return released ? parseTime(released.timestamp) : null;
+}
+
+/**
+ * Finds the podcast audio of an episode in its exports/ folder.
+ * @async
+ * @param {string} episodeDir - Absolute path to the episode folder
+ * @returns {Promise<{file: string, type: string, length: number}|null>} file is relative to the episode folder
+ */
+async function findAudioExport(episodeDir) {
+  let names;
+  try {
+    names = await fs.readdir(path.join(episodeDir, 'exports'));
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null;
+    throw err;
+  }
+  const extensions = Object.keys(AUDIO_TYPES);
+  const audio = names
+    .filter(name => !name.startsWith('.') && extensions.includes(path.extname(name).toLowerCase()))
+    .sort((a, b) => extensions.indexOf(path.extname(a).toLowerCase()) - extensions.indexOf(path.extname(b).toLowerCase()) || a.localeCompare(b));
+  for (const name of audio) {
+    const stat = await fs.stat(path.join(episodeDir, 'exports', name));
+    if (stat.isFile()) {
+      return { file: `exports/${name}`, type: AUDIO_TYPES[path.extname(name).toLowerCase()], length: stat.size };
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks that an episode-relative file exists.
+ * @async
+ * @param {string} episodeDir - Absolute path to the episode folder
+ * @param {*} file - Relative path from metadata
+ * @returns {Promise<boolean>}
+ */
+async function hasEpisodeFile(episodeDir, file) {
+  if (typeof file !== 'string' || !file.trim() || path.isAbsolute(file) || file.split(/[\\/]/).includes('..')) return false;
+  try {
+    return (await fs.stat(path.join(episodeDir, file))).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Collects the released episodes of a feed, newest first.
+ * @async
+ * @param {Array<{path: string, series: string, episode: string, metadata: Object}>} episodes - Indexed episodes
+ * @param {Object} ctx
+ * @param {string} ctx.baseDir - Content root
+ * @param {string|null} [ctx.series] - Only this series
+ * @param {number} ctx.limit - Most items to include
+ * @returns {Promise<Array<Object>>} Items with path, series, episode, title, description, tags, published,
+ *   thumbnail, audio, duration, chapters and episode_number
+ */
+export async function collectFeedItems(episodes, { baseDir, series = null, limit }) {
+  const released = episodes
+    .filter(episode => episode.metadata?.content_status === 'released' && (!series || episode.series === series))
+    .map(episode => ({ episode, published: getPublishTime(episode.metadata) }))
+    .sort((a, b) => (b.published ?? -Infinity) - (a.published ?? -Infinity) || a.episode.path.localeCompare(b.episode.path))
+    .slice(0, limit);
+
+  const items = [];
+  for (const { episode, published } of released) {
+    const metadata = episode.metadata;
+    const episodeDir = path.join(baseDir, episode.path);
+    const description = typeof metadata.description === 'string' ? metadata.description.trim() : '';
+    items.push({
+      path: episode.path,
+      series: episode.series,
+      episode: episode.episode,
+      title: metadata.title || episode.episode,
+      description,
+      tags: (Array.isArray(metadata.tags) ? metadata.tags : []).filter(tag => typeof tag === 'string' && tag.trim()),
+      published,
+      thumbnail: await hasEpisodeFile(episodeDir, metadata.thumbnail) ? metadata.thumbnail : null,
+      audio: await findAudioExport(episodeDir),
+      duration: parseDuration(metadata.recording?.duration_final),
+      chapters: parseChapters(description),
+      episode_number: Number.isInteger(metadata.series?.episode_number) ? metadata.series.episode_number : null
+    });
+  }
+  return items;
+}
+
+/**
+ * Escapes text for XML content and attribute values.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    // Characters XML 1.0 does not allow at all
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats one XML element; text and attributes are escaped, empty values dropped.
+ * @param {string} name - Element name
+ * @param {Object<string, *>} [attributes]
+ * @param {string|null} [text] - Text content; null for an empty element
+ * @returns {string} Empty when the text is empty
+ */
+function element(name, attributes = {}, text = null) {
+  if (text === '') return '';
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  return text === null ? `<${name}${attrs}/>` : `<${name}${attrs}>${escapeXml(text)}</${name}>`;
+}
+
+/**
+ * Formats seconds as HH:MM:SS for Podlove Simple Chapters.
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatClock(seconds) {
+  return [Math.floor(seconds / 3600), Math.floor((seconds % 3600) / 60), seconds % 60]
+    .map(part => String(part).padStart(2, '0'))
+    .join(':');
+}
+
+/**
+ * Builds the absolute URLs a feed links to.
+ * @param {Object} config - From readFeedConfig()
+ * @param {Object} options
+ * @param {string} [options.origin] - Dashboard origin when the feed is served
+ * @param {boolean} [options.isStatic] - Feed is written to output_dir
+ * @returns {Object} URL builders
+ */
+function createFeedUrls(config, { origin = '', isStatic = false }) {
+  const media = config.media_url || (origin ? `${origin}/content/series` : '');
+  const feedsBase = isStatic ? config.feeds_url : (origin ? `${origin}/api/feeds` : '');
+  const encodePath = value => value.split('/').map(encodeURIComponent).join('/');
+  return {
+    site: config.site_url || origin,
+    file: (item, file) => (media ? `${media}/${encodePath(item.series)}/${encodePath(item.episode)}/${encodePath(file)}` : ''),
+    episode: item => (config.episode_url
+      ? config.episode_url.replace(/\{series\}/g, encodeURIComponent(item.series)).replace(/\{episode\}/g, encodeURIComponent(item.episode))
+      : ''),
+    feed: file => (feedsBase ? `${feedsBase}/${file}` : ''),
+    chapters: item => (feedsBase ? `${feedsBase}/${encodePath(item.series)}/${encodePath(item.episode)}/chapters.json` : '')
+  };
+}
+
+/**
+ * Returns the feed file name of a format, as served and as written.
+ * @param {string} format - One of FEED_FORMATS
+ * @param {string|null} series - Series folder, or null for the global feed
+ * @returns {string} e.g. 'my-show/podcast.xml'
+ */
+export function getFeedFileName(format, series) {
+  const file = format === 'atom' ? 'atom.xml' : `${format}.xml`;
+  return series ? `${series}/${file}` : file;
+}
+
+/**
+ * Serializes a feed.
+ * @param {string} format - One of FEED_FORMATS
+ * @param {Array<Object>} items - From collectFeedItems()
+ * @param {Object} ctx
+ * @param {Object} ctx.config - From readFeedConfig()
+ * @param {string|null} ctx.series - Series folder, or null for the global feed
+ * @param {Object} ctx.urls - From createFeedUrls()
+ * @param {Date} [ctx.now] - Build time
+ * @returns {string} XML document
+ */
+export function buildFeed(format, items, { config, series, urls, now = new Date() }) {
+  const seriesConfig = (series && config.series[series]) || {};
+  const channel = {
+    title: seriesConfig.title || (series ? `${config.title}: ${series}` : config.title),
+    description: seriesConfig.description || config.description,
+    image: seriesConfig.image || config.image,
+    self: urls.feed(getFeedFileName(format, series))
+  };
+  if (format === 'atom') return buildAtom(items, { config, channel, urls, now });
+  return buildRss(items, { config, channel, urls, now, podcast: format === 'podcast' ? seriesConfig.podcast : null });
+}
+
+/**
+ * Serializes an RSS 2.0 feed, with iTunes and Podcasting 2.0 tags in podcast mode.
+ * @param {Array<Object>} items
+ * @param {Object} ctx - See buildFeed; `podcast` holds the series' podcast settings
+ * @returns {string}
+ */
+function buildRss(items, { config, channel, urls, now, podcast }) {
+  const namespaces = [
+    'xmlns:atom="http://www.w3.org/2005/Atom"',
+    'xmlns:media="http://search.yahoo.com/mrss/"',
+    ...(podcast ? [
+      'xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"',
+      'xmlns:podcast="https://podcastindex.org/namespace/1.0"',
+      'xmlns:psc="http://podlove.org/simple-chapters"'
+    ] : [])
+  ];
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<rss version="2.0" ${namespaces.join(' ')}>`,
+    '<channel>',
+    element('title', {}, channel.title),
+    element('link', {}, urls.site || channel.self || ''),
+    element('description', {}, channel.description),
+    element('language', {}, config.language),
+    element('lastBuildDate', {}, now.toUTCString()),
+    element('generator', {}, 'Content Workflow Dashboard')
+  ];
+  if (channel.self) lines.push(element('atom:link', { href: channel.self, rel: 'self', type: 'application/rss+xml' }));
+  if (channel.image) {
+    lines.push(`<image>${element('url', {}, channel.image)}${element('title', {}, channel.title)}${element('link', {}, urls.site || channel.self || '')}</image>`);
+  }
+  if (podcast) {
+    const category = podcast.subcategory
+      ? `<itunes:category text="${escapeXml(podcast.category)}">${element('itunes:category', { text: podcast.subcategory })}</itunes:category>`
+      : element('itunes:category', { text: podcast.category });
+    lines.push(
+      element('itunes:author', {}, config.author),
+      element('itunes:explicit', {}, String(podcast.explicit)),
+      element('itunes:type', {}, podcast.type),
+      category
+    );
+    if (channel.image) lines.push(element('itunes:image', { href: channel.image }));
+    if (podcast.owner_name || podcast.owner_email) {
+      lines.push(`<itunes:owner>${element('itunes:name', {}, podcast.owner_name)}${element('itunes:email', {}, podcast.owner_email)}</itunes:owner>`);
+    }
+  }
+
+  for (const item of items) {
+    // Podcast apps need an enclosure, so episodes without audio stay out of podcast feeds
+    if (podcast && !item.audio) continue;
+    const link = urls.episode(item);
+    const thumbnail = item.thumbnail ? urls.file(item, item.thumbnail) : '';
+    const entry = [
+      element('title', {}, item.title),
+      element('link', {}, link),
+      element('guid', { isPermaLink: 'false' }, item.path),
+      item.published !== null ? element('pubDate', {}, new Date(item.published).toUTCString()) : '',
+      element('description', {}, item.description),
+      ...item.tags.map(tag => element('category', {}, tag)),
+      thumbnail ? element('media:thumbnail', { url: thumbnail }) : ''
+    ];
+    if (podcast) {
+      const chaptersUrl = item.chapters.length > 0 ? urls.chapters(item) : '';
+      entry.push(
+        element('enclosure', { url: urls.file(item, item.audio.file), length: item.audio.length, type: item.audio.type }),
+        element('itunes:title', {}, item.title),
+        item.duration ? element('itunes:duration', {}, String(item.duration)) : '',
+        item.episode_number !== null ? element('itunes:episode', {}, String(item.episode_number)) : '',
+        thumbnail ? element('itunes:image', { href: thumbnail }) : '',
+        element('itunes:explicit', {}, String(podcast.explicit)),
+        chaptersUrl ? element('podcast:chapters', { url: chaptersUrl, type: 'application/json+chapters' }) : '',
+        item.chapters.length > 0
+          ? `<psc:chapters version="1.2">${item.chapters.map(chapter => element('psc:chapter', { start: formatClock(chapter.startTime), title: chapter.title })).join('')}</psc:chapters>`
+          : ''
+      );
+    }
+    lines.push(`<item>${entry.join('')}</item>`);
+  }
+
+  lines.push('</channel>', '</rss>');
+  return lines.filter(Boolean).join('\n') + '\n';
+}
+
+/**
+ * Serializes an Atom 1.0 feed.
+ * @param {Array<Object>} items
+ * @param {Object} ctx - See buildFeed
+ * @returns {string}
+ */
+function buildAtom(items, { config, channel, urls, now }) {
+  const updated = items.reduce((latest, item) => Math.max(latest, item.published ?? 0), 0) || now.getTime();
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/"${config.language ? ` xml:lang="${escapeXml(config.language)}"` : ''}>`,
+    element('id', {}, channel.self || `${TAG_AUTHORITY}${channel.title}`),
+    element('title', {}, channel.title),
+    element('subtitle', {}, channel.description),
+    element('updated', {}, new Date(updated).toISOString()),
+    element('generator', {}, 'Content Workflow Dashboard'),
+    `<author>${element('name', {}, config.author || channel.title)}</author>`
+  ];
+  if (channel.self) lines.push(element('link', { rel: 'self', type: 'application/atom+xml', href: channel.self }));
+  if (urls.site) lines.push(element('link', { rel: 'alternate', href: urls.site }));
+  if (channel.image) lines.push(element('logo', {}, channel.image));
+
+  for (const item of items) {
+    const link = urls.episode(item);
+    const thumbnail = item.thumbnail ? urls.file(item, item.thumbnail) : '';
+    const time = new Date(item.published ?? updated).toISOString();
+    const entry = [
+      element('id', {}, `${TAG_AUTHORITY}${item.path}`),
+      element('title', {}, item.title),
+      element('updated', {}, time),
+      item.published !== null ? element('published', {}, time) : '',
+      link ? element('link', { rel: 'alternate', href: link }) : '',
+      element('summary', {}, item.description),
+      ...item.tags.map(tag => element('category', { term: tag })),
+      thumbnail ? element('media:thumbnail', { url: thumbnail }) : ''
+    ];
+    lines.push(`<entry>${entry.join('')}</entry>`);
+  }
+
+  lines.push('</feed>');
+  return lines.filter(Boolean).join('\n') + '\n';
+}
+
+/**
+ * Formats an episode's chapters as Podcasting 2.0 JSON chapters.
+ * @param {Object} item - From collectFeedItems()
+ * @returns {{version: string, chapters: Array<{startTime: number, title: string}>}}
+ */
+export function buildChaptersJson(item) {
+  return { version: '1.2.0', chapters: item.chapters };
+}
+
+/**
+ * Builds a feed of the active content root.
+ * @async
+ * @param {Object} options
+ * @param {string} options.format - One of FEED_FORMATS
+ * @param {string|null} [options.series] - Series folder, or null for the global feed
+ * @param {string} options.origin - Dashboard origin, for default URLs
+ * @returns {Promise<{error?: string, status?: number, xml?: string}>}
+ *   An error with status 404 for an unknown series or a series without podcast mode
+ */
+export async function generateFeed({ format, series = null, origin }) {
+  const paths = getContentPaths();
+  const [config, episodes] = await Promise.all([readFeedConfig(paths.feeds), getIndexedEpisodes()]);
+  if (series && !episodes.some(episode => episode.series === series)) {
+    return { status: 404, error: `Series not found: ${series}` };
+  }
+  if (format === 'podcast' && !(series && config.series[series]?.podcast)) {
+    return { status: 404, error: 'Podcast feeds are served per series once podcast mode is enabled for it in feeds.yml' };
+  }
+
+  const items = await collectFeedItems(episodes, { baseDir: paths.baseDir, series, limit: config.limit });
+  return { xml: buildFeed(format, items, { config, series, urls: createFeedUrls(config, { origin }) }) };
+}
+
+/**
+ * Finds the chapters of one released episode.
+ * @async
+ * @param {string} series - Series folder
+ * @param {string} episode - Episode folder
+ * @returns {Promise<Object|null>} See buildChaptersJson; null when the episode is not released or has no chapters
+ */
+export async function getEpisodeChapters(series, episode) {
+  const paths = getContentPaths();
+  const items = await collectFeedItems(
+    (await getIndexedEpisodes()).filter(entry => entry.series === series && entry.episode === episode),
+    { baseDir: paths.baseDir, series, limit: 1 }
+  );
+  return items[0]?.chapters.length > 0 ? buildChaptersJson(items[0]) : null;
+}
+
+/**
+ * Writes every feed of the active content root as static files to output_dir
+ * (see feeds.yml): the global RSS and Atom feeds, the RSS and Atom feeds of
+ * each series with released episodes, podcast feeds of series in podcast mode
+ * and the chapters of their episodes. URLs need media_url (and feeds_url for
+ * self links and chapters), since the dashboard is not serving these files.
+ * @async
+ * @returns {Promise<{error?: string, output_dir?: string, files?: string[]}>} Written files relative to output_dir
+ */
+export async function writeStaticFeeds() {
+  const paths = getContentPaths();
+  const [config, episodes] = await Promise.all([readFeedConfig(paths.feeds), getIndexedEpisodes()]);
+  if (!config.media_url) {
+    return { error: 'Set media_url in feeds.yml to the public URL of the series folders before writing static feeds' };
+  }
+
+  const outputDir = path.join(paths.baseDir, config.output_dir);
+  const urls = createFeedUrls(config, { isStatic: true });
+  const now = new Date();
+  const files = [];
+  const write = async (file, content) => {
+    await fs.mkdir(path.dirname(path.join(outputDir, file)), { recursive: true });
+    await fs.writeFile(path.join(outputDir, file), content, 'utf8');
+    files.push(file);
+  };
+
+  const allItems = await collectFeedItems(episodes, { baseDir: paths.baseDir, limit: config.limit });
+  for (const format of ['rss', 'atom']) {
+    await write(getFeedFileName(format, null), buildFeed(format, allItems, { config, series: null, urls, now }));
+  }
+
+  const seriesNames = [...new Set(episodes.filter(episode => episode.metadata?.content_status === 'released').map(episode => episode.series))].sort();
+  for (const series of seriesNames) {
+    const items = await collectFeedItems(episodes, { baseDir: paths.baseDir, series, limit: config.limit });
+    const formats = config.series[series]?.podcast ? FEED_FORMATS : ['rss', 'atom'];
+    for (const format of formats) {
+      await write(getFeedFileName(format, series), buildFeed(format, items, { config, series, urls, now }));
+    }
+    if (config.series[series]?.podcast && config.feeds_url) {
+      for (const item of items.filter(entry => entry.audio && entry.chapters.length > 0)) {
+        await write(`${item.series}/${item.episode}/chapters.json`, JSON.stringify(buildChaptersJson(item), null, 2) + '\n');
+      }
+    }
+  }
+
+  return { output_dir: config.output_dir, files };
+}
@@ -0,0 +1,342 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { withFileLock } from './revisions.js';
+
+// Revisions live next to the files they describe, one JSON object per line.
+// The leading dot keeps the file out of the watcher, file lists and search.
+export const HISTORY_FILE = '.history.jsonl';
+
+// Episode files whose writes are recorded
+export const TRACKED_FILES = ['metadata.yml', 'script.md', 'notes.md'];
+
+// Where a change came from
+export const REVISION_SOURCES = ['dashboard', 'mcp', 'external', 'scheduler'];
+
+// Oldest revisions are dropped once an episode has this many
+export const MAX_HISTORY_ENTRIES = 200;
+
+// ...or once .history.jsonl would grow past this size (the newest revision is always kept)
+export const MAX_HISTORY_BYTES = 5 * 1024 * 1024;
+
+// Lines of unchanged context around each hunk of a diff
+const DIFF_CONTEXT_LINES = 2;
+
+// Largest changed region (old lines × new lines) diffed line by line; bigger
+// changes are recorded as removing every old line and adding every new one
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * Splits text into lines, without an empty entry for a trailing newline.
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Builds a line-level edit script between two texts (longest common subsequence).
+ * Common leading and trailing lines are matched up front so typical edits stay cheap.
+ * When the rest is larger than MAX_DIFF_CELLS it is replaced as a whole.
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{op: ' '|'-'|'+', text: string}>}
+ */
+function diffOps(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.slice(0, start).map(text => ({ op: ' ', text })),
+      ...midA.map(text => ({ op: '-', text })),
+      ...midB.map(text => ({ op: '+', text })),
+      ...a.slice(endA).map(text => ({ op: ' ', text }))
+    ];
+  }
+
+  const lengths = Array.from({ length: midA.length + 1 }, () => new Array(midB.length + 1).fill(0));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lengths[i][j] = midA[i] === midB[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map(text => ({ op: ' ', text }));
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      ops.push({ op: ' ', text: midA[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ op: '-', text: midA[i++] });
+    } else {
+      ops.push({ op: '+', text: midB[j++] });
+    }
+  }
+  while (i < midA.length) ops.push({ op: '-', text: midA[i++] });
+  while (j < midB.length) ops.push({ op: '+', text: midB[j++] });
+  ops.push(...a.slice(endA).map(text => ({ op: ' ', text })));
+  return ops;
+}
+
+/**
+ * Creates a unified diff (hunks only, no file headers) between two texts.
+ * @param {string|null} before - Previous content (null for a new file)
+ * @param {string|null} after - New content
+ * @returns {string} Diff text, empty when nothing changed
+ * @example
+ * createUnifiedDiff('a\nb\n', 'a\nc\n')
+ * // '@@ -1,2 +1,2 @@\n a\n-b\n+c\n'
+ */
+export function createUnifiedDiff(before, after) {
+  const ops = diffOps(splitLines(before), splitLines(after));
+  const changed = ops.map((op, index) => (op.op === ' ' ? -1 : index)).filter(index => index !== -1);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows touch into hunks
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= DIFF_CONTEXT_LINES * 2 + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  let output = '';
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - DIFF_CONTEXT_LINES);
+    const to = Math.min(ops.length, hunk.end + DIFF_CONTEXT_LINES + 1);
+    const preceding = ops.slice(0, from);
+    const oldStart = preceding.filter(op => op.op !== '+').length + 1;
+    const newStart = preceding.filter(op => op.op !== '-').length + 1;
+    const lines = ops.slice(from, to);
+    const oldCount = lines.filter(op => op.op !== '+').length;
+    const newCount = lines.filter(op => op.op !== '-').length;
+
+    output += `@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@\n`;
+    output += lines.map(op => `${op.op}${op.text}\n`).join('');
+  }
+  return output;
+}
+
+/**
+ * Reads every revision recorded for an episode, oldest first.
+ * Unreadable lines (e.g. a partial write) are skipped.
+ * @async
+ * @param {string} episodeDir - Absolute path to the episode folder
+ * @returns {Promise<Array<Object>>} Revision entries including file contents
+ */
+async function readEntries(episodeDir) {
+  let content;
+  try {
+    content = await fs.readFile(path.join(episodeDir, HISTORY_FILE), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Ignore a corrupt line rather than losing the rest of the history
+    }
+  }
+  return entries;
+}
+
+/**
+ * Strips stored file contents from an entry for API responses.
+ * @param {Object} entry - Stored revision
+ * @returns {{id: string, timestamp: string, source: string, action: string|null, file: string,
+ *   diff: string, restorable: boolean, restored_from: string|null, override: Object|null}}
+ */
+function summarizeEntry(entry) {
+  return {
+    id: entry.id,
+    timestamp: entry.timestamp,
+    source: entry.source,
+    action: entry.action || null,
+    file: entry.file,
+    diff: entry.diff,
+    restorable: typeof entry.before === 'string',
+    restored_from: entry.restored_from || null,
+    override: entry.override || null
+  };
+}
+
+/**
+ * Lists an episode's revisions, newest first, without file contents.
+ * @async
+ * @param {string} episodeDir - Absolute path to the episode folder
+ * @param {Object} [options]
+ * @param {string} [options.file] - Only revisions of this file
+ * @param {number} [options.limit] - Maximum number of revisions
+ * @returns {Promise<Array<Object>>} Revision summaries
+ * @example
+ * const history = await listRevisions(episodeDir, { file: 'metadata.yml', limit: 20 });
+ */
+export async function listRevisions(episodeDir, { file, limit } = {}) {
+  const entries = (await readEntries(episodeDir))
+    .filter(entry => !file || entry.file === file)
+    .reverse();
+  return entries.slice(0, limit || entries.length).map(summarizeEntry);
+}
+
+/**
+ * Appends a revision to an episode's history, dropping the oldest entries
+ * beyond MAX_HISTORY_ENTRIES or MAX_HISTORY_BYTES.
+ * @async
+ * @param {string} episodeDir - Absolute path to the episode folder
+ * @param {Object} revision
+ * @param {string} revision.file - One of TRACKED_FILES
+ * @param {string} revision.source - One of REVISION_SOURCES
+ * @param {string} [revision.action] - What made the change (e.g. 'update', a tool name)
+ * @param {string|null} revision.before - Content before the change (null if unknown or new)
+ * @param {string} revision.after - Content after the change
+ * @param {string} [revision.restored_from] - Revision id this change restored
+ * @param {{reason: string, from: string, to: string, unmet: string[]}} [revision.override] - Status transition forced past unmet conditions
+ * @returns {Promise<Object>} The stored entry's summary
+ */
+export function recordRevision(episodeDir, { file, source, action, before, after, restored_from: restoredFrom, override }) {
+  const historyPath = path.join(episodeDir, HISTORY_FILE);
+
+  return withFileLock(historyPath, async () => {
+    const entry = {
+      id: `${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`,
+      timestamp: new Date().toISOString(),
+      source,
+      action: action || null,
+      file,
+      diff: createUnifiedDiff(before, after),
+      before: typeof before === 'string' ? before : null,
+      after
+    };
+    if (restoredFrom) entry.restored_from = restoredFrom;
+    if (override) entry.override = override;
+
+    const lines = [...await readEntries(episodeDir), entry].map(e => JSON.stringify(e) + '\n');
+    let first = Math.max(0, lines.length - MAX_HISTORY_ENTRIES);
+    let bytes = lines.slice(first).reduce((total, line) => total + Buffer.byteLength(line), 0);
+    while (bytes > MAX_HISTORY_BYTES && first < lines.length - 1) {
+      bytes -= Buffer.byteLength(lines[first]);
+      first++;
+    }
+
+    if (first > 0) {
+      await fs.writeFile(historyPath, lines.slice(first).join(''), 'utf8');
+    } else {
+      await fs.appendFile(historyPath, lines[lines.length - 1], 'utf8');
+    }
+    return summarizeEntry(entry);
+  });
+}
+
+/**
+ * Writes a tracked episode file and records the change. The revision is
+ * recorded before the write so the file watcher recognises the new content
+ * as already recorded and does not log it again as an external change.
+ * Callers that need to serialize with other writers hold withFileLock(filepath).
+ * @async
+ * @param {string} filepath - Absolute path to metadata.yml, script.md or notes.md
+ * @param {string} content - New file content
+ * @param {Object} options
+ * @param {string} options.source - One of REVISION_SOURCES
+ * @param {string} [options.action] - What made the change
+ * @param {string|null} [options.before] - Current content if already read (read from disk otherwise)
+ * @param {string} [options.restored_from] - Revision id being restored
+ * @param {{reason: string, from: string, to: string, unmet: string[]}} [options.override] - Status transition forced past unmet conditions
+ * @returns {Promise<boolean>} False when the content was unchanged and nothing was written
+ */
+export async function writeTrackedFile(filepath, content, { source, action, before, restored_from: restoredFrom, override } = {}) {
+  let previous = before;
+  if (previous === undefined) {
+    previous = await fs.readFile(filepath, 'utf8').catch(err => {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    });
+  }
+  if (previous === content) return false;
+
+  await recordRevision(path.dirname(filepath), {
+    file: path.basename(filepath),
+    source,
+    action,
+    before: previous,
+    after: content,
+    restored_from: restoredFrom,
+    override
+  });
+  await fs.writeFile(filepath, content, 'utf8');
+  return true;
+}
+
+/**
+ * Records a change the file watcher saw to a tracked file, unless it is
+ * content the dashboard or MCP server already recorded. The previous
+ * content is taken from the last revision of that file; the first change
+ * to a file without history is recorded without one (and cannot be reverted).
+ * @async
+ * @param {string} filepath - Absolute path reported by the watcher
+ * @returns {Promise<Object|null>} The recorded revision, or null if nothing was recorded
+ */
+export async function recordExternalChange(filepath) {
+  const file = path.basename(filepath);
+  if (!TRACKED_FILES.includes(file)) return null;
+
+  const episodeDir = path.dirname(filepath);
+  let content;
+  try {
+    // Only episode folders (with metadata.yml) have a history
+    await fs.access(path.join(episodeDir, 'metadata.yml'));
+    content = await fs.readFile(filepath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+
+  const entries = await readEntries(episodeDir);
+  const last = entries.filter(entry => entry.file === file).pop();
+  if (last && last.after === content) return null;
+
+  return recordRevision(episodeDir, {
+    file,
+    source: 'external',
+    action: null,
+    before: last ? last.after : null,
+    after: content
+  });
+}
+
+/**
+ * Looks up a stored revision including the file contents.
+ * @async
+ * @param {string} episodeDir - Absolute path to the episode folder
+ * @param {string} id - Revision id
+ * @returns {Promise<Object|null>} The entry, or null if there is none with that id
+ */
+export async function getRevision(episodeDir, id) {
+  const entries = await readEntries(episodeDir);
+  return entries.find(entry => entry.id === id) || null;
+}
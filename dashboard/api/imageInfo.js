@@ -0,0 +1,245 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Image types whose headers are read for their dimensions
+export const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+
+// What platforms expect of the images named by their `requires` entries
+// (distribution-profiles.yml). Images outside `formats`, over `max_bytes` or
+// narrower than `min_width` are rejected by the platform; the recommended
+// size and aspect ratios only warn.
+export const IMAGE_SPECS = {
+  thumbnail: {
+    label: 'YouTube thumbnail',
+    formats: ['png', 'jpeg', 'gif'],
+    width: 1280,
+    height: 720,
+    min_width: 640,
+    aspect_ratios: ['16:9'],
+    max_bytes: 2 * 1024 * 1024
+  },
+  featured_image: {
+    label: 'Featured image',
+    width: 1200,
+    // Video frames, Open Graph previews (1200x630) and wide banners
+    aspect_ratios: ['16:9', '1.91:1', '2:1']
+  }
+};
+
+// How far a ratio may be off and still count (1280x720 vs 1280x719)
+const ASPECT_RATIO_TOLERANCE = 0.01;
+
+// Enough for the PNG, GIF and WebP headers; JPEG is read segment by segment
+const HEADER_BYTES = 32;
+const MAX_JPEG_SEGMENTS = 1000;
+
+// JPEG start-of-frame markers carry the dimensions (not DHT C4, JPG C8 or DAC CC)
+const JPEG_SOF_MARKERS = new Set([0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF]);
+
+// Dimensions by path, reused while the file's size and modification time stay
+// the same. The least recently read files are dropped past MAX_CACHED_FILES.
+const MAX_CACHED_FILES = 500;
+const infoCache = new Map();
+
+/**
+ * Reads bytes from an open file.
+ * @async
+ * @param {import('fs/promises').FileHandle} handle - Open file
+ * @param {number} position - Offset to read from
+ * @param {number} length - Bytes to read
+ * @returns {Promise<Buffer>} Shorter than `length` at the end of the file
+ */
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Reads the dimensions from the start of a PNG, GIF or WebP file.
+ * @param {Buffer} header - The first bytes of the file
+ * @returns {{format: string, width: number, height: number}|null} null for other formats
+ */
+function parseHeader(header) {
+  if (header.length >= 24 && header.readUInt32BE(0) === 0x89504E47 && header.toString('ascii', 12, 16) === 'IHDR') {
+    return { format: 'png', width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+  }
+  if (header.length >= 10 && /^GIF8[79]a$/.test(header.toString('ascii', 0, 6))) {
+    return { format: 'gif', width: header.readUInt16LE(6), height: header.readUInt16LE(8) };
+  }
+  if (header.length >= 30 && header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = header.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+      // Lossy: 14-bit sizes after the frame tag and start code
+      return { format: 'webp', width: header.readUInt16LE(26) & 0x3FFF, height: header.readUInt16LE(28) & 0x3FFF };
+    }
+    if (chunk === 'VP8L') {
+      // Lossless: 14-bit sizes minus one, packed after the 0x2F signature
+      const bits = header.readUInt32LE(21);
+      return { format: 'webp', width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      // Extended: 24-bit canvas sizes minus one
+      return { format: 'webp', width: header.readUIntLE(24, 3) + 1, height: header.readUIntLE(27, 3) + 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Walks the segments of a JPEG file to its start-of-frame marker.
+ * @async
+ * @param {import('fs/promises').FileHandle} handle - Open JPEG file
+ * @returns {Promise<{format: string, width: number, height: number}|null>}
+ */
+async function readJpegDimensions(handle) {
+  let position = 2;
+  for (let segment = 0; segment < MAX_JPEG_SEGMENTS; segment++) {
+    const marker = await readAt(handle, position, 9);
+    if (marker.length < 4 || marker[0] !== 0xFF) return null;
+    const type = marker[1];
+    if (type === 0xFF) {
+      // Fill byte before the marker
+      position += 1;
+      continue;
+    }
+    if (type === 0xD8 || type === 0x01 || (type >= 0xD0 && type <= 0xD7)) {
+      // Markers without a length
+      position += 2;
+      continue;
+    }
+    if (type === 0xD9 || type === 0xDA) return null;
+    if (JPEG_SOF_MARKERS.has(type)) {
+      if (marker.length < 9) return null;
+      return { format: 'jpeg', width: marker.readUInt16BE(7), height: marker.readUInt16BE(5) };
+    }
+    position += 2 + marker.readUInt16BE(2);
+  }
+  return null;
+}
+
+/**
+ * Reads the format and pixel size of a PNG, JPEG, GIF or WebP file from its
+ * header, without decoding it.
+ * @async
+ * @param {string} filePath - Absolute path to the image
+ * @returns {Promise<{format: string, width: number, height: number, size: number}|null>}
+ *   null when the file is not one of those formats or its header is damaged
+ * @example
+ * await readImageInfo('/content/assets/thumbnail.png');
+ * // { format: 'png', width: 1280, height: 720, size: 183422 }
+ */
+export async function readImageInfo(filePath) {
+  const stats = await fs.stat(filePath).catch(error => {
+    infoCache.delete(filePath);
+    throw error;
+  });
+  const cached = infoCache.get(filePath);
+  if (cached) {
+    infoCache.delete(filePath);
+    if (cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      infoCache.set(filePath, cached);
+      return cached.info;
+    }
+  }
+
+  const handle = await fs.open(filePath, 'r');
+  let dimensions;
+  try {
+    const header = await readAt(handle, 0, HEADER_BYTES);
+    dimensions = header.length >= 3 && header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF
+      ? await readJpegDimensions(handle)
+      : parseHeader(header);
+  } finally {
+    await handle.close();
+  }
+
+  const info = dimensions && dimensions.width > 0 && dimensions.height > 0
+    ? { ...dimensions, size: stats.size }
+    : null;
+  infoCache.set(filePath, { mtimeMs: stats.mtimeMs, size: stats.size, info });
+  if (infoCache.size > MAX_CACHED_FILES) {
+    infoCache.delete(infoCache.keys().next().value);
+  }
+  return info;
+}
+
+/**
+ * Describes the image of a file listing entry: the dimensions of images whose
+ * header could be read, `{ type: 'image' }` for other images, null for other files.
+ * @async
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<Object|null>}
+ */
+export async function describeImage(filePath) {
+  if (!IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) return null;
+  const info = await readImageInfo(filePath).catch(() => null);
+  if (!info) return { type: 'image' };
+  return {
+    type: 'image',
+    format: info.format,
+    width: info.width,
+    height: info.height,
+    specs: Object.fromEntries(Object.entries(IMAGE_SPECS).map(([name, spec]) => [name, {
+      label: spec.label,
+      ...checkImageSpec(info, spec)
+    }]))
+  };
+}
+
+/**
+ * Parses an aspect ratio such as '16:9' or '1.91:1'.
+ * @param {string} ratio - Width and height separated by a colon
+ * @returns {number} Width divided by height
+ */
+function parseAspectRatio(ratio) {
+  const [width, height] = ratio.split(':').map(Number);
+  return width / height;
+}
+
+/**
+ * Formats a byte count for messages.
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. '2 MB' or '340 KB'
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Checks an image against a platform spec from IMAGE_SPECS.
+ * @param {{format: string, width: number, height: number, size: number}} info - From readImageInfo()
+ * @param {Object} spec - Entry of IMAGE_SPECS
+ * @returns {{errors: string[], warnings: string[]}} Errors are what the platform rejects
+ * @example
+ * checkImageSpec({ format: 'png', width: 1000, height: 1000, size: 3000000 }, IMAGE_SPECS.thumbnail);
+ * // { errors: ['2.9 MB is over the 2 MB limit'], warnings: ['1000x1000 is not 16:9', ...] }
+ */
+export function checkImageSpec(info, spec) {
+  const errors = [];
+  const warnings = [];
+  const dimensions = `${info.width}x${info.height}`;
+
+  if (spec.formats && !spec.formats.includes(info.format)) {
+    errors.push(`${info.format.toUpperCase()} is not accepted (use ${spec.formats.map(format => format.toUpperCase()).join(', ')})`);
+  }
+  if (spec.max_bytes && info.size > spec.max_bytes) {
+    errors.push(`${formatBytes(info.size)} is over the ${formatBytes(spec.max_bytes)} limit`);
+  }
+  if (spec.min_width && info.width < spec.min_width) {
+    errors.push(`${dimensions} is narrower than the minimum ${spec.min_width} pixels`);
+  }
+
+  const ratio = info.width / info.height;
+  const ratios = spec.aspect_ratios ?? [];
+  if (ratios.length > 0 && !ratios.some(expected => Math.abs(ratio / parseAspectRatio(expected) - 1) <= ASPECT_RATIO_TOLERANCE)) {
+    warnings.push(`${dimensions} is not ${ratios.join(' or ')}`);
+  }
+  const recommended = spec.height ? `${spec.width}x${spec.height}` : `${spec.width} pixels wide`;
+  if (spec.width && info.width < spec.width && !(spec.min_width && info.width < spec.min_width)) {
+    warnings.push(`${dimensions} is smaller than the recommended ${recommended}`);
+  }
+
+  return { errors, warnings };
+}
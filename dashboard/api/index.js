@@ -2,32 +2,100 @@ import express from 'express';
 import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { randomBytes } from 'crypto';
 import yaml from 'js-yaml';
 import multer from 'multer';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import {
+  TOOLKIT_DIR,
+  getContentPaths,
+  onWorkspaceChange,
+  listWorkspaces,
+  registerWorkspace,
+  removeWorkspace,
+  activateWorkspace
+} from './workspaces.js';
+import {
+  QUEUE_SECTIONS,
+  readReleaseQueue,
+  writeReleaseQueue,
+  withReleaseQueueLock,
+  validateReleaseGroup,
+  validateQueueItem
+} from './releaseQueue.js';
+import {
+  isValidDistributionId,
+  readDistributionConfig,
+  writeDistributionConfig,
+  withDistributionLock,
+  validateProfile,
+  validatePlatform,
+  findPlatformReferences
+} from './distributionProfiles.js';
+import {
+  getIndexedEpisodes,
+  refreshIndexedEpisode,
+  parseEpisodeQuery,
+  queryEpisodes
+} from './episodeIndex.js';
+import {
+  MAX_QUERY_LENGTH,
+  MAX_SEARCH_RESULTS,
+  parseSearchTerms,
+  searchEpisodes
+} from './search.js';
+import { updateYamlContent } from './yamlRoundTrip.js';
+import { computeRevision, formatETag, matchesIfMatch, withFileLock } from './revisions.js';
+import {
+  HISTORY_FILE,
+  TRACKED_FILES,
+  listRevisions,
+  getRevision,
+  writeTrackedFile
+} from './history.js';
+import { lintWorkspace } from './lint.js';
+import { validateEpisodeUpdate, applyStatusRules } from './episodeMetadata.js';
+import { readWorkflowStages, getSeriesStages } from './workflowStages.js';
+import { readStatusTransitions, checkTransition, checkPlatformRequirements, sanitizeOverrideReason } from './statusTransitions.js';
+import { appendStatusHistory, recordReplacedStatus } from './statusHistory.js';
+import { computeStatusMetrics, DEFAULT_METRIC_WEEKS, MAX_METRIC_WEEKS } from './metrics.js';
+import {
+  carryDependencyStates,
+  markDependency,
+  resolveQueueDependencies,
+  statContentFile
+} from './releaseDependencies.js';
+import { computeReleaseReadiness, parseAtRiskDays } from './releaseReadiness.js';
+import { getReleaseSchedulerStatus, runReleaseScheduler } from './releaseScheduler.js';
+import { FEED_FORMATS, getFeedFileName, generateFeed, getEpisodeChapters, writeStaticFeeds } from './feeds.js';
+import { parseCalendarQuery, collectCalendarEvents, buildICalendar, parseICalendar, matchCalendarEvents, applyCalendarImport } from './calendarFeed.js';
+import { parseBundleInclude, prepareEpisodeBundle, writeEpisodeBundle, importEpisodeBundle } from './episodeBundle.js';
+import { buildPublishPackages, checkPublishReadiness } from './publishPackage.js';
+import { describeImage } from './imageInfo.js';
+import { describeMedia, listEpisodeMedia, getRecordingFromExport } from './mediaInfo.js';
+import {
+  readAssetCatalog,
+  writeAssetCatalog,
+  withAssetCatalogLock,
+  validateAssetEntry,
+  updateAssetEntry,
+  moveAssetEntries,
+  removeAssetEntries,
+  annotateAssetTree
+} from './assetCatalog.js';
+import { MAX_ZIP_BYTES } from './zip.js';
 
 const router = express.Router();
 
-// Base paths (resolved once at module load for security and performance)
-const BASE_DIR = path.join(__dirname, '../..');
-const SERIES_DIR = path.join(BASE_DIR, 'series');
-const ASSETS_DIR = path.join(BASE_DIR, 'assets');
-const TEMPLATES_DIR = path.join(BASE_DIR, 'templates');
-const RELEASE_QUEUE = path.join(BASE_DIR, 'release-queue.yml');
-const DISTRIBUTION_PROFILES = path.join(BASE_DIR, 'distribution-profiles.yml');
-
-// Pre-resolved paths for path traversal checks (resolved once at startup)
-const RESOLVED_SERIES_DIR = path.resolve(SERIES_DIR) + path.sep;
+// Templates ship with the toolkit; content paths (series, assets, release queue,
+// distribution profiles) come from the active workspace via getContentPaths()
+const TEMPLATES_DIR = path.join(TOOLKIT_DIR, 'templates');
 
 // Input validation constants
 const MAX_TITLE_LENGTH = 200;
 const MAX_DESCRIPTION_LENGTH = 5000;
 const MAX_SLUG_LENGTH = 100;
 const MAX_SERIES_NAME_LENGTH = 100;
+const MAX_SCHEDULER_LOG_LIMIT = 500;
 
 // Security: Allowlist for valid slug characters (alphanumeric, hyphens, underscores)
 const VALID_SLUG_REGEX = /^[a-z0-9][a-z0-9-_]*[a-z0-9]$|^[a-z0-9]$/;
@@ -91,8 +159,9 @@ function sanitizeFilename(filename) {
  * isPathWithinAssets('../config.yml') // Returns false (path traversal attempt)
  */
 function isPathWithinAssets(targetPath) {
-  const resolvedPath = path.resolve(ASSETS_DIR, targetPath);
-  const normalizedAssetsDir = path.resolve(ASSETS_DIR);
+  const { assetsDir } = getContentPaths();
+  const resolvedPath = path.resolve(assetsDir, targetPath);
+  const normalizedAssetsDir = path.resolve(assetsDir);
   const relativePath = path.relative(normalizedAssetsDir, resolvedPath);
 
   // Path is within assets if:
@@ -119,8 +188,8 @@ function isAllowedExtension(filename) {
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    // Temporary upload location
-    const uploadDir = path.join(BASE_DIR, 'uploads');
+    // Temporary upload location (inside the content root so the final rename stays on one filesystem)
+    const uploadDir = path.join(getContentPaths().baseDir, 'uploads');
     // Create uploads directory if it doesn't exist
     if (!fsSync.existsSync(uploadDir)) {
       fsSync.mkdirSync(uploadDir, { recursive: true });
@@ -155,6 +224,23 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+// Episode bundles (see episodeBundle.js) share the temporary upload folder but
+// are a single .zip of up to the plain ZIP limit
+const bundleUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_ZIP_BYTES,
+    files: 1
+  },
+  fileFilter: function (req, file, cb) {
+    if (path.extname(file.originalname).toLowerCase() !== '.zip') {
+      cb(new Error('Episode bundles must be .zip files'), false);
+      return;
+    }
+    cb(null, true);
+  }
+});
+
 // Cached metadata template (loaded once at startup, deep cloned on use)
 let cachedMetadataTemplate = null;
 
@@ -200,9 +286,14 @@ async function getMetadataTemplate() {
   return JSON.parse(JSON.stringify(cachedMetadataTemplate));
 }
 
-// Cached distribution profiles (loaded once at startup)
+// Cached distribution profiles (loaded once per workspace)
 let cachedDistributionProfiles = null;
 
+// Profiles belong to the content root, so drop the cache when the workspace changes
+onWorkspaceChange(() => {
+  cachedDistributionProfiles = null;
+});
+
 /**
  * Returns cached distribution profiles from distribution-profiles.yml.
  * Loads the file on first call and caches it for subsequent requests.
@@ -216,7 +307,7 @@ let cachedDistributionProfiles = null;
 async function getDistributionProfiles() {
   if (cachedDistributionProfiles === null) {
     try {
-      const content = await fs.readFile(DISTRIBUTION_PROFILES, 'utf8');
+      const content = await fs.readFile(getContentPaths().distributionProfiles, 'utf8');
       cachedDistributionProfiles = yaml.load(content) || {};
     } catch (err) {
       if (err.code === 'ENOENT') {
@@ -350,33 +441,6 @@ async function readYamlFile(filepath) {
   }
 }
 
-/**
- * Writes data to a YAML file with consistent formatting.
- * Uses 2-space indentation and preserves string formatting.
- * @async
- * @param {string} filepath - The absolute path to write the YAML file
- * @param {Object} data - The JavaScript object to serialize to YAML
- * @returns {Promise<void>}
- * @throws {Error} If the file cannot be written
- * @example
- * await writeYamlFile('/path/to/metadata.yml', { title: 'New Title', status: 'draft' });
- */
-async function writeYamlFile(filepath, data) {
-  try {
-    const content = yaml.dump(data, {
-      indent: 2,
-      lineWidth: -1,
-      noRefs: true,
-      quotingType: '"',
-      forceQuotes: false
-    });
-    await fs.writeFile(filepath, content, 'utf8');
-  } catch (error) {
-    console.error(`Error writing YAML file ${filepath}:`, error);
-    throw error;
-  }
-}
-
 /**
  * Deep merges source object into target object, modifying target in place.
  * Nested objects are merged recursively; arrays and primitives are overwritten.
@@ -402,225 +466,6 @@ function deepMerge(target, source) {
   return target;
 }
 
-/**
- * Validates and sanitizes episode metadata updates.
- * Checks field types, lengths, and allowed values. Sanitizes strings by
- * removing control characters and trimming whitespace.
- * @param {Object} updates - The update fields to validate
- * @param {string} [updates.title] - Episode title (max 200 chars)
- * @param {string} [updates.description] - Episode description (max 10000 chars)
- * @param {string} [updates.content_status] - Status: 'draft'|'ready'|'staged'|'released'
- * @param {string[]} [updates.tags] - Array of tag strings
- * @param {Object} [updates.workflow] - Workflow progress flags
- * @param {Object} [updates.release] - Release scheduling info
- * @returns {{errors: string[], sanitized: Object}} Validation errors and sanitized values
- * @example
- * const { errors, sanitized } = validateEpisodeUpdate({ title: 'New Title', content_status: 'ready' });
- * if (errors.length === 0) {
- *   // Apply sanitized updates
- * }
- */
-function validateEpisodeUpdate(updates) {
-  const errors = [];
-  const sanitized = {};
-
-  // Allowed top-level fields that can be updated
-  const allowedFields = [
-    'title',
-    'description',
-    'content_status',
-    'tags',
-    'workflow',
-    'release'
-  ];
-
-  // Allowed content_status values
-  const validContentStatuses = ['draft', 'ready', 'staged', 'released'];
-
-  // Allowed workflow fields
-  const validWorkflowFields = ['scripted', 'recorded', 'edited', 'thumbnail_created', 'uploaded', 'published'];
-
-  // Allowed release fields
-  const validReleaseFields = ['target_date', 'release_group', 'depends_on', 'notes'];
-
-  for (const key of Object.keys(updates)) {
-    if (!allowedFields.includes(key)) {
-      errors.push(`Field '${key}' is not allowed to be updated`);
-      continue;
-    }
-
-    switch (key) {
-    case 'title':
-      if (typeof updates.title !== 'string') {
-        errors.push('Title must be a string');
-      } else if (updates.title.length > 200) {
-        errors.push('Title must be 200 characters or less');
-      } else {
-        // Sanitize: trim and remove control characters
-        const sanitizedTitle = updates.title.trim().replace(/[\x00-\x1F\x7F]/g, '');
-        if (sanitizedTitle.length === 0) {
-          errors.push('Title cannot be empty after sanitization');
-        } else {
-          sanitized.title = sanitizedTitle;
-        }
-      }
-      break;
-
-    case 'description':
-      if (typeof updates.description !== 'string') {
-        errors.push('Description must be a string');
-      } else if (updates.description.length > 10000) {
-        errors.push('Description must be 10000 characters or less');
-      } else {
-        // Sanitize: trim and remove control characters (except newlines)
-        sanitized.description = updates.description.trim().replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
-      }
-      break;
-
-    case 'content_status':
-      if (!validContentStatuses.includes(updates.content_status)) {
-        errors.push(`Content status must be one of: ${validContentStatuses.join(', ')}`);
-      } else {
-        sanitized.content_status = updates.content_status;
-      }
-      break;
-
-    case 'tags':
-      if (!Array.isArray(updates.tags)) {
-        errors.push('Tags must be an array');
-      } else {
-        // Sanitize each tag
-        sanitized.tags = updates.tags
-          .filter(tag => typeof tag === 'string' && tag.trim().length > 0)
-          .map(tag => tag.trim().replace(/[\x00-\x1F\x7F]/g, '').substring(0, 100));
-      }
-      break;
-
-    case 'workflow':
-      if (typeof updates.workflow !== 'object' || updates.workflow === null) {
-        errors.push('Workflow must be an object');
-      } else {
-        const workflowUpdates = {};
-        for (const wfKey of Object.keys(updates.workflow)) {
-          if (!validWorkflowFields.includes(wfKey)) {
-            errors.push(`Workflow field '${wfKey}' is not valid`);
-          } else if (typeof updates.workflow[wfKey] !== 'boolean') {
-            errors.push(`Workflow field '${wfKey}' must be a boolean`);
-          } else {
-            workflowUpdates[wfKey] = updates.workflow[wfKey];
-          }
-        }
-        // Only add workflow if there are valid fields to update
-        if (Object.keys(workflowUpdates).length > 0) {
-          sanitized.workflow = workflowUpdates;
-        }
-      }
-      break;
-
-    case 'release':
-      if (typeof updates.release !== 'object' || updates.release === null) {
-        errors.push('Release must be an object');
-      } else {
-        sanitized.release = {};
-        for (const relKey of Object.keys(updates.release)) {
-          if (!validReleaseFields.includes(relKey)) {
-            errors.push(`Release field '${relKey}' is not valid`);
-          } else {
-            switch (relKey) {
-            case 'target_date':
-              if (updates.release.target_date !== null && updates.release.target_date !== '') {
-                // Validate date format (YYYY-MM-DD)
-                const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-                if (!dateRegex.test(updates.release.target_date)) {
-                  errors.push('Target date must be in YYYY-MM-DD format');
-                } else {
-                  // Validate date is actually valid (e.g., not Feb 30)
-                  const [year, month, day] = updates.release.target_date.split('-').map(Number);
-                  const date = new Date(year, month - 1, day);
-                  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
-                    errors.push('Target date must be a valid date');
-                  } else {
-                    sanitized.release.target_date = updates.release.target_date;
-                  }
-                }
-              } else {
-                sanitized.release.target_date = '';
-              }
-              break;
-            case 'release_group':
-              sanitized.release.release_group = String(updates.release.release_group || '').trim();
-              break;
-            case 'notes':
-              sanitized.release.notes = String(updates.release.notes || '').trim().substring(0, 2000);
-              break;
-            case 'depends_on':
-              if (Array.isArray(updates.release.depends_on)) {
-                sanitized.release.depends_on = updates.release.depends_on
-                  .filter(dep => typeof dep === 'string')
-                  .map(dep => dep.trim().substring(0, 200));
-              }
-              break;
-            }
-          }
-        }
-      }
-      break;
-    }
-  }
-
-  return { errors, sanitized };
-}
-
-/**
- * Recursively scans a directory for episode folders containing metadata.yml.
- * Returns an array of episode objects with their path, series, and metadata.
- * @async
- * @param {string} dir - The directory path to scan
- * @returns {Promise<Array<{path: string, series: string, episode: string, metadata: Object}>>}
- *   Array of episode objects
- * @example
- * const episodes = await scanForEpisodes('/path/to/series');
- * // Returns [{ path: 'series/show/ep1', series: 'show', episode: 'ep1', metadata: {...} }, ...]
- */
-async function scanForEpisodes(dir) {
-  const episodes = [];
-
-  try {
-    const entries = await fs.readdir(dir, { withFileTypes: true });
-
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
-
-      if (entry.isDirectory()) {
-        // Check if this directory contains a metadata.yml file
-        const metadataPath = path.join(fullPath, 'metadata.yml');
-        try {
-          await fs.access(metadataPath);
-          // This is an episode directory
-          const metadata = await readYamlFile(metadataPath);
-          const relativePath = path.relative(BASE_DIR, fullPath);
-          const pathParts = relativePath.split(path.sep);
-
-          episodes.push({
-            path: relativePath,
-            series: pathParts[1] || 'unknown',
-            episode: entry.name,
-            metadata: metadata
-          });
-        } catch (err) {
-          // No metadata.yml, might contain subdirectories
-          const subEpisodes = await scanForEpisodes(fullPath);
-          episodes.push(...subEpisodes);
-        }
-      }
-    }
-  } catch (error) {
-    console.error(`Error scanning directory ${dir}:`, error);
-  }
-
-  return episodes;
-}
-
 /**
  * Builds a hierarchical directory tree with detailed file information.
  * Includes file sizes, modification times, and identifies image files.
@@ -657,13 +502,10 @@ async function getDirectoryTree(dir, relativeTo = dir) {
         const stats = await fs.stat(fullPath);
         const ext = path.extname(entry.name).toLowerCase();
 
-        // Get image dimensions for image files
-        let dimensions = null;
-        if (['.png', '.jpg', '.jpeg', '.gif', '.webp'].includes(ext)) {
-          // Note: We could use sharp or similar library for actual dimensions
-          // For now, we'll just mark it as an image
-          dimensions = { type: 'image' };
-        }
+        // Image files get their size and platform spec checks from the header
+        const dimensions = await describeImage(fullPath);
+        // Video and audio files get their duration, resolution and codecs the same way
+        const media = await describeMedia(fullPath);
 
         tree.children.push({
           name: entry.name,
@@ -672,7 +514,8 @@ async function getDirectoryTree(dir, relativeTo = dir) {
           ext: ext,
           size: stats.size,
           modified: stats.mtime,
-          dimensions: dimensions
+          dimensions: dimensions,
+          media: media
         });
         tree.fileCount += 1;
       }
@@ -692,15 +535,94 @@ async function getDirectoryTree(dir, relativeTo = dir) {
   return tree;
 }
 
+/**
+ * Lists the files and folders of an episode directory for the episode modal,
+ * followed by the media files in raw/ and exports/ (named with their folder,
+ * e.g. 'exports/final.mp4'). The revision history file is internal and left out.
+ * Reading image and media headers is left to the files endpoint, so episode
+ * reads and writes only stat the files.
+ * @async
+ * @param {string} episodePath - Absolute path to the episode folder
+ * @param {Object} [options]
+ * @param {boolean} [options.describe=false] - Add `dimensions` (as from describeImage())
+ *   and `media` (as from describeMedia()) to every entry
+ * @returns {Promise<Array<{name: string, type: string, size: number, modified: Date, ext: string, dimensions?: Object|null, media?: Object|null}>>}
+ */
+async function listEpisodeFiles(episodePath, { describe = false } = {}) {
+  const fileEntries = await fs.readdir(episodePath, { withFileTypes: true });
+  const files = await Promise.all(
+    fileEntries
+      .filter(entry => entry.name !== HISTORY_FILE)
+      .map(async (entry) => {
+        const filePath = path.join(episodePath, entry.name);
+        const stats = await fs.stat(filePath);
+        const isDirectory = entry.isDirectory();
+        const file = {
+          name: entry.name,
+          type: isDirectory ? 'directory' : 'file',
+          size: stats.size,
+          modified: stats.mtime,
+          ext: path.extname(entry.name).toLowerCase()
+        };
+        if (describe) {
+          file.dimensions = isDirectory ? null : await describeImage(filePath);
+          file.media = isDirectory ? null : await describeMedia(filePath);
+        }
+        return file;
+      })
+  );
+  const media = await listEpisodeMedia(episodePath, { describe });
+  return [...files, ...media.map(file => ({ ...file, type: 'file', ...(describe ? { dimensions: null } : {}) }))];
+}
+
+/**
+ * Resolves the folder of an existing episode from route parameters.
+ * @async
+ * @param {Object} params - Express route params with series and episode
+ * @returns {Promise<{error?: string, status?: number, episodePath?: string}>}
+ */
+async function resolveEpisodeDir({ series, episode }) {
+  if (series.includes('..') || series.includes('/') || series.includes('\\') ||
+      episode.includes('..') || episode.includes('/') || episode.includes('\\')) {
+    return { error: 'Invalid series or episode name', status: 400 };
+  }
+
+  const { seriesDir, resolvedSeriesDir } = getContentPaths();
+  const episodePath = path.join(seriesDir, series, episode);
+  if (!path.resolve(episodePath).startsWith(resolvedSeriesDir)) {
+    return { error: 'Invalid path detected', status: 400 };
+  }
+
+  try {
+    await fs.access(path.join(episodePath, 'metadata.yml'));
+  } catch {
+    return { error: 'Episode not found', status: 404 };
+  }
+  return { episodePath };
+}
+
 // API Routes
 
-// GET /api/episodes - List all episodes with metadata
+// GET /api/episodes - List episodes with metadata
+// Query: series, status, tag, release_group (comma separated), from/to (YYYY-MM-DD)
+// on date_field (target_date | publish_date), sort, order (asc | desc), page, limit
 router.get('/episodes', async (req, res) => {
   try {
-    const episodes = await scanForEpisodes(SERIES_DIR);
+    const { errors, options } = parseEpisodeQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors: errors
+      });
+    }
+
+    const { episodes, total, page, limit } = queryEpisodes(await getIndexedEpisodes(), options);
     res.json({
       success: true,
       count: episodes.length,
+      total,
+      page,
+      limit,
       episodes: episodes
     });
   } catch (error) {
@@ -715,36 +637,28 @@ router.get('/episodes', async (req, res) => {
 router.get('/episodes/:series/:episode', async (req, res) => {
   try {
     const { series, episode } = req.params;
-    const episodePath = path.join(SERIES_DIR, series, episode);
+    const { baseDir, seriesDir } = getContentPaths();
+    const episodePath = path.join(seriesDir, series, episode);
     const metadataPath = path.join(episodePath, 'metadata.yml');
 
     // Check if episode exists
     await fs.access(episodePath);
 
-    // Read metadata
-    const metadata = await readYamlFile(metadataPath);
+    // Read metadata; its content hash is the revision clients send back in If-Match
+    const content = await fs.readFile(metadataPath, 'utf8');
+    const metadata = yaml.load(content);
+    const revision = computeRevision(content);
 
     // Get list of files in episode directory with details
-    const fileEntries = await fs.readdir(episodePath, { withFileTypes: true });
-    const files = await Promise.all(
-      fileEntries.map(async (entry) => {
-        const filePath = path.join(episodePath, entry.name);
-        const stats = await fs.stat(filePath);
-        return {
-          name: entry.name,
-          type: entry.isDirectory() ? 'directory' : 'file',
-          size: stats.size,
-          modified: stats.mtime,
-          ext: path.extname(entry.name).toLowerCase()
-        };
-      })
-    );
+    const files = await listEpisodeFiles(episodePath);
 
+    res.set('ETag', formatETag(revision));
     res.json({
       success: true,
       series: series,
       episode: episode,
-      path: path.relative(BASE_DIR, episodePath),
+      path: path.relative(baseDir, episodePath),
+      revision: revision,
       metadata: metadata,
       files: files
     });
@@ -756,11 +670,86 @@ router.get('/episodes/:series/:episode', async (req, res) => {
   }
 });
 
-// PATCH /api/episodes/:series/:episode - Update episode metadata
+/**
+ * Checks a change of content_status against status-transitions.yml. Every
+ * write to metadata.yml that can change the status (PATCH, restoring a
+ * revision, importing a bundle over an episode) goes through this check.
+ * @async
+ * @param {Object} current - Parsed metadata.yml as it is
+ * @param {Object} next - Parsed metadata.yml as it will be written
+ * @param {Object} ctx
+ * @param {string} ctx.series - Series folder, for its workflow stages
+ * @param {string} ctx.episodePath - Absolute path to the episode folder
+ * @param {string} [ctx.overrideReason] - Sanitized ?override reason
+ * @param {Array<{id: string, label: string}>} [ctx.stages] - Workflow stages, if already loaded
+ * @param {Object} [ctx.distribution] - Distribution profiles, if already loaded
+ * @returns {Promise<{refused?: Object, override?: Object}>} `refused` with from, to and
+ *   unmet when the move is not allowed; `override` for the revision when it was forced
+ */
+async function checkStatusChange(current, next, { series, episodePath, overrideReason, stages, distribution }) {
+  const from = current?.content_status || 'draft';
+  const to = next?.content_status || 'draft';
+  if (to === from) return {};
+
+  const unmet = await checkTransition(next, to, {
+    config: await readStatusTransitions(getContentPaths().statusTransitions),
+    episodePath,
+    stages: stages ?? getSeriesStages(await readWorkflowStages(getContentPaths().workflowStages), series),
+    distribution: distribution ?? await getDistributionProfiles()
+  });
+  if (unmet.length === 0) return {};
+  if (!overrideReason) return { refused: { from, to, unmet } };
+
+  console.warn(`Status override on ${path.relative(getContentPaths().seriesDir, episodePath)} (${from} -> ${to}): ${overrideReason}`);
+  return { override: { reason: overrideReason, from, to, unmet } };
+}
+
+/**
+ * Sends the 422 for a status change refused by status-transitions.yml.
+ * @param {Object} res - Express response
+ * @param {{from: string, to: string, unmet: string[]}} refused - From checkStatusChange()
+ */
+function sendTransitionRefused(res, { from, to, unmet }) {
+  res.status(422).json({
+    success: false,
+    error: `Cannot move from '${from}' to '${to}': ${unmet.length} condition(s) not met. Send ?override=<reason> to move it anyway.`,
+    from,
+    to,
+    unmet
+  });
+}
+
+/**
+ * Runs checkStatusChange() for metadata.yml content that replaces the current
+ * file as a whole. Content that does not parse has no status to check.
+ * @async
+ * @param {string|null} currentContent - metadata.yml as it is, null when missing
+ * @param {string} content - metadata.yml about to be written
+ * @param {Object} ctx - As for checkStatusChange()
+ * @returns {Promise<{refused?: Object, override?: Object}>}
+ */
+async function checkReplacedMetadata(currentContent, content, ctx) {
+  let current;
+  let next;
+  try {
+    current = currentContent === null ? {} : yaml.load(currentContent) || {};
+    next = yaml.load(content) || {};
+  } catch (err) {
+    if (err instanceof yaml.YAMLException) return {};
+    throw err;
+  }
+  return checkStatusChange(current, next, ctx);
+}
+
+// PATCH /api/episodes/:series/:episode?override=<reason> - Update episode metadata
+// Requires If-Match with the revision from GET; returns 409 with the current
+// version if metadata.yml changed since then, and 422 with the unmet conditions
+// when a status change breaks status-transitions.yml (unless overridden)
 router.patch('/episodes/:series/:episode', async (req, res) => {
   try {
     const { series, episode } = req.params;
     const updates = req.body;
+    const overrideReason = sanitizeOverrideReason(req.query.override);
 
     // Validate request body exists
     if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
@@ -779,12 +768,13 @@ router.patch('/episodes/:series/:episode', async (req, res) => {
       });
     }
 
-    const episodePath = path.join(SERIES_DIR, series, episode);
+    const { baseDir, seriesDir, resolvedSeriesDir } = getContentPaths();
+    const episodePath = path.join(seriesDir, series, episode);
     const metadataPath = path.join(episodePath, 'metadata.yml');
 
-    // Additional security: verify resolved path is within SERIES_DIR
+    // Additional security: verify resolved path is within the series directory
     const resolvedPath = path.resolve(episodePath);
-    if (!resolvedPath.startsWith(RESOLVED_SERIES_DIR)) {
+    if (!resolvedPath.startsWith(resolvedSeriesDir)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid path detected'
@@ -806,8 +796,24 @@ router.patch('/episodes/:series/:episode', async (req, res) => {
       throw err;
     }
 
+    const ifMatch = req.get('If-Match');
+    if (!ifMatch) {
+      return res.status(428).json({
+        success: false,
+        error: 'If-Match header is required. Send the revision (ETag) from GET /api/episodes/:series/:episode.'
+      });
+    }
+
     // Validate and sanitize updates
-    const { errors, sanitized } = validateEpisodeUpdate(updates);
+    const distribution = await getDistributionProfiles();
+    const stageConfig = await readWorkflowStages(getContentPaths().workflowStages);
+    const stages = getSeriesStages(stageConfig, series);
+    const { errors, sanitized } = await validateEpisodeUpdate(updates, {
+      episodePath,
+      profiles: Object.keys(distribution.profiles || {}),
+      platforms: Object.keys(distribution.platforms || {}),
+      workflowStages: stages.map(stage => stage.id)
+    });
 
     if (errors.length > 0) {
       return res.status(400).json({
@@ -823,37 +829,86 @@ router.patch('/episodes/:series/:episode', async (req, res) => {
       });
     }
 
-    // Read existing metadata
-    const metadata = await readYamlFile(metadataPath);
+    // Check the revision and write under one lock so concurrent saves cannot both pass
+    const result = await withFileLock(metadataPath, async () => {
+      const content = await fs.readFile(metadataPath, 'utf8');
+      const currentRevision = computeRevision(content);
+      if (!matchesIfMatch(ifMatch, currentRevision)) {
+        return { conflict: true, revision: currentRevision, metadata: yaml.load(content) };
+      }
+
+      const current = yaml.load(content) || {};
+      const ruleErrors = applyStatusRules(current, sanitized, getCurrentDate());
+      if (ruleErrors.length > 0) {
+        return { invalid: ruleErrors };
+      }
+
+      // Moving to another status must meet its conditions in status-transitions.yml,
+      // checked against the metadata as it will be saved
+      const from = current.content_status || 'draft';
+      const to = sanitized.content_status;
+      const { refused, override } = await checkStatusChange(current, deepMerge(structuredClone(current), sanitized), {
+        series,
+        episodePath,
+        overrideReason,
+        stages,
+        distribution
+      });
+      if (refused) {
+        return { refused };
+      }
+
+      // Dependencies edited as text keep the states already recorded for them
+      if (sanitized.release?.depends_on) {
+        sanitized.release.depends_on = carryDependencyStates(sanitized.release.depends_on, current.release?.depends_on);
+      }
+
+      // Deep merge sanitized updates into the file, keeping its comments and layout;
+      // a status change is added to status_history in the same write
+      const { content: updated, data } = updateYamlContent(content, metadata => {
+        deepMerge(metadata, sanitized);
+        if (to && to !== from) appendStatusHistory(metadata, to, 'dashboard');
+      });
+      await writeTrackedFile(metadataPath, updated, { source: 'dashboard', action: 'update', before: content, override });
+      return { revision: computeRevision(updated), metadata: data };
+    });
+
+    if (result.invalid) {
+      return res.status(400).json({
+        success: false,
+        errors: result.invalid
+      });
+    }
+
+    if (result.refused) {
+      return sendTransitionRefused(res, result.refused);
+    }
 
-    // Deep merge sanitized updates into existing metadata
-    deepMerge(metadata, sanitized);
+    if (result.conflict) {
+      res.set('ETag', formatETag(result.revision));
+      return res.status(409).json({
+        success: false,
+        error: 'Episode was changed since it was loaded. Review the current version and save again.',
+        revision: result.revision,
+        current: result.metadata,
+        submitted: sanitized
+      });
+    }
 
-    // Write updated metadata back to file
-    await writeYamlFile(metadataPath, metadata);
+    const metadata = result.metadata;
+    await refreshIndexedEpisode(episodePath);
 
     // Fetch updated file info
-    const fileEntries = await fs.readdir(episodePath, { withFileTypes: true });
-    const files = await Promise.all(
-      fileEntries.map(async (entry) => {
-        const filePath = path.join(episodePath, entry.name);
-        const stats = await fs.stat(filePath);
-        return {
-          name: entry.name,
-          type: entry.isDirectory() ? 'directory' : 'file',
-          size: stats.size,
-          modified: stats.mtime,
-          ext: path.extname(entry.name).toLowerCase()
-        };
-      })
-    );
+    const files = await listEpisodeFiles(episodePath);
 
+    res.set('ETag', formatETag(result.revision));
     res.json({
       success: true,
       message: 'Episode updated successfully',
       series: series,
       episode: episode,
-      path: path.relative(BASE_DIR, episodePath),
+      path: path.relative(baseDir, episodePath),
+      revision: result.revision,
       metadata: metadata,
       files: files
     });
@@ -866,384 +921,2038 @@ router.patch('/episodes/:series/:episode', async (req, res) => {
   }
 });
 
-// GET /api/releases - Release queue data
-router.get('/releases', async (req, res) => {
+// PATCH /api/episodes/:series/:episode/dependencies/:id - Mark one of release.depends_on
+// Body: { state: pending | met | waived, marked_by }
+router.patch('/episodes/:series/:episode/dependencies/:id', async (req, res) => {
   try {
-    const releaseQueue = await readYamlFile(RELEASE_QUEUE);
+    if (!isObjectBody(req.body)) {
+      return res.status(400).json({ success: false, error: INVALID_BODY_ERROR });
+    }
+    const { error, status, episodePath } = await resolveEpisodeDir(req.params);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const metadataPath = path.join(episodePath, 'metadata.yml');
+    const result = await withFileLock(metadataPath, async () => {
+      const content = await fs.readFile(metadataPath, 'utf8');
+      const current = yaml.load(content) || {};
+      const marked = markDependency(current.release?.depends_on, req.params.id, req.body);
+      if (marked.error) return marked;
+
+      const { content: updated, data } = updateYamlContent(content, metadata => {
+        metadata.release.depends_on = marked.dependencies;
+      });
+      await writeTrackedFile(metadataPath, updated, { source: 'dashboard', action: 'dependency', before: content });
+      return { dependency: marked.dependency, revision: computeRevision(updated), metadata: data };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    await refreshIndexedEpisode(episodePath);
+
+    res.set('ETag', formatETag(result.revision));
     res.json({
       success: true,
-      data: releaseQueue
+      message: `Dependency marked ${result.dependency.state}`,
+      dependency: result.dependency,
+      revision: result.revision,
+      metadata: result.metadata
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    console.error('Error marking episode dependency:', error);
+    res.status(500).json({ success: false, error: 'Failed to mark dependency' });
   }
 });
 
-// GET /api/distribution - Distribution profiles
-router.get('/distribution', async (req, res) => {
+// GET /api/episodes/:series/:episode/history - Recorded revisions, newest first
+// Query: file (metadata.yml, script.md or notes.md), limit
+router.get('/episodes/:series/:episode/history', async (req, res) => {
   try {
-    const distributionProfiles = await readYamlFile(DISTRIBUTION_PROFILES);
-    res.json({
-      success: true,
-      data: distributionProfiles
+    const { error, status, episodePath } = await resolveEpisodeDir(req.params);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const file = typeof req.query.file === 'string' ? req.query.file : '';
+    if (file && !TRACKED_FILES.includes(file)) {
+      return res.status(400).json({
+        success: false,
+        error: `file must be one of: ${TRACKED_FILES.join(', ')}`
+      });
+    }
+    const limit = parseInt(req.query.limit, 10);
+
+    const history = await listRevisions(episodePath, {
+      file: file || undefined,
+      limit: limit > 0 ? limit : undefined
     });
+    res.json({ success: true, history });
   } catch (error) {
+    console.error('Error reading episode history:', error);
     res.status(500).json({
       success: false,
-      error: error.message
+      error: 'Failed to read episode history'
     });
   }
 });
 
-// GET /api/assets - Asset folder structure
-router.get('/assets', async (req, res) => {
+// POST /api/episodes/:series/:episode/history/:id/restore?override=<reason> - Put a
+// file back to how it was before the given revision. The restore is itself recorded,
+// so it can be undone the same way. Restoring another content_status returns 422 like
+// PATCH when it breaks status-transitions.yml (unless overridden).
+router.post('/episodes/:series/:episode/history/:id/restore', async (req, res) => {
   try {
-    const tree = await getDirectoryTree(ASSETS_DIR, BASE_DIR);
-    res.json({
-      success: true,
-      data: tree
+    const overrideReason = sanitizeOverrideReason(req.query.override);
+    const { error, status, episodePath } = await resolveEpisodeDir(req.params);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const revision = await getRevision(episodePath, req.params.id);
+    if (!revision) {
+      return res.status(404).json({ success: false, error: 'Revision not found' });
+    }
+    if (typeof revision.before !== 'string') {
+      return res.status(409).json({
+        success: false,
+        error: `No earlier version of ${revision.file} was recorded for this revision`
+      });
+    }
+
+    const filepath = path.join(episodePath, revision.file);
+    const { changed, content, refused } = await withFileLock(filepath, async () => {
+      let restored = revision.before;
+      let override;
+      // Going back to another status is a status change like any other
+      if (revision.file === 'metadata.yml') {
+        const current = await fs.readFile(filepath, 'utf8').catch(err => {
+          if (err.code === 'ENOENT') return null;
+          throw err;
+        });
+        const check = await checkReplacedMetadata(current, restored, { series: req.params.series, episodePath, overrideReason });
+        if (check.refused) return check;
+        override = check.override;
+        restored = recordReplacedStatus(restored, current, 'dashboard');
+      }
+      const written = await writeTrackedFile(filepath, restored, {
+        source: 'dashboard',
+        action: 'restore',
+        restored_from: revision.id,
+        override
+      });
+      return { changed: written, content: restored };
     });
+    if (refused) {
+      return sendTransitionRefused(res, refused);
+    }
+    if (revision.file === 'metadata.yml') {
+      await refreshIndexedEpisode(episodePath);
+    }
+
+    const result = {
+      success: true,
+      message: changed ? `Restored ${revision.file}` : `${revision.file} already matches that version`,
+      file: revision.file
+    };
+    if (revision.file === 'metadata.yml') {
+      result.revision = computeRevision(content);
+      result.metadata = yaml.load(content);
+      res.set('ETag', formatETag(result.revision));
+    }
+    res.json(result);
   } catch (error) {
+    console.error('Error restoring revision:', error);
     res.status(500).json({
       success: false,
-      error: error.message
+      error: 'Failed to restore revision'
     });
   }
 });
 
-// GET /api/health - Health check
-router.get('/health', (req, res) => {
-  res.json({
-    success: true,
-    status: 'ok',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// GET /api/series - List all series folders
-router.get('/series', async (req, res) => {
+// GET /api/episodes/:series/:episode/export - Download the episode as a zip bundle
+// with a manifest.json of SHA-256 checksums
+// Query: include (comma separated: metadata, script, notes, exports, or all for the
+// whole folder including raw/; default metadata,script,notes)
+router.get('/episodes/:series/:episode/export', async (req, res) => {
   try {
-    const entries = await fs.readdir(SERIES_DIR, { withFileTypes: true });
-    const seriesList = entries
-      .filter(entry => entry.isDirectory())
-      .map(entry => entry.name)
-      .sort();
+    const { series, episode } = req.params;
+    const { error, status, episodePath } = await resolveEpisodeDir(req.params);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+    const { errors, include } = parseBundleInclude(req.query.include);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
 
-    res.json({
-      success: true,
-      series: seriesList
-    });
+    const metadata = yaml.load(await fs.readFile(path.join(episodePath, 'metadata.yml'), 'utf8')) || {};
+    const bundle = await prepareEpisodeBundle(episodePath, { series, episode, include, metadata });
+    if (bundle.error) {
+      return res.status(bundle.status).json({ success: false, error: bundle.error });
+    }
+
+    res.set('Content-Type', 'application/zip');
+    res.attachment(`${series}-${episode}.zip`);
+    await writeEpisodeBundle(bundle, res);
+    res.end();
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    console.error('Error exporting episode bundle:', error);
+    if (res.headersSent) {
+      // Part of the archive is already out; cut it off so it is not taken for a complete one
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({ success: false, error: 'Failed to export episode' });
   }
 });
 
-// POST /api/episodes - Create a new episode
+// POST /api/series/:series/import?override=<reason> - Restore an episode bundle (multipart
+// field "bundle") into a series. Fields: on_conflict (fail | rename | overwrite, default fail)
+// and episode (target folder, defaults to the bundle's). Returns 409 when the folder
+// exists and on_conflict is fail, and 422 when overwriting changes content_status
+// against status-transitions.yml (unless overridden).
+router.post('/series/:series/import', (req, res, next) => {
+  bundleUpload.single('bundle')(req, res, (error) => {
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ success: false, error: 'Episode bundles are limited to 4 GB' });
+    }
+    next(error);
+  });
+}, async (req, res) => {
+  try {
+    const { series } = req.params;
+    if (!isValidSeriesName(series)) {
+      return res.status(400).json({ success: false, error: 'Invalid series name' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'Upload the bundle as the "bundle" field' });
+    }
+
+    const episode = typeof req.body.episode === 'string' && req.body.episode.trim() ? req.body.episode.trim() : undefined;
+    const overrideReason = sanitizeOverrideReason(req.query.override);
+    const result = await importEpisodeBundle(req.file.path, {
+      series,
+      episode,
+      onConflict: req.body.on_conflict || 'fail',
+      paths: getContentPaths(),
+      source: 'dashboard',
+      checkMetadata: (current, content, episodePath) => checkReplacedMetadata(current, content, { series, episodePath, overrideReason })
+    });
+    if (result.refused) {
+      return sendTransitionRefused(res, result.refused);
+    }
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: `Imported ${result.files.length} file(s) into ${result.path}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error importing episode bundle:', error);
+    res.status(500).json({ success: false, error: 'Failed to import episode bundle' });
+  } finally {
+    if (req.file) {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
+  }
+});
+
+/**
+ * Loads what publish packages and readiness checks need for an episode.
+ * @async
+ * @param {string} episodePath - Absolute path to the episode folder
+ * @returns {Promise<{metadata: Object, config: Object, distribution: Object}>}
+ */
+async function loadPublishContext(episodePath) {
+  const [content, config, distribution] = await Promise.all([
+    fs.readFile(path.join(episodePath, 'metadata.yml'), 'utf8'),
+    readStatusTransitions(getContentPaths().statusTransitions),
+    getDistributionProfiles()
+  ]);
+  return { metadata: yaml.load(content) || {}, config, distribution };
+}
+
+// GET /api/episodes/:series/:episode/readiness - Pre-publish check of the episode
+// against each distribution platform: pass, warn or fail per requirement
+router.get('/episodes/:series/:episode/readiness', async (req, res) => {
+  try {
+    const { series, episode } = req.params;
+    const { error, status, episodePath } = await resolveEpisodeDir(req.params);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const report = await checkPublishReadiness(episodePath, await loadPublishContext(episodePath));
+    if (report.error) {
+      return res.status(report.status).json({ success: false, error: report.error });
+    }
+    res.json({ success: true, series, episode, ...report });
+  } catch (error) {
+    console.error('Error checking publish readiness:', error);
+    res.status(500).json({ success: false, error: 'Failed to check publish readiness' });
+  }
+});
+
+// POST /api/episodes/:series/:episode/publish-package - Write a ready-to-paste package
+// per distribution platform into exports/publish/ (youtube.json, blog.md, linkedin.txt, ...)
+// and report the missing inputs of each platform
+router.post('/episodes/:series/:episode/publish-package', async (req, res) => {
+  try {
+    const { series, episode } = req.params;
+    const { error, status, episodePath } = await resolveEpisodeDir(req.params);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const result = await buildPublishPackages(episodePath, await loadPublishContext(episodePath));
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    const written = result.platforms.filter(platform => platform.file).length;
+    res.json({
+      success: true,
+      message: `Wrote ${written} of ${result.platforms.length} publish package(s) to ${result.directory}`,
+      series,
+      episode,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error building publish package:', error);
+    res.status(500).json({ success: false, error: 'Failed to build publish package' });
+  }
+});
+
+// GET /api/episodes/:series/:episode/files - The episode's files with image
+// dimensions and the media info read from their headers
+router.get('/episodes/:series/:episode/files', async (req, res) => {
+  try {
+    const { error, status, episodePath } = await resolveEpisodeDir(req.params);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    res.json({
+      success: true,
+      series: req.params.series,
+      episode: req.params.episode,
+      files: await listEpisodeFiles(episodePath, { describe: true })
+    });
+  } catch (error) {
+    console.error('Error listing episode files:', error);
+    res.status(500).json({ success: false, error: 'Failed to list episode files' });
+  }
+});
+
+// POST /api/episodes/:series/:episode/recording-from-export?override=<reason> - Fill
+// recording.duration_final and recording.format from the final export's container headers
+// Body: { file } (optional, e.g. exports/final.mp4; default the newest media file in exports/)
+// Like every metadata write it is checked against status-transitions.yml (422 unless overridden)
+router.post('/episodes/:series/:episode/recording-from-export', async (req, res) => {
+  try {
+    if (req.body !== undefined && !isObjectBody(req.body)) {
+      return res.status(400).json({ success: false, error: INVALID_BODY_ERROR });
+    }
+    const file = req.body?.file;
+    const overrideReason = sanitizeOverrideReason(req.query.override);
+    if (file !== undefined && typeof file !== 'string') {
+      return res.status(400).json({ success: false, error: 'file must be a path like exports/final.mp4' });
+    }
+    const { series, episode } = req.params;
+    const { error, status, episodePath } = await resolveEpisodeDir(req.params);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const found = getRecordingFromExport(await listEpisodeMedia(episodePath), file);
+    if (found.error) {
+      return res.status(found.status).json({ success: false, error: found.error });
+    }
+
+    const metadataPath = path.join(episodePath, 'metadata.yml');
+    const result = await withFileLock(metadataPath, async () => {
+      const content = await fs.readFile(metadataPath, 'utf8');
+      const { content: updated, data } = updateYamlContent(content, metadata => {
+        deepMerge(metadata, { recording: found.recording });
+      });
+      const { refused, override } = await checkStatusChange(yaml.load(content) || {}, data, { series, episodePath, overrideReason });
+      if (refused) return { refused };
+      await writeTrackedFile(metadataPath, updated, { source: 'dashboard', action: 'recording_from_export', before: content, override });
+      return { revision: computeRevision(updated), metadata: data };
+    });
+    if (result.refused) {
+      return sendTransitionRefused(res, result.refused);
+    }
+    await refreshIndexedEpisode(episodePath);
+
+    res.set('ETag', formatETag(result.revision));
+    res.json({
+      success: true,
+      message: `Set the final duration to ${found.recording.duration_final}${found.recording.format ? ` and the format to ${found.recording.format}` : ''} from ${found.file}`,
+      series,
+      episode,
+      file: found.file,
+      recording: found.recording,
+      revision: result.revision,
+      metadata: result.metadata
+    });
+  } catch (error) {
+    console.error('Error reading recording from export:', error);
+    res.status(500).json({ success: false, error: 'Failed to read the recording from the export' });
+  }
+});
+
+// GET /api/search - Full-text search across metadata, script.md, notes.md and transcripts
+// Query: q (quote phrases), series (comma separated), limit (default 20)
+router.get('/search', async (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const errors = [];
+
+  if (parseSearchTerms(query).length === 0) {
+    errors.push('q must contain at least one term of 2 or more characters');
+  } else if (query.length > MAX_QUERY_LENGTH) {
+    errors.push(`q must be ${MAX_QUERY_LENGTH} characters or less`);
+  }
+
+  let limit = 20;
+  if (req.query.limit !== undefined) {
+    limit = Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+      errors.push(`limit must be an integer between 1 and ${MAX_SEARCH_RESULTS}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      errors: errors
+    });
+  }
+
+  try {
+    let episodes = await getIndexedEpisodes();
+    if (typeof req.query.series === 'string' && req.query.series) {
+      const series = new Set(req.query.series.split(',').map(s => s.trim()));
+      episodes = episodes.filter(ep => series.has(ep.series));
+    }
+
+    const { terms, total, hits } = await searchEpisodes(episodes, query, {
+      baseDir: getContentPaths().baseDir,
+      limit
+    });
+    res.json({
+      success: true,
+      query: query,
+      terms: terms,
+      total: total,
+      count: hits.length,
+      hits: hits
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/releases - Release queue data, plus the resolved dependencies of
+// each release group and queued episode (see resolveQueueDependencies) and the
+// readiness of each group (see computeReleaseReadiness); ?at_risk_days=N sets
+// how close a target date must be to flag a group with draft items
+router.get('/releases', async (req, res) => {
+  try {
+    const atRisk = parseAtRiskDays(req.query.at_risk_days);
+    if (atRisk.error) {
+      return res.status(400).json({
+        success: false,
+        error: atRisk.error
+      });
+    }
+
+    const releaseQueue = await readYamlFile(getContentPaths().releaseQueue);
+    const dependencies = await resolveReleaseDependencies(releaseQueue || {});
+    res.json({
+      success: true,
+      data: releaseQueue,
+      dependencies,
+      readiness: await resolveReleaseReadiness(releaseQueue || {}, dependencies, atRisk.days)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/distribution - Distribution profiles
+router.get('/distribution', async (req, res) => {
+  try {
+    const distributionProfiles = await readYamlFile(getContentPaths().distributionProfiles);
+    res.json({
+      success: true,
+      data: distributionProfiles
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/workflow-stages - Default workflow stages and per-series overrides
+router.get('/workflow-stages', async (req, res) => {
+  try {
+    const { stages, series } = await readWorkflowStages(getContentPaths().workflowStages);
+    res.json({
+      success: true,
+      stages,
+      series
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/assets - Asset folder structure
+router.get('/assets', async (req, res) => {
+  try {
+    const { assetsDir, assetCatalog, baseDir } = getContentPaths();
+    const [tree, catalog] = await Promise.all([getDirectoryTree(assetsDir, baseDir), readAssetCatalog(assetCatalog)]);
+    // Each file carries its asset-catalog.yml entry for filtering and the preview
+    annotateAssetTree(tree, catalog.assets, node => toCatalogKey(path.relative(assetsDir, path.join(baseDir, node.path))));
+    res.json({
+      success: true,
+      data: tree
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Normalizes a path under assets/ to its asset-catalog.yml key.
+ * @param {string} assetPath - Path relative to the assets directory
+ * @returns {string} Forward slashes, no leading, trailing or doubled ones
+ */
+function toCatalogKey(assetPath) {
+  return path.posix.normalize(String(assetPath).split(path.sep).join('/')).replace(/^(\.\/|\/)+|\/+$/g, '');
+}
+
+/**
+ * Resolves the asset file of an /asset-catalog/* route.
+ * @async
+ * @param {string} assetPath - Path under assets/ from the URL
+ * @returns {Promise<{error?: string, status?: number, key?: string}>}
+ */
+async function resolveCatalogAsset(assetPath) {
+  if (!assetPath || !isPathWithinAssets(assetPath)) {
+    return { error: 'Invalid asset path', status: 400 };
+  }
+  const key = toCatalogKey(assetPath);
+  const stats = await fs.stat(path.join(getContentPaths().assetsDir, key)).catch(() => null);
+  if (!key || !stats?.isFile()) {
+    return { error: 'Asset not found', status: 404 };
+  }
+  return { key };
+}
+
+// GET /api/asset-catalog - License, attribution and tags of every cataloged asset
+router.get('/asset-catalog', async (req, res) => {
+  try {
+    const catalog = await readAssetCatalog(getContentPaths().assetCatalog);
+    res.json({ success: true, assets: catalog.assets });
+  } catch (error) {
+    console.error('Error reading asset catalog:', error);
+    res.status(500).json({ success: false, error: 'Failed to read asset catalog' });
+  }
+});
+
+// GET /api/asset-catalog/* - Catalog entry of one asset (path under assets/)
+router.get('/asset-catalog/*', async (req, res) => {
+  try {
+    const { error, status, key } = await resolveCatalogAsset(req.params[0]);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+    const catalog = await readAssetCatalog(getContentPaths().assetCatalog);
+    res.json({ success: true, path: key, entry: catalog.assets[key] || null });
+  } catch (error) {
+    console.error('Error reading asset catalog entry:', error);
+    res.status(500).json({ success: false, error: 'Failed to read asset catalog entry' });
+  }
+});
+
+// PATCH /api/asset-catalog/* - Update the tags, license, attribution, source,
+// expires and notes of an asset; empty values clear a field
+router.patch('/asset-catalog/*', async (req, res) => {
+  try {
+    if (!isObjectBody(req.body)) {
+      return res.status(400).json({ success: false, error: INVALID_BODY_ERROR });
+    }
+    const { error, status, key } = await resolveCatalogAsset(req.params[0]);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+    const { errors, sanitized } = validateAssetEntry(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const { assetCatalog } = getContentPaths();
+    const entry = await withAssetCatalogLock(async () => {
+      const catalog = await readAssetCatalog(assetCatalog);
+      const updated = updateAssetEntry(catalog.assets[key], sanitized);
+      if (updated) catalog.assets[key] = updated;
+      else delete catalog.assets[key];
+      await writeAssetCatalog(assetCatalog, catalog);
+      return updated;
+    });
+
+    res.json({ success: true, message: `Updated catalog entry for ${key}`, path: key, entry });
+  } catch (error) {
+    console.error('Error updating asset catalog entry:', error);
+    res.status(500).json({ success: false, error: 'Failed to update asset catalog entry' });
+  }
+});
+
+// GET /api/health - Health check
+router.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    status: 'ok',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// GET /api/series - List all series folders
+router.get('/series', async (req, res) => {
+  try {
+    const entries = await fs.readdir(getContentPaths().seriesDir, { withFileTypes: true });
+    const seriesList = entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort();
+
+    res.json({
+      success: true,
+      series: seriesList
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/lint - Validate every episode's metadata.yml and release-queue.yml
+router.get('/lint', async (req, res) => {
+  try {
+    const paths = getContentPaths();
+    const ctx = await getReleaseQueueContext();
+    try {
+      ctx.releaseGroups = Object.keys((await readReleaseQueue(paths.releaseQueue)).release_groups);
+    } catch {
+      // An unparseable queue is reported by the lint itself; skip group references
+    }
+    ctx.workflowConfig = await readWorkflowStages(paths.workflowStages);
+
+    const { checked, files } = await lintWorkspace(paths, ctx);
+    res.json({
+      success: true,
+      summary: {
+        files: checked,
+        errors: files.reduce((total, file) => total + file.errors.length, 0),
+        warnings: files.reduce((total, file) => total + file.warnings.length, 0)
+      },
+      files
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/metrics?weeks=12&series=<name> - Time in each status, weekly throughput
+// and per-series cycle time, from the episodes' status_history
+router.get('/metrics', async (req, res) => {
+  try {
+    const weeks = req.query.weeks === undefined ? DEFAULT_METRIC_WEEKS : Number(req.query.weeks);
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_METRIC_WEEKS) {
+      return res.status(400).json({
+        success: false,
+        error: `weeks must be a whole number from 1 to ${MAX_METRIC_WEEKS}`
+      });
+    }
+
+    const series = typeof req.query.series === 'string' ? req.query.series : '';
+    const episodes = (await getIndexedEpisodes()).filter(episode => !series || episode.series === series);
+    res.json({
+      success: true,
+      series: series || null,
+      weeks,
+      metrics: computeStatusMetrics(episodes, { weeks })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/episodes - Create a new episode
 router.post('/episodes', async (req, res) => {
   let episodePath = null; // Track for cleanup on failure
   let episodeCreated = false; // Only true after we successfully create the folder
 
   try {
-    // Validate request body exists (express.json() middleware may not have parsed it)
-    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
-      return res.status(400).json({
+    // Validate request body exists (express.json() middleware may not have parsed it)
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request body. Ensure Content-Type is application/json and body contains valid JSON object.'
+      });
+    }
+
+    const { series, topic, title, description, targetDate, distributionProfile } = req.body;
+
+    // Validate required fields
+    if (!series || typeof series !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Series name is required'
+      });
+    }
+
+    if (!topic || typeof topic !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Topic/slug is required'
+      });
+    }
+
+    if (!title || typeof title !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Title is required'
+      });
+    }
+
+    // Validate input lengths
+    if (title.length > MAX_TITLE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Title must be ${MAX_TITLE_LENGTH} characters or less`
+      });
+    }
+
+    if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Description must be ${MAX_DESCRIPTION_LENGTH} characters or less`
+      });
+    }
+
+    // Slugify and validate the topic
+    const slug = slugify(topic);
+    if (!isValidSlug(slug)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid topic/slug. Use only lowercase letters, numbers, hyphens, and underscores.'
+      });
+    }
+
+    // Validate series name (security: prevent path traversal)
+    const seriesName = series.trim();
+    if (!isValidSeriesName(seriesName)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid series name. Use only letters, numbers, spaces, hyphens, and underscores.'
+      });
+    }
+
+    // Strip HTML tags from title as defense-in-depth
+    // Note: Primary XSS protection is output escaping in the frontend (escapeHtml)
+    // This prevents storing HTML that could cause issues in other contexts (logs, exports, etc.)
+    const sanitizedTitle = title.replace(/<[^>]*>/g, '').trim();
+    if (!sanitizedTitle) {
+      return res.status(400).json({
+        success: false,
+        error: 'Title cannot be empty after removing HTML tags'
+      });
+    }
+
+    // Strip HTML from description if provided (defense-in-depth)
+    const sanitizedDescription = description
+      ? description.replace(/<[^>]*>/g, '').trim()
+      : '';
+
+    // Validate targetDate format if provided (YYYY-MM-DD)
+    if (targetDate) {
+      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+      if (!dateRegex.test(targetDate)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid target date format. Use YYYY-MM-DD.'
+        });
+      }
+      // Validate it's a real date (not just valid format)
+      // Parse and verify the date components match what was provided
+      const [year, month, day] = targetDate.split('-').map(Number);
+      const parsedDate = new Date(year, month - 1, day);
+      if (parsedDate.getFullYear() !== year ||
+          parsedDate.getMonth() !== month - 1 ||
+          parsedDate.getDate() !== day) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid target date.'
+        });
+      }
+    }
+
+    // Validate distribution profile if provided (uses cached profiles)
+    if (distributionProfile) {
+      try {
+        const profiles = await getDistributionProfiles();
+        const validProfiles = Object.keys(profiles.profiles || {});
+        // Only validate if profiles exist; empty profiles means accept any
+        if (validProfiles.length > 0 && !validProfiles.includes(distributionProfile)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid distribution profile. Valid options: ${validProfiles.join(', ')}`
+          });
+        }
+      } catch (err) {
+        console.error('Error reading distribution profiles:', err.message);
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to validate distribution profile'
+        });
+      }
+    }
+
+    // Create paths
+    const date = getCurrentDate();
+    const episodeFolderName = `${date}-${slug}`;
+    const { seriesDir, resolvedSeriesDir } = getContentPaths();
+    const seriesPath = path.join(seriesDir, seriesName);
+    episodePath = path.join(seriesPath, episodeFolderName);
+
+    // Security: ensure paths are within the series directory using pre-resolved path + separator
+    // The trailing separator prevents prefix matching (e.g., /series-evil matching /series)
+    const resolvedEpisodePath = path.resolve(episodePath);
+    if (!resolvedEpisodePath.startsWith(resolvedSeriesDir)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid path detected'
+      });
+    }
+
+    // Create series folder if it doesn't exist
+    await fs.mkdir(seriesPath, { recursive: true });
+
+    // Create episode folder - use recursive:false to detect if it already exists
+    // This avoids TOCTOU race condition between check and creation
+    try {
+      await fs.mkdir(episodePath, { recursive: false });
+      episodeCreated = true; // Mark that WE created this folder (safe to cleanup on failure)
+    } catch (err) {
+      if (err.code === 'EEXIST') {
+        return res.status(409).json({
+          success: false,
+          error: `Episode folder already exists: ${episodeFolderName}`
+        });
+      }
+      throw err; // Re-throw other errors
+    }
+
+    // Create subdirectories in parallel for better performance
+    await Promise.all([
+      fs.mkdir(path.join(episodePath, 'raw', 'camera'), { recursive: true }),
+      fs.mkdir(path.join(episodePath, 'raw', 'screen'), { recursive: true }),
+      fs.mkdir(path.join(episodePath, 'audio'), { recursive: true }),
+      fs.mkdir(path.join(episodePath, 'assets'), { recursive: true }),
+      fs.mkdir(path.join(episodePath, 'exports'), { recursive: true })
+    ]);
+
+    // Get metadata template (cached for performance)
+    const metadata = await getMetadataTemplate();
+
+    // Update metadata with provided values
+    metadata.title = sanitizedTitle;
+    metadata.content_status = 'draft';
+    metadata.status_history = [];
+    appendStatusHistory(metadata, 'draft', 'dashboard');
+
+    if (sanitizedDescription) {
+      metadata.description = sanitizedDescription;
+    }
+
+    // Ensure nested objects exist
+    metadata.series = metadata.series || {};
+    metadata.series.name = seriesName;
+
+    metadata.recording = metadata.recording || {};
+    metadata.recording.date = date;
+
+    if (targetDate) {
+      metadata.release = metadata.release || {};
+      metadata.release.target_date = targetDate;
+    }
+
+    if (distributionProfile) {
+      metadata.distribution = metadata.distribution || {};
+      metadata.distribution.profile = distributionProfile;
+    }
+
+    // The checklist comes from workflow-stages.yml, not the template
+    const stageConfig = await readWorkflowStages(getContentPaths().workflowStages);
+    metadata.workflow = Object.fromEntries(getSeriesStages(stageConfig, seriesName).map(stage => [stage.id, false]));
+
+    // Write metadata using YAML dump for proper formatting
+    const metadataContent = '# Episode Metadata\n' + yaml.dump(metadata, {
+      lineWidth: -1,  // Don't wrap lines
+      quotingType: '"',
+      forceQuotes: false
+    });
+    const created = { source: 'dashboard', action: 'create', before: null };
+    await writeTrackedFile(path.join(episodePath, 'metadata.yml'), metadataContent, created);
+    await refreshIndexedEpisode(episodePath);
+
+    // Copy script template
+    const scriptTemplatePath = path.join(TEMPLATES_DIR, 'script-template.md');
+    try {
+      let scriptContent = await fs.readFile(scriptTemplatePath, 'utf8');
+      // Update placeholders
+      scriptContent = scriptContent.replace('[Video Title]', sanitizedTitle);
+      scriptContent = scriptContent.replace('[Series Name]', seriesName);
+      scriptContent = scriptContent.replace('[Number/Date]', date);
+      await writeTrackedFile(path.join(episodePath, 'script.md'), scriptContent, created);
+    } catch (err) {
+      // If template doesn't exist, create basic script file
+      const basicScript = `# ${sanitizedTitle}
+
+**Series**: ${seriesName}
+**Episode**: ${date}
+**Target Length**: TBD
+
+---
+
+## Hook (0:00 - 0:30)
+
+## Intro (0:30 - 1:00)
+
+## Main Content
+
+## Recap
+
+## Call to Action
+`;
+      await writeTrackedFile(path.join(episodePath, 'script.md'), basicScript, created);
+    }
+
+    // Create notes.md
+    const notesContent = `# Episode Notes: ${slug}
+
+**Series**: ${seriesName}
+**Date Created**: ${date}
+
+## Ideas & Research
+
+
+## Recording Notes
+
+
+## Edit Notes
+
+
+## Post-Publish Notes
+
+
+## Analytics
+
+| Metric | 24h | 7d | 30d |
+|--------|-----|-----|-----|
+| Views | | | |
+| CTR | | | |
+| Avg Duration | | | |
+
+`;
+    await writeTrackedFile(path.join(episodePath, 'notes.md'), notesContent, created);
+
+    // Return success with created episode data
+    res.status(201).json({
+      success: true,
+      message: 'Episode created successfully',
+      episode: {
+        path: `series/${seriesName}/${episodeFolderName}`,
+        series: seriesName,
+        episode: episodeFolderName,
+        title: sanitizedTitle,
+        description: sanitizedDescription,
+        targetDate: targetDate || null,
+        distributionProfile: distributionProfile || 'full'
+      }
+    });
+
+  } catch (error) {
+    // Log full error details server-side only
+    console.error('Error creating episode:', error);
+
+    // Only clean up if WE created the episode folder (prevents removing pre-existing folders)
+    if (episodeCreated && episodePath) {
+      await removeDirectory(episodePath);
+    }
+
+    // Return generic error message to client (don't leak internal paths/details)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create episode. Please try again.'
+    });
+  }
+});
+
+// ============================================
+// Workspace API Endpoints
+// ============================================
+
+// GET /api/workspaces - List registered content workspaces
+router.get('/workspaces', (req, res) => {
+  const { active, workspaces } = listWorkspaces();
+  res.json({
+    success: true,
+    active,
+    workspaces
+  });
+});
+
+// POST /api/workspaces - Register a new content workspace
+router.post('/workspaces', async (req, res) => {
+  try {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request body. Ensure Content-Type is application/json and body contains valid JSON object.'
+      });
+    }
+
+    const { errors, workspace } = await registerWorkspace(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors: errors
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Workspace "${workspace.name}" registered`,
+      workspace
+    });
+  } catch (error) {
+    console.error('Error registering workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register workspace'
+    });
+  }
+});
+
+// POST /api/workspaces/:id/activate - Switch the active content workspace
+router.post('/workspaces/:id/activate', async (req, res) => {
+  try {
+    const { error, status } = await activateWorkspace(req.params.id);
+    if (error) {
+      return res.status(status).json({
         success: false,
-        error: 'Invalid request body. Ensure Content-Type is application/json and body contains valid JSON object.'
+        error: error
       });
     }
 
-    const { series, topic, title, description, targetDate, distributionProfile } = req.body;
+    const { active, workspaces } = listWorkspaces();
+    res.json({
+      success: true,
+      message: `Switched to workspace "${active}"`,
+      active,
+      workspaces
+    });
+  } catch (error) {
+    console.error('Error switching workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to switch workspace'
+    });
+  }
+});
 
-    // Validate required fields
-    if (!series || typeof series !== 'string') {
-      return res.status(400).json({
+// DELETE /api/workspaces/:id - Unregister a content workspace (files are not touched)
+router.delete('/workspaces/:id', async (req, res) => {
+  try {
+    const { error, status } = await removeWorkspace(req.params.id);
+    if (error) {
+      return res.status(status).json({
         success: false,
-        error: 'Series name is required'
+        error: error
       });
     }
 
-    if (!topic || typeof topic !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Topic/slug is required'
-      });
+    res.json({
+      success: true,
+      message: `Workspace "${req.params.id}" removed`
+    });
+  } catch (error) {
+    console.error('Error removing workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove workspace'
+    });
+  }
+});
+
+// ============================================
+// Release Queue API Endpoints
+// ============================================
+
+const INVALID_BODY_ERROR = 'Invalid request body. Ensure Content-Type is application/json and body contains valid JSON object.';
+const INVALID_GROUP_ID_ERROR = 'Release group id must use lowercase letters, numbers, hyphens, and underscores';
+
+/**
+ * Builds the validation context for release queue edits: known distribution
+ * profiles and platforms, and a check that an episode path exists in the
+ * active workspace.
+ * @async
+ * @returns {Promise<{profiles: string[], platforms: string[], episodeExists: function(string): Promise<boolean>}>}
+ */
+async function getReleaseQueueContext() {
+  const distribution = await getDistributionProfiles();
+  const { baseDir, resolvedSeriesDir } = getContentPaths();
+
+  return {
+    profiles: Object.keys(distribution.profiles || {}),
+    platforms: Object.keys(distribution.platforms || {}),
+    episodeExists: async (episodePath) => {
+      const resolvedPath = path.resolve(baseDir, episodePath);
+      if (!resolvedPath.startsWith(resolvedSeriesDir)) return false;
+      try {
+        await fs.access(path.join(resolvedPath, 'metadata.yml'));
+        return true;
+      } catch {
+        return false;
+      }
     }
+  };
+}
 
-    if (!title || typeof title !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Title is required'
-      });
+/**
+ * Resolves the dependencies of the release queue against the indexed episodes
+ * and the files of the active workspace.
+ * @async
+ * @param {Object} queue - Release queue data
+ * @returns {Promise<{groups: Object, items: Object}>}
+ */
+async function resolveReleaseDependencies(queue) {
+  const { baseDir } = getContentPaths();
+  return resolveQueueDependencies(queue, await getIndexedEpisodes(), {
+    statFile: file => statContentFile(baseDir, file)
+  });
+}
+
+/**
+ * Computes the readiness of each release group against the current content root.
+ * @async
+ * @param {Object} queue - Release queue data
+ * @param {{groups: Object, items: Object}} dependencies - From resolveReleaseDependencies()
+ * @param {number} atRiskDays - How close a target date must be to flag draft items
+ * @returns {Promise<Object<string, Object>>} See computeReleaseReadiness
+ */
+async function resolveReleaseReadiness(queue, dependencies, atRiskDays) {
+  const paths = getContentPaths();
+  const [config, stageConfig, distribution] = await Promise.all([
+    readStatusTransitions(paths.statusTransitions),
+    readWorkflowStages(paths.workflowStages),
+    getDistributionProfiles()
+  ]);
+  return computeReleaseReadiness(queue, await getIndexedEpisodes(), {
+    dependencies,
+    today: getCurrentDate(),
+    atRiskDays,
+    getStages: series => getSeriesStages(stageConfig, series),
+    checkRequirements: (episode, metadata) => checkPlatformRequirements(metadata, {
+      config,
+      distribution,
+      episodePath: path.join(paths.baseDir, episode.path)
+    })
+  });
+}
+
+/**
+ * Checks whether a plain object was supplied as the request body.
+ * @param {*} body - Parsed request body
+ * @returns {boolean}
+ */
+function isObjectBody(body) {
+  return Boolean(body) && typeof body === 'object' && !Array.isArray(body);
+}
+
+/**
+ * Returns the section name of the queue entry for an episode path, or null.
+ * @param {Object} queue - Release queue data
+ * @param {string} episodePath - Episode path (series/<series>/<episode>)
+ * @returns {string|null}
+ */
+function findQueueSection(queue, episodePath) {
+  return QUEUE_SECTIONS.find(section => queue[section].some(item => item.path === episodePath)) || null;
+}
+
+/**
+ * Runs a locked read-modify-write on release-queue.yml and sends the result.
+ * The mutate callback returns `{ status, body }` for errors or `{ body }` on
+ * success; the queue is only written when it reports success.
+ * @async
+ * @param {Object} res - Express response
+ * @param {function(Object): Promise<{status?: number, body: Object}>} mutate - Mutation applied to the queue
+ * @param {number} [successStatus=200] - Status code for a successful write
+ * @returns {Promise<void>}
+ */
+async function updateReleaseQueue(res, mutate, successStatus = 200) {
+  const { status, body } = await withReleaseQueueLock(async () => {
+    const queuePath = getContentPaths().releaseQueue;
+    const queue = await readReleaseQueue(queuePath);
+    const outcome = await mutate(queue);
+    if (!outcome.status) {
+      await writeReleaseQueue(queuePath, queue);
     }
+    return outcome;
+  });
 
-    // Validate input lengths
-    if (title.length > MAX_TITLE_LENGTH) {
-      return res.status(400).json({
-        success: false,
-        error: `Title must be ${MAX_TITLE_LENGTH} characters or less`
-      });
+  res.status(status || successStatus).json(status ? { success: false, ...body } : { success: true, ...body });
+}
+
+// POST /api/releases/groups - Create a release group
+router.post('/releases/groups', async (req, res) => {
+  try {
+    if (!isObjectBody(req.body)) {
+      return res.status(400).json({ success: false, error: INVALID_BODY_ERROR });
     }
 
-    if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+    const { id } = req.body;
+    if (!isValidSlug(id)) {
       return res.status(400).json({
         success: false,
-        error: `Description must be ${MAX_DESCRIPTION_LENGTH} characters or less`
+        error: INVALID_GROUP_ID_ERROR
       });
     }
 
-    // Slugify and validate the topic
-    const slug = slugify(topic);
-    if (!isValidSlug(slug)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid topic/slug. Use only lowercase letters, numbers, hyphens, and underscores.'
-      });
+    const { errors, sanitized } = await validateReleaseGroup(req.body, await getReleaseQueueContext());
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
     }
 
-    // Validate series name (security: prevent path traversal)
-    const seriesName = series.trim();
-    if (!isValidSeriesName(seriesName)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid series name. Use only letters, numbers, spaces, hyphens, and underscores.'
-      });
+    await updateReleaseQueue(res, async (queue) => {
+      if (Object.hasOwn(queue.release_groups, id)) {
+        return { status: 409, body: { error: `Release group '${id}' already exists` } };
+      }
+      sanitized.dependencies = carryDependencyStates(sanitized.dependencies, []);
+      queue.release_groups[id] = sanitized;
+      return { body: { message: 'Release group created', id, group: sanitized } };
+    }, 201);
+  } catch (error) {
+    console.error('Error creating release group:', error);
+    res.status(500).json({ success: false, error: 'Failed to create release group' });
+  }
+});
+
+// PATCH /api/releases/groups/:id - Update a release group
+router.patch('/releases/groups/:id', async (req, res) => {
+  try {
+    if (!isValidSlug(req.params.id)) {
+      return res.status(400).json({ success: false, error: INVALID_GROUP_ID_ERROR });
+    }
+    if (!isObjectBody(req.body)) {
+      return res.status(400).json({ success: false, error: INVALID_BODY_ERROR });
     }
 
-    // Strip HTML tags from title as defense-in-depth
-    // Note: Primary XSS protection is output escaping in the frontend (escapeHtml)
-    // This prevents storing HTML that could cause issues in other contexts (logs, exports, etc.)
-    const sanitizedTitle = title.replace(/<[^>]*>/g, '').trim();
-    if (!sanitizedTitle) {
+    const { errors, sanitized } = await validateReleaseGroup(req.body, await getReleaseQueueContext(), { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const { id } = req.params;
+    await updateReleaseQueue(res, async (queue) => {
+      if (!Object.hasOwn(queue.release_groups, id)) {
+        return { status: 404, body: { error: 'Release group not found' } };
+      }
+      const group = queue.release_groups[id];
+      if (sanitized.dependencies) {
+        sanitized.dependencies = carryDependencyStates(sanitized.dependencies, group.dependencies);
+      }
+      Object.assign(group, sanitized);
+      return { body: { message: 'Release group updated', id, group } };
+    });
+  } catch (error) {
+    console.error('Error updating release group:', error);
+    res.status(500).json({ success: false, error: 'Failed to update release group' });
+  }
+});
+
+// PATCH /api/releases/groups/:id/dependencies/:dependencyId - Mark a group dependency
+// Body: { state: pending | met | waived, marked_by }
+router.patch('/releases/groups/:id/dependencies/:dependencyId', async (req, res) => {
+  try {
+    if (!isValidSlug(req.params.id)) {
+      return res.status(400).json({ success: false, error: INVALID_GROUP_ID_ERROR });
+    }
+    if (!isObjectBody(req.body)) {
+      return res.status(400).json({ success: false, error: INVALID_BODY_ERROR });
+    }
+
+    const { id, dependencyId } = req.params;
+    await updateReleaseQueue(res, async (queue) => {
+      if (!Object.hasOwn(queue.release_groups, id)) {
+        return { status: 404, body: { error: 'Release group not found' } };
+      }
+      const group = queue.release_groups[id];
+      const marked = markDependency(group.dependencies, dependencyId, req.body);
+      if (marked.error) {
+        return { status: marked.status, body: { error: marked.error } };
+      }
+      group.dependencies = marked.dependencies;
+      return { body: { message: `Dependency marked ${marked.dependency.state}`, id, dependency: marked.dependency } };
+    });
+  } catch (error) {
+    console.error('Error marking release group dependency:', error);
+    res.status(500).json({ success: false, error: 'Failed to mark dependency' });
+  }
+});
+
+// DELETE /api/releases/groups/:id - Delete a release group (episodes are not touched)
+router.delete('/releases/groups/:id', async (req, res) => {
+  try {
+    if (!isValidSlug(req.params.id)) {
+      return res.status(400).json({ success: false, error: INVALID_GROUP_ID_ERROR });
+    }
+    const { id } = req.params;
+    await updateReleaseQueue(res, async (queue) => {
+      if (!Object.hasOwn(queue.release_groups, id)) {
+        return { status: 404, body: { error: 'Release group not found' } };
+      }
+      delete queue.release_groups[id];
+      return { body: { message: 'Release group deleted', id } };
+    });
+  } catch (error) {
+    console.error('Error deleting release group:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete release group' });
+  }
+});
+
+// POST /api/releases/:section - Add an episode to the staged, blocked or released list
+router.post('/releases/:section', async (req, res) => {
+  try {
+    const { section } = req.params;
+    if (!QUEUE_SECTIONS.includes(section)) {
+      return res.status(404).json({ success: false, error: `Unknown release queue section '${section}'` });
+    }
+    if (!isObjectBody(req.body)) {
+      return res.status(400).json({ success: false, error: INVALID_BODY_ERROR });
+    }
+
+    const { errors, sanitized } = await validateQueueItem(section, req.body, await getReleaseQueueContext());
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    await updateReleaseQueue(res, async (queue) => {
+      const existing = findQueueSection(queue, sanitized.path);
+      if (existing) {
+        return { status: 409, body: { error: `'${sanitized.path}' is already in the ${existing} list` } };
+      }
+      if (section === 'blocked' && !sanitized.blocked_since) {
+        sanitized.blocked_since = getCurrentDate();
+      }
+      queue[section].push(sanitized);
+      return { body: { message: `Added to ${section}`, section, item: sanitized } };
+    }, 201);
+  } catch (error) {
+    console.error('Error adding release queue item:', error);
+    res.status(500).json({ success: false, error: 'Failed to add release queue item' });
+  }
+});
+
+/**
+ * Validates the section and episode route parameters of a queue item route.
+ * @param {Object} params - Express route params
+ * @returns {{error?: string, status?: number, episodePath?: string}}
+ */
+function parseQueueItemParams({ section, series, episode }) {
+  if (!QUEUE_SECTIONS.includes(section)) {
+    return { error: `Unknown release queue section '${section}'`, status: 404 };
+  }
+  if (series.includes('..') || series.includes('/') || series.includes('\\') ||
+      episode.includes('..') || episode.includes('/') || episode.includes('\\')) {
+    return { error: 'Invalid series or episode name', status: 400 };
+  }
+  return { episodePath: `series/${series}/${episode}` };
+}
+
+// PATCH /api/releases/:section/:series/:episode - Update a queue entry
+router.patch('/releases/:section/:series/:episode', async (req, res) => {
+  try {
+    const { error, status, episodePath } = parseQueueItemParams(req.params);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+    if (!isObjectBody(req.body)) {
+      return res.status(400).json({ success: false, error: INVALID_BODY_ERROR });
+    }
+
+    const { section } = req.params;
+    const { errors, sanitized } = await validateQueueItem(section, req.body, await getReleaseQueueContext(), { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    await updateReleaseQueue(res, async (queue) => {
+      const item = queue[section].find(entry => entry.path === episodePath);
+      if (!item) {
+        return { status: 404, body: { error: `'${episodePath}' is not in the ${section} list` } };
+      }
+      if (sanitized.path && sanitized.path !== episodePath && findQueueSection(queue, sanitized.path)) {
+        return { status: 409, body: { error: `'${sanitized.path}' is already in the release queue` } };
+      }
+      Object.assign(item, sanitized);
+      return { body: { message: 'Release queue item updated', section, item } };
+    });
+  } catch (error) {
+    console.error('Error updating release queue item:', error);
+    res.status(500).json({ success: false, error: 'Failed to update release queue item' });
+  }
+});
+
+// POST /api/releases/:section/:series/:episode/move?override=<reason> - Move a queue entry to another section
+// Moving to released returns 422 with the unmet dependencies of the episode and
+// its release groups, unless overridden
+router.post('/releases/:section/:series/:episode/move', async (req, res) => {
+  try {
+    const { error, status, episodePath } = parseQueueItemParams(req.params);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+    if (!isObjectBody(req.body)) {
+      return res.status(400).json({ success: false, error: INVALID_BODY_ERROR });
+    }
+
+    const { section } = req.params;
+    const { to, ...fields } = req.body;
+    const overrideReason = sanitizeOverrideReason(req.query.override);
+    if (!QUEUE_SECTIONS.includes(to) || to === section) {
       return res.status(400).json({
         success: false,
-        error: 'Title cannot be empty after removing HTML tags'
+        error: `Target section must be one of: ${QUEUE_SECTIONS.filter(s => s !== section).join(', ')}`
       });
     }
 
-    // Strip HTML from description if provided (defense-in-depth)
-    const sanitizedDescription = description
-      ? description.replace(/<[^>]*>/g, '').trim()
-      : '';
+    const { errors, sanitized } = await validateQueueItem(to, fields, await getReleaseQueueContext(), { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
 
-    // Validate targetDate format if provided (YYYY-MM-DD)
-    if (targetDate) {
-      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-      if (!dateRegex.test(targetDate)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid target date format. Use YYYY-MM-DD.'
-        });
+    await updateReleaseQueue(res, async (queue) => {
+      const index = queue[section].findIndex(entry => entry.path === episodePath);
+      if (index === -1) {
+        return { status: 404, body: { error: `'${episodePath}' is not in the ${section} list` } };
       }
-      // Validate it's a real date (not just valid format)
-      // Parse and verify the date components match what was provided
-      const [year, month, day] = targetDate.split('-').map(Number);
-      const parsedDate = new Date(year, month - 1, day);
-      if (parsedDate.getFullYear() !== year ||
-          parsedDate.getMonth() !== month - 1 ||
-          parsedDate.getDate() !== day) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid target date.'
-        });
+
+      // Carry over the fields the target section understands
+      const source = queue[section][index];
+      const carried = to === 'blocked'
+        ? { path: source.path, status: 'blocked', blocked_by: source.blocked_by, blocked_since: getCurrentDate(), notes: source.notes }
+        : {
+          path: source.path,
+          status: to,
+          ...(to === 'staged' ? { target_date: source.target_date } : { release_date: new Date().toISOString() }),
+          distribution: source.distribution || 'full',
+          notes: source.notes
+        };
+      const item = Object.fromEntries(
+        Object.entries({ ...carried, ...sanitized }).filter(([, value]) => value !== undefined)
+      );
+
+      if (to === 'blocked' && !item.blocked_by) {
+        return { status: 400, body: { errors: ['Blocked items need a blocked_by reason'] } };
       }
-    }
 
-    // Validate distribution profile if provided (uses cached profiles)
-    if (distributionProfile) {
-      try {
-        const profiles = await getDistributionProfiles();
-        const validProfiles = Object.keys(profiles.profiles || {});
-        // Only validate if profiles exist; empty profiles means accept any
-        if (validProfiles.length > 0 && !validProfiles.includes(distributionProfile)) {
-          return res.status(400).json({
-            success: false,
-            error: `Invalid distribution profile. Valid options: ${validProfiles.join(', ')}`
-          });
+      if (to === 'released') {
+        const { items } = await resolveReleaseDependencies(queue);
+        const unmet = (items[episodePath]?.unmet ?? []).map(dependency => `${dependency.label} (${dependency.detail})`);
+        if (unmet.length > 0 && !overrideReason) {
+          return {
+            status: 422,
+            body: {
+              error: `'${episodePath}' is not releasable: ${unmet.length} dependency(ies) not met. Send ?override=<reason> to release it anyway.`,
+              unmet
+            }
+          };
+        }
+        if (unmet.length > 0) {
+          console.warn(`Released ${episodePath} with unmet dependencies (${unmet.join('; ')}): ${overrideReason}`);
         }
-      } catch (err) {
-        console.error('Error reading distribution profiles:', err.message);
-        return res.status(500).json({
-          success: false,
-          error: 'Failed to validate distribution profile'
-        });
       }
+
+      queue[section].splice(index, 1);
+      queue[to].push(item);
+      return { body: { message: `Moved to ${to}`, section: to, item } };
+    });
+  } catch (error) {
+    console.error('Error moving release queue item:', error);
+    res.status(500).json({ success: false, error: 'Failed to move release queue item' });
+  }
+});
+
+// DELETE /api/releases/:section/:series/:episode - Remove a queue entry (episode files are not touched)
+router.delete('/releases/:section/:series/:episode', async (req, res) => {
+  try {
+    const { error, status, episodePath } = parseQueueItemParams(req.params);
+    if (error) {
+      return res.status(status).json({ success: false, error });
     }
 
-    // Create paths
-    const date = getCurrentDate();
-    const episodeFolderName = `${date}-${slug}`;
-    const seriesPath = path.join(SERIES_DIR, seriesName);
-    episodePath = path.join(seriesPath, episodeFolderName);
+    const { section } = req.params;
+    await updateReleaseQueue(res, async (queue) => {
+      const index = queue[section].findIndex(entry => entry.path === episodePath);
+      if (index === -1) {
+        return { status: 404, body: { error: `'${episodePath}' is not in the ${section} list` } };
+      }
+      queue[section].splice(index, 1);
+      return { body: { message: `Removed from ${section}`, section, path: episodePath } };
+    });
+  } catch (error) {
+    console.error('Error removing release queue item:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove release queue item' });
+  }
+});
 
-    // Security: ensure paths are within SERIES_DIR using pre-resolved path + separator
-    // The trailing separator prevents prefix matching (e.g., /series-evil matching /series)
-    const resolvedEpisodePath = path.resolve(episodePath);
-    if (!resolvedEpisodePath.startsWith(RESOLVED_SERIES_DIR)) {
+// GET /api/scheduler - Release scheduler settings, due and upcoming releases,
+// the last run and the newest audit log entries (?limit=, default 50)
+router.get('/scheduler', async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SCHEDULER_LOG_LIMIT) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid path detected'
+        error: `limit must be a whole number from 1 to ${MAX_SCHEDULER_LOG_LIMIT}`
       });
     }
+    res.json({ success: true, ...await getReleaseSchedulerStatus({ limit }) });
+  } catch (error) {
+    console.error('Error reading release scheduler status:', error);
+    res.status(500).json({ success: false, error: 'Failed to read release scheduler status' });
+  }
+});
+
+// POST /api/scheduler/run - Check for due releases now ({ dry_run: true } only logs
+// what would happen; defaults to dry_run in release-scheduler.yml)
+router.post('/scheduler/run', async (req, res) => {
+  try {
+    const body = req.body ?? {};
+    if (!isObjectBody(body)) {
+      return res.status(400).json({ success: false, error: INVALID_BODY_ERROR });
+    }
+    if (body.dry_run !== undefined && typeof body.dry_run !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'dry_run must be true or false' });
+    }
+    res.json({ success: true, ...await runReleaseScheduler({ dryRun: body.dry_run }) });
+  } catch (error) {
+    console.error('Error running release scheduler:', error);
+    res.status(500).json({ success: false, error: 'Failed to run release scheduler' });
+  }
+});
+
+// GET /api/calendar.ics - Release schedule as an iCalendar feed: episode target and
+// publish dates, release groups and staged items (?series=, ?status= comma separated)
+router.get('/calendar.ics', async (req, res) => {
+  try {
+    const { errors, options } = parseCalendarQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+    const queue = await readReleaseQueue(getContentPaths().releaseQueue);
+    const events = collectCalendarEvents(await getIndexedEpisodes(), queue, options);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="releases.ics"');
+    res.send(buildICalendar(events));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ success: false, error: 'Failed to build calendar feed' });
+  }
+});
 
-    // Create series folder if it doesn't exist
-    await fs.mkdir(seriesPath, { recursive: true });
+// POST /api/calendar/import - Set episode target dates from an .ics file
+// Body: { ics, dry_run }. Events match episodes by feed UID or title;
+// dry_run only reports what would change
+router.post('/calendar/import', async (req, res) => {
+  try {
+    const body = req.body;
+    if (!isObjectBody(body)) {
+      return res.status(400).json({ success: false, error: INVALID_BODY_ERROR });
+    }
+    if (typeof body.ics !== 'string' || !body.ics.trim()) {
+      return res.status(400).json({ success: false, error: 'ics must be the text of an iCalendar file' });
+    }
+    if (body.dry_run !== undefined && typeof body.dry_run !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'dry_run must be true or false' });
+    }
 
-    // Create episode folder - use recursive:false to detect if it already exists
-    // This avoids TOCTOU race condition between check and creation
+    let calendarEvents;
     try {
-      await fs.mkdir(episodePath, { recursive: false });
-      episodeCreated = true; // Mark that WE created this folder (safe to cleanup on failure)
-    } catch (err) {
-      if (err.code === 'EEXIST') {
-        return res.status(409).json({
-          success: false,
-          error: `Episode folder already exists: ${episodeFolderName}`
-        });
-      }
-      throw err; // Re-throw other errors
+      calendarEvents = parseICalendar(body.ics);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
     }
 
-    // Create subdirectories in parallel for better performance
-    await Promise.all([
-      fs.mkdir(path.join(episodePath, 'raw', 'camera'), { recursive: true }),
-      fs.mkdir(path.join(episodePath, 'raw', 'screen'), { recursive: true }),
-      fs.mkdir(path.join(episodePath, 'audio'), { recursive: true }),
-      fs.mkdir(path.join(episodePath, 'assets'), { recursive: true }),
-      fs.mkdir(path.join(episodePath, 'exports'), { recursive: true })
-    ]);
-
-    // Get metadata template (cached for performance)
-    const metadata = await getMetadataTemplate();
+    const { updates, unchanged, unmatched } = matchCalendarEvents(calendarEvents, await getIndexedEpisodes());
+    const dryRun = body.dry_run === true;
+    if (!dryRun && updates.length > 0) {
+      await applyCalendarImport(updates, getContentPaths());
+    }
+    res.json({ success: true, dry_run: dryRun, updated: updates, unchanged, unmatched });
+  } catch (error) {
+    console.error('Error importing calendar:', error);
+    res.status(500).json({ success: false, error: 'Failed to import calendar' });
+  }
+});
 
-    // Update metadata with provided values
-    metadata.title = sanitizedTitle;
-    metadata.content_status = 'draft';
+// GET /api/feeds/rss.xml, /api/feeds/atom.xml - Feeds of every released episode
+// GET /api/feeds/:series/rss.xml, atom.xml, podcast.xml - Feeds of one series
+// (podcast.xml once podcast mode is enabled for the series in feeds.yml)
+router.get(['/feeds/:file', '/feeds/:series/:file'], async (req, res) => {
+  try {
+    const series = req.params.series ?? null;
+    const format = FEED_FORMATS.find(candidate => getFeedFileName(candidate, null) === req.params.file);
+    if (!format) {
+      return res.status(404).json({ success: false, error: `Unknown feed: ${req.params.file}` });
+    }
+    const { status, error, xml } = await generateFeed({ format, series, origin: `${req.protocol}://${req.get('host')}` });
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+    res.set('Content-Type', `${format === 'atom' ? 'application/atom+xml' : 'application/rss+xml'}; charset=utf-8`);
+    res.send(xml);
+  } catch (error) {
+    console.error('Error building feed:', error);
+    res.status(500).json({ success: false, error: 'Failed to build feed' });
+  }
+});
 
-    if (sanitizedDescription) {
-      metadata.description = sanitizedDescription;
+// GET /api/feeds/:series/:episode/chapters.json - Podcasting 2.0 chapters of a released episode
+router.get('/feeds/:series/:episode/chapters.json', async (req, res) => {
+  try {
+    const chapters = await getEpisodeChapters(req.params.series, req.params.episode);
+    if (!chapters) {
+      return res.status(404).json({ success: false, error: 'No chapters for this episode' });
     }
+    res.set('Content-Type', 'application/json+chapters; charset=utf-8');
+    res.send(JSON.stringify(chapters));
+  } catch (error) {
+    console.error('Error reading chapters:', error);
+    res.status(500).json({ success: false, error: 'Failed to read chapters' });
+  }
+});
 
-    // Ensure nested objects exist
-    metadata.series = metadata.series || {};
-    metadata.series.name = seriesName;
+// POST /api/feeds/write - Write every feed as static files to output_dir (see feeds.yml)
+router.post('/feeds/write', async (req, res) => {
+  try {
+    const result = await writeStaticFeeds();
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error writing static feeds:', error);
+    res.status(500).json({ success: false, error: 'Failed to write static feeds' });
+  }
+});
 
-    metadata.recording = metadata.recording || {};
-    metadata.recording.date = date;
+// ============================================
+// Distribution Profile API Endpoints
+// ============================================
 
-    if (targetDate) {
-      metadata.release = metadata.release || {};
-      metadata.release.target_date = targetDate;
+/**
+ * Runs a locked read-modify-write on distribution-profiles.yml and sends the
+ * result. Follows the same `{ status, body }` contract as updateReleaseQueue
+ * and drops the cached profiles after a successful write.
+ * @async
+ * @param {Object} res - Express response
+ * @param {function(Object): Promise<{status?: number, body: Object}>} mutate - Mutation applied to the config
+ * @param {number} [successStatus=200] - Status code for a successful write
+ * @returns {Promise<void>}
+ */
+async function updateDistributionConfig(res, mutate, successStatus = 200) {
+  const { status, body } = await withDistributionLock(async () => {
+    const configPath = getContentPaths().distributionProfiles;
+    const config = await readDistributionConfig(configPath);
+    const outcome = await mutate(config);
+    if (!outcome.status) {
+      await writeDistributionConfig(configPath, config);
+      cachedDistributionProfiles = null;
     }
+    return outcome;
+  });
 
-    if (distributionProfile) {
-      metadata.distribution = metadata.distribution || {};
-      metadata.distribution.profile = distributionProfile;
+  res.status(status || successStatus).json(status ? { success: false, ...body } : { success: true, ...body });
+}
+
+/**
+ * Finds episodes and release queue entries that use a distribution profile.
+ * @async
+ * @param {string} profileId - Profile id
+ * @returns {Promise<{episodes: string[], releaseQueue: string[]}>} Episode paths and queue locations
+ */
+async function findProfileReferences(profileId) {
+  const { releaseQueue } = getContentPaths();
+  const episodes = (await getIndexedEpisodes())
+    .filter(ep => ep.metadata?.distribution?.profile === profileId)
+    .map(ep => ep.path);
+
+  const queue = await readReleaseQueue(releaseQueue);
+  const queueRefs = [];
+  for (const [groupId, group] of Object.entries(queue.release_groups)) {
+    for (const item of group.items || []) {
+      if (item.distribution === profileId) queueRefs.push(`release_groups.${groupId}: ${item.path}`);
+    }
+  }
+  for (const section of QUEUE_SECTIONS) {
+    for (const item of queue[section]) {
+      if (item.distribution === profileId) queueRefs.push(`${section}: ${item.path}`);
     }
+  }
 
-    // Write metadata using YAML dump for proper formatting
-    const metadataContent = '# Episode Metadata\n' + yaml.dump(metadata, {
-      lineWidth: -1,  // Don't wrap lines
-      quotingType: '"',
-      forceQuotes: false
+  return { episodes, releaseQueue: queueRefs };
+}
+
+/**
+ * Lists episodes whose custom platform list (`distribution.platforms`) names a platform.
+ * @async
+ * @param {string} platformId - Platform id
+ * @returns {Promise<string[]>} Episode paths
+ */
+async function findPlatformEpisodes(platformId) {
+  return (await getIndexedEpisodes())
+    .filter(ep => {
+      const platforms = ep.metadata?.distribution?.platforms;
+      return Array.isArray(platforms) && platforms.includes(platformId);
+    })
+    .map(ep => ep.path);
+}
+
+/**
+ * Points every episode and release queue entry using one profile at another.
+ * @async
+ * @param {string} fromId - Profile being removed
+ * @param {string} toId - Replacement profile
+ * @returns {Promise<number>} Number of episodes updated
+ */
+async function reassignProfile(fromId, toId) {
+  const { baseDir } = getContentPaths();
+  const episodes = (await getIndexedEpisodes())
+    .filter(ep => ep.metadata?.distribution?.profile === fromId);
+
+  for (const ep of episodes) {
+    const episodeDir = path.join(baseDir, ep.path);
+    const metadataPath = path.join(episodeDir, 'metadata.yml');
+    await withFileLock(metadataPath, async () => {
+      const content = await fs.readFile(metadataPath, 'utf8');
+      const { content: updated } = updateYamlContent(content, metadata => {
+        metadata.distribution.profile = toId;
+      });
+      await writeTrackedFile(metadataPath, updated, { source: 'dashboard', action: 'reassign-profile', before: content });
     });
-    await fs.writeFile(path.join(episodePath, 'metadata.yml'), metadataContent, 'utf8');
+    await refreshIndexedEpisode(episodeDir);
+  }
 
-    // Copy script template
-    const scriptTemplatePath = path.join(TEMPLATES_DIR, 'script-template.md');
-    try {
-      let scriptContent = await fs.readFile(scriptTemplatePath, 'utf8');
-      // Update placeholders
-      scriptContent = scriptContent.replace('[Video Title]', sanitizedTitle);
-      scriptContent = scriptContent.replace('[Series Name]', seriesName);
-      scriptContent = scriptContent.replace('[Number/Date]', date);
-      await fs.writeFile(path.join(episodePath, 'script.md'), scriptContent, 'utf8');
-    } catch (err) {
-      // If template doesn't exist, create basic script file
-      const basicScript = `# ${sanitizedTitle}
+  await withReleaseQueueLock(async () => {
+    const queuePath = getContentPaths().releaseQueue;
+    const queue = await readReleaseQueue(queuePath);
+    let changed = false;
+    const items = [
+      ...Object.values(queue.release_groups).flatMap(group => group.items || []),
+      ...QUEUE_SECTIONS.flatMap(section => queue[section])
+    ];
+    for (const item of items) {
+      if (item.distribution === fromId) {
+        item.distribution = toId;
+        changed = true;
+      }
+    }
+    if (changed) {
+      await writeReleaseQueue(queuePath, queue);
+    }
+  });
 
-**Series**: ${seriesName}
-**Episode**: ${date}
-**Target Length**: TBD
+  return episodes.length;
+}
 
----
+// POST /api/distribution/profiles - Create a distribution profile
+router.post('/distribution/profiles', async (req, res) => {
+  try {
+    if (!isObjectBody(req.body)) {
+      return res.status(400).json({ success: false, error: INVALID_BODY_ERROR });
+    }
 
-## Hook (0:00 - 0:30)
+    const { id } = req.body;
+    if (!isValidDistributionId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Profile id must use lowercase letters, numbers, hyphens, and underscores'
+      });
+    }
 
-## Intro (0:30 - 1:00)
+    await updateDistributionConfig(res, async (config) => {
+      if (Object.hasOwn(config.profiles, id)) {
+        return { status: 409, body: { error: `Profile '${id}' already exists` } };
+      }
+      const { errors, sanitized } = validateProfile(req.body, Object.keys(config.platforms));
+      if (errors.length > 0) {
+        return { status: 400, body: { errors } };
+      }
+      config.profiles[id] = sanitized;
+      return { body: { message: 'Profile created', id, profile: sanitized } };
+    }, 201);
+  } catch (error) {
+    console.error('Error creating distribution profile:', error);
+    res.status(500).json({ success: false, error: 'Failed to create distribution profile' });
+  }
+});
 
-## Main Content
+// PATCH /api/distribution/profiles/:id - Update a distribution profile
+router.patch('/distribution/profiles/:id', async (req, res) => {
+  try {
+    if (!isObjectBody(req.body)) {
+      return res.status(400).json({ success: false, error: INVALID_BODY_ERROR });
+    }
 
-## Recap
+    const { id } = req.params;
+    await updateDistributionConfig(res, async (config) => {
+      if (!Object.hasOwn(config.profiles, id)) {
+        return { status: 404, body: { error: 'Profile not found' } };
+      }
+      const profile = config.profiles[id];
+      const { errors, sanitized } = validateProfile(req.body, Object.keys(config.platforms), { partial: true });
+      if (errors.length > 0) {
+        return { status: 400, body: { errors } };
+      }
+      Object.assign(profile, sanitized);
+      return { body: { message: 'Profile updated', id, profile } };
+    });
+  } catch (error) {
+    console.error('Error updating distribution profile:', error);
+    res.status(500).json({ success: false, error: 'Failed to update distribution profile' });
+  }
+});
 
-## Call to Action
-`;
-      await fs.writeFile(path.join(episodePath, 'script.md'), basicScript, 'utf8');
+// POST /api/distribution/profiles/:id/clone - Copy a profile under a new id
+router.post('/distribution/profiles/:id/clone', async (req, res) => {
+  try {
+    if (!isObjectBody(req.body)) {
+      return res.status(400).json({ success: false, error: INVALID_BODY_ERROR });
     }
 
-    // Create notes.md
-    const notesContent = `# Episode Notes: ${slug}
+    const sourceId = req.params.id;
+    const { id } = req.body;
+    if (!isValidDistributionId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Profile id must use lowercase letters, numbers, hyphens, and underscores'
+      });
+    }
 
-**Series**: ${seriesName}
-**Date Created**: ${date}
+    await updateDistributionConfig(res, async (config) => {
+      if (!Object.hasOwn(config.profiles, sourceId)) {
+        return { status: 404, body: { error: 'Profile not found' } };
+      }
+      const source = config.profiles[sourceId];
+      if (Object.hasOwn(config.profiles, id)) {
+        return { status: 409, body: { error: `Profile '${id}' already exists` } };
+      }
+      const profile = JSON.parse(JSON.stringify(source));
+      if (typeof req.body.description === 'string') {
+        profile.description = req.body.description.trim().substring(0, 500);
+      }
+      config.profiles[id] = profile;
+      return { body: { message: `Cloned '${sourceId}' as '${id}'`, id, profile } };
+    }, 201);
+  } catch (error) {
+    console.error('Error cloning distribution profile:', error);
+    res.status(500).json({ success: false, error: 'Failed to clone distribution profile' });
+  }
+});
 
-## Ideas & Research
+// GET /api/distribution/profiles/:id/references - Episodes and queue entries using a profile
+router.get('/distribution/profiles/:id/references', async (req, res) => {
+  try {
+    const references = await findProfileReferences(req.params.id);
+    res.json({
+      success: true,
+      id: req.params.id,
+      ...references
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
+// DELETE /api/distribution/profiles/:id?reassign=<profile> - Delete a profile,
+// refusing while it is referenced unless a replacement profile is given
+router.delete('/distribution/profiles/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reassign = typeof req.query.reassign === 'string' ? req.query.reassign : '';
 
-## Recording Notes
+    await updateDistributionConfig(res, async (config) => {
+      if (!Object.hasOwn(config.profiles, id)) {
+        return { status: 404, body: { error: 'Profile not found' } };
+      }
+      if (reassign && (reassign === id || !Object.hasOwn(config.profiles, reassign))) {
+        return { status: 400, body: { error: `Cannot reassign to '${reassign}': choose another existing profile` } };
+      }
 
+      const references = await findProfileReferences(id);
+      const inUse = references.episodes.length > 0 || references.releaseQueue.length > 0;
+      if (inUse && !reassign) {
+        return {
+          status: 409,
+          body: {
+            error: `Profile '${id}' is still in use. Reassign its episodes to another profile first.`,
+            ...references
+          }
+        };
+      }
 
-## Edit Notes
+      const reassigned = inUse ? await reassignProfile(id, reassign) : 0;
+      delete config.profiles[id];
+      return {
+        body: {
+          message: reassigned > 0 ? `Profile deleted; ${reassigned} episode(s) moved to '${reassign}'` : 'Profile deleted',
+          id,
+          reassigned
+        }
+      };
+    });
+  } catch (error) {
+    console.error('Error deleting distribution profile:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete distribution profile' });
+  }
+});
 
+// POST /api/distribution/platforms - Define a new platform
+router.post('/distribution/platforms', async (req, res) => {
+  try {
+    if (!isObjectBody(req.body)) {
+      return res.status(400).json({ success: false, error: INVALID_BODY_ERROR });
+    }
 
-## Post-Publish Notes
+    const { id } = req.body;
+    if (!isValidDistributionId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Platform id must use lowercase letters, numbers, hyphens, and underscores'
+      });
+    }
 
+    const { errors, sanitized } = validatePlatform(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
 
-## Analytics
+    await updateDistributionConfig(res, async (config) => {
+      if (Object.hasOwn(config.platforms, id)) {
+        return { status: 409, body: { error: `Platform '${id}' already exists` } };
+      }
+      if (sanitized.character_limit === null) delete sanitized.character_limit;
+      config.platforms[id] = sanitized;
+      return { body: { message: 'Platform created', id, platform: sanitized } };
+    }, 201);
+  } catch (error) {
+    console.error('Error creating platform:', error);
+    res.status(500).json({ success: false, error: 'Failed to create platform' });
+  }
+});
 
-| Metric | 24h | 7d | 30d |
-|--------|-----|-----|-----|
-| Views | | | |
-| CTR | | | |
-| Avg Duration | | | |
+// PATCH /api/distribution/platforms/:id - Update a platform definition
+router.patch('/distribution/platforms/:id', async (req, res) => {
+  try {
+    if (!isObjectBody(req.body)) {
+      return res.status(400).json({ success: false, error: INVALID_BODY_ERROR });
+    }
 
-`;
-    await fs.writeFile(path.join(episodePath, 'notes.md'), notesContent, 'utf8');
+    const { errors, sanitized } = validatePlatform(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
 
-    // Return success with created episode data
-    res.status(201).json({
-      success: true,
-      message: 'Episode created successfully',
-      episode: {
-        path: `series/${seriesName}/${episodeFolderName}`,
-        series: seriesName,
-        episode: episodeFolderName,
-        title: sanitizedTitle,
-        description: sanitizedDescription,
-        targetDate: targetDate || null,
-        distributionProfile: distributionProfile || 'full'
+    const { id } = req.params;
+    await updateDistributionConfig(res, async (config) => {
+      if (!Object.hasOwn(config.platforms, id)) {
+        return { status: 404, body: { error: 'Platform not found' } };
       }
+      const platform = config.platforms[id];
+      Object.assign(platform, sanitized);
+      if (platform.character_limit === null) delete platform.character_limit;
+      return { body: { message: 'Platform updated', id, platform } };
     });
-
   } catch (error) {
-    // Log full error details server-side only
-    console.error('Error creating episode:', error);
-
-    // Only clean up if WE created the episode folder (prevents removing pre-existing folders)
-    if (episodeCreated && episodePath) {
-      await removeDirectory(episodePath);
-    }
+    console.error('Error updating platform:', error);
+    res.status(500).json({ success: false, error: 'Failed to update platform' });
+  }
+});
 
-    // Return generic error message to client (don't leak internal paths/details)
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create episode. Please try again.'
+// DELETE /api/distribution/platforms/:id - Remove a platform no profile, adaptation
+// or episode platform list uses
+router.delete('/distribution/platforms/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    await updateDistributionConfig(res, async (config) => {
+      if (!Object.hasOwn(config.platforms, id)) {
+        return { status: 404, body: { error: 'Platform not found' } };
+      }
+      const references = {
+        ...findPlatformReferences(config, id),
+        episodes: await findPlatformEpisodes(id)
+      };
+      if (Object.values(references).some(list => list.length > 0)) {
+        return {
+          status: 409,
+          body: {
+            error: `Platform '${id}' is still used by profiles, adaptation rules or episodes`,
+            ...references
+          }
+        };
+      }
+      delete config.platforms[id];
+      return { body: { message: 'Platform deleted', id } };
     });
+  } catch (error) {
+    console.error('Error deleting platform:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete platform' });
   }
 });
 
@@ -1270,7 +2979,8 @@ router.post('/assets/upload', upload.array('files', 20), async (req, res) => {
       });
     }
 
-    const targetDir = path.join(ASSETS_DIR, targetFolder);
+    const { assetsDir } = getContentPaths();
+    const targetDir = path.join(assetsDir, targetFolder);
 
     // Ensure target directory exists
     await fs.mkdir(targetDir, { recursive: true });
@@ -1306,7 +3016,7 @@ router.post('/assets/upload', upload.array('files', 20), async (req, res) => {
       uploadedFiles.push({
         name: file.filename,
         originalName: file.originalname,
-        path: path.relative(ASSETS_DIR, finalPath),
+        path: path.relative(assetsDir, finalPath),
         size: stats.size,
         type: file.mimetype
       });
@@ -1395,7 +3105,7 @@ router.post('/assets/folder', async (req, res) => {
       });
     }
 
-    const fullPath = path.join(ASSETS_DIR, newFolderPath);
+    const fullPath = path.join(getContentPaths().assetsDir, newFolderPath);
 
     // Ensure parent directory exists first (recursive is safe here)
     const parentFullPath = path.dirname(fullPath);
@@ -1455,8 +3165,9 @@ router.delete('/assets/*', async (req, res) => {
     }
 
     // Prevent deleting the assets root directory
-    const fullPath = path.join(ASSETS_DIR, assetPath);
-    if (path.resolve(fullPath) === path.resolve(ASSETS_DIR)) {
+    const { assetsDir } = getContentPaths();
+    const fullPath = path.join(assetsDir, assetPath);
+    if (path.resolve(fullPath) === path.resolve(assetsDir)) {
       return res.status(400).json({
         success: false,
         error: 'Cannot delete the root assets folder'
@@ -1484,6 +3195,15 @@ router.delete('/assets/*', async (req, res) => {
       await fs.unlink(fullPath);
     }
 
+    // Drop the catalog entries of what was deleted
+    const { assetCatalog } = getContentPaths();
+    await withAssetCatalogLock(async () => {
+      const catalog = await readAssetCatalog(assetCatalog);
+      if (removeAssetEntries(catalog.assets, toCatalogKey(assetPath)) > 0) {
+        await writeAssetCatalog(assetCatalog, catalog);
+      }
+    });
+
     res.json({
       success: true,
       message: `Successfully deleted: ${assetPath}`
@@ -1548,11 +3268,12 @@ router.patch('/assets/*', async (req, res) => {
       });
     }
 
-    const fullCurrentPath = path.join(ASSETS_DIR, currentPath);
-    const fullNewPath = path.join(ASSETS_DIR, sanitizedNewPath);
+    const { assetsDir } = getContentPaths();
+    const fullCurrentPath = path.join(assetsDir, currentPath);
+    const fullNewPath = path.join(assetsDir, sanitizedNewPath);
 
     // Prevent modifying the assets root
-    if (path.resolve(fullCurrentPath) === path.resolve(ASSETS_DIR)) {
+    if (path.resolve(fullCurrentPath) === path.resolve(assetsDir)) {
       return res.status(400).json({
         success: false,
         error: 'Cannot rename the root assets folder'
@@ -1597,6 +3318,15 @@ router.patch('/assets/*', async (req, res) => {
       throw renameError;
     }
 
+    // Catalog entries follow the file or folder
+    const { assetCatalog } = getContentPaths();
+    await withAssetCatalogLock(async () => {
+      const catalog = await readAssetCatalog(assetCatalog);
+      if (moveAssetEntries(catalog.assets, toCatalogKey(currentPath), toCatalogKey(sanitizedNewPath)) > 0) {
+        await writeAssetCatalog(assetCatalog, catalog);
+      }
+    });
+
     res.json({
       success: true,
       oldPath: currentPath,
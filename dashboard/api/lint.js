@@ -0,0 +1,295 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseDocument, LineCounter, isMap, isSeq } from 'yaml';
+import { validateEpisodeMetadata, formatFieldPath } from './metadataSchema.js';
+import { QUEUE_SECTIONS, validateReleaseGroup, validateQueueItem } from './releaseQueue.js';
+import { getSeriesStages } from './workflowStages.js';
+
+/**
+ * Parses YAML keeping node positions. Timestamps stay strings (YAML 1.2).
+ * @param {string} content - File content
+ * @returns {{doc: Object, lineCounter: LineCounter, parseErrors: Array<{line: number|null, field: null, message: string}>}}
+ */
+function parseWithPositions(content) {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(content, { lineCounter });
+  const parseErrors = doc.errors.map(err => ({
+    line: err.linePos?.[0]?.line ?? null,
+    field: null,
+    // Drop the position and code frame; the line is reported separately
+    message: `YAML syntax error: ${err.message.split(' at line ')[0]}`
+  }));
+  return { doc, lineCounter, parseErrors };
+}
+
+/**
+ * Finds the line of a field, falling back to its closest existing parent
+ * (e.g. a missing required key is reported on its parent mapping).
+ * @param {Object} doc - Parsed document
+ * @param {LineCounter} lineCounter - Line counter used when parsing
+ * @param {Array<string|number>} fieldPath - Keys and indexes
+ * @returns {number|null} 1-based line number
+ */
+function lineOf(doc, lineCounter, fieldPath) {
+  let node = doc.contents;
+  let offset = node?.range?.[0] ?? null;
+
+  for (const key of fieldPath) {
+    if (isMap(node)) {
+      const pair = node.items.find(item => String(item.key?.value) === String(key));
+      if (!pair) break;
+      offset = pair.key?.range?.[0] ?? offset;
+      node = pair.value;
+    } else if (isSeq(node) && typeof key === 'number' && node.items[key]) {
+      node = node.items[key];
+      offset = node?.range?.[0] ?? offset;
+    } else {
+      break;
+    }
+  }
+
+  return offset === null ? null : lineCounter.linePos(offset).line;
+}
+
+/**
+ * Splits issues into errors and warnings with line numbers.
+ * @param {Array<{path: Array<string|number>, severity: string, message: string}>} issues - Issues with field paths
+ * @param {Object} doc - Parsed document
+ * @param {LineCounter} lineCounter - Line counter used when parsing
+ * @returns {{errors: Array<Object>, warnings: Array<Object>}}
+ */
+function withLines(issues, doc, lineCounter) {
+  const result = { errors: [], warnings: [] };
+  for (const issue of issues) {
+    const entry = {
+      line: lineOf(doc, lineCounter, issue.path),
+      field: formatFieldPath(issue.path) || null,
+      message: issue.message
+    };
+    (issue.severity === 'warning' ? result.warnings : result.errors).push(entry);
+  }
+  const byLine = (a, b) => (a.line ?? 0) - (b.line ?? 0);
+  result.errors.sort(byLine);
+  result.warnings.sort(byLine);
+  return result;
+}
+
+/**
+ * Lints the content of an episode's metadata.yml against the shared schema.
+ * With a context, references to distribution profiles, release groups and
+ * workflow stages are checked as well (as warnings).
+ * @param {string} content - metadata.yml content
+ * @param {Object} [ctx]
+ * @param {string[]} [ctx.profiles] - Known distribution profile ids
+ * @param {string[]} [ctx.releaseGroups] - Known release group ids
+ * @param {string[]} [ctx.workflowStages] - Workflow stage ids of the episode's series
+ * @returns {{errors: Array<{line: number|null, field: string|null, message: string}>, warnings: Array<Object>}}
+ * @example
+ * const { errors, warnings } = lintEpisodeContent('content_status: redy\n');
+ * // errors: [{ line: 1, field: 'content_status', message: "content_status must be one of: ..." }]
+ */
+export function lintEpisodeContent(content, ctx = {}) {
+  return parseEpisodeContent(content, ctx).lint;
+}
+
+/**
+ * Parses and lints an episode's metadata.yml in one pass, so the metadata and
+ * its lint result never disagree about the same file. A file that does not
+ * parse, or is not a mapping, gives empty metadata next to its errors.
+ * @param {string} content - metadata.yml content
+ * @param {Object} [ctx] - As for lintEpisodeContent()
+ * @returns {{metadata: Object, lint: {errors: Array<Object>, warnings: Array<Object>}}}
+ */
+export function parseEpisodeContent(content, ctx = {}) {
+  const { doc, lineCounter, parseErrors } = parseWithPositions(content);
+  if (parseErrors.length > 0) {
+    return { metadata: {}, lint: { errors: parseErrors, warnings: [] } };
+  }
+
+  const parsed = doc.toJS();
+  const metadata = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  const lint = lintMetadata(parsed, doc, lineCounter, ctx);
+  return { metadata, lint };
+}
+
+/**
+ * Lints parsed episode metadata; see lintEpisodeContent().
+ * @param {*} metadata - Parsed metadata.yml
+ * @param {Object} doc - Parsed document, for line numbers
+ * @param {LineCounter} lineCounter - Line counter used when parsing
+ * @param {Object} ctx - As for lintEpisodeContent()
+ * @returns {{errors: Array<Object>, warnings: Array<Object>}}
+ */
+function lintMetadata(metadata, doc, lineCounter, ctx) {
+  const issues = validateEpisodeMetadata(metadata);
+
+  if (metadata?.content_status === 'blocked' && !metadata.release?.blocked_by) {
+    issues.push({
+      path: ['release', 'blocked_by'],
+      severity: 'error',
+      message: 'Blocked episodes need a reason (release.blocked_by)'
+    });
+  }
+
+  const profile = metadata?.distribution?.profile;
+  if (ctx.profiles && typeof profile === 'string' && profile && !ctx.profiles.includes(profile)) {
+    issues.push({
+      path: ['distribution', 'profile'],
+      severity: 'warning',
+      message: `Distribution profile '${profile}' is not defined in distribution-profiles.yml`
+    });
+  }
+
+  const group = metadata?.release?.release_group;
+  if (ctx.releaseGroups && typeof group === 'string' && group && !ctx.releaseGroups.includes(group)) {
+    issues.push({
+      path: ['release', 'release_group'],
+      severity: 'warning',
+      message: `Release group '${group}' is not defined in release-queue.yml`
+    });
+  }
+
+  const workflow = metadata?.workflow;
+  if (ctx.workflowStages && workflow && typeof workflow === 'object' && !Array.isArray(workflow)) {
+    for (const stage of Object.keys(workflow).filter(key => !ctx.workflowStages.includes(key))) {
+      issues.push({
+        path: ['workflow', stage],
+        severity: 'warning',
+        message: `Workflow stage '${stage}' is not defined for this series in workflow-stages.yml`
+      });
+    }
+  }
+
+  return withLines(issues, doc, lineCounter);
+}
+
+/**
+ * Lints release-queue.yml: YAML syntax, section shapes, and every release
+ * group and queue entry with the same rules the release queue editor applies.
+ * @async
+ * @param {string} content - release-queue.yml content
+ * @param {Object} ctx - Validation context (see validateReleaseGroup)
+ * @returns {Promise<{errors: Array<Object>, warnings: Array<Object>}>}
+ */
+export async function lintReleaseQueueContent(content, ctx) {
+  const { doc, lineCounter, parseErrors } = parseWithPositions(content);
+  if (parseErrors.length > 0) {
+    return { errors: parseErrors, warnings: [] };
+  }
+
+  const queue = doc.toJS() ?? {};
+  const issues = [];
+  const addErrors = (errors, fieldPath) => {
+    issues.push(...errors.map(message => ({ path: fieldPath, severity: 'error', message })));
+  };
+
+  if (typeof queue !== 'object' || Array.isArray(queue)) {
+    addErrors(['Release queue must be a mapping of release_groups and sections'], []);
+    return withLines(issues, doc, lineCounter);
+  }
+
+  for (const key of Object.keys(queue)) {
+    if (key !== 'release_groups' && !QUEUE_SECTIONS.includes(key)) {
+      issues.push({ path: [key], severity: 'warning', message: `Unknown section '${key}'` });
+    }
+  }
+
+  const groups = queue.release_groups ?? {};
+  if (typeof groups !== 'object' || Array.isArray(groups)) {
+    addErrors(['release_groups must be a mapping of group ids to groups'], ['release_groups']);
+  } else {
+    for (const [id, group] of Object.entries(groups)) {
+      const { errors } = await validateReleaseGroup(group ?? {}, ctx);
+      addErrors(errors.map(message => `Release group '${id}': ${message}`), ['release_groups', id]);
+    }
+  }
+
+  for (const section of QUEUE_SECTIONS) {
+    const items = queue[section] ?? [];
+    if (!Array.isArray(items)) {
+      addErrors([`${section} must be a list`], [section]);
+      continue;
+    }
+    for (const [index, item] of items.entries()) {
+      const { errors } = await validateQueueItem(section, item ?? {}, ctx);
+      addErrors(errors.map(message => `${section} entry ${index + 1}: ${message}`), [section, index]);
+    }
+  }
+
+  return withLines(issues, doc, lineCounter);
+}
+
+/**
+ * Finds every episode metadata.yml below the series directory.
+ * A folder with metadata.yml is an episode; other folders are searched further.
+ * @async
+ * @param {string} dir - Directory to scan
+ * @returns {Promise<string[]>} Absolute paths to metadata.yml files
+ */
+async function findMetadataFiles(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const files = [];
+  for (const entry of entries.filter(e => e.isDirectory())) {
+    const folder = path.join(dir, entry.name);
+    const metadataPath = path.join(folder, 'metadata.yml');
+    try {
+      await fs.access(metadataPath);
+      files.push(metadataPath);
+    } catch {
+      files.push(...await findMetadataFiles(folder));
+    }
+  }
+  return files;
+}
+
+/**
+ * Lints every episode and the release queue of a workspace.
+ * @async
+ * @param {Object} paths - Content paths from getContentPaths()
+ * @param {Object} ctx - Validation context (profiles, platforms, episodeExists, releaseGroups,
+ *   and workflowConfig from readWorkflowStages() to check stages per series)
+ * @returns {Promise<{checked: number, files: Array<{file: string, type: string, errors: Array<Object>, warnings: Array<Object>}>}>}
+ *   Only files with problems are listed; paths are relative to the content root
+ */
+export async function lintWorkspace(paths, ctx) {
+  const files = [];
+  const metadataFiles = await findMetadataFiles(paths.seriesDir);
+
+  for (const metadataPath of metadataFiles) {
+    const content = await fs.readFile(metadataPath, 'utf8');
+    const series = path.relative(paths.seriesDir, metadataPath).split(path.sep)[0];
+    const workflowStages = ctx.workflowConfig
+      ? getSeriesStages(ctx.workflowConfig, series).map(stage => stage.id)
+      : undefined;
+    files.push({
+      file: path.relative(paths.baseDir, metadataPath),
+      type: 'episode',
+      ...lintEpisodeContent(content, { ...ctx, workflowStages })
+    });
+  }
+
+  let checked = metadataFiles.length;
+  try {
+    const content = await fs.readFile(paths.releaseQueue, 'utf8');
+    files.push({
+      file: path.relative(paths.baseDir, paths.releaseQueue),
+      type: 'release-queue',
+      ...await lintReleaseQueueContent(content, ctx)
+    });
+    checked++;
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  return {
+    checked,
+    files: files.filter(f => f.errors.length > 0 || f.warnings.length > 0)
+  };
+}
@@ -0,0 +1,681 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { RECORDING_FORMATS } from './episodeMetadata.js';
+
+// Files whose container headers are read for duration, resolution and codecs
+export const MEDIA_EXTENSIONS = ['.mp4', '.m4v', '.mov', '.m4a', '.webm', '.mkv', '.wav', '.mp3'];
+
+// Episode folders whose media files are listed: recordings and final exports
+export const MEDIA_FOLDERS = ['raw', 'exports'];
+
+// The moov box of MP4/MOV holds all the track data; anything bigger is not a header
+const MAX_MOOV_BYTES = 32 * 1024 * 1024;
+
+// Matroska puts Info and Tracks before the first Cluster, well within this
+const EBML_HEAD_BYTES = 1024 * 1024;
+
+// Bytes searched for the first MP3 frame after the ID3 tag
+const MP3_SYNC_BYTES = 64 * 1024;
+
+const MAX_CHUNKS = 1000;
+
+// Codec names for MP4 sample entries and Matroska CodecIDs
+const MP4_CODECS = {
+  avc1: 'h264', avc3: 'h264', hvc1: 'hevc', hev1: 'hevc', av01: 'av1', vp09: 'vp9',
+  apch: 'prores', apcn: 'prores', apcs: 'prores', apco: 'prores', ap4h: 'prores',
+  mp4a: 'aac', Opus: 'opus', alac: 'alac', 'ac-3': 'ac3', 'ec-3': 'eac3',
+  lpcm: 'pcm', sowt: 'pcm', twos: 'pcm'
+};
+const MATROSKA_CODECS = {
+  V_VP8: 'vp8', V_VP9: 'vp9', V_AV1: 'av1', 'V_MPEG4/ISO/AVC': 'h264', 'V_MPEGH/ISO/HEVC': 'hevc',
+  A_OPUS: 'opus', A_VORBIS: 'vorbis', A_AAC: 'aac', A_FLAC: 'flac', A_MPEG: 'mp3',
+  'A_PCM/INT/LIT': 'pcm', 'A_PCM/FLOAT/IEEE': 'pcm_float'
+};
+const WAV_CODECS = { 1: 'pcm', 3: 'pcm_float', 0x55: 'mp3', 0xFFFE: 'pcm' };
+
+// Matroska element IDs
+const EBML = {
+  HEADER: 0x1A45DFA3, DOC_TYPE: 0x4282, SEGMENT: 0x18538067, CLUSTER: 0x1F43B675,
+  INFO: 0x1549A966, TIMECODE_SCALE: 0x2AD7B1, DURATION: 0x4489,
+  TRACKS: 0x1654AE6B, TRACK_ENTRY: 0xAE, TRACK_TYPE: 0x83, CODEC_ID: 0x86, DEFAULT_DURATION: 0x23E383,
+  VIDEO: 0xE0, PIXEL_WIDTH: 0xB0, PIXEL_HEIGHT: 0xBA,
+  AUDIO: 0xE1, SAMPLING_FREQUENCY: 0xB5, CHANNELS: 0x9F
+};
+
+// MPEG audio layer III bitrates (kbps) and sample rates by version
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = { 1: [44100, 48000, 32000], 2: [22050, 24000, 16000], 2.5: [11025, 12000, 8000] };
+
+// Media info by path, reused while the file's size and modification time stay
+// the same. The least recently read files are dropped past MAX_CACHED_FILES.
+const MAX_CACHED_FILES = 500;
+const infoCache = new Map();
+
+/**
+ * Reads bytes from an open file.
+ * @async
+ * @param {import('fs/promises').FileHandle} handle - Open file
+ * @param {number} position - Offset to read from
+ * @param {number} length - Bytes to read
+ * @returns {Promise<Buffer>} Shorter than `length` at the end of the file
+ */
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Rounds to at most `digits` decimals.
+ * @param {number} value - Number to round
+ * @param {number} digits - Decimals to keep
+ * @returns {number}
+ */
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// ---- MP4 / MOV --------------------------------------------------------------
+
+/**
+ * Lists the child boxes of an MP4 box held in memory.
+ * @param {Buffer} buffer - Box data
+ * @param {number} [start=0] - Offset of the first child
+ * @param {number} [end=buffer.length] - End of the parent's data
+ * @returns {Array<{type: string, start: number, end: number}>} Offsets of each child's data
+ */
+function mp4Children(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let position = start;
+  while (position + 8 <= end && boxes.length < MAX_CHUNKS) {
+    let size = buffer.readUInt32BE(position);
+    let header = 8;
+    if (size === 1 && position + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(position + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - position;
+    }
+    if (size < header) break;
+    boxes.push({ type: buffer.toString('latin1', position + 4, position + 8), start: position + header, end: Math.min(position + size, end) });
+    position += size;
+  }
+  return boxes;
+}
+
+/**
+ * Finds a box by its path of types below a parent box.
+ * @param {Buffer} buffer - Box data
+ * @param {{start: number, end: number}} parent - Box to search in
+ * @param {...string} types - Box types from the parent down
+ * @returns {{type: string, start: number, end: number}|null}
+ */
+function findBox(buffer, parent, ...types) {
+  let box = parent;
+  for (const type of types) {
+    box = mp4Children(buffer, box.start, box.end).find(child => child.type === type);
+    if (!box) return null;
+  }
+  return box;
+}
+
+/**
+ * Reads the timescale and duration of an mvhd or mdhd box.
+ * @param {Buffer} buffer - Box data
+ * @param {{start: number, end: number}|null} box - The mvhd or mdhd box
+ * @returns {{timescale: number, duration: number}|null}
+ */
+function readMediaHeader(buffer, box) {
+  if (!box) return null;
+  const version = buffer[box.start];
+  if (version === 1 && box.start + 32 <= box.end) {
+    return { timescale: buffer.readUInt32BE(box.start + 20), duration: Number(buffer.readBigUInt64BE(box.start + 24)) };
+  }
+  if (box.start + 20 > box.end) return null;
+  return { timescale: buffer.readUInt32BE(box.start + 12), duration: buffer.readUInt32BE(box.start + 16) };
+}
+
+/**
+ * Reads a track of an MP4 moov box: its kind from hdlr, codec from stsd,
+ * size from tkhd and frame rate from the sample count in stts.
+ * @param {Buffer} moov - moov box data
+ * @param {{start: number, end: number}} trak - The trak box
+ * @returns {{kind: string, codec: string, width?: number, height?: number, frame_rate?: number|null, sample_rate?: number, channels?: number}|null}
+ */
+function readMp4Track(moov, trak) {
+  const hdlr = findBox(moov, trak, 'mdia', 'hdlr');
+  const stbl = findBox(moov, trak, 'mdia', 'minf', 'stbl');
+  const stsd = stbl && findBox(moov, stbl, 'stsd');
+  if (!hdlr || !stsd || stsd.start + 16 > stsd.end) return null;
+
+  const handler = moov.toString('latin1', hdlr.start + 8, hdlr.start + 12);
+  const entry = stsd.start + 8;
+  const fourcc = moov.toString('latin1', entry + 4, entry + 8);
+  const codec = MP4_CODECS[fourcc] || fourcc.trim();
+
+  if (handler === 'vide') {
+    const tkhd = findBox(moov, trak, 'tkhd');
+    const offset = tkhd && (moov[tkhd.start] === 1 ? 88 : 76);
+    let width = tkhd && tkhd.start + offset + 8 <= tkhd.end ? Math.round(moov.readUInt32BE(tkhd.start + offset) / 65536) : 0;
+    let height = tkhd && tkhd.start + offset + 8 <= tkhd.end ? Math.round(moov.readUInt32BE(tkhd.start + offset + 4) / 65536) : 0;
+    if ((!width || !height) && entry + 36 <= stsd.end) {
+      width = moov.readUInt16BE(entry + 32);
+      height = moov.readUInt16BE(entry + 34);
+    }
+
+    let frameRate = null;
+    const mdhd = readMediaHeader(moov, findBox(moov, trak, 'mdia', 'mdhd'));
+    const stts = findBox(moov, stbl, 'stts');
+    if (mdhd?.duration && stts && stts.start + 8 <= stts.end) {
+      let samples = 0;
+      const count = moov.readUInt32BE(stts.start + 4);
+      for (let i = 0; i < count && stts.start + 16 + i * 8 <= stts.end; i++) {
+        samples += moov.readUInt32BE(stts.start + 8 + i * 8);
+      }
+      if (samples > 0) frameRate = round(samples * mdhd.timescale / mdhd.duration, 2);
+    }
+    return { kind: 'video', codec, width, height, frame_rate: frameRate };
+  }
+
+  if (handler === 'soun' && entry + 36 <= stsd.end) {
+    return {
+      kind: 'audio',
+      codec,
+      sample_rate: moov.readUInt32BE(entry + 32) >>> 16,
+      channels: moov.readUInt16BE(entry + 24)
+    };
+  }
+  return null;
+}
+
+/**
+ * Reads an MP4 or QuickTime file: finds the moov box among the top-level
+ * boxes (before or after the media data) and reads mvhd and each trak.
+ * @async
+ * @param {import('fs/promises').FileHandle} handle - Open file
+ * @param {number} fileSize - Size of the file
+ * @returns {Promise<Object|null>}
+ */
+async function readMp4(handle, fileSize) {
+  let container = 'mov';
+  let position = 0;
+  for (let count = 0; position + 8 <= fileSize && count < MAX_CHUNKS; count++) {
+    const header = await readAt(handle, position, 16);
+    if (header.length < 8) return null;
+    let size = header.readUInt32BE(0);
+    let headerSize = 8;
+    if (size === 1 && header.length >= 16) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = fileSize - position;
+    }
+    if (size < headerSize) return null;
+
+    const type = header.toString('latin1', 4, 8);
+    if (type === 'ftyp' && header.length >= 12) {
+      container = header.toString('latin1', 8, 12) === 'qt  ' ? 'mov' : 'mp4';
+    }
+    if (type === 'moov') {
+      if (size - headerSize > MAX_MOOV_BYTES) return null;
+      const moov = await readAt(handle, position + headerSize, size - headerSize);
+      const movie = readMediaHeader(moov, findBox(moov, { start: 0, end: moov.length }, 'mvhd'));
+      const tracks = mp4Children(moov)
+        .filter(box => box.type === 'trak')
+        .map(trak => readMp4Track(moov, trak))
+        .filter(Boolean);
+      return buildInfo(container, movie?.timescale ? movie.duration / movie.timescale : null, tracks);
+    }
+    position += size;
+  }
+  return null;
+}
+
+// ---- WebM / Matroska --------------------------------------------------------
+
+/**
+ * Reads an EBML variable-length integer.
+ * @param {Buffer} buffer - EBML data
+ * @param {number} position - Offset of the integer
+ * @param {boolean} keepMarker - Element IDs keep their length marker bit
+ * @returns {{value: number, length: number, unknown: boolean}|null} null past the end
+ */
+function readVint(buffer, position, keepMarker) {
+  if (position >= buffer.length) return null;
+  const first = buffer[position];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || position + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[position + i];
+    allOnes = allOnes && buffer[position + i] === 0xFF;
+  }
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * Lists the child elements of a Matroska element held in memory. Elements
+ * of unknown size (live recordings) or cut off by the end of the buffer run
+ * to the end of their parent.
+ * @param {Buffer} buffer - EBML data
+ * @param {number} start - Offset of the first child
+ * @param {number} end - End of the parent's data
+ * @returns {Array<{id: number, start: number, end: number}>}
+ */
+function ebmlChildren(buffer, start, end) {
+  const elements = [];
+  let position = start;
+  while (position < end && elements.length < MAX_CHUNKS) {
+    const id = readVint(buffer, position, true);
+    const size = id && readVint(buffer, position + id.length, false);
+    if (!size) break;
+    const dataStart = position + id.length + size.length;
+    const dataEnd = size.unknown ? end : Math.min(dataStart + size.value, end);
+    elements.push({ id: id.value, start: dataStart, end: dataEnd });
+    if (id.value === EBML.CLUSTER) break;
+    position = dataEnd;
+  }
+  return elements;
+}
+
+/**
+ * Reads the value of a Matroska element.
+ * @param {Buffer} buffer - EBML data
+ * @param {{start: number, end: number}} element - Element to read
+ * @param {string} type - 'uint', 'float' or 'string'
+ * @returns {number|string}
+ */
+function readEbmlValue(buffer, { start, end }, type) {
+  if (type === 'string') return buffer.toString('latin1', start, end).replace(/\0+$/, '');
+  if (type === 'float') {
+    if (end - start === 4) return buffer.readFloatBE(start);
+    if (end - start === 8) return buffer.readDoubleBE(start);
+    return 0;
+  }
+  let value = 0;
+  for (let i = start; i < end; i++) value = value * 256 + buffer[i];
+  return value;
+}
+
+/**
+ * Reads the elements of a Matroska master element by ID.
+ * @param {Buffer} buffer - EBML data
+ * @param {{start: number, end: number}} parent - Master element
+ * @param {Object<string, [number, string]>} fields - Field name to element ID and value type
+ * @returns {Object} The fields that are present
+ */
+function readEbmlFields(buffer, parent, fields) {
+  const values = {};
+  const children = ebmlChildren(buffer, parent.start, parent.end);
+  for (const [name, [id, type]] of Object.entries(fields)) {
+    const element = children.find(child => child.id === id);
+    if (element) values[name] = type === 'master' ? element : readEbmlValue(buffer, element, type);
+  }
+  return values;
+}
+
+/**
+ * Reads a WebM or Matroska file from the Info and Tracks elements at the
+ * start of its Segment.
+ * @param {Buffer} buffer - The first bytes of the file
+ * @returns {Object|null}
+ */
+function readMatroska(buffer) {
+  const [header, segment] = ebmlChildren(buffer, 0, buffer.length);
+  if (header?.id !== EBML.HEADER || segment?.id !== EBML.SEGMENT) return null;
+  const { docType } = readEbmlFields(buffer, header, { docType: [EBML.DOC_TYPE, 'string'] });
+
+  let duration = null;
+  const tracks = [];
+  for (const element of ebmlChildren(buffer, segment.start, segment.end)) {
+    if (element.id === EBML.INFO) {
+      const info = readEbmlFields(buffer, element, {
+        scale: [EBML.TIMECODE_SCALE, 'uint'],
+        duration: [EBML.DURATION, 'float']
+      });
+      if (info.duration) duration = info.duration * (info.scale || 1000000) / 1e9;
+    }
+    if (element.id === EBML.TRACKS) {
+      for (const entry of ebmlChildren(buffer, element.start, element.end).filter(child => child.id === EBML.TRACK_ENTRY)) {
+        const track = readEbmlFields(buffer, entry, {
+          type: [EBML.TRACK_TYPE, 'uint'],
+          codec: [EBML.CODEC_ID, 'string'],
+          frameDuration: [EBML.DEFAULT_DURATION, 'uint'],
+          video: [EBML.VIDEO, 'master'],
+          audio: [EBML.AUDIO, 'master']
+        });
+        const codec = MATROSKA_CODECS[track.codec] || String(track.codec || '').toLowerCase();
+        if (track.type === 1 && track.video) {
+          const video = readEbmlFields(buffer, track.video, { width: [EBML.PIXEL_WIDTH, 'uint'], height: [EBML.PIXEL_HEIGHT, 'uint'] });
+          tracks.push({
+            kind: 'video',
+            codec,
+            width: video.width || 0,
+            height: video.height || 0,
+            frame_rate: track.frameDuration ? round(1e9 / track.frameDuration, 2) : null
+          });
+        }
+        if (track.type === 2) {
+          const audio = track.audio
+            ? readEbmlFields(buffer, track.audio, { rate: [EBML.SAMPLING_FREQUENCY, 'float'], channels: [EBML.CHANNELS, 'uint'] })
+            : {};
+          tracks.push({ kind: 'audio', codec, sample_rate: Math.round(audio.rate || 8000), channels: audio.channels || 1 });
+        }
+      }
+    }
+  }
+  return buildInfo(docType === 'webm' ? 'webm' : 'mkv', duration, tracks);
+}
+
+// ---- WAV --------------------------------------------------------------------
+
+/**
+ * Reads a WAV file from its fmt and data chunks.
+ * @async
+ * @param {import('fs/promises').FileHandle} handle - Open file
+ * @param {number} fileSize - Size of the file
+ * @returns {Promise<Object|null>}
+ */
+async function readWav(handle, fileSize) {
+  let format = null;
+  let dataSize = null;
+  let position = 12;
+  for (let count = 0; position + 8 <= fileSize && count < MAX_CHUNKS; count++) {
+    const header = await readAt(handle, position, 8);
+    if (header.length < 8) break;
+    const id = header.toString('latin1', 0, 4);
+    const size = header.readUInt32LE(4);
+    if (id === 'fmt ') {
+      const fmt = await readAt(handle, position + 8, 16);
+      if (fmt.length < 16) return null;
+      format = {
+        code: fmt.readUInt16LE(0),
+        channels: fmt.readUInt16LE(2),
+        sample_rate: fmt.readUInt32LE(4),
+        byte_rate: fmt.readUInt32LE(8)
+      };
+    }
+    if (id === 'data') {
+      // Recorders that stop mid-write leave the size unset; the rest of the file is audio
+      dataSize = size === 0 || size === 0xFFFFFFFF ? fileSize - position - 8 : Math.min(size, fileSize - position - 8);
+    }
+    if (format && dataSize !== null) break;
+    position += 8 + size + (size & 1);
+  }
+  if (!format) return null;
+
+  return buildInfo('wav', format.byte_rate && dataSize !== null ? dataSize / format.byte_rate : null, [{
+    kind: 'audio',
+    codec: WAV_CODECS[format.code] || `0x${format.code.toString(16)}`,
+    sample_rate: format.sample_rate,
+    channels: format.channels
+  }]);
+}
+
+// ---- MP3 --------------------------------------------------------------------
+
+/**
+ * Parses an MPEG audio layer III frame header.
+ * @param {Buffer} buffer - Data holding the header
+ * @param {number} position - Offset of the frame sync
+ * @returns {{version: number, bitrate: number, sample_rate: number, channels: number}|null}
+ */
+function parseMp3Frame(buffer, position) {
+  if (position + 4 > buffer.length || buffer[position] !== 0xFF || (buffer[position + 1] & 0xE0) !== 0xE0) return null;
+  const version = { 3: 1, 2: 2, 0: 2.5 }[(buffer[position + 1] >> 3) & 3];
+  const layer = (buffer[position + 1] >> 1) & 3;
+  const bitrateIndex = buffer[position + 2] >> 4;
+  const rateIndex = (buffer[position + 2] >> 2) & 3;
+  if (!version || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+  return {
+    version,
+    bitrate: MP3_BITRATES[version === 1 ? 1 : 2][bitrateIndex] * 1000,
+    sample_rate: MP3_SAMPLE_RATES[version][rateIndex],
+    channels: (buffer[position + 3] >> 6) === 3 ? 1 : 2
+  };
+}
+
+/**
+ * Reads an MP3 file: skips the ID3v2 tag, then takes the duration from the
+ * frame count of a Xing/Info or VBRI header, or from the bitrate for
+ * constant-bitrate files.
+ * @async
+ * @param {import('fs/promises').FileHandle} handle - Open file
+ * @param {number} fileSize - Size of the file
+ * @returns {Promise<Object|null>}
+ */
+async function readMp3(handle, fileSize) {
+  let start = 0;
+  const tag = await readAt(handle, 0, 10);
+  if (tag.length === 10 && tag.toString('latin1', 0, 3) === 'ID3') {
+    // Syncsafe size: 7 bits per byte, plus the footer when flagged
+    const size = (tag[6] << 21) | (tag[7] << 14) | (tag[8] << 7) | tag[9];
+    start = 10 + size + (tag[5] & 0x10 ? 10 : 0);
+  }
+
+  const buffer = await readAt(handle, start, MP3_SYNC_BYTES);
+  let offset = 0;
+  let frame = null;
+  for (; offset + 4 <= buffer.length; offset++) {
+    frame = parseMp3Frame(buffer, offset);
+    if (frame) break;
+  }
+  if (!frame) return null;
+
+  const samplesPerFrame = frame.version === 1 ? 1152 : 576;
+  const sideInfo = frame.version === 1 ? (frame.channels === 1 ? 17 : 32) : (frame.channels === 1 ? 9 : 17);
+  const xing = offset + 4 + sideInfo;
+  let frames = null;
+  const xingId = buffer.toString('latin1', xing, xing + 4);
+  if ((xingId === 'Xing' || xingId === 'Info') && xing + 12 <= buffer.length && buffer.readUInt32BE(xing + 4) & 1) {
+    frames = buffer.readUInt32BE(xing + 8);
+  } else if (buffer.toString('latin1', offset + 36, offset + 40) === 'VBRI' && offset + 54 <= buffer.length) {
+    frames = buffer.readUInt32BE(offset + 50);
+  }
+
+  const duration = frames
+    ? frames * samplesPerFrame / frame.sample_rate
+    : (fileSize - start - offset) * 8 / frame.bitrate;
+  return buildInfo('mp3', duration, [{ kind: 'audio', codec: 'mp3', sample_rate: frame.sample_rate, channels: frame.channels }]);
+}
+
+// ---- Shared -----------------------------------------------------------------
+
+/**
+ * Builds the media info of a file from its container's duration and tracks;
+ * the first video and audio track are reported.
+ * @param {string} container - 'mp4', 'mov', 'webm', 'mkv', 'wav' or 'mp3'
+ * @param {number|null} duration - Seconds
+ * @param {Object[]} tracks - Tracks with a kind of 'video' or 'audio'
+ * @returns {Object}
+ */
+function buildInfo(container, duration, tracks) {
+  const strip = track => {
+    if (!track) return null;
+    const rest = { ...track };
+    delete rest.kind;
+    return rest;
+  };
+  return {
+    container,
+    duration: Number.isFinite(duration) && duration > 0 ? round(duration, 3) : null,
+    video: strip(tracks.find(track => track.kind === 'video')),
+    audio: strip(tracks.find(track => track.kind === 'audio'))
+  };
+}
+
+/**
+ * Reads the duration, resolution, frame rate and codecs of an MP4/MOV,
+ * WebM/MKV, WAV or MP3 file from its container headers, without decoding
+ * or external tools.
+ * @async
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<{container: string, duration: number|null, video: Object|null, audio: Object|null, size: number}|null>}
+ *   `duration` in seconds; `video` with codec, width, height and frame_rate;
+ *   `audio` with codec, sample_rate and channels. null when the file is not
+ *   one of those formats or its headers are damaged
+ * @example
+ * await readMediaInfo('/content/series/s/e/exports/final.mp4');
+ * // { container: 'mp4', duration: 754.21, size: 918273645,
+ * //   video: { codec: 'h264', width: 3840, height: 2160, frame_rate: 29.97 },
+ * //   audio: { codec: 'aac', sample_rate: 48000, channels: 2 } }
+ */
+export async function readMediaInfo(filePath) {
+  const stats = await fs.stat(filePath).catch(error => {
+    infoCache.delete(filePath);
+    throw error;
+  });
+  const cached = infoCache.get(filePath);
+  if (cached) {
+    infoCache.delete(filePath);
+    if (cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      infoCache.set(filePath, cached);
+      return cached.info;
+    }
+  }
+
+  const handle = await fs.open(filePath, 'r');
+  let info = null;
+  try {
+    const header = await readAt(handle, 0, 12);
+    const box = header.toString('latin1', 4, 8);
+    if (header.length >= 8 && ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip'].includes(box)) {
+      info = await readMp4(handle, stats.size);
+    } else if (header.length >= 4 && header.readUInt32BE(0) === EBML.HEADER) {
+      info = readMatroska(await readAt(handle, 0, EBML_HEAD_BYTES));
+    } else if (header.length >= 12 && header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WAVE') {
+      info = await readWav(handle, stats.size);
+    } else if (path.extname(filePath).toLowerCase() === '.mp3') {
+      info = await readMp3(handle, stats.size);
+    }
+  } finally {
+    await handle.close();
+  }
+
+  if (info && !info.video && !info.audio && info.duration === null) info = null;
+  if (info) info.size = stats.size;
+  infoCache.set(filePath, { mtimeMs: stats.mtimeMs, size: stats.size, info });
+  if (infoCache.size > MAX_CACHED_FILES) {
+    infoCache.delete(infoCache.keys().next().value);
+  }
+  return info;
+}
+
+/**
+ * Describes the media of a file listing entry: the info of media files whose
+ * headers could be read, null for other files.
+ * @async
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<Object|null>} As from readMediaInfo(), without the size and
+ *   with `duration_formatted` as from formatDuration() (null without a duration)
+ */
+export async function describeMedia(filePath) {
+  if (!MEDIA_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) return null;
+  const info = await readMediaInfo(filePath).catch(() => null);
+  if (!info) return null;
+  const media = { ...info, duration_formatted: info.duration ? formatDuration(info.duration) : null };
+  delete media.size;
+  return media;
+}
+
+/**
+ * Formats seconds the way recording durations are written in metadata.yml.
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. '4:32' or '1:04:32'
+ */
+export function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const rest = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+/**
+ * Maps a video resolution to one of the recording formats. The shorter side
+ * counts, so vertical video maps the same as landscape.
+ * @param {{width: number, height: number}|null} video - From readMediaInfo()
+ * @returns {string|null} '4K', '1080p' or '720p'; null below 720 lines
+ */
+export function getRecordingFormat(video) {
+  if (!video?.width || !video?.height) return null;
+  const lines = Math.min(video.width, video.height);
+  const format = lines >= 2160 ? '4K' : lines >= 1080 ? '1080p' : lines >= 720 ? '720p' : null;
+  return RECORDING_FORMATS.includes(format) ? format : null;
+}
+
+/**
+ * Lists the media files under an episode's raw/ and exports/ folders with
+ * their media info, newest first.
+ * @async
+ * @param {string} episodePath - Absolute path to the episode folder
+ * @param {Object} [options]
+ * @param {boolean} [options.describe=true] - Read the media info; without it the entries have no `media`
+ * @returns {Promise<Array<{name: string, size: number, modified: Date, ext: string, media?: Object|null}>>}
+ *   `name` relative to the episode folder (e.g. 'exports/final.mp4')
+ */
+export async function listEpisodeMedia(episodePath, { describe = true } = {}) {
+  const files = [];
+  const walk = async (relative) => {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(episodePath, relative), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return;
+      throw error;
+    }
+    for (const entry of entries) {
+      const name = path.posix.join(relative, entry.name);
+      if (entry.isDirectory()) {
+        await walk(name);
+        continue;
+      }
+      const ext = path.extname(entry.name).toLowerCase();
+      if (!entry.isFile() || !MEDIA_EXTENSIONS.includes(ext)) continue;
+      const filePath = path.join(episodePath, name);
+      const stats = await fs.stat(filePath);
+      const file = { name, size: stats.size, modified: stats.mtime, ext };
+      if (describe) file.media = await describeMedia(filePath);
+      files.push(file);
+    }
+  };
+  for (const folder of MEDIA_FOLDERS) {
+    await walk(folder);
+  }
+  return files.sort((a, b) => b.modified - a.modified || a.name.localeCompare(b.name));
+}
+
+/**
+ * Works out recording.duration_final and recording.format from the final
+ * export: the given file, or else the newest file in exports/ with a duration.
+ * @param {Array<Object>} media - From listEpisodeMedia()
+ * @param {string} [file] - Export to use, relative to the episode folder
+ * @returns {{error: string, status: number}|{file: string, recording: {duration_final: string, format?: string}}}
+ *   `format` is left out for audio exports and video below 720 lines
+ */
+export function getRecordingFromExport(media, file) {
+  const exports = media.filter(entry => entry.name.startsWith('exports/'));
+  const chosen = file
+    ? exports.find(entry => entry.name === file)
+    : exports.find(entry => entry.media?.duration);
+  if (!chosen) {
+    return file
+      ? { error: `${file} is not a media file in exports/`, status: 404 }
+      : { error: 'No media file with a readable duration in exports/', status: 404 };
+  }
+  if (!chosen.media?.duration) {
+    return { error: `Could not read the duration of ${chosen.name}`, status: 422 };
+  }
+
+  const recording = { duration_final: formatDuration(chosen.media.duration) };
+  const format = getRecordingFormat(chosen.media.video);
+  if (format) recording.format = format;
+  return { file: chosen.name, recording };
+}
@@ -0,0 +1,143 @@
+import fsSync from 'fs';
+import path from 'path';
+import { TOOLKIT_DIR } from './workspaces.js';
+import { isValidIsoDate } from './releaseQueue.js';
+
+// Shared with the MCP server (mcp-server/src/metadataSchema.ts)
+export const EPISODE_SCHEMA_PATH = path.join(TOOLKIT_DIR, 'schemas', 'episode-metadata.schema.json');
+
+const DATE_TIME_REGEX = /T\d{2}:\d{2}/;
+
+let episodeSchema = null;
+
+/**
+ * Returns the episode metadata schema, read once from schemas/.
+ * @returns {Object} JSON Schema for metadata.yml
+ */
+export function getEpisodeSchema() {
+  if (!episodeSchema) {
+    episodeSchema = JSON.parse(fsSync.readFileSync(EPISODE_SCHEMA_PATH, 'utf8'));
+  }
+  return episodeSchema;
+}
+
+/**
+ * Returns the JSON Schema type name of a value.
+ * @param {*} value - Parsed YAML value
+ * @returns {string} null | array | integer | number | string | boolean | object
+ */
+function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Checks a value's type against a schema type (or list of types).
+ * @param {*} value - Value to check
+ * @param {string|string[]} expected - Schema type(s)
+ * @returns {boolean}
+ */
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  return [].concat(expected).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Formats a field path for messages.
+ * @param {Array<string|number>} fieldPath - Keys and indexes
+ * @returns {string} e.g. 'release.target_date' or 'tags[2]'
+ */
+export function formatFieldPath(fieldPath) {
+  return fieldPath.reduce((label, key) => (
+    typeof key === 'number' ? `${label}[${key}]` : (label ? `${label}.${key}` : key)
+  ), '');
+}
+
+/**
+ * Validates a value against the subset of JSON Schema used in schemas/:
+ * type, enum, format (date, date-time), maxLength, minimum, items,
+ * properties, required and additionalProperties (false or a schema for
+ * every other property). Unknown properties are warnings; everything else
+ * is an error. Empty strings skip format checks.
+ * @param {*} value - Parsed value
+ * @param {Object} schema - Schema (or subschema)
+ * @param {Array<string|number>} [fieldPath] - Path of `value` within the document
+ * @returns {Array<{path: Array<string|number>, severity: 'error'|'warning', message: string}>}
+ * @example
+ * validateAgainstSchema({ content_status: 'redy' }, getEpisodeSchema())
+ * // [{ path: ['content_status'], severity: 'error', message: "content_status must be one of: draft, ready, staged, released (got 'redy')" }]
+ */
+export function validateAgainstSchema(value, schema, fieldPath = []) {
+  const issues = [];
+  const label = formatFieldPath(fieldPath) || 'metadata';
+  const error = message => issues.push({ path: fieldPath, severity: 'error', message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = [].concat(schema.type).filter(type => type !== 'null');
+    error(`${label} must be ${expected.join(' or ')}${expected.length < [].concat(schema.type).length ? ' (or empty)' : ''}, not ${typeOf(value)}`);
+    return issues;
+  }
+
+  if (schema.enum && !schema.enum.includes(value ?? null)) {
+    const options = schema.enum.filter(option => option !== null && option !== '');
+    error(`${label} must be one of: ${options.join(', ')} (got '${value}')`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      error(`${label} must be ${schema.maxLength} characters or less`);
+    }
+    if (value !== '' && schema.format === 'date' && !isValidIsoDate(value)) {
+      error(`${label} must be a valid date (YYYY-MM-DD)`);
+    }
+    if (value !== '' && schema.format === 'date-time' && !(isValidIsoDate(value) && DATE_TIME_REGEX.test(value))) {
+      error(`${label} must be a valid date and time (YYYY-MM-DDTHH:MM:SSZ)`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    error(`${label} must be at least ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      issues.push(...validateAgainstSchema(item, schema.items, [...fieldPath, index]));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        const keyPath = [...fieldPath, key];
+        issues.push({ path: keyPath, severity: 'error', message: `${formatFieldPath(keyPath)} is required` });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        issues.push(...validateAgainstSchema(child, childSchema, [...fieldPath, key]));
+      } else if (typeof schema.additionalProperties === 'object') {
+        issues.push(...validateAgainstSchema(child, schema.additionalProperties, [...fieldPath, key]));
+      } else if (schema.additionalProperties === false) {
+        issues.push({
+          path: [...fieldPath, key],
+          severity: 'warning',
+          message: `Unknown field '${formatFieldPath([...fieldPath, key])}'`
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validates episode metadata against the shared schema.
+ * @param {Object} metadata - Parsed metadata.yml (timestamps as strings)
+ * @returns {Array<{path: Array<string|number>, severity: 'error'|'warning', message: string}>}
+ */
+export function validateEpisodeMetadata(metadata) {
+  return validateAgainstSchema(metadata, getEpisodeSchema());
+}
@@ -0,0 +1,120 @@
+import { CONTENT_STATUSES } from './episodeMetadata.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_METRIC_WEEKS = 12;
+export const MAX_METRIC_WEEKS = 52;
+
+/**
+ * Rounds a duration to days with one decimal.
+ * @param {number} ms - Duration in milliseconds
+ * @returns {number}
+ */
+function toDays(ms) {
+  return Math.round((ms / DAY_MS) * 10) / 10;
+}
+
+/**
+ * Averages durations in days.
+ * @param {number[]} durations - Durations in milliseconds
+ * @returns {number|null} Null for an empty list
+ */
+function averageDays(durations) {
+  if (durations.length === 0) return null;
+  return toDays(durations.reduce((sum, ms) => sum + ms, 0) / durations.length);
+}
+
+/**
+ * Reads an episode's status_history, skipping entries without a known status
+ * or a parseable timestamp, oldest first.
+ * @param {Object} metadata - Parsed metadata.yml
+ * @returns {Array<{status: string, time: number}>}
+ */
+function readStatusHistory(metadata) {
+  const history = Array.isArray(metadata?.status_history) ? metadata.status_history : [];
+  return history
+    .map(entry => ({ status: entry?.status, time: Date.parse(entry?.timestamp) }))
+    .filter(entry => CONTENT_STATUSES.includes(entry.status) && !Number.isNaN(entry.time))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Returns the Monday (UTC) of the week a time falls in.
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} YYYY-MM-DD
+ * @example
+ * getWeekStart(Date.parse('2025-01-09T12:00:00Z')); // '2025-01-06'
+ */
+export function getWeekStart(time) {
+  const date = new Date(time);
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  const monday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday);
+  return new Date(monday).toISOString().slice(0, 10);
+}
+
+/**
+ * Computes workflow metrics from the status_history of each episode:
+ * - time_in_status: average days spent in each status, over the stints that
+ *   ended (`count`); `current` is how many episodes are in it now
+ * - throughput: episodes moved to released per week, oldest week first
+ * - cycle_time: per series, average days from an episode's first recorded
+ *   status to its first release
+ * Episodes without a status_history are only counted in `untracked`.
+ * @param {Array<{series: string, metadata: Object}>} episodes - Indexed episodes
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in milliseconds (for tests)
+ * @param {number} [options.weeks] - Number of weeks of throughput, ending with the current one
+ * @returns {{time_in_status: Array<Object>, throughput: Array<Object>, cycle_time: Array<Object>, tracked: number, untracked: number}}
+ * @example
+ * computeStatusMetrics(await getIndexedEpisodes(), { weeks: 4 }).throughput;
+ * // [{ week: '2025-01-06', released: 2 }, { week: '2025-01-13', released: 0 }, ...]
+ */
+export function computeStatusMetrics(episodes, { now = Date.now(), weeks = DEFAULT_METRIC_WEEKS } = {}) {
+  const stints = Object.fromEntries(CONTENT_STATUSES.map(status => [status, []]));
+  const current = Object.fromEntries(CONTENT_STATUSES.map(status => [status, 0]));
+  const weekStarts = Array.from({ length: weeks }, (_, index) => getWeekStart(now - (weeks - 1 - index) * 7 * DAY_MS));
+  const released = Object.fromEntries(weekStarts.map(week => [week, 0]));
+  const cycleTimes = new Map();
+  let tracked = 0;
+
+  for (const episode of episodes) {
+    const history = readStatusHistory(episode.metadata);
+    if (history.length === 0) continue;
+    tracked++;
+
+    history.forEach((entry, index) => {
+      const next = history[index + 1];
+      if (next) {
+        stints[entry.status].push(next.time - entry.time);
+      } else {
+        current[entry.status]++;
+      }
+      if (entry.status === 'released') {
+        const week = getWeekStart(entry.time);
+        if (week in released) released[week]++;
+      }
+    });
+
+    const firstRelease = history.findIndex(entry => entry.status === 'released');
+    if (firstRelease > 0) {
+      const durations = cycleTimes.get(episode.series) ?? [];
+      durations.push(history[firstRelease].time - history[0].time);
+      cycleTimes.set(episode.series, durations);
+    }
+  }
+
+  return {
+    time_in_status: CONTENT_STATUSES.map(status => ({
+      status,
+      average_days: averageDays(stints[status]),
+      count: stints[status].length,
+      current: current[status]
+    })),
+    throughput: weekStarts.map(week => ({ week, released: released[week] })),
+    cycle_time: [...cycleTimes.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([series, durations]) => ({ series, released: durations.length, average_days: averageDays(durations) })),
+    tracked,
+    untracked: episodes.length - tracked
+  };
+}
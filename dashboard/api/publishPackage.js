@@ -0,0 +1,449 @@
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import {
+  getEpisodePlatforms,
+  checkPlatformRequirements,
+  checkRequirement,
+  episodeFileExists,
+  readRequirementValue
+} from './statusTransitions.js';
+import { IMAGE_SPECS, IMAGE_EXTENSIONS, readImageInfo, checkImageSpec } from './imageInfo.js';
+
+// Where packages are written, relative to the episode folder
+export const PUBLISH_DIR = 'exports/publish';
+
+// Package written for each platform type: upload fields as JSON for video,
+// markdown with front matter for written, the post itself for social.
+// Audio platforms get none.
+const PACKAGE_EXTENSIONS = {
+  video: '.json',
+  written: '.md',
+  social: '.txt'
+};
+
+// YouTube's limits for the fields of a video package
+const MAX_VIDEO_TITLE_LENGTH = 100;
+const MAX_VIDEO_DESCRIPTION_LENGTH = 5000;
+
+// Bracketed template text such as "[First 2-3 sentences are crucial ...]";
+// markdown links and task list boxes are not placeholders
+const PLACEHOLDER_REGEX = /\[[^\]\n]{2,}\](?!\()/;
+
+// Readiness of a check or platform, from best to worst
+export const READINESS_STATUSES = ['pass', 'warn', 'fail'];
+
+const FRONT_MATTER_REGEX = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+const DUMP_OPTIONS = {
+  schema: yaml.CORE_SCHEMA,
+  indent: 2,
+  lineWidth: -1,
+  noRefs: true,
+  quotingType: '"',
+  forceQuotes: false
+};
+
+/**
+ * Normalizes a heading or platform name for matching.
+ * @param {string} text - Heading, platform id or name
+ * @returns {string} e.g. 'blueskypost' for "Blue Sky Post"
+ */
+function normalizeKey(text) {
+  return String(text ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Turns a metadata value into trimmed text.
+ * @param {*} value - Metadata value
+ * @returns {string}
+ */
+function toText(value) {
+  if (value instanceof Date) return value.toISOString();
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * Keeps the tags that are filled in (the template ends its list with an empty one).
+ * @param {*} tags - metadata tags
+ * @returns {string[]}
+ */
+function cleanTags(tags) {
+  return (Array.isArray(tags) ? tags : []).map(toText).filter(Boolean);
+}
+
+/**
+ * Splits social-posts.md into its `##` sections. A section's post is its
+ * first fenced code block, or the section's text when it has none.
+ * Headings inside code blocks are part of the post.
+ * @param {string} content - Markdown
+ * @returns {Array<{heading: string, text: string}>}
+ * @example
+ * parseSocialPosts('## LinkedIn\n```\nHello\n```\n');
+ * // [{ heading: 'LinkedIn', text: 'Hello' }]
+ */
+export function parseSocialPosts(content) {
+  const sections = [];
+  let current = null;
+  let inFence = false;
+
+  for (const line of String(content).split(/\r?\n/)) {
+    if (line.startsWith('```')) inFence = !inFence;
+    const heading = !inFence && line.match(/^##\s+(.+?)\s*$/);
+    if (heading) {
+      current = { heading: heading[1], lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  return sections.map(({ heading, lines }) => {
+    const body = lines.join('\n');
+    const fence = body.match(/^```[^\n]*\n([\s\S]*?)^```/m);
+    // Sections of the template are separated by --- rules
+    const text = fence ? fence[1] : body.replace(/\n-{3,}\s*$/, '');
+    return { heading, text: text.trim() };
+  });
+}
+
+/**
+ * Picks the post for one platform from the social text requirement: the
+ * section whose heading starts with the platform's id or name, or the whole
+ * text when it has no sections. A mapping from a metadata field is keyed by
+ * platform id.
+ * @param {*} value - From readRequirementValue('text', ...)
+ * @param {string} id - Platform id
+ * @param {string} name - Platform name
+ * @returns {string} Empty when there is no post for the platform
+ */
+export function findSocialPost(value, id, name) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return toText(value[id]);
+  }
+  const content = toText(value);
+  const sections = parseSocialPosts(content);
+  if (sections.length === 0) return content;
+
+  const keys = [normalizeKey(id), normalizeKey(name)].filter(Boolean);
+  const section = sections.find(({ heading }) => keys.some(key => normalizeKey(heading).startsWith(key)));
+  return section?.text ?? '';
+}
+
+/**
+ * Separates the YAML front matter of a markdown file from its body.
+ * @param {string} content - Markdown
+ * @returns {{data: Object, body: string}} data is empty without (valid) front matter
+ */
+function splitFrontMatter(content) {
+  const match = content.match(FRONT_MATTER_REGEX);
+  if (!match) return { data: {}, body: content };
+  try {
+    const data = yaml.load(match[1], { schema: yaml.CORE_SCHEMA });
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      return { data, body: content.slice(match[0].length) };
+    }
+  } catch {
+    // Not front matter after all; publish the file as it is
+  }
+  return { data: {}, body: content };
+}
+
+/**
+ * Builds the upload fields of a video platform.
+ * @async
+ * @param {Object} ctx - See buildPublishPackages
+ * @returns {Promise<string>} JSON
+ */
+async function buildVideoPackage({ metadata, read, entry }) {
+  const fields = {
+    title: toText(await read('title')),
+    description: toText(await read('description')),
+    tags: cleanTags(await read('tags')),
+    category: metadata.category ?? null,
+    privacy: toText(metadata.privacy) || null,
+    playlist: toText(metadata.playlist) || null,
+    scheduled_at: toText(metadata.scheduled_at) || null,
+    thumbnail: toText(await read('thumbnail')) || null
+  };
+
+  if (fields.title.length > MAX_VIDEO_TITLE_LENGTH) {
+    entry.warnings.push(`title is ${fields.title.length} characters; YouTube allows ${MAX_VIDEO_TITLE_LENGTH}`);
+  }
+  if (fields.description.length > MAX_VIDEO_DESCRIPTION_LENGTH) {
+    entry.warnings.push(`description is ${fields.description.length} characters; YouTube allows ${MAX_VIDEO_DESCRIPTION_LENGTH}`);
+  }
+  return `${JSON.stringify(fields, null, 2)}\n`;
+}
+
+/**
+ * Builds the markdown of a written platform. Front matter already in the
+ * post wins over the fields taken from metadata.
+ * @async
+ * @param {Object} ctx - See buildPublishPackages
+ * @returns {Promise<string>} Markdown with front matter
+ */
+async function buildWrittenPackage({ metadata, read }) {
+  const { data, body } = splitFrontMatter(toText(await read('body')));
+  const generated = {
+    title: toText(await read('title')),
+    // The first paragraph; the rest of a video description is timestamps and links
+    description: toText(metadata.description).split(/\n\s*\n/)[0].trim(),
+    date: toText(metadata.analytics?.publish_date) || toText(metadata.scheduled_at) || toText(metadata.release?.target_date),
+    tags: cleanTags(await read('tags')),
+    featured_image: toText(await read('featured_image'))
+  };
+
+  const frontMatter = Object.fromEntries(
+    Object.entries({ ...generated, ...data }).filter(([, value]) => value !== '' && !(Array.isArray(value) && value.length === 0))
+  );
+  return `---\n${yaml.dump(frontMatter, DUMP_OPTIONS)}---\n\n${body.trim()}\n`;
+}
+
+/**
+ * Describes where the social text requirement is read from.
+ * @param {Object} config - From readStatusTransitions()
+ * @returns {string} e.g. 'social-posts.md'
+ */
+function describeTextSource(config) {
+  return config.requirements.text?.file ?? config.requirements.text?.field ?? 'text';
+}
+
+/**
+ * Builds the post of a social platform.
+ * @async
+ * @param {Object} ctx - See buildPublishPackages
+ * @returns {Promise<string|null>} null when there is no post for the platform
+ */
+async function buildSocialPackage({ id, platform, config, read, entry }) {
+  const post = findSocialPost(await read('text'), id, entry.name);
+  if (!post) {
+    entry.missing.push(`text (no ${entry.name} post in ${describeTextSource(config)})`);
+    return null;
+  }
+
+  const limit = platform.character_limit;
+  if (Number.isInteger(limit) && post.length > limit) {
+    entry.warnings.push(`Post is ${post.length} characters; ${entry.name} allows ${limit}`);
+  }
+  return `${post}\n`;
+}
+
+const PACKAGE_BUILDERS = {
+  video: buildVideoPackage,
+  written: buildWrittenPackage,
+  social: buildSocialPackage
+};
+
+/**
+ * Writes a ready-to-paste package for each platform the episode is
+ * distributed to (its distribution.platforms, otherwise its profile's) into
+ * exports/publish/, named after the platform: youtube.json, blog.md,
+ * linkedin.txt and so on. The inputs are the platform's `requires` entries,
+ * found the way status-transitions.yml says (blog-post.md, social-posts.md).
+ * A platform with missing inputs gets no package, and an earlier one is
+ * removed so it cannot be pasted by mistake.
+ * @async
+ * @param {string} episodePath - Absolute path to the episode folder
+ * @param {Object} ctx
+ * @param {Object} ctx.metadata - Episode metadata
+ * @param {Object} ctx.config - From readStatusTransitions()
+ * @param {Object} ctx.distribution - Parsed distribution-profiles.yml
+ * @returns {Promise<{error: string, status: number}|{directory: string, complete: boolean, platforms: Object[]}>}
+ *   Per platform: `file` (relative to the episode folder, null when none was
+ *   written), `missing` inputs and `warnings`
+ * @example
+ * const result = await buildPublishPackages(episodePath, { metadata, config, distribution });
+ * // result.platforms[0]: { platform: 'youtube', name: 'YouTube', type: 'video',
+ * //   file: 'exports/publish/youtube.json', missing: [], warnings: [] }
+ */
+export async function buildPublishPackages(episodePath, { metadata, config, distribution }) {
+  const ids = getEpisodePlatforms(metadata, distribution);
+  if (ids.length === 0) {
+    return { error: 'The episode has no platforms to publish to. Set distribution.profile or distribution.platforms.', status: 400 };
+  }
+
+  const unmet = await checkPlatformRequirements(metadata, { config, episodePath, distribution });
+  const read = name => readRequirementValue(name, metadata, config, episodePath);
+  const outputDir = path.join(episodePath, PUBLISH_DIR);
+  const platforms = [];
+
+  for (const id of ids) {
+    const platform = distribution?.platforms?.[id] ?? {};
+    const entry = {
+      platform: id,
+      name: platform.name || id,
+      type: platform.type ?? null,
+      file: null,
+      missing: [...(unmet.find(result => result.platform === id)?.missing ?? [])],
+      warnings: []
+    };
+    platforms.push(entry);
+
+    const extension = PACKAGE_EXTENSIONS[platform.type];
+    if (!extension) {
+      entry.warnings.push(distribution?.platforms?.[id]
+        ? `No publish package for ${platform.type || 'untyped'} platforms`
+        : `${id} is not defined in distribution-profiles.yml`);
+      continue;
+    }
+
+    const file = `${id}${extension}`;
+    const content = entry.missing.length === 0
+      ? await PACKAGE_BUILDERS[platform.type]({ id, platform, metadata, config, read, entry })
+      : null;
+    if (content === null) {
+      await fs.rm(path.join(outputDir, file), { force: true });
+      continue;
+    }
+
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(path.join(outputDir, file), content, 'utf8');
+    entry.file = `${PUBLISH_DIR}/${file}`;
+  }
+
+  return {
+    directory: PUBLISH_DIR,
+    complete: platforms.every(entry => entry.missing.length === 0),
+    platforms
+  };
+}
+
+/**
+ * Picks the worse of readiness statuses.
+ * @param {string[]} statuses - From READINESS_STATUSES
+ * @returns {string} 'pass' for an empty list
+ */
+function worstStatus(statuses) {
+  return statuses.reduce((worst, status) =>
+    (READINESS_STATUSES.indexOf(status) > READINESS_STATUSES.indexOf(worst) ? status : worst), 'pass');
+}
+
+/**
+ * Looks past "filled in" at a requirement that is met: template text left in
+ * the description, empty tags, the thumbnail file and its size against the
+ * platform's image spec, and social post lengths.
+ * @async
+ * @param {string} name - Requirement name from the platform's `requires` list
+ * @param {Object} ctx
+ * @param {string} ctx.id - Platform id
+ * @param {Object} ctx.platform - Platform from distribution-profiles.yml
+ * @param {string} ctx.name - Platform name
+ * @param {Object} ctx.config - From readStatusTransitions()
+ * @param {string} ctx.episodePath - Absolute path to the episode folder
+ * @param {function(string): Promise<*>} ctx.read - Reads a requirement's value
+ * @returns {Promise<{status: string, message: string|null}>}
+ */
+async function inspectRequirement(name, { id, platform, name: platformName, config, episodePath, read }) {
+  const result = (status, message = null) => ({ status, message });
+
+  switch (name) {
+  case 'title': {
+    const title = toText(await read(name));
+    return platform.type === 'video' && title.length > MAX_VIDEO_TITLE_LENGTH
+      ? result('warn', `${title.length} characters; YouTube shows ${MAX_VIDEO_TITLE_LENGTH}`)
+      : result('pass');
+  }
+  case 'description': {
+    const placeholder = toText(await read(name)).match(PLACEHOLDER_REGEX);
+    return placeholder ? result('fail', `Still has template text: ${placeholder[0]}`) : result('pass');
+  }
+  case 'tags': {
+    const tags = await read(name);
+    const empty = Array.isArray(tags) ? tags.filter(tag => !toText(tag)).length : 0;
+    return empty > 0
+      ? result('warn', `${empty} empty tag${empty === 1 ? '' : 's'} (a "-" with nothing after it)`)
+      : result('pass', `${cleanTags(tags).length} tags`);
+  }
+  case 'thumbnail':
+  case 'featured_image': {
+    // A file rule was already checked; otherwise the value names the image
+    if (config.requirements[name]?.file) return result('pass');
+    const file = toText(await read(name));
+    if (!await episodeFileExists(episodePath, file)) {
+      return result('fail', `${file} not found in the episode folder`);
+    }
+    if (!IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase())) return result('pass', file);
+    const info = await readImageInfo(path.join(episodePath, file)).catch(() => null);
+    if (!info) return result('warn', `${file}: could not read the image size`);
+    const { errors, warnings } = checkImageSpec(info, IMAGE_SPECS[name]);
+    const summary = `${file}, ${info.width}x${info.height} ${info.format.toUpperCase()}`;
+    if (errors.length > 0) return result('fail', `${summary}: ${errors.join('; ')}`);
+    if (warnings.length > 0) return result('warn', `${summary}: ${warnings.join('; ')}`);
+    return result('pass', summary);
+  }
+  case 'body': {
+    const placeholder = toText(await read(name)).match(PLACEHOLDER_REGEX);
+    return placeholder ? result('warn', `Still has template text: ${placeholder[0]}`) : result('pass');
+  }
+  case 'text': {
+    const post = findSocialPost(await read(name), id, platformName);
+    const limit = Number.isInteger(platform.character_limit) ? platform.character_limit : null;
+    if (!post) return result('fail', `No ${platformName} post in ${describeTextSource(config)}`);
+    if (limit !== null && post.length > limit) {
+      return result('fail', `${post.length} characters; ${platformName} allows ${limit}`);
+    }
+    const placeholder = post.match(PLACEHOLDER_REGEX);
+    if (placeholder) return result('warn', `Still has template text: ${placeholder[0]}`);
+    return result('pass', limit !== null ? `${post.length} of ${limit} characters` : `${post.length} characters`);
+  }
+  default:
+    return result('pass');
+  }
+}
+
+/**
+ * Checks an episode against each platform it is distributed to before
+ * release: every `requires` entry is met (as status-transitions.yml
+ * describes), and beyond that the description has no template text left,
+ * tags have no empty entries, the thumbnail exists and meets IMAGE_SPECS,
+ * and social posts fit the platform's character_limit.
+ * @async
+ * @param {string} episodePath - Absolute path to the episode folder
+ * @param {Object} ctx
+ * @param {Object} ctx.metadata - Episode metadata
+ * @param {Object} ctx.config - From readStatusTransitions()
+ * @param {Object} ctx.distribution - Parsed distribution-profiles.yml
+ * @returns {Promise<{error: string, status: number}|{status: string, platforms: Object[]}>}
+ *   `status` is the worst of the platforms' pass, warn or fail; per platform
+ *   the `checks` of each requirement with a message
+ * @example
+ * const report = await checkPublishReadiness(episodePath, { metadata, config, distribution });
+ * // report.platforms[0]: { platform: 'youtube', name: 'YouTube', type: 'video', status: 'fail',
+ * //   checks: [{ requirement: 'description', status: 'fail', message: 'Still has template text: [...]' }, ...] }
+ */
+export async function checkPublishReadiness(episodePath, { metadata, config, distribution }) {
+  const ids = getEpisodePlatforms(metadata, distribution);
+  if (ids.length === 0) {
+    return { error: 'The episode has no platforms to publish to. Set distribution.profile or distribution.platforms.', status: 400 };
+  }
+
+  const read = name => readRequirementValue(name, metadata, config, episodePath);
+  const platforms = [];
+  for (const id of ids) {
+    const platform = distribution?.platforms?.[id];
+    const name = platform?.name || id;
+    const checks = [];
+
+    if (!platform) {
+      checks.push({ requirement: null, status: 'warn', message: `${id} is not defined in distribution-profiles.yml` });
+    }
+    for (const requirement of Array.isArray(platform?.requires) ? platform.requires : []) {
+      const problem = await checkRequirement(requirement, metadata, config, episodePath);
+      const result = problem
+        ? { status: 'fail', message: problem }
+        : await inspectRequirement(requirement, { id, platform, name, config, episodePath, read });
+      checks.push({ requirement, ...result });
+    }
+
+    platforms.push({
+      platform: id,
+      name,
+      type: platform?.type ?? null,
+      status: worstStatus(checks.map(check => check.status)),
+      checks
+    });
+  }
+
+  return { status: worstStatus(platforms.map(platform => platform.status)), platforms };
+}
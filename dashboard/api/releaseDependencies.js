@@ -0,0 +1,407 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { isValidIsoDate } from './releaseQueue.js';
+
+// manual dependencies are marked by hand; the others resolve on their own
+export const DEPENDENCY_TYPES = ['manual', 'episode_released', 'date', 'file_exists'];
+export const DEPENDENCY_STATES = ['pending', 'met', 'waived'];
+
+// Text form of the automatic kinds, e.g. "episode: series/merview/2025-01-01-intro"
+const TEXT_PREFIXES = { episode: 'episode_released', date: 'date', file: 'file_exists' };
+const TARGET_FIELDS = { manual: 'description', episode_released: 'episode', date: 'date', file_exists: 'file' };
+
+const EPISODE_PATH_REGEX = /^series\/[^/\\]+\/[^/\\]+$/;
+const DEPENDENCY_ID_REGEX = /^[a-z0-9][a-z0-9-]*$/;
+const MAX_TEXT_LENGTH = 200;
+const MAX_MARKED_BY_LENGTH = 100;
+const MAX_ID_LENGTH = 60;
+
+/**
+ * Strips control characters and trims a value. Dates parsed from unquoted
+ * YAML timestamps are turned back into ISO text (date-only when at midnight UTC).
+ * @param {*} value - Raw value
+ * @param {number} maxLength - Maximum length
+ * @returns {string}
+ */
+function sanitizeLine(value, maxLength) {
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  return String(value ?? '').replace(/[\x00-\x1F\x7F]/g, '').trim().substring(0, maxLength);
+}
+
+/**
+ * Returns the one-line text form of a dependency, as typed in the editors.
+ * @param {Object} dependency - Dependency record
+ * @returns {string}
+ * @example
+ * formatDependency({ type: 'date', date: '2025-01-15' }) // 'date: 2025-01-15'
+ * formatDependency({ type: 'manual', description: 'landing page live' }) // 'landing page live'
+ */
+export function formatDependency(dependency) {
+  if (dependency.type === 'manual') return dependency.description;
+  const prefix = Object.keys(TEXT_PREFIXES).find(key => TEXT_PREFIXES[key] === dependency.type);
+  return `${prefix}: ${dependency[TARGET_FIELDS[dependency.type]]}`;
+}
+
+/**
+ * Builds a dependency id from its text form.
+ * @param {string} text - formatDependency() output
+ * @returns {string}
+ */
+function toDependencyId(text) {
+  const id = text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+/, '').substring(0, MAX_ID_LENGTH);
+  return id.replace(/-+$/, '') || 'dependency';
+}
+
+/**
+ * Checks the target of a dependency (episode path, date or file path).
+ * @param {string} type - One of DEPENDENCY_TYPES
+ * @param {string} target - Raw target value
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - Label for messages
+ * @returns {string|undefined}
+ */
+function validateTarget(type, target, errors, label) {
+  if (!target) {
+    errors.push(`${label} needs a ${TARGET_FIELDS[type]}`);
+    return undefined;
+  }
+  if (type === 'episode_released' && (!EPISODE_PATH_REGEX.test(target) || target.includes('..'))) {
+    errors.push(`${label}: episode must look like series/<series>/<episode>`);
+    return undefined;
+  }
+  if (type === 'date' && !isValidIsoDate(target)) {
+    errors.push(`${label}: date must be a valid ISO date (YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS with optional offset)`);
+    return undefined;
+  }
+  if (type === 'file_exists' && (path.isAbsolute(target) || target.split(/[\\/]/).includes('..'))) {
+    errors.push(`${label}: file must be a path relative to the content root`);
+    return undefined;
+  }
+  return target;
+}
+
+/**
+ * Parses one dependency: a line of text ("landing page live", "date: 2025-01-15")
+ * or a stored record.
+ * @param {string|Object} value - Raw dependency
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - Label for messages
+ * @returns {Object|undefined} Record without an id; `state` only when given
+ */
+function parseDependency(value, errors, label) {
+  if (typeof value === 'string') {
+    const text = sanitizeLine(value, MAX_TEXT_LENGTH);
+    if (!text) return undefined;
+    const match = /^(episode|date|file):\s*(.+)$/i.exec(text);
+    if (!match) return { type: 'manual', description: text };
+    const type = TEXT_PREFIXES[match[1].toLowerCase()];
+    const target = validateTarget(type, match[2].trim(), errors, label);
+    return target === undefined ? undefined : { type, [TARGET_FIELDS[type]]: target };
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${label} must be text or a mapping with a type`);
+    return undefined;
+  }
+  const type = value.type ?? 'manual';
+  if (!DEPENDENCY_TYPES.includes(type)) {
+    errors.push(`${label}: type must be one of: ${DEPENDENCY_TYPES.join(', ')}`);
+    return undefined;
+  }
+  const target = validateTarget(type, sanitizeLine(value[TARGET_FIELDS[type]], MAX_TEXT_LENGTH), errors, label);
+  if (target === undefined) return undefined;
+
+  const dependency = { type, [TARGET_FIELDS[type]]: target };
+  if (value.id !== undefined) {
+    if (typeof value.id !== 'string' || !DEPENDENCY_ID_REGEX.test(value.id) || value.id.length > MAX_ID_LENGTH) {
+      errors.push(`${label}: id must use lowercase letters, numbers and hyphens`);
+      return undefined;
+    }
+    dependency.id = value.id;
+  }
+  if (value.state !== undefined) {
+    if (!DEPENDENCY_STATES.includes(value.state)) {
+      errors.push(`${label}: state must be one of: ${DEPENDENCY_STATES.join(', ')}`);
+      return undefined;
+    }
+    dependency.state = value.state;
+  }
+  if (value.marked_by) dependency.marked_by = sanitizeLine(value.marked_by, MAX_MARKED_BY_LENGTH);
+  if (value.marked_at) {
+    const markedAt = sanitizeLine(value.marked_at, MAX_TEXT_LENGTH);
+    if (!isValidIsoDate(markedAt)) {
+      errors.push(`${label}: marked_at must be a valid ISO date`);
+      return undefined;
+    }
+    dependency.marked_at = markedAt;
+  }
+  return dependency;
+}
+
+/**
+ * Validates a dependency list (release.depends_on or a release group's
+ * dependencies). Entries may be lines of text or stored records; every
+ * valid entry gets a unique id derived from its text unless it has one.
+ * @param {*} value - Raw list
+ * @param {string} label - Label for messages
+ * @returns {{errors: string[], dependencies: Array<Object>}} Records keep `state` only when one was given
+ * @example
+ * validateDependencies(['merview repo public', 'date: 2025-01-15'], 'Dependencies').dependencies
+ * // [{ id: 'merview-repo-public', type: 'manual', description: 'merview repo public' },
+ * //  { id: 'date-2025-01-15', type: 'date', date: '2025-01-15' }]
+ */
+export function validateDependencies(value, label) {
+  const errors = [];
+  const dependencies = [];
+  if (value === null || value === undefined) return { errors, dependencies };
+  if (!Array.isArray(value)) {
+    errors.push(`${label} must be a list`);
+    return { errors, dependencies };
+  }
+
+  const ids = new Set();
+  value.forEach((entry, index) => {
+    const dependency = parseDependency(entry, errors, `${label} entry ${index + 1}`);
+    if (!dependency) return;
+    const base = dependency.id ?? toDependencyId(formatDependency(dependency));
+    let id = base;
+    for (let n = 2; ids.has(id); n++) {
+      id = `${base.substring(0, MAX_ID_LENGTH - 4)}-${n}`;
+    }
+    ids.add(id);
+    dependencies.push({ id, ...dependency });
+  });
+  return { errors, dependencies };
+}
+
+/**
+ * Reads a stored dependency list, skipping invalid entries (lint reports
+ * them) and treating entries without a state as pending.
+ * @param {*} value - release.depends_on or a group's dependencies as stored
+ * @returns {Array<Object>}
+ */
+export function readDependencies(value) {
+  return validateDependencies(value, 'Dependencies').dependencies
+    .map(dependency => ({ ...dependency, state: dependency.state ?? 'pending' }));
+}
+
+/**
+ * Keeps the state of dependencies that were already recorded, so editing the
+ * list as text does not reset what was marked. Matched by id.
+ * @param {Array<Object>} dependencies - From validateDependencies()
+ * @param {*} previous - The list as stored before the edit
+ * @returns {Array<Object>} Records that all have a state
+ */
+export function carryDependencyStates(dependencies, previous) {
+  const recorded = new Map(readDependencies(previous).map(dependency => [dependency.id, dependency]));
+  return dependencies.map(dependency => {
+    if (dependency.state) return dependency;
+    const before = recorded.get(dependency.id);
+    if (!before || before.type !== dependency.type) return { ...dependency, state: 'pending' };
+    const { state, marked_by: markedBy, marked_at: markedAt } = before;
+    return { ...dependency, state, ...(markedBy ? { marked_by: markedBy } : {}), ...(markedAt ? { marked_at: markedAt } : {}) };
+  });
+}
+
+/**
+ * Whether a dependency resolves on its own instead of being marked by hand.
+ * @param {Object} dependency - Dependency record
+ * @returns {boolean}
+ */
+export function isAutomaticDependency(dependency) {
+  return dependency.type !== 'manual';
+}
+
+/**
+ * Marks a dependency in a stored list. Automatic kinds can only be waived
+ * (or set back to pending); they are met when their condition holds.
+ * @param {*} list - The list as stored
+ * @param {string} id - Dependency id
+ * @param {Object} change
+ * @param {string} change.state - One of DEPENDENCY_STATES
+ * @param {string} change.marked_by - Who marked it
+ * @param {string} [change.marked_at] - When (ISO 8601, defaults to now)
+ * @returns {{error?: string, status?: number, dependencies?: Array<Object>, dependency?: Object}}
+ *   The whole normalized list to store, or an error with its HTTP status
+ */
+export function markDependency(list, id, { state, marked_by: markedBy, marked_at: markedAt = new Date().toISOString() }) {
+  if (!DEPENDENCY_STATES.includes(state)) {
+    return { error: `State must be one of: ${DEPENDENCY_STATES.join(', ')}`, status: 400 };
+  }
+  if (typeof markedBy !== 'string' || !sanitizeLine(markedBy, MAX_MARKED_BY_LENGTH)) {
+    return { error: 'marked_by must name who marked the dependency', status: 400 };
+  }
+  const dependencies = readDependencies(list);
+  const dependency = dependencies.find(entry => entry.id === id);
+  if (!dependency) {
+    return { error: `Dependency '${id}' not found`, status: 404 };
+  }
+  if (state === 'met' && isAutomaticDependency(dependency)) {
+    return { error: `'${formatDependency(dependency)}' resolves automatically; it can only be waived`, status: 400 };
+  }
+
+  dependency.state = state;
+  dependency.marked_by = sanitizeLine(markedBy, MAX_MARKED_BY_LENGTH);
+  dependency.marked_at = markedAt;
+  return { dependencies, dependency };
+}
+
+/**
+ * Checks whether a file exists under the content root.
+ * @async
+ * @param {string} baseDir - Content root
+ * @param {string} file - Path relative to the content root
+ * @returns {Promise<Date|null>} Modification time, or null when there is no such file
+ */
+export async function statContentFile(baseDir, file) {
+  const root = path.resolve(baseDir);
+  const resolved = path.resolve(root, file);
+  if (!resolved.startsWith(root + path.sep)) return null;
+  try {
+    const stats = await fs.stat(resolved);
+    return stats.isFile() ? stats.mtime : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Works out the current state of each dependency. Waived and manual ones
+ * keep their recorded state; automatic ones are met once their episode is
+ * released, their date has passed or their file exists. Every entry gets
+ * `automatic`, `satisfied` (met or waived), `label` and a `detail` line.
+ * @async
+ * @param {*} list - Dependency list as stored
+ * @param {Object} ctx
+ * @param {number} ctx.now - Current time in milliseconds
+ * @param {function(string): ({status: string, released_at: string|null}|null)} ctx.getEpisode - Looks up an episode path
+ * @param {function(string): Promise<Date|null>} ctx.statFile - Modification time of a content file, or null
+ * @returns {Promise<Array<Object>>}
+ * @example
+ * const resolved = await resolveDependencies(group.dependencies, ctx);
+ * const releasable = resolved.every(dependency => dependency.satisfied);
+ */
+export async function resolveDependencies(list, { now, getEpisode, statFile }) {
+  const resolved = [];
+  for (const dependency of readDependencies(list)) {
+    const entry = { ...dependency, automatic: isAutomaticDependency(dependency), label: formatDependency(dependency) };
+
+    if (dependency.state === 'waived') {
+      entry.detail = `Waived by ${dependency.marked_by || 'unknown'}`;
+    } else if (dependency.type === 'manual') {
+      entry.detail = dependency.state === 'met' ? `Marked met by ${dependency.marked_by || 'unknown'}` : 'Not marked met yet';
+    } else if (dependency.type === 'episode_released') {
+      const episode = getEpisode(dependency.episode);
+      entry.state = episode?.status === 'released' ? 'met' : 'pending';
+      if (!episode) {
+        entry.detail = 'Episode not found';
+      } else if (entry.state === 'met') {
+        entry.detail = episode.released_at ? `Released ${episode.released_at}` : 'Released';
+        entry.met_at = episode.released_at || null;
+      } else {
+        entry.detail = `Episode is ${episode.status || 'draft'}`;
+      }
+    } else if (dependency.type === 'date') {
+      const reached = Date.parse(dependency.date) <= now;
+      entry.state = reached ? 'met' : 'pending';
+      entry.detail = reached ? 'Date reached' : `Waiting until ${dependency.date}`;
+      if (reached) entry.met_at = dependency.date;
+    } else {
+      const mtime = await statFile(dependency.file);
+      entry.state = mtime ? 'met' : 'pending';
+      entry.detail = mtime ? 'File found' : 'File not found';
+      if (mtime) entry.met_at = mtime.toISOString();
+    }
+
+    entry.satisfied = entry.state === 'met' || entry.state === 'waived';
+    resolved.push(entry);
+  }
+  return resolved;
+}
+
+/**
+ * When an episode was released: its last `released` status_history entry,
+ * otherwise analytics.publish_date.
+ * @param {Object} metadata - Parsed metadata.yml
+ * @returns {string|null}
+ */
+function getReleasedAt(metadata) {
+  const history = Array.isArray(metadata?.status_history) ? metadata.status_history : [];
+  const released = history.filter(entry => entry?.status === 'released').pop();
+  const value = released?.timestamp ?? metadata?.analytics?.publish_date;
+  return value ? sanitizeLine(value, MAX_TEXT_LENGTH) : null;
+}
+
+/**
+ * Resolves the dependencies of every release group and of every episode the
+ * release queue deals with (staged, blocked, in a group, or with dependencies
+ * of its own). An episode's dependencies are its release.depends_on plus
+ * those of the groups it belongs to, each tagged with `from` ('episode' or
+ * the group id); it is releasable once all of them are met or waived.
+ * @async
+ * @param {Object} queue - Release queue data
+ * @param {Array<{path: string, metadata: Object}>} episodes - Indexed episodes
+ * @param {Object} ctx
+ * @param {number} [ctx.now] - Current time in milliseconds (for tests)
+ * @param {function(string): Promise<Date|null>} ctx.statFile - See resolveDependencies()
+ * @returns {Promise<{groups: Object<string, {dependencies: Array<Object>, releasable: boolean}>, items: Object<string, {dependencies: Array<Object>, unmet: Array<Object>, releasable: boolean}>}>}
+ * @example
+ * const { items } = await resolveQueueDependencies(queue, getIndexedEpisodes(), { statFile });
+ * items['series/merview/2024-12-20-intro'].releasable; // false until 'landing page live' is met
+ */
+export async function resolveQueueDependencies(queue, episodes, { now = Date.now(), statFile }) {
+  const byPath = new Map(episodes.map(episode => [episode.path.split(path.sep).join('/'), episode]));
+  const ctx = {
+    now,
+    statFile,
+    getEpisode: episodePath => {
+      const episode = byPath.get(episodePath);
+      if (!episode) return null;
+      return { status: episode.metadata?.content_status || 'draft', released_at: getReleasedAt(episode.metadata) };
+    }
+  };
+
+  const groups = {};
+  for (const [id, group] of Object.entries(queue.release_groups || {})) {
+    const dependencies = await resolveDependencies(group?.dependencies, ctx);
+    groups[id] = { dependencies, releasable: dependencies.every(dependency => dependency.satisfied) };
+  }
+
+  const paths = new Set();
+  for (const section of ['staged', 'blocked']) {
+    for (const item of Array.isArray(queue[section]) ? queue[section] : []) {
+      if (typeof item?.path === 'string') paths.add(item.path);
+    }
+  }
+  for (const group of Object.values(queue.release_groups || {})) {
+    for (const item of Array.isArray(group?.items) ? group.items : []) {
+      if (typeof item?.path === 'string') paths.add(item.path);
+    }
+  }
+  for (const [episodePath, episode] of byPath) {
+    const release = episode.metadata?.release;
+    if (release?.release_group || (Array.isArray(release?.depends_on) && release.depends_on.length > 0)) {
+      paths.add(episodePath);
+    }
+  }
+
+  const items = {};
+  for (const itemPath of paths) {
+    const release = byPath.get(itemPath)?.metadata?.release;
+    const dependencies = (await resolveDependencies(release?.depends_on, ctx))
+      .map(dependency => ({ ...dependency, from: 'episode' }));
+    for (const [id, group] of Object.entries(queue.release_groups || {})) {
+      const listed = Array.isArray(group?.items) && group.items.some(item => item?.path === itemPath);
+      if (listed || release?.release_group === id) {
+        dependencies.push(...groups[id].dependencies.map(dependency => ({ ...dependency, from: id })));
+      }
+    }
+    const unmet = dependencies.filter(dependency => !dependency.satisfied);
+    items[itemPath] = { dependencies, unmet, releasable: unmet.length === 0 };
+  }
+
+  return { groups, items };
+}
@@ -0,0 +1,377 @@
+import fs from 'fs/promises';
+import yaml from 'js-yaml';
+import { validateDependencies } from './releaseDependencies.js';
+
+// Status values documented at the bottom of release-queue.yml
+export const RELEASE_STATUSES = ['draft', 'ready', 'staged', 'released', 'archived', 'blocked'];
+
+// Top-level item lists in release-queue.yml
+export const QUEUE_SECTIONS = ['staged', 'blocked', 'released'];
+
+const EPISODE_PATH_REGEX = /^series\/[^/\\]+\/[^/\\]+$/;
+const ISO_DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const MAX_NAME_LENGTH = 200;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_LIST_ENTRY_LENGTH = 200;
+
+const QUEUE_HEADER = '# Release Queue\n# This file manages coordinated releases and staged content\n\n';
+const QUEUE_FOOTER = `\n# Status values: ${RELEASE_STATUSES.join(', ')}\n`;
+
+/**
+ * Checks that a value is an ISO 8601 date (YYYY-MM-DD) or datetime with an
+ * optional offset, and that the calendar date actually exists.
+ * @param {string} value - The value to check
+ * @returns {boolean} True if the value is a valid ISO date/datetime
+ * @example
+ * isValidIsoDate('2025-01-15') // true
+ * isValidIsoDate('2025-01-15T09:00:00-08:00') // true
+ * isValidIsoDate('2025-02-30') // false
+ */
+export function isValidIsoDate(value) {
+  if (typeof value !== 'string') return false;
+  const match = ISO_DATE_REGEX.exec(value);
+  if (!match) return false;
+
+  const [, year, month, day, hour, minute, second] = match.map(v => (v === undefined ? v : Number(v)));
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return false;
+  }
+  if (hour !== undefined && (hour > 23 || minute > 59 || (second !== undefined && second > 59))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Reads release-queue.yml for editing. Uses the core schema so timestamps
+ * stay as written (offsets included) instead of being converted to Date objects.
+ * @async
+ * @param {string} filepath - Absolute path to release-queue.yml
+ * @returns {Promise<Object>} Queue data with every section present
+ */
+export async function readReleaseQueue(filepath) {
+  let data = {};
+  try {
+    const content = await fs.readFile(filepath, 'utf8');
+    data = yaml.load(content, { schema: yaml.CORE_SCHEMA }) || {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  data.release_groups = data.release_groups || {};
+  for (const section of QUEUE_SECTIONS) {
+    data[section] = data[section] || [];
+  }
+  return data;
+}
+
+/**
+ * Writes release-queue.yml with its standard header and status reference.
+ * @async
+ * @param {string} filepath - Absolute path to release-queue.yml
+ * @param {Object} data - Queue data
+ * @returns {Promise<void>}
+ */
+export async function writeReleaseQueue(filepath, data) {
+  const body = yaml.dump(data, {
+    schema: yaml.CORE_SCHEMA,
+    indent: 2,
+    lineWidth: -1,
+    noRefs: true,
+    quotingType: '"',
+    forceQuotes: false
+  });
+  await fs.writeFile(filepath, QUEUE_HEADER + body + QUEUE_FOOTER, 'utf8');
+}
+
+// Serializes read-modify-write cycles on release-queue.yml
+let queueLock = Promise.resolve();
+
+/**
+ * Runs a read-modify-write operation on the release queue while holding
+ * an in-process lock, so concurrent requests cannot overwrite each other.
+ * @async
+ * @param {function(): Promise<*>} operation - The operation to run
+ * @returns {Promise<*>} The operation's result
+ */
+export function withReleaseQueueLock(operation) {
+  const run = queueLock.then(operation, operation);
+  queueLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Strips control characters and trims a free-text value.
+ * @param {*} value - Raw value
+ * @param {number} maxLength - Maximum length
+ * @returns {string}
+ */
+function sanitizeText(value, maxLength) {
+  return String(value ?? '').replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '').trim().substring(0, maxLength);
+}
+
+/**
+ * Validates an episode path reference like 'series/<series>/<episode>'.
+ * @async
+ * @param {*} value - The path to check
+ * @param {Object} ctx - Validation context
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - Field label for messages
+ * @returns {Promise<string|undefined>} The path if valid
+ */
+async function validateEpisodePath(value, ctx, errors, label) {
+  if (typeof value !== 'string' || !EPISODE_PATH_REGEX.test(value) || value.includes('..')) {
+    errors.push(`${label} must look like series/<series>/<episode>`);
+    return undefined;
+  }
+  if (!(await ctx.episodeExists(value))) {
+    errors.push(`${label} '${value}' does not match an existing episode`);
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Validates a distribution profile reference against the known profiles.
+ * @param {*} value - Profile id
+ * @param {Object} ctx - Validation context
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - Field label for messages
+ * @returns {string|undefined}
+ */
+function validateProfile(value, ctx, errors, label) {
+  if (typeof value !== 'string' || !value) {
+    errors.push(`${label} must be a distribution profile id`);
+    return undefined;
+  }
+  if (ctx.profiles.length > 0 && !ctx.profiles.includes(value)) {
+    errors.push(`${label} '${value}' is not a known distribution profile. Valid options: ${ctx.profiles.join(', ')}`);
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Validates a date field, allowing empty values to clear it.
+ * @param {*} value - Date value
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - Field label for messages
+ * @returns {string|undefined}
+ */
+function validateDate(value, errors, label) {
+  if (value === null || value === '') return '';
+  if (!isValidIsoDate(value)) {
+    errors.push(`${label} must be a valid ISO date (YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS with optional offset)`);
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Validates a list of short strings (release order).
+ * @param {*} value - Raw list
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - Field label for messages
+ * @returns {string[]|undefined}
+ */
+function validateStringList(value, errors, label) {
+  if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string')) {
+    errors.push(`${label} must be an array of strings`);
+    return undefined;
+  }
+  return value.map(entry => sanitizeText(entry, MAX_LIST_ENTRY_LENGTH)).filter(entry => entry.length > 0);
+}
+
+/**
+ * Validates and sanitizes a release group definition.
+ * @async
+ * @param {Object} input - Group fields from the request body
+ * @param {Object} ctx - Validation context
+ * @param {string[]} ctx.profiles - Known distribution profile ids
+ * @param {string[]} ctx.platforms - Known platform ids
+ * @param {function(string): Promise<boolean>} ctx.episodeExists - Checks an episode path
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing required fields (PATCH)
+ * @returns {Promise<{errors: string[], sanitized: Object}>}
+ */
+export async function validateReleaseGroup(input, ctx, { partial = false } = {}) {
+  const errors = [];
+  const sanitized = {};
+  const allowedFields = ['name', 'description', 'status', 'target_date', 'condition', 'items', 'dependencies', 'release_order'];
+
+  for (const key of Object.keys(input)) {
+    if (key === 'id') continue;
+    if (!allowedFields.includes(key)) {
+      errors.push(`Release group field '${key}' is not valid`);
+    }
+  }
+
+  if (!partial && (typeof input.name !== 'string' || !input.name.trim())) {
+    errors.push('Release group name is required');
+  }
+
+  if (input.name !== undefined) {
+    if (typeof input.name !== 'string' || input.name.length > MAX_NAME_LENGTH) {
+      errors.push(`Release group name must be a string of ${MAX_NAME_LENGTH} characters or less`);
+    } else if (input.name.trim()) {
+      sanitized.name = sanitizeText(input.name, MAX_NAME_LENGTH);
+    }
+  }
+
+  for (const key of ['description', 'condition']) {
+    if (input[key] !== undefined) {
+      sanitized[key] = sanitizeText(input[key], MAX_TEXT_LENGTH);
+    }
+  }
+
+  if (input.status !== undefined) {
+    if (!RELEASE_STATUSES.includes(input.status)) {
+      errors.push(`Release group status must be one of: ${RELEASE_STATUSES.join(', ')}`);
+    } else {
+      sanitized.status = input.status;
+    }
+  } else if (!partial) {
+    sanitized.status = 'draft';
+  }
+
+  if (input.target_date !== undefined) {
+    const date = validateDate(input.target_date, errors, 'Release group target date');
+    if (date !== undefined) sanitized.target_date = date;
+  }
+
+  if (input.items !== undefined) {
+    if (!Array.isArray(input.items)) {
+      errors.push('Release group items must be an array');
+    } else {
+      const items = [];
+      const seen = new Set();
+      for (const [index, item] of input.items.entries()) {
+        if (!item || typeof item !== 'object') {
+          errors.push(`Release group item ${index + 1} must be an object`);
+          continue;
+        }
+        const itemPath = await validateEpisodePath(item.path, ctx, errors, `Item ${index + 1} path`);
+        if (itemPath && seen.has(itemPath)) {
+          errors.push(`Item '${itemPath}' is listed more than once`);
+          continue;
+        }
+        const distribution = validateProfile(item.distribution || 'full', ctx, errors, `Item ${index + 1} distribution`);
+        if (itemPath && distribution) {
+          seen.add(itemPath);
+          items.push({
+            path: itemPath,
+            type: sanitizeText(item.type || 'youtube', 50),
+            distribution
+          });
+        }
+      }
+      sanitized.items = items;
+    }
+  } else if (!partial) {
+    sanitized.items = [];
+  }
+
+  if (input.dependencies !== undefined) {
+    const { errors: dependencyErrors, dependencies } = validateDependencies(input.dependencies, 'Dependencies');
+    errors.push(...dependencyErrors);
+    if (dependencyErrors.length === 0) sanitized.dependencies = dependencies;
+  } else if (!partial) {
+    sanitized.dependencies = [];
+  }
+
+  if (input.release_order !== undefined) {
+    const order = validateStringList(input.release_order, errors, 'Release order');
+    if (order) {
+      const unknown = ctx.platforms.length > 0 ? order.filter(p => !ctx.platforms.includes(p)) : [];
+      if (unknown.length > 0) {
+        errors.push(`Release order contains unknown platforms: ${unknown.join(', ')}`);
+      } else if (new Set(order).size !== order.length) {
+        errors.push('Release order cannot list a platform twice');
+      } else {
+        sanitized.release_order = order;
+      }
+    }
+  }
+
+  return { errors, sanitized };
+}
+
+/**
+ * Validates and sanitizes a staged, blocked or released queue entry.
+ * @async
+ * @param {string} section - One of QUEUE_SECTIONS
+ * @param {Object} input - Entry fields from the request body
+ * @param {Object} ctx - Validation context (see validateReleaseGroup)
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing required fields (PATCH)
+ * @returns {Promise<{errors: string[], sanitized: Object}>}
+ * @example
+ * const { errors, sanitized } = await validateQueueItem('blocked', { path: 'series/a/b', blocked_by: 'API access' }, ctx);
+ */
+export async function validateQueueItem(section, input, ctx, { partial = false } = {}) {
+  const errors = [];
+  const sanitized = {};
+  const allowedFields = {
+    staged: ['path', 'status', 'target_date', 'distribution', 'notes'],
+    blocked: ['path', 'status', 'blocked_by', 'blocked_since', 'notes'],
+    released: ['path', 'status', 'release_date', 'distribution', 'notes']
+  }[section];
+
+  for (const key of Object.keys(input)) {
+    if (!allowedFields.includes(key)) {
+      errors.push(`Field '${key}' is not valid for ${section} items`);
+    }
+  }
+
+  if (input.path !== undefined || !partial) {
+    const itemPath = await validateEpisodePath(input.path, ctx, errors, 'Path');
+    if (itemPath) sanitized.path = itemPath;
+  }
+
+  if (input.status !== undefined) {
+    if (!RELEASE_STATUSES.includes(input.status)) {
+      errors.push(`Status must be one of: ${RELEASE_STATUSES.join(', ')}`);
+    } else {
+      sanitized.status = input.status;
+    }
+  } else if (!partial) {
+    sanitized.status = section;
+  }
+
+  if (input.distribution !== undefined) {
+    const distribution = validateProfile(input.distribution, ctx, errors, 'Distribution');
+    if (distribution) sanitized.distribution = distribution;
+  } else if (!partial && section !== 'blocked') {
+    sanitized.distribution = 'full';
+  }
+
+  for (const key of ['target_date', 'blocked_since', 'release_date']) {
+    if (input[key] !== undefined) {
+      const date = validateDate(input[key], errors, key.replace('_', ' '));
+      if (date !== undefined) sanitized[key] = date;
+    }
+  }
+
+  if (section === 'blocked') {
+    if (input.blocked_by !== undefined) {
+      const reason = sanitizeText(input.blocked_by, MAX_NAME_LENGTH);
+      if (!reason) {
+        errors.push('Blocked items need a blocked_by reason');
+      } else {
+        sanitized.blocked_by = reason;
+      }
+    } else if (!partial) {
+      errors.push('Blocked items need a blocked_by reason');
+    }
+  }
+
+  if (input.notes !== undefined) {
+    sanitized.notes = sanitizeText(input.notes, MAX_TEXT_LENGTH);
+  } else if (!partial) {
+    sanitized.notes = '';
+  }
+
+  return { errors, sanitized };
+}
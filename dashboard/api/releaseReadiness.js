@@ -0,0 +1,173 @@
+import { toDateKey } from './episodeIndex.js';
+
+// Statuses that count an item as done for its release group
+const READY_STATUSES = ['ready', 'staged', 'released'];
+export const DEFAULT_AT_RISK_DAYS = 7;
+export const MAX_AT_RISK_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses the at_risk_days query parameter.
+ * @param {*} value - Raw query value
+ * @returns {{error: string}|{days: number}} DEFAULT_AT_RISK_DAYS when not given
+ */
+export function parseAtRiskDays(value) {
+  if (value === undefined || value === '') return { days: DEFAULT_AT_RISK_DAYS };
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_AT_RISK_DAYS) {
+    return { error: `at_risk_days must be a whole number from 0 to ${MAX_AT_RISK_DAYS}` };
+  }
+  return { days };
+}
+
+/**
+ * Counts the days from one YYYY-MM-DD key to another.
+ * @param {string} from - Start date key
+ * @param {string} to - End date key
+ * @returns {number} Negative when `to` is before `from`
+ */
+function daysBetween(from, to) {
+  const toUtc = key => Date.UTC(Number(key.slice(0, 4)), Number(key.slice(5, 7)) - 1, Number(key.slice(8, 10)));
+  return Math.round((toUtc(to) - toUtc(from)) / DAY_MS);
+}
+
+/**
+ * Formats a resolved dependency the way refused moves list it.
+ * @param {{label: string, detail: string}} dependency - Resolved dependency
+ * @returns {string}
+ */
+function describeDependency(dependency) {
+  return `${dependency.label} (${dependency.detail})`;
+}
+
+/**
+ * Explains why a group is at risk.
+ * @param {number} days - Days until the target date
+ * @param {number} drafts - Items still in draft
+ * @returns {string}
+ */
+function describeRisk(days, drafts) {
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  let when;
+  if (days < 0) when = `Target date passed ${plural(-days, 'day')} ago`;
+  else if (days === 0) when = 'Target date is today';
+  else when = `Target date in ${plural(days, 'day')}`;
+  return `${when} with ${plural(drafts, 'item')} still in draft`;
+}
+
+/**
+ * Works out how far along one release group item is.
+ * @async
+ * @param {Object} item - Group item from release-queue.yml
+ * @param {Object|undefined} episode - Indexed episode for item.path
+ * @param {Object} ctx - See computeReleaseReadiness
+ * @returns {Promise<Object>}
+ */
+async function computeItemReadiness(item, episode, { dependencies, getStages, checkRequirements }) {
+  if (!episode) {
+    return {
+      path: item.path,
+      title: item.path,
+      found: false,
+      content_status: null,
+      workflow: { completed: 0, total: 0, missing: [] },
+      missing_requirements: [],
+      unmet_dependencies: [],
+      ready: false
+    };
+  }
+
+  const metadata = episode.metadata || {};
+  const stages = getStages(episode.series);
+  const missingStages = stages.filter(stage => metadata.workflow?.[stage.id] !== true);
+  // A profile set on the group item decides the platforms for this release
+  const distributed = item.distribution
+    ? { ...metadata, distribution: { ...metadata.distribution, profile: item.distribution } }
+    : metadata;
+  const missingRequirements = await checkRequirements(episode, distributed);
+  const unmetDependencies = (dependencies.items[item.path]?.unmet ?? [])
+    .filter(dependency => dependency.from === 'episode')
+    .map(describeDependency);
+  const status = metadata.content_status || 'draft';
+
+  return {
+    path: item.path,
+    title: metadata.title || episode.episode,
+    found: true,
+    content_status: status,
+    workflow: {
+      completed: stages.length - missingStages.length,
+      total: stages.length,
+      missing: missingStages.map(stage => stage.label)
+    },
+    missing_requirements: missingRequirements,
+    unmet_dependencies: unmetDependencies,
+    ready: READY_STATUSES.includes(status) &&
+      missingStages.length === 0 && missingRequirements.length === 0 && unmetDependencies.length === 0
+  };
+}
+
+/**
+ * Rolls up how far along each release group is: per item its content_status,
+ * workflow completion, unmet platform requirements and unmet dependencies,
+ * plus the group's own unmet dependencies and the days until its target date.
+ * A group that is not released yet is at risk when its target date is at most
+ * `atRiskDays` away (or has passed) and any item is still in draft.
+ * @async
+ * @param {Object} queue - Parsed release-queue.yml
+ * @param {Array<{path: string, series: string, episode: string, metadata: Object}>} episodes - Indexed episodes
+ * @param {Object} ctx
+ * @param {{groups: Object, items: Object}} ctx.dependencies - From resolveQueueDependencies()
+ * @param {function(string): Array<{id: string, label: string}>} ctx.getStages - Workflow stages of a series
+ * @param {function(Object, Object): Promise<Array<{platform: string, name: string, missing: string[]}>>} ctx.checkRequirements -
+ *   Unmet platform requirements of an episode, given the episode and the metadata to check
+ * @param {string} ctx.today - Today as YYYY-MM-DD
+ * @param {number} [ctx.atRiskDays=DEFAULT_AT_RISK_DAYS]
+ * @returns {Promise<Object<string, Object>>} Readiness keyed by group id
+ * @example
+ * const readiness = await computeReleaseReadiness(queue, episodes, ctx);
+ * // readiness['merview-launch']: { total: 2, ready: 1, percent: 50, days_until_target: 3, at_risk: true, ... }
+ */
+export async function computeReleaseReadiness(queue, episodes, ctx) {
+  const { dependencies, today, atRiskDays = DEFAULT_AT_RISK_DAYS } = ctx;
+  const byPath = new Map(episodes.map(episode => [episode.path, episode]));
+  const readiness = {};
+
+  for (const [id, group] of Object.entries(queue?.release_groups || {})) {
+    const groupItems = (Array.isArray(group?.items) ? group.items : []).filter(item => typeof item?.path === 'string');
+    const items = [];
+    for (const item of groupItems) {
+      items.push(await computeItemReadiness(item, byPath.get(item.path), ctx));
+    }
+
+    const statuses = {};
+    for (const item of items) {
+      const status = item.content_status ?? 'missing';
+      statuses[status] = (statuses[status] ?? 0) + 1;
+    }
+    const ready = items.filter(item => item.ready).length;
+    const targetDate = toDateKey(group?.target_date) || null;
+    const daysUntilTarget = targetDate ? daysBetween(today, targetDate) : null;
+    const drafts = statuses.draft ?? 0;
+    const atRisk = group?.status !== 'released' && daysUntilTarget !== null &&
+      daysUntilTarget <= atRiskDays && drafts > 0;
+
+    readiness[id] = {
+      total: items.length,
+      ready,
+      percent: items.length > 0 ? Math.round((ready / items.length) * 100) : 0,
+      statuses,
+      target_date: targetDate,
+      days_until_target: daysUntilTarget,
+      unmet_dependencies: (dependencies.groups[id]?.dependencies ?? [])
+        .filter(dependency => !dependency.satisfied)
+        .map(describeDependency),
+      at_risk: atRisk,
+      at_risk_reason: atRisk ? describeRisk(daysUntilTarget, drafts) : null,
+      items
+    };
+  }
+
+  return readiness;
+}
@@ -0,0 +1,611 @@
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { getContentPaths } from './workspaces.js';
+import { getIndexedEpisodes, refreshIndexedEpisode } from './episodeIndex.js';
+import { readReleaseQueue, writeReleaseQueue, withReleaseQueueLock } from './releaseQueue.js';
+import { resolveQueueDependencies, statContentFile } from './releaseDependencies.js';
+import { readStatusTransitions, checkTransition } from './statusTransitions.js';
+import { readWorkflowStages, getSeriesStages } from './workflowStages.js';
+import { readDistributionConfig } from './distributionProfiles.js';
+import { applyStatusRules } from './episodeMetadata.js';
+import { appendStatusHistory } from './statusHistory.js';
+import { updateYamlContent } from './yamlRoundTrip.js';
+import { writeTrackedFile } from './history.js';
+import { withFileLock } from './revisions.js';
+
+// What the scheduler can do for a release that came due, in the order they run
+export const SCHEDULER_ACTIONS = ['release', 'stamp_publish_date', 'move_queue_entry', 'notify'];
+// How releases that came due while the server was down are handled
+export const CATCH_UP_POLICIES = ['run', 'notify', 'skip'];
+// Audit log in the content root; a dotfile so the content watcher ignores it
+export const SCHEDULER_LOG_FILE = '.release-scheduler.jsonl';
+
+// Used when release-scheduler.yml is missing; only notifies, never writes content
+export const DEFAULT_SCHEDULER_CONFIG = {
+  enabled: true,
+  dry_run: false,
+  interval_seconds: 60,
+  actions: ['notify'],
+  catch_up: 'notify'
+};
+
+const MIN_INTERVAL_SECONDS = 10;
+const MAX_INTERVAL_SECONDS = 24 * 60 * 60;
+const DATE_ONLY_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+// Outcomes that finish a release; the others are retried on the next run
+const FINAL_OUTCOMES = ['done', 'skipped'];
+const NOTIFICATION_LEVELS = { done: 'success', refused: 'error', failed: 'error' };
+
+/**
+ * Validates parsed release-scheduler.yml content.
+ * @param {*} data - Parsed YAML
+ * @returns {{errors: string[], config: {enabled: boolean, dry_run: boolean, interval_seconds: number, actions: string[], catch_up: string}}}
+ *   Invalid settings fall back to DEFAULT_SCHEDULER_CONFIG
+ * @example
+ * const { config } = validateReleaseScheduler({ actions: ['release', 'move_queue_entry'] });
+ * // config.actions: ['release', 'move_queue_entry'], config.catch_up: 'notify'
+ */
+export function validateReleaseScheduler(data) {
+  const errors = [];
+  const config = { ...DEFAULT_SCHEDULER_CONFIG };
+
+  if (data === null || data === undefined) {
+    return { errors, config };
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    errors.push('release-scheduler.yml must be a mapping of settings');
+    return { errors, config };
+  }
+
+  for (const key of ['enabled', 'dry_run']) {
+    if (data[key] === undefined || data[key] === null) continue;
+    if (typeof data[key] === 'boolean') config[key] = data[key];
+    else errors.push(`${key} must be true or false`);
+  }
+
+  if (data.interval_seconds !== undefined && data.interval_seconds !== null) {
+    const seconds = Number(data.interval_seconds);
+    if (Number.isInteger(seconds) && seconds >= MIN_INTERVAL_SECONDS && seconds <= MAX_INTERVAL_SECONDS) {
+      config.interval_seconds = seconds;
+    } else {
+      errors.push(`interval_seconds must be a whole number from ${MIN_INTERVAL_SECONDS} to ${MAX_INTERVAL_SECONDS}`);
+    }
+  }
+
+  if (data.actions !== undefined && data.actions !== null) {
+    const actions = Array.isArray(data.actions) ? data.actions : [];
+    const unknown = actions.filter(action => !SCHEDULER_ACTIONS.includes(action));
+    if (actions.length === 0 || unknown.length > 0) {
+      errors.push(`actions must list one or more of: ${SCHEDULER_ACTIONS.join(', ')}`);
+    } else {
+      config.actions = SCHEDULER_ACTIONS.filter(action => actions.includes(action));
+    }
+  }
+
+  if (data.catch_up !== undefined && data.catch_up !== null) {
+    if (CATCH_UP_POLICIES.includes(data.catch_up)) config.catch_up = data.catch_up;
+    else errors.push(`catch_up must be one of: ${CATCH_UP_POLICIES.join(', ')}`);
+  }
+
+  return { errors, config };
+}
+
+/**
+ * Reads release-scheduler.yml. A missing file yields the defaults; problems
+ * in the file are logged and the invalid settings replaced by their defaults.
+ * @async
+ * @param {string} filepath - Absolute path to release-scheduler.yml
+ * @returns {Promise<Object>} See validateReleaseScheduler
+ */
+export async function readReleaseScheduler(filepath) {
+  let data = null;
+  try {
+    data = yaml.load(await fs.readFile(filepath, 'utf8'), { schema: yaml.CORE_SCHEMA });
+  } catch (err) {
+    if (err.code === 'ENOENT') return validateReleaseScheduler(null).config;
+    if (!(err instanceof yaml.YAMLException)) throw err;
+    console.error(`Failed to parse ${filepath}:`, err.message);
+  }
+
+  const { errors, config } = validateReleaseScheduler(data);
+  for (const message of errors) {
+    console.error(`${filepath}: ${message}`);
+  }
+  return config;
+}
+
+/**
+ * Parses a target date into a point in time. Timestamps keep their offset;
+ * a bare date is due at the start of that day in the server's time zone.
+ * @param {*} value - target_date from metadata or release-queue.yml
+ * @returns {number|null} Milliseconds since the epoch, or null when unset or invalid
+ * @example
+ * parseTargetTime('2025-01-15T09:00:00-08:00'); // 1736960400000
+ */
+export function parseTargetTime(value) {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    // js-yaml loads an unquoted YYYY-MM-DD as midnight UTC
+    if (value.getTime() % (24 * 60 * 60 * 1000) === 0) {
+      return new Date(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()).getTime();
+    }
+    return value.getTime();
+  }
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const dateOnly = DATE_ONLY_REGEX.exec(value.trim());
+  const time = dateOnly
+    ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3])).getTime()
+    : Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Identifies one due release, so a changed target date counts as a new one.
+ * @param {{kind: string, target: string, due_at: string}} release - Release or audit entry
+ * @returns {string}
+ */
+function releaseKey({ kind, target, due_at: dueAt }) {
+  return `${kind}:${target}@${dueAt}`;
+}
+
+/**
+ * Formats a resolved dependency the way refused moves list it.
+ * @param {{label: string, detail: string}} dependency - Resolved dependency
+ * @returns {string}
+ */
+function describeDependency(dependency) {
+  return `${dependency.label} (${dependency.detail})`;
+}
+
+/**
+ * Lists the staged episodes and release groups with a target date, split into
+ * those that are due and those still upcoming. Episodes in a release group are
+ * released with their group. An episode's target comes from its staged queue
+ * entry, falling back to release.target_date in its metadata.
+ * @param {Object} ctx
+ * @param {Object} ctx.queue - From readReleaseQueue()
+ * @param {Array<{path: string, metadata: Object}>} ctx.episodes - Indexed episodes
+ * @param {{groups: Object, items: Object}} ctx.dependencies - From resolveQueueDependencies()
+ * @param {number} ctx.now - Current time in milliseconds
+ * @param {number|null} ctx.startedAt - When the scheduler started; earlier due times were missed
+ * @returns {{due: Array<Object>, upcoming: Array<Object>}} Both sorted by due time
+ * @example
+ * const { due } = findDueReleases({ queue, episodes, dependencies, now: Date.now(), startedAt });
+ * // due[0]: { kind: 'group', target: 'merview-launch', due_at: '2025-01-15T17:00:00.000Z', late: true, releasable: false, unmet: [...], paths: [...] }
+ */
+export function findDueReleases({ queue, episodes, dependencies, now, startedAt }) {
+  const groups = queue?.release_groups || {};
+  const staged = Array.isArray(queue?.staged) ? queue.staged : [];
+  const releases = [];
+
+  for (const episode of episodes) {
+    const metadata = episode.metadata || {};
+    if (metadata.content_status !== 'staged' || Object.hasOwn(groups, metadata.release?.release_group ?? '')) continue;
+    const entry = staged.find(item => item.path === episode.path);
+    const time = parseTargetTime(entry?.target_date || metadata.release?.target_date);
+    if (time === null) continue;
+    releases.push({
+      kind: 'episode',
+      target: episode.path,
+      title: metadata.title || episode.episode || episode.path,
+      time,
+      unmet: (dependencies.items[episode.path]?.unmet ?? []).map(describeDependency),
+      paths: [episode.path]
+    });
+  }
+
+  for (const [id, group] of Object.entries(groups)) {
+    const time = parseTargetTime(group?.target_date);
+    if (group?.status !== 'staged' || time === null) continue;
+    const paths = (Array.isArray(group.items) ? group.items : []).map(item => item?.path).filter(Boolean);
+    const unmet = (dependencies.groups[id]?.dependencies ?? []).filter(dependency => !dependency.satisfied).map(describeDependency);
+    for (const itemPath of paths) {
+      for (const dependency of dependencies.items[itemPath]?.unmet ?? []) {
+        if (dependency.from === 'episode') unmet.push(`${itemPath}: ${describeDependency(dependency)}`);
+      }
+    }
+    releases.push({ kind: 'group', target: id, title: group.name || id, time, unmet, paths });
+  }
+
+  const due = [];
+  const upcoming = [];
+  for (const { time, ...release } of releases.sort((a, b) => a.time - b.time)) {
+    const entry = {
+      ...release,
+      due_at: new Date(time).toISOString(),
+      late: startedAt !== null && time < startedAt,
+      releasable: release.unmet.length === 0
+    };
+    (time <= now ? due : upcoming).push(entry);
+  }
+  return { due, upcoming };
+}
+
+/**
+ * Reads the scheduler audit log of a content root.
+ * @async
+ * @param {string} baseDir - Content root
+ * @param {number} [limit] - Only the newest entries
+ * @returns {Promise<Array<Object>>} Entries, oldest first; unreadable lines are skipped
+ */
+export async function readSchedulerLog(baseDir, limit) {
+  let content = '';
+  try {
+    content = await fs.readFile(path.join(baseDir, SCHEDULER_LOG_FILE), 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A partly written line is skipped rather than hiding the rest of the log
+    }
+  }
+  return limit ? entries.slice(-limit) : entries;
+}
+
+/**
+ * Describes an audit entry for the log and notifications.
+ * @param {Object} entry - Audit entry
+ * @returns {string}
+ */
+function describeOutcome(entry) {
+  const name = `"${entry.title}"`;
+  switch (entry.outcome) {
+  case 'done':
+    return entry.actions.includes('release') || entry.actions.includes('move_queue_entry')
+      ? `Released ${name}`
+      : `${name} is due for release`;
+  case 'dry_run':
+    return `Dry run: would ${entry.actions.join(', ')} for ${name}`;
+  case 'waiting':
+    return `${name} is due but waiting on: ${entry.unmet.join('; ')}`;
+  case 'skipped':
+    return `Skipped ${name}: it came due while the server was down`;
+  case 'refused':
+    return `Could not release ${name}: ${entry.unmet.join('; ')}`;
+  default:
+    return `Release of ${name} failed: ${entry.error}`;
+  }
+}
+
+// Scheduler state for the running server
+let timer = null;
+let schedulerRunning = false;
+let startedAt = null;
+let notifyListener = () => {};
+let activeRun = null;
+let lastRun = null;
+// Releases finished in the active content root, loaded from its audit log
+let finished = { baseDir: null, keys: new Set() };
+// Outcomes that are retried each run are logged once per server start
+const reported = new Set();
+
+/**
+ * Returns the keys of releases the audit log records as finished.
+ * @async
+ * @param {string} baseDir - Content root
+ * @returns {Promise<Set<string>>}
+ */
+async function getFinishedKeys(baseDir) {
+  if (finished.baseDir !== baseDir) {
+    const entries = await readSchedulerLog(baseDir);
+    finished = {
+      baseDir,
+      keys: new Set(entries.filter(entry => FINAL_OUTCOMES.includes(entry.outcome) && !entry.dry_run).map(releaseKey))
+    };
+  }
+  return finished.keys;
+}
+
+/**
+ * Appends an audit entry, logs it and notifies open dashboards when it matters.
+ * @async
+ * @param {string} baseDir - Content root
+ * @param {Object} entry - Audit entry without timestamp and message
+ * @returns {Promise<Object>} The written entry
+ */
+async function recordOutcome(baseDir, entry) {
+  const written = { timestamp: new Date().toISOString(), ...entry, message: describeOutcome(entry) };
+  await fs.appendFile(path.join(baseDir, SCHEDULER_LOG_FILE), JSON.stringify(written) + '\n', 'utf8');
+  console.log(`Release scheduler: ${written.message}`);
+
+  if (FINAL_OUTCOMES.includes(entry.outcome) && !entry.dry_run) {
+    finished.keys.add(releaseKey(entry));
+  }
+  const notify = entry.outcome === 'done' ? entry.actions.includes('notify') : Boolean(NOTIFICATION_LEVELS[entry.outcome]);
+  if (notify) {
+    notifyListener({
+      type: 'release-scheduler',
+      level: NOTIFICATION_LEVELS[entry.outcome] ?? 'info',
+      outcome: entry.outcome,
+      kind: entry.kind,
+      target: entry.target,
+      message: written.message
+    });
+  }
+  return written;
+}
+
+/**
+ * Returns the local date of a point in time as YYYY-MM-DD.
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string}
+ */
+function toLocalDateKey(time) {
+  const date = new Date(time);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+/**
+ * Updates the metadata of the released episodes: content_status (checked
+ * against status-transitions.yml first, all or nothing) and publish date.
+ * @async
+ * @param {string[]} episodePaths - Episode paths (series/<series>/<episode>)
+ * @param {string[]} actions - Actions to run
+ * @param {Object} paths - From getContentPaths()
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<string[]>} Unmet transition conditions; nothing is written when any
+ */
+async function updateReleasedEpisodes(episodePaths, actions, paths, now) {
+  const release = actions.includes('release');
+  const stamp = actions.includes('stamp_publish_date');
+  if (!release && !stamp) return [];
+
+  const today = toLocalDateKey(now);
+  const [config, stageConfig, distribution] = await Promise.all([
+    readStatusTransitions(paths.statusTransitions),
+    readWorkflowStages(paths.workflowStages),
+    readDistributionConfig(paths.distributionProfiles)
+  ]);
+
+  const episodes = [];
+  const unmet = [];
+  for (const episodePath of episodePaths) {
+    const episodeDir = path.join(paths.baseDir, episodePath);
+    const metadataPath = path.join(episodeDir, 'metadata.yml');
+    const current = yaml.load(await fs.readFile(metadataPath, 'utf8')) || {};
+    if (release && current.content_status !== 'released') {
+      const problems = await checkTransition({ ...current, content_status: 'released' }, 'released', {
+        config,
+        episodePath: episodeDir,
+        stages: getSeriesStages(stageConfig, episodePath.split('/')[1]),
+        distribution
+      });
+      unmet.push(...problems.map(problem => (episodePaths.length > 1 ? `${episodePath}: ${problem}` : problem)));
+    }
+    episodes.push({ episodeDir, metadataPath });
+  }
+  if (unmet.length > 0) return unmet;
+
+  for (const { episodeDir, metadataPath } of episodes) {
+    await withFileLock(metadataPath, async () => {
+      const content = await fs.readFile(metadataPath, 'utf8');
+      const { content: updated } = updateYamlContent(content, metadata => {
+        const changes = {};
+        if (release && metadata.content_status !== 'released') changes.content_status = 'released';
+        applyStatusRules(metadata, changes, today);
+        if (changes.content_status) metadata.content_status = changes.content_status;
+        if (changes.release) metadata.release = { ...metadata.release, ...changes.release };
+        if (stamp && !metadata.analytics?.publish_date) {
+          metadata.analytics = { ...metadata.analytics, publish_date: today };
+        }
+        if (changes.content_status) appendStatusHistory(metadata, 'released', 'scheduler', new Date(now).toISOString());
+      });
+      if (updated !== content) {
+        await writeTrackedFile(metadataPath, updated, { source: 'scheduler', action: 'scheduled_release', before: content });
+      }
+    });
+    await refreshIndexedEpisode(episodeDir);
+  }
+  return [];
+}
+
+/**
+ * Moves the staged queue entries of released episodes to `released:` and
+ * marks a released group as released.
+ * @async
+ * @param {Object} release - Due release from findDueReleases()
+ * @param {Object} paths - From getContentPaths()
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<void>}
+ */
+async function moveQueueEntries(release, paths, now) {
+  await withReleaseQueueLock(async () => {
+    const queue = await readReleaseQueue(paths.releaseQueue);
+    for (const episodePath of release.paths) {
+      const index = queue.staged.findIndex(entry => entry.path === episodePath);
+      if (index === -1) continue;
+      const [source] = queue.staged.splice(index, 1);
+      queue.released.push(Object.fromEntries(Object.entries({
+        path: source.path,
+        status: 'released',
+        release_date: new Date(now).toISOString(),
+        distribution: source.distribution || 'full',
+        notes: source.notes
+      }).filter(([, value]) => value !== undefined)));
+    }
+    if (release.kind === 'group' && queue.release_groups[release.target]) {
+      queue.release_groups[release.target].status = 'released';
+    }
+    await writeReleaseQueue(paths.releaseQueue, queue);
+  });
+}
+
+/**
+ * Handles one due release according to the config and catch-up policy.
+ * @async
+ * @param {Object} release - Due release from findDueReleases()
+ * @param {Object} ctx
+ * @param {Object} ctx.config - From readReleaseScheduler()
+ * @param {boolean} ctx.dryRun - Only log what would happen
+ * @param {Object} ctx.paths - From getContentPaths()
+ * @param {number} ctx.now - Current time in milliseconds
+ * @returns {Promise<Object|null>} The audit entry, or null when this outcome was already logged
+ */
+async function processRelease(release, { config, dryRun, paths, now }) {
+  const base = { kind: release.kind, target: release.target, title: release.title, due_at: release.due_at, late: release.late };
+  const reportOnce = entry => {
+    const key = `${releaseKey(entry)}:${entry.outcome}`;
+    if (reported.has(key)) return null;
+    reported.add(key);
+    return recordOutcome(paths.baseDir, entry);
+  };
+
+  if (!release.releasable) {
+    return reportOnce({ ...base, outcome: 'waiting', unmet: release.unmet });
+  }
+  if (release.late && config.catch_up === 'skip') {
+    return dryRun ? reportOnce({ ...base, outcome: 'skipped', dry_run: true }) : recordOutcome(paths.baseDir, { ...base, outcome: 'skipped' });
+  }
+
+  const actions = release.late && config.catch_up === 'notify' ? ['notify'] : config.actions;
+  if (dryRun) {
+    return reportOnce({ ...base, outcome: 'dry_run', dry_run: true, actions });
+  }
+
+  try {
+    const unmet = await updateReleasedEpisodes(release.paths, actions, paths, now);
+    if (unmet.length > 0) {
+      return reportOnce({ ...base, outcome: 'refused', actions, unmet });
+    }
+    if (actions.includes('move_queue_entry')) {
+      await moveQueueEntries(release, paths, now);
+    }
+    return recordOutcome(paths.baseDir, { ...base, outcome: 'done', actions });
+  } catch (error) {
+    return reportOnce({ ...base, outcome: 'failed', actions, error: error.message });
+  }
+}
+
+/**
+ * Works out which releases are due in the active content root.
+ * @async
+ * @param {Object} paths - From getContentPaths()
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<{due: Array<Object>, upcoming: Array<Object>}>} Finished releases are left out of `due`
+ */
+async function planReleases(paths, now) {
+  const [queue, episodes, finishedKeys] = await Promise.all([
+    readReleaseQueue(paths.releaseQueue),
+    getIndexedEpisodes(),
+    getFinishedKeys(paths.baseDir)
+  ]);
+  const dependencies = await resolveQueueDependencies(queue, episodes, {
+    now,
+    statFile: file => statContentFile(paths.baseDir, file)
+  });
+  const { due, upcoming } = findDueReleases({ queue, episodes, dependencies, now, startedAt });
+  return { due: due.filter(release => !finishedKeys.has(releaseKey(release))), upcoming };
+}
+
+/**
+ * Runs the release scheduler once over the active content root. Concurrent
+ * calls share the run already in progress.
+ * @async
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only log what would happen (defaults to dry_run in release-scheduler.yml)
+ * @returns {Promise<{ran_at: string, dry_run: boolean, results: Array<Object>, upcoming: Array<Object>}>}
+ *   `results` holds the audit entries written by this run
+ */
+export function runReleaseScheduler(options = {}) {
+  if (!activeRun) {
+    activeRun = runOnce(options).finally(() => {
+      activeRun = null;
+    });
+  }
+  return activeRun;
+}
+
+/**
+ * See runReleaseScheduler.
+ * @async
+ * @param {{dryRun?: boolean}} options
+ * @returns {Promise<Object>}
+ */
+async function runOnce({ dryRun }) {
+  const paths = getContentPaths();
+  const config = await readReleaseScheduler(paths.releaseScheduler);
+  const now = Date.now();
+  const isDryRun = dryRun ?? config.dry_run;
+  const { due, upcoming } = await planReleases(paths, now);
+
+  const results = [];
+  for (const release of due) {
+    const entry = await processRelease(release, { config, dryRun: isDryRun, paths, now });
+    if (entry) results.push(entry);
+  }
+  lastRun = { ran_at: new Date(now).toISOString(), dry_run: isDryRun, results };
+  return { ...lastRun, upcoming };
+}
+
+/**
+ * Starts checking for due releases every interval_seconds (see
+ * release-scheduler.yml). The file is re-read on every check, so enabling,
+ * disabling or retuning the scheduler needs no restart.
+ * @param {Object} [options]
+ * @param {function(Object): void} [options.notify] - Receives notification events for open dashboards
+ */
+export function startReleaseScheduler({ notify } = {}) {
+  if (schedulerRunning) return;
+  schedulerRunning = true;
+  startedAt = Date.now();
+  notifyListener = notify ?? (() => {});
+
+  const tick = async () => {
+    let interval = DEFAULT_SCHEDULER_CONFIG.interval_seconds;
+    try {
+      const config = await readReleaseScheduler(getContentPaths().releaseScheduler);
+      interval = config.interval_seconds;
+      if (config.enabled) await runReleaseScheduler();
+    } catch (error) {
+      console.error('Release scheduler run failed:', error);
+    }
+    if (schedulerRunning) {
+      timer = setTimeout(tick, interval * 1000);
+    }
+  };
+  timer = setTimeout(tick, 0);
+}
+
+/**
+ * Stops the scheduler started by startReleaseScheduler.
+ */
+export function stopReleaseScheduler() {
+  schedulerRunning = false;
+  clearTimeout(timer);
+  timer = null;
+}
+
+/**
+ * Reports the scheduler settings, the releases that are due or coming up,
+ * the last run and the newest audit log entries.
+ * @async
+ * @param {{limit?: number}} [options] - How many log entries to return (newest first)
+ * @returns {Promise<Object>}
+ */
+export async function getReleaseSchedulerStatus({ limit = 50 } = {}) {
+  const paths = getContentPaths();
+  const [config, log, plan] = await Promise.all([
+    readReleaseScheduler(paths.releaseScheduler),
+    readSchedulerLog(paths.baseDir, limit),
+    planReleases(paths, Date.now())
+  ]);
+  return {
+    running: schedulerRunning,
+    started_at: startedAt ? new Date(startedAt).toISOString() : null,
+    config,
+    due: plan.due,
+    upcoming: plan.upcoming,
+    last_run: lastRun,
+    log: log.reverse()
+  };
+}
@@ -0,0 +1,63 @@
+import { createHash } from 'crypto';
+
+// In-process locks keyed by file path, so two dashboard writes to the same
+// file cannot interleave between the revision check and the write
+const fileLocks = new Map();
+
+/**
+ * Computes the revision of a file's content (used as the ETag).
+ * @param {string} content - File content
+ * @returns {string} Short content hash
+ * @example
+ * computeRevision('title: Test\n') // 'a1b2c3d4e5f60718'
+ */
+export function computeRevision(content) {
+  return createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Formats a revision as a strong ETag header value.
+ * @param {string} revision - Revision from computeRevision()
+ * @returns {string} Quoted ETag
+ */
+export function formatETag(revision) {
+  return `"${revision}"`;
+}
+
+/**
+ * Checks an If-Match header against the current revision.
+ * Accepts a list of ETags, bare revisions and `*`. If-Match uses strong
+ * comparison, so weak ETags (`W/"..."`) never match.
+ * @param {string} header - If-Match header value
+ * @param {string} revision - Current revision
+ * @returns {boolean} True if the header matches
+ * @example
+ * matchesIfMatch('"abc", "def"', 'def') // true
+ * matchesIfMatch('W/"def"', 'def') // false
+ */
+export function matchesIfMatch(header, revision) {
+  return header.split(',').some(tag => {
+    const trimmed = tag.trim();
+    if (trimmed.startsWith('W/')) return false;
+    const value = trimmed.replace(/^"(.*)"$/, '$1');
+    return value === '*' || value === revision;
+  });
+}
+
+/**
+ * Serializes async operations on one file.
+ * @async
+ * @param {string} filepath - File being read and written
+ * @param {function(): Promise<*>} operation - Work to run while holding the lock
+ * @returns {Promise<*>} The operation's result
+ */
+export function withFileLock(filepath, operation) {
+  const previous = fileLocks.get(filepath) || Promise.resolve();
+  const run = previous.then(operation, operation);
+  const settled = run.catch(() => {});
+  fileLocks.set(filepath, settled);
+  settled.then(() => {
+    if (fileLocks.get(filepath) === settled) fileLocks.delete(filepath);
+  });
+  return run;
+}
@@ -0,0 +1,332 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Query limits for GET /api/search
+export const MIN_QUERY_LENGTH = 2;
+export const MAX_QUERY_LENGTH = 200;
+export const MAX_SEARCH_RESULTS = 100;
+
+// Relative weight of a match per source, so title hits outrank passing mentions
+const FIELD_WEIGHTS = {
+  title: 5,
+  tags: 4,
+  description: 2,
+  script: 1.5,
+  notes: 1,
+  transcript: 1
+};
+
+const TEXT_FILES = { 'script.md': 'script', 'notes.md': 'notes' };
+const TRANSCRIPT_EXTENSIONS = new Set(['.srt', '.vtt']);
+const MAX_MATCHES_PER_HIT = 3;
+const SNIPPET_RADIUS = 70;
+const MAX_TERM_OCCURRENCES = 10;
+
+// Parsed documents keyed by absolute file path, reused until the file's mtime changes
+const documentCache = new Map();
+
+/**
+ * Splits a search query into lowercase terms. Quoted text is kept as one phrase.
+ * @param {string} query - Raw query string
+ * @returns {string[]} Unique terms
+ * @example
+ * parseSearchTerms('release "status dropdown"') // ['release', 'status dropdown']
+ */
+export function parseSearchTerms(query) {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    const term = (match[1] || match[2]).trim().toLowerCase();
+    if (term.length >= MIN_QUERY_LENGTH) terms.push(term);
+  }
+  return [...new Set(terms)];
+}
+
+/**
+ * Converts an SRT/VTT cue timestamp (00:01:02,500 or 01:02.500) to seconds.
+ * @param {string} value - Timestamp text
+ * @returns {number} Seconds (fractional part dropped)
+ */
+function timestampToSeconds(value) {
+  const parts = value.replace(',', '.').split(':').map(Number);
+  return Math.floor(parts.reduce((total, part) => total * 60 + part, 0));
+}
+
+/**
+ * Formats seconds as H:MM:SS or M:SS, matching YouTube chapter style.
+ * @param {number} seconds - Offset in seconds
+ * @returns {string}
+ */
+export function formatTimestamp(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Parses an SRT or WebVTT transcript into cues.
+ * @param {string} content - Transcript file content
+ * @returns {Array<{line: number, seconds: number, text: string}>} Cues with the line of their first text row
+ */
+export function parseTranscript(content) {
+  const cues = [];
+  const lines = content.split(/\r?\n/);
+  const timing = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->/;
+  let current = null;
+
+  lines.forEach((line, index) => {
+    const timingMatch = timing.exec(line);
+    if (timingMatch) {
+      current = { line: index + 2, seconds: timestampToSeconds(timingMatch[1]), text: '' };
+      cues.push(current);
+    } else if (!line.trim()) {
+      current = null;
+    } else if (current) {
+      // Strip VTT voice/styling tags like <v Speaker> and <b>
+      const text = line.replace(/<[^>]+>/g, '').trim();
+      current.text = current.text ? `${current.text} ${text}` : text;
+    }
+  });
+
+  return cues.filter(cue => cue.text);
+}
+
+/**
+ * Loads a text file as searchable segments, using the cache when unchanged.
+ * Markdown is split per line; transcripts per cue.
+ * @async
+ * @param {string} filepath - Absolute file path
+ * @param {boolean} isTranscript - Parse as SRT/VTT
+ * @returns {Promise<Array<{line: number, text: string, seconds?: number}>|null>} Segments, or null if unreadable
+ */
+async function loadDocument(filepath, isTranscript) {
+  let stats;
+  try {
+    stats = await fs.stat(filepath);
+  } catch {
+    documentCache.delete(filepath);
+    return null;
+  }
+
+  const cached = documentCache.get(filepath);
+  if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+    return cached.segments;
+  }
+
+  const content = await fs.readFile(filepath, 'utf8');
+  const segments = isTranscript
+    ? parseTranscript(content)
+    : content.split(/\r?\n/).map((text, index) => ({ line: index + 1, text }));
+
+  documentCache.set(filepath, { mtimeMs: stats.mtimeMs, size: stats.size, segments });
+  return segments;
+}
+
+/**
+ * Lists transcript files in an episode folder and its immediate subfolders
+ * (transcribe.py writes next to the media file, e.g. raw/ or exports/).
+ * @async
+ * @param {string} episodeDir - Absolute episode folder
+ * @returns {Promise<string[]>} Paths relative to the episode folder
+ */
+async function findTranscripts(episodeDir) {
+  const found = [];
+  const scan = async (dir, relative, depth) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && depth > 0) {
+        await scan(path.join(dir, entry.name), entryRelative, depth - 1);
+      } else if (entry.isFile() && TRANSCRIPT_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+        found.push(entryRelative);
+      }
+    }
+  };
+  await scan(episodeDir, '', 1);
+  return found.sort();
+}
+
+/**
+ * Finds every occurrence of the terms in a text.
+ * @param {string} text - Text to search
+ * @param {string[]} terms - Lowercase terms
+ * @returns {Array<[number, number]>} Sorted, non-overlapping [start, end) ranges
+ */
+export function findHighlights(text, terms) {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  for (const term of terms) {
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = lower.indexOf(term, index + term.length);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Cuts a snippet around the first highlight and shifts highlight ranges to match.
+ * @param {string} text - Full segment text
+ * @param {Array<[number, number]>} highlights - Ranges within text
+ * @returns {{snippet: string, highlights: Array<[number, number]>}}
+ */
+function buildSnippet(text, highlights) {
+  const start = Math.max(0, highlights[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(text.length, highlights[0][1] + SNIPPET_RADIUS);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    snippet: prefix + text.slice(start, end) + suffix,
+    highlights: highlights
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s + offset, e + offset])
+  };
+}
+
+/**
+ * Scores one document's segments against the terms.
+ * @param {Array<{line?: number, text: string, seconds?: number}>} segments - Document segments
+ * @param {string[]} terms - Lowercase terms
+ * @returns {{termsFound: Set<string>, occurrences: number, matches: Array<object>}}
+ */
+function matchSegments(segments, terms) {
+  const termsFound = new Set();
+  const matches = [];
+  let occurrences = 0;
+
+  for (const segment of segments) {
+    const highlights = findHighlights(segment.text, terms);
+    if (highlights.length === 0) continue;
+
+    const lower = segment.text.toLowerCase();
+    for (const term of terms) {
+      if (lower.includes(term)) termsFound.add(term);
+    }
+    occurrences += highlights.length;
+
+    if (matches.length < MAX_MATCHES_PER_HIT) {
+      const text = segment.text.trim();
+      const match = buildSnippet(text, findHighlights(text, terms));
+      if (segment.line) match.line = segment.line;
+      if (segment.seconds !== undefined) {
+        match.seconds = segment.seconds;
+        match.timestamp = formatTimestamp(segment.seconds);
+      }
+      matches.push(match);
+    }
+  }
+
+  return { termsFound, occurrences, matches };
+}
+
+/**
+ * Builds the searchable sources of one episode: metadata fields plus text files.
+ * @async
+ * @param {object} episode - Indexed episode ({path, metadata})
+ * @param {string} baseDir - Content root
+ * @returns {Promise<Array<{file: string, field: string, segments: Array<object>}>>}
+ */
+async function getEpisodeSources(episode, baseDir) {
+  const metadata = episode.metadata || {};
+  const episodeDir = path.join(baseDir, episode.path);
+  const tags = (Array.isArray(metadata.tags) ? metadata.tags : []).filter(tag => tag !== null && tag !== undefined);
+
+  const sources = [
+    { file: 'metadata.yml', field: 'title', segments: [{ text: String(metadata.title || '') }] },
+    { file: 'metadata.yml', field: 'tags', segments: tags.map(tag => ({ text: String(tag) })) },
+    {
+      file: 'metadata.yml',
+      field: 'description',
+      segments: String(metadata.description || '').split(/\r?\n/).map(text => ({ text }))
+    }
+  ];
+
+  for (const [file, field] of Object.entries(TEXT_FILES)) {
+    const segments = await loadDocument(path.join(episodeDir, file), false);
+    if (segments) sources.push({ file, field, segments });
+  }
+
+  for (const file of await findTranscripts(episodeDir)) {
+    const segments = await loadDocument(path.join(episodeDir, file), true);
+    if (segments) sources.push({ file, field: 'transcript', segments });
+  }
+
+  return sources;
+}
+
+/**
+ * Searches episodes' metadata, script, notes and transcripts.
+ * Every term must appear somewhere in an episode for its files to be returned.
+ * Hits are per file, ranked by weighted term occurrences.
+ * @async
+ * @param {Array<object>} episodes - Indexed episodes to search
+ * @param {string} query - Search query
+ * @param {Object} options
+ * @param {string} options.baseDir - Content root
+ * @param {number} [options.limit=20] - Maximum hits to return
+ * @returns {Promise<{terms: string[], total: number, hits: Array<object>}>}
+ * @example
+ * const { hits } = await searchEpisodes(episodes, 'rate limit', { baseDir });
+ * // hits[0] => { path, series, episode, title, file: 'script.md', field: 'script', score, matches: [{ line, snippet, highlights }] }
+ */
+export async function searchEpisodes(episodes, query, { baseDir, limit = 20 }) {
+  const terms = parseSearchTerms(query);
+  if (terms.length === 0) {
+    return { terms, total: 0, hits: [] };
+  }
+
+  const hits = [];
+  for (const episode of episodes) {
+    const episodeHits = [];
+    const termsFound = new Set();
+
+    for (const source of await getEpisodeSources(episode, baseDir)) {
+      const result = matchSegments(source.segments, terms);
+      if (result.matches.length === 0) continue;
+
+      result.termsFound.forEach(term => termsFound.add(term));
+      const weight = FIELD_WEIGHTS[source.field];
+      // Reward files that contain more of the terms, and cap repetition
+      const score = weight * (result.termsFound.size * 2 + Math.min(result.occurrences, MAX_TERM_OCCURRENCES));
+      episodeHits.push({ file: source.file, field: source.field, score, matches: result.matches });
+    }
+
+    if (termsFound.size < terms.length) continue;
+
+    for (const hit of episodeHits) {
+      hits.push({
+        path: episode.path,
+        series: episode.series,
+        episode: episode.episode,
+        title: episode.metadata?.title || episode.episode,
+        ...hit,
+        score: Math.round(hit.score * 10) / 10
+      });
+    }
+  }
+
+  hits.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+  return { terms, total: hits.length, hits: hits.slice(0, limit) };
+}
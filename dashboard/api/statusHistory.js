@@ -0,0 +1,107 @@
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { CONTENT_STATUSES } from './episodeMetadata.js';
+import { getRevision, writeTrackedFile } from './history.js';
+import { withFileLock } from './revisions.js';
+import { updateYamlContent } from './yamlRoundTrip.js';
+
+// Where a status change came from; 'external' is a hand edit seen by the file watcher,
+// 'scheduler' a release promoted by the release scheduler
+export const STATUS_HISTORY_SOURCES = ['dashboard', 'mcp', 'external', 'scheduler'];
+
+/**
+ * Returns the last status recorded in an episode's status_history.
+ * @param {Object} metadata - Parsed metadata.yml
+ * @returns {string|null} Null when nothing was recorded yet
+ */
+export function getLastRecordedStatus(metadata) {
+  const history = Array.isArray(metadata?.status_history) ? metadata.status_history : [];
+  return history.length > 0 ? history[history.length - 1]?.status ?? null : null;
+}
+
+/**
+ * Appends a status change to metadata.status_history (created if missing).
+ * @param {Object} metadata - Metadata to change in place
+ * @param {string} status - Status moved to
+ * @param {string} source - One of STATUS_HISTORY_SOURCES
+ * @param {string} [timestamp] - When it happened (ISO 8601, defaults to now)
+ * @returns {Object} The metadata
+ * @example
+ * appendStatusHistory(metadata, 'ready', 'dashboard');
+ * // metadata.status_history: [..., { status: 'ready', timestamp: '2025-01-10T09:30:00.000Z', source: 'dashboard' }]
+ */
+export function appendStatusHistory(metadata, status, source, timestamp = new Date().toISOString()) {
+  if (!Array.isArray(metadata.status_history)) {
+    metadata.status_history = [];
+  }
+  metadata.status_history.push({ status, timestamp, source });
+  return metadata;
+}
+
+/**
+ * Adds the status_history entry to metadata.yml content that replaces the
+ * current file as a whole (a restored revision or an imported bundle) when it
+ * changes content_status. These writes are recorded as revisions before the
+ * file watcher sees them, so recordExternalStatusChange() skips them.
+ * @param {string} content - metadata.yml content about to be written
+ * @param {string|null} currentContent - metadata.yml content it replaces, null when there is none
+ * @param {string} source - One of STATUS_HISTORY_SOURCES
+ * @returns {string} The content to write
+ */
+export function recordReplacedStatus(content, currentContent, source) {
+  if (currentContent === null) return content;
+  let replacement;
+  let current;
+  try {
+    replacement = yaml.load(content) || {};
+    current = yaml.load(currentContent) || {};
+  } catch (err) {
+    if (err instanceof yaml.YAMLException) return content;
+    throw err;
+  }
+
+  const status = replacement.content_status;
+  if (!CONTENT_STATUSES.includes(status) || status === (current.content_status || 'draft')) return content;
+  return updateYamlContent(content, metadata => appendStatusHistory(metadata, status, source)).content;
+}
+
+/**
+ * Adds the status_history entry for a content_status changed by hand. Called
+ * after the file watcher recorded the edit as an external revision; the
+ * previous status is the last one in status_history, or the one in the
+ * revision's earlier content for episodes without a history yet. The entry is
+ * timestamped with the file's modification time.
+ * @async
+ * @param {string} filepath - Absolute path reported by the watcher
+ * @param {string} revisionId - Id of the external revision recorded for the edit
+ * @returns {Promise<boolean>} True when an entry was added
+ */
+export async function recordExternalStatusChange(filepath, revisionId) {
+  if (path.basename(filepath) !== 'metadata.yml') return false;
+  const revision = await getRevision(path.dirname(filepath), revisionId);
+  if (!revision) return false;
+
+  return withFileLock(filepath, async () => {
+    const content = await fs.readFile(filepath, 'utf8');
+    // Changed again since the watcher saw it; the next event handles that edit
+    if (content !== revision.after) return false;
+
+    let current;
+    let previous;
+    try {
+      current = yaml.load(content) || {};
+      previous = getLastRecordedStatus(current) ?? (yaml.load(revision.before ?? '') || {}).content_status ?? null;
+    } catch (err) {
+      if (err instanceof yaml.YAMLException) return false;
+      throw err;
+    }
+
+    const status = current.content_status;
+    if (!CONTENT_STATUSES.includes(status) || !previous || previous === status) return false;
+
+    const { mtime } = await fs.stat(filepath);
+    const { content: updated } = updateYamlContent(content, metadata => appendStatusHistory(metadata, status, 'external', mtime.toISOString()));
+    return writeTrackedFile(filepath, updated, { source: 'dashboard', action: 'status-history', before: content });
+  });
+}
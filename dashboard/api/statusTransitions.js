@@ -0,0 +1,316 @@
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { CONTENT_STATUSES } from './episodeMetadata.js';
+
+// Dotted metadata paths, e.g. release.target_date
+const FIELD_PATH_REGEX = /^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)*$/;
+const VALID_STAGE_ID_REGEX = /^[a-z][a-z0-9_]*$/;
+const REQUIREMENT_KINDS = ['field', 'file', 'file_field'];
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Validates a list of dotted metadata paths or stage ids.
+ * @param {*} value - Raw list
+ * @param {RegExp} pattern - Pattern every entry must match
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - List label for messages
+ * @returns {string[]}
+ */
+function validateNameList(value, pattern, errors, label) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    errors.push(`${label} must be a list`);
+    return [];
+  }
+  const names = [];
+  for (const entry of value) {
+    if (typeof entry !== 'string' || !pattern.test(entry)) {
+      errors.push(`${label}: '${entry}' is not a valid name`);
+    } else if (!names.includes(entry)) {
+      names.push(entry);
+    }
+  }
+  return names;
+}
+
+/**
+ * Validates parsed status-transitions.yml content.
+ * @param {*} data - Parsed YAML
+ * @returns {{errors: string[], config: {transitions: Object<string, {workflow: string[], fields: string[], platform_requirements: boolean}>, requirements: Object<string, Object>}}}
+ *   Invalid entries are dropped from `config`
+ * @example
+ * const { config } = validateStatusTransitions({ transitions: { ready: { workflow: ['recorded'] } } });
+ * // config.transitions.ready: { workflow: ['recorded'], fields: [], platform_requirements: false }
+ */
+export function validateStatusTransitions(data) {
+  const errors = [];
+  const config = { transitions: {}, requirements: {} };
+
+  if (data === null || data === undefined) {
+    return { errors, config };
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    errors.push('status-transitions.yml must be a mapping with transitions and requirements');
+    return { errors, config };
+  }
+
+  for (const [status, rule] of Object.entries(data.transitions ?? {})) {
+    if (!CONTENT_STATUSES.includes(status)) {
+      errors.push(`transitions: unknown status '${status}'`);
+      continue;
+    }
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`transitions.${status} must be a mapping`);
+      continue;
+    }
+    config.transitions[status] = {
+      workflow: validateNameList(rule.workflow, VALID_STAGE_ID_REGEX, errors, `transitions.${status}.workflow`),
+      fields: validateNameList(rule.fields, FIELD_PATH_REGEX, errors, `transitions.${status}.fields`),
+      platform_requirements: rule.platform_requirements === true
+    };
+  }
+
+  for (const [name, requirement] of Object.entries(data.requirements ?? {})) {
+    const kind = REQUIREMENT_KINDS.find(key => requirement?.[key] !== undefined);
+    const target = requirement?.[kind];
+    const valid = kind === 'file'
+      ? typeof target === 'string' && target === path.basename(target) && !target.startsWith('.')
+      : typeof target === 'string' && FIELD_PATH_REGEX.test(target);
+    if (!valid) {
+      errors.push(`requirements.${name} needs one of ${REQUIREMENT_KINDS.join(', ')} (a metadata path or a file name)`);
+      continue;
+    }
+    config.requirements[name] = { [kind]: target };
+  }
+
+  return { errors, config };
+}
+
+/**
+ * Reads status-transitions.yml. A missing file means no transition rules;
+ * problems in the file are logged and the invalid entries skipped.
+ * @async
+ * @param {string} filepath - Absolute path to status-transitions.yml
+ * @returns {Promise<{transitions: Object, requirements: Object}>}
+ */
+export async function readStatusTransitions(filepath) {
+  let data = null;
+  try {
+    data = yaml.load(await fs.readFile(filepath, 'utf8'), { schema: yaml.CORE_SCHEMA });
+  } catch (err) {
+    if (err.code === 'ENOENT') return validateStatusTransitions(null).config;
+    if (!(err instanceof yaml.YAMLException)) throw err;
+    console.error(`Failed to parse ${filepath}:`, err.message);
+  }
+
+  const { errors, config } = validateStatusTransitions(data);
+  for (const message of errors) {
+    console.error(`${filepath}: ${message}`);
+  }
+  return config;
+}
+
+/**
+ * Sanitizes the reason given to force a transition past unmet conditions.
+ * @param {*} value - Raw reason (e.g. the `override` query parameter)
+ * @returns {string} Empty when no usable reason was given
+ */
+export function sanitizeOverrideReason(value) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/[\x00-\x1F\x7F]/g, '').trim().substring(0, MAX_REASON_LENGTH);
+}
+
+/**
+ * Whether a metadata value counts as filled in. Lists and sections are
+ * filled when any of their values is.
+ * @param {*} value - Metadata value
+ * @returns {boolean}
+ */
+function isFilled(value) {
+  if (value === null || value === undefined || value === false) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.some(isFilled);
+  if (typeof value === 'object') return Object.values(value).some(isFilled);
+  return true;
+}
+
+/**
+ * Reads a dotted path from metadata.
+ * @param {Object} metadata - Episode metadata
+ * @param {string} fieldPath - e.g. 'release.target_date'
+ * @returns {*}
+ */
+function getField(metadata, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), metadata);
+}
+
+/**
+ * Checks that a file exists directly inside the episode folder.
+ * @async
+ * @param {string} episodePath - Absolute path to the episode folder
+ * @param {string} name - File name from metadata or the rules
+ * @returns {Promise<boolean>}
+ */
+export async function episodeFileExists(episodePath, name) {
+  const filePath = path.resolve(episodePath, name);
+  if (path.dirname(filePath) !== path.resolve(episodePath)) return false;
+  try {
+    return (await fs.stat(filePath)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Returns the platforms an episode is distributed to: its own
+ * distribution.platforms list, otherwise those of its profile.
+ * @param {Object} metadata - Episode metadata
+ * @param {Object} distribution - Parsed distribution-profiles.yml
+ * @returns {string[]}
+ */
+export function getEpisodePlatforms(metadata, distribution) {
+  const own = metadata?.distribution?.platforms;
+  if (Array.isArray(own) && own.length > 0) return own.filter(id => typeof id === 'string');
+  const profile = distribution?.profiles?.[metadata?.distribution?.profile];
+  return Array.isArray(profile?.platforms) ? profile.platforms : [];
+}
+
+/**
+ * Describes why a platform requirement is not met, or returns null when it is.
+ * @async
+ * @param {string} name - Requirement name from a platform's `requires` list
+ * @param {Object} metadata - Episode metadata
+ * @param {Object} config - From readStatusTransitions()
+ * @param {string} episodePath - Absolute path to the episode folder
+ * @returns {Promise<string|null>}
+ */
+export async function checkRequirement(name, metadata, config, episodePath) {
+  const requirement = config.requirements[name] ?? { field: name };
+
+  if (requirement.file) {
+    return await episodeFileExists(episodePath, requirement.file) ? null : `${requirement.file} not found`;
+  }
+  const fieldPath = requirement.field ?? requirement.file_field;
+  const value = getField(metadata, fieldPath);
+  if (!isFilled(value)) {
+    return `${fieldPath} is empty`;
+  }
+  if (requirement.file_field && !(await episodeFileExists(episodePath, String(value)))) {
+    return `${value} not found`;
+  }
+  return null;
+}
+
+/**
+ * Reads what a platform requirement points at: the text of its file, or the
+ * metadata value (the file name for file_field requirements).
+ * @async
+ * @param {string} name - Requirement name from a platform's `requires` list
+ * @param {Object} metadata - Episode metadata
+ * @param {Object} config - From readStatusTransitions()
+ * @param {string} episodePath - Absolute path to the episode folder
+ * @returns {Promise<*>} undefined when the file does not exist
+ * @example
+ * await readRequirementValue('body', metadata, config, episodePath);
+ * // contents of blog-post.md with the default status-transitions.yml
+ */
+export async function readRequirementValue(name, metadata, config, episodePath) {
+  const requirement = config.requirements[name] ?? { field: name };
+  if (!requirement.file) {
+    return getField(metadata, requirement.field ?? requirement.file_field);
+  }
+  if (!(await episodeFileExists(episodePath, requirement.file))) return undefined;
+  return fs.readFile(path.join(episodePath, requirement.file), 'utf8');
+}
+
+/**
+ * Lists, per platform the episode is distributed to, the `requires` entries
+ * from distribution-profiles.yml that are not met yet.
+ * @async
+ * @param {Object} metadata - Episode metadata
+ * @param {Object} ctx
+ * @param {Object} ctx.config - From readStatusTransitions()
+ * @param {string} ctx.episodePath - Absolute path to the episode folder
+ * @param {Object} ctx.distribution - Parsed distribution-profiles.yml
+ * @returns {Promise<Array<{platform: string, name: string, missing: string[]}>>}
+ *   Only platforms with something missing
+ * @example
+ * await checkPlatformRequirements({ distribution: { platforms: ['youtube'] } }, ctx);
+ * // [{ platform: 'youtube', name: 'YouTube', missing: ['thumbnail (thumbnail.png not found)'] }]
+ */
+export async function checkPlatformRequirements(metadata, { config, episodePath, distribution }) {
+  const problems = new Map();
+  const results = [];
+  for (const id of getEpisodePlatforms(metadata, distribution)) {
+    const platform = distribution?.platforms?.[id];
+    const missing = [];
+    for (const name of Array.isArray(platform?.requires) ? platform.requires : []) {
+      if (!problems.has(name)) {
+        problems.set(name, await checkRequirement(name, metadata, config, episodePath));
+      }
+      if (problems.get(name)) missing.push(`${name} (${problems.get(name)})`);
+    }
+    if (missing.length > 0) {
+      results.push({ platform: id, name: platform.name || id, missing });
+    }
+  }
+  return results;
+}
+
+/**
+ * Lists the conditions from status-transitions.yml that keep an episode from
+ * moving to a status. Call it with the metadata as it would be after the
+ * update, so fields set in the same edit count.
+ * @async
+ * @param {Object} metadata - Episode metadata with the update applied
+ * @param {string} status - Status being moved to
+ * @param {Object} ctx
+ * @param {Object} ctx.config - From readStatusTransitions()
+ * @param {string} ctx.episodePath - Absolute path to the episode folder
+ * @param {Array<{id: string, label: string}>} ctx.stages - Workflow stages of the episode's series
+ * @param {Object} ctx.distribution - Parsed distribution-profiles.yml
+ * @returns {Promise<string[]>} Unmet conditions; empty when the move is allowed
+ * @example
+ * await checkTransition({ workflow: { scripted: true } }, 'ready', ctx);
+ * // ["Workflow stage 'Recorded' is not complete", "Workflow stage 'Edited' is not complete"]
+ */
+export async function checkTransition(metadata, status, { config, episodePath, stages, distribution }) {
+  const rule = config.transitions[status];
+  if (!rule) return [];
+
+  const unmet = [];
+  for (const stageId of rule.workflow) {
+    const stage = stages.find(candidate => candidate.id === stageId);
+    if (stage && metadata?.workflow?.[stageId] !== true) {
+      unmet.push(`Workflow stage '${stage.label}' is not complete`);
+    }
+  }
+
+  for (const fieldPath of rule.fields) {
+    if (!isFilled(getField(metadata, fieldPath))) {
+      unmet.push(`${fieldPath} is not set`);
+    }
+  }
+
+  if (rule.platform_requirements) {
+    const platforms = getEpisodePlatforms(metadata, distribution);
+    // Group platforms by requirement so a shared one (e.g. text) is reported once
+    const requiredBy = new Map();
+    for (const id of platforms) {
+      const platform = distribution?.platforms?.[id];
+      for (const name of Array.isArray(platform?.requires) ? platform.requires : []) {
+        requiredBy.set(name, [...(requiredBy.get(name) ?? []), platform.name || id]);
+      }
+    }
+    for (const [name, names] of requiredBy) {
+      const problem = await checkRequirement(name, metadata, config, episodePath);
+      if (problem) {
+        const verb = names.length === 1 ? 'requires' : 'require';
+        unmet.push(`${names.join(', ')} ${verb} ${name} (${problem})`);
+      }
+    }
+  }
+
+  return unmet;
+}
@@ -0,0 +1,138 @@
+import fs from 'fs/promises';
+import yaml from 'js-yaml';
+
+// Used when workflow-stages.yml is missing or does not define `stages`
+export const DEFAULT_WORKFLOW_STAGES = [
+  { id: 'scripted', label: 'Scripted' },
+  { id: 'recorded', label: 'Recorded' },
+  { id: 'edited', label: 'Edited' },
+  { id: 'thumbnail_created', label: 'Thumbnail Created' },
+  { id: 'uploaded', label: 'Uploaded' },
+  { id: 'published', label: 'Published' }
+];
+
+// Stage ids become keys under `workflow:` in metadata.yml
+const VALID_STAGE_ID_REGEX = /^[a-z][a-z0-9_]*$/;
+const MAX_STAGE_ID_LENGTH = 50;
+const MAX_LABEL_LENGTH = 100;
+
+/**
+ * Turns a stage id into a readable label.
+ * @param {string} id - Stage id
+ * @returns {string} e.g. 'guest_confirmed' -> 'Guest Confirmed'
+ */
+function labelFromId(id) {
+  return id.split('_').filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Validates a list of stage definitions. Entries may be `{id, label}`
+ * objects or bare id strings; a missing label is derived from the id.
+ * @param {*} value - Raw stage list
+ * @param {string[]} errors - Error list to append to
+ * @param {string} label - List label for messages
+ * @returns {Array<{id: string, label: string}>|undefined}
+ */
+function validateStageList(value, errors, label) {
+  if (!Array.isArray(value)) {
+    errors.push(`${label} must be a list of stages`);
+    return undefined;
+  }
+
+  const stages = [];
+  for (const [index, entry] of value.entries()) {
+    const stage = typeof entry === 'string' ? { id: entry } : entry;
+    const id = stage?.id;
+    if (typeof id !== 'string' || id.length > MAX_STAGE_ID_LENGTH || !VALID_STAGE_ID_REGEX.test(id)) {
+      errors.push(`${label} entry ${index + 1}: id must be lowercase letters, numbers and underscores`);
+      continue;
+    }
+    if (stages.some(existing => existing.id === id)) {
+      errors.push(`${label}: stage '${id}' is listed more than once`);
+      continue;
+    }
+    const stageLabel = typeof stage.label === 'string'
+      ? stage.label.replace(/[\x00-\x1F\x7F]/g, '').trim().substring(0, MAX_LABEL_LENGTH)
+      : '';
+    stages.push({ id, label: stageLabel || labelFromId(id) });
+  }
+  return stages;
+}
+
+/**
+ * Validates parsed workflow-stages.yml content.
+ * @param {*} data - Parsed YAML
+ * @returns {{errors: string[], config: {stages: Array<{id: string, label: string}>, series: Object<string, Array<{id: string, label: string}>>}}}
+ *   Invalid entries are dropped from `config`; an unusable default list falls back to DEFAULT_WORKFLOW_STAGES
+ * @example
+ * const { config } = validateWorkflowStages({ stages: ['scripted', 'published'] });
+ * // config.stages: [{ id: 'scripted', label: 'Scripted' }, { id: 'published', label: 'Published' }]
+ */
+export function validateWorkflowStages(data) {
+  const errors = [];
+  const config = { stages: DEFAULT_WORKFLOW_STAGES, series: {} };
+
+  if (data === null || data === undefined) {
+    return { errors, config };
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    errors.push('workflow-stages.yml must be a mapping with stages and series');
+    return { errors, config };
+  }
+
+  if (data.stages !== undefined && data.stages !== null) {
+    const stages = validateStageList(data.stages, errors, 'stages');
+    if (stages) config.stages = stages;
+  }
+
+  const series = data.series ?? {};
+  if (typeof series !== 'object' || Array.isArray(series)) {
+    errors.push('series must be a mapping of series names to stage lists');
+  } else {
+    for (const [name, list] of Object.entries(series)) {
+      const stages = validateStageList(list ?? [], errors, `series '${name}'`);
+      if (stages) config.series[name] = stages;
+    }
+  }
+
+  return { errors, config };
+}
+
+/**
+ * Reads workflow-stages.yml. A missing file yields the default stages;
+ * problems in the file are logged and the invalid entries skipped, so a
+ * typo never takes the checklist away.
+ * @async
+ * @param {string} filepath - Absolute path to workflow-stages.yml
+ * @returns {Promise<{stages: Array<{id: string, label: string}>, series: Object<string, Array<{id: string, label: string}>>}>}
+ */
+export async function readWorkflowStages(filepath) {
+  let data = null;
+  try {
+    data = yaml.load(await fs.readFile(filepath, 'utf8'), { schema: yaml.CORE_SCHEMA });
+  } catch (err) {
+    if (err.code === 'ENOENT') return validateWorkflowStages(null).config;
+    if (!(err instanceof yaml.YAMLException)) throw err;
+    console.error(`Failed to parse ${filepath}:`, err.message);
+  }
+
+  const { errors, config } = validateWorkflowStages(data);
+  for (const message of errors) {
+    console.error(`${filepath}: ${message}`);
+  }
+  return config;
+}
+
+/**
+ * Returns the stages that apply to a series: its override when it has one,
+ * the default stages otherwise.
+ * @param {{stages: Array<Object>, series: Object<string, Array<Object>>}} config - From readWorkflowStages()
+ * @param {string} series - Series folder name
+ * @returns {Array<{id: string, label: string}>}
+ * @example
+ * getSeriesStages(config, 'interviews').map(stage => stage.id)
+ * // ['guest_confirmed', 'recorded', 'guest_approved_cut', 'published']
+ */
+export function getSeriesStages(config, series) {
+  return Object.hasOwn(config.series, series) ? config.series[series] : config.stages;
+}
@@ -0,0 +1,329 @@
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// The toolkit checkout itself (templates, default config files)
+export const TOOLKIT_DIR = path.join(__dirname, '../..');
+
+// Default content root: CONTENT_DIR when set, otherwise the toolkit checkout
+const DEFAULT_CONTENT_DIR = process.env.CONTENT_DIR
+  ? path.resolve(process.env.CONTENT_DIR)
+  : TOOLKIT_DIR;
+
+/**
+ * Returns the file registered workspaces are persisted in so they survive
+ * restarts. WORKSPACES_FILE is read on every call, so it can be changed at runtime.
+ * @returns {string} Absolute path to workspaces.yml
+ */
+function getWorkspacesFile() {
+  return process.env.WORKSPACES_FILE
+    ? path.resolve(process.env.WORKSPACES_FILE)
+    : path.join(TOOLKIT_DIR, 'workspaces.yml');
+}
+
+// Directories (and everything below them) that can never be a workspace
+const SYSTEM_DIRS = ['/bin', '/boot', '/dev', '/etc', '/lib', '/lib64', '/proc', '/sbin', '/sys', '/usr'];
+
+const DEFAULT_WORKSPACE_ID = 'default';
+const VALID_WORKSPACE_ID_REGEX = /^[a-z0-9][a-z0-9-_]*[a-z0-9]$|^[a-z0-9]$/;
+const MAX_WORKSPACE_ID_LENGTH = 50;
+const MAX_WORKSPACE_NAME_LENGTH = 100;
+
+/**
+ * Resolves every content path the dashboard needs from a single content root.
+ * distribution-profiles.yml, workflow-stages.yml, status-transitions.yml,
+ * release-scheduler.yml and feeds.yml fall back to the toolkit copies when the
+ * content repository does not provide its own.
+ * @param {string} root - Absolute path to the content root
+ * @returns {{baseDir: string, seriesDir: string, assetsDir: string, assetCatalog: string, releaseQueue: string, distributionProfiles: string, workflowStages: string, statusTransitions: string, releaseScheduler: string, feeds: string, resolvedSeriesDir: string}}
+ * @example
+ * const paths = resolveContentPaths('/home/me/my-content');
+ * // paths.seriesDir === '/home/me/my-content/series'
+ */
+export function resolveContentPaths(root) {
+  const baseDir = path.resolve(root);
+  const seriesDir = path.join(baseDir, 'series');
+  const contentProfiles = path.join(baseDir, 'distribution-profiles.yml');
+  const contentStages = path.join(baseDir, 'workflow-stages.yml');
+  const contentTransitions = path.join(baseDir, 'status-transitions.yml');
+  const contentScheduler = path.join(baseDir, 'release-scheduler.yml');
+  const contentFeeds = path.join(baseDir, 'feeds.yml');
+
+  return {
+    baseDir,
+    seriesDir,
+    assetsDir: path.join(baseDir, 'assets'),
+    assetCatalog: path.join(baseDir, 'asset-catalog.yml'),
+    releaseQueue: path.join(baseDir, 'release-queue.yml'),
+    distributionProfiles: fsSync.existsSync(contentProfiles)
+      ? contentProfiles
+      : path.join(TOOLKIT_DIR, 'distribution-profiles.yml'),
+    workflowStages: fsSync.existsSync(contentStages)
+      ? contentStages
+      : path.join(TOOLKIT_DIR, 'workflow-stages.yml'),
+    statusTransitions: fsSync.existsSync(contentTransitions)
+      ? contentTransitions
+      : path.join(TOOLKIT_DIR, 'status-transitions.yml'),
+    releaseScheduler: fsSync.existsSync(contentScheduler)
+      ? contentScheduler
+      : path.join(TOOLKIT_DIR, 'release-scheduler.yml'),
+    feeds: fsSync.existsSync(contentFeeds)
+      ? contentFeeds
+      : path.join(TOOLKIT_DIR, 'feeds.yml'),
+    // Pre-resolved for path traversal checks (trailing separator prevents prefix matches)
+    resolvedSeriesDir: path.resolve(seriesDir) + path.sep
+  };
+}
+
+/**
+ * Loads the persisted workspace registry. A missing or unreadable file
+ * yields an empty registry so the dashboard always starts on the default root.
+ * @returns {{active: string, workspaces: Object<string, {name: string, path: string}>}}
+ */
+function loadRegistry() {
+  const workspacesFile = getWorkspacesFile();
+  try {
+    const data = yaml.load(fsSync.readFileSync(workspacesFile, 'utf8')) || {};
+    return {
+      active: typeof data.active === 'string' ? data.active : DEFAULT_WORKSPACE_ID,
+      workspaces: data.workspaces && typeof data.workspaces === 'object' ? data.workspaces : {}
+    };
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`Failed to read workspace registry ${workspacesFile}:`, err.message);
+    }
+    return { active: DEFAULT_WORKSPACE_ID, workspaces: {} };
+  }
+}
+
+/**
+ * Writes the workspace registry back to disk.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function saveRegistry() {
+  const content = '# Dashboard content workspaces (managed by the dashboard)\n' + yaml.dump(registry, {
+    indent: 2,
+    lineWidth: -1,
+    noRefs: true,
+    quotingType: '"',
+    forceQuotes: false
+  });
+  await fs.writeFile(getWorkspacesFile(), content, 'utf8');
+}
+
+/**
+ * Returns the directories new workspaces must live in, from WORKSPACE_ROOTS
+ * (separated like PATH). Read on every call, like WORKSPACES_FILE.
+ * @returns {string[]} Absolute directories; empty when no allow-list is configured
+ */
+function getAllowedRoots() {
+  return (process.env.WORKSPACE_ROOTS || '')
+    .split(path.delimiter)
+    .filter(Boolean)
+    .map(root => path.resolve(root));
+}
+
+/**
+ * Returns true when `dir` is `root` or inside it.
+ * @param {string} dir - Absolute directory
+ * @param {string} root - Absolute directory
+ * @returns {boolean}
+ */
+function isWithin(dir, root) {
+  const relative = path.relative(root, dir);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Checks that a directory may be registered as a workspace: never a system
+ * directory or the filesystem root, and inside WORKSPACE_ROOTS when that is set.
+ * Symlinks are resolved first so a link cannot point around the checks.
+ * @async
+ * @param {string} rootPath - Absolute path to an existing directory
+ * @returns {Promise<string|null>} Error message, or null when allowed
+ */
+async function checkWorkspaceLocation(rootPath) {
+  const realPath = await fs.realpath(rootPath);
+
+  if (realPath === path.parse(realPath).root || SYSTEM_DIRS.some(dir => isWithin(realPath, dir))) {
+    return 'Workspace path cannot be a system directory';
+  }
+
+  const allowedRoots = getAllowedRoots();
+  if (allowedRoots.length > 0) {
+    const realRoots = await Promise.all(allowedRoots.map(root => fs.realpath(root).catch(() => root)));
+    if (!realRoots.some(root => isWithin(realPath, root))) {
+      return 'Workspace path must be inside one of the WORKSPACE_ROOTS directories';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Returns the root directory for a workspace id, or null if unknown.
+ * @param {string} id - Workspace id
+ * @returns {string|null}
+ */
+function getWorkspaceRoot(id) {
+  if (id === DEFAULT_WORKSPACE_ID) return DEFAULT_CONTENT_DIR;
+  if (!Object.hasOwn(registry.workspaces, id)) return null;
+  return path.resolve(registry.workspaces[id].path);
+}
+
+const registry = loadRegistry();
+const changeListeners = [];
+
+// Fall back to the default workspace if the persisted one is gone
+if (!getWorkspaceRoot(registry.active) || !fsSync.existsSync(getWorkspaceRoot(registry.active))) {
+  registry.active = DEFAULT_WORKSPACE_ID;
+}
+
+let activePaths = resolveContentPaths(getWorkspaceRoot(registry.active));
+
+/**
+ * Returns the content paths of the active workspace.
+ * Callers should look these up per request rather than caching them,
+ * since the active workspace can change at runtime.
+ * @returns {ReturnType<typeof resolveContentPaths>}
+ */
+export function getContentPaths() {
+  return activePaths;
+}
+
+/**
+ * Registers a callback invoked after the active workspace changes.
+ * @param {function(ReturnType<typeof resolveContentPaths>): void} listener
+ */
+export function onWorkspaceChange(listener) {
+  changeListeners.push(listener);
+}
+
+/**
+ * Lists the default workspace plus every registered workspace.
+ * @returns {{active: string, workspaces: Array<{id: string, name: string, path: string, active: boolean}>}}
+ */
+export function listWorkspaces() {
+  const workspaces = [
+    { id: DEFAULT_WORKSPACE_ID, name: 'Default', path: DEFAULT_CONTENT_DIR },
+    ...Object.entries(registry.workspaces).map(([id, ws]) => ({
+      id,
+      name: ws.name || id,
+      path: path.resolve(ws.path)
+    }))
+  ];
+
+  return {
+    active: registry.active,
+    workspaces: workspaces.map(ws => ({ ...ws, active: ws.id === registry.active }))
+  };
+}
+
+/**
+ * Validates and registers a new content workspace. The directory has to
+ * pass checkWorkspaceLocation().
+ * @async
+ * @param {{id: string, name?: string, path: string}} input - Workspace definition
+ * @returns {Promise<{errors: string[], workspace?: {id: string, name: string, path: string}}>}
+ * @example
+ * const { errors } = await registerWorkspace({ id: 'brand-b', name: 'Brand B', path: '/content/brand-b' });
+ */
+export async function registerWorkspace(input) {
+  const errors = [];
+  const { id, name, path: rootPath } = input || {};
+
+  if (!id || typeof id !== 'string' || id.length > MAX_WORKSPACE_ID_LENGTH || !VALID_WORKSPACE_ID_REGEX.test(id)) {
+    errors.push('Workspace id must use lowercase letters, numbers, hyphens, and underscores');
+  } else if (id === DEFAULT_WORKSPACE_ID || Object.hasOwn(registry.workspaces, id)) {
+    errors.push(`Workspace '${id}' already exists`);
+  }
+
+  if (name !== undefined && (typeof name !== 'string' || name.length > MAX_WORKSPACE_NAME_LENGTH)) {
+    errors.push(`Workspace name must be a string of ${MAX_WORKSPACE_NAME_LENGTH} characters or less`);
+  }
+
+  if (!rootPath || typeof rootPath !== 'string' || !path.isAbsolute(rootPath)) {
+    errors.push('Workspace path must be an absolute directory path');
+  } else {
+    const stats = await fs.stat(rootPath).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      errors.push('Workspace path does not exist or is not a directory');
+    } else {
+      const locationError = await checkWorkspaceLocation(rootPath);
+      if (locationError) errors.push(locationError);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const workspace = {
+    name: (name || id).replace(/[\x00-\x1F\x7F]/g, '').trim() || id,
+    path: path.resolve(rootPath)
+  };
+  registry.workspaces[id] = workspace;
+  await saveRegistry();
+
+  return { errors, workspace: { id, ...workspace } };
+}
+
+/**
+ * Removes a registered workspace. The default and the active workspace cannot be removed.
+ * @async
+ * @param {string} id - Workspace id
+ * @returns {Promise<{error?: string, status?: number}>}
+ */
+export async function removeWorkspace(id) {
+  if (id === DEFAULT_WORKSPACE_ID) {
+    return { error: 'The default workspace cannot be removed', status: 400 };
+  }
+  if (!Object.hasOwn(registry.workspaces, id)) {
+    return { error: 'Workspace not found', status: 404 };
+  }
+  if (registry.active === id) {
+    return { error: 'Switch to another workspace before removing this one', status: 400 };
+  }
+
+  delete registry.workspaces[id];
+  await saveRegistry();
+  return {};
+}
+
+/**
+ * Switches the active workspace and notifies change listeners.
+ * @async
+ * @param {string} id - Workspace id
+ * @returns {Promise<{error?: string, status?: number, paths?: ReturnType<typeof resolveContentPaths>}>}
+ */
+export async function activateWorkspace(id) {
+  const root = getWorkspaceRoot(id);
+  if (!root) {
+    return { error: 'Workspace not found', status: 404 };
+  }
+
+  const stats = await fs.stat(root).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    return { error: 'Workspace directory no longer exists', status: 400 };
+  }
+
+  registry.active = id;
+  activePaths = resolveContentPaths(root);
+  await saveRegistry();
+
+  for (const listener of changeListeners) {
+    try {
+      listener(activePaths);
+    } catch (err) {
+      console.error('Workspace change listener failed:', err);
+    }
+  }
+
+  return { paths: activePaths };
+}
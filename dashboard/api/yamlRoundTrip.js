@@ -0,0 +1,255 @@
+import fs from 'fs/promises';
+import { parseDocument, stringify, Document, Scalar, isMap, isSeq, isScalar } from 'yaml';
+
+// Serialization options for values written into an existing file. Quoting follows
+// YAML 1.1 so strings like dates or "yes" stay strings for js-yaml readers.
+const STRINGIFY_OPTIONS = { lineWidth: 0, flowCollectionPadding: false, version: '1.1' };
+
+/**
+ * Returns true for plain (non-array) objects.
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Structural equality for YAML-compatible values.
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Applies a set of text edits to the original source. Edits never overlap,
+ * so applying from the end keeps earlier offsets valid. Insertions at the
+ * same offset end up in the order they were planned (keys added to a nested
+ * mapping before keys added after it to its parent).
+ * @param {string} source - Original file content
+ * @param {Array<{start: number, end: number, text: string}>} edits - Replacements
+ * @returns {string} Edited content
+ */
+function applyEdits(source, edits) {
+  let result = source;
+  const ordered = edits.map((edit, index) => ({ ...edit, index }));
+  for (const edit of ordered.sort((a, b) => b.start - a.start || b.index - a.index)) {
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+  }
+  return result;
+}
+
+/**
+ * Computes text edits that turn `node` (parsed from `source`) into `next`,
+ * touching only the lines whose values changed.
+ */
+class EditPlanner {
+  constructor(source) {
+    this.source = source;
+    this.edits = [];
+  }
+
+  lineStart(pos) {
+    return this.source.lastIndexOf('\n', pos - 1) + 1;
+  }
+
+  // Offset just past the newline ending the line that contains the character before `pos`
+  lineEndAfter(pos) {
+    const from = this.source[pos - 1] === '\n' ? pos - 1 : pos;
+    const newline = this.source.indexOf('\n', from);
+    return newline === -1 ? this.source.length : newline + 1;
+  }
+
+  column(pos) {
+    return pos - this.lineStart(pos);
+  }
+
+  // Indents every line after the first of a generated fragment
+  indentLines(text, indent, indentFirst) {
+    const pad = ' '.repeat(indent);
+    return text
+      .split('\n')
+      .map((line, i) => (line && (i > 0 || indentFirst) ? pad + line : line))
+      .join('\n');
+  }
+
+  // Inserts whole lines after the line containing `pos`
+  insertLines(pos, text) {
+    const at = this.lineEndAfter(pos);
+    const needsNewline = at === this.source.length && !this.source.endsWith('\n');
+    this.edits.push({ start: at, end: at, text: (needsNewline ? '\n' : '') + text });
+  }
+
+  removeLines(start, end) {
+    this.edits.push({ start: this.lineStart(start), end: this.lineEndAfter(end), text: '' });
+  }
+
+  /**
+   * Renders a scalar in the style of the node it replaces (quotes, block literal).
+   */
+  renderScalar(node, value, indent) {
+    const scalar = new Scalar(value);
+    if (typeof value === 'string' && node.type) {
+      scalar.type = node.type;
+    }
+    // Render as a mapping value so block scalars get their content indentation
+    const wrapper = new Document({}, STRINGIFY_OPTIONS);
+    wrapper.set('v', scalar);
+    let text = wrapper.toString(STRINGIFY_OPTIONS).slice('v:'.length).replace(/^ /, '');
+    const isBlock = text.startsWith('|') || text.startsWith('>');
+    // Block scalars own their trailing newline; inline scalars do not
+    if (!(isBlock && this.source[node.range[1] - 1] === '\n')) {
+      text = text.replace(/\n$/, '');
+    }
+    text = this.indentLines(text, indent, false);
+    // An empty value (`key:`) has no space after the indicator yet
+    const prev = this.source[node.range[0] - 1];
+    return prev === ' ' || prev === '\n' ? text : ` ${text}`;
+  }
+
+  renderPair(key, value, indent) {
+    return this.indentLines(stringify({ [key]: value }, STRINGIFY_OPTIONS), indent, true);
+  }
+
+  renderItem(value, indent) {
+    return this.indentLines(stringify([value], STRINGIFY_OPTIONS), indent, true);
+  }
+
+  /**
+   * Updates a value in place when its shape allows it.
+   * @returns {boolean} False when the caller must rewrite the enclosing entry
+   */
+  updateValue(node, prev, next, indent) {
+    if (isEqual(prev, next)) return true;
+    if (!node) return false;
+
+    if (node.flow && (isMap(node) || isSeq(node)) && (isPlainObject(next) || Array.isArray(next))) {
+      const text = stringify(next, { ...STRINGIFY_OPTIONS, collectionStyle: 'flow' }).replace(/\n$/, '');
+      this.edits.push({ start: node.range[0], end: node.range[1], text });
+      return true;
+    }
+    if (isMap(node) && isPlainObject(prev) && isPlainObject(next) && Object.keys(next).length > 0) {
+      this.updateMap(node, prev, next);
+      return true;
+    }
+    if (isSeq(node) && Array.isArray(prev) && Array.isArray(next) && next.length > 0) {
+      this.updateSeq(node, prev, next);
+      return true;
+    }
+    if (isScalar(node) && !(next !== null && typeof next === 'object')) {
+      this.edits.push({ start: node.range[0], end: node.range[1], text: this.renderScalar(node, next, indent) });
+      return true;
+    }
+    return false;
+  }
+
+  updateMap(node, prev, next) {
+    const indent = this.column(node.items[0].key.range[0]);
+    const seen = new Set();
+
+    for (const pair of node.items) {
+      const key = String(pair.key?.value);
+      seen.add(key);
+      const valueEnd = pair.value?.range ? pair.value.range[1] : pair.key.range[1];
+
+      if (!Object.hasOwn(next, key) || next[key] === undefined) {
+        this.removeLines(pair.key.range[0], valueEnd);
+      } else if (!this.updateValue(pair.value, prev[key], next[key], indent)) {
+        // Shape changed (e.g. scalar to map): rewrite this entry only
+        this.edits.push({
+          start: this.lineStart(pair.key.range[0]),
+          end: this.lineEndAfter(valueEnd),
+          text: this.renderPair(key, next[key], indent)
+        });
+      }
+    }
+
+    const added = Object.keys(next).filter(key => !seen.has(key) && next[key] !== undefined);
+    if (added.length > 0) {
+      const last = node.items[node.items.length - 1];
+      const end = last.value?.range ? last.value.range[1] : last.key.range[1];
+      this.insertLines(end, added.map(key => this.renderPair(key, next[key], indent)).join(''));
+    }
+  }
+
+  updateSeq(node, prev, next) {
+    const indent = this.column(node.range[0]);
+
+    node.items.forEach((item, index) => {
+      if (index >= next.length) {
+        this.removeLines(item.range[0], item.range[1]);
+      } else if (!this.updateValue(item, prev[index], next[index], indent)) {
+        this.edits.push({
+          start: this.lineStart(item.range[0]),
+          end: this.lineEndAfter(item.range[1]),
+          text: this.renderItem(next[index], indent)
+        });
+      }
+    });
+
+    if (next.length > node.items.length) {
+      const last = node.items[node.items.length - 1];
+      const text = next.slice(node.items.length).map(value => this.renderItem(value, indent)).join('');
+      this.insertLines(last.range[1], text);
+    }
+  }
+}
+
+/**
+ * Applies a change to YAML text while keeping comments, key order, quoting and
+ * block scalars. Only lines whose values changed are rewritten; new keys are
+ * appended to the end of their mapping.
+ * @param {string} content - Original YAML text
+ * @param {function(Object): void} mutate - Receives the parsed data and edits it in place
+ * @returns {{content: string, data: Object}} Updated text and the edited data
+ * @throws {Error} If the YAML cannot be parsed
+ * @example
+ * const { content: updated } = updateYamlContent(content, data => {
+ *   data.content_status = 'ready';
+ * });
+ */
+export function updateYamlContent(content, mutate) {
+  const doc = parseDocument(content);
+  if (doc.errors.length > 0) {
+    throw doc.errors[0];
+  }
+
+  const before = doc.toJS() ?? {};
+  const data = doc.toJS() ?? {};
+  mutate(data);
+
+  if (!isMap(doc.contents) || doc.contents.items.length === 0 || !isPlainObject(data)) {
+    // Nothing to preserve: keep leading comments and write the data out
+    const header = content.slice(0, doc.contents?.range ? doc.contents.range[0] : content.length);
+    return { content: header + stringify(data, STRINGIFY_OPTIONS), data };
+  }
+
+  const planner = new EditPlanner(content);
+  planner.updateMap(doc.contents, before, data);
+  return { content: applyEdits(content, planner.edits), data };
+}
+
+/**
+ * Reads a YAML file, applies a change and writes back only what changed.
+ * Timestamps are read as strings (YAML 1.2) so untouched values stay byte-identical.
+ * @async
+ * @param {string} filepath - The absolute path to the YAML file
+ * @param {function(Object): void} mutate - Receives the parsed data and edits it in place
+ * @returns {Promise<Object>} The updated data
+ * @throws {Error} If the file cannot be read, parsed or written
+ * @example
+ * const metadata = await updateYamlFile('/path/to/metadata.yml', data => {
+ *   data.workflow.recorded = true;
+ * });
+ */
+export async function updateYamlFile(filepath, mutate) {
+  const original = await fs.readFile(filepath, 'utf8');
+  const { content, data } = updateYamlContent(original, mutate);
+  if (content !== original) {
+    await fs.writeFile(filepath, content, 'utf8');
+  }
+  return data;
+}
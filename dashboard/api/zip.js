@@ -0,0 +1,361 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import zlib from 'zlib';
+import { createHash } from 'crypto';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// Plain ZIP (no ZIP64): sizes, offsets and the entry count must fit its fields
+export const MAX_ZIP_BYTES = 0xFFFFFFFF;
+export const MAX_ZIP_ENTRIES = 0xFFFF;
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const LOCAL_HEADER_BYTES = 30;
+const CENTRAL_HEADER_BYTES = 46;
+const END_OF_CENTRAL_DIRECTORY_BYTES = 22;
+const MAX_COMMENT_BYTES = 0xFFFF;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+// General purpose flags: bit 0 encrypted, bit 11 UTF-8 names
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+const VERSION_NEEDED = 20;
+// Made by Unix, so external attributes carry rw-r--r-- file permissions
+const VERSION_MADE_BY = (3 << 8) | VERSION_NEEDED;
+const FILE_ATTRIBUTES = (0o100644 << 16) >>> 0;
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 as used by ZIP, continuing from a previous value for streamed data.
+ * @param {Buffer} buffer
+ * @param {number} [previous=0] - CRC of the data before this chunk
+ * @returns {number}
+ * @example
+ * crc32(Buffer.from('hello')) // 0x3610a686
+ */
+export function crc32(buffer, previous = 0) {
+  let crc = ~previous;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+/**
+ * Size, CRC-32 and SHA-256 of a file, read as a stream.
+ * @async
+ * @param {string} filepath
+ * @returns {Promise<{size: number, crc: number, sha256: string}>}
+ */
+export async function checksumFile(filepath) {
+  const hash = createHash('sha256');
+  let crc = 0;
+  let size = 0;
+  for await (const chunk of fs.createReadStream(filepath)) {
+    hash.update(chunk);
+    crc = crc32(chunk, crc);
+    size += chunk.length;
+  }
+  return { size, crc, sha256: hash.digest('hex') };
+}
+
+// MS-DOS date and time, in local time as ZIP tools expect
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function writeLocalHeader(entry) {
+  const header = Buffer.alloc(LOCAL_HEADER_BYTES);
+  header.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+  header.writeUInt16LE(VERSION_NEEDED, 4);
+  header.writeUInt16LE(FLAG_UTF8, 6);
+  header.writeUInt16LE(entry.method, 8);
+  header.writeUInt16LE(entry.dos.time, 10);
+  header.writeUInt16LE(entry.dos.date, 12);
+  header.writeUInt32LE(entry.crc, 14);
+  header.writeUInt32LE(entry.compressedSize, 18);
+  header.writeUInt32LE(entry.size, 22);
+  header.writeUInt16LE(entry.nameBytes.length, 26);
+  header.writeUInt16LE(0, 28);
+  return Buffer.concat([header, entry.nameBytes]);
+}
+
+function writeCentralHeader(entry) {
+  const header = Buffer.alloc(CENTRAL_HEADER_BYTES);
+  header.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+  header.writeUInt16LE(VERSION_MADE_BY, 4);
+  header.writeUInt16LE(VERSION_NEEDED, 6);
+  header.writeUInt16LE(FLAG_UTF8, 8);
+  header.writeUInt16LE(entry.method, 10);
+  header.writeUInt16LE(entry.dos.time, 12);
+  header.writeUInt16LE(entry.dos.date, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(entry.compressedSize, 20);
+  header.writeUInt32LE(entry.size, 24);
+  header.writeUInt16LE(entry.nameBytes.length, 28);
+  // Extra field, comment, disk number and internal attributes stay 0
+  header.writeUInt32LE(FILE_ATTRIBUTES, 38);
+  header.writeUInt32LE(entry.offset, 42);
+  return Buffer.concat([header, entry.nameBytes]);
+}
+
+/**
+ * Upper bound of the archive size for entries of the given names and sizes
+ * (entries are stored when deflating would not make them smaller).
+ * @param {Array<{name: string, size: number}>} entries
+ * @returns {number}
+ */
+export function estimateZipSize(entries) {
+  return entries.reduce((total, entry) => {
+    const nameLength = Buffer.byteLength(entry.name);
+    return total + LOCAL_HEADER_BYTES + CENTRAL_HEADER_BYTES + 2 * nameLength + entry.size;
+  }, END_OF_CENTRAL_DIRECTORY_BYTES);
+}
+
+/**
+ * Writes a ZIP archive to a stream, honouring backpressure.
+ * Entries with `data` are deflated in memory (stored if that does not help);
+ * entries with `file` are stored and streamed from disk, so their size and CRC
+ * must be known up front (see checksumFile).
+ * @async
+ * @param {import('stream').Writable} output - Left open; the caller ends it
+ * @param {Array<{name: string, data?: Buffer, file?: string, size?: number, crc?: number, modified?: Date}>} entries
+ * @throws {Error} When the archive would exceed plain ZIP limits or a file changed while it was written
+ */
+export async function writeZip(output, entries) {
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    throw new Error(`A ZIP archive holds at most ${MAX_ZIP_ENTRIES} files`);
+  }
+
+  let offset = 0;
+  const write = async (chunk) => {
+    if (output.destroyed) {
+      throw new Error('Output closed before the archive was written');
+    }
+    offset += chunk.length;
+    if (!output.write(chunk)) {
+      await new Promise((resolve, reject) => {
+        const done = (error) => {
+          output.off('drain', onDrain);
+          output.off('close', onClose);
+          if (error) reject(error); else resolve();
+        };
+        const onDrain = () => done();
+        const onClose = () => done(new Error('Output closed before the archive was written'));
+        output.on('drain', onDrain);
+        output.on('close', onClose);
+      });
+    }
+  };
+
+  const written = [];
+  for (const input of entries) {
+    const entry = {
+      nameBytes: Buffer.from(input.name, 'utf8'),
+      dos: toDosDateTime(input.modified || new Date()),
+      offset
+    };
+
+    let data = null;
+    if (input.data) {
+      const deflated = zlib.deflateRawSync(input.data);
+      const compress = deflated.length < input.data.length;
+      data = compress ? deflated : input.data;
+      Object.assign(entry, {
+        method: compress ? METHOD_DEFLATE : METHOD_STORE,
+        crc: crc32(input.data),
+        size: input.data.length,
+        compressedSize: data.length
+      });
+    } else {
+      Object.assign(entry, { method: METHOD_STORE, crc: input.crc, size: input.size, compressedSize: input.size });
+    }
+    if (offset + LOCAL_HEADER_BYTES + entry.nameBytes.length + entry.compressedSize > MAX_ZIP_BYTES) {
+      throw new Error('Archive is larger than 4 GB');
+    }
+
+    await write(writeLocalHeader(entry));
+    if (data) {
+      await write(data);
+    } else {
+      let streamed = 0;
+      for await (const chunk of fs.createReadStream(input.file)) {
+        streamed += chunk.length;
+        if (streamed > input.size) break;
+        await write(chunk);
+      }
+      if (streamed !== input.size) {
+        throw new Error(`${input.name} changed while the archive was written`);
+      }
+    }
+    written.push(entry);
+  }
+
+  const centralDirectoryOffset = offset;
+  for (const entry of written) {
+    await write(writeCentralHeader(entry));
+  }
+  if (offset > MAX_ZIP_BYTES) {
+    throw new Error('Archive is larger than 4 GB');
+  }
+
+  const end = Buffer.alloc(END_OF_CENTRAL_DIRECTORY_BYTES);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+  end.writeUInt16LE(written.length, 8);
+  end.writeUInt16LE(written.length, 10);
+  end.writeUInt32LE(offset - centralDirectoryOffset, 12);
+  end.writeUInt32LE(centralDirectoryOffset, 16);
+  await write(end);
+}
+
+/**
+ * Lists the entries of a ZIP file from its central directory.
+ * Directory entries are skipped; ZIP64, encrypted and multi-disk archives are refused.
+ * @async
+ * @param {string} zipPath
+ * @returns {Promise<Array<{name: string, method: number, crc: number, compressedSize: number, size: number, offset: number}>>}
+ * @throws {Error} When the file is not a ZIP archive this reader supports
+ */
+export async function readZipEntries(zipPath) {
+  const handle = await fsp.open(zipPath, 'r');
+  try {
+    const { size: fileSize } = await handle.stat();
+    const tailLength = Math.min(fileSize, END_OF_CENTRAL_DIRECTORY_BYTES + MAX_COMMENT_BYTES);
+    const tail = Buffer.alloc(tailLength);
+    await handle.read(tail, 0, tailLength, fileSize - tailLength);
+
+    let endOffset = -1;
+    for (let i = tailLength - END_OF_CENTRAL_DIRECTORY_BYTES; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+        endOffset = i;
+        break;
+      }
+    }
+    if (endOffset === -1) {
+      throw new Error('Not a ZIP archive');
+    }
+
+    const count = tail.readUInt16LE(endOffset + 10);
+    const directorySize = tail.readUInt32LE(endOffset + 12);
+    const directoryOffset = tail.readUInt32LE(endOffset + 16);
+    if (tail.readUInt16LE(endOffset + 4) !== 0 || tail.readUInt16LE(endOffset + 8) !== count) {
+      throw new Error('Multi-part ZIP archives are not supported');
+    }
+    if (count === 0xFFFF || directoryOffset === 0xFFFFFFFF || directorySize === 0xFFFFFFFF) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+    if (directoryOffset + directorySize > fileSize) {
+      throw new Error('ZIP central directory is truncated');
+    }
+
+    const directory = Buffer.alloc(directorySize);
+    await handle.read(directory, 0, directorySize, directoryOffset);
+
+    const entries = [];
+    let position = 0;
+    for (let i = 0; i < count; i++) {
+      if (position + CENTRAL_HEADER_BYTES > directory.length ||
+          directory.readUInt32LE(position) !== CENTRAL_HEADER_SIGNATURE) {
+        throw new Error('ZIP central directory is corrupt');
+      }
+      const flags = directory.readUInt16LE(position + 8);
+      const nameLength = directory.readUInt16LE(position + 28);
+      const extraLength = directory.readUInt16LE(position + 30);
+      const commentLength = directory.readUInt16LE(position + 32);
+      const entry = {
+        name: directory.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1', position + CENTRAL_HEADER_BYTES, position + CENTRAL_HEADER_BYTES + nameLength),
+        method: directory.readUInt16LE(position + 10),
+        crc: directory.readUInt32LE(position + 16),
+        compressedSize: directory.readUInt32LE(position + 20),
+        size: directory.readUInt32LE(position + 24),
+        offset: directory.readUInt32LE(position + 42)
+      };
+      position += CENTRAL_HEADER_BYTES + nameLength + extraLength + commentLength;
+
+      if (entry.name.endsWith('/')) continue;
+      if (flags & FLAG_ENCRYPTED) {
+        throw new Error(`${entry.name} is encrypted`);
+      }
+      if (entry.method !== METHOD_STORE && entry.method !== METHOD_DEFLATE) {
+        throw new Error(`${entry.name} uses an unsupported compression method`);
+      }
+      if (entry.size === 0xFFFFFFFF || entry.compressedSize === 0xFFFFFFFF || entry.offset === 0xFFFFFFFF) {
+        throw new Error('ZIP64 archives are not supported');
+      }
+      entries.push(entry);
+    }
+    return entries;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Streams one entry's contents to a file, checking its size and CRC-32.
+ * @async
+ * @param {string} zipPath
+ * @param {Object} entry - From readZipEntries
+ * @param {string} destination - File to create or replace
+ * @returns {Promise<{size: number, sha256: string}>}
+ * @throws {Error} When the data does not match the central directory
+ */
+export async function extractZipEntry(zipPath, entry, destination) {
+  const handle = await fsp.open(zipPath, 'r');
+  let dataStart;
+  try {
+    const header = Buffer.alloc(LOCAL_HEADER_BYTES);
+    await handle.read(header, 0, LOCAL_HEADER_BYTES, entry.offset);
+    if (header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`${entry.name} has no local header`);
+    }
+    dataStart = entry.offset + LOCAL_HEADER_BYTES + header.readUInt16LE(26) + header.readUInt16LE(28);
+  } finally {
+    await handle.close();
+  }
+
+  const hash = createHash('sha256');
+  let crc = 0;
+  let size = 0;
+  const check = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > entry.size) {
+        callback(new Error(`${entry.name} is larger than its recorded size`));
+        return;
+      }
+      hash.update(chunk);
+      crc = crc32(chunk, crc);
+      callback(null, chunk);
+    }
+  });
+
+  const stages = [];
+  if (entry.compressedSize > 0) {
+    stages.push(fs.createReadStream(zipPath, { start: dataStart, end: dataStart + entry.compressedSize - 1 }));
+  } else {
+    stages.push(Readable.from([]));
+  }
+  if (entry.method === METHOD_DEFLATE) {
+    stages.push(zlib.createInflateRaw());
+  }
+  await pipeline(...stages, check, fs.createWriteStream(destination));
+
+  if (size !== entry.size || crc !== entry.crc) {
+    throw new Error(`${entry.name} is corrupt (size or CRC-32 does not match)`);
+  }
+  return { size, sha256: hash.digest('hex') };
+}
@@ -13,13 +13,39 @@ export async function fetchAPI(endpoint) {
   return await response.json();
 }
 
+/**
+ * Send a JSON request to the API and unwrap the result
+ * @param {string} endpoint - API endpoint (without /api prefix)
+ * @param {string} method - HTTP method (POST, PATCH, DELETE, ...)
+ * @param {object} [body] - JSON body to send
+ * @param {object} [headers] - Extra request headers (e.g. If-Match)
+ * @returns {Promise<object>} API response data
+ * @throws {Error} With the server's error message(s) when the request fails
+ */
+export async function sendAPI(endpoint, method, body, headers = {}) {
+  const options = { method, headers: { ...headers } };
+  if (body !== undefined) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+
+  const response = await fetch(`/api${endpoint}`, options);
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || result.errors?.join('; ') || `API error: ${response.statusText}`);
+  }
+  return result;
+}
+
 /**
  * Setup SSE connection for live updates
  * @param {function} onReload - Callback when reload event received
  * @param {function} onError - Callback on connection error
+ * @param {function} [onScheduler] - Callback with each release scheduler notification
  * @returns {EventSource} The SSE event source
  */
-export function setupLiveReload(onReload, onError) {
+export function setupLiveReload(onReload, onError, onScheduler) {
   const eventSource = new EventSource('/api/events');
 
   eventSource.onmessage = (event) => {
@@ -27,6 +53,8 @@ export function setupLiveReload(onReload, onError) {
     if (data.type === 'reload') {
       console.log('Content changed, reloading view...');
       onReload();
+    } else if (data.type === 'release-scheduler' && onScheduler) {
+      onScheduler(data);
     }
   };
 
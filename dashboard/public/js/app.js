@@ -1,16 +1,25 @@
 // Content Workflow Dashboard - Main Application Entry Point
 
 import { DASHBOARD_CONFIG } from './config.js';
-import { fetchAPI, setupLiveReload } from './api.js';
-import { escapeHtml, formatDate, formatFileSize, formatFileDate, getFileIcon, isMediaFile, getSeriesBadgeClass, getStatusClass, slugify, validateSlug, validateSeriesName } from './utils.js';
+import { fetchAPI, sendAPI, setupLiveReload } from './api.js';
+import { escapeHtml, formatDate, formatFileSize, formatFileDate, getFileIcon, isMediaFile, isTextFile, getSeriesBadgeClass, getStatusClass, formatDependency, getDependencyStateClass, slugify, validateSlug, validateSeriesName } from './utils.js';
 import { showModal, closeModal, showNotification } from './modal.js';
-import { closeStatusDropdowns } from './components/statusDropdown.js';
+import { closeStatusDropdowns, renderTransitionRefusal, CONTENT_STATUSES } from './components/statusDropdown.js';
+import { renderWorkspaceSwitcher } from './components/workspaceSwitcher.js';
+import { renderGlobalSearch } from './components/globalSearch.js';
+import { buildConflictRows, showConflictModal } from './components/conflictResolver.js';
+import { loadEpisodeHistory } from './components/episodeHistory.js';
+import { loadEpisodeBundle } from './components/episodeBundle.js';
+import { loadPublishPackage } from './components/publishPackage.js';
+import { renderMetadataFields, collectMetadataChanges, resetMetadataFields, updateMetadataFieldViews } from './components/metadataFields.js';
+import { formatMediaSummary, hasFinalExport } from './components/mediaInfo.js';
 import { renderPipeline } from './views/pipeline.js';
 import { renderEpisodes } from './views/episodes.js';
 import { renderCalendar } from './views/calendar.js';
 import { renderReleases } from './views/releaseQueue.js';
 import { renderAssets } from './views/assets.js';
 import { renderDistribution } from './views/distribution.js';
+import { renderMetrics } from './views/metrics.js';
 import { attachMermaidFullscreenHandlers } from './mermaid-fullscreen.js';
 import { getSavedMermaidTheme } from './previewThemes.js';
 
@@ -24,6 +33,7 @@ class Dashboard {
     this.data = {};
     this.seriesList = [];
     this.distributionProfiles = [];
+    this.workflowStages = { stages: [], series: {} };
     this.init();
   }
 
@@ -31,7 +41,11 @@ class Dashboard {
     this.setupMarkdown();
     this.setupEventListeners();
     this.setupLiveReload();
-    await this.loadInitialData();
+    renderGlobalSearch(this);
+    await Promise.all([
+      this.loadInitialData(),
+      renderWorkspaceSwitcher(this)
+    ]);
     await this.loadView('pipeline');
   }
 
@@ -39,7 +53,8 @@ class Dashboard {
     try {
       const [seriesResult, distributionResult] = await Promise.all([
         this.fetchAPI('/series').catch(() => ({ success: false, series: [] })),
-        this.fetchAPI('/distribution').catch(() => ({ success: false, data: { profiles: {} } }))
+        this.fetchAPI('/distribution').catch(() => ({ success: false, data: { profiles: {} } })),
+        this.loadWorkflowStages()
       ]);
 
       if (seriesResult.success) {
@@ -58,6 +73,31 @@ class Dashboard {
     }
   }
 
+  /**
+   * Fetch the workflow stage configuration (workflow-stages.yml)
+   * Keeps the previous stages when the request fails
+   */
+  async loadWorkflowStages() {
+    try {
+      const result = await this.fetchAPI('/workflow-stages');
+      if (result.success) {
+        this.workflowStages = { stages: result.stages, series: result.series };
+      }
+    } catch (error) {
+      console.error('Error loading workflow stages:', error);
+    }
+  }
+
+  /**
+   * Workflow stages that apply to a series: its override, or the default stages
+   * @param {string} series - Series folder name
+   * @returns {Array<{id: string, label: string}>}
+   */
+  getWorkflowStages(series) {
+    const { stages, series: overrides } = this.workflowStages;
+    return Object.hasOwn(overrides, series) ? overrides[series] : stages;
+  }
+
   setupMarkdown() {
     // Initialize mermaid for diagram rendering with saved theme
     try {
@@ -161,7 +201,8 @@ class Dashboard {
       () => {
         document.getElementById('connection-status').innerHTML =
           '<span class="dot" style="background-color: var(--error);"></span> Disconnected';
-      }
+      },
+      (event) => this.showNotification(event.message, event.level)
     );
   }
 
@@ -201,6 +242,9 @@ class Dashboard {
       case 'distribution':
         await renderDistribution(this);
         break;
+      case 'metrics':
+        await renderMetrics(this);
+        break;
       }
     } catch (error) {
       content.innerHTML = `
@@ -242,6 +286,10 @@ class Dashboard {
     return isMediaFile(ext);
   }
 
+  isTextFile(ext) {
+    return isTextFile(ext);
+  }
+
   getSeriesBadgeClass(series) {
     return getSeriesBadgeClass(series);
   }
@@ -280,11 +328,24 @@ class Dashboard {
   }
 
   // Episode modal - large method kept in main class for now
-  async showEpisodeModal(episode, releaseGroups = {}, startInEditMode = false) {
-    const metadata = episode.metadata || {};
+  // focus: optional { file, line } to preview a text file at a line (used by search results)
+  async showEpisodeModal(episode, releaseGroups = {}, startInEditMode = false, focus = null) {
+    // Fetch detailed episode data with the revision edits are based on, and the
+    // file list with image sizes and media info read from the file headers
+    const [episodeDetails, fileDetails] = await Promise.all([
+      this.fetchAPI(`/episodes/${episode.series}/${episode.episode}`).catch(error => {
+        console.error('Failed to load episode details:', error);
+        return { files: [] };
+      }),
+      this.fetchAPI(`/episodes/${episode.series}/${episode.episode}/files`).catch(error => {
+        console.error('Failed to load episode files:', error);
+        return null;
+      })
+    ]);
+
+    const metadata = episodeDetails.metadata || episode.metadata || {};
     const workflow = metadata.workflow || {};
     const release = metadata.release || {};
-    const recording = metadata.recording || {};
     const series = metadata.series || {};
     const distribution = metadata.distribution || {};
 
@@ -293,44 +354,40 @@ class Dashboard {
       series: episode.series,
       episode: episode.episode,
       path: episode.path,
+      revision: episodeDetails.revision || episode.revision,
       metadata: JSON.parse(JSON.stringify(metadata))
     };
 
-    // Fetch detailed episode data with file list
-    let episodeDetails;
-    try {
-      episodeDetails = await this.fetchAPI(`/episodes/${episode.series}/${episode.episode}`);
-    } catch (error) {
-      console.error('Failed to load episode details:', error);
-      episodeDetails = { files: [] };
-    }
-
-    const files = episodeDetails.files || [];
+    const files = fileDetails?.files || episodeDetails.files || [];
     const releaseGroupId = release.release_group;
     const releaseGroup = releaseGroupId && releaseGroups[releaseGroupId];
 
-    const workflowItems = [
-      { key: 'scripted', label: 'Scripted' },
-      { key: 'recorded', label: 'Recorded' },
-      { key: 'edited', label: 'Edited' },
-      { key: 'thumbnail_created', label: 'Thumbnail Created' },
-      { key: 'uploaded', label: 'Uploaded' },
-      { key: 'published', label: 'Published' }
-    ];
-
-    const workflowHTML = workflowItems.map(item => {
-      const checked = workflow[item.key] === true;
-      return `
-        <div class="workflow-item workflow-item-interactive" data-workflow-key="${item.key}">
-          <div class="workflow-checkbox ${checked ? 'checked' : ''}" data-workflow-key="${item.key}"></div>
-          <span>${item.label}</span>
-        </div>
-      `;
-    }).join('');
+    const statusOptionsHTML = CONTENT_STATUSES.map(status => `
+      <option value="${status}" ${(metadata.content_status || 'draft') === status ? 'selected' : ''}>${status[0].toUpperCase() + status.slice(1)}</option>
+    `).join('');
+
+    // Workflow stages come from workflow-stages.yml and may differ per series
+    const workflowStages = this.getWorkflowStages(episode.series);
+    const workflowHTML = workflowStages.length > 0
+      ? workflowStages.map(stage => {
+        const checked = workflow[stage.id] === true;
+        return `
+          <div class="workflow-item workflow-item-interactive" data-workflow-key="${stage.id}">
+            <div class="workflow-checkbox ${checked ? 'checked' : ''}" data-workflow-key="${stage.id}"></div>
+            <span>${this.escapeHtml(stage.label)}</span>
+          </div>
+        `;
+      }).join('')
+      : '<p class="text-muted">No workflow stages for this series</p>';
 
     // Determine initial preview file
     let previewFile = null;
-    if (metadata.thumbnail) {
+    if (focus?.file) {
+      // Transcripts may live in subfolders that the file browser does not list
+      previewFile = files.find(f => f.name === focus.file) ||
+        { name: focus.file, type: 'file', ext: focus.file.slice(focus.file.lastIndexOf('.')).toLowerCase() };
+    }
+    if (!previewFile && metadata.thumbnail) {
       previewFile = files.find(f => f.name === metadata.thumbnail);
     }
     if (!previewFile) {
@@ -343,11 +400,15 @@ class Dashboard {
     // Generate media preview HTML
     const mediaPreviewHTML = this.renderMediaPreview(previewFile, episode.path);
 
-    // Release dependencies
-    const dependencies = release.depends_on || [];
+    // Release dependencies; episode, date and file ones resolve on their own
+    // (their current state is shown in the Release Queue)
+    const dependencies = (release.depends_on || []).map(dep => {
+      const automatic = Boolean(dep?.type) && dep.type !== 'manual' && dep.state !== 'waived';
+      return { text: formatDependency(dep), state: automatic ? 'automatic' : (dep?.state || 'pending') };
+    });
     const dependenciesHTML = dependencies.length > 0
       ? `<ul class="dependency-list">
-          ${dependencies.map(dep => `<li class="dependency-item">${this.escapeHtml(dep)}</li>`).join('')}
+          ${dependencies.map(dep => `<li class="dependency-item">${this.escapeHtml(dep.text)} <span class="badge ${getDependencyStateClass(dep.state)}">${dep.state}</span></li>`).join('')}
          </ul>`
       : '<p class="text-muted">No dependencies</p>';
 
@@ -363,6 +424,13 @@ class Dashboard {
     const tagsArray = metadata.tags || [];
     const tagsDisplay = tagsArray.filter(t => t && t.trim()).join(', ');
 
+    // Remaining template fields (publishing, distribution, recording, analytics)
+    const metadataFieldsHTML = renderMetadataFields(metadata, {
+      profiles: this.distributionProfiles,
+      releaseGroups,
+      files
+    });
+
     const modalHTML = `
       <div class="modal-overlay" id="episode-modal">
         <div class="modal">
@@ -384,7 +452,17 @@ class Dashboard {
               <span class="edit-status-icon">Editing</span>
               <span class="edit-status-message" id="edit-status-message"></span>
             </div>
-            <div class="modal-body-grid">
+            <div class="edit-transition-refusal hidden" id="edit-transition-refusal"></div>
+            <div class="modal-tabs">
+              <button class="modal-tab active" data-episode-tab="details">Details</button>
+              <button class="modal-tab" data-episode-tab="history">History</button>
+              <button class="modal-tab" data-episode-tab="bundle">Bundle</button>
+              <button class="modal-tab" data-episode-tab="publish">Publish</button>
+            </div>
+            <div class="episode-history hidden" id="episode-history" data-episode-pane="history"></div>
+            <div class="episode-bundle hidden" id="episode-bundle" data-episode-pane="bundle"></div>
+            <div class="episode-publish hidden" id="episode-publish" data-episode-pane="publish"></div>
+            <div class="modal-body-grid" data-episode-pane="details">
               <div class="modal-main-content">
                 <!-- Media Preview -->
                 <div class="modal-section">
@@ -410,10 +488,7 @@ class Dashboard {
                       </div>
                       <div class="metadata-value metadata-value-edit hidden">
                         <select class="edit-field" id="edit-content-status">
-                          <option value="draft" ${metadata.content_status === 'draft' ? 'selected' : ''}>Draft</option>
-                          <option value="ready" ${metadata.content_status === 'ready' ? 'selected' : ''}>Ready</option>
-                          <option value="staged" ${metadata.content_status === 'staged' ? 'selected' : ''}>Staged</option>
-                          <option value="released" ${metadata.content_status === 'released' ? 'selected' : ''}>Released</option>
+                          ${statusOptionsHTML}
                         </select>
                       </div>
                     </div>
@@ -435,21 +510,11 @@ class Dashboard {
                         <input type="text" class="edit-field" id="edit-tags" value="${this.escapeHtml(tagsDisplay)}" placeholder="Comma-separated tags">
                       </div>
                     </div>
-                    ${recording.date ? `
-                      <div class="metadata-item">
-                        <div class="metadata-label">Recording Date</div>
-                        <div class="metadata-value">${this.escapeHtml(recording.date)}</div>
-                      </div>
-                    ` : ''}
-                    ${recording.duration_final ? `
-                      <div class="metadata-item">
-                        <div class="metadata-label">Duration</div>
-                        <div class="metadata-value">${this.escapeHtml(recording.duration_final)}</div>
-                      </div>
-                    ` : ''}
                   </div>
                 </div>
 
+                ${metadataFieldsHTML}
+
                 <!-- Workflow Progress -->
                 <div class="modal-section">
                   <h3>Workflow Progress <span class="workflow-hint hidden" id="workflow-hint">(click to toggle)</span></h3>
@@ -508,6 +573,15 @@ class Dashboard {
     // Attach file click handlers
     this.attachFileClickHandlers(files, episode.path);
 
+    const recordingButton = document.getElementById('recording-from-export-btn');
+    if (recordingButton) {
+      recordingButton.addEventListener('click', () => this.fillRecordingFromExport(episode, recordingButton));
+    }
+
+    if (previewFile && this.isTextFile(previewFile.ext)) {
+      this.loadTextPreview(episode.path, previewFile.name, focus?.line);
+    }
+
     // Attach close button handler
     const closeBtn = document.querySelector('[data-modal-close="episode-modal"]');
     if (closeBtn) {
@@ -516,6 +590,7 @@ class Dashboard {
 
     // Attach edit mode handlers
     this.attachEditModeHandlers(episode, releaseGroups);
+    this.attachEpisodeTabHandlers(episode, releaseGroups);
 
     // If starting in edit mode, enable it
     if (startInEditMode) {
@@ -532,6 +607,7 @@ class Dashboard {
       .filter(f => f.type === 'file')
       .map(file => {
         const isActive = activeFile && file.name === activeFile.name;
+        const mediaSummary = formatMediaSummary(file.media);
         return `
           <div class="file-item ${isActive ? 'active' : ''}" data-file="${this.escapeHtml(file.name)}">
             <div class="file-icon">${this.getFileIcon(file)}</div>
@@ -541,6 +617,7 @@ class Dashboard {
                 <span class="file-size">${this.formatFileSize(file.size)}</span>
                 <span class="file-date">${this.formatFileDate(file.modified)}</span>
               </div>
+              ${mediaSummary ? `<div class="file-meta file-media">${this.escapeHtml(mediaSummary)}</div>` : ''}
             </div>
           </div>
         `;
@@ -548,7 +625,10 @@ class Dashboard {
 
     return `
       <div class="file-browser">
-        <div class="file-browser-header">${files.filter(f => f.type === 'file').length} Files</div>
+        <div class="file-browser-header">
+          <span>${files.filter(f => f.type === 'file').length} Files</span>
+          ${hasFinalExport(files) ? '<button class="btn btn-secondary" id="recording-from-export-btn" title="Set the final duration and format from the newest file in exports/">Fill recording from export</button>' : ''}
+        </div>
         <div class="file-list">
           ${filesHTML}
         </div>
@@ -557,6 +637,17 @@ class Dashboard {
   }
 
   renderMediaPreview(file, episodePath) {
+    if (file && this.isTextFile(file.ext)) {
+      // Filled in by loadTextPreview once the modal is in the DOM
+      return `
+        <div class="media-preview-container">
+          <div class="media-preview" id="media-preview">
+            <div class="media-preview-placeholder"><p>Loading ${this.escapeHtml(file.name)}...</p></div>
+          </div>
+        </div>
+      `;
+    }
+
     if (!file || !this.isMediaFile(file.ext)) {
       return `
         <div class="media-preview-container">
@@ -591,13 +682,75 @@ class Dashboard {
     `;
   }
 
+  /**
+   * Show a text file (script, notes, transcript) in the preview pane with line numbers
+   * @param {string} episodePath - Episode path relative to the content root
+   * @param {string} fileName - File path relative to the episode folder
+   * @param {number} [focusLine] - 1-based line to highlight and scroll to
+   */
+  async loadTextPreview(episodePath, fileName, focusLine) {
+    const previewContainer = document.getElementById('media-preview');
+    if (!previewContainer) return;
+
+    try {
+      const encodedName = fileName.split('/').map(encodeURIComponent).join('/');
+      const response = await fetch(`/content/${episodePath}/${encodedName}`);
+      if (!response.ok) {
+        throw new Error(response.statusText);
+      }
+      const content = await response.text();
+
+      const linesHTML = content.split(/\r?\n/).map((line, index) => {
+        const lineNumber = index + 1;
+        return `<div class="text-preview-line ${lineNumber === focusLine ? 'focused' : ''}"><span class="text-preview-number">${lineNumber}</span><span class="text-preview-text">${this.escapeHtml(line)}</span></div>`;
+      }).join('');
+
+      previewContainer.innerHTML = `<div class="text-preview" aria-label="${this.escapeHtml(fileName)}">${linesHTML}</div>`;
+
+      const focused = previewContainer.querySelector('.text-preview-line.focused');
+      if (focused) {
+        focused.scrollIntoView({ block: 'center' });
+      }
+    } catch (error) {
+      previewContainer.innerHTML = `<div class="media-preview-placeholder"><p>Could not load ${this.escapeHtml(fileName)}: ${this.escapeHtml(error.message)}</p></div>`;
+    }
+  }
+
+  /**
+   * Fill recording.duration_final and recording.format from the final export
+   * @param {object} episode - Episode with series and episode
+   * @param {HTMLButtonElement} button - Button to disable while it runs
+   */
+  async fillRecordingFromExport(episode, button) {
+    button.disabled = true;
+    try {
+      const result = await sendAPI(`/episodes/${encodeURIComponent(episode.series)}/${encodeURIComponent(episode.episode)}/recording-from-export`, 'POST', {});
+      if (this._currentEditEpisode) {
+        this._currentEditEpisode.metadata = result.metadata;
+        this._currentEditEpisode.revision = result.revision;
+      }
+      this.updateViewModeDisplay(result.metadata);
+      const modal = document.getElementById('episode-modal');
+      if (modal) resetMetadataFields(modal, result.metadata);
+      this.showNotification(result.message, 'success');
+    } catch (error) {
+      this.showNotification(`Failed to fill the recording from the export: ${error.message}`, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
   attachFileClickHandlers(files, episodePath) {
     document.querySelectorAll('.file-item').forEach(item => {
       item.addEventListener('click', () => {
         const fileName = item.dataset.file;
         const file = files.find(f => f.name === fileName);
 
-        if (file && this.isMediaFile(file.ext)) {
+        if (file && this.isTextFile(file.ext)) {
+          document.querySelectorAll('.file-item').forEach(i => i.classList.remove('active'));
+          item.classList.add('active');
+          this.loadTextPreview(episodePath, file.name);
+        } else if (file && this.isMediaFile(file.ext)) {
           document.querySelectorAll('.file-item').forEach(i => i.classList.remove('active'));
           item.classList.add('active');
 
@@ -632,6 +785,9 @@ class Dashboard {
     const statusBar = document.getElementById('edit-status-bar');
     const workflowHint = document.getElementById('workflow-hint');
 
+    // The edit form lives on the details tab
+    if (enabled) this.showEpisodePane('details');
+
     if (editBtn) editBtn.classList.toggle('hidden', enabled);
     if (saveBtn) saveBtn.classList.toggle('hidden', !enabled);
     if (cancelBtn) cancelBtn.classList.toggle('hidden', !enabled);
@@ -653,6 +809,57 @@ class Dashboard {
     this._isEditMode = enabled;
   }
 
+  // Details / History / Bundle / Publish tabs; history is reloaded each time its tab is opened
+  attachEpisodeTabHandlers(episode, releaseGroups) {
+    document.querySelectorAll('[data-episode-tab]').forEach(tab => {
+      tab.addEventListener('click', () => {
+        this.showEpisodePane(tab.dataset.episodeTab);
+        if (tab.dataset.episodeTab === 'history') {
+          this.loadHistoryTab(episode, releaseGroups);
+        } else if (tab.dataset.episodeTab === 'bundle') {
+          this.loadBundleTab(episode, releaseGroups);
+        } else if (tab.dataset.episodeTab === 'publish') {
+          loadPublishPackage(this, document.getElementById('episode-publish'), episode);
+        }
+      });
+    });
+  }
+
+  showEpisodePane(name) {
+    document.querySelectorAll('[data-episode-tab]').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.episodeTab === name);
+    });
+    document.querySelectorAll('[data-episode-pane]').forEach(pane => {
+      pane.classList.toggle('hidden', pane.dataset.episodePane !== name);
+    });
+  }
+
+  loadHistoryTab(episode, releaseGroups) {
+    loadEpisodeHistory(this, document.getElementById('episode-history'), episode, async () => {
+      // Reopen with the restored content, staying on the history tab
+      this.closeModal('episode-modal');
+      await this.showEpisodeModal(episode, releaseGroups);
+      this.showEpisodePane('history');
+      this.loadHistoryTab(episode, releaseGroups);
+      if (this.currentView === 'pipeline') {
+        renderPipeline(this);
+      }
+    });
+  }
+
+  loadBundleTab(episode, releaseGroups) {
+    loadEpisodeBundle(this, document.getElementById('episode-bundle'), episode, async (result) => {
+      // An overwrite changed this episode; reopen it with the imported content
+      if (result.episode === episode.episode && result.series === episode.series) {
+        this.closeModal('episode-modal');
+        await this.showEpisodeModal(episode, releaseGroups);
+      }
+      if (this.currentView === 'pipeline') {
+        renderPipeline(this);
+      }
+    });
+  }
+
   attachEditModeHandlers(episode, releaseGroups) {
     const editBtn = document.getElementById('edit-mode-btn');
     const saveBtn = document.getElementById('save-episode-btn');
@@ -706,6 +913,9 @@ class Dashboard {
         checkbox.classList.toggle('checked', workflow[key] === true);
       }
     });
+
+    const modal = document.getElementById('episode-modal');
+    if (modal) resetMetadataFields(modal, metadata);
   }
 
   attachWorkflowCheckboxHandlers() {
@@ -761,12 +971,24 @@ class Dashboard {
     });
     data.workflow = workflow;
 
+    // Other template fields are only sent when changed
+    const modal = document.getElementById('episode-modal');
+    if (modal && this._currentEditEpisode) {
+      const changes = collectMetadataChanges(modal, this._currentEditEpisode.metadata);
+      for (const [key, value] of Object.entries(changes)) {
+        data[key] = data[key] && typeof value === 'object' && !Array.isArray(value)
+          ? { ...data[key], ...value }
+          : value;
+      }
+    }
+
     return data;
   }
 
-  async saveEpisodeChanges(_episode, _releaseGroups) {
+  async saveEpisodeChanges(episode, releaseGroups, overrideReason = '') {
     const saveBtn = document.getElementById('save-episode-btn');
     const statusMessage = document.getElementById('edit-status-message');
+    const refusalPanel = document.getElementById('edit-transition-refusal');
 
     if (!this._currentEditEpisode) {
       console.error('No episode data for saving');
@@ -782,23 +1004,45 @@ class Dashboard {
     if (statusMessage) {
       statusMessage.textContent = 'Saving changes...';
     }
+    if (refusalPanel) {
+      refusalPanel.classList.add('hidden');
+    }
 
     try {
-      const response = await fetch(`/api/episodes/${this._currentEditEpisode.series}/${this._currentEditEpisode.episode}`, {
+      const query = overrideReason ? `?override=${encodeURIComponent(overrideReason)}` : '';
+      const response = await fetch(`/api/episodes/${this._currentEditEpisode.series}/${this._currentEditEpisode.episode}${query}`, {
         method: 'PATCH',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'If-Match': `"${this._currentEditEpisode.revision}"`
         },
         body: JSON.stringify(updates)
       });
 
       const result = await response.json();
 
+      if (response.status === 409) {
+        if (statusMessage) {
+          statusMessage.textContent = 'This episode was changed elsewhere. Resolve the conflict to save.';
+        }
+        this.showEditConflict(episode, releaseGroups, updates, result);
+        return;
+      }
+
+      if (response.status === 422 && result.unmet) {
+        if (statusMessage) {
+          statusMessage.textContent = 'Status change refused by status-transitions.yml.';
+        }
+        this.showTransitionRefusal(episode, releaseGroups, result);
+        return;
+      }
+
       if (!response.ok || !result.success) {
         throw new Error(result.error || result.errors?.join(', ') || 'Failed to save changes');
       }
 
       this._currentEditEpisode.metadata = result.metadata;
+      this._currentEditEpisode.revision = result.revision;
       this.updateViewModeDisplay(result.metadata);
 
       if (statusMessage) {
@@ -835,6 +1079,51 @@ class Dashboard {
     }
   }
 
+  // A status change broke a transition rule: list what is missing and let the
+  // user save anyway with a reason, which the server records in the history
+  showTransitionRefusal(episode, releaseGroups, refusal) {
+    const panel = document.getElementById('edit-transition-refusal');
+    if (!panel) return;
+
+    panel.innerHTML = renderTransitionRefusal(refusal);
+    panel.classList.remove('hidden');
+    const form = panel.querySelector('form');
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const reason = form.querySelector('input').value.trim();
+      if (reason) {
+        await this.saveEpisodeChanges(episode, releaseGroups, reason);
+      }
+    });
+  }
+
+  // A save was rejected because the file changed since the modal opened:
+  // let the user pick per field between the current file and their edits
+  showEditConflict(episode, releaseGroups, updates, conflict) {
+    const { series, episode: episodeId, metadata: base } = this._currentEditEpisode;
+    const reopen = () => {
+      this.closeModal('episode-modal');
+      this.showEpisodeModal(episode, releaseGroups);
+    };
+
+    showConflictModal(this, {
+      rows: buildConflictRows(base, conflict.current, updates),
+      onResolve: async (resolved) => {
+        if (Object.keys(resolved).length > 0) {
+          await sendAPI(`/episodes/${series}/${episodeId}`, 'PATCH', resolved, {
+            'If-Match': `"${conflict.revision}"`
+          });
+          this.showNotification('Conflict resolved and changes saved', 'success');
+        }
+        reopen();
+        if (this.currentView === 'pipeline') {
+          renderPipeline(this);
+        }
+      },
+      onDiscard: reopen
+    });
+  }
+
   updateViewModeDisplay(metadata) {
     const titleView = document.querySelector('.modal-title-view');
     if (titleView) {
@@ -862,6 +1151,9 @@ class Dashboard {
       const tagsDisplay = (metadata.tags || []).filter(t => t && t.trim()).join(', ');
       tagsView.textContent = tagsDisplay || 'No tags';
     }
+
+    const modal = document.getElementById('episode-modal');
+    if (modal) updateMetadataFieldViews(modal, metadata);
   }
 
   showNewEpisodeModal() {
@@ -0,0 +1,61 @@
+// Content Workflow Dashboard - Confirmation Modal Component
+
+import { escapeHtml } from '../utils.js';
+
+const CONFIRM_MODAL_ID = 'confirm-modal';
+
+/**
+ * Show a destructive-action confirmation modal
+ * @param {object} dashboard - Dashboard instance
+ * @param {object} options
+ * @param {string} options.title - Modal title
+ * @param {string} options.message - Question shown to the user (escaped)
+ * @param {string} [options.note] - Secondary note (escaped)
+ * @param {string} [options.extraHTML] - Additional trusted HTML (already escaped) shown above the buttons
+ * @param {string} [options.confirmLabel='Delete'] - Confirm button label
+ * @param {function(): Promise<void>} options.onConfirm - Called on confirm; throw to keep the modal open
+ */
+export function showConfirmModal(dashboard, { title, message, note, extraHTML = '', confirmLabel = 'Delete', onConfirm }) {
+  const modalHTML = `
+    <div class="modal-overlay" id="${CONFIRM_MODAL_ID}">
+      <div class="modal" style="max-width: 500px;">
+        <div class="modal-header">
+          <div>
+            <div class="modal-title">${escapeHtml(title)}</div>
+          </div>
+          <button class="modal-close" data-modal-close="${CONFIRM_MODAL_ID}">&times;</button>
+        </div>
+        <div class="modal-body">
+          <div class="delete-warning">
+            <p>${escapeHtml(message)}</p>
+            ${note ? `<p class="delete-note">${escapeHtml(note)}</p>` : ''}
+          </div>
+          ${extraHTML}
+          <div class="form-error" id="confirm-modal-error"></div>
+          <div class="form-actions">
+            <button class="btn btn-secondary" data-modal-close="${CONFIRM_MODAL_ID}">Cancel</button>
+            <button class="btn btn-danger" id="confirm-modal-confirm">${escapeHtml(confirmLabel)}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  dashboard.showModal(CONFIRM_MODAL_ID, modalHTML);
+
+  document.querySelectorAll(`[data-modal-close="${CONFIRM_MODAL_ID}"]`).forEach(btn => {
+    btn.addEventListener('click', () => dashboard.closeModal(CONFIRM_MODAL_ID));
+  });
+
+  const confirmBtn = document.getElementById('confirm-modal-confirm');
+  confirmBtn.addEventListener('click', async () => {
+    confirmBtn.disabled = true;
+    try {
+      await onConfirm();
+      dashboard.closeModal(CONFIRM_MODAL_ID);
+    } catch (error) {
+      document.getElementById('confirm-modal-error').textContent = error.message;
+      confirmBtn.disabled = false;
+    }
+  });
+}
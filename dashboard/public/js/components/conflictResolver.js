@@ -0,0 +1,248 @@
+// Content Workflow Dashboard - Edit Conflict Resolution Component
+
+import { escapeHtml } from '../utils.js';
+
+const CONFLICT_MODAL_ID = 'conflict-modal';
+
+/**
+ * Flatten nested objects into dotted field paths; arrays and scalars are leaves
+ * @param {object} obj - Object to flatten
+ * @param {string} [prefix] - Path prefix
+ * @returns {object} Map of field path to value
+ * @example
+ * flattenFields({ release: { target_date: '2025-01-01' } }) // { 'release.target_date': '2025-01-01' }
+ */
+export function flattenFields(obj, prefix = '') {
+  const fields = {};
+  for (const [key, value] of Object.entries(obj || {})) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(fields, flattenFields(value, field));
+    } else {
+      fields[field] = value;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Read a dotted field path from an object
+ * @param {object} obj - Source object
+ * @param {string} field - Dotted path
+ * @returns {*} Value or undefined
+ */
+function getField(obj, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Normalize a value the way the edit form does, so untouched fields compare equal
+ * (trimmed strings, no empty tags, missing and empty treated alike)
+ * @param {*} value - Field value
+ * @returns {string} Comparable representation
+ */
+function normalizeValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) {
+    return JSON.stringify(value.map(normalizeValue).filter(v => v !== ''));
+  }
+  return typeof value === 'string' ? value.trim() : String(value);
+}
+
+/**
+ * Compare the edit form against the version it started from and the current file
+ * @param {object} base - Metadata when the editor was opened
+ * @param {object} current - Metadata currently on disk
+ * @param {object} submitted - Updates the user tried to save
+ * @returns {Array<object>} Rows for fields where the saved value would differ from disk:
+ *   { field, base, current, mine, changedByOthers, choice } with choice 'mine' or 'current'
+ */
+export function buildConflictRows(base, current, submitted) {
+  return Object.entries(flattenFields(submitted))
+    .map(([field, mine]) => {
+      const baseValue = getField(base, field);
+      const currentValue = getField(current, field);
+      const editedByMe = normalizeValue(mine) !== normalizeValue(baseValue);
+      const changedByOthers = normalizeValue(currentValue) !== normalizeValue(baseValue);
+      return {
+        field,
+        base: baseValue,
+        current: currentValue,
+        mine,
+        changedByOthers,
+        // Keep my edits, but don't revert someone else's change with a stale form value
+        choice: editedByMe ? 'mine' : 'current'
+      };
+    })
+    .filter(row => normalizeValue(row.mine) !== normalizeValue(row.current));
+}
+
+/**
+ * Build the PATCH body from resolved rows (only fields where "mine" was chosen)
+ * @param {Array<object>} rows - Rows from buildConflictRows with a choice each
+ * @returns {object} Nested updates object
+ */
+export function buildResolvedUpdates(rows) {
+  const updates = {};
+  for (const row of rows.filter(r => r.choice === 'mine')) {
+    const keys = row.field.split('.');
+    let target = updates;
+    keys.slice(0, -1).forEach(key => {
+      target[key] = target[key] || {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = row.mine;
+  }
+  return updates;
+}
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: 'same'|'removed'|'added', text: string}>}
+ */
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+}
+
+/**
+ * Format a field value for display
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (Array.isArray(value)) return value.filter(v => v !== null && v !== '').join(', ') || '(empty)';
+  return String(value);
+}
+
+/**
+ * Render the diff between the current file value and mine for one row
+ * @param {object} row - Conflict row
+ * @returns {string} HTML
+ */
+function renderRowDiff(row) {
+  const current = formatValue(row.current);
+  const mine = formatValue(row.mine);
+
+  if (!current.includes('\n') && !mine.includes('\n')) {
+    return `
+      <div class="conflict-diff-line removed">- ${escapeHtml(current)}</div>
+      <div class="conflict-diff-line added">+ ${escapeHtml(mine)}</div>
+    `;
+  }
+
+  return diffLines(current, mine).map(line => {
+    const marker = { same: ' ', removed: '-', added: '+' }[line.type];
+    return `<div class="conflict-diff-line ${line.type}">${marker} ${escapeHtml(line.text)}</div>`;
+  }).join('');
+}
+
+/**
+ * Show the conflict resolution modal for a rejected save
+ * @param {object} dashboard - Dashboard instance
+ * @param {object} options
+ * @param {Array<object>} options.rows - Rows from buildConflictRows
+ * @param {function(object): Promise<void>} options.onResolve - Called with the resolved updates; throw to keep the modal open
+ * @param {function(): void} options.onDiscard - Called when the user drops their changes
+ */
+export function showConflictModal(dashboard, { rows, onResolve, onDiscard }) {
+  const rowsHTML = rows.map((row, index) => `
+    <div class="conflict-row">
+      <div class="conflict-row-header">
+        <span class="conflict-field">${escapeHtml(row.field)}</span>
+        ${row.changedByOthers ? '<span class="badge warning">changed on disk</span>' : ''}
+      </div>
+      <div class="conflict-diff">${renderRowDiff(row)}</div>
+      <div class="conflict-choices">
+        <label class="checkbox-label">
+          <input type="radio" name="conflict-${index}" value="current" ${row.choice === 'current' ? 'checked' : ''}>
+          Keep current
+        </label>
+        <label class="checkbox-label">
+          <input type="radio" name="conflict-${index}" value="mine" ${row.choice === 'mine' ? 'checked' : ''}>
+          Use mine
+        </label>
+      </div>
+    </div>
+  `).join('');
+
+  const modalHTML = `
+    <div class="modal-overlay" id="${CONFLICT_MODAL_ID}">
+      <div class="modal new-episode-modal">
+        <div class="modal-header">
+          <div>
+            <div class="modal-title">Edit Conflict</div>
+            <div class="modal-subtitle">This episode was changed since you opened it. Lines marked - are on disk now, + are yours.</div>
+          </div>
+          <button class="modal-close" data-modal-close="${CONFLICT_MODAL_ID}">&times;</button>
+        </div>
+        <div class="modal-body">
+          ${rowsHTML || '<p class="text-muted">Your changes already match the current version.</p>'}
+          <div class="form-error" id="conflict-modal-error"></div>
+          <div class="form-actions">
+            <button class="btn btn-secondary" id="conflict-discard">Discard My Changes</button>
+            <button class="btn btn-primary" id="conflict-save">Save Resolved</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  dashboard.showModal(CONFLICT_MODAL_ID, modalHTML);
+
+  document.querySelectorAll(`[data-modal-close="${CONFLICT_MODAL_ID}"]`).forEach(btn => {
+    btn.addEventListener('click', () => dashboard.closeModal(CONFLICT_MODAL_ID));
+  });
+
+  document.getElementById('conflict-discard').addEventListener('click', () => {
+    dashboard.closeModal(CONFLICT_MODAL_ID);
+    onDiscard();
+  });
+
+  const saveBtn = document.getElementById('conflict-save');
+  saveBtn.addEventListener('click', async () => {
+    const resolved = rows.map((row, index) => ({
+      ...row,
+      choice: document.querySelector(`input[name="conflict-${index}"]:checked`)?.value || row.choice
+    }));
+
+    saveBtn.disabled = true;
+    try {
+      await onResolve(buildResolvedUpdates(resolved));
+      dashboard.closeModal(CONFLICT_MODAL_ID);
+    } catch (error) {
+      document.getElementById('conflict-modal-error').textContent = error.message;
+      saveBtn.disabled = false;
+    }
+  });
+}
@@ -0,0 +1,155 @@
+// Content Workflow Dashboard - Episode Bundle Component
+
+import { escapeHtml } from '../utils.js';
+import { renderTransitionRefusal } from './statusDropdown.js';
+
+// Mirrors BUNDLE_PARTS in api/episodeBundle.js
+export const BUNDLE_PART_OPTIONS = [
+  { value: 'metadata', label: 'metadata.yml', checked: true },
+  { value: 'script', label: 'script.md', checked: true },
+  { value: 'notes', label: 'notes.md', checked: true },
+  { value: 'exports', label: 'exports/' },
+  { value: 'all', label: 'Everything, including raw/' }
+];
+
+const CONFLICT_OPTIONS = [
+  { value: 'fail', label: 'Stop if the episode exists' },
+  { value: 'rename', label: 'Import as a copy (-2, -3, ...)' },
+  { value: 'overwrite', label: 'Overwrite the existing files' }
+];
+
+/**
+ * Build the download URL of an episode bundle
+ * @param {object} episode - Episode with series and episode
+ * @param {string[]} include - Bundle parts
+ * @returns {string}
+ * @example
+ * buildBundleExportUrl({ series: 'a', episode: 'pilot' }, ['metadata', 'exports'])
+ * // '/api/episodes/a/pilot/export?include=metadata%2Cexports'
+ */
+export function buildBundleExportUrl(episode, include) {
+  const endpoint = `/api/episodes/${encodeURIComponent(episode.series)}/${encodeURIComponent(episode.episode)}/export`;
+  return `${endpoint}?${new URLSearchParams({ include: include.join(',') })}`;
+}
+
+/**
+ * Render the export and import forms of the Bundle tab
+ * @param {object} episode - Episode with series and episode
+ * @returns {string} HTML
+ */
+export function renderBundlePane(episode) {
+  const defaults = BUNDLE_PART_OPTIONS.filter(option => option.checked).map(option => option.value);
+  const partsHTML = BUNDLE_PART_OPTIONS.map(option => `
+    <label class="bundle-part">
+      <input type="checkbox" name="bundle-part" value="${option.value}" ${option.checked ? 'checked' : ''}>
+      ${escapeHtml(option.label)}
+    </label>
+  `).join('');
+  const conflictHTML = CONFLICT_OPTIONS
+    .map(option => `<option value="${option.value}">${escapeHtml(option.label)}</option>`)
+    .join('');
+
+  return `
+    <div class="modal-section">
+      <h3>Export Bundle</h3>
+      <p class="text-muted">A .zip of the selected files with a manifest of their checksums, for handing to an editor or archiving.</p>
+      <div class="bundle-parts">${partsHTML}</div>
+      <a class="btn btn-primary" id="bundle-export-link" href="${escapeHtml(buildBundleExportUrl(episode, defaults))}" download>Download .zip</a>
+    </div>
+    <div class="modal-section">
+      <h3>Import Bundle</h3>
+      <p class="text-muted">Restore an exported bundle into ${escapeHtml(episode.series)}. Each file is checked against the manifest before anything is written.</p>
+      <div class="bundle-import-form">
+        <input type="file" id="bundle-import-file" accept=".zip,application/zip">
+        <select id="bundle-import-conflict">${conflictHTML}</select>
+        <button class="btn btn-secondary" id="bundle-import-btn">Import</button>
+      </div>
+      <div class="bundle-import-result" id="bundle-import-result"></div>
+    </div>
+  `;
+}
+
+/**
+ * Upload a bundle to POST /api/series/:series/import
+ * @param {string} series - Target series
+ * @param {File} file - The .zip
+ * @param {string} onConflict - fail, rename or overwrite
+ * @param {string} [overrideReason] - Overwrite even if the status change breaks status-transitions.yml
+ * @returns {Promise<object>} Import result, or `{ refused }` with from, to and unmet on 422
+ * @throws {Error} With the server's error message when the import fails
+ */
+async function uploadBundle(series, file, onConflict, overrideReason = '') {
+  const formData = new FormData();
+  formData.append('bundle', file);
+  formData.append('on_conflict', onConflict);
+
+  const query = overrideReason ? `?override=${encodeURIComponent(overrideReason)}` : '';
+  const response = await fetch(`/api/series/${encodeURIComponent(series)}/import${query}`, { method: 'POST', body: formData });
+  const result = await response.json().catch(() => ({}));
+  if (response.status === 422 && result.unmet) {
+    return { refused: result };
+  }
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `API error: ${response.statusText}`);
+  }
+  return result;
+}
+
+/**
+ * Render the Bundle tab into a container and wire up export and import
+ * @param {object} dashboard - Dashboard instance
+ * @param {HTMLElement} container - Element to render into
+ * @param {object} episode - Episode with series and episode
+ * @param {function(object): void} onImported - Called with the import result
+ */
+export function loadEpisodeBundle(dashboard, container, episode, onImported) {
+  container.innerHTML = renderBundlePane(episode);
+
+  const exportLink = container.querySelector('#bundle-export-link');
+  const checkboxes = [...container.querySelectorAll('input[name="bundle-part"]')];
+  const updateExportLink = () => {
+    const include = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+    // Everything already covers the individual files
+    checkboxes.forEach(checkbox => {
+      checkbox.disabled = include.includes('all') && checkbox.value !== 'all';
+    });
+    exportLink.classList.toggle('disabled', include.length === 0);
+    exportLink.href = buildBundleExportUrl(episode, include.includes('all') ? ['all'] : include);
+  };
+  checkboxes.forEach(checkbox => checkbox.addEventListener('change', updateExportLink));
+
+  const importBtn = container.querySelector('#bundle-import-btn');
+  const resultContainer = container.querySelector('#bundle-import-result');
+  const importBundle = async (overrideReason) => {
+    const file = container.querySelector('#bundle-import-file').files[0];
+    if (!file) {
+      dashboard.showNotification('Choose a bundle .zip to import', 'error');
+      return;
+    }
+
+    importBtn.disabled = true;
+    try {
+      const result = await uploadBundle(episode.series, file, container.querySelector('#bundle-import-conflict').value, overrideReason);
+      if (result.refused) {
+        // Overwriting would change the status against its transition rules
+        resultContainer.innerHTML = `<div class="edit-transition-refusal">${renderTransitionRefusal(result.refused)}</div>`;
+        const form = resultContainer.querySelector('form');
+        form.addEventListener('submit', async (e) => {
+          e.preventDefault();
+          const reason = form.querySelector('input').value.trim();
+          if (reason) await importBundle(reason);
+        });
+        return;
+      }
+      resultContainer.innerHTML = `<p>${escapeHtml(result.message)}</p>`;
+      dashboard.showNotification(result.message, 'success');
+      onImported(result);
+    } catch (error) {
+      resultContainer.innerHTML = `<p class="text-muted">${escapeHtml(error.message)}</p>`;
+      dashboard.showNotification(`Import failed: ${error.message}`, 'error');
+    } finally {
+      importBtn.disabled = false;
+    }
+  };
+  importBtn.addEventListener('click', () => importBundle());
+}
@@ -2,13 +2,34 @@
 
 import { escapeHtml, formatDate, getSeriesBadgeClass, getStatusClass } from '../utils.js';
 
+/**
+ * Render the metadata problems badge for a card
+ * @param {object} [lint] - Lint result with errors and warnings ({line, field, message})
+ * @returns {string} HTML string, empty when the metadata is clean
+ * @example
+ * renderLintBadge({ errors: [{ line: 1, message: 'content_status is required' }], warnings: [] })
+ * // '<span class="badge error lint-badge" title="Line 1: content_status is required">⚠ 1</span>'
+ */
+export function renderLintBadge(lint) {
+  const errors = lint?.errors || [];
+  const warnings = lint?.warnings || [];
+  const problems = [...errors, ...warnings];
+  if (problems.length === 0) return '';
+
+  const tooltip = problems
+    .map(problem => (problem.line ? `Line ${problem.line}: ${problem.message}` : problem.message))
+    .join('\n');
+  return `<span class="badge ${errors.length > 0 ? 'error' : 'warning'} lint-badge" title="${escapeHtml(tooltip)}">⚠ ${problems.length}</span>`;
+}
+
 /**
  * Render an episode card for the pipeline/kanban view
  * @param {object} episode - Episode data object
  * @param {object} releaseGroups - Release groups data
+ * @param {Array<{id: string, label: string}>} [workflowStages] - Workflow stages of the episode's series
  * @returns {string} HTML string for the episode card
  */
-export function renderEpisodeCard(episode, releaseGroups = {}) {
+export function renderEpisodeCard(episode, releaseGroups = {}, workflowStages = []) {
   const metadata = episode.metadata || {};
   const title = metadata.title || episode.episode;
   const series = episode.series;
@@ -26,14 +47,10 @@ export function renderEpisodeCard(episode, releaseGroups = {}) {
   // Series badge class
   const seriesBadgeClass = getSeriesBadgeClass(series);
 
-  // Workflow indicators (scripted, recorded, edited)
-  const workflowIndicators = [
-    { key: 'scripted', label: 'Scripted' },
-    { key: 'recorded', label: 'Recorded' },
-    { key: 'edited', label: 'Edited' }
-  ].map(indicator => {
-    const completed = workflow[indicator.key] === true;
-    return `<div class="workflow-indicator ${completed ? 'completed' : ''}" title="${indicator.label}"></div>`;
+  // Workflow indicators, one per stage configured for the series
+  const workflowIndicators = workflowStages.map(stage => {
+    const completed = workflow[stage.id] === true;
+    return `<div class="workflow-indicator ${completed ? 'completed' : ''}" title="${escapeHtml(stage.label)}"></div>`;
   }).join('');
 
   // Target date display
@@ -42,6 +59,12 @@ export function renderEpisodeCard(episode, releaseGroups = {}) {
     ? `<div class="target-date">📅 ${formatDate(targetDate)}</div>`
     : '';
 
+  // Blocked reason (release.blocked_by)
+  const blockedSince = release.blocked_since ? `Blocked since ${formatDate(release.blocked_since)}` : 'Blocked';
+  const blockedHTML = contentStatus === 'blocked'
+    ? `<div class="blocked-reason" title="${escapeHtml(blockedSince)}">⛔ ${escapeHtml(release.blocked_by || 'No reason given')}</div>`
+    : '';
+
   // Release group badge
   const releaseGroupId = release.release_group;
   const releaseGroup = releaseGroupId && releaseGroups[releaseGroupId];
@@ -49,9 +72,12 @@ export function renderEpisodeCard(episode, releaseGroups = {}) {
     ? `<div class="release-group-badge">${escapeHtml(releaseGroup.name || releaseGroupId)}</div>`
     : '';
 
+  // Metadata problems badge
+  const lintBadgeHTML = renderLintBadge(episode.lint);
+
   // Inline status dropdown
   const statusDropdownHTML = `
-    <div class="status-dropdown-container" data-episode-series="${escapeHtml(episode.series)}" data-episode-id="${escapeHtml(episode.episode)}">
+    <div class="status-dropdown-container" data-episode-series="${escapeHtml(episode.series)}" data-episode-id="${escapeHtml(episode.episode)}" data-episode-revision="${escapeHtml(episode.revision || '')}">
       <span class="badge ${getStatusClass(contentStatus)} status-badge-clickable" data-current-status="${contentStatus}">${contentStatus}</span>
     </div>
   `;
@@ -70,7 +96,9 @@ export function renderEpisodeCard(episode, releaseGroups = {}) {
             ${workflowIndicators}
           </div>
           ${targetDateHTML}
+          ${blockedHTML}
           ${releaseGroupHTML}
+          ${lintBadgeHTML}
         </div>
       </div>
     </div>
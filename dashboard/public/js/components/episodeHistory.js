@@ -0,0 +1,166 @@
+// Content Workflow Dashboard - Episode History Component
+
+import { escapeHtml } from '../utils.js';
+import { renderTransitionRefusal } from './statusDropdown.js';
+
+const SOURCE_LABELS = {
+  dashboard: 'Dashboard',
+  mcp: 'MCP',
+  external: 'File change',
+  scheduler: 'Release scheduler'
+};
+
+/**
+ * Describe who or what made a revision
+ * @param {object} entry - Revision summary from the history API
+ * @returns {string} Label such as "Dashboard (update)" or "MCP (update_workflow_progress)"
+ * @example
+ * describeRevisionSource({ source: 'mcp', action: 'schedule_release' }) // 'MCP (schedule_release)'
+ */
+export function describeRevisionSource(entry) {
+  const label = SOURCE_LABELS[entry.source] || entry.source;
+  return entry.action ? `${label} (${entry.action})` : label;
+}
+
+/**
+ * Classify the lines of a unified diff for display
+ * @param {string} diff - Diff text from the history API
+ * @returns {Array<{type: 'hunk'|'added'|'removed'|'same', text: string}>}
+ */
+export function parseDiffLines(diff) {
+  return (diff || '').split('\n').filter(line => line !== '').map(line => {
+    if (line.startsWith('@@')) return { type: 'hunk', text: line };
+    if (line.startsWith('+')) return { type: 'added', text: line };
+    if (line.startsWith('-')) return { type: 'removed', text: line };
+    return { type: 'same', text: line };
+  });
+}
+
+/**
+ * Render the revision list
+ * @param {Array<object>} entries - Revision summaries, newest first
+ * @returns {string} HTML
+ */
+export function renderHistoryEntries(entries) {
+  if (!entries || entries.length === 0) {
+    return '<p class="text-muted">No changes recorded yet.</p>';
+  }
+
+  return entries.map(entry => {
+    const diffHTML = parseDiffLines(entry.diff)
+      .map(line => `<div class="history-diff-line ${line.type}">${escapeHtml(line.text)}</div>`)
+      .join('');
+    const when = new Date(entry.timestamp).toLocaleString('en-US', {
+      month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+    const revertHTML = entry.restorable
+      ? `<button class="btn btn-secondary history-revert" data-revision-id="${escapeHtml(entry.id)}">Revert</button>`
+      : '';
+    // Status changes forced past unmet transition rules carry the reason and what was skipped
+    const overrideHTML = entry.override
+      ? `<div class="history-override" title="${escapeHtml((entry.override.unmet || []).join('\n'))}">Override: ${escapeHtml(entry.override.reason)}</div>`
+      : '';
+
+    return `
+      <div class="history-entry" data-revision-id="${escapeHtml(entry.id)}">
+        <div class="history-entry-header">
+          <span class="history-file">${escapeHtml(entry.file)}</span>
+          <span class="history-source">${escapeHtml(describeRevisionSource(entry))}</span>
+          <span class="history-time">${escapeHtml(when)}</span>
+          ${revertHTML}
+        </div>
+        ${overrideHTML}
+        <details class="history-diff-details">
+          <summary>Show changes</summary>
+          <div class="history-diff">${diffHTML || '<span class="text-muted">No line changes</span>'}</div>
+        </details>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Restore a revision through POST .../history/:id/restore
+ * @param {string} endpoint - The episode's history endpoint (without /api)
+ * @param {string} revisionId - Revision to restore
+ * @param {string} [overrideReason] - Restore even if the status change breaks status-transitions.yml
+ * @returns {Promise<object>} Restore result, or `{ refused }` with from, to and unmet on 422
+ * @throws {Error} With the server's error message when the restore fails
+ */
+async function restoreRevision(endpoint, revisionId, overrideReason = '') {
+  const query = overrideReason ? `?override=${encodeURIComponent(overrideReason)}` : '';
+  const response = await fetch(`/api${endpoint}/${encodeURIComponent(revisionId)}/restore${query}`, { method: 'POST' });
+  const result = await response.json().catch(() => ({}));
+  if (response.status === 422 && result.unmet) {
+    return { refused: result };
+  }
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `API error: ${response.statusText}`);
+  }
+  return result;
+}
+
+/**
+ * Load an episode's history into a container and wire up the revert buttons
+ * @param {object} dashboard - Dashboard instance
+ * @param {HTMLElement} container - Element to render into
+ * @param {object} episode - Episode with series and episode
+ * @param {function(object): void} onRestored - Called with the restore result
+ */
+export async function loadEpisodeHistory(dashboard, container, episode, onRestored) {
+  const endpoint = `/episodes/${encodeURIComponent(episode.series)}/${encodeURIComponent(episode.episode)}/history`;
+  container.innerHTML = '<p class="text-muted">Loading history...</p>';
+
+  let history;
+  try {
+    ({ history } = await dashboard.fetchAPI(endpoint));
+  } catch (error) {
+    container.innerHTML = `<p class="text-muted">Failed to load history: ${escapeHtml(error.message)}</p>`;
+    return;
+  }
+
+  container.innerHTML = renderHistoryEntries(history);
+
+  container.querySelectorAll('.history-revert').forEach(btn => {
+    const revert = async (overrideReason) => {
+      btn.disabled = true;
+      try {
+        const result = await restoreRevision(endpoint, btn.dataset.revisionId, overrideReason);
+        if (result.refused) {
+          showRevertRefusal(btn.closest('.history-entry'), result.refused, revert);
+          btn.disabled = false;
+          return;
+        }
+        dashboard.showNotification(result.message, 'success');
+        onRestored(result);
+      } catch (error) {
+        dashboard.showNotification(`Revert failed: ${error.message}`, 'error');
+        btn.disabled = false;
+      }
+    };
+    // No confirmation: the revert is recorded too, so it can be reverted in turn
+    btn.addEventListener('click', () => revert());
+  });
+}
+
+/**
+ * Show why a revert was refused under its entry, with a form to revert anyway
+ * @param {HTMLElement} entry - The .history-entry element
+ * @param {object} refusal - 422 body with from, to and unmet
+ * @param {function(string): Promise<void>} revert - Retries the revert with a reason
+ */
+function showRevertRefusal(entry, refusal, revert) {
+  let panel = entry.querySelector('.edit-transition-refusal');
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.className = 'edit-transition-refusal';
+    entry.querySelector('.history-entry-header').after(panel);
+  }
+  panel.innerHTML = renderTransitionRefusal(refusal);
+  const form = panel.querySelector('form');
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const reason = form.querySelector('input').value.trim();
+    if (reason) await revert(reason);
+  });
+}
@@ -0,0 +1,180 @@
+// Content Workflow Dashboard - Global Search Component
+
+import { escapeHtml } from '../utils.js';
+
+const SEARCH_DEBOUNCE_MS = 250;
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Escape text and wrap highlighted ranges in <mark>
+ * @param {string} text - Plain snippet text
+ * @param {Array<[number, number]>} highlights - Sorted [start, end) ranges
+ * @returns {string} Safe HTML
+ */
+export function highlightSnippet(text, highlights = []) {
+  let html = '';
+  let position = 0;
+  for (const [start, end] of highlights) {
+    if (start < position) continue;
+    html += escapeHtml(text.slice(position, start));
+    html += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    position = end;
+  }
+  return html + escapeHtml(text.slice(position));
+}
+
+/**
+ * Describe where a search hit matched, e.g. "script.md:12" or "raw/take1.srt @ 1:02"
+ * @param {object} hit - Search hit from /api/search
+ * @param {object} match - One of hit.matches
+ * @returns {string}
+ */
+export function describeMatchLocation(hit, match) {
+  if (hit.file === 'metadata.yml') return hit.field;
+  if (match.timestamp) return `${hit.file} @ ${match.timestamp}`;
+  return match.line ? `${hit.file}:${match.line}` : hit.file;
+}
+
+/**
+ * Render the global search box into the header and wire up its results dropdown
+ * @param {object} dashboard - Dashboard instance for state and methods
+ */
+export function renderGlobalSearch(dashboard) {
+  const container = document.getElementById('global-search');
+  if (!container) return;
+
+  container.innerHTML = `
+    <input type="search" class="global-search-input" id="global-search-input"
+           placeholder="Search scripts, notes, transcripts..." aria-label="Search content" autocomplete="off">
+    <div class="global-search-results hidden" id="global-search-results"></div>
+  `;
+
+  const input = document.getElementById('global-search-input');
+  const results = document.getElementById('global-search-results');
+  let debounceTimer = null;
+  let latestRequest = 0;
+  let hits = [];
+
+  const hideResults = () => results.classList.add('hidden');
+
+  const runSearch = async (query) => {
+    const requestId = ++latestRequest;
+    try {
+      const result = await dashboard.fetchAPI(`/search?q=${encodeURIComponent(query)}&limit=20`);
+      // Ignore responses that arrive after a newer query was sent
+      if (requestId !== latestRequest) return;
+      hits = result.hits || [];
+      results.innerHTML = renderResults(hits, result.total);
+    } catch (error) {
+      if (requestId !== latestRequest) return;
+      hits = [];
+      results.innerHTML = `<div class="global-search-empty">Search failed: ${escapeHtml(error.message)}</div>`;
+    }
+    results.classList.remove('hidden');
+  };
+
+  input.addEventListener('input', () => {
+    clearTimeout(debounceTimer);
+    const query = input.value.trim();
+    if (query.length < MIN_QUERY_LENGTH) {
+      latestRequest++;
+      hideResults();
+      return;
+    }
+    debounceTimer = setTimeout(() => runSearch(query), SEARCH_DEBOUNCE_MS);
+  });
+
+  input.addEventListener('focus', () => {
+    if (input.value.trim().length >= MIN_QUERY_LENGTH && results.innerHTML) {
+      results.classList.remove('hidden');
+    }
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      hideResults();
+      input.blur();
+    }
+  });
+
+  results.addEventListener('click', async (e) => {
+    const item = e.target.closest('.global-search-hit');
+    if (!item) return;
+    hideResults();
+    await openSearchHit(dashboard, hits[Number(item.dataset.index)], Number(item.dataset.match));
+  });
+
+  document.addEventListener('click', (e) => {
+    if (!container.contains(e.target)) hideResults();
+  });
+}
+
+/**
+ * Render the results dropdown
+ * @param {Array<object>} hits - Search hits
+ * @param {number} total - Total hits before the limit
+ * @returns {string} HTML
+ */
+function renderResults(hits, total) {
+  if (hits.length === 0) {
+    return '<div class="global-search-empty">No matches</div>';
+  }
+
+  const items = hits.map((hit, index) => {
+    const matches = hit.matches.map((match, matchIndex) => `
+      <button type="button" class="global-search-hit" data-index="${index}" data-match="${matchIndex}">
+        <span class="global-search-location">${escapeHtml(describeMatchLocation(hit, match))}</span>
+        <span class="global-search-snippet">${highlightSnippet(match.snippet, match.highlights)}</span>
+      </button>
+    `).join('');
+
+    return `
+      <div class="global-search-group">
+        <div class="global-search-title">
+          ${escapeHtml(hit.title)}
+          <span class="text-muted">${escapeHtml(hit.series)} / ${escapeHtml(hit.episode)}</span>
+        </div>
+        ${matches}
+      </div>
+    `;
+  }).join('');
+
+  const more = total > hits.length
+    ? `<div class="global-search-empty">Showing ${hits.length} of ${total} matching files</div>`
+    : '';
+
+  return items + more;
+}
+
+/**
+ * Open the episode modal focused on the file and line of a search hit
+ * @param {object} dashboard - Dashboard instance
+ * @param {object} hit - Search hit
+ * @param {number} matchIndex - Index into hit.matches
+ */
+async function openSearchHit(dashboard, hit, matchIndex) {
+  if (!hit) return;
+
+  try {
+    const [episodeResult, releaseQueueResult] = await Promise.all([
+      dashboard.fetchAPI(`/episodes/${encodeURIComponent(hit.series)}/${encodeURIComponent(hit.episode)}`),
+      dashboard.fetchAPI('/releases').catch(() => ({ success: false }))
+    ]);
+    const releaseGroups = releaseQueueResult.success && releaseQueueResult.data.release_groups
+      ? releaseQueueResult.data.release_groups
+      : {};
+
+    const match = hit.matches[matchIndex] || hit.matches[0];
+    const focus = hit.file === 'metadata.yml' ? null : { file: hit.file, line: match?.line };
+
+    await dashboard.showEpisodeModal({
+      series: episodeResult.series,
+      episode: episodeResult.episode,
+      path: episodeResult.path,
+      metadata: episodeResult.metadata
+    }, releaseGroups, false, focus);
+  } catch (error) {
+    console.error('Failed to open search result:', error);
+    dashboard.showNotification(`Could not open ${hit.series}/${hit.episode}`, 'error');
+  }
+}
@@ -0,0 +1,57 @@
+// Content Workflow Dashboard - Media Info Component
+// Duration, resolution, frame rate and codecs read from container headers
+// (the `media` of file entries, see api/mediaInfo.js)
+
+import { escapeHtml } from '../utils.js';
+
+/**
+ * Describe a media file on one line for the file browser
+ * @param {object|null} media - File entry's media info
+ * @returns {string} e.g. '12:34 · 3840×2160 · 29.97 fps · h264/aac', '' without info
+ */
+export function formatMediaSummary(media) {
+  if (!media) return '';
+  const parts = [];
+  if (media.duration_formatted) parts.push(media.duration_formatted);
+  if (media.video?.width) parts.push(`${media.video.width}×${media.video.height}`);
+  if (media.video?.frame_rate) parts.push(`${media.video.frame_rate} fps`);
+  const codecs = [media.video?.codec, media.audio?.codec].filter(Boolean);
+  if (codecs.length > 0) parts.push(codecs.join('/'));
+  return parts.join(' · ');
+}
+
+/**
+ * Render the media info of a file as asset info grid items
+ * @param {object|null} media - File entry's media info
+ * @returns {string} HTML, '' without info
+ */
+export function renderMediaInfoItems(media) {
+  if (!media) return '';
+  const items = [];
+  if (media.duration_formatted) items.push(['Duration', media.duration_formatted]);
+  if (media.video) {
+    items.push(['Resolution', `${media.video.width} × ${media.video.height}`]);
+    items.push(['Video', [media.video.codec, media.video.frame_rate ? `${media.video.frame_rate} fps` : ''].filter(Boolean).join(', ')]);
+  }
+  if (media.audio) {
+    const channels = media.audio.channels === 1 ? 'mono' : media.audio.channels === 2 ? 'stereo' : `${media.audio.channels} channels`;
+    items.push(['Audio', `${media.audio.codec}, ${media.audio.sample_rate / 1000} kHz ${channels}`]);
+  }
+  items.push(['Container', media.container.toUpperCase()]);
+
+  return items.map(([label, value]) => `
+    <div class="asset-info-item">
+      <div class="asset-info-label">${label}</div>
+      <div class="asset-info-value">${escapeHtml(value)}</div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Whether the file list has a final export the recording fields can be filled from
+ * @param {Array<object>} files - Episode file entries
+ * @returns {boolean}
+ */
+export function hasFinalExport(files) {
+  return files.some(file => file.name.startsWith('exports/') && file.media?.duration);
+}
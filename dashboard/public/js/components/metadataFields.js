@@ -0,0 +1,315 @@
+// Content Workflow Dashboard - Metadata Fields Component
+// View/edit pairs for the metadata template fields beyond title, description,
+// status, tags and workflow. Allowed values match api/episodeMetadata.js.
+
+import { escapeHtml, formatDependency } from '../utils.js';
+
+export const YOUTUBE_CATEGORIES = {
+  1: 'Film & Animation',
+  2: 'Autos & Vehicles',
+  10: 'Music',
+  15: 'Pets & Animals',
+  17: 'Sports',
+  19: 'Travel & Events',
+  20: 'Gaming',
+  22: 'People & Blogs',
+  23: 'Comedy',
+  24: 'Entertainment',
+  25: 'News & Politics',
+  26: 'Howto & Style',
+  27: 'Education',
+  28: 'Science & Technology',
+  29: 'Nonprofits & Activism'
+};
+
+const PRIVACY_OPTIONS = ['public', 'unlisted', 'private'];
+const RECORDING_FORMATS = ['4K', '1080p', '720p'];
+const THUMBNAIL_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.gif'];
+
+/**
+ * Editable fields by modal section. `type` picks the input and how values are
+ * read back: text, list (comma separated), number, date, datetime, or select
+ * with `options` (a list of values or a name of options built per episode).
+ */
+export const METADATA_SECTIONS = [
+  {
+    title: 'Publishing',
+    fields: [
+      { field: 'category', label: 'Category', type: 'select', options: 'categories' },
+      { field: 'privacy', label: 'Privacy', type: 'select', options: PRIVACY_OPTIONS },
+      { field: 'playlist', label: 'Playlist', type: 'text' },
+      { field: 'scheduled_at', label: 'Scheduled Publish', type: 'datetime' },
+      { field: 'thumbnail', label: 'Thumbnail', type: 'select', options: 'thumbnails' }
+    ]
+  },
+  {
+    title: 'Distribution & Release',
+    fields: [
+      { field: 'distribution.profile', label: 'Distribution Profile', type: 'select', options: 'profiles' },
+      { field: 'distribution.platforms', label: 'Platforms (instead of a profile)', type: 'list' },
+      { field: 'release.release_group', label: 'Release Group', type: 'select', options: 'releaseGroups' },
+      { field: 'release.depends_on', label: 'Depends On', type: 'list' },
+      { field: 'release.notes', label: 'Release Notes', type: 'text' },
+      { field: 'release.blocked_by', label: 'Blocked By', type: 'text', placeholder: 'Required when blocked' },
+      { field: 'release.blocked_since', label: 'Blocked Since', type: 'date' }
+    ]
+  },
+  {
+    title: 'Recording & Series',
+    fields: [
+      { field: 'recording.date', label: 'Recording Date', type: 'date' },
+      { field: 'recording.duration_raw', label: 'Raw Duration', type: 'text', placeholder: '1:04:32' },
+      { field: 'recording.duration_final', label: 'Final Duration', type: 'text', placeholder: '12:30' },
+      { field: 'recording.format', label: 'Format', type: 'select', options: RECORDING_FORMATS },
+      { field: 'series.name', label: 'Series Name', type: 'text' },
+      { field: 'series.episode_number', label: 'Episode Number', type: 'number', min: 0, step: 1 }
+    ]
+  },
+  {
+    title: 'Analytics',
+    fields: [
+      { field: 'analytics.youtube_id', label: 'YouTube ID', type: 'text' },
+      { field: 'analytics.publish_date', label: 'Publish Date', type: 'date' },
+      { field: 'analytics.views_24h', label: 'Views (24h)', type: 'number', min: 0, step: 1 },
+      { field: 'analytics.views_7d', label: 'Views (7d)', type: 'number', min: 0, step: 1 },
+      { field: 'analytics.ctr', label: 'CTR (%)', type: 'number', min: 0, step: 0.1 },
+      { field: 'analytics.avg_view_duration', label: 'Avg View Duration', type: 'text', placeholder: '4:32' }
+    ]
+  }
+];
+
+const ALL_FIELDS = METADATA_SECTIONS.flatMap(section => section.fields);
+
+/**
+ * Read a dotted field path from an object
+ * @param {object} obj - Source object
+ * @param {string} field - Dotted path
+ * @returns {*} Value or undefined
+ */
+function getField(obj, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Convert an ISO datetime to the value of a datetime-local input (local time)
+ * @param {string} value - ISO datetime
+ * @returns {string} YYYY-MM-DDTHH:MM, or '' when empty or invalid
+ */
+export function toDateTimeLocal(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Normalize a metadata value to what the form would submit for it
+ * @param {object} def - Field definition
+ * @param {*} value - Value from metadata.yml or the form
+ * @returns {*} '' / null for empty values, numbers for number fields, trimmed lists
+ */
+export function normalizeFieldValue(def, value) {
+  if (def.type === 'list') {
+    // Recorded dependencies (release.depends_on) are edited as their text form
+    return (Array.isArray(value) ? value : []).map(v => formatDependency(v).trim()).filter(Boolean);
+  }
+  if (def.type === 'number' || def.options === 'categories') {
+    return value === null || value === undefined || value === '' ? null : Number(value);
+  }
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * Format a field value for the view mode
+ * @param {object} def - Field definition
+ * @param {*} value - Metadata value
+ * @returns {string} Display text ('Not set' when empty)
+ */
+export function formatFieldValue(def, value) {
+  const normalized = normalizeFieldValue(def, value);
+  if (normalized === null || normalized === '' || (Array.isArray(normalized) && normalized.length === 0)) {
+    return 'Not set';
+  }
+  if (def.type === 'list') return normalized.join(', ');
+  if (def.options === 'categories') {
+    return YOUTUBE_CATEGORIES[normalized] ? `${normalized} - ${YOUTUBE_CATEGORIES[normalized]}` : String(normalized);
+  }
+  if (def.type === 'datetime') {
+    const date = new Date(normalized);
+    return Number.isNaN(date.getTime()) ? normalized : date.toLocaleString('en-US', {
+      month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+  }
+  return String(normalized);
+}
+
+/**
+ * Build the option list of a select field; the current value is always offered
+ * so opening the editor never changes it
+ * @param {object} def - Field definition
+ * @param {*} current - Current value
+ * @param {object} context - { profiles: [{id, description}], releaseGroups: {id: group}, files: [{name, type, ext}] }
+ * @returns {Array<{value: string, label: string}>}
+ */
+function selectOptions(def, current, context) {
+  let options;
+  if (def.options === 'categories') {
+    options = Object.entries(YOUTUBE_CATEGORIES).map(([id, name]) => ({ value: id, label: `${id} - ${name}` }));
+  } else if (def.options === 'profiles') {
+    options = (context.profiles || []).map(profile => ({ value: profile.id, label: profile.id }));
+  } else if (def.options === 'releaseGroups') {
+    options = Object.entries(context.releaseGroups || {}).map(([id, group]) => ({ value: id, label: group.name || id }));
+  } else if (def.options === 'thumbnails') {
+    options = (context.files || [])
+      .filter(file => file.type === 'file' && THUMBNAIL_EXTENSIONS.includes(file.ext))
+      .map(file => ({ value: file.name, label: file.name }));
+  } else {
+    options = def.options.map(option => ({ value: option, label: option }));
+  }
+
+  const value = current === null || current === undefined ? '' : String(current);
+  if (value && !options.some(option => option.value === value)) {
+    const label = def.options === 'thumbnails' ? `${value} (missing)` : value;
+    options.unshift({ value, label });
+  }
+  return [{ value: '', label: 'Not set' }, ...options];
+}
+
+/**
+ * Render the edit input of a field
+ * @param {object} def - Field definition
+ * @param {*} value - Current value
+ * @param {object} context - Select option sources (see selectOptions)
+ * @returns {string} HTML
+ */
+function renderInput(def, value, context) {
+  const attrs = `class="edit-field metadata-field-input" data-field="${def.field}"`;
+  const normalized = normalizeFieldValue(def, value);
+
+  switch (def.type) {
+  case 'select': {
+    const current = normalized === null ? '' : String(normalized);
+    const options = selectOptions(def, current, context).map(option =>
+      `<option value="${escapeHtml(option.value)}" ${option.value === current ? 'selected' : ''}>${escapeHtml(option.label)}</option>`
+    ).join('');
+    return `<select ${attrs}>${options}</select>`;
+  }
+  case 'number':
+    return `<input type="number" ${attrs} min="${def.min}" step="${def.step}" value="${normalized ?? ''}">`;
+  case 'date':
+    return `<input type="date" ${attrs} value="${escapeHtml(normalized)}">`;
+  case 'datetime':
+    return `<input type="datetime-local" ${attrs} value="${toDateTimeLocal(normalized)}">`;
+  case 'list':
+    return `<input type="text" ${attrs} value="${escapeHtml(normalized.join(', '))}" placeholder="Comma-separated">`;
+  default:
+    return `<input type="text" ${attrs} value="${escapeHtml(normalized)}" placeholder="${escapeHtml(def.placeholder || '')}">`;
+  }
+}
+
+/**
+ * Render the metadata sections of the episode modal (view values plus hidden edit inputs)
+ * @param {object} metadata - Episode metadata
+ * @param {object} context - { profiles, releaseGroups, files } for select options
+ * @returns {string} HTML
+ */
+export function renderMetadataFields(metadata, context = {}) {
+  return METADATA_SECTIONS.map(section => {
+    const items = section.fields.map(def => {
+      const value = getField(metadata, def.field);
+      return `
+        <div class="metadata-item">
+          <div class="metadata-label">${escapeHtml(def.label)}</div>
+          <div class="metadata-value metadata-value-view" data-field-view="${def.field}">${escapeHtml(formatFieldValue(def, value))}</div>
+          <div class="metadata-value metadata-value-edit hidden">${renderInput(def, value, context)}</div>
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="modal-section">
+        <h3>${escapeHtml(section.title)}</h3>
+        <div class="metadata-grid">${items}</div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Read the value of a field input the way the API expects it
+ * @param {object} def - Field definition
+ * @param {HTMLElement} input - Input or select element
+ * @returns {*} Typed value
+ */
+function readInput(def, input) {
+  const raw = input.value.trim();
+  if (def.type === 'list') return raw ? raw.split(',').map(v => v.trim()).filter(Boolean) : [];
+  if (def.type === 'number' || def.options === 'categories') return raw === '' ? null : Number(raw);
+  if (def.type === 'datetime') return raw ? new Date(raw).toISOString() : '';
+  return raw;
+}
+
+/**
+ * Compare two values of a field as the form shows them (datetimes to the minute)
+ * @param {object} def - Field definition
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+function sameFieldValue(def, a, b) {
+  if (def.type === 'datetime') {
+    return toDateTimeLocal(normalizeFieldValue(def, a)) === toDateTimeLocal(normalizeFieldValue(def, b));
+  }
+  return JSON.stringify(normalizeFieldValue(def, a)) === JSON.stringify(normalizeFieldValue(def, b));
+}
+
+/**
+ * Collect the fields the user changed, nested the way PATCH expects them.
+ * Unchanged fields are left out so the editor never rewrites values it only displayed.
+ * @param {HTMLElement} root - Element containing the field inputs
+ * @param {object} original - Metadata the form was rendered from
+ * @returns {object} Updates, e.g. { category: 22, release: { notes: 'After launch' } }
+ */
+export function collectMetadataChanges(root, original) {
+  const updates = {};
+  for (const def of ALL_FIELDS) {
+    const input = root.querySelector(`[data-field="${def.field}"]`);
+    if (!input) continue;
+
+    const value = readInput(def, input);
+    if (sameFieldValue(def, value, getField(original, def.field))) continue;
+
+    const keys = def.field.split('.');
+    const parent = keys.slice(0, -1).reduce((obj, key) => (obj[key] = obj[key] || {}), updates);
+    parent[keys[keys.length - 1]] = value;
+  }
+  return updates;
+}
+
+/**
+ * Put the inputs back to the given metadata (cancel)
+ * @param {HTMLElement} root - Element containing the field inputs
+ * @param {object} metadata - Metadata to show
+ */
+export function resetMetadataFields(root, metadata) {
+  for (const def of ALL_FIELDS) {
+    const input = root.querySelector(`[data-field="${def.field}"]`);
+    if (!input) continue;
+    const value = normalizeFieldValue(def, getField(metadata, def.field));
+    if (def.type === 'list') input.value = value.join(', ');
+    else if (def.type === 'datetime') input.value = toDateTimeLocal(value);
+    else input.value = value ?? '';
+  }
+}
+
+/**
+ * Refresh the view-mode values after a save
+ * @param {HTMLElement} root - Element containing the field views
+ * @param {object} metadata - Saved metadata
+ */
+export function updateMetadataFieldViews(root, metadata) {
+  for (const def of ALL_FIELDS) {
+    const view = root.querySelector(`[data-field-view="${def.field}"]`);
+    if (view) view.textContent = formatFieldValue(def, getField(metadata, def.field));
+  }
+}
@@ -0,0 +1,131 @@
+// Content Workflow Dashboard - Publish Package Component
+
+import { escapeHtml } from '../utils.js';
+import { sendAPI } from '../api.js';
+
+const READINESS_LABELS = { pass: 'Pass', warn: 'Warn', fail: 'Fail' };
+
+/**
+ * Build an endpoint under an episode
+ * @param {object} episode - Episode with series and episode
+ * @param {string} action - e.g. 'readiness'
+ * @returns {string} Endpoint without the /api prefix
+ */
+function episodeEndpoint(episode, action) {
+  return `/episodes/${encodeURIComponent(episode.series)}/${encodeURIComponent(episode.episode)}/${action}`;
+}
+
+/**
+ * Render the pre-publish readiness of each platform with its checks
+ * @param {object} report - Response of GET /api/episodes/:series/:episode/readiness
+ * @returns {string} HTML
+ */
+export function renderReadinessPanel(report) {
+  const platforms = report.platforms.map(platform => {
+    const checks = platform.checks.map(check => `
+      <li class="readiness-check readiness-${check.status}">
+        <span class="readiness-badge readiness-${check.status}">${READINESS_LABELS[check.status]}</span>
+        ${check.requirement ? `<strong>${escapeHtml(check.requirement)}</strong>` : ''}
+        ${check.message ? `<span class="text-muted">${escapeHtml(check.message)}</span>` : ''}
+      </li>
+    `).join('');
+    return `
+      <li class="readiness-platform" data-platform="${escapeHtml(platform.platform)}">
+        <div class="readiness-platform-header">
+          <span class="readiness-badge readiness-${platform.status}">${READINESS_LABELS[platform.status]}</span>
+          <strong>${escapeHtml(platform.name)}</strong>
+        </div>
+        ${checks ? `<ul class="readiness-checks">${checks}</ul>` : '<p class="text-muted">Nothing required</p>'}
+      </li>
+    `;
+  }).join('');
+
+  return `<ul class="readiness-platforms">${platforms}</ul>`;
+}
+
+/**
+ * Render the result of building the publish packages: per platform the file
+ * written, or the inputs it is missing
+ * @param {object} result - Response of POST /api/episodes/:series/:episode/publish-package
+ * @returns {string} HTML
+ */
+export function renderPublishResult(result) {
+  const rows = result.platforms.map(platform => {
+    const problems = [...platform.missing, ...platform.warnings];
+    const state = platform.missing.length > 0 ? 'missing' : (platform.file ? 'written' : 'skipped');
+    return `
+      <li class="publish-platform publish-platform-${state}">
+        <div class="publish-platform-header">
+          <strong>${escapeHtml(platform.name)}</strong>
+          <span class="text-muted">${platform.file ? escapeHtml(platform.file) : 'No package'}</span>
+        </div>
+        ${problems.length > 0 ? `<ul class="publish-problems">${problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}</ul>` : ''}
+      </li>
+    `;
+  }).join('');
+
+  return `
+    <p>${escapeHtml(result.message)}</p>
+    <ul class="publish-platforms">${rows}</ul>
+  `;
+}
+
+/**
+ * Fetch and render the readiness report into a container
+ * @param {HTMLElement} container - Element to render into
+ * @param {object} episode - Episode with series and episode
+ */
+async function loadReadiness(container, episode) {
+  container.innerHTML = '<p class="text-muted">Checking...</p>';
+  try {
+    container.innerHTML = renderReadinessPanel(await sendAPI(episodeEndpoint(episode, 'readiness'), 'GET'));
+  } catch (error) {
+    container.innerHTML = `<p class="text-muted">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+/**
+ * Render the Publish tab into a container: the readiness of each platform
+ * and the publish package build
+ * @param {object} dashboard - Dashboard instance
+ * @param {HTMLElement} container - Element to render into
+ * @param {object} episode - Episode with series and episode
+ */
+export function loadPublishPackage(dashboard, container, episode) {
+  container.innerHTML = `
+    <div class="modal-section">
+      <div class="readiness-header">
+        <h3>Readiness</h3>
+        <button class="btn btn-secondary" id="readiness-recheck-btn">Recheck</button>
+      </div>
+      <p class="text-muted">Each platform's requirements from distribution-profiles.yml, plus leftover template text, empty tags, the thumbnail file and post lengths.</p>
+      <div id="readiness-panel"></div>
+    </div>
+    <div class="modal-section">
+      <h3>Publish Package</h3>
+      <p class="text-muted">Writes a ready-to-paste file per platform of the episode's distribution into exports/publish/: upload fields for video, the post with front matter for written platforms, and the post text for social ones.</p>
+      <button class="btn btn-primary" id="publish-package-btn">Build Publish Package</button>
+      <div class="publish-package-result" id="publish-package-result"></div>
+    </div>
+  `;
+
+  const readinessPanel = container.querySelector('#readiness-panel');
+  loadReadiness(readinessPanel, episode);
+  container.querySelector('#readiness-recheck-btn').addEventListener('click', () => loadReadiness(readinessPanel, episode));
+
+  const button = container.querySelector('#publish-package-btn');
+  const resultContainer = container.querySelector('#publish-package-result');
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    try {
+      const result = await sendAPI(episodeEndpoint(episode, 'publish-package'), 'POST', {});
+      resultContainer.innerHTML = renderPublishResult(result);
+      dashboard.showNotification(result.message, result.complete ? 'success' : 'warning');
+    } catch (error) {
+      resultContainer.innerHTML = `<p class="text-muted">${escapeHtml(error.message)}</p>`;
+      dashboard.showNotification(`Failed to build publish package: ${error.message}`, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
@@ -1,6 +1,10 @@
 // Content Workflow Dashboard - Status Dropdown Component
 
 import { escapeHtml, getStatusClass } from '../utils.js';
+import { showNotification } from '../modal.js';
+
+// Episode statuses in pipeline order (matches CONTENT_STATUSES in api/episodeMetadata.js)
+export const CONTENT_STATUSES = ['draft', 'ready', 'staged', 'blocked', 'released', 'archived'];
 
 // Track the close handler for cleanup
 let _statusDropdownCloseHandler = null;
@@ -37,7 +41,7 @@ export function attachInlineStatusHandlers(episodes, onStatusUpdate) {
       // Create dropdown
       const dropdown = document.createElement('div');
       dropdown.className = 'status-dropdown';
-      dropdown.innerHTML = ['draft', 'ready', 'staged', 'released'].map(status => `
+      dropdown.innerHTML = CONTENT_STATUSES.map(status => `
         <div class="status-dropdown-item ${status === currentStatus ? 'active' : ''}" data-status="${escapeHtml(status)}">
           <span class="status-dot ${escapeHtml(status)}"></span>
           <span>${escapeHtml(status)}</span>
@@ -51,8 +55,17 @@ export function attachInlineStatusHandlers(episodes, onStatusUpdate) {
         item.addEventListener('click', async (e) => {
           e.stopPropagation();
           const newStatus = item.dataset.status;
+          if (newStatus === 'blocked' && newStatus !== currentStatus) {
+            // Blocking needs a reason, so ask for it before saving
+            showBlockedReasonForm(dropdown, container, onStatusUpdate);
+            return;
+          }
           if (newStatus !== currentStatus) {
-            await updateInlineStatus(container, newStatus, onStatusUpdate);
+            const refusal = await updateInlineStatus(container, newStatus, onStatusUpdate);
+            if (refusal) {
+              showTransitionRefusal(dropdown, container, refusal, onStatusUpdate);
+              return;
+            }
           }
           closeStatusDropdowns();
         });
@@ -74,15 +87,104 @@ export function attachInlineStatusHandlers(episodes, onStatusUpdate) {
   });
 }
 
+/**
+ * Replace the dropdown items with a form asking why the episode is blocked
+ * @param {Element} dropdown - The open status dropdown
+ * @param {Element} container - The status dropdown container element
+ * @param {function} onStatusUpdate - Callback when status is updated successfully
+ */
+function showBlockedReasonForm(dropdown, container, onStatusUpdate) {
+  dropdown.classList.add('status-dropdown-form');
+  dropdown.innerHTML = `
+    <form class="blocked-reason-form">
+      <input type="text" class="edit-field" name="blocked_by" maxlength="200" placeholder="Blocked by (required)" required>
+      <button type="submit" class="btn btn-primary">Block</button>
+    </form>
+  `;
+
+  const form = dropdown.querySelector('form');
+  const input = form.querySelector('input');
+  input.focus();
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const reason = input.value.trim();
+    if (!reason) return;
+    const extraUpdates = { release: { blocked_by: reason } };
+    const refusal = await updateInlineStatus(container, 'blocked', onStatusUpdate, extraUpdates);
+    if (refusal) {
+      showTransitionRefusal(dropdown, container, refusal, onStatusUpdate, extraUpdates);
+      return;
+    }
+    closeStatusDropdowns();
+  });
+  form.addEventListener('click', e => e.stopPropagation());
+}
+
+/**
+ * Render why a status change was refused (422 from the episode PATCH), with a
+ * form to move the episode anyway given a reason
+ * @param {object} refusal - Response body with from, to and unmet
+ * @returns {string} HTML
+ * @example
+ * renderTransitionRefusal({ from: 'draft', to: 'ready', unmet: ["Workflow stage 'Edited' is not complete"] })
+ */
+export function renderTransitionRefusal(refusal) {
+  const unmetHTML = (refusal.unmet || []).map(message => `<li>${escapeHtml(message)}</li>`).join('');
+  return `
+    <div class="transition-refusal">
+      <div class="transition-refusal-title">Cannot move to ${escapeHtml(refusal.to)}:</div>
+      <ul class="transition-refusal-list">${unmetHTML}</ul>
+      <form class="transition-override-form">
+        <input type="text" class="edit-field" name="override_reason" maxlength="200" placeholder="Reason to override (logged)" required>
+        <button type="submit" class="btn btn-secondary">Move anyway</button>
+      </form>
+    </div>
+  `;
+}
+
+/**
+ * Replace the dropdown contents with the unmet conditions of a refused
+ * status change and an override form
+ * @param {Element} dropdown - The open status dropdown
+ * @param {Element} container - The status dropdown container element
+ * @param {object} refusal - Response body with from, to and unmet
+ * @param {function} onStatusUpdate - Callback when status is updated successfully
+ * @param {object} [extraUpdates] - Other fields sent with the status
+ */
+function showTransitionRefusal(dropdown, container, refusal, onStatusUpdate, extraUpdates = {}) {
+  dropdown.classList.add('status-dropdown-form');
+  dropdown.innerHTML = renderTransitionRefusal(refusal);
+
+  const form = dropdown.querySelector('form');
+  const input = form.querySelector('input');
+  input.focus();
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const reason = input.value.trim();
+    if (!reason) return;
+    await updateInlineStatus(container, refusal.to, onStatusUpdate, extraUpdates, reason);
+    closeStatusDropdowns();
+  });
+  dropdown.addEventListener('click', e => e.stopPropagation());
+}
+
 /**
  * Update episode status inline
  * @param {Element} container - The status dropdown container element
  * @param {string} newStatus - The new status value
  * @param {function} onStatusUpdate - Callback when status is updated successfully
+ * @param {object} [extraUpdates] - Other fields to save with the status (e.g. release.blocked_by)
+ * @param {string} [overrideReason] - Move even if status-transitions.yml conditions are unmet
+ * @returns {Promise<object|undefined>} The refusal (from, to, unmet) when the change broke a transition rule
  */
-async function updateInlineStatus(container, newStatus, onStatusUpdate) {
+async function updateInlineStatus(container, newStatus, onStatusUpdate, extraUpdates = {}, overrideReason = '') {
   const seriesName = container.dataset.episodeSeries;
   const episodeId = container.dataset.episodeId;
+  const revision = container.dataset.episodeRevision;
   const badge = container.querySelector('.status-badge-clickable');
 
   if (!badge) return;
@@ -92,18 +194,33 @@ async function updateInlineStatus(container, newStatus, onStatusUpdate) {
   const originalText = badge.textContent;
 
   try {
-    const response = await fetch(`/api/episodes/${seriesName}/${episodeId}`, {
+    const query = overrideReason ? `?override=${encodeURIComponent(overrideReason)}` : '';
+    const response = await fetch(`/api/episodes/${seriesName}/${episodeId}${query}`, {
       method: 'PATCH',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'If-Match': `"${revision}"`
       },
-      body: JSON.stringify({ content_status: newStatus })
+      body: JSON.stringify({ ...extraUpdates, content_status: newStatus })
     });
 
     const result = await response.json();
 
+    if (response.status === 409) {
+      // Changed elsewhere since the view was rendered: show the current state instead
+      showNotification(`${episodeId} was changed elsewhere; refreshed to the current version.`, 'warning', escapeHtml);
+      if (onStatusUpdate) {
+        onStatusUpdate();
+      }
+      return;
+    }
+
+    if (response.status === 422 && result.unmet) {
+      return result;
+    }
+
     if (!response.ok || !result.success) {
-      throw new Error(result.error || 'Failed to update status');
+      throw new Error(result.error || result.errors?.join('; ') || 'Failed to update status');
     }
 
     // Update the badge
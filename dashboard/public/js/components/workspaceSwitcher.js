@@ -0,0 +1,147 @@
+// Content Workflow Dashboard - Workspace Switcher Component
+
+import { escapeHtml } from '../utils.js';
+
+/**
+ * Render the workspace switcher into the header status bar
+ * @param {object} dashboard - Dashboard instance for state and methods
+ */
+export async function renderWorkspaceSwitcher(dashboard) {
+  const container = document.getElementById('workspace-switcher');
+  if (!container) return;
+
+  let result;
+  try {
+    result = await dashboard.fetchAPI('/workspaces');
+  } catch (error) {
+    console.error('Failed to load workspaces:', error);
+    container.innerHTML = '';
+    return;
+  }
+
+  const options = result.workspaces.map(ws => `
+    <option value="${escapeHtml(ws.id)}" ${ws.active ? 'selected' : ''} title="${escapeHtml(ws.path)}">${escapeHtml(ws.name)}</option>
+  `).join('');
+
+  container.innerHTML = `
+    <select class="filter-select" id="workspace-select" aria-label="Content workspace">
+      ${options}
+      <option value="__new__">+ Add Workspace</option>
+    </select>
+  `;
+
+  const select = document.getElementById('workspace-select');
+  select.addEventListener('change', async () => {
+    if (select.value === '__new__') {
+      select.value = result.active;
+      showAddWorkspaceModal(dashboard);
+      return;
+    }
+    await switchWorkspace(dashboard, select.value);
+  });
+}
+
+/**
+ * Activate a workspace and reload dashboard data
+ * @param {object} dashboard - Dashboard instance
+ * @param {string} workspaceId - Workspace to activate
+ */
+async function switchWorkspace(dashboard, workspaceId) {
+  try {
+    const response = await fetch(`/api/workspaces/${encodeURIComponent(workspaceId)}/activate`, {
+      method: 'POST'
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || 'Failed to switch workspace');
+    }
+
+    await dashboard.loadInitialData();
+    await dashboard.loadView(dashboard.currentView);
+    dashboard.showNotification(result.message, 'success');
+  } catch (error) {
+    console.error('Error switching workspace:', error);
+    dashboard.showNotification(error.message, 'error');
+  }
+  await renderWorkspaceSwitcher(dashboard);
+}
+
+/**
+ * Show the modal for registering a new content workspace
+ * @param {object} dashboard - Dashboard instance
+ */
+function showAddWorkspaceModal(dashboard) {
+  const modalHTML = `
+    <div class="modal-overlay" id="workspace-modal">
+      <div class="modal new-episode-modal">
+        <div class="modal-header">
+          <div>
+            <div class="modal-title">Add Workspace</div>
+            <div class="modal-subtitle">Register another content root (one per brand or channel)</div>
+          </div>
+          <button class="modal-close" data-modal-close="workspace-modal">x</button>
+        </div>
+        <div class="modal-body">
+          <form id="workspace-form" class="episode-form">
+            <div class="form-group">
+              <label for="workspace-id" class="form-label">ID <span class="required">*</span></label>
+              <input type="text" id="workspace-id" class="form-input" placeholder="e.g., brand-b">
+              <div class="form-hint">Lowercase letters, numbers, hyphens, and underscores.</div>
+            </div>
+            <div class="form-group">
+              <label for="workspace-name" class="form-label">Name</label>
+              <input type="text" id="workspace-name" class="form-input" placeholder="Display name">
+            </div>
+            <div class="form-group">
+              <label for="workspace-path" class="form-label">Content Directory <span class="required">*</span></label>
+              <input type="text" id="workspace-path" class="form-input" placeholder="/absolute/path/to/content">
+              <div class="form-hint">Must contain (or will hold) series/, assets/ and release-queue.yml.</div>
+            </div>
+            <div class="form-error" id="workspace-error"></div>
+            <div class="form-actions">
+              <button type="button" class="btn btn-secondary" data-modal-close="workspace-modal">Cancel</button>
+              <button type="submit" class="btn btn-primary">Add Workspace</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  `;
+
+  dashboard.showModal('workspace-modal', modalHTML);
+
+  document.querySelectorAll('[data-modal-close="workspace-modal"]').forEach(btn => {
+    btn.addEventListener('click', () => dashboard.closeModal('workspace-modal'));
+  });
+
+  document.getElementById('workspace-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorEl = document.getElementById('workspace-error');
+    errorEl.textContent = '';
+
+    const payload = {
+      id: document.getElementById('workspace-id').value.trim(),
+      name: document.getElementById('workspace-name').value.trim() || undefined,
+      path: document.getElementById('workspace-path').value.trim()
+    };
+
+    try {
+      const response = await fetch('/api/workspaces', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || result.errors?.join(', ') || 'Failed to add workspace');
+      }
+
+      dashboard.closeModal('workspace-modal');
+      await switchWorkspace(dashboard, result.workspace.id);
+    } catch (error) {
+      errorEl.textContent = error.message;
+    }
+  });
+}
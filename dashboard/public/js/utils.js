@@ -120,6 +120,16 @@ export function isMediaFile(ext) {
   return mediaExtensions.includes(ext);
 }
 
+/**
+ * Check if file extension is a plain-text type shown in the text preview
+ * @param {string} ext - File extension (with dot)
+ * @returns {boolean} True if text file
+ */
+export function isTextFile(ext) {
+  const textExtensions = ['.md', '.txt', '.srt', '.vtt', '.yml', '.yaml'];
+  return textExtensions.includes(ext);
+}
+
 /**
  * Get appropriate icon for file type
  * @param {object} file - File object with type and ext properties
@@ -133,6 +143,7 @@ export function getFileIcon(file) {
   if (['.png', '.jpg', '.jpeg', '.gif', '.webp'].includes(ext)) return '🖼️';
   if (['.yml', '.yaml'].includes(ext)) return '⚙️';
   if (['.md', '.txt'].includes(ext)) return '📄';
+  if (['.srt', '.vtt'].includes(ext)) return '💬';
   return '📄';
 }
 
@@ -163,11 +174,37 @@ export function getStatusClass(status) {
     'staged': 'warning',
     'released': 'success',
     'blocked': 'error',
-    'cancelled': 'error'
+    'cancelled': 'error',
+    'archived': 'muted'
   };
   return statusMap[status] || 'warning';
 }
 
+/**
+ * Format a release dependency as the line of text it is edited as
+ * (the same text form api/releaseDependencies.js parses)
+ * @param {string|object} dependency - Text or recorded dependency
+ * @returns {string} e.g. 'landing page live' or 'date: 2025-01-15'
+ */
+export function formatDependency(dependency) {
+  if (!dependency || typeof dependency !== 'object') return String(dependency ?? '');
+  switch (dependency.type) {
+  case 'episode_released': return `episode: ${dependency.episode}`;
+  case 'date': return `date: ${dependency.date}`;
+  case 'file_exists': return `file: ${dependency.file}`;
+  default: return dependency.description || '';
+  }
+}
+
+/**
+ * Get CSS class for a dependency state badge
+ * @param {string} state - pending, met or waived
+ * @returns {string} CSS class name
+ */
+export function getDependencyStateClass(state) {
+  return { met: 'success', waived: 'muted' }[state] || 'warning';
+}
+
 /**
  * Check if two dates are the same day
  * @param {Date} date1 - First date
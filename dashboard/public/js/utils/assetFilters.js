@@ -1,26 +1,38 @@
 /**
  * Asset Browser Filter Utilities
- * Functions for filtering assets by search query and type
+ * Functions for filtering assets by search query, type and license
  */
 
+// License filter value for files without a license in asset-catalog.yml
+export const NO_LICENSE_FILTER = '(none)';
+
 /**
  * Check if file matches current filter state
- * @param {object} file - File object with name and ext properties
- * @param {object} state - Filter state with searchQuery and filterType
+ * @param {object} file - File object with name and ext properties, and its
+ *   asset-catalog.yml entry as `catalog` (tags, license)
+ * @param {object} state - Filter state with searchQuery, filterType and filterLicense
  * @returns {boolean} True if file matches filter criteria
  */
 export function matchesAssetFilter(file, state) {
   // Defensive null checks
   if (!file || !state) return false;
 
-  // Search filter
+  // Search filter: the file name, a tag or the license
   if (state.searchQuery) {
     const query = state.searchQuery.toLowerCase();
-    if (!file.name.toLowerCase().includes(query)) {
+    const searchable = [file.name, ...(file.catalog?.tags || []), file.catalog?.license || ''];
+    if (!searchable.some(text => String(text).toLowerCase().includes(query))) {
       return false;
     }
   }
 
+  // License filter
+  if (state.filterLicense && state.filterLicense !== 'all') {
+    const license = (file.catalog?.license || '').toLowerCase();
+    const wanted = state.filterLicense === NO_LICENSE_FILTER ? '' : state.filterLicense.toLowerCase();
+    if (license !== wanted) return false;
+  }
+
   // Type filter
   if (state.filterType !== 'all') {
     const ext = file.ext;
@@ -49,7 +61,7 @@ export function matchesAssetFilter(file, state) {
 /**
  * Check if directory has any matching files (recursive)
  * @param {object} node - Tree node (file or directory)
- * @param {object} state - Filter state with searchQuery and filterType
+ * @param {object} state - Filter state with searchQuery, filterType and filterLicense
  * @returns {boolean} True if node or any descendant matches filter
  */
 export function hasMatchingFilesInDir(node, state) {
@@ -61,7 +73,8 @@ export function hasMatchingFilesInDir(node, state) {
   }
 
   // When no filters are active, show all directories including empty ones
-  const noActiveFilter = !state.searchQuery && state.filterType === 'all';
+  const noActiveFilter = !state.searchQuery && state.filterType === 'all' &&
+    (!state.filterLicense || state.filterLicense === 'all');
   if (noActiveFilter) {
     return true;
   }
@@ -72,3 +85,19 @@ export function hasMatchingFilesInDir(node, state) {
 
   return false;
 }
+
+/**
+ * Collect the licenses used in an asset tree for the license filter
+ * @param {object} node - Tree node (file or directory)
+ * @returns {string[]} Distinct licenses, sorted
+ */
+export function collectAssetLicenses(node) {
+  const licenses = new Set();
+  const visit = current => {
+    if (!current) return;
+    if (current.type === 'file' && current.catalog?.license) licenses.add(current.catalog.license);
+    (current.children || []).forEach(visit);
+  };
+  visit(node);
+  return [...licenses].sort((a, b) => a.localeCompare(b));
+}
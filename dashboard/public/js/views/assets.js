@@ -2,9 +2,11 @@
 
 import { DASHBOARD_CONFIG } from '../config.js';
 import { escapeHtml, formatFileSize, formatFileDate, getFileIcon } from '../utils.js';
+import { sendAPI } from '../api.js';
 import { showModal, closeModal, showNotification } from '../modal.js';
-import { matchesAssetFilter, hasMatchingFilesInDir } from '../utils/assetFilters.js';
+import { matchesAssetFilter, hasMatchingFilesInDir, collectAssetLicenses, NO_LICENSE_FILTER } from '../utils/assetFilters.js';
 import { createThemeSelectorsHTML, attachThemeSelectorHandlers, initializeThemes } from '../previewThemes.js';
+import { renderMediaInfoItems } from '../components/mediaInfo.js';
 
 /**
  * Render the asset browser view
@@ -27,6 +29,7 @@ export async function renderAssets(dashboard) {
       selectedFolder: 'assets',
       searchQuery: '',
       filterType: 'all',
+      filterLicense: 'all',
       isUploading: false,
       uploadProgress: 0,
       contextMenu: null
@@ -35,6 +38,8 @@ export async function renderAssets(dashboard) {
 
   // Store tree data for later use
   dashboard._assetTreeData = result.data;
+  const filterLicense = dashboard.assetBrowserState.filterLicense || 'all';
+  const licenseOptions = [['all', 'All Licenses'], [NO_LICENSE_FILTER, 'No License'], ...collectAssetLicenses(result.data).map(license => [license, license])];
 
   content.innerHTML = `
     <div class="view view-full-height">
@@ -49,7 +54,7 @@ export async function renderAssets(dashboard) {
             New Folder
           </button>
           <div class="toolbar-search">
-            <input type="text" class="search-input" id="asset-search" placeholder="Search files..." value="${escapeHtml(dashboard.assetBrowserState.searchQuery)}">
+            <input type="text" class="search-input" id="asset-search" placeholder="Search files, tags, licenses..." value="${escapeHtml(dashboard.assetBrowserState.searchQuery)}">
           </div>
           <div class="filter-group">
             <label class="filter-label">Type:</label>
@@ -61,6 +66,12 @@ export async function renderAssets(dashboard) {
               <option value="document" ${dashboard.assetBrowserState.filterType === 'document' ? 'selected' : ''}>Documents</option>
             </select>
           </div>
+          <div class="filter-group">
+            <label class="filter-label">License:</label>
+            <select class="filter-select" id="asset-license-filter">
+              ${licenseOptions.map(([value, label]) => `<option value="${escapeHtml(value)}" ${filterLicense === value ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+            </select>
+          </div>
         </div>
         <div class="toolbar-right">
           <span class="current-folder-path" id="current-folder-path">
@@ -188,6 +199,116 @@ function renderAssetTree(node, level, parentPath, state) {
 /**
  * Render asset preview
  */
+/**
+ * Render an image's pixel size and how it measures up to each platform spec
+ * (GET /api/assets `dimensions`); empty when the size could not be read
+ * @param {object|null} dimensions - File entry's dimensions
+ * @returns {string} HTML
+ */
+export function renderImageSpecChecks(dimensions) {
+  if (!dimensions?.width) return '';
+
+  const specs = Object.values(dimensions.specs || {}).map(spec => {
+    const problems = [...spec.errors, ...spec.warnings];
+    const status = spec.errors.length > 0 ? 'fail' : (spec.warnings.length > 0 ? 'warn' : 'pass');
+    return `
+      <li class="image-spec image-spec-${status}">
+        <strong>${escapeHtml(spec.label)}</strong>
+        <span class="text-muted">${problems.length > 0 ? escapeHtml(problems.join('; ')) : 'Meets the spec'}</span>
+      </li>
+    `;
+  }).join('');
+
+  return `
+    <div class="asset-info-item">
+      <div class="asset-info-label">Dimensions</div>
+      <div class="asset-info-value">${dimensions.width} × ${dimensions.height} ${escapeHtml(dimensions.format.toUpperCase())}</div>
+    </div>
+    ${specs ? `
+    <div class="asset-info-item asset-info-wide">
+      <div class="asset-info-label">Platform Specs</div>
+      <ul class="image-specs">${specs}</ul>
+    </div>` : ''}
+  `;
+}
+
+/**
+ * Render the asset-catalog.yml fields of an asset as an editable form
+ * @param {object} file - Asset tree file with its `catalog` entry
+ * @param {Date} [today=new Date()] - Date the expiry is compared with
+ * @returns {string} HTML
+ */
+export function renderAssetCatalogForm(file, today = new Date()) {
+  const entry = file.catalog || {};
+  const expired = entry.expires && entry.expires < today.toISOString().slice(0, 10);
+  const input = (field, label, value, attrs = '') => `
+    <label class="asset-catalog-field">
+      <span class="asset-info-label">${label}</span>
+      <input type="${field === 'expires' ? 'date' : 'text'}" class="form-input" data-catalog-field="${field}" value="${escapeHtml(value || '')}" ${attrs}>
+    </label>
+  `;
+
+  return `
+    <div class="asset-catalog" data-asset-path="${escapeHtml(file.path)}">
+      <div class="asset-catalog-header">
+        <h4>License &amp; Attribution</h4>
+        ${expired ? `<span class="badge error">License expired ${escapeHtml(entry.expires)}</span>` : ''}
+      </div>
+      ${input('tags', 'Tags', (entry.tags || []).join(', '), 'placeholder="intro, upbeat"')}
+      ${input('license', 'License', entry.license, 'placeholder="CC-BY-4.0"')}
+      ${input('source', 'Source', entry.source, 'placeholder="https://"')}
+      ${input('expires', 'Expires', entry.expires)}
+      <label class="asset-catalog-field">
+        <span class="asset-info-label">Attribution</span>
+        <textarea class="form-input" rows="2" data-catalog-field="attribution">${escapeHtml(entry.attribution || '')}</textarea>
+      </label>
+      <label class="asset-catalog-field">
+        <span class="asset-info-label">Notes</span>
+        <textarea class="form-input" rows="2" data-catalog-field="notes">${escapeHtml(entry.notes || '')}</textarea>
+      </label>
+      <button class="btn btn-primary" id="asset-catalog-save">Save</button>
+    </div>
+  `;
+}
+
+/**
+ * Read the catalog form back into the fields PATCH /api/asset-catalog/* takes
+ * @param {HTMLElement} form - Element rendered by renderAssetCatalogForm()
+ * @returns {object} Fields; empty ones clear the entry's value
+ */
+export function collectAssetCatalogForm(form) {
+  const fields = {};
+  form.querySelectorAll('[data-catalog-field]').forEach(element => {
+    const value = element.value.trim();
+    fields[element.dataset.catalogField] = element.dataset.catalogField === 'tags'
+      ? value.split(',').map(tag => tag.trim()).filter(Boolean)
+      : value;
+  });
+  return fields;
+}
+
+/**
+ * Save the catalog form of the selected asset and refresh the browser
+ * @param {HTMLElement} form - Element rendered by renderAssetCatalogForm()
+ * @param {object} dashboard - Dashboard instance
+ */
+async function saveAssetCatalog(form, dashboard) {
+  const assetPath = form.dataset.assetPath.replace(/^assets\//, '');
+  const button = form.querySelector('#asset-catalog-save');
+  button.disabled = true;
+  try {
+    const endpoint = `/asset-catalog/${assetPath.split('/').map(encodeURIComponent).join('/')}`;
+    const result = await sendAPI(endpoint, 'PATCH', collectAssetCatalogForm(form));
+    const selected = dashboard.assetBrowserState.selectedFile;
+    if (selected && selected.path === form.dataset.assetPath) selected.catalog = result.entry;
+    showNotification(result.message, 'success', escapeHtml);
+    renderAssets(dashboard);
+  } catch (error) {
+    showNotification(`Failed to save: ${error.message}`, 'error', escapeHtml);
+    button.disabled = false;
+  }
+}
+
 function renderAssetPreview(file, dashboard) {
   if (!file) {
     return `
@@ -327,6 +448,8 @@ function renderAssetPreview(file, dashboard) {
           <div class="asset-info-label">Modified</div>
           <div class="asset-info-value">${formatFileDate(file.modified)}</div>
         </div>
+        ${renderImageSpecChecks(file.dimensions)}
+        ${renderMediaInfoItems(file.media)}
         <div class="asset-info-item">
           <div class="asset-info-label">Path</div>
           <div class="asset-info-value asset-path-value">
@@ -337,6 +460,7 @@ function renderAssetPreview(file, dashboard) {
           </div>
         </div>
       </div>
+      ${renderAssetCatalogForm(file)}
     </div>
   `;
 }
@@ -494,6 +618,14 @@ function attachAssetBrowserListeners(dashboard) {
   dashboard._assetClickHandler = async (e) => {
     const target = e.target;
 
+    // Save the asset's license and attribution
+    const catalogSave = target.closest('#asset-catalog-save');
+    if (catalogSave) {
+      e.stopPropagation();
+      saveAssetCatalog(catalogSave.closest('.asset-catalog'), dashboard);
+      return;
+    }
+
     // Copy path button
     const copyBtn = target.closest('.copy-path-btn');
     if (copyBtn) {
@@ -582,6 +714,10 @@ function attachAssetBrowserListeners(dashboard) {
       dashboard.assetBrowserState.filterType = e.target.value;
       renderAssets(dashboard);
     }
+    if (e.target.id === 'asset-license-filter') {
+      dashboard.assetBrowserState.filterLicense = e.target.value;
+      renderAssets(dashboard);
+    }
   };
 
   // Create keyboard handler for navigation
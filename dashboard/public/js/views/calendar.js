@@ -3,10 +3,16 @@
 import { DASHBOARD_CONFIG } from '../config.js';
 import { escapeHtml, getSeriesBadgeClass, getStatusClass, isSameDate, getLocalDateKey, parseLocalDateKey } from '../utils.js';
 import { showModal, closeModal } from '../modal.js';
+import { sendAPI } from '../api.js';
+import { showConfirmModal } from '../components/confirmModal.js';
 
 // Cache for calendar items (used for modal lookups)
 let _calendarItemCache = [];
 let _cachedReleaseItems = [];
+// Resolved dependencies from GET /api/releases, keyed by group id and episode path
+let _releaseDependencies = { groups: {}, items: {} };
+// Release group readiness from GET /api/releases, keyed by group id
+let _releaseReadiness = {};
 
 /**
  * Render the calendar view
@@ -50,6 +56,8 @@ export async function renderCalendar(dashboard) {
 
   const releaseQueue = releaseQueueResult.success ? releaseQueueResult.data : {};
   const releaseGroups = releaseQueue.release_groups || {};
+  _releaseDependencies = (releaseQueueResult.success && releaseQueueResult.dependencies) || { groups: {}, items: {} };
+  _releaseReadiness = (releaseQueueResult.success && releaseQueueResult.readiness) || {};
 
   // Collect all release dates from episodes and release queue
   const releaseItems = collectReleaseItems(episodesResult.episodes, releaseQueue);
@@ -75,6 +83,9 @@ export async function renderCalendar(dashboard) {
             <option value="upcoming" ${dashboard.calendarState.filter === 'upcoming' ? 'selected' : ''}>Upcoming Only</option>
             <option value="released" ${dashboard.calendarState.filter === 'released' ? 'selected' : ''}>Released Only</option>
           </select>
+          <a class="btn btn-secondary" href="/api/calendar.ics" download="releases.ics" title="Release schedule for calendar apps">Export .ics</a>
+          <label class="btn btn-secondary" for="calendar-import-file" title="Set target dates from a calendar file">Import .ics</label>
+          <input type="file" id="calendar-import-file" accept=".ics,text/calendar" hidden>
         </div>
       </div>
 
@@ -162,7 +173,8 @@ function collectReleaseItems(episodes, releaseQueue) {
           groupId: id,
           group: group,
           title: group.name || id,
-          itemCount: group.items ? group.items.length : 0
+          itemCount: group.items ? group.items.length : 0,
+          atRisk: Boolean(_releaseReadiness[id]?.at_risk)
         });
       }
     });
@@ -304,7 +316,8 @@ function renderCalendarView(items, releaseGroups, calendarState) {
       _calendarItemCache.push(item);
       const title = item.title || 'Untitled';
       const truncatedTitle = title.substring(0, DASHBOARD_CONFIG.CALENDAR_TITLE_MAX_LENGTH);
-      return `<div class="calendar-day-item ${item.status}" data-item-index="${itemIndex}">${icon} ${escapeHtml(truncatedTitle)}</div>`;
+      const riskTitle = item.atRisk ? ` title="${escapeHtml(_releaseReadiness[item.groupId].at_risk_reason)}"` : '';
+      return `<div class="calendar-day-item ${item.status}${item.atRisk ? ' at-risk' : ''}" data-item-index="${itemIndex}"${riskTitle}>${item.atRisk ? '⚠️' : icon} ${escapeHtml(truncatedTitle)}</div>`;
     }).join('');
 
     const moreCount = dayItems.length > DASHBOARD_CONFIG.CALENDAR_MAX_ITEMS_PER_DAY ? dayItems.length - DASHBOARD_CONFIG.CALENDAR_MAX_ITEMS_PER_DAY : 0;
@@ -385,7 +398,7 @@ function renderListView(items, releaseGroups) {
         : '';
 
       listHTML += `
-        <div class="release-list-item ${statusClass}">
+        <div class="release-list-item ${statusClass}${item.atRisk ? ' at-risk' : ''}">
           <div class="release-list-icon">${icon}</div>
           <div class="release-list-content">
             <div class="release-list-title">${escapeHtml(item.title)}</div>
@@ -394,6 +407,7 @@ function renderListView(items, releaseGroups) {
             ${groupBadge}
           </div>
           <div class="release-list-status">
+            ${item.atRisk ? '<span class="badge error">At risk</span>' : ''}
             <span class="badge ${item.status === 'released' ? 'success' : 'warning'}">${item.status}</span>
           </div>
         </div>
@@ -485,12 +499,77 @@ function attachCalendarListeners(dashboard) {
       dashboard.calendarState.filter = e.target.value;
       renderCalendar(dashboard);
     }
+    if (e.target.id === 'calendar-import-file' && e.target.files[0]) {
+      const file = e.target.files[0];
+      e.target.value = '';
+      importCalendarFile(dashboard, file);
+    }
   };
 
   content.addEventListener('click', dashboard._calendarClickHandler);
   content.addEventListener('change', dashboard._calendarChangeHandler);
 }
 
+/**
+ * Preview an .ics import and apply it once confirmed
+ * @param {object} dashboard - Dashboard instance
+ * @param {File} file - Chosen .ics file
+ */
+async function importCalendarFile(dashboard, file) {
+  let ics, preview;
+  try {
+    ics = await file.text();
+    preview = await sendAPI('/calendar/import', 'POST', { ics, dry_run: true });
+  } catch (error) {
+    dashboard.showNotification(`Calendar import failed: ${error.message}`, 'error');
+    return;
+  }
+
+  if (preview.updated.length === 0) {
+    dashboard.showNotification(`No target dates to change (${preview.unchanged.length} unchanged, ${preview.unmatched.length} not matched)`, 'info');
+    return;
+  }
+
+  const count = preview.updated.length;
+  showConfirmModal(dashboard, {
+    title: 'Import Calendar',
+    message: `Change the target date of ${count} episode${count === 1 ? '' : 's'}?`,
+    note: preview.unmatched.length > 0 ? `${preview.unmatched.length} event(s) did not match an episode and are skipped.` : '',
+    extraHTML: renderCalendarImportPreview(preview),
+    confirmLabel: 'Import',
+    onConfirm: async () => {
+      const result = await sendAPI('/calendar/import', 'POST', { ics });
+      dashboard.showNotification(`Updated ${result.updated.length} target date${result.updated.length === 1 ? '' : 's'}`, 'success');
+      renderCalendar(dashboard);
+    }
+  });
+}
+
+/**
+ * Render what an .ics import would change and which events it skips
+ * @param {object} preview - Dry run result from POST /api/calendar/import
+ * @returns {string} Preview HTML
+ */
+export function renderCalendarImportPreview(preview) {
+  const updatesHTML = preview.updated.map(update => `
+    <li>
+      <strong>${escapeHtml(update.path)}</strong>:
+      ${escapeHtml(update.previous ?? 'no date')} &rarr; ${escapeHtml(update.target_date)}
+      <small class="text-muted">(by ${update.matched_by === 'uid' ? 'UID' : 'title'})</small>
+    </li>
+  `).join('');
+  const unmatchedHTML = preview.unmatched.map(event => `
+    <li>${escapeHtml(event.summary || event.uid || 'Untitled event')}: <small class="text-muted">${escapeHtml(event.reason)}</small></li>
+  `).join('');
+
+  return `
+    <div class="calendar-import-preview">
+      <ul>${updatesHTML}</ul>
+      ${unmatchedHTML ? `<details><summary>Skipped events</summary><ul>${unmatchedHTML}</ul></details>` : ''}
+    </div>
+  `;
+}
+
 /**
  * Show modal for a specific day's items
  */
@@ -570,6 +649,51 @@ async function showDayModal(dateKey, dashboard) {
   }
 }
 
+/**
+ * Render a release group's readiness for its modal, flagging it when the
+ * target date is close and items are still in draft
+ * @param {object} [readiness] - The group's readiness from GET /api/releases
+ * @returns {string} Detail HTML, empty for groups without items
+ */
+export function renderGroupRisk(readiness) {
+  if (!readiness || readiness.total === 0) return '';
+  return `
+    <div class="release-item-detail">
+      <span class="detail-label">Readiness:</span>
+      <span class="detail-value">${readiness.ready} of ${readiness.total} items ready</span>
+      ${readiness.at_risk ? `
+        <span class="badge error">At risk</span>
+        <p class="text-muted"><small>${escapeHtml(readiness.at_risk_reason)}</small></p>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render the unmet dependencies of a release item for its modal
+ * @param {object} [resolved] - Resolved dependencies of a group or episode from GET /api/releases
+ * @returns {string} Detail HTML, empty when the item has no dependencies
+ */
+export function renderUnmetDependencies(resolved) {
+  if (!resolved || resolved.dependencies.length === 0) return '';
+  const unmet = resolved.dependencies.filter(dependency => !dependency.satisfied);
+  const unmetHTML = unmet.map(dependency => `
+    <li class="dependency-item">
+      ${escapeHtml(dependency.label)}
+      <small class="text-muted">${escapeHtml(dependency.detail)}</small>
+    </li>
+  `).join('');
+
+  return `
+    <div class="release-item-detail">
+      <span class="detail-label">Dependencies:</span>
+      ${unmet.length === 0
+    ? '<span class="badge success">All met</span>'
+    : `<ul class="dependency-list">${unmetHTML}</ul>`}
+    </div>
+  `;
+}
+
 /**
  * Show modal for a release item
  */
@@ -606,6 +730,7 @@ function showReleaseItemModal(item) {
             <p class="detail-value">${escapeHtml(metadata.description)}</p>
           </div>
         ` : ''}
+        ${renderUnmetDependencies(_releaseDependencies.items[item.episode.path])}
       </div>
     `;
   } else if (item.type === 'release_group' && item.group) {
@@ -636,14 +761,8 @@ function showReleaseItemModal(item) {
             <ul class="release-group-items">${itemsHTML}</ul>
           </div>
         ` : ''}
-        ${group.dependencies && group.dependencies.length > 0 ? `
-          <div class="release-item-detail">
-            <span class="detail-label">Dependencies:</span>
-            <ul class="dependency-list">
-              ${group.dependencies.map(dep => `<li class="dependency-item">${escapeHtml(dep)}</li>`).join('')}
-            </ul>
-          </div>
-        ` : ''}
+        ${renderGroupRisk(_releaseReadiness[item.groupId])}
+        ${renderUnmetDependencies(_releaseDependencies.groups[item.groupId])}
       </div>
     `;
   } else {
@@ -657,6 +776,7 @@ function showReleaseItemModal(item) {
           <span class="detail-label">Path:</span>
           <span class="detail-value">${escapeHtml(item.path || 'N/A')}</span>
         </div>
+        ${renderUnmetDependencies(_releaseDependencies.items[item.path])}
       </div>
     `;
   }
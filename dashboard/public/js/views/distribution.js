@@ -1,6 +1,19 @@
 // Content Workflow Dashboard - Distribution Profiles View
 
 import { escapeHtml } from '../utils.js';
+import { sendAPI } from '../api.js';
+import { showConfirmModal } from '../components/confirmModal.js';
+
+const PLATFORM_TYPES = ['video', 'written', 'social', 'audio'];
+
+/**
+ * Parse a comma separated list of identifiers from a form field
+ * @param {string} value - Raw input value
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+export function parseIdList(value) {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
 
 /**
  * Render the distribution profiles view
@@ -17,9 +30,13 @@ export async function renderDistribution(dashboard) {
 
   const data = result.data;
   const profiles = data.profiles || {};
+  const platforms = data.platforms || {};
+  const adaptations = data.adaptations || {};
+  const platformIds = Object.keys(platforms);
 
   const profilesHTML = Object.entries(profiles).map(([id, profile]) => {
-    const platforms = profile.platforms ? Object.keys(profile.platforms).join(', ') : 'None';
+    const profilePlatforms = Array.isArray(profile.platforms) ? profile.platforms : [];
+    const flags = [profile.shorts ? 'Shorts' : '', profile.cross_post ? 'Cross-post' : ''].filter(Boolean);
 
     return `
       <div class="card">
@@ -31,20 +48,438 @@ export async function renderDistribution(dashboard) {
           ${profile.description ? `<p class="mb-2">${escapeHtml(profile.description)}</p>` : ''}
           <div class="mt-2">
             <strong>Platforms:</strong>
-            <div class="mt-1 text-muted"><small>${escapeHtml(platforms)}</small></div>
+            <div class="mt-1 text-muted"><small>${escapeHtml(profilePlatforms.map(p => platforms[p]?.name || p).join(', ') || 'None')}</small></div>
           </div>
+          ${flags.length > 0 ? `<div class="mt-1 text-muted"><small>${escapeHtml(flags.join(' · '))}</small></div>` : ''}
+        </div>
+        <div class="release-queue-actions mt-2">
+          <button class="btn btn-secondary" data-profile-action="edit" data-id="${escapeHtml(id)}">Edit</button>
+          <button class="btn btn-secondary" data-profile-action="clone" data-id="${escapeHtml(id)}">Clone</button>
+          <button class="btn btn-secondary" data-profile-action="delete" data-id="${escapeHtml(id)}">Delete</button>
         </div>
       </div>
     `;
   }).join('');
 
+  const platformsHTML = Object.entries(platforms).map(([id, platform]) => `
+    <div class="card">
+      <div class="card-header">
+        <div class="card-title">${escapeHtml(platform.name || id)}</div>
+        <div class="card-subtitle">${escapeHtml(id)}${platform.type ? ` · ${escapeHtml(platform.type)}` : ''}</div>
+      </div>
+      <div class="card-content">
+        <div><strong>Content types:</strong> <small class="text-muted">${escapeHtml((platform.content_types || []).join(', ') || 'None')}</small></div>
+        <div class="mt-1"><strong>Requires:</strong> <small class="text-muted">${escapeHtml((platform.requires || []).join(', ') || 'Nothing')}</small></div>
+        ${platform.character_limit ? `<div class="mt-1"><strong>Character limit:</strong> <small class="text-muted">${escapeHtml(String(platform.character_limit))}</small></div>` : ''}
+      </div>
+      <div class="release-queue-actions mt-2">
+        <button class="btn btn-secondary" data-platform-action="edit" data-id="${escapeHtml(id)}">Edit</button>
+        <button class="btn btn-secondary" data-platform-action="delete" data-id="${escapeHtml(id)}">Delete</button>
+      </div>
+    </div>
+  `).join('');
+
   content.innerHTML = `
     <div class="view">
-      ${Object.keys(profiles).length > 0 ? `
-        <div class="card-grid">
-          ${profilesHTML}
+      <div class="pipeline-controls">
+        <div class="filter-group" style="margin-left: auto;">
+          <button class="btn btn-secondary" id="new-platform-btn">+ New Platform</button>
+          <button class="btn btn-primary" id="new-profile-btn">+ New Profile</button>
         </div>
-      ` : '<p class="text-muted">No distribution profiles configured yet.</p>'}
+      </div>
+
+      <div class="section-header mt-3">
+        <h3>Profiles</h3>
+      </div>
+      ${profilesHTML ? `<div class="card-grid">${profilesHTML}</div>` : '<p class="text-muted">No distribution profiles configured yet.</p>'}
+
+      <div class="section-header mt-3">
+        <h3>Profile × Platform Matrix</h3>
+        <p>Click a cell to add or remove a platform from a profile.</p>
+      </div>
+      ${renderMatrix(profiles, platforms)}
+
+      <div class="section-header mt-3">
+        <h3>Platforms</h3>
+      </div>
+      ${platformsHTML ? `<div class="card-grid">${platformsHTML}</div>` : '<p class="text-muted">No platforms defined yet.</p>'}
+
+      <div class="section-header mt-3">
+        <h3>Adaptation Rules</h3>
+        <p>How content transforms per platform when cross-posting is enabled.</p>
+      </div>
+      ${renderAdaptations(adaptations, platforms)}
+    </div>
+  `;
+
+  document.getElementById('new-profile-btn').addEventListener('click', () => {
+    showProfileModal(dashboard, platforms);
+  });
+  document.getElementById('new-platform-btn').addEventListener('click', () => {
+    showPlatformModal(dashboard);
+  });
+
+  content.querySelectorAll('[data-profile-action]').forEach(btn => {
+    const id = btn.dataset.id;
+    btn.addEventListener('click', () => {
+      switch (btn.dataset.profileAction) {
+      case 'edit':
+        showProfileModal(dashboard, platforms, id, profiles[id]);
+        break;
+      case 'clone':
+        showCloneModal(dashboard, id);
+        break;
+      default:
+        showDeleteProfileModal(dashboard, id, Object.keys(profiles).filter(other => other !== id));
+      }
+    });
+  });
+
+  content.querySelectorAll('[data-platform-action]').forEach(btn => {
+    const id = btn.dataset.id;
+    btn.addEventListener('click', () => {
+      if (btn.dataset.platformAction === 'edit') {
+        showPlatformModal(dashboard, id, platforms[id]);
+      } else {
+        showConfirmModal(dashboard, {
+          title: 'Delete Platform',
+          message: `Delete platform "${platforms[id].name || id}"?`,
+          note: 'Platforms used by a profile or adaptation rule cannot be deleted.',
+          onConfirm: () => saveDistributionChange(dashboard, () =>
+            sendAPI(`/distribution/platforms/${encodeURIComponent(id)}`, 'DELETE'))
+        });
+      }
+    });
+  });
+
+  content.querySelectorAll('[data-matrix-profile]').forEach(cell => {
+    cell.addEventListener('click', async () => {
+      const { matrixProfile, matrixPlatform } = cell.dataset;
+      const current = profiles[matrixProfile].platforms || [];
+      const updated = current.includes(matrixPlatform)
+        ? current.filter(p => p !== matrixPlatform)
+        : platformIds.filter(p => current.includes(p) || p === matrixPlatform);
+      try {
+        await saveDistributionChange(dashboard, () =>
+          sendAPI(`/distribution/profiles/${encodeURIComponent(matrixProfile)}`, 'PATCH', { platforms: updated }));
+      } catch (error) {
+        dashboard.showNotification(error.message, 'error');
+      }
+    });
+  });
+}
+
+/**
+ * Render the profile × platform matrix
+ * @param {object} profiles - Profiles keyed by id
+ * @param {object} platforms - Platforms keyed by id
+ * @returns {string} Table HTML
+ */
+function renderMatrix(profiles, platforms) {
+  const platformIds = Object.keys(platforms);
+  if (platformIds.length === 0 || Object.keys(profiles).length === 0) {
+    return '<p class="text-muted">Define profiles and platforms to see the matrix.</p>';
+  }
+
+  const header = platformIds.map(id => `<th>${escapeHtml(platforms[id].name || id)}</th>`).join('');
+  const rows = Object.entries(profiles).map(([profileId, profile]) => {
+    const enabled = Array.isArray(profile.platforms) ? profile.platforms : [];
+    const cells = platformIds.map(platformId => {
+      const on = enabled.includes(platformId);
+      return `
+        <td>
+          <button class="matrix-cell ${on ? 'on' : ''}" data-matrix-profile="${escapeHtml(profileId)}" data-matrix-platform="${escapeHtml(platformId)}"
+            aria-label="${escapeHtml(`${profileId} on ${platformId}`)}" aria-pressed="${on}">${on ? '✓' : ''}</button>
+        </td>
+      `;
+    }).join('');
+    return `<tr><th scope="row">${escapeHtml(profileId)}</th>${cells}</tr>`;
+  }).join('');
+
+  return `
+    <div class="distribution-table-wrapper">
+      <table class="distribution-table">
+        <thead><tr><th>Profile</th>${header}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Render the adaptation rules table
+ * @param {object} adaptations - Adaptation rules keyed by id
+ * @param {object} platforms - Platforms keyed by id (for display names)
+ * @returns {string} Table HTML
+ */
+function renderAdaptations(adaptations, platforms) {
+  const entries = Object.entries(adaptations);
+  if (entries.length === 0) {
+    return '<p class="text-muted">No adaptation rules defined.</p>';
+  }
+
+  const name = (id) => escapeHtml(platforms[id]?.name || id || '');
+  const rows = entries.map(([id, rule]) => `
+    <tr>
+      <td>${escapeHtml(id)}</td>
+      <td>${name(rule.source)} → ${name(rule.target)}</td>
+      <td>${escapeHtml(rule.transform || '')}</td>
+    </tr>
+  `).join('');
+
+  return `
+    <div class="distribution-table-wrapper">
+      <table class="distribution-table">
+        <thead><tr><th>Rule</th><th>Source → Target</th><th>Transform</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
     </div>
   `;
 }
+
+/**
+ * Run a distribution change, refresh cached profiles and the view.
+ * Errors are rethrown so forms can show them inline.
+ * @param {object} dashboard - Dashboard instance
+ * @param {function(): Promise<object>} action - API call to run
+ */
+async function saveDistributionChange(dashboard, action) {
+  const result = await action();
+  dashboard.showNotification(result.message || 'Distribution profiles updated', 'success');
+  // The new-episode form reads profiles from the dashboard cache
+  await dashboard.loadInitialData();
+  await renderDistribution(dashboard);
+}
+
+/**
+ * Show a simple form modal and wire up close buttons and submit handling
+ * @param {object} dashboard - Dashboard instance
+ * @param {string} modalId - Modal element ID
+ * @param {string} title - Modal title
+ * @param {string} fieldsHTML - Form fields HTML
+ * @param {string} submitLabel - Submit button label
+ * @param {function(): Promise<void>} onSubmit - Submit handler; throw to show an error
+ */
+function showFormModal(dashboard, modalId, title, fieldsHTML, submitLabel, onSubmit) {
+  const modalHTML = `
+    <div class="modal-overlay" id="${modalId}">
+      <div class="modal new-episode-modal">
+        <div class="modal-header">
+          <div>
+            <div class="modal-title">${escapeHtml(title)}</div>
+          </div>
+          <button class="modal-close" data-modal-close="${modalId}">x</button>
+        </div>
+        <div class="modal-body">
+          <form id="${modalId}-form" class="episode-form">
+            ${fieldsHTML}
+            <div class="form-error" id="${modalId}-error"></div>
+            <div class="form-actions">
+              <button type="button" class="btn btn-secondary" data-modal-close="${modalId}">Cancel</button>
+              <button type="submit" class="btn btn-primary">${escapeHtml(submitLabel)}</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  `;
+
+  dashboard.showModal(modalId, modalHTML);
+  document.querySelectorAll(`[data-modal-close="${modalId}"]`).forEach(btn => {
+    btn.addEventListener('click', () => dashboard.closeModal(modalId));
+  });
+
+  document.getElementById(`${modalId}-form`).addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorEl = document.getElementById(`${modalId}-error`);
+    errorEl.textContent = '';
+    try {
+      await onSubmit();
+      dashboard.closeModal(modalId);
+    } catch (error) {
+      errorEl.textContent = error.message;
+    }
+  });
+}
+
+/**
+ * Show the create/edit form for a distribution profile
+ * @param {object} dashboard - Dashboard instance
+ * @param {object} platforms - Known platforms keyed by id
+ * @param {string} [id] - Profile id when editing
+ * @param {object} [profile] - Existing profile when editing
+ */
+function showProfileModal(dashboard, platforms, id, profile = {}) {
+  const isEdit = Boolean(id);
+  const enabled = Array.isArray(profile.platforms) ? profile.platforms : [];
+
+  const platformChecks = Object.entries(platforms).map(([platformId, platform]) => `
+    <label class="checkbox-label">
+      <input type="checkbox" name="profile-platform" value="${escapeHtml(platformId)}" ${enabled.includes(platformId) ? 'checked' : ''}>
+      ${escapeHtml(platform.name || platformId)}
+    </label>
+  `).join('');
+
+  const fieldsHTML = `
+    ${isEdit ? '' : `
+      <div class="form-group">
+        <label for="profile-id" class="form-label">ID <span class="required">*</span></label>
+        <input type="text" id="profile-id" class="form-input" placeholder="e.g., video-social">
+        <div class="form-hint">Lowercase letters, numbers, hyphens, and underscores.</div>
+      </div>
+    `}
+    <div class="form-group">
+      <label for="profile-description" class="form-label">Description</label>
+      <input type="text" id="profile-description" class="form-input" value="${escapeHtml(profile.description || '')}">
+    </div>
+    <div class="form-group">
+      <span class="form-label">Platforms <span class="required">*</span></span>
+      <div class="checkbox-group">${platformChecks || '<span class="text-muted">Define a platform first.</span>'}</div>
+    </div>
+    <div class="form-group">
+      <label class="checkbox-label"><input type="checkbox" id="profile-shorts" ${profile.shorts ? 'checked' : ''}> Create YouTube Shorts</label>
+      <label class="checkbox-label"><input type="checkbox" id="profile-cross-post" ${profile.cross_post ? 'checked' : ''}> Adapt content per platform (cross-post)</label>
+    </div>
+  `;
+
+  showFormModal(dashboard, 'profile-modal', isEdit ? `Edit Profile: ${id}` : 'New Distribution Profile', fieldsHTML,
+    isEdit ? 'Save Changes' : 'Create Profile', async () => {
+      const body = {
+        description: document.getElementById('profile-description').value.trim(),
+        platforms: [...document.querySelectorAll('input[name="profile-platform"]:checked')].map(input => input.value),
+        shorts: document.getElementById('profile-shorts').checked,
+        cross_post: document.getElementById('profile-cross-post').checked
+      };
+
+      await saveDistributionChange(dashboard, () => (isEdit
+        ? sendAPI(`/distribution/profiles/${encodeURIComponent(id)}`, 'PATCH', body)
+        : sendAPI('/distribution/profiles', 'POST', { id: document.getElementById('profile-id').value.trim(), ...body })));
+    });
+}
+
+/**
+ * Show the clone form for a distribution profile
+ * @param {object} dashboard - Dashboard instance
+ * @param {string} sourceId - Profile to copy
+ */
+function showCloneModal(dashboard, sourceId) {
+  const fieldsHTML = `
+    <div class="form-group">
+      <label for="clone-id" class="form-label">New Profile ID <span class="required">*</span></label>
+      <input type="text" id="clone-id" class="form-input" value="${escapeHtml(`${sourceId}-copy`)}">
+      <div class="form-hint">Copies platforms and options from "${escapeHtml(sourceId)}".</div>
+    </div>
+  `;
+
+  showFormModal(dashboard, 'clone-profile-modal', `Clone Profile: ${sourceId}`, fieldsHTML, 'Clone', async () => {
+    const id = document.getElementById('clone-id').value.trim();
+    await saveDistributionChange(dashboard, () =>
+      sendAPI(`/distribution/profiles/${encodeURIComponent(sourceId)}/clone`, 'POST', { id }));
+  });
+}
+
+/**
+ * Confirm deleting a profile, offering reassignment when episodes still use it
+ * @param {object} dashboard - Dashboard instance
+ * @param {string} id - Profile id
+ * @param {string[]} otherProfiles - Profiles episodes can be moved to
+ */
+async function showDeleteProfileModal(dashboard, id, otherProfiles) {
+  let references;
+  try {
+    references = await dashboard.fetchAPI(`/distribution/profiles/${encodeURIComponent(id)}/references`);
+  } catch (error) {
+    dashboard.showNotification(error.message, 'error');
+    return;
+  }
+
+  const used = [...references.episodes, ...references.releaseQueue];
+  const extraHTML = used.length > 0 ? `
+    <div class="form-group">
+      <p class="text-muted"><small>Still used by:</small></p>
+      <ul class="release-group-items text-muted">
+        ${used.map(ref => `<li><small>${escapeHtml(ref)}</small></li>`).join('')}
+      </ul>
+      <label for="reassign-profile" class="form-label">Move these to</label>
+      <select id="reassign-profile" class="form-select">
+        ${otherProfiles.map(other => `<option value="${escapeHtml(other)}">${escapeHtml(other)}</option>`).join('')}
+      </select>
+    </div>
+  ` : '';
+
+  showConfirmModal(dashboard, {
+    title: 'Delete Profile',
+    message: `Delete distribution profile "${id}"?`,
+    note: used.length > 0 ? 'Episodes and release queue entries using it will be reassigned.' : '',
+    extraHTML,
+    confirmLabel: used.length > 0 ? 'Reassign & Delete' : 'Delete',
+    onConfirm: () => {
+      const reassign = used.length > 0 ? document.getElementById('reassign-profile').value : '';
+      const query = reassign ? `?reassign=${encodeURIComponent(reassign)}` : '';
+      return saveDistributionChange(dashboard, () =>
+        sendAPI(`/distribution/profiles/${encodeURIComponent(id)}${query}`, 'DELETE'));
+    }
+  });
+}
+
+/**
+ * Show the create/edit form for a platform definition
+ * @param {object} dashboard - Dashboard instance
+ * @param {string} [id] - Platform id when editing
+ * @param {object} [platform] - Existing platform when editing
+ */
+function showPlatformModal(dashboard, id, platform = {}) {
+  const isEdit = Boolean(id);
+  const typeOptions = PLATFORM_TYPES.map(type =>
+    `<option value="${type}" ${platform.type === type ? 'selected' : ''}>${type}</option>`
+  ).join('');
+
+  const fieldsHTML = `
+    ${isEdit ? '' : `
+      <div class="form-group">
+        <label for="platform-id" class="form-label">ID <span class="required">*</span></label>
+        <input type="text" id="platform-id" class="form-input" placeholder="e.g., threads">
+      </div>
+    `}
+    <div class="form-row">
+      <div class="form-group">
+        <label for="platform-name" class="form-label">Name <span class="required">*</span></label>
+        <input type="text" id="platform-name" class="form-input" value="${escapeHtml(platform.name || '')}">
+      </div>
+      <div class="form-group">
+        <label for="platform-type" class="form-label">Type</label>
+        <select id="platform-type" class="form-select">${typeOptions}</select>
+      </div>
+    </div>
+    <div class="form-group">
+      <label for="platform-content-types" class="form-label">Content Types</label>
+      <input type="text" id="platform-content-types" class="form-input" value="${escapeHtml((platform.content_types || []).join(', '))}" placeholder="post, thread">
+      <div class="form-hint">Comma separated.</div>
+    </div>
+    <div class="form-group">
+      <label for="platform-requires" class="form-label">Requires</label>
+      <input type="text" id="platform-requires" class="form-input" value="${escapeHtml((platform.requires || []).join(', '))}" placeholder="title, description, thumbnail">
+      <div class="form-hint">Fields that must be filled in before publishing. Comma separated.</div>
+    </div>
+    <div class="form-group">
+      <label for="platform-character-limit" class="form-label">Character Limit</label>
+      <input type="number" id="platform-character-limit" class="form-input" min="1" value="${escapeHtml(String(platform.character_limit || ''))}" placeholder="No limit">
+    </div>
+  `;
+
+  showFormModal(dashboard, 'platform-modal', isEdit ? `Edit Platform: ${id}` : 'New Platform', fieldsHTML,
+    isEdit ? 'Save Changes' : 'Create Platform', async () => {
+      const limit = document.getElementById('platform-character-limit').value.trim();
+      const body = {
+        name: document.getElementById('platform-name').value.trim(),
+        type: document.getElementById('platform-type').value,
+        content_types: parseIdList(document.getElementById('platform-content-types').value),
+        requires: parseIdList(document.getElementById('platform-requires').value),
+        character_limit: limit ? Number(limit) : null
+      };
+
+      await saveDistributionChange(dashboard, () => (isEdit
+        ? sendAPI(`/distribution/platforms/${encodeURIComponent(id)}`, 'PATCH', body)
+        : sendAPI('/distribution/platforms', 'POST', { id: document.getElementById('platform-id').value.trim(), ...body })));
+    });
+}
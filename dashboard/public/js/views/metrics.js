@@ -0,0 +1,147 @@
+// Content Workflow Dashboard - Metrics View
+// Time in each status, weekly throughput and cycle time, built from the
+// status_history the dashboard and MCP server record on every status change.
+
+import { escapeHtml, getStatusClass } from '../utils.js';
+
+const WEEK_OPTIONS = [4, 12, 26, 52];
+
+/**
+ * Format an average duration in days
+ * @param {number|null} days - Average from the API (null when nothing was measured)
+ * @returns {string}
+ */
+export function formatDays(days) {
+  if (days === null || days === undefined) return '—';
+  return `${days} ${days === 1 ? 'day' : 'days'}`;
+}
+
+/**
+ * Render the metrics sections for a GET /api/metrics result
+ * @param {object} metrics - `metrics` from the API
+ * @returns {string} Sections HTML
+ */
+export function renderMetricsSections(metrics) {
+  if (metrics.tracked === 0) {
+    return `
+      <div class="empty-state">
+        <p>No status changes recorded yet. Episodes get a status history as their status changes.</p>
+      </div>
+    `;
+  }
+
+  const statusRows = metrics.time_in_status.map(row => `
+    <tr>
+      <th scope="row"><span class="badge ${getStatusClass(row.status)}">${escapeHtml(row.status)}</span></th>
+      <td>${formatDays(row.average_days)}</td>
+      <td>${row.count}</td>
+      <td>${row.current}</td>
+    </tr>
+  `).join('');
+
+  const maxReleased = Math.max(1, ...metrics.throughput.map(week => week.released));
+  const bars = metrics.throughput.map(week => `
+    <div class="metrics-bar" title="${escapeHtml(`Week of ${week.week}: ${week.released} released`)}">
+      <span class="metrics-bar-value">${week.released || ''}</span>
+      <div class="metrics-bar-fill" style="height: ${Math.round((week.released / maxReleased) * 100)}%"></div>
+      <span class="metrics-bar-label">${escapeHtml(week.week.slice(5))}</span>
+    </div>
+  `).join('');
+
+  const cycleRows = metrics.cycle_time.map(row => `
+    <tr>
+      <th scope="row">${escapeHtml(row.series)}</th>
+      <td>${formatDays(row.average_days)}</td>
+      <td>${row.released}</td>
+    </tr>
+  `).join('');
+
+  return `
+    <div class="metrics-section">
+      <h3>Average time in each status</h3>
+      <div class="distribution-table-wrapper">
+        <table class="distribution-table metrics-status-table">
+          <thead><tr><th>Status</th><th>Average</th><th>Times left</th><th>In it now</th></tr></thead>
+          <tbody>${statusRows}</tbody>
+        </table>
+      </div>
+    </div>
+    <div class="metrics-section">
+      <h3>Released per week</h3>
+      <div class="metrics-chart">${bars}</div>
+    </div>
+    <div class="metrics-section">
+      <h3>Cycle time by series</h3>
+      <p class="text-muted"><small>From an episode's first recorded status to its first release.</small></p>
+      ${cycleRows ? `
+        <div class="distribution-table-wrapper">
+          <table class="distribution-table metrics-cycle-table">
+            <thead><tr><th>Series</th><th>Average</th><th>Episodes released</th></tr></thead>
+            <tbody>${cycleRows}</tbody>
+          </table>
+        </div>
+      ` : '<p class="text-muted">No episodes released since their history started.</p>'}
+    </div>
+    ${metrics.untracked > 0 ? `<p class="text-muted"><small>${metrics.untracked} episode(s) have no status history yet and are not included.</small></p>` : ''}
+  `;
+}
+
+/**
+ * Render the metrics view
+ * @param {object} dashboard - Dashboard instance for state and methods
+ */
+export async function renderMetrics(dashboard) {
+  if (!dashboard.metricsState) {
+    dashboard.metricsState = { series: '', weeks: 12 };
+  }
+  const state = dashboard.metricsState;
+  const params = new URLSearchParams({ weeks: String(state.weeks) });
+  if (state.series) params.set('series', state.series);
+
+  const result = await dashboard.fetchAPI(`/metrics?${params}`);
+  const content = document.getElementById('content');
+
+  if (!result.success) {
+    content.innerHTML = `<div class="error">Failed to load metrics: ${escapeHtml(result.error || 'unknown error')}</div>`;
+    return;
+  }
+
+  const seriesOptions = (dashboard.seriesList || []).map(series =>
+    `<option value="${escapeHtml(series)}" ${state.series === series ? 'selected' : ''}>${escapeHtml(series)}</option>`
+  ).join('');
+  const weekOptions = WEEK_OPTIONS.map(weeks =>
+    `<option value="${weeks}" ${state.weeks === weeks ? 'selected' : ''}>${weeks} weeks</option>`
+  ).join('');
+
+  content.innerHTML = `
+    <div class="view">
+      <div class="section-header">
+        <h2>Metrics</h2>
+        <p>How long episodes spend in each status, from the status history recorded on every change.</p>
+      </div>
+      <div class="pipeline-controls">
+        <div class="filter-group">
+          <label class="filter-label" for="metrics-series">Series:</label>
+          <select class="filter-select" id="metrics-series">
+            <option value="">All Series</option>
+            ${seriesOptions}
+          </select>
+        </div>
+        <div class="filter-group">
+          <label class="filter-label" for="metrics-weeks">Throughput:</label>
+          <select class="filter-select" id="metrics-weeks">${weekOptions}</select>
+        </div>
+      </div>
+      ${renderMetricsSections(result.metrics)}
+    </div>
+  `;
+
+  document.getElementById('metrics-series').addEventListener('change', (e) => {
+    state.series = e.target.value;
+    renderMetrics(dashboard);
+  });
+  document.getElementById('metrics-weeks').addEventListener('change', (e) => {
+    state.weeks = Number(e.target.value);
+    renderMetrics(dashboard);
+  });
+}
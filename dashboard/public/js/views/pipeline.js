@@ -2,7 +2,7 @@
 
 import { escapeHtml } from '../utils.js';
 import { renderEpisodeCard } from '../components/episodeCard.js';
-import { attachInlineStatusHandlers } from '../components/statusDropdown.js';
+import { attachInlineStatusHandlers, CONTENT_STATUSES } from '../components/statusDropdown.js';
 
 /**
  * Render the pipeline/kanban view
@@ -13,6 +13,7 @@ import { attachInlineStatusHandlers } from '../components/statusDropdown.js';
 export async function renderPipeline(dashboard) {
   const result = await dashboard.fetchAPI('/episodes');
   const releaseQueueResult = await dashboard.fetchAPI('/releases');
+  await dashboard.loadWorkflowStages();
   const content = document.getElementById('content');
 
   if (!result.success) {
@@ -32,7 +33,8 @@ export async function renderPipeline(dashboard) {
   if (!dashboard.pipelineState) {
     dashboard.pipelineState = {
       filterSeries: 'all',
-      sortBy: 'created'
+      sortBy: 'created',
+      showArchived: false
     };
   }
 
@@ -58,13 +60,11 @@ export async function renderPipeline(dashboard) {
     return 0;
   });
 
-  // Group episodes by content_status
-  const columns = {
-    draft: { title: 'Draft', episodes: [] },
-    ready: { title: 'Ready', episodes: [] },
-    staged: { title: 'Staged', episodes: [] },
-    released: { title: 'Released', episodes: [] }
-  };
+  // Group episodes by content_status, one column per status
+  const columns = Object.fromEntries(CONTENT_STATUSES.map(status => [
+    status,
+    { title: status[0].toUpperCase() + status.slice(1), episodes: [] }
+  ]));
 
   episodes.forEach(episode => {
     const status = episode.metadata?.content_status || 'draft';
@@ -75,6 +75,13 @@ export async function renderPipeline(dashboard) {
     }
   });
 
+  // Archived episodes are hidden unless asked for
+  const archivedCount = columns.archived.episodes.length;
+  const showArchived = dashboard.pipelineState.showArchived;
+  if (!showArchived) {
+    delete columns.archived;
+  }
+
   // Generate series filter options
   const seriesOptions = allSeries.map(series =>
     `<option value="${series}" ${dashboard.pipelineState.filterSeries === series ? 'selected' : ''}>${escapeHtml(series)}</option>`
@@ -82,7 +89,7 @@ export async function renderPipeline(dashboard) {
 
   // Generate Kanban board HTML
   const kanbanHTML = Object.entries(columns).map(([status, data]) => {
-    const cardsHTML = data.episodes.map(episode => renderEpisodeCard(episode, releaseGroups)).join('');
+    const cardsHTML = data.episodes.map(episode => renderEpisodeCard(episode, releaseGroups, dashboard.getWorkflowStages(episode.series))).join('');
 
     return `
       <div class="kanban-column">
@@ -114,12 +121,15 @@ export async function renderPipeline(dashboard) {
             <option value="target_release" ${dashboard.pipelineState.sortBy === 'target_release' ? 'selected' : ''}>Target Release</option>
           </select>
         </div>
+        <div class="filter-group">
+          <button class="btn btn-secondary" id="toggle-archived-btn">${showArchived ? 'Hide' : 'Show'} Archived (${archivedCount})</button>
+        </div>
         <div class="filter-group" style="margin-left: auto;">
           <button class="btn btn-primary" id="new-episode-btn">+ New Episode</button>
         </div>
       </div>
 
-      <div class="kanban-board">
+      <div class="kanban-board ${showArchived ? 'show-archived' : ''}">
         ${kanbanHTML}
       </div>
     </div>
@@ -136,6 +146,11 @@ export async function renderPipeline(dashboard) {
     renderPipeline(dashboard);
   });
 
+  document.getElementById('toggle-archived-btn').addEventListener('click', () => {
+    dashboard.pipelineState.showArchived = !dashboard.pipelineState.showArchived;
+    renderPipeline(dashboard);
+  });
+
   // New Episode button
   document.getElementById('new-episode-btn').addEventListener('click', () => {
     dashboard.showNewEpisodeModal();
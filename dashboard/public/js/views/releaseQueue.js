@@ -1,13 +1,55 @@
 // Content Workflow Dashboard - Release Queue View
 
-import { escapeHtml, getStatusClass } from '../utils.js';
+import { escapeHtml, formatDate, getStatusClass, formatDependency, getDependencyStateClass } from '../utils.js';
+import { sendAPI } from '../api.js';
+import { showConfirmModal } from '../components/confirmModal.js';
+
+const RELEASE_STATUSES = ['draft', 'ready', 'staged', 'released', 'archived', 'blocked'];
+const QUEUE_SECTIONS = {
+  staged: 'Staged Content',
+  blocked: 'Blocked Content',
+  released: 'Released Content'
+};
+
+/**
+ * Return only the fields whose values differ from the initial values.
+ * Unchanged fields are left out so the server keeps them exactly as written
+ * (for example timestamps with their original UTC offset).
+ * @param {object} initial - Values the form was opened with
+ * @param {object} current - Values read back from the form
+ * @returns {object} Changed fields
+ */
+export function getChangedFields(initial, current) {
+  const changed = {};
+  for (const [key, value] of Object.entries(current)) {
+    if (JSON.stringify(value) !== JSON.stringify(initial[key] ?? (Array.isArray(value) ? [] : ''))) {
+      changed[key] = value;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Split an episode path (series/<series>/<episode>) into API route segments
+ * @param {string} episodePath - Episode path from the release queue
+ * @returns {string} Encoded "series/episode" route suffix
+ */
+function toRouteSegments(episodePath) {
+  const [, series, episode] = episodePath.split('/');
+  return `${encodeURIComponent(series)}/${encodeURIComponent(episode)}`;
+}
 
 /**
  * Render the release queue view
  * @param {object} dashboard - Dashboard instance for state and methods
  */
 export async function renderReleases(dashboard) {
-  const result = await dashboard.fetchAPI('/releases');
+  const [result, episodesResult, distributionResult, schedulerResult] = await Promise.all([
+    dashboard.fetchAPI('/releases'),
+    dashboard.fetchAPI('/episodes').catch(() => ({ success: false, episodes: [] })),
+    dashboard.fetchAPI('/distribution').catch(() => ({ success: false, data: {} })),
+    dashboard.fetchAPI('/scheduler?limit=5').catch(() => ({ success: false }))
+  ]);
   const content = document.getElementById('content');
 
   if (!result.success) {
@@ -15,79 +57,821 @@ export async function renderReleases(dashboard) {
     return;
   }
 
-  const data = result.data;
-  const hasGroups = data.release_groups && Object.keys(data.release_groups).length > 0;
-  const hasStaged = data.staged && data.staged.length > 0;
-  const hasBlocked = data.blocked && data.blocked.length > 0;
+  const data = result.data || {};
+  const groups = data.release_groups || {};
+  const resolution = result.dependencies || { groups: {}, items: {} };
+  const readiness = result.readiness || {};
+  const editorContext = {
+    episodePaths: episodesResult.success ? episodesResult.episodes.map(ep => ep.path).sort() : [],
+    profiles: Object.keys(distributionResult.data?.profiles || {}),
+    platforms: Object.keys(distributionResult.data?.platforms || {})
+  };
 
-  let sectionsHTML = '';
+  const groupsHTML = Object.entries(groups).map(([id, group]) => renderGroupCard(id, group, resolution.groups[id], readiness[id])).join('');
 
-  if (hasGroups) {
-    const groupsHTML = Object.entries(data.release_groups).map(([id, group]) => `
-      <div class="card">
-        <div class="card-header">
-          <div class="card-title">${escapeHtml(group.name || id)}</div>
-          <div class="card-subtitle">${escapeHtml(id)}</div>
-        </div>
-        <div class="card-content">
-          <div class="mb-2">
-            <span class="badge ${getStatusClass(group.status)}">${group.status}</span>
-          </div>
-          ${group.description ? `<p class="mt-2">${escapeHtml(group.description)}</p>` : ''}
-          ${group.target_date ? `<p class="mt-2 text-muted"><small>Target: ${group.target_date}</small></p>` : ''}
+  const sectionsHTML = Object.entries(QUEUE_SECTIONS).map(([section, title]) => {
+    const items = data[section] || [];
+    const itemsHTML = items.length > 0
+      ? items.map(item => renderQueueItem(section, item, resolution.items[item.path])).join('')
+      : '<div class="list-item text-muted">Nothing here yet.</div>';
+    return `
+      <div class="section-header mt-3">
+        <h3>${title}</h3>
+      </div>
+      <div class="list">
+        ${itemsHTML}
+      </div>
+    `;
+  }).join('');
+
+  content.innerHTML = `
+    <div class="view">
+      <div class="pipeline-controls">
+        <div class="filter-group" style="margin-left: auto;">
+          <button class="btn btn-secondary" id="add-queue-item-btn">+ Add to Queue</button>
+          <button class="btn btn-primary" id="new-release-group-btn">+ New Release Group</button>
         </div>
       </div>
-    `).join('');
 
-    sectionsHTML += `
+      ${renderSchedulerPanel(schedulerResult.success ? schedulerResult : null)}
+
       <div class="section-header mt-3">
         <h3>Release Groups</h3>
       </div>
-      <div class="card-grid">
-        ${groupsHTML}
-      </div>
+      ${groupsHTML ? `<div class="card-grid">${groupsHTML}</div>` : '<p class="text-muted">No release groups configured yet.</p>'}
+
+      ${sectionsHTML}
+    </div>
+  `;
+
+  document.getElementById('new-release-group-btn').addEventListener('click', () => {
+    showReleaseGroupModal(dashboard, editorContext);
+  });
+
+  document.getElementById('add-queue-item-btn').addEventListener('click', () => {
+    showQueueItemModal(dashboard, editorContext, 'staged');
+  });
+
+  content.querySelectorAll('[data-group-action]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const id = btn.dataset.groupId;
+      if (btn.dataset.groupAction === 'edit') {
+        showReleaseGroupModal(dashboard, editorContext, id, groups[id]);
+      } else {
+        showDeleteModal(dashboard, `release group "${groups[id].name || id}"`,
+          () => sendAPI(`/releases/groups/${encodeURIComponent(id)}`, 'DELETE'));
+      }
+    });
+  });
+
+  content.querySelectorAll('[data-scheduler-action]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const dryRun = btn.dataset.schedulerAction === 'dry-run';
+      runQueueAction(dashboard, async () => {
+        const run = await sendAPI('/scheduler/run', 'POST', { dry_run: dryRun });
+        const count = run.results.length;
+        const summary = count === 0 ? 'nothing due' : `${count} release${count === 1 ? '' : 's'} handled`;
+        return { message: `Scheduler ${dryRun ? 'dry run' : 'run'}: ${summary}` };
+      });
+    });
+  });
+
+  content.querySelectorAll('[data-dependency-action]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const { groupId, episodePath, dependencyId, dependencyAction: state } = btn.dataset;
+      const endpoint = groupId
+        ? `/releases/groups/${encodeURIComponent(groupId)}/dependencies/${encodeURIComponent(dependencyId)}`
+        : `/episodes/${toRouteSegments(episodePath)}/dependencies/${encodeURIComponent(dependencyId)}`;
+      runQueueAction(dashboard, () => sendAPI(endpoint, 'PATCH', { state, marked_by: 'dashboard' }));
+    });
+  });
+
+  content.querySelectorAll('[data-item-action]').forEach(control => {
+    const { section, path: itemPath } = control.dataset;
+    const item = (data[section] || []).find(entry => entry.path === itemPath);
+    const endpoint = `/releases/${section}/${toRouteSegments(itemPath)}`;
+
+    if (control.dataset.itemAction === 'move') {
+      control.addEventListener('change', () => {
+        const to = control.value;
+        control.value = '';
+        if (to === 'blocked') {
+          // Blocking needs a reason, so collect it in the item form
+          showQueueItemModal(dashboard, editorContext, 'blocked', item, section);
+        } else if (to) {
+          runQueueAction(dashboard, () => sendAPI(`${endpoint}/move`, 'POST', { to }));
+        }
+      });
+    } else if (control.dataset.itemAction === 'edit') {
+      control.addEventListener('click', () => showQueueItemModal(dashboard, editorContext, section, item));
+    } else {
+      control.addEventListener('click', () => {
+        showDeleteModal(dashboard, `"${itemPath}" from the ${section} list`, () => sendAPI(endpoint, 'DELETE'));
+      });
+    }
+  });
+}
+
+/**
+ * Render resolved dependencies with their state and the controls to mark
+ * them. Manual ones can be marked met; any unmet one can be waived; a
+ * recorded mark can be reset to pending.
+ * @param {Array<object>} dependencies - Resolved dependencies from GET /api/releases
+ * @param {function(object): string} targetAttrs - data-* attributes naming where a dependency is stored
+ * @returns {string} List HTML
+ */
+export function renderDependencyList(dependencies, targetAttrs) {
+  const itemsHTML = dependencies.map(dependency => {
+    const attrs = `${targetAttrs(dependency)} data-dependency-id="${escapeHtml(dependency.id)}"`;
+    const actions = [];
+    if (!dependency.satisfied && !dependency.automatic) {
+      actions.push(`<button class="btn btn-secondary" data-dependency-action="met" ${attrs}>Mark met</button>`);
+    }
+    if (!dependency.satisfied) {
+      actions.push(`<button class="btn btn-secondary" data-dependency-action="waived" ${attrs}>Waive</button>`);
+    }
+    if (dependency.state === 'waived' || (dependency.state === 'met' && !dependency.automatic)) {
+      actions.push(`<button class="btn btn-secondary" data-dependency-action="pending" ${attrs}>Reset</button>`);
+    }
+    const from = dependency.from && dependency.from !== 'episode' ? ` · group ${dependency.from}` : '';
+    const marked = dependency.marked_at && (dependency.state === 'waived' || !dependency.automatic)
+      ? ` · ${formatDate(dependency.marked_at)}`
+      : '';
+
+    return `
+      <li class="dependency-item release-dependency">
+        <div class="release-dependency-info">
+          <span class="badge ${getDependencyStateClass(dependency.state)}">${escapeHtml(dependency.state)}</span>
+          ${escapeHtml(dependency.label || formatDependency(dependency))}
+          <div class="text-muted"><small>${escapeHtml(`${dependency.detail}${marked}${from}`)}</small></div>
+        </div>
+        ${actions.length > 0 ? `<div class="release-queue-actions">${actions.join('')}</div>` : ''}
+      </li>
     `;
-  }
+  }).join('');
+  return `<ul class="dependency-list">${itemsHTML}</ul>`;
+}
 
-  if (hasStaged) {
-    sectionsHTML += `
-      <div class="section-header mt-3">
-        <h3>Staged Content</h3>
+/**
+ * Format a timestamp with its local time
+ * @param {string} value - ISO timestamp
+ * @returns {string}
+ */
+function formatDateTime(value) {
+  return new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Describe whether the release scheduler acts on due releases
+ * @param {object} status - From GET /api/scheduler
+ * @returns {{label: string, badge: string}}
+ */
+function getSchedulerState(status) {
+  if (!status.running) return { label: 'not running', badge: 'muted' };
+  if (!status.config.enabled) return { label: 'disabled', badge: 'muted' };
+  if (status.config.dry_run) return { label: 'dry run', badge: 'warning' };
+  return { label: 'on', badge: 'success' };
+}
+
+/**
+ * Render the release scheduler panel: its state and actions, the releases
+ * that are due or coming up, and the newest audit log entries
+ * @param {object} [status] - From GET /api/scheduler
+ * @returns {string} Panel HTML, empty when the status could not be loaded
+ */
+export function renderSchedulerPanel(status) {
+  if (!status) return '';
+  const { config } = status;
+  const state = getSchedulerState(status);
+  const next = status.upcoming[0];
+  const logHTML = status.log.map(entry => `
+    <li class="scheduler-log-entry ${escapeHtml(entry.outcome)}">
+      <small class="text-muted">${escapeHtml(formatDateTime(entry.timestamp))}</small>
+      <small>${escapeHtml(entry.message)}</small>
+    </li>
+  `).join('');
+
+  return `
+    <div class="card scheduler-panel mt-3">
+      <div class="card-header">
+        <div class="card-title">Release Scheduler <span class="badge ${state.badge}">${state.label}</span></div>
+        <div class="card-subtitle">Every ${config.interval_seconds}s: ${escapeHtml(config.actions.join(', '))}; missed releases: ${escapeHtml(config.catch_up)}</div>
       </div>
-      <div class="list">
-        ${data.staged.map(item => `
-          <div class="list-item">
-            <div>${escapeHtml(item.path)}</div>
-            <div class="mt-1"><span class="badge ${getStatusClass(item.status)}">${item.status}</span></div>
-          </div>
-        `).join('')}
+      <div class="card-content">
+        ${status.due.length > 0 ? `<p><small>${status.due.length} due now</small></p>` : ''}
+        ${next ? `<p class="text-muted"><small>Next: ${escapeHtml(next.title)} at ${escapeHtml(formatDateTime(next.due_at))}</small></p>` : ''}
+        ${logHTML ? `<ul class="scheduler-log mt-2">${logHTML}</ul>` : '<p class="text-muted"><small>Nothing logged yet</small></p>'}
       </div>
+      <div class="release-queue-actions mt-2">
+        <button class="btn btn-secondary" data-scheduler-action="dry-run">Dry Run</button>
+        <button class="btn btn-secondary" data-scheduler-action="run">Run Now</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Describe how far away a target date is
+ * @param {number} days - Days until the target date (negative once passed)
+ * @returns {string}
+ */
+function formatDaysUntil(days) {
+  if (days === 0) return 'Target is today';
+  const count = Math.abs(days);
+  const span = `${count} day${count === 1 ? '' : 's'}`;
+  return days > 0 ? `Target in ${span}` : `Target passed ${span} ago`;
+}
+
+/**
+ * Render the readiness panel of a release group: a progress bar of ready
+ * items, days until the target date, and per item its status, workflow
+ * completion, missing platform requirements and unmet dependencies.
+ * @param {object} [readiness] - The group's readiness from GET /api/releases
+ * @returns {string} Panel HTML, empty for groups without items
+ */
+export function renderGroupReadiness(readiness) {
+  if (!readiness || readiness.total === 0) return '';
+
+  const itemsHTML = readiness.items.map(item => {
+    const problems = [
+      ...item.workflow.missing.map(stage => `${stage} not done`),
+      ...item.missing_requirements.map(platform => `${platform.name}: ${platform.missing.join(', ')}`),
+      ...item.unmet_dependencies
+    ];
+    const status = item.found
+      ? `<span class="badge ${getStatusClass(item.content_status)}">${escapeHtml(item.content_status)}</span>`
+      : '<span class="badge error">not found</span>';
+    const workflow = item.workflow.total > 0 ? `<small class="text-muted">Workflow ${item.workflow.completed}/${item.workflow.total}</small>` : '';
+    return `
+      <li class="release-readiness-item${item.ready ? ' ready' : ''}">
+        <div class="release-readiness-item-header">
+          <span>${item.ready ? '✓' : '○'} ${escapeHtml(item.title)}</span>
+          ${status}
+          ${workflow}
+        </div>
+        ${problems.length > 0 ? `<ul class="release-readiness-problems">${problems.map(problem => `<li><small>${escapeHtml(problem)}</small></li>`).join('')}</ul>` : ''}
+      </li>
     `;
-  }
+  }).join('');
 
-  if (hasBlocked) {
-    sectionsHTML += `
-      <div class="section-header mt-3">
-        <h3>Blocked Content</h3>
+  const target = readiness.days_until_target !== null ? `<small class="text-muted">${formatDaysUntil(readiness.days_until_target)}</small>` : '';
+  return `
+    <div class="release-readiness mt-2">
+      <div class="release-readiness-summary">
+        <small>${readiness.ready} of ${readiness.total} item${readiness.total === 1 ? '' : 's'} ready</small>
+        ${target}
+        ${readiness.at_risk ? '<span class="badge error">At risk</span>' : ''}
       </div>
-      <div class="list">
-        ${data.blocked.map(item => `
-          <div class="list-item">
-            <div>${escapeHtml(item.path)}</div>
-            <div class="mt-1 text-muted"><small>Blocked by: ${escapeHtml(item.blocked_by)}</small></div>
-          </div>
-        `).join('')}
+      <div class="release-readiness-bar">
+        <div class="release-readiness-fill" style="width: ${readiness.percent}%"></div>
       </div>
-    `;
+      ${readiness.at_risk ? `<p class="release-readiness-risk"><small>${escapeHtml(readiness.at_risk_reason)}</small></p>` : ''}
+      <ul class="release-readiness-items">${itemsHTML}</ul>
+    </div>
+  `;
+}
+
+/**
+ * Render a release group card with its items, readiness and edit actions
+ * @param {string} id - Release group id
+ * @param {object} group - Release group data
+ * @param {object} [resolved] - The group's resolved dependencies from GET /api/releases
+ * @param {object} [readiness] - The group's readiness from GET /api/releases
+ * @returns {string} Card HTML
+ */
+function renderGroupCard(id, group, resolved, readiness) {
+  const items = group.items || [];
+  const dependencies = resolved?.dependencies || [];
+  const releaseOrder = group.release_order || [];
+  let itemsHTML = renderGroupReadiness(readiness);
+  if (!itemsHTML) {
+    itemsHTML = items.length > 0 ? `
+      <ul class="release-group-items mt-2">
+        ${items.map(item => `<li>${escapeHtml(item.path)} <small class="text-muted">(${escapeHtml(item.distribution || 'full')})</small></li>`).join('')}
+      </ul>
+    ` : '<p class="mt-2 text-muted"><small>No items</small></p>';
   }
 
-  if (!hasGroups && !hasStaged && !hasBlocked) {
-    sectionsHTML = '<p class="text-muted">No release items configured yet.</p>';
+  return `
+    <div class="card">
+      <div class="card-header">
+        <div class="card-title">${escapeHtml(group.name || id)}</div>
+        <div class="card-subtitle">${escapeHtml(id)}</div>
+      </div>
+      <div class="card-content">
+        <div class="mb-2">
+          <span class="badge ${getStatusClass(group.status)}">${escapeHtml(group.status || 'draft')}</span>
+        </div>
+        ${group.description ? `<p class="mt-2">${escapeHtml(group.description)}</p>` : ''}
+        ${group.target_date ? `<p class="mt-2 text-muted"><small>Target: ${escapeHtml(formatDate(group.target_date))}</small></p>` : ''}
+        ${group.condition ? `<p class="mt-1 text-muted"><small>Condition: ${escapeHtml(group.condition)}</small></p>` : ''}
+        ${itemsHTML}
+        ${dependencies.length > 0 ? `
+          <p class="mt-2 text-muted"><small>Dependencies${resolved.releasable ? ' (all met)' : ''}:</small></p>
+          ${renderDependencyList(dependencies, () => `data-group-id="${escapeHtml(id)}"`)}
+        ` : ''}
+        ${releaseOrder.length > 0 ? `<p class="mt-1 text-muted"><small>Order: ${releaseOrder.map(escapeHtml).join(' → ')}</small></p>` : ''}
+      </div>
+      <div class="release-queue-actions mt-2">
+        <button class="btn btn-secondary" data-group-action="edit" data-group-id="${escapeHtml(id)}">Edit</button>
+        <button class="btn btn-secondary" data-group-action="delete" data-group-id="${escapeHtml(id)}">Delete</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render a staged/blocked/released list entry with edit, move and remove controls.
+ * Staged entries show whether they are releasable; staged and blocked ones
+ * list their unmet dependencies (their own and their release groups').
+ * @param {string} section - Queue section the item belongs to
+ * @param {object} item - Queue entry
+ * @param {object} [resolved] - The entry's resolved dependencies from GET /api/releases
+ * @returns {string} List item HTML
+ */
+export function renderQueueItem(section, item, resolved) {
+  const details = [];
+  if (item.target_date) details.push(`Target: ${formatDate(item.target_date)}`);
+  if (item.release_date) details.push(`Released: ${formatDate(item.release_date)}`);
+  if (item.blocked_by) details.push(`Blocked by: ${item.blocked_by}`);
+  if (item.blocked_since) details.push(`Since: ${formatDate(item.blocked_since)}`);
+  if (item.distribution) details.push(`Profile: ${item.distribution}`);
+
+  const moveOptions = Object.keys(QUEUE_SECTIONS)
+    .filter(target => target !== section)
+    .map(target => `<option value="${target}">Move to ${target}</option>`)
+    .join('');
+  const dataAttrs = `data-section="${section}" data-path="${escapeHtml(item.path)}"`;
+  const unmet = section !== 'released' ? resolved?.unmet || [] : [];
+  const releasable = section === 'staged' && resolved
+    ? `<span class="badge ${resolved.releasable ? 'success' : 'warning'}">${resolved.releasable ? 'releasable' : `${unmet.length} unmet`}</span>`
+    : '';
+  const unmetHTML = unmet.length > 0
+    ? renderDependencyList(unmet, dependency => (dependency.from === 'episode'
+      ? `data-episode-path="${escapeHtml(item.path)}"`
+      : `data-group-id="${escapeHtml(dependency.from)}"`))
+    : '';
+
+  return `
+    <div class="list-item release-queue-item">
+      <div class="release-queue-item-info">
+        <div>${escapeHtml(item.path)}</div>
+        <div class="mt-1">
+          <span class="badge ${getStatusClass(item.status)}">${escapeHtml(item.status || section)}</span>
+          ${releasable}
+          ${details.length > 0 ? `<small class="text-muted">${escapeHtml(details.join(' · '))}</small>` : ''}
+        </div>
+        ${item.notes ? `<div class="mt-1 text-muted"><small>${escapeHtml(item.notes)}</small></div>` : ''}
+        ${unmetHTML}
+      </div>
+      <div class="release-queue-actions">
+        <select class="filter-select" data-item-action="move" ${dataAttrs} aria-label="Move item">
+          <option value="">Move…</option>
+          ${moveOptions}
+        </select>
+        <button class="btn btn-secondary" data-item-action="edit" ${dataAttrs}>Edit</button>
+        <button class="btn btn-secondary" data-item-action="remove" ${dataAttrs}>Remove</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Run a release queue change, then refresh the view and report the outcome
+ * @param {object} dashboard - Dashboard instance
+ * @param {function(): Promise<object>} action - API call to run
+ * @returns {Promise<boolean>} True when the change was saved
+ */
+async function runQueueAction(dashboard, action) {
+  try {
+    const result = await action();
+    dashboard.showNotification(result.message || 'Release queue updated', 'success');
+    await renderReleases(dashboard);
+    return true;
+  } catch (error) {
+    console.error('Release queue update failed:', error);
+    dashboard.showNotification(error.message, 'error');
+    return false;
   }
+}
 
-  content.innerHTML = `
-    <div class="view">
-      ${sectionsHTML}
+/**
+ * Build <option> elements, keeping the current value even if it is unknown
+ * @param {string[]} values - Available values
+ * @param {string} selected - Currently selected value
+ * @param {string} [emptyLabel] - Label for an empty first option
+ * @returns {string} Options HTML
+ */
+function renderOptions(values, selected, emptyLabel) {
+  const all = selected && !values.includes(selected) ? [selected, ...values] : values;
+  const empty = emptyLabel !== undefined ? `<option value="">${escapeHtml(emptyLabel)}</option>` : '';
+  return empty + all.map(value =>
+    `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(value)}</option>`
+  ).join('');
+}
+
+/**
+ * Wire up close buttons for a modal
+ * @param {object} dashboard - Dashboard instance
+ * @param {string} modalId - Modal element ID
+ */
+function attachModalClose(dashboard, modalId) {
+  document.querySelectorAll(`[data-modal-close="${modalId}"]`).forEach(btn => {
+    btn.addEventListener('click', () => dashboard.closeModal(modalId));
+  });
+}
+
+/**
+ * Show the create/edit form for a release group
+ * @param {object} dashboard - Dashboard instance
+ * @param {object} context - Known episode paths, profiles and platforms
+ * @param {string} [id] - Group id when editing
+ * @param {object} [group] - Existing group data when editing
+ */
+function showReleaseGroupModal(dashboard, context, id, group = {}) {
+  const isEdit = Boolean(id);
+  const initial = {
+    name: group.name || '',
+    description: group.description || '',
+    status: group.status || 'draft',
+    target_date: group.target_date || '',
+    condition: group.condition || '',
+    items: (group.items || []).map(item => ({
+      path: item.path,
+      type: item.type || 'youtube',
+      distribution: item.distribution || 'full'
+    })),
+    dependencies: (group.dependencies || []).map(formatDependency),
+    release_order: group.release_order || []
+  };
+  // Working copies edited in place by the list controls
+  const items = initial.items.map(item => ({ ...item }));
+  const releaseOrder = [...initial.release_order];
+
+  const modalHTML = `
+    <div class="modal-overlay" id="release-group-modal">
+      <div class="modal new-episode-modal">
+        <div class="modal-header">
+          <div>
+            <div class="modal-title">${isEdit ? 'Edit Release Group' : 'New Release Group'}</div>
+            <div class="modal-subtitle">${isEdit ? escapeHtml(id) : 'Coordinate several episodes for one launch'}</div>
+          </div>
+          <button class="modal-close" data-modal-close="release-group-modal">x</button>
+        </div>
+        <div class="modal-body">
+          <form id="release-group-form" class="episode-form">
+            ${isEdit ? '' : `
+              <div class="form-group">
+                <label for="group-id" class="form-label">ID <span class="required">*</span></label>
+                <input type="text" id="group-id" class="form-input" placeholder="e.g., product-launch">
+                <div class="form-hint">Lowercase letters, numbers, hyphens, and underscores.</div>
+              </div>
+            `}
+            <div class="form-group">
+              <label for="group-name" class="form-label">Name <span class="required">*</span></label>
+              <input type="text" id="group-name" class="form-input" value="${escapeHtml(initial.name)}">
+            </div>
+            <div class="form-group">
+              <label for="group-description" class="form-label">Description</label>
+              <textarea id="group-description" class="form-textarea" rows="2">${escapeHtml(initial.description)}</textarea>
+            </div>
+            <div class="form-row">
+              <div class="form-group">
+                <label for="group-status" class="form-label">Status</label>
+                <select id="group-status" class="form-select">${renderOptions(RELEASE_STATUSES, initial.status)}</select>
+              </div>
+              <div class="form-group">
+                <label for="group-target-date" class="form-label">Target Date</label>
+                <input type="text" id="group-target-date" class="form-input" value="${escapeHtml(initial.target_date)}" placeholder="2025-01-15T09:00:00-08:00">
+              </div>
+            </div>
+            <div class="form-group">
+              <label for="group-condition" class="form-label">Release Condition</label>
+              <input type="text" id="group-condition" class="form-input" value="${escapeHtml(initial.condition)}" placeholder="e.g., Repository made public">
+            </div>
+            <div class="form-group">
+              <label class="form-label">Items</label>
+              <div id="group-items" class="release-editor-list"></div>
+              <button type="button" class="btn btn-secondary" id="group-add-item">+ Add Item</button>
+            </div>
+            <div class="form-group">
+              <label for="group-dependencies" class="form-label">Dependencies</label>
+              <textarea id="group-dependencies" class="form-textarea" rows="2" placeholder="One per line">${escapeHtml(initial.dependencies.join('\n'))}</textarea>
+              <div class="form-hint">Lines starting with "episode: series/…", "date: YYYY-MM-DD" or "file: path" are met automatically; others are marked by hand.</div>
+            </div>
+            <div class="form-group">
+              <label class="form-label">Release Order</label>
+              <div id="group-release-order" class="release-editor-list"></div>
+              <select id="group-add-platform" class="form-select"></select>
+            </div>
+            <div class="form-error" id="release-group-error"></div>
+            <div class="form-actions">
+              <button type="button" class="btn btn-secondary" data-modal-close="release-group-modal">Cancel</button>
+              <button type="submit" class="btn btn-primary">${isEdit ? 'Save Changes' : 'Create Group'}</button>
+            </div>
+          </form>
+        </div>
+      </div>
     </div>
   `;
+
+  dashboard.showModal('release-group-modal', modalHTML);
+  attachModalClose(dashboard, 'release-group-modal');
+
+  const itemsEl = document.getElementById('group-items');
+  const orderEl = document.getElementById('group-release-order');
+  const platformSelect = document.getElementById('group-add-platform');
+
+  const renderItems = () => {
+    itemsEl.innerHTML = items.map((item, index) => `
+      <div class="release-editor-row" data-index="${index}">
+        <select class="form-select" data-field="path">${renderOptions(context.episodePaths, item.path, 'Select episode…')}</select>
+        <input type="text" class="form-input" data-field="type" value="${escapeHtml(item.type)}" aria-label="Type">
+        <select class="form-select" data-field="distribution">${renderOptions(context.profiles, item.distribution)}</select>
+        <button type="button" class="btn btn-secondary" data-remove="${index}" aria-label="Remove item">x</button>
+      </div>
+    `).join('') || '<div class="text-muted"><small>No items</small></div>';
+
+    itemsEl.querySelectorAll('.release-editor-row').forEach(row => {
+      const item = items[Number(row.dataset.index)];
+      row.querySelectorAll('[data-field]').forEach(field => {
+        field.addEventListener('change', () => { item[field.dataset.field] = field.value; });
+      });
+    });
+    itemsEl.querySelectorAll('[data-remove]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        items.splice(Number(btn.dataset.remove), 1);
+        renderItems();
+      });
+    });
+  };
+
+  const renderReleaseOrder = () => {
+    orderEl.innerHTML = releaseOrder.map((platform, index) => `
+      <div class="release-editor-row">
+        <span class="release-editor-label">${index + 1}. ${escapeHtml(platform)}</span>
+        <button type="button" class="btn btn-secondary" data-order-move="-1" data-index="${index}" ${index === 0 ? 'disabled' : ''} aria-label="Move up">↑</button>
+        <button type="button" class="btn btn-secondary" data-order-move="1" data-index="${index}" ${index === releaseOrder.length - 1 ? 'disabled' : ''} aria-label="Move down">↓</button>
+        <button type="button" class="btn btn-secondary" data-order-remove="${index}" aria-label="Remove platform">x</button>
+      </div>
+    `).join('') || '<div class="text-muted"><small>No release order</small></div>';
+
+    const remaining = context.platforms.filter(platform => !releaseOrder.includes(platform));
+    platformSelect.innerHTML = renderOptions(remaining, '', '+ Add platform…');
+    platformSelect.disabled = remaining.length === 0;
+
+    orderEl.querySelectorAll('[data-order-move]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const index = Number(btn.dataset.index);
+        const target = index + Number(btn.dataset.orderMove);
+        [releaseOrder[index], releaseOrder[target]] = [releaseOrder[target], releaseOrder[index]];
+        renderReleaseOrder();
+      });
+    });
+    orderEl.querySelectorAll('[data-order-remove]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        releaseOrder.splice(Number(btn.dataset.orderRemove), 1);
+        renderReleaseOrder();
+      });
+    });
+  };
+
+  platformSelect.addEventListener('change', () => {
+    if (platformSelect.value) {
+      releaseOrder.push(platformSelect.value);
+      renderReleaseOrder();
+    }
+  });
+
+  document.getElementById('group-add-item').addEventListener('click', () => {
+    items.push({ path: '', type: 'youtube', distribution: context.profiles.includes('full') ? 'full' : (context.profiles[0] || 'full') });
+    renderItems();
+  });
+
+  renderItems();
+  renderReleaseOrder();
+
+  document.getElementById('release-group-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorEl = document.getElementById('release-group-error');
+    errorEl.textContent = '';
+
+    const current = {
+      name: document.getElementById('group-name').value.trim(),
+      description: document.getElementById('group-description').value.trim(),
+      status: document.getElementById('group-status').value,
+      target_date: document.getElementById('group-target-date').value.trim(),
+      condition: document.getElementById('group-condition').value.trim(),
+      items: items.filter(item => item.path),
+      dependencies: document.getElementById('group-dependencies').value
+        .split('\n').map(line => line.trim()).filter(Boolean),
+      release_order: [...releaseOrder]
+    };
+
+    let action;
+    if (isEdit) {
+      const changes = getChangedFields(initial, current);
+      if (Object.keys(changes).length === 0) {
+        dashboard.closeModal('release-group-modal');
+        return;
+      }
+      action = () => sendAPI(`/releases/groups/${encodeURIComponent(id)}`, 'PATCH', changes);
+    } else {
+      const body = { id: document.getElementById('group-id').value.trim(), ...current };
+      if (!body.target_date) delete body.target_date;
+      action = () => sendAPI('/releases/groups', 'POST', body);
+    }
+
+    try {
+      await action();
+      dashboard.closeModal('release-group-modal');
+      dashboard.showNotification(isEdit ? 'Release group updated' : 'Release group created', 'success');
+      await renderReleases(dashboard);
+    } catch (error) {
+      errorEl.textContent = error.message;
+    }
+  });
+}
+
+/**
+ * Show the add/edit form for a staged, blocked or released entry.
+ * When `moveFrom` is given the form moves the item into `section`.
+ * @param {object} dashboard - Dashboard instance
+ * @param {object} context - Known episode paths and profiles
+ * @param {string} section - Section being edited or added to
+ * @param {object} [item] - Existing entry when editing or moving
+ * @param {string} [moveFrom] - Section the item currently lives in (move mode)
+ */
+function showQueueItemModal(dashboard, context, section, item, moveFrom) {
+  const isEdit = Boolean(item) && !moveFrom;
+  const isAdd = !item;
+  const initial = {
+    path: item?.path || '',
+    status: moveFrom ? section : (item?.status || section),
+    target_date: item?.target_date || '',
+    release_date: item?.release_date || '',
+    blocked_by: item?.blocked_by || '',
+    blocked_since: item?.blocked_since || '',
+    distribution: item?.distribution || '',
+    notes: item?.notes || ''
+  };
+  const title = isAdd ? 'Add to Release Queue' : isEdit ? 'Edit Queue Entry' : 'Block Queue Entry';
+
+  const modalHTML = `
+    <div class="modal-overlay" id="queue-item-modal">
+      <div class="modal new-episode-modal">
+        <div class="modal-header">
+          <div>
+            <div class="modal-title">${title}</div>
+            <div class="modal-subtitle">${isAdd ? 'Stage, block or record an episode release' : escapeHtml(initial.path)}</div>
+          </div>
+          <button class="modal-close" data-modal-close="queue-item-modal">x</button>
+        </div>
+        <div class="modal-body">
+          <form id="queue-item-form" class="episode-form">
+            ${isAdd ? `
+              <div class="form-row">
+                <div class="form-group">
+                  <label for="queue-section" class="form-label">List</label>
+                  <select id="queue-section" class="form-select">${renderOptions(Object.keys(QUEUE_SECTIONS), section)}</select>
+                </div>
+                <div class="form-group">
+                  <label for="queue-path" class="form-label">Episode <span class="required">*</span></label>
+                  <select id="queue-path" class="form-select">${renderOptions(context.episodePaths, '', 'Select episode…')}</select>
+                </div>
+              </div>
+            ` : ''}
+            <div class="form-row">
+              <div class="form-group">
+                <label for="queue-status" class="form-label">Status</label>
+                <select id="queue-status" class="form-select">${renderOptions(RELEASE_STATUSES, initial.status)}</select>
+              </div>
+              <div class="form-group" data-sections="staged released">
+                <label for="queue-distribution" class="form-label">Distribution Profile</label>
+                <select id="queue-distribution" class="form-select">${renderOptions(context.profiles, initial.distribution || 'full')}</select>
+              </div>
+            </div>
+            <div class="form-group" data-sections="staged">
+              <label for="queue-target-date" class="form-label">Target Date</label>
+              <input type="text" id="queue-target-date" class="form-input" value="${escapeHtml(initial.target_date)}" placeholder="YYYY-MM-DD or ISO datetime">
+            </div>
+            <div class="form-group" data-sections="released">
+              <label for="queue-release-date" class="form-label">Release Date</label>
+              <input type="text" id="queue-release-date" class="form-input" value="${escapeHtml(initial.release_date)}" placeholder="YYYY-MM-DD or ISO datetime">
+            </div>
+            <div class="form-row" data-sections="blocked">
+              <div class="form-group">
+                <label for="queue-blocked-by" class="form-label">Blocked By <span class="required">*</span></label>
+                <input type="text" id="queue-blocked-by" class="form-input" value="${escapeHtml(initial.blocked_by)}" placeholder="What is this waiting on?">
+              </div>
+              <div class="form-group">
+                <label for="queue-blocked-since" class="form-label">Blocked Since</label>
+                <input type="text" id="queue-blocked-since" class="form-input" value="${escapeHtml(initial.blocked_since)}" placeholder="Defaults to today">
+              </div>
+            </div>
+            <div class="form-group">
+              <label for="queue-notes" class="form-label">Notes</label>
+              <textarea id="queue-notes" class="form-textarea" rows="2">${escapeHtml(initial.notes)}</textarea>
+            </div>
+            <div class="form-error" id="queue-item-error"></div>
+            <div class="form-actions">
+              <button type="button" class="btn btn-secondary" data-modal-close="queue-item-modal">Cancel</button>
+              <button type="submit" class="btn btn-primary">${isAdd ? 'Add' : isEdit ? 'Save Changes' : 'Move to blocked'}</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  `;
+
+  dashboard.showModal('queue-item-modal', modalHTML);
+  attachModalClose(dashboard, 'queue-item-modal');
+
+  const sectionSelect = document.getElementById('queue-section');
+  const getSection = () => (sectionSelect ? sectionSelect.value : section);
+
+  // Only show the fields the selected list understands
+  const updateVisibleFields = () => {
+    document.querySelectorAll('#queue-item-form [data-sections]').forEach(el => {
+      el.classList.toggle('hidden', !el.dataset.sections.split(' ').includes(getSection()));
+    });
+  };
+  if (sectionSelect) {
+    sectionSelect.addEventListener('change', () => {
+      document.getElementById('queue-status').value = sectionSelect.value;
+      updateVisibleFields();
+    });
+  }
+  updateVisibleFields();
+
+  document.getElementById('queue-item-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorEl = document.getElementById('queue-item-error');
+    errorEl.textContent = '';
+
+    const targetSection = getSection();
+    const fieldsBySection = {
+      staged: ['status', 'distribution', 'target_date', 'notes'],
+      blocked: ['status', 'blocked_by', 'blocked_since', 'notes'],
+      released: ['status', 'distribution', 'release_date', 'notes']
+    };
+    const values = {
+      status: document.getElementById('queue-status').value,
+      distribution: document.getElementById('queue-distribution').value,
+      target_date: document.getElementById('queue-target-date').value.trim(),
+      release_date: document.getElementById('queue-release-date').value.trim(),
+      blocked_by: document.getElementById('queue-blocked-by').value.trim(),
+      blocked_since: document.getElementById('queue-blocked-since').value.trim(),
+      notes: document.getElementById('queue-notes').value.trim()
+    };
+    const current = Object.fromEntries(fieldsBySection[targetSection].map(key => [key, values[key]]));
+
+    let action;
+    if (isAdd) {
+      const body = { path: document.getElementById('queue-path').value, ...current };
+      for (const key of ['target_date', 'release_date', 'blocked_since']) {
+        if (!body[key]) delete body[key];
+      }
+      action = () => sendAPI(`/releases/${targetSection}`, 'POST', body);
+    } else if (isEdit) {
+      const changes = getChangedFields(initial, current);
+      if (Object.keys(changes).length === 0) {
+        dashboard.closeModal('queue-item-modal');
+        return;
+      }
+      action = () => sendAPI(`/releases/${section}/${toRouteSegments(item.path)}`, 'PATCH', changes);
+    } else {
+      const body = { to: section, ...getChangedFields(initial, current), blocked_by: current.blocked_by };
+      action = () => sendAPI(`/releases/${moveFrom}/${toRouteSegments(item.path)}/move`, 'POST', body);
+    }
+
+    try {
+      const result = await action();
+      dashboard.closeModal('queue-item-modal');
+      dashboard.showNotification(result.message || 'Release queue updated', 'success');
+      await renderReleases(dashboard);
+    } catch (error) {
+      errorEl.textContent = error.message;
+    }
+  });
+}
+
+/**
+ * Confirm before removing something from the release queue
+ * @param {object} dashboard - Dashboard instance
+ * @param {string} label - Description of what is being removed
+ * @param {function(): Promise<object>} action - API call performing the removal
+ */
+function showDeleteModal(dashboard, label, action) {
+  showConfirmModal(dashboard, {
+    title: 'Remove from Release Queue',
+    message: `Remove ${label}?`,
+    note: 'Episode files are not touched.',
+    confirmLabel: 'Remove',
+    onConfirm: async () => {
+      const result = await action();
+      dashboard.showNotification(result.message || 'Release queue updated', 'success');
+      renderReleases(dashboard);
+    }
+  });
 }
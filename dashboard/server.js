@@ -3,6 +3,11 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import chokidar from 'chokidar';
 import apiRoutes from './api/index.js';
+import { getContentPaths, onWorkspaceChange } from './api/workspaces.js';
+import { getIndexedEpisodes, applyIndexFileEvent, enableIncrementalUpdates } from './api/episodeIndex.js';
+import { recordExternalChange } from './api/history.js';
+import { recordExternalStatusChange } from './api/statusHistory.js';
+import { startReleaseScheduler, stopReleaseScheduler } from './api/releaseScheduler.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -107,9 +112,24 @@ app.use(express.json());
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Serve content files from series and assets directories
-app.use('/content/series', express.static(path.join(__dirname, '../series')));
-app.use('/content/assets', express.static(path.join(__dirname, '../assets')));
+// Serve content files from the active workspace's series and assets directories
+// Static handlers are rebuilt when the workspace changes so no restart is needed
+let contentStatic = createContentStatic(getContentPaths());
+
+/**
+ * Build static handlers for a workspace's content directories
+ * @param {object} paths - Content paths from getContentPaths()
+ * @returns {{series: function, assets: function}} Express static middleware
+ */
+function createContentStatic(paths) {
+  return {
+    series: express.static(paths.seriesDir),
+    assets: express.static(paths.assetsDir)
+  };
+}
+
+app.use('/content/series', (req, res, next) => contentStatic.series(req, res, next));
+app.use('/content/assets', (req, res, next) => contentStatic.assets(req, res, next));
 
 // API routes
 app.use('/api', apiRoutes);
@@ -122,19 +142,17 @@ app.get('*', (req, res) => {
 // Start server
 const server = app.listen(PORT, () => {
   console.log(`Dashboard server running on http://localhost:${PORT}`);
-  console.log('Watching for content changes...');
+  console.log(`Watching for content changes in ${getContentPaths().baseDir}...`);
 });
 
-// File watcher for live reload
-const watcher = chokidar.watch([
-  path.join(__dirname, '../series'),
-  path.join(__dirname, '../release-queue.yml'),
-  path.join(__dirname, '../distribution-profiles.yml')
-], {
-  ignored: /(^|[\/\\])\../, // ignore dotfiles
-  persistent: true,
-  ignoreInitial: true
-});
+// File watcher for live reload (recreated when the workspace changes)
+let watcher = createContentWatcher(getContentPaths());
+
+// The watcher keeps the episode index current, so build it once up front
+enableIncrementalUpdates();
+getIndexedEpisodes()
+  .then(episodes => console.log(`Indexed ${episodes.length} episodes`))
+  .catch(err => console.error('Failed to build episode index:', err));
 
 // Store connected SSE clients for live reload
 const clients = [];
@@ -166,25 +184,77 @@ app.get('/api/events', (req, res) => {
   });
 });
 
-// Watch for file changes and notify clients
-watcher.on('change', (filepath) => {
-  console.log(`File changed: ${filepath}`);
+/**
+ * Send an event to every connected SSE client
+ * @param {object} payload - Event data (serialized as JSON)
+ */
+function broadcast(payload) {
   clients.forEach(client => {
-    client.write(`data: ${JSON.stringify({ type: 'reload', file: filepath })}\n\n`);
+    client.write(`data: ${JSON.stringify(payload)}\n\n`);
   });
-});
+}
 
-watcher.on('add', (filepath) => {
-  console.log(`File added: ${filepath}`);
-  clients.forEach(client => {
-    client.write(`data: ${JSON.stringify({ type: 'reload', file: filepath })}\n\n`);
+/**
+ * Watch a workspace's content files and notify clients of changes
+ * @param {object} paths - Content paths from getContentPaths()
+ * @returns {chokidar.FSWatcher} The watcher instance
+ */
+function createContentWatcher(paths) {
+  const contentWatcher = chokidar.watch([
+    paths.seriesDir,
+    paths.releaseQueue,
+    paths.distributionProfiles,
+    paths.workflowStages,
+    paths.statusTransitions
+  ], {
+    ignored: /(^|[\/\\])\../, // ignore dotfiles
+    persistent: true,
+    ignoreInitial: true
   });
+
+  // Update the episode index first so clients reload fresh data
+  const onContentEvent = (event, label) => (filepath) => {
+    console.log(`File ${label}: ${filepath}`);
+    // Edits made outside the dashboard and MCP server go into the episode history,
+    // and a hand-edited content_status into status_history
+    const recorded = event === 'add' || event === 'change'
+      ? recordExternalChange(filepath)
+        .then(revision => revision && recordExternalStatusChange(filepath, revision.id))
+        .catch(err => console.error(`Failed to record history for ${filepath}:`, err))
+      : Promise.resolve();
+    Promise.all([recorded, applyIndexFileEvent(event, filepath)])
+      .catch(err => console.error(`Failed to update episode index for ${filepath}:`, err))
+      .finally(() => broadcast({ type: 'reload', file: filepath }));
+  };
+
+  // Watch for file changes and notify clients
+  contentWatcher.on('change', onContentEvent('change', 'changed'));
+  contentWatcher.on('add', onContentEvent('add', 'added'));
+  contentWatcher.on('unlink', onContentEvent('unlink', 'removed'));
+  contentWatcher.on('unlinkDir', onContentEvent('unlinkDir', 'removed'));
+
+  return contentWatcher;
+}
+
+// Promote staged content when it comes due (see release-scheduler.yml);
+// its notifications go to open dashboards
+startReleaseScheduler({ notify: broadcast });
+
+// Re-point static routes and the watcher at the new content root
+onWorkspaceChange((paths) => {
+  console.log(`Switched content workspace to ${paths.baseDir}`);
+  contentStatic = createContentStatic(paths);
+  const previousWatcher = watcher;
+  watcher = createContentWatcher(paths);
+  previousWatcher.close().catch(err => console.error('Failed to close previous watcher:', err));
+  broadcast({ type: 'reload', workspace: paths.baseDir });
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
   clearInterval(rateLimitCleanupInterval);
+  stopReleaseScheduler();
   watcher.close();
   server.close(() => {
     console.log('HTTP server closed');
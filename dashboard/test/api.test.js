@@ -3,6 +3,7 @@ import assert from 'node:assert';
 import express from 'express';
 import path from 'node:path';
 import fs from 'node:fs/promises';
+import os from 'node:os';
 import { fileURLToPath } from 'node:url';
 import apiRoutes from '../api/index.js';
 
@@ -50,6 +51,15 @@ async function apiRequest(endpoint, options = {}) {
   return { status: response.status, data };
 }
 
+// Headers for an episode PATCH carrying the revision from a fresh GET;
+// without a revision (the episode does not exist) If-Match is left out
+async function ifMatchHeaders(endpoint) {
+  const { data } = await apiRequest(endpoint);
+  const headers = { 'Content-Type': 'application/json' };
+  if (data.revision) headers['If-Match'] = `"${data.revision}"`;
+  return headers;
+}
+
 describe('API Functional Tests', () => {
   before(async () => {
     await startServer();
@@ -554,6 +564,7 @@ describe('API Functional Tests', () => {
 
       const { status, data } = await apiRequest(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`, {
         method: 'PATCH',
+        headers: await ifMatchHeaders(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`),
         body: JSON.stringify({ content_status: 'invalid_status' })
       });
 
@@ -568,6 +579,7 @@ describe('API Functional Tests', () => {
       const longTitle = 'a'.repeat(201);
       const { status, data } = await apiRequest(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`, {
         method: 'PATCH',
+        headers: await ifMatchHeaders(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`),
         body: JSON.stringify({ title: longTitle })
       });
 
@@ -581,6 +593,7 @@ describe('API Functional Tests', () => {
 
       const { status, data } = await apiRequest(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`, {
         method: 'PATCH',
+        headers: await ifMatchHeaders(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`),
         body: JSON.stringify({ unknown_field: 'value' })
       });
 
@@ -593,9 +606,11 @@ describe('API Functional Tests', () => {
     test('updates content_status successfully', async () => {
       if (!patchTestEpisode) return;
 
+      // status-transitions.yml: ready needs the production stages, which may be checked in the same edit
       const { status, data } = await apiRequest(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`, {
         method: 'PATCH',
-        body: JSON.stringify({ content_status: 'ready' })
+        headers: await ifMatchHeaders(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`),
+        body: JSON.stringify({ content_status: 'ready', workflow: { scripted: true, recorded: true, edited: true } })
       });
 
       assert.strictEqual(status, 200);
@@ -604,11 +619,45 @@ describe('API Functional Tests', () => {
       assert.strictEqual(data.metadata.content_status, 'ready');
     });
 
+    test('requires a reason to block an episode and clears it when unblocked', async () => {
+      if (!patchTestEpisode) return;
+      const endpoint = `/api/episodes/${patchTestSeries}/${patchTestEpisode}`;
+
+      const missing = await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({ content_status: 'blocked' })
+      });
+      assert.strictEqual(missing.status, 400);
+      assert.deepStrictEqual(missing.data.errors, ['Blocked episodes need a reason (release.blocked_by)']);
+
+      const blocked = await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({ content_status: 'blocked', release: { blocked_by: 'Waiting for sponsor sign-off' } })
+      });
+      assert.strictEqual(blocked.status, 200);
+      assert.strictEqual(blocked.data.metadata.content_status, 'blocked');
+      assert.strictEqual(blocked.data.metadata.release.blocked_by, 'Waiting for sponsor sign-off');
+      assert.match(blocked.data.metadata.release.blocked_since, /^\d{4}-\d{2}-\d{2}$/);
+
+      const archived = await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({ content_status: 'archived' })
+      });
+      assert.strictEqual(archived.status, 200);
+      assert.strictEqual(archived.data.metadata.content_status, 'archived');
+      assert.strictEqual(archived.data.metadata.release.blocked_by, '');
+      assert.strictEqual(archived.data.metadata.release.blocked_since, '');
+    });
+
     test('updates title successfully', async () => {
       if (!patchTestEpisode) return;
 
       const { status, data } = await apiRequest(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`, {
         method: 'PATCH',
+        headers: await ifMatchHeaders(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`),
         body: JSON.stringify({ title: 'Updated Title' })
       });
 
@@ -622,6 +671,7 @@ describe('API Functional Tests', () => {
 
       const { status, data } = await apiRequest(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`, {
         method: 'PATCH',
+        headers: await ifMatchHeaders(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`),
         body: JSON.stringify({
           workflow: {
             scripted: true,
@@ -641,6 +691,7 @@ describe('API Functional Tests', () => {
 
       const { status, data } = await apiRequest(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`, {
         method: 'PATCH',
+        headers: await ifMatchHeaders(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`),
         body: JSON.stringify({ title: 'Title\x00With\x1FControl\x7FChars' })
       });
 
@@ -662,600 +713,745 @@ describe('API Functional Tests', () => {
       assert.strictEqual(data.success, false);
       assert.ok(data.error.includes('Invalid request body'), 'error should mention invalid request body');
     });
-  });
 
-  describe('Security Tests', () => {
-    describe('Path Traversal Prevention', () => {
-      test('rejects series name with ../', async () => {
-        const { status, data } = await apiRequest('/api/episodes', {
-          method: 'POST',
-          body: JSON.stringify({
-            series: '../etc',
-            topic: 'test',
-            title: 'Test'
-          })
-        });
+    test('GET returns the revision as an ETag', async () => {
+      if (!patchTestEpisode) return;
 
-        assert.strictEqual(status, 400);
-        assert.strictEqual(data.success, false);
-      });
+      const response = await fetch(`${baseUrl}/api/episodes/${patchTestSeries}/${patchTestEpisode}`);
+      const data = await response.json();
 
-      test('rejects series name with ..\\', async () => {
-        const { status, data } = await apiRequest('/api/episodes', {
-          method: 'POST',
-          body: JSON.stringify({
-            series: '..\\etc',
-            topic: 'test',
-            title: 'Test'
-          })
-        });
+      assert.ok(data.revision);
+      assert.strictEqual(response.headers.get('etag'), `"${data.revision}"`);
+    });
 
-        assert.strictEqual(status, 400);
-        assert.strictEqual(data.success, false);
+    test('returns 428 without If-Match', async () => {
+      if (!patchTestEpisode) return;
+
+      const { status, data } = await apiRequest(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ content_status: 'ready' })
       });
 
-      test('sanitizes topic with path traversal via slugify', async () => {
-        // Path traversal chars are stripped by slugify, making it safe
-        // ../../../etc/passwd becomes etcpasswd
-        const { status, data } = await apiRequest('/api/episodes', {
-          method: 'POST',
-          body: JSON.stringify({
-            series: 'path-traversal-test',
-            topic: '../../../etc/passwd',
-            title: 'Test'
-          })
-        });
+      assert.strictEqual(status, 428);
+      assert.strictEqual(data.success, false);
+    });
 
-        // Should succeed because slugify strips dangerous chars
-        if (status === 201) {
-          assert.strictEqual(data.success, true);
-          // The slug should not contain any path traversal characters
-          assert.ok(!data.episode.episode.includes('..'), 'slug should not contain ..');
-          assert.ok(!data.episode.episode.includes('/'), 'slug should not contain /');
+    test('rejects a weak ETag in If-Match', async () => {
+      if (!patchTestEpisode) return;
 
-          // Clean up
-          try {
-            await fs.rm(path.join(testSeriesDir, 'path-traversal-test'), { recursive: true, force: true });
-          } catch (err) {
-            // Ignore cleanup errors
-          }
-        }
+      const endpoint = `/api/episodes/${patchTestSeries}/${patchTestEpisode}`;
+      const { data: current } = await apiRequest(endpoint);
+      const { status } = await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', 'If-Match': `W/"${current.revision}"` },
+        body: JSON.stringify({ title: 'Weak Match' })
       });
 
-      test('rejects series with absolute path', async () => {
-        const { status, data } = await apiRequest('/api/episodes', {
-          method: 'POST',
-          body: JSON.stringify({
-            series: '/etc/passwd',
-            topic: 'test',
-            title: 'Test'
-          })
-        });
+      assert.strictEqual(status, 409);
+    });
 
-        assert.strictEqual(status, 400);
-        assert.strictEqual(data.success, false);
-      });
+    test('returns 409 with both versions when the revision is stale', async () => {
+      if (!patchTestEpisode) return;
 
-      test('rejects series with encoded path traversal', async () => {
-        const { status, data } = await apiRequest('/api/episodes', {
-          method: 'POST',
-          body: JSON.stringify({
-            series: '..%2F..%2Fetc',
-            topic: 'test',
-            title: 'Test'
-          })
-        });
+      const endpoint = `/api/episodes/${patchTestSeries}/${patchTestEpisode}`;
+      const staleHeaders = await ifMatchHeaders(endpoint);
 
-        assert.strictEqual(status, 400);
-        assert.strictEqual(data.success, false);
+      // Someone else saves first
+      const first = await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: staleHeaders,
+        body: JSON.stringify({ title: 'Saved First' })
       });
-    });
+      assert.strictEqual(first.status, 200);
+      assert.notStrictEqual(`"${first.data.revision}"`, staleHeaders['If-Match']);
 
-    describe('XSS Prevention', () => {
-      test('strips HTML tags from title', async () => {
-        const { status, data } = await apiRequest('/api/episodes', {
-          method: 'POST',
-          body: JSON.stringify({
-            series: 'xss-test-series',
-            topic: 'xss-test',
-            title: '<script>alert("xss")</script>Clean Title'
-          })
-        });
+      const { status, data } = await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: staleHeaders,
+        body: JSON.stringify({ title: 'Saved Second' })
+      });
 
-        // Should succeed but with sanitized title
-        if (status === 201) {
-          assert.strictEqual(data.success, true);
-          assert.ok(!data.episode.title.includes('<script>'), 'title should not contain script tags');
-          assert.ok(data.episode.title.includes('Clean Title'), 'title should contain clean text');
+      assert.strictEqual(status, 409);
+      assert.strictEqual(data.success, false);
+      assert.strictEqual(data.revision, first.data.revision);
+      assert.strictEqual(data.current.title, 'Saved First');
+      assert.deepStrictEqual(data.submitted, { title: 'Saved Second' });
 
-          // Clean up
-          try {
-            await fs.rm(path.join(testSeriesDir, 'xss-test-series'), { recursive: true, force: true });
-          } catch (err) {
-            // Ignore cleanup errors
-          }
-        }
+      const { data: after } = await apiRequest(endpoint);
+      assert.strictEqual(after.metadata.title, 'Saved First');
+    });
+
+    test('updates publishing, recording, series and analytics fields', async () => {
+      if (!patchTestEpisode) return;
+      const endpoint = `/api/episodes/${patchTestSeries}/${patchTestEpisode}`;
+      await fs.writeFile(path.join(testSeriesDir, patchTestSeries, patchTestEpisode, 'cover.png'), 'png', 'utf8');
+
+      const { status, data } = await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({
+          category: 22,
+          privacy: 'unlisted',
+          playlist: 'Tutorials',
+          scheduled_at: '2025-06-01T17:00:00.000Z',
+          thumbnail: 'cover.png',
+          distribution: { platforms: ['youtube'] },
+          release: { notes: 'After launch', depends_on: ['v1.0 shipped'] },
+          recording: { date: '2025-05-20', duration_final: '12:30', format: '1080p' },
+          series: { episode_number: 3 },
+          analytics: { youtube_id: 'dQw4w9WgXcQ', views_24h: 120, ctr: 4.5, avg_view_duration: '4:32' }
+        })
       });
 
-      test('strips HTML tags from description', async () => {
-        const { status, data } = await apiRequest('/api/episodes', {
-          method: 'POST',
-          body: JSON.stringify({
-            series: 'xss-test-series-2',
-            topic: 'xss-desc-test',
-            title: 'Normal Title',
-            description: '<img src=x onerror=alert("xss")>Safe description'
-          })
-        });
+      assert.strictEqual(status, 200, JSON.stringify(data));
+      assert.strictEqual(data.metadata.category, 22);
+      assert.strictEqual(data.metadata.privacy, 'unlisted');
+      assert.strictEqual(data.metadata.scheduled_at, '2025-06-01T17:00:00.000Z');
+      assert.strictEqual(data.metadata.thumbnail, 'cover.png');
+      assert.deepStrictEqual(data.metadata.distribution.platforms, ['youtube']);
+      assert.strictEqual(data.metadata.release.notes, 'After launch');
+      assert.strictEqual(data.metadata.recording.format, '1080p');
+      assert.strictEqual(data.metadata.series.episode_number, 3);
+      assert.strictEqual(data.metadata.analytics.ctr, 4.5);
+    });
 
-        if (status === 201) {
-          assert.strictEqual(data.success, true);
-          assert.ok(!data.episode.description.includes('<img'), 'description should not contain img tags');
-          assert.ok(data.episode.description.includes('Safe description'), 'description should contain clean text');
+    test('rejects invalid values for the typed fields', async () => {
+      if (!patchTestEpisode) return;
+      const endpoint = `/api/episodes/${patchTestSeries}/${patchTestEpisode}`;
 
-          // Clean up
-          try {
-            await fs.rm(path.join(testSeriesDir, 'xss-test-series-2'), { recursive: true, force: true });
-          } catch (err) {
-            // Ignore cleanup errors
-          }
-        }
+      const { status, data } = await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({
+          category: 99,
+          privacy: 'friends',
+          scheduled_at: '2025-06-01',
+          thumbnail: 'missing.png',
+          distribution: { platforms: ['myspace'] },
+          recording: { duration_raw: 'an hour' },
+          series: { episode_number: -1 },
+          analytics: { views_7d: 1.5 }
+        })
       });
 
-      test('rejects title that becomes empty after HTML stripping', async () => {
-        // Only tags, no text content - should become empty after stripping
-        const { status, data } = await apiRequest('/api/episodes', {
-          method: 'POST',
-          body: JSON.stringify({
-            series: 'test-series',
-            topic: 'empty-title-test',
-            title: '<script></script><div></div>'
-          })
+      assert.strictEqual(status, 400);
+      for (const expected of ['Category', 'Privacy', 'Scheduled time', "Thumbnail 'missing.png'", 'myspace', 'Raw duration', 'Episode number', 'Views (7d)']) {
+        assert.ok(data.errors.some(e => e.includes(expected)), `expected an error about ${expected}: ${data.errors}`);
+      }
+    });
+
+    test('rejects thumbnails outside the episode folder or that are not images', async () => {
+      if (!patchTestEpisode) return;
+      const endpoint = `/api/episodes/${patchTestSeries}/${patchTestEpisode}`;
+
+      for (const thumbnail of ['../../../package.json', 'script.md']) {
+        const { status, data } = await apiRequest(endpoint, {
+          method: 'PATCH',
+          headers: await ifMatchHeaders(endpoint),
+          body: JSON.stringify({ thumbnail })
         });
 
         assert.strictEqual(status, 400);
-        assert.strictEqual(data.success, false);
-        assert.ok(data.error.includes('empty'), 'error should mention empty');
-      });
+        assert.ok(data.errors[0].startsWith('Thumbnail must be'), data.errors[0]);
+      }
+    });
 
-      test('preserves text content when stripping HTML tags', async () => {
-        // Text inside tags should be preserved
-        const { status, data } = await apiRequest('/api/episodes', {
-          method: 'POST',
-          body: JSON.stringify({
-            series: 'xss-preserve-test',
-            topic: 'preserve-text',
-            title: '<script>alert("xss")</script>'
-          })
-        });
+    test('keeps comments and layout of metadata.yml', async () => {
+      if (!patchTestEpisode) return;
 
-        if (status === 201) {
-          // The text content is preserved, just tags stripped
-          assert.strictEqual(data.episode.title, 'alert("xss")');
+      const metadataPath = path.join(testSeriesDir, patchTestSeries, patchTestEpisode, 'metadata.yml');
+      const original = '# Episode notes\ncontent_status: draft # current state\n\nrelease:\n  target_date: ""\n\ntitle: "Commented"\ndescription: |\n  Line one\n' +
+        'workflow:\n  scripted: true\n  recorded: true\n  edited: true\n';
+      await fs.writeFile(metadataPath, original, 'utf8');
 
-          // Clean up
-          try {
-            await fs.rm(path.join(testSeriesDir, 'xss-preserve-test'), { recursive: true, force: true });
-          } catch (err) {
-            // Ignore cleanup errors
-          }
-        }
+      const { status } = await apiRequest(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(`/api/episodes/${patchTestSeries}/${patchTestEpisode}`),
+        body: JSON.stringify({ content_status: 'ready', release: { target_date: '2025-06-01' } })
       });
 
-      test('handles nested HTML tags in title', async () => {
-        const { status, data } = await apiRequest('/api/episodes', {
-          method: 'POST',
-          body: JSON.stringify({
-            series: 'xss-test-series-3',
-            topic: 'nested-tags',
-            title: '<div><script>evil()</script><b>Bold</b></div>Text'
-          })
-        });
+      assert.strictEqual(status, 200);
+      const updated = await fs.readFile(metadataPath, 'utf8');
+      const expected = original
+        .replace('content_status: draft', 'content_status: ready')
+        .replace('target_date: ""', 'target_date: "2025-06-01"');
+      // The status change is added to status_history at the end of the file
+      assert.strictEqual(updated.slice(0, expected.length), expected);
+      assert.match(updated.slice(expected.length), /^status_history:\n {2}- status: ready\n {4}timestamp: "[^"]+"\n {4}source: dashboard\n$/);
+    });
+  });
 
-        if (status === 201) {
-          assert.ok(!data.episode.title.includes('<'), 'title should not contain any HTML');
+  describe('Episode revision history', () => {
+    const historySeries = 'history-test-series';
+    let endpoint = null;
 
-          // Clean up
-          try {
-            await fs.rm(path.join(testSeriesDir, 'xss-test-series-3'), { recursive: true, force: true });
-          } catch (err) {
-            // Ignore cleanup errors
-          }
-        }
+    before(async () => {
+      const { status, data } = await apiRequest('/api/episodes', {
+        method: 'POST',
+        body: JSON.stringify({ series: historySeries, topic: 'history-test', title: 'History Test' })
       });
+      if (status === 201 && data.episode) {
+        endpoint = `/api/episodes/${historySeries}/${data.episode.episode}`;
+      }
     });
-  });
-
-  describe('Asset Management Tests', () => {
-    const testAssetsDir = path.join(__dirname, '../../assets');
-    const testFolderName = 'api-test-folder';
-    const testSubFolder = 'api-test-subfolder';
 
     after(async () => {
-      // Clean up test folders
-      try {
-        await fs.rm(path.join(testAssetsDir, testFolderName), { recursive: true, force: true });
-        await fs.rm(path.join(testAssetsDir, testSubFolder), { recursive: true, force: true });
-        await fs.rm(path.join(testAssetsDir, 'renamed-folder'), { recursive: true, force: true });
-      } catch (err) {
-        // Ignore cleanup errors
-      }
+      await fs.rm(path.join(testSeriesDir, historySeries), { recursive: true, force: true });
     });
 
-    describe('POST /api/assets/folder', () => {
-      test('creates folder successfully', async () => {
-        const { status, data } = await apiRequest('/api/assets/folder', {
-          method: 'POST',
-          body: JSON.stringify({ name: testFolderName })
-        });
+    test('records episode creation and edits, newest first', async () => {
+      if (!endpoint) return;
 
-        assert.strictEqual(status, 200);
-        assert.strictEqual(data.success, true);
-        assert.ok(data.folder, 'should return folder data');
-        assert.strictEqual(data.folder.name, testFolderName);
+      await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({ description: 'Overwritten by mistake' })
       });
 
-      test('returns 400 for duplicate folder', async () => {
-        // Try to create the same folder again
-        const { status, data } = await apiRequest('/api/assets/folder', {
-          method: 'POST',
-          body: JSON.stringify({ name: testFolderName })
-        });
+      const { status, data } = await apiRequest(`${endpoint}/history`);
 
-        assert.strictEqual(status, 400);
-        assert.strictEqual(data.success, false);
-        assert.ok(data.error.includes('exists'), 'error should mention exists');
-      });
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.success, true);
+      const [latest] = data.history;
+      assert.strictEqual(latest.source, 'dashboard');
+      assert.strictEqual(latest.action, 'update');
+      assert.strictEqual(latest.file, 'metadata.yml');
+      assert.ok(latest.diff.includes('+  Overwritten by mistake'), latest.diff);
+      assert.strictEqual(latest.restorable, true);
+      assert.ok(latest.timestamp);
+      assert.strictEqual(latest.before, undefined, 'contents are not sent');
+
+      const created = data.history.filter(entry => entry.action === 'create');
+      assert.deepStrictEqual(created.map(entry => entry.file).sort(), ['metadata.yml', 'notes.md', 'script.md']);
+      assert.ok(created.every(entry => entry.restorable === false));
+
+      const { data: filtered } = await apiRequest(`${endpoint}/history?file=notes.md`);
+      assert.ok(filtered.history.every(entry => entry.file === 'notes.md'));
+
+      const { data: details } = await apiRequest(endpoint);
+      assert.ok(!details.files.some(file => file.name === '.history.jsonl'), 'history file is not listed');
+    });
 
-      test('returns 400 for empty folder name', async () => {
-        const { status, data } = await apiRequest('/api/assets/folder', {
-          method: 'POST',
-          body: JSON.stringify({ name: '' })
-        });
+    test('restores the version before a revision and records the restore', async () => {
+      if (!endpoint) return;
 
-        assert.strictEqual(status, 400);
-        assert.strictEqual(data.success, false);
+      const { data: before } = await apiRequest(endpoint);
+      await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({ content_status: 'archived' })
       });
+      const { data: history } = await apiRequest(`${endpoint}/history`);
+      const mistake = history.history[0];
 
-      test('sanitizes folder name with special characters', async () => {
-        const { status, data } = await apiRequest('/api/assets/folder', {
-          method: 'POST',
-          body: JSON.stringify({ name: 'test<script>alert(1)</script>folder' })
-        });
+      const { status, data } = await apiRequest(`${endpoint}/history/${mistake.id}/restore`, { method: 'POST' });
 
-        if (status === 200) {
-          assert.ok(!data.folder.name.includes('<'), 'folder name should not contain special chars');
-          // Clean up
-          await fs.rm(path.join(testAssetsDir, data.folder.name), { recursive: true, force: true }).catch(() => {});
-        }
-      });
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.success, true);
+      assert.strictEqual(data.file, 'metadata.yml');
+      assert.strictEqual(data.metadata.content_status, before.metadata.content_status);
+      // Going back to the earlier status is recorded in status_history
+      const [last] = data.metadata.status_history.slice(-1);
+      assert.deepStrictEqual([last.status, last.source], [before.metadata.content_status, 'dashboard']);
+      assert.strictEqual(data.metadata.status_history.length, (before.metadata.status_history || []).length + 1);
+
+      const { data: after } = await apiRequest(endpoint);
+      assert.strictEqual(after.revision, data.revision);
+
+      const { data: updated } = await apiRequest(`${endpoint}/history`);
+      assert.strictEqual(updated.history[0].action, 'restore');
+      assert.strictEqual(updated.history[0].restored_from, mistake.id);
+    });
 
-      test('rejects path traversal in folder name', async () => {
-        const { status, data } = await apiRequest('/api/assets/folder', {
-          method: 'POST',
-          body: JSON.stringify({ name: '../../../etc' })
-        });
+    test('checks a restored status against status-transitions.yml', async () => {
+      if (!endpoint) return;
 
-        // Should either be rejected or sanitized to safe name
-        if (status === 200) {
-          assert.ok(!data.folder.name.includes('..'), 'folder name should not contain ..');
-          await fs.rm(path.join(testAssetsDir, data.folder.name), { recursive: true, force: true }).catch(() => {});
-        } else {
-          assert.strictEqual(status, 400);
-        }
+      await apiRequest(`${endpoint}?override=${encodeURIComponent('Testing restores')}`, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({ content_status: 'ready' })
       });
-
-      test('rejects path traversal in parent path', async () => {
-        const { status, data } = await apiRequest('/api/assets/folder', {
-          method: 'POST',
-          body: JSON.stringify({
-            path: '../../../etc',
-            name: 'evil'
-          })
-        });
-
-        assert.strictEqual(status, 400);
-        assert.strictEqual(data.success, false);
+      await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({ content_status: 'draft' })
       });
+      const { data: history } = await apiRequest(`${endpoint}/history?file=metadata.yml`);
+      const backToDraft = history.history[0];
+
+      // Restoring the version before it moves the episode to ready again, whose stages are not done
+      const refused = await apiRequest(`${endpoint}/history/${backToDraft.id}/restore`, { method: 'POST' });
+      assert.strictEqual(refused.status, 422);
+      assert.deepStrictEqual([refused.data.from, refused.data.to], ['draft', 'ready']);
+      assert.ok(refused.data.unmet.length > 0);
+      assert.strictEqual((await apiRequest(endpoint)).data.metadata.content_status, 'draft');
+
+      const forced = await apiRequest(`${endpoint}/history/${backToDraft.id}/restore?override=${encodeURIComponent('Undo the revert')}`, { method: 'POST' });
+      assert.strictEqual(forced.status, 200);
+      assert.strictEqual(forced.data.metadata.content_status, 'ready');
+      const { data: updated } = await apiRequest(`${endpoint}/history?file=metadata.yml`);
+      assert.strictEqual(updated.history[0].override.reason, 'Undo the revert');
+    });
 
-      test('returns 400 when request body is an array', async () => {
-        const { status, data } = await apiRequest('/api/assets/folder', {
-          method: 'POST',
-          body: JSON.stringify([{ name: 'test-folder' }])
-        });
+    test('refuses to restore a revision without an earlier version', async () => {
+      if (!endpoint) return;
 
-        assert.strictEqual(status, 400);
-        assert.strictEqual(data.success, false);
-        assert.ok(data.error.includes('Invalid request body'), 'error should mention invalid request body');
-      });
+      const { data: history } = await apiRequest(`${endpoint}/history?file=script.md`);
+      const creation = history.history.find(entry => entry.action === 'create');
+
+      const { status, data } = await apiRequest(`${endpoint}/history/${creation.id}/restore`, { method: 'POST' });
+      assert.strictEqual(status, 409);
+      assert.strictEqual(data.success, false);
     });
 
-    describe('DELETE /api/assets/*', () => {
-      before(async () => {
-        // Create a folder to delete
-        await apiRequest('/api/assets/folder', {
-          method: 'POST',
-          body: JSON.stringify({ name: testSubFolder })
-        });
-      });
+    test('returns 404 for unknown revisions and 400 for untracked files', async () => {
+      if (!endpoint) return;
 
-      test('deletes folder successfully', async () => {
-        const { status, data } = await apiRequest(`/api/assets/${testSubFolder}`, {
-          method: 'DELETE'
-        });
+      const missing = await apiRequest(`${endpoint}/history/nope/restore`, { method: 'POST' });
+      assert.strictEqual(missing.status, 404);
 
-        assert.strictEqual(status, 200);
-        assert.strictEqual(data.success, true);
-      });
+      const invalid = await apiRequest(`${endpoint}/history?file=../secrets`);
+      assert.strictEqual(invalid.status, 400);
+    });
+  });
 
-      test('returns 404 for non-existent path', async () => {
-        const { status, data } = await apiRequest('/api/assets/nonexistent-folder-12345', {
-          method: 'DELETE'
-        });
+  describe('Episode bundles', () => {
+    const bundleSeries = 'bundle-test-series';
+    const importSeries = 'bundle-import-test-series';
+    let endpoint = null;
+    let episodeName = null;
 
-        assert.strictEqual(status, 404);
-        assert.strictEqual(data.success, false);
+    before(async () => {
+      const { status, data } = await apiRequest('/api/episodes', {
+        method: 'POST',
+        body: JSON.stringify({ series: bundleSeries, topic: 'bundle-test', title: 'Bundle Test' })
       });
+      if (status === 201 && data.episode) {
+        episodeName = data.episode.episode;
+        endpoint = `/api/episodes/${bundleSeries}/${episodeName}`;
+      }
+    });
 
-      test('returns 400 for missing path', async () => {
-        const { status, data } = await apiRequest('/api/assets/', {
-          method: 'DELETE'
-        });
+    after(async () => {
+      await fs.rm(path.join(testSeriesDir, bundleSeries), { recursive: true, force: true });
+      await fs.rm(path.join(testSeriesDir, importSeries), { recursive: true, force: true });
+    });
 
-        assert.strictEqual(status, 400);
-        assert.strictEqual(data.success, false);
-      });
+    async function importBundle(series, zip, fields = {}) {
+      const form = new FormData();
+      form.append('bundle', new Blob([zip], { type: 'application/zip' }), 'bundle.zip');
+      for (const [key, value] of Object.entries(fields)) {
+        form.append(key, value);
+      }
+      const response = await fetch(`${baseUrl}/api/series/${encodeURIComponent(series)}/import`, { method: 'POST', body: form });
+      return { status: response.status, data: await response.json() };
+    }
 
-      test('rejects path traversal attempt', async () => {
-        const { status, data } = await apiRequest('/api/assets/..%2F..%2Fetc', {
-          method: 'DELETE'
-        });
+    test('exports the selected parts as a zip and imports it into another series', async () => {
+      if (!endpoint) return;
+
+      const response = await fetch(`${baseUrl}${endpoint}/export?include=metadata,script`);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get('content-type'), 'application/zip');
+      assert.match(response.headers.get('content-disposition'), /attachment; filename="bundle-test-series-.*\.zip"/);
+      const zip = Buffer.from(await response.arrayBuffer());
+      assert.strictEqual(zip.readUInt32LE(0), 0x04034b50);
+
+      const created = await importBundle(importSeries, zip);
+      assert.strictEqual(created.status, 201);
+      assert.strictEqual(created.data.path, `series/${importSeries}/${episodeName}`);
+      assert.deepStrictEqual(created.data.files, ['metadata.yml', 'script.md']);
+      const { data: imported } = await apiRequest(`/api/episodes/${importSeries}/${episodeName}`);
+      assert.strictEqual(imported.metadata.title, 'Bundle Test');
+
+      const conflict = await importBundle(importSeries, zip);
+      assert.strictEqual(conflict.status, 409);
+      const renamed = await importBundle(importSeries, zip, { on_conflict: 'rename' });
+      assert.strictEqual(renamed.data.episode, `${episodeName}-2`);
+    });
 
-        assert.strictEqual(status, 400);
-        assert.strictEqual(data.success, false);
-      });
+    test('rejects invalid exports and uploads', async () => {
+      if (!endpoint) return;
 
-      test('prevents deleting assets root', async () => {
-        const { status, data } = await apiRequest('/api/assets/.', {
-          method: 'DELETE'
-        });
+      assert.strictEqual((await apiRequest(`${endpoint}/export?include=raw`)).status, 400);
+      assert.strictEqual((await apiRequest(`/api/episodes/${bundleSeries}/missing/export`)).status, 404);
 
-        assert.strictEqual(status, 400);
-        assert.strictEqual(data.success, false);
-      });
-    });
+      const notZip = await importBundle(importSeries, Buffer.from('not a zip'));
+      assert.strictEqual(notZip.status, 400);
+      assert.match(notZip.data.error, /Invalid bundle/);
 
-    describe('PATCH /api/assets/* (rename)', () => {
-      before(async () => {
-        // Create a folder to rename
-        await apiRequest('/api/assets/folder', {
-          method: 'POST',
-          body: JSON.stringify({ name: 'rename-test-folder' })
-        });
-      });
+      const badMode = await importBundle(importSeries, Buffer.from('x'), { on_conflict: 'merge' });
+      assert.strictEqual(badMode.status, 400);
 
-      after(async () => {
-        // Clean up
-        await fs.rm(path.join(testAssetsDir, 'rename-test-folder'), { recursive: true, force: true }).catch(() => {});
-        await fs.rm(path.join(testAssetsDir, 'renamed-folder'), { recursive: true, force: true }).catch(() => {});
-      });
+      const noFile = await fetch(`${baseUrl}/api/series/${importSeries}/import`, { method: 'POST', body: new FormData() });
+      assert.strictEqual(noFile.status, 400);
+    });
+  });
 
-      test('renames folder successfully', async () => {
-        const { status, data } = await apiRequest('/api/assets/rename-test-folder', {
-          method: 'PATCH',
-          body: JSON.stringify({ newPath: 'renamed-folder' })
-        });
+  describe('Recording from export', () => {
+    const recordingSeries = 'recording-test-series';
+    let endpoint = null;
+    let episodePath = null;
 
-        assert.strictEqual(status, 200);
-        assert.strictEqual(data.success, true);
-        assert.ok(data.newPath, 'should return new path');
+    before(async () => {
+      const { status, data } = await apiRequest('/api/episodes', {
+        method: 'POST',
+        body: JSON.stringify({ series: recordingSeries, topic: 'recording-test', title: 'Recording Test' })
       });
+      if (status === 201 && data.episode) {
+        endpoint = `/api/episodes/${recordingSeries}/${data.episode.episode}`;
+        episodePath = path.join(testSeriesDir, recordingSeries, data.episode.episode);
+      }
+    });
 
-      test('returns 404 for non-existent source', async () => {
-        const { status, data } = await apiRequest('/api/assets/nonexistent-folder-xyz', {
-          method: 'PATCH',
-          body: JSON.stringify({ newPath: 'new-name' })
-        });
+    after(async () => {
+      await fs.rm(path.join(testSeriesDir, recordingSeries), { recursive: true, force: true });
+    });
 
-        assert.strictEqual(status, 404);
-        assert.strictEqual(data.success, false);
-      });
+    test('fills the final duration from the newest export and lists its media info', async () => {
+      if (!endpoint) return;
+
+      const missing = await apiRequest(`${endpoint}/recording-from-export`, { method: 'POST', body: '{}' });
+      assert.strictEqual(missing.status, 404);
+
+      // 3.5 seconds of 8 kHz mono 16-bit audio
+      const header = Buffer.alloc(44);
+      header.write('RIFF', 0, 'latin1');
+      header.write('WAVEfmt ', 8, 'latin1');
+      header.writeUInt32LE(16, 16);
+      header.writeUInt16LE(1, 20);
+      header.writeUInt16LE(1, 22);
+      header.writeUInt32LE(8000, 24);
+      header.writeUInt32LE(16000, 28);
+      header.write('data', 36, 'latin1');
+      header.writeUInt32LE(56000, 40);
+      await fs.writeFile(path.join(episodePath, 'exports', 'final.wav'), Buffer.concat([header, Buffer.alloc(56000)]));
+
+      const { status, data } = await apiRequest(`${endpoint}/recording-from-export`, { method: 'POST', body: '{}' });
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.file, 'exports/final.wav');
+      // An audio export has no resolution, so the format is left alone
+      assert.deepStrictEqual(data.recording, { duration_final: '0:04' });
+      assert.strictEqual(data.metadata.recording.duration_final, '0:04');
+      assert.strictEqual(data.metadata.recording.format, '4K');
+
+      const { data: details } = await apiRequest(`${endpoint}/files`);
+      const exported = details.files.find(file => file.name === 'exports/final.wav');
+      assert.strictEqual(exported.media.container, 'wav');
+      assert.strictEqual(exported.media.duration, 3.5);
+      assert.strictEqual(exported.media.duration_formatted, '0:04');
+
+      // Episode reads list the file without reading its headers
+      const { data: episodeDetails } = await apiRequest(endpoint);
+      assert.strictEqual(episodeDetails.files.find(file => file.name === 'exports/final.wav').media, undefined);
+
+      const other = await apiRequest(`${endpoint}/recording-from-export`, { method: 'POST', body: JSON.stringify({ file: 'raw/take.wav' }) });
+      assert.strictEqual(other.status, 404);
+      assert.strictEqual((await apiRequest(`/api/episodes/${recordingSeries}/missing/recording-from-export`, { method: 'POST', body: '{}' })).status, 404);
+      assert.strictEqual((await apiRequest(`/api/episodes/${recordingSeries}/missing/files`)).status, 404);
+    });
+  });
 
-      test('returns 400 for missing newPath', async () => {
-        const { status, data } = await apiRequest('/api/assets/renamed-folder', {
-          method: 'PATCH',
-          body: JSON.stringify({})
-        });
+  describe('Publish packages', () => {
+    const publishSeries = 'publish-test-series';
+    let endpoint = null;
+    let episodePath = null;
 
-        assert.strictEqual(status, 400);
-        assert.strictEqual(data.success, false);
+    before(async () => {
+      const { status, data } = await apiRequest('/api/episodes', {
+        method: 'POST',
+        body: JSON.stringify({ series: publishSeries, topic: 'publish-test', title: 'Publish Test' })
       });
+      if (status === 201 && data.episode) {
+        endpoint = `/api/episodes/${publishSeries}/${data.episode.episode}`;
+        episodePath = path.join(testSeriesDir, publishSeries, data.episode.episode);
+      }
+    });
 
-      test('rejects path traversal in current path', async () => {
-        const { status, data } = await apiRequest('/api/assets/..%2F..%2Fetc', {
-          method: 'PATCH',
-          body: JSON.stringify({ newPath: 'new-name' })
-        });
+    after(async () => {
+      await fs.rm(path.join(testSeriesDir, publishSeries), { recursive: true, force: true });
+    });
 
-        assert.strictEqual(status, 400);
-        assert.strictEqual(data.success, false);
-      });
+    test('writes the packages of the episode platforms and reports what is missing', async () => {
+      if (!endpoint) return;
 
-      test('rejects path traversal in new path', async () => {
-        const { status, data } = await apiRequest('/api/assets/renamed-folder', {
-          method: 'PATCH',
-          body: JSON.stringify({ newPath: '../../../etc/evil' })
-        });
+      await fs.writeFile(path.join(episodePath, 'social-posts.md'), '## LinkedIn\n\nPublish Test is out\n', 'utf8');
+      const { status, data } = await apiRequest(`${endpoint}/publish-package`, { method: 'POST' });
 
-        assert.strictEqual(status, 400);
-        assert.strictEqual(data.success, false);
-      });
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.success, true);
+      assert.strictEqual(data.directory, 'exports/publish');
+      assert.strictEqual(data.complete, false);
+      const byPlatform = Object.fromEntries(data.platforms.map(entry => [entry.platform, entry]));
+      assert.strictEqual(byPlatform.linkedin.file, 'exports/publish/linkedin.txt');
+      assert.strictEqual(byPlatform.youtube.file, null);
+      assert.ok(byPlatform.youtube.missing.some(problem => problem.startsWith('thumbnail')));
+      assert.deepStrictEqual(byPlatform.bluesky.missing, ['text (no Blue Sky post in social-posts.md)']);
+      assert.strictEqual(
+        await fs.readFile(path.join(episodePath, 'exports', 'publish', 'linkedin.txt'), 'utf8'),
+        'Publish Test is out\n'
+      );
+    });
 
-      test('sanitizes filename with special characters', async () => {
-        // Create a test folder first
-        await apiRequest('/api/assets/folder', {
-          method: 'POST',
-          body: JSON.stringify({ name: 'sanitize-test-folder' })
-        });
+    test('reports the readiness of each platform', async () => {
+      if (!endpoint) return;
 
-        const { status, data } = await apiRequest('/api/assets/sanitize-test-folder', {
-          method: 'PATCH',
-          body: JSON.stringify({ newPath: 'test<script>name' })
-        });
+      const { status, data } = await apiRequest(`${endpoint}/readiness`);
 
-        if (status === 200) {
-          assert.ok(!data.newPath.includes('<'), 'new path should not contain special chars');
-          await fs.rm(path.join(testAssetsDir, data.newPath), { recursive: true, force: true }).catch(() => {});
-        }
-        // Clean up original if rename failed
-        await fs.rm(path.join(testAssetsDir, 'sanitize-test-folder'), { recursive: true, force: true }).catch(() => {});
-      });
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.status, 'fail');
+      const youtube = data.platforms.find(entry => entry.platform === 'youtube');
+      assert.strictEqual(youtube.status, 'fail');
+      // A new episode still has the template's description and trailing empty tag
+      assert.match(youtube.checks.find(check => check.requirement === 'description').message, /^Still has template text: \[/);
+      assert.strictEqual(youtube.checks.find(check => check.requirement === 'tags').status, 'warn');
+      assert.strictEqual(data.platforms.find(entry => entry.platform === 'linkedin').status, 'pass');
+    });
 
-      test('returns 400 when request body is an array', async () => {
-        const { status, data } = await apiRequest('/api/assets/some-folder', {
-          method: 'PATCH',
-          body: JSON.stringify([{ newPath: 'test' }])
-        });
+    test('reads the thumbnail size for the file list and the readiness check', async () => {
+      if (!endpoint) return;
+
+      const header = Buffer.alloc(24);
+      Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 13]).copy(header);
+      header.write('IHDR', 12, 'ascii');
+      header.writeUInt32BE(1000, 16);
+      header.writeUInt32BE(1000, 20);
+      await fs.writeFile(path.join(episodePath, 'thumbnail.png'), header);
+
+      const { data: details } = await apiRequest(`${endpoint}/files`);
+      const thumbnail = details.files.find(file => file.name === 'thumbnail.png');
+      assert.strictEqual(thumbnail.dimensions.format, 'png');
+      assert.strictEqual(thumbnail.dimensions.width, 1000);
+      assert.ok(thumbnail.dimensions.specs.thumbnail.warnings.includes('1000x1000 is not 16:9'));
+      assert.strictEqual(details.files.find(file => file.name === 'metadata.yml').dimensions, null);
+
+      const { data } = await apiRequest(`${endpoint}/readiness`);
+      const check = data.platforms.find(entry => entry.platform === 'youtube').checks.find(entry => entry.requirement === 'thumbnail');
+      assert.strictEqual(check.status, 'warn');
+      assert.match(check.message, /^thumbnail\.png, 1000x1000 PNG: 1000x1000 is not 16:9/);
+    });
 
-        assert.strictEqual(status, 400);
-        assert.strictEqual(data.success, false);
-        assert.ok(data.error.includes('Invalid request body'), 'error should mention invalid request body');
-      });
+    test('returns 404 for a missing episode', async () => {
+      const { status } = await apiRequest(`/api/episodes/${publishSeries}/missing/publish-package`, { method: 'POST' });
+      assert.strictEqual(status, 404);
+      assert.strictEqual((await apiRequest(`/api/episodes/${publishSeries}/missing/readiness`)).status, 404);
     });
   });
 
-  describe('Calendar Feature Tests', () => {
-    const calendarTestSeries = 'calendar-test-series';
-    let calendarTestEpisode = null;
+  describe('Status transition rules', () => {
+    const rulesSeries = 'transition-test-series';
+    let endpoint = null;
 
-    after(async () => {
-      // Clean up calendar test series
-      try {
-        await fs.rm(path.join(testSeriesDir, calendarTestSeries), { recursive: true, force: true });
-      } catch (err) {
-        // Ignore cleanup errors
+    before(async () => {
+      const { status, data } = await apiRequest('/api/episodes', {
+        method: 'POST',
+        body: JSON.stringify({ series: rulesSeries, topic: 'transition-test', title: 'Transition Test' })
+      });
+      if (status === 201 && data.episode) {
+        endpoint = `/api/episodes/${rulesSeries}/${data.episode.episode}`;
       }
     });
 
-    describe('Episode creation with target date', () => {
-      test('creates episode with valid target date for calendar', async () => {
-        const futureDate = '2025-06-15';
-        const { status, data } = await apiRequest('/api/episodes', {
-          method: 'POST',
-          body: JSON.stringify({
-            series: calendarTestSeries,
-            topic: 'calendar-target-date',
-            title: 'Calendar Target Date Test',
-            description: 'Episode with target date for calendar display',
-            targetDate: futureDate
-          })
-        });
+    after(async () => {
+      await fs.rm(path.join(testSeriesDir, rulesSeries), { recursive: true, force: true });
+    });
 
-        assert.strictEqual(status, 201);
-        assert.strictEqual(data.success, true);
-        assert.strictEqual(data.episode.targetDate, futureDate);
+    test('refuses a status change with unmet conditions and lists them', async () => {
+      if (!endpoint) return;
 
-        calendarTestEpisode = data.episode.episode;
+      const { status, data } = await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({ content_status: 'released' })
       });
 
-      test('created episode appears in episodes list with target date', async () => {
-        if (!calendarTestEpisode) return;
+      assert.strictEqual(status, 422);
+      assert.strictEqual(data.success, false);
+      assert.strictEqual(data.from, 'draft');
+      assert.strictEqual(data.to, 'released');
+      assert.ok(data.unmet.includes("Workflow stage 'Recorded' is not complete"), data.unmet.join('\n'));
+      assert.ok(data.unmet.some(message => message.startsWith('YouTube requires thumbnail')), data.unmet.join('\n'));
 
-        const { status, data } = await apiRequest('/api/episodes');
+      const { data: details } = await apiRequest(endpoint);
+      assert.strictEqual(details.metadata.content_status, 'draft');
+    });
 
-        assert.strictEqual(status, 200);
+    test('moves anyway with an override reason and records it in the history', async () => {
+      if (!endpoint) return;
 
-        // Find the created episode
-        const createdEpisode = data.episodes.find(
-          ep => ep.series === calendarTestSeries && ep.episode === calendarTestEpisode
-        );
+      const { status, data } = await apiRequest(`${endpoint}?override=${encodeURIComponent('Hotfix re-upload')}`, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({ content_status: 'released' })
+      });
 
-        assert.ok(createdEpisode, 'created episode should appear in list');
-        assert.ok(createdEpisode.metadata.release, 'episode should have release metadata');
-        assert.strictEqual(createdEpisode.metadata.release.target_date, '2025-06-15');
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.metadata.content_status, 'released');
+
+      const { data: history } = await apiRequest(`${endpoint}/history`);
+      const [latest] = history.history;
+      assert.strictEqual(latest.override.reason, 'Hotfix re-upload');
+      assert.strictEqual(latest.override.from, 'draft');
+      assert.strictEqual(latest.override.to, 'released');
+      assert.ok(latest.override.unmet.length > 0);
+    });
+
+    test('allows moves whose conditions are met without an override', async () => {
+      if (!endpoint) return;
+
+      const { status, data } = await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({ content_status: 'ready', workflow: { scripted: true, recorded: true, edited: true } })
       });
+
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.metadata.content_status, 'ready');
+      const { data: history } = await apiRequest(`${endpoint}/history`);
+      assert.strictEqual(history.history[0].override, null);
     });
+  });
 
-    describe('Updating release dates via PATCH', () => {
-      test('updates target_date for calendar scheduling', async () => {
-        if (!calendarTestEpisode) return;
+  describe('Status history and metrics', () => {
+    const metricsSeries = 'metrics-test-series';
+    let endpoint = null;
 
-        const newDate = '2025-07-20';
-        const { status, data } = await apiRequest(`/api/episodes/${calendarTestSeries}/${calendarTestEpisode}`, {
-          method: 'PATCH',
+    before(async () => {
+      const { status, data } = await apiRequest('/api/episodes', {
+        method: 'POST',
+        body: JSON.stringify({ series: metricsSeries, topic: 'metrics-test', title: 'Metrics Test' })
+      });
+      if (status === 201 && data.episode) {
+        endpoint = `/api/episodes/${metricsSeries}/${data.episode.episode}`;
+      }
+    });
+
+    after(async () => {
+      await fs.rm(path.join(testSeriesDir, metricsSeries), { recursive: true, force: true });
+    });
+
+    test('records the initial status and every status change', async () => {
+      if (!endpoint) return;
+
+      const { data: created } = await apiRequest(endpoint);
+      assert.deepStrictEqual(created.metadata.status_history.map(entry => [entry.status, entry.source]), [['draft', 'dashboard']]);
+
+      await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({ content_status: 'archived' })
+      });
+      const { data } = await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({ title: 'Metrics Test (renamed)' })
+      });
+
+      const history = data.metadata.status_history;
+      assert.deepStrictEqual(history.map(entry => entry.status), ['draft', 'archived']);
+      assert.ok(Date.parse(history[1].timestamp) >= Date.parse(history[0].timestamp));
+    });
+
+    test('GET /api/metrics summarizes the status history', async () => {
+      if (!endpoint) return;
+
+      const { status, data } = await apiRequest(`/api/metrics?series=${metricsSeries}&weeks=4`);
+
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.metrics.tracked, 1);
+      assert.strictEqual(data.metrics.throughput.length, 4);
+      const byStatus = Object.fromEntries(data.metrics.time_in_status.map(row => [row.status, row]));
+      assert.strictEqual(byStatus.draft.count, 1);
+      assert.strictEqual(byStatus.archived.current, 1);
+    });
+
+    test('GET /api/metrics rejects an invalid number of weeks', async () => {
+      const { status, data } = await apiRequest('/api/metrics?weeks=0');
+
+      assert.strictEqual(status, 400);
+      assert.strictEqual(data.success, false);
+    });
+  });
+
+  describe('Security Tests', () => {
+    describe('Path Traversal Prevention', () => {
+      test('rejects series name with ../', async () => {
+        const { status, data } = await apiRequest('/api/episodes', {
+          method: 'POST',
           body: JSON.stringify({
-            release: {
-              target_date: newDate
-            }
+            series: '../etc',
+            topic: 'test',
+            title: 'Test'
           })
         });
 
-        assert.strictEqual(status, 200);
-        assert.strictEqual(data.success, true);
-        assert.strictEqual(data.metadata.release.target_date, newDate);
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.success, false);
       });
 
-      test('clears target_date when set to empty string', async () => {
-        if (!calendarTestEpisode) return;
-
-        const { status, data } = await apiRequest(`/api/episodes/${calendarTestSeries}/${calendarTestEpisode}`, {
-          method: 'PATCH',
+      test('rejects series name with ..\\', async () => {
+        const { status, data } = await apiRequest('/api/episodes', {
+          method: 'POST',
           body: JSON.stringify({
-            release: {
-              target_date: ''
-            }
+            series: '..\\etc',
+            topic: 'test',
+            title: 'Test'
           })
         });
 
-        assert.strictEqual(status, 200);
-        assert.strictEqual(data.success, true);
-        assert.strictEqual(data.metadata.release.target_date, '');
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.success, false);
       });
 
-      test('sets release_group for calendar grouping', async () => {
-        if (!calendarTestEpisode) return;
-
-        const { status, data } = await apiRequest(`/api/episodes/${calendarTestSeries}/${calendarTestEpisode}`, {
-          method: 'PATCH',
+      test('sanitizes topic with path traversal via slugify', async () => {
+        // Path traversal chars are stripped by slugify, making it safe
+        // ../../../etc/passwd becomes etcpasswd
+        const { status, data } = await apiRequest('/api/episodes', {
+          method: 'POST',
           body: JSON.stringify({
-            release: {
-              target_date: '2025-08-01',
-              release_group: 'calendar-test-group'
-            }
+            series: 'path-traversal-test',
+            topic: '../../../etc/passwd',
+            title: 'Test'
           })
         });
 
-        assert.strictEqual(status, 200);
-        assert.strictEqual(data.success, true);
-        assert.strictEqual(data.metadata.release.release_group, 'calendar-test-group');
-      });
+        // Should succeed because slugify strips dangerous chars
+        if (status === 201) {
+          assert.strictEqual(data.success, true);
+          // The slug should not contain any path traversal characters
+          assert.ok(!data.episode.episode.includes('..'), 'slug should not contain ..');
+          assert.ok(!data.episode.episode.includes('/'), 'slug should not contain /');
 
-      test('rejects invalid date format for target_date', async () => {
-        if (!calendarTestEpisode) return;
+          // Clean up
+          try {
+            await fs.rm(path.join(testSeriesDir, 'path-traversal-test'), { recursive: true, force: true });
+          } catch (err) {
+            // Ignore cleanup errors
+          }
+        }
+      });
 
-        const { status, data } = await apiRequest(`/api/episodes/${calendarTestSeries}/${calendarTestEpisode}`, {
-          method: 'PATCH',
+      test('rejects series with absolute path', async () => {
+        const { status, data } = await apiRequest('/api/episodes', {
+          method: 'POST',
           body: JSON.stringify({
-            release: {
-              target_date: 'not-a-date'
-            }
+            series: '/etc/passwd',
+            topic: 'test',
+            title: 'Test'
           })
         });
 
         assert.strictEqual(status, 400);
         assert.strictEqual(data.success, false);
-        assert.ok(data.errors.some(e => e.includes('date')), 'should have date format error');
       });
 
-      test('rejects impossible date in target_date', async () => {
-        if (!calendarTestEpisode) return;
-
-        const { status, data } = await apiRequest(`/api/episodes/${calendarTestSeries}/${calendarTestEpisode}`, {
-          method: 'PATCH',
+      test('rejects series with encoded path traversal', async () => {
+        const { status, data } = await apiRequest('/api/episodes', {
+          method: 'POST',
           body: JSON.stringify({
-            release: {
-              target_date: '2025-02-30'  // February 30 doesn't exist
-            }
+            series: '..%2F..%2Fetc',
+            topic: 'test',
+            title: 'Test'
           })
         });
 
@@ -1264,92 +1460,1736 @@ describe('API Functional Tests', () => {
       });
     });
 
-    describe('Distribution profiles for calendar', () => {
-      test('distribution endpoint returns profiles for calendar release options', async () => {
-        const { status, data } = await apiRequest('/api/distribution');
-
-        assert.strictEqual(status, 200);
-        assert.strictEqual(data.success, true);
-        assert.ok(data.data, 'should have data field');
+    describe('XSS Prevention', () => {
+      test('strips HTML tags from title', async () => {
+        const { status, data } = await apiRequest('/api/episodes', {
+          method: 'POST',
+          body: JSON.stringify({
+            series: 'xss-test-series',
+            topic: 'xss-test',
+            title: '<script>alert("xss")</script>Clean Title'
+          })
+        });
 
-        // Calendar uses distribution profiles for release planning
-        if (data.data.profiles) {
-          assert.strictEqual(typeof data.data.profiles, 'object', 'profiles should be an object');
+        // Should succeed but with sanitized title
+        if (status === 201) {
+          assert.strictEqual(data.success, true);
+          assert.ok(!data.episode.title.includes('<script>'), 'title should not contain script tags');
+          assert.ok(data.episode.title.includes('Clean Title'), 'title should contain clean text');
 
-          // Each profile should have description and platforms for calendar display
-          for (const [profileId, profile] of Object.entries(data.data.profiles)) {
-            // Profiles use 'description' field (not 'name')
-            assert.ok(profile.description, `profile ${profileId} should have description`);
-            if (profile.platforms) {
-              assert.ok(Array.isArray(profile.platforms), `profile ${profileId} platforms should be array`);
-            }
+          // Clean up
+          try {
+            await fs.rm(path.join(testSeriesDir, 'xss-test-series'), { recursive: true, force: true });
+          } catch (err) {
+            // Ignore cleanup errors
           }
         }
       });
-    });
-
-    describe('Combined calendar data consistency', () => {
-      test('release queue dates match expected ISO or YYYY-MM-DD format', async () => {
-        const { status, data } = await apiRequest('/api/releases');
 
-        assert.strictEqual(status, 200);
+      test('strips HTML tags from description', async () => {
+        const { status, data } = await apiRequest('/api/episodes', {
+          method: 'POST',
+          body: JSON.stringify({
+            series: 'xss-test-series-2',
+            topic: 'xss-desc-test',
+            title: 'Normal Title',
+            description: '<img src=x onerror=alert("xss")>Safe description'
+          })
+        });
 
-        const releaseQueue = data.data;
-        // Date formats: YYYY-MM-DD or ISO 8601 (js-yaml converts datetime to ISO format like 2025-01-15T17:00:00.000Z)
-        const dateRegex = /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/;
+        if (status === 201) {
+          assert.strictEqual(data.success, true);
+          assert.ok(!data.episode.description.includes('<img'), 'description should not contain img tags');
+          assert.ok(data.episode.description.includes('Safe description'), 'description should contain clean text');
 
-        // Check release_groups target_date
-        if (releaseQueue.release_groups) {
-          for (const [id, group] of Object.entries(releaseQueue.release_groups)) {
-            if (group.target_date) {
-              assert.ok(
-                dateRegex.test(group.target_date),
-                `release_group ${id} target_date should match date format`
-              );
-            }
+          // Clean up
+          try {
+            await fs.rm(path.join(testSeriesDir, 'xss-test-series-2'), { recursive: true, force: true });
+          } catch (err) {
+            // Ignore cleanup errors
           }
         }
+      });
 
-        // Check staged items target_date
-        if (releaseQueue.staged) {
-          for (const item of releaseQueue.staged) {
-            if (item.target_date) {
-              assert.ok(
-                dateRegex.test(item.target_date),
-                'staged item target_date should match date format'
-              );
-            }
+      test('rejects title that becomes empty after HTML stripping', async () => {
+        // Only tags, no text content - should become empty after stripping
+        const { status, data } = await apiRequest('/api/episodes', {
+          method: 'POST',
+          body: JSON.stringify({
+            series: 'test-series',
+            topic: 'empty-title-test',
+            title: '<script></script><div></div>'
+          })
+        });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.success, false);
+        assert.ok(data.error.includes('empty'), 'error should mention empty');
+      });
+
+      test('preserves text content when stripping HTML tags', async () => {
+        // Text inside tags should be preserved
+        const { status, data } = await apiRequest('/api/episodes', {
+          method: 'POST',
+          body: JSON.stringify({
+            series: 'xss-preserve-test',
+            topic: 'preserve-text',
+            title: '<script>alert("xss")</script>'
+          })
+        });
+
+        if (status === 201) {
+          // The text content is preserved, just tags stripped
+          assert.strictEqual(data.episode.title, 'alert("xss")');
+
+          // Clean up
+          try {
+            await fs.rm(path.join(testSeriesDir, 'xss-preserve-test'), { recursive: true, force: true });
+          } catch (err) {
+            // Ignore cleanup errors
           }
         }
+      });
 
-        // Check released items release_date
-        if (releaseQueue.released) {
-          for (const item of releaseQueue.released) {
-            if (item.release_date) {
-              assert.ok(
-                dateRegex.test(item.release_date),
-                'released item release_date should match date format'
-              );
-            }
+      test('handles nested HTML tags in title', async () => {
+        const { status, data } = await apiRequest('/api/episodes', {
+          method: 'POST',
+          body: JSON.stringify({
+            series: 'xss-test-series-3',
+            topic: 'nested-tags',
+            title: '<div><script>evil()</script><b>Bold</b></div>Text'
+          })
+        });
+
+        if (status === 201) {
+          assert.ok(!data.episode.title.includes('<'), 'title should not contain any HTML');
+
+          // Clean up
+          try {
+            await fs.rm(path.join(testSeriesDir, 'xss-test-series-3'), { recursive: true, force: true });
+          } catch (err) {
+            // Ignore cleanup errors
           }
         }
       });
+    });
+  });
 
-      test('episode target dates in metadata are parseable for calendar', async () => {
-        const { status, data } = await apiRequest('/api/episodes');
+  describe('Asset Management Tests', () => {
+    const testAssetsDir = path.join(__dirname, '../../assets');
+    const testFolderName = 'api-test-folder';
+    const testSubFolder = 'api-test-subfolder';
+
+    after(async () => {
+      // Clean up test folders
+      try {
+        await fs.rm(path.join(testAssetsDir, testFolderName), { recursive: true, force: true });
+        await fs.rm(path.join(testAssetsDir, testSubFolder), { recursive: true, force: true });
+        await fs.rm(path.join(testAssetsDir, 'renamed-folder'), { recursive: true, force: true });
+      } catch (err) {
+        // Ignore cleanup errors
+      }
+    });
+
+    describe('POST /api/assets/folder', () => {
+      test('creates folder successfully', async () => {
+        const { status, data } = await apiRequest('/api/assets/folder', {
+          method: 'POST',
+          body: JSON.stringify({ name: testFolderName })
+        });
 
         assert.strictEqual(status, 200);
+        assert.strictEqual(data.success, true);
+        assert.ok(data.folder, 'should return folder data');
+        assert.strictEqual(data.folder.name, testFolderName);
+      });
 
-        for (const episode of data.episodes) {
-          const targetDate = episode.metadata?.release?.target_date;
+      test('returns 400 for duplicate folder', async () => {
+        // Try to create the same folder again
+        const { status, data } = await apiRequest('/api/assets/folder', {
+          method: 'POST',
+          body: JSON.stringify({ name: testFolderName })
+        });
 
-          if (targetDate && targetDate !== '') {
-            // Verify the date is parseable by JavaScript Date
-            const parsed = new Date(targetDate);
-            assert.ok(!isNaN(parsed.getTime()), `target_date "${targetDate}" should be parseable`);
-          }
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.success, false);
+        assert.ok(data.error.includes('exists'), 'error should mention exists');
+      });
+
+      test('returns 400 for empty folder name', async () => {
+        const { status, data } = await apiRequest('/api/assets/folder', {
+          method: 'POST',
+          body: JSON.stringify({ name: '' })
+        });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.success, false);
+      });
+
+      test('sanitizes folder name with special characters', async () => {
+        const { status, data } = await apiRequest('/api/assets/folder', {
+          method: 'POST',
+          body: JSON.stringify({ name: 'test<script>alert(1)</script>folder' })
+        });
+
+        if (status === 200) {
+          assert.ok(!data.folder.name.includes('<'), 'folder name should not contain special chars');
+          // Clean up
+          await fs.rm(path.join(testAssetsDir, data.folder.name), { recursive: true, force: true }).catch(() => {});
+        }
+      });
+
+      test('rejects path traversal in folder name', async () => {
+        const { status, data } = await apiRequest('/api/assets/folder', {
+          method: 'POST',
+          body: JSON.stringify({ name: '../../../etc' })
+        });
+
+        // Should either be rejected or sanitized to safe name
+        if (status === 200) {
+          assert.ok(!data.folder.name.includes('..'), 'folder name should not contain ..');
+          await fs.rm(path.join(testAssetsDir, data.folder.name), { recursive: true, force: true }).catch(() => {});
+        } else {
+          assert.strictEqual(status, 400);
         }
       });
+
+      test('rejects path traversal in parent path', async () => {
+        const { status, data } = await apiRequest('/api/assets/folder', {
+          method: 'POST',
+          body: JSON.stringify({
+            path: '../../../etc',
+            name: 'evil'
+          })
+        });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.success, false);
+      });
+
+      test('returns 400 when request body is an array', async () => {
+        const { status, data } = await apiRequest('/api/assets/folder', {
+          method: 'POST',
+          body: JSON.stringify([{ name: 'test-folder' }])
+        });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.success, false);
+        assert.ok(data.error.includes('Invalid request body'), 'error should mention invalid request body');
+      });
+    });
+
+    describe('DELETE /api/assets/*', () => {
+      before(async () => {
+        // Create a folder to delete
+        await apiRequest('/api/assets/folder', {
+          method: 'POST',
+          body: JSON.stringify({ name: testSubFolder })
+        });
+      });
+
+      test('deletes folder successfully', async () => {
+        const { status, data } = await apiRequest(`/api/assets/${testSubFolder}`, {
+          method: 'DELETE'
+        });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(data.success, true);
+      });
+
+      test('returns 404 for non-existent path', async () => {
+        const { status, data } = await apiRequest('/api/assets/nonexistent-folder-12345', {
+          method: 'DELETE'
+        });
+
+        assert.strictEqual(status, 404);
+        assert.strictEqual(data.success, false);
+      });
+
+      test('returns 400 for missing path', async () => {
+        const { status, data } = await apiRequest('/api/assets/', {
+          method: 'DELETE'
+        });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.success, false);
+      });
+
+      test('rejects path traversal attempt', async () => {
+        const { status, data } = await apiRequest('/api/assets/..%2F..%2Fetc', {
+          method: 'DELETE'
+        });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.success, false);
+      });
+
+      test('prevents deleting assets root', async () => {
+        const { status, data } = await apiRequest('/api/assets/.', {
+          method: 'DELETE'
+        });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.success, false);
+      });
+    });
+
+    describe('PATCH /api/assets/* (rename)', () => {
+      before(async () => {
+        // Create a folder to rename
+        await apiRequest('/api/assets/folder', {
+          method: 'POST',
+          body: JSON.stringify({ name: 'rename-test-folder' })
+        });
+      });
+
+      after(async () => {
+        // Clean up
+        await fs.rm(path.join(testAssetsDir, 'rename-test-folder'), { recursive: true, force: true }).catch(() => {});
+        await fs.rm(path.join(testAssetsDir, 'renamed-folder'), { recursive: true, force: true }).catch(() => {});
+      });
+
+      test('renames folder successfully', async () => {
+        const { status, data } = await apiRequest('/api/assets/rename-test-folder', {
+          method: 'PATCH',
+          body: JSON.stringify({ newPath: 'renamed-folder' })
+        });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(data.success, true);
+        assert.ok(data.newPath, 'should return new path');
+      });
+
+      test('returns 404 for non-existent source', async () => {
+        const { status, data } = await apiRequest('/api/assets/nonexistent-folder-xyz', {
+          method: 'PATCH',
+          body: JSON.stringify({ newPath: 'new-name' })
+        });
+
+        assert.strictEqual(status, 404);
+        assert.strictEqual(data.success, false);
+      });
+
+      test('returns 400 for missing newPath', async () => {
+        const { status, data } = await apiRequest('/api/assets/renamed-folder', {
+          method: 'PATCH',
+          body: JSON.stringify({})
+        });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.success, false);
+      });
+
+      test('rejects path traversal in current path', async () => {
+        const { status, data } = await apiRequest('/api/assets/..%2F..%2Fetc', {
+          method: 'PATCH',
+          body: JSON.stringify({ newPath: 'new-name' })
+        });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.success, false);
+      });
+
+      test('rejects path traversal in new path', async () => {
+        const { status, data } = await apiRequest('/api/assets/renamed-folder', {
+          method: 'PATCH',
+          body: JSON.stringify({ newPath: '../../../etc/evil' })
+        });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.success, false);
+      });
+
+      test('sanitizes filename with special characters', async () => {
+        // Create a test folder first
+        await apiRequest('/api/assets/folder', {
+          method: 'POST',
+          body: JSON.stringify({ name: 'sanitize-test-folder' })
+        });
+
+        const { status, data } = await apiRequest('/api/assets/sanitize-test-folder', {
+          method: 'PATCH',
+          body: JSON.stringify({ newPath: 'test<script>name' })
+        });
+
+        if (status === 200) {
+          assert.ok(!data.newPath.includes('<'), 'new path should not contain special chars');
+          await fs.rm(path.join(testAssetsDir, data.newPath), { recursive: true, force: true }).catch(() => {});
+        }
+        // Clean up original if rename failed
+        await fs.rm(path.join(testAssetsDir, 'sanitize-test-folder'), { recursive: true, force: true }).catch(() => {});
+      });
+
+      test('returns 400 when request body is an array', async () => {
+        const { status, data } = await apiRequest('/api/assets/some-folder', {
+          method: 'PATCH',
+          body: JSON.stringify([{ newPath: 'test' }])
+        });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.success, false);
+        assert.ok(data.error.includes('Invalid request body'), 'error should mention invalid request body');
+      });
+    });
+
+    describe('Asset catalog', () => {
+      const catalogPath = path.join(__dirname, '../../asset-catalog.yml');
+      const catalogFolder = 'api-test-catalog';
+      let originalCatalog = null;
+
+      before(async () => {
+        originalCatalog = await fs.readFile(catalogPath, 'utf8').catch(() => null);
+        await fs.mkdir(path.join(testAssetsDir, catalogFolder), { recursive: true });
+        await fs.writeFile(path.join(testAssetsDir, catalogFolder, 'intro.mp3'), 'audio');
+        await fs.writeFile(path.join(testAssetsDir, catalogFolder, 'outro.mp3'), 'audio');
+      });
+
+      after(async () => {
+        await fs.rm(path.join(testAssetsDir, catalogFolder), { recursive: true, force: true });
+        await fs.rm(path.join(testAssetsDir, `${catalogFolder}-renamed`), { recursive: true, force: true });
+        if (originalCatalog === null) await fs.rm(catalogPath, { force: true });
+        else await fs.writeFile(catalogPath, originalCatalog);
+      });
+
+      test('updates an entry and returns it with the asset tree', async () => {
+        const { status, data } = await apiRequest(`/api/asset-catalog/${catalogFolder}/intro.mp3`, {
+          method: 'PATCH',
+          body: JSON.stringify({ tags: ['Intro', 'upbeat'], license: 'CC-BY-4.0', attribution: 'Intro Theme by Jane Doe' })
+        });
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(data.entry, { tags: ['intro', 'upbeat'], license: 'CC-BY-4.0', attribution: 'Intro Theme by Jane Doe' });
+
+        const { data: single } = await apiRequest(`/api/asset-catalog/${catalogFolder}/intro.mp3`);
+        assert.deepStrictEqual(single.entry, data.entry);
+        assert.strictEqual((await apiRequest(`/api/asset-catalog/${catalogFolder}/outro.mp3`)).data.entry, null);
+
+        const { data: tree } = await apiRequest('/api/assets');
+        const folder = tree.data.children.find(child => child.name === catalogFolder);
+        const files = Object.fromEntries(folder.children.map(file => [file.name, file.catalog]));
+        assert.strictEqual(files['intro.mp3'].license, 'CC-BY-4.0');
+        assert.strictEqual(files['outro.mp3'], null);
+      });
+
+      test('clears fields and rejects invalid ones', async () => {
+        const { data } = await apiRequest(`/api/asset-catalog/${catalogFolder}/intro.mp3`, {
+          method: 'PATCH',
+          body: JSON.stringify({ tags: [], attribution: '' })
+        });
+        assert.deepStrictEqual(data.entry, { license: 'CC-BY-4.0' });
+
+        const { status, data: invalid } = await apiRequest(`/api/asset-catalog/${catalogFolder}/intro.mp3`, {
+          method: 'PATCH',
+          body: JSON.stringify({ expires: 'next year', owner: 'me' })
+        });
+        assert.strictEqual(status, 400);
+        assert.strictEqual(invalid.errors.length, 2);
+      });
+
+      test('returns 404 for missing assets and folders and 400 for paths outside assets', async () => {
+        const missing = await apiRequest(`/api/asset-catalog/${catalogFolder}/missing.mp3`);
+        assert.strictEqual(missing.status, 404);
+        const folder = await apiRequest(`/api/asset-catalog/${catalogFolder}`, {
+          method: 'PATCH',
+          body: JSON.stringify({ license: 'CC0-1.0' })
+        });
+        assert.strictEqual(folder.status, 404);
+        const traversal = await apiRequest('/api/asset-catalog/..%2F..%2Fetc%2Fpasswd');
+        assert.strictEqual(traversal.status, 400);
+      });
+
+      test('moves entries with a renamed folder and drops them with a deleted file', async () => {
+        await apiRequest(`/api/assets/${catalogFolder}`, {
+          method: 'PATCH',
+          body: JSON.stringify({ newPath: `${catalogFolder}-renamed` })
+        });
+        let { data } = await apiRequest('/api/asset-catalog');
+        assert.strictEqual(data.assets[`${catalogFolder}/intro.mp3`], undefined);
+        assert.deepStrictEqual(data.assets[`${catalogFolder}-renamed/intro.mp3`], { license: 'CC-BY-4.0' });
+
+        await apiRequest(`/api/assets/${catalogFolder}-renamed/intro.mp3`, { method: 'DELETE' });
+        ({ data } = await apiRequest('/api/asset-catalog'));
+        assert.strictEqual(data.assets[`${catalogFolder}-renamed/intro.mp3`], undefined);
+      });
+    });
+  });
+
+  describe('Calendar Feature Tests', () => {
+    const calendarTestSeries = 'calendar-test-series';
+    let calendarTestEpisode = null;
+
+    after(async () => {
+      // Clean up calendar test series
+      try {
+        await fs.rm(path.join(testSeriesDir, calendarTestSeries), { recursive: true, force: true });
+      } catch (err) {
+        // Ignore cleanup errors
+      }
+    });
+
+    describe('Episode creation with target date', () => {
+      test('creates episode with valid target date for calendar', async () => {
+        const futureDate = '2025-06-15';
+        const { status, data } = await apiRequest('/api/episodes', {
+          method: 'POST',
+          body: JSON.stringify({
+            series: calendarTestSeries,
+            topic: 'calendar-target-date',
+            title: 'Calendar Target Date Test',
+            description: 'Episode with target date for calendar display',
+            targetDate: futureDate
+          })
+        });
+
+        assert.strictEqual(status, 201);
+        assert.strictEqual(data.success, true);
+        assert.strictEqual(data.episode.targetDate, futureDate);
+
+        calendarTestEpisode = data.episode.episode;
+      });
+
+      test('created episode appears in episodes list with target date', async () => {
+        if (!calendarTestEpisode) return;
+
+        const { status, data } = await apiRequest('/api/episodes');
+
+        assert.strictEqual(status, 200);
+
+        // Find the created episode
+        const createdEpisode = data.episodes.find(
+          ep => ep.series === calendarTestSeries && ep.episode === calendarTestEpisode
+        );
+
+        assert.ok(createdEpisode, 'created episode should appear in list');
+        assert.ok(createdEpisode.metadata.release, 'episode should have release metadata');
+        assert.strictEqual(createdEpisode.metadata.release.target_date, '2025-06-15');
+      });
+    });
+
+    describe('Updating release dates via PATCH', () => {
+      test('updates target_date for calendar scheduling', async () => {
+        if (!calendarTestEpisode) return;
+
+        const newDate = '2025-07-20';
+        const { status, data } = await apiRequest(`/api/episodes/${calendarTestSeries}/${calendarTestEpisode}`, {
+          method: 'PATCH',
+          headers: await ifMatchHeaders(`/api/episodes/${calendarTestSeries}/${calendarTestEpisode}`),
+          body: JSON.stringify({
+            release: {
+              target_date: newDate
+            }
+          })
+        });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(data.success, true);
+        assert.strictEqual(data.metadata.release.target_date, newDate);
+      });
+
+      test('clears target_date when set to empty string', async () => {
+        if (!calendarTestEpisode) return;
+
+        const { status, data } = await apiRequest(`/api/episodes/${calendarTestSeries}/${calendarTestEpisode}`, {
+          method: 'PATCH',
+          headers: await ifMatchHeaders(`/api/episodes/${calendarTestSeries}/${calendarTestEpisode}`),
+          body: JSON.stringify({
+            release: {
+              target_date: ''
+            }
+          })
+        });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(data.success, true);
+        assert.strictEqual(data.metadata.release.target_date, '');
+      });
+
+      test('sets release_group for calendar grouping', async () => {
+        if (!calendarTestEpisode) return;
+
+        const { status, data } = await apiRequest(`/api/episodes/${calendarTestSeries}/${calendarTestEpisode}`, {
+          method: 'PATCH',
+          headers: await ifMatchHeaders(`/api/episodes/${calendarTestSeries}/${calendarTestEpisode}`),
+          body: JSON.stringify({
+            release: {
+              target_date: '2025-08-01',
+              release_group: 'calendar-test-group'
+            }
+          })
+        });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(data.success, true);
+        assert.strictEqual(data.metadata.release.release_group, 'calendar-test-group');
+      });
+
+      test('rejects invalid date format for target_date', async () => {
+        if (!calendarTestEpisode) return;
+
+        const { status, data } = await apiRequest(`/api/episodes/${calendarTestSeries}/${calendarTestEpisode}`, {
+          method: 'PATCH',
+          headers: await ifMatchHeaders(`/api/episodes/${calendarTestSeries}/${calendarTestEpisode}`),
+          body: JSON.stringify({
+            release: {
+              target_date: 'not-a-date'
+            }
+          })
+        });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.success, false);
+        assert.ok(data.errors.some(e => e.includes('date')), 'should have date format error');
+      });
+
+      test('rejects impossible date in target_date', async () => {
+        if (!calendarTestEpisode) return;
+
+        const { status, data } = await apiRequest(`/api/episodes/${calendarTestSeries}/${calendarTestEpisode}`, {
+          method: 'PATCH',
+          headers: await ifMatchHeaders(`/api/episodes/${calendarTestSeries}/${calendarTestEpisode}`),
+          body: JSON.stringify({
+            release: {
+              target_date: '2025-02-30'  // February 30 doesn't exist
+            }
+          })
+        });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.success, false);
+      });
+    });
+
+    describe('Distribution profiles for calendar', () => {
+      test('distribution endpoint returns profiles for calendar release options', async () => {
+        const { status, data } = await apiRequest('/api/distribution');
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(data.success, true);
+        assert.ok(data.data, 'should have data field');
+
+        // Calendar uses distribution profiles for release planning
+        if (data.data.profiles) {
+          assert.strictEqual(typeof data.data.profiles, 'object', 'profiles should be an object');
+
+          // Each profile should have description and platforms for calendar display
+          for (const [profileId, profile] of Object.entries(data.data.profiles)) {
+            // Profiles use 'description' field (not 'name')
+            assert.ok(profile.description, `profile ${profileId} should have description`);
+            if (profile.platforms) {
+              assert.ok(Array.isArray(profile.platforms), `profile ${profileId} platforms should be array`);
+            }
+          }
+        }
+      });
+    });
+
+    describe('Combined calendar data consistency', () => {
+      test('release queue dates match expected ISO or YYYY-MM-DD format', async () => {
+        const { status, data } = await apiRequest('/api/releases');
+
+        assert.strictEqual(status, 200);
+
+        const releaseQueue = data.data;
+        // Date formats: YYYY-MM-DD or ISO 8601 (js-yaml converts datetime to ISO format like 2025-01-15T17:00:00.000Z)
+        const dateRegex = /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/;
+
+        // Check release_groups target_date
+        if (releaseQueue.release_groups) {
+          for (const [id, group] of Object.entries(releaseQueue.release_groups)) {
+            if (group.target_date) {
+              assert.ok(
+                dateRegex.test(group.target_date),
+                `release_group ${id} target_date should match date format`
+              );
+            }
+          }
+        }
+
+        // Check staged items target_date
+        if (releaseQueue.staged) {
+          for (const item of releaseQueue.staged) {
+            if (item.target_date) {
+              assert.ok(
+                dateRegex.test(item.target_date),
+                'staged item target_date should match date format'
+              );
+            }
+          }
+        }
+
+        // Check released items release_date
+        if (releaseQueue.released) {
+          for (const item of releaseQueue.released) {
+            if (item.release_date) {
+              assert.ok(
+                dateRegex.test(item.release_date),
+                'released item release_date should match date format'
+              );
+            }
+          }
+        }
+      });
+
+      test('episode target dates in metadata are parseable for calendar', async () => {
+        const { status, data } = await apiRequest('/api/episodes');
+
+        assert.strictEqual(status, 200);
+
+        for (const episode of data.episodes) {
+          const targetDate = episode.metadata?.release?.target_date;
+
+          if (targetDate && targetDate !== '') {
+            // Verify the date is parseable by JavaScript Date
+            const parsed = new Date(targetDate);
+            assert.ok(!isNaN(parsed.getTime()), `target_date "${targetDate}" should be parseable`);
+          }
+        }
+      });
+    });
+  });
+
+  describe('GET /api/episodes query parameters', () => {
+    const querySeries = 'episode-query-test-series';
+    const created = [];
+
+    before(async () => {
+      const fixtures = [
+        { topic: 'alpha', title: 'Alpha', targetDate: '2025-03-01', patch: { content_status: 'ready', tags: ['Launch', 'Query-Tag'], workflow: { scripted: true, recorded: true, edited: true } } },
+        { topic: 'bravo', title: 'Bravo', targetDate: '2025-04-15', patch: { content_status: 'draft', tags: ['query-tag'], release: { release_group: 'query-group' } } },
+        { topic: 'charlie', title: 'Charlie', patch: { content_status: 'draft' } }
+      ];
+      for (const fixture of fixtures) {
+        const { data } = await apiRequest('/api/episodes', {
+          method: 'POST',
+          body: JSON.stringify({ series: querySeries, topic: fixture.topic, title: fixture.title, targetDate: fixture.targetDate })
+        });
+        created.push(data.episode.episode);
+        await apiRequest(`/api/episodes/${querySeries}/${data.episode.episode}`, {
+          method: 'PATCH',
+          headers: await ifMatchHeaders(`/api/episodes/${querySeries}/${data.episode.episode}`),
+          body: JSON.stringify(fixture.patch)
+        });
+      }
+    });
+
+    after(async () => {
+      await fs.rm(path.join(testSeriesDir, querySeries), { recursive: true, force: true });
+    });
+
+    test('filters by series and status', async () => {
+      const { status, data } = await apiRequest(`/api/episodes?series=${querySeries}&status=draft`);
+
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.total, 2);
+      assert.ok(data.episodes.every(ep => ep.series === querySeries && ep.metadata.content_status === 'draft'));
+    });
+
+    test('filters by tag case-insensitively', async () => {
+      const { data } = await apiRequest(`/api/episodes?series=${querySeries}&tag=QUERY-TAG`);
+
+      assert.deepStrictEqual(data.episodes.map(ep => ep.metadata.title).sort(), ['Alpha', 'Bravo']);
+    });
+
+    test('filters by release group', async () => {
+      const { data } = await apiRequest(`/api/episodes?series=${querySeries}&release_group=query-group`);
+
+      assert.strictEqual(data.total, 1);
+      assert.strictEqual(data.episodes[0].metadata.title, 'Bravo');
+    });
+
+    test('filters by target date range', async () => {
+      const { data } = await apiRequest(`/api/episodes?series=${querySeries}&from=2025-04-01&to=2025-04-30`);
+
+      assert.strictEqual(data.total, 1);
+      assert.strictEqual(data.episodes[0].metadata.title, 'Bravo');
+    });
+
+    test('sorts by target date with undated episodes last', async () => {
+      const { data } = await apiRequest(`/api/episodes?series=${querySeries}&sort=target_date&order=desc`);
+
+      assert.deepStrictEqual(data.episodes.map(ep => ep.metadata.title), ['Bravo', 'Alpha', 'Charlie']);
+    });
+
+    test('paginates results', async () => {
+      const { data } = await apiRequest(`/api/episodes?series=${querySeries}&sort=title&limit=2&page=2`);
+
+      assert.strictEqual(data.total, 3);
+      assert.strictEqual(data.count, 1);
+      assert.strictEqual(data.page, 2);
+      assert.strictEqual(data.limit, 2);
+      assert.strictEqual(data.episodes[0].metadata.title, 'Charlie');
+    });
+
+    test('rejects invalid query parameters', async () => {
+      const { status, data } = await apiRequest('/api/episodes?sort=random&limit=0&from=March');
+
+      assert.strictEqual(status, 400);
+      assert.strictEqual(data.errors.length, 3);
+    });
+  });
+
+  describe('GET /api/search', () => {
+    const searchSeries = 'search-test-series';
+    let episodeSlug;
+
+    before(async () => {
+      const { data } = await apiRequest('/api/episodes', {
+        method: 'POST',
+        body: JSON.stringify({ series: searchSeries, topic: 'zebra', title: 'Zebra Crossing Patterns' })
+      });
+      episodeSlug = data.episode.episode;
+      const episodeDir = path.join(testSeriesDir, searchSeries, episodeSlug);
+      await fs.writeFile(path.join(episodeDir, 'script.md'), '# Script\n\nThe quokka appears here.\n', 'utf8');
+      await fs.writeFile(
+        path.join(episodeDir, 'transcript.vtt'),
+        'WEBVTT\n\n00:02:10.000 --> 00:02:12.000\nA quokka in the transcript\n',
+        'utf8'
+      );
+    });
+
+    after(async () => {
+      await fs.rm(path.join(testSeriesDir, searchSeries), { recursive: true, force: true });
+    });
+
+    test('returns ranked hits with snippets, lines and timestamps', async () => {
+      const { status, data } = await apiRequest('/api/search?q=quokka');
+
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.success, true);
+      const files = data.hits.filter(hit => hit.series === searchSeries).map(hit => hit.file).sort();
+      assert.deepStrictEqual(files, ['script.md', 'transcript.vtt']);
+
+      const scriptHit = data.hits.find(hit => hit.file === 'script.md' && hit.series === searchSeries);
+      assert.strictEqual(scriptHit.episode, episodeSlug);
+      assert.strictEqual(scriptHit.matches[0].line, 3);
+      assert.ok(scriptHit.matches[0].snippet.includes('quokka'));
+
+      const transcriptHit = data.hits.find(hit => hit.file === 'transcript.vtt' && hit.series === searchSeries);
+      assert.strictEqual(transcriptHit.matches[0].timestamp, '2:10');
+    });
+
+    test('matches metadata titles and filters by series', async () => {
+      const { data } = await apiRequest(`/api/search?q=zebra+crossing&series=${searchSeries}`);
+
+      assert.ok(data.hits.length > 0);
+      assert.ok(data.hits.every(hit => hit.series === searchSeries));
+      assert.strictEqual(data.hits[0].field, 'title');
+    });
+
+    test('rejects missing or too short queries', async () => {
+      const { status, data } = await apiRequest('/api/search?q=a');
+
+      assert.strictEqual(status, 400);
+      assert.strictEqual(data.success, false);
+    });
+
+    test('rejects an invalid limit', async () => {
+      const { status } = await apiRequest('/api/search?q=quokka&limit=0');
+
+      assert.strictEqual(status, 400);
+    });
+  });
+
+  describe('GET /api/lint', () => {
+    const lintSeries = 'lint-test-series';
+    let episode = null;
+
+    before(async () => {
+      const { status, data } = await apiRequest('/api/episodes', {
+        method: 'POST',
+        body: JSON.stringify({ series: lintSeries, topic: 'lint-test', title: 'Lint Test' })
+      });
+      if (status === 201 && data.episode) {
+        episode = data.episode;
+      }
+    });
+
+    after(async () => {
+      await fs.rm(path.join(testSeriesDir, lintSeries), { recursive: true, force: true });
+    });
+
+    test('newly created episodes pass the lint', async () => {
+      if (!episode) return;
+
+      const { status, data } = await apiRequest('/api/lint');
+
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.success, true);
+      assert.ok(data.summary.files >= 1);
+      assert.ok(!data.files.some(file => file.file.startsWith(`series/${lintSeries}/`)));
+
+      const listed = await apiRequest(`/api/episodes?series=${lintSeries}`);
+      assert.deepStrictEqual(listed.data.episodes[0].lint, { errors: [], warnings: [] });
+    });
+
+    test('reports metadata errors and warnings with line numbers', async () => {
+      if (!episode) return;
+      const metadataPath = path.join(testSeriesDir, lintSeries, episode.episode, 'metadata.yml');
+      await fs.writeFile(metadataPath, 'title: Lint Test\ncontent_status: finished\nreleased_on: 2025-01-01\n', 'utf8');
+
+      const { status, data } = await apiRequest('/api/lint');
+
+      assert.strictEqual(status, 200);
+      const report = data.files.find(file => file.file === `series/${lintSeries}/${episode.episode}/metadata.yml`);
+      assert.ok(report, 'broken episode is listed');
+      assert.strictEqual(report.type, 'episode');
+      assert.deepStrictEqual(report.errors.map(e => [e.line, e.field]), [[2, 'content_status']]);
+      assert.deepStrictEqual(report.warnings.map(w => [w.line, w.field]), [[3, 'released_on']]);
+      assert.ok(data.summary.errors >= 1);
+      assert.ok(data.summary.warnings >= 1);
+    });
+  });
+
+  describe('Release Queue Editing', () => {
+    const releaseQueueFile = path.join(__dirname, '../../release-queue.yml');
+    const queueTestSeries = 'release-queue-test-series';
+    let originalQueue;
+    let episodePath;
+    let episodeRoute;
+
+    before(async () => {
+      originalQueue = await fs.readFile(releaseQueueFile, 'utf8');
+      const { data } = await apiRequest('/api/episodes', {
+        method: 'POST',
+        body: JSON.stringify({
+          series: queueTestSeries,
+          topic: 'queue-test',
+          title: 'Release Queue Test Episode'
+        })
+      });
+      episodePath = `series/${queueTestSeries}/${data.episode.episode}`;
+      episodeRoute = `${queueTestSeries}/${data.episode.episode}`;
+    });
+
+    after(async () => {
+      await fs.writeFile(releaseQueueFile, originalQueue, 'utf8');
+      await fs.rm(path.join(testSeriesDir, queueTestSeries), { recursive: true, force: true });
+    });
+
+    test('creates a release group', async () => {
+      const { status, data } = await apiRequest('/api/releases/groups', {
+        method: 'POST',
+        body: JSON.stringify({
+          id: 'queue-test-group',
+          name: 'Queue Test Group',
+          target_date: '2025-03-01T09:00:00-08:00',
+          items: [{ path: episodePath, type: 'youtube', distribution: 'full' }],
+          dependencies: ['landing page live'],
+          release_order: ['youtube', 'blog']
+        })
+      });
+
+      assert.strictEqual(status, 201);
+      assert.strictEqual(data.success, true);
+
+      const releases = await apiRequest('/api/releases');
+      const group = releases.data.data.release_groups['queue-test-group'];
+      assert.ok(group, 'group should be saved to release-queue.yml');
+      assert.strictEqual(group.items[0].path, episodePath);
+      assert.strictEqual(group.status, 'draft');
+    });
+
+    test('rejects a duplicate release group id', async () => {
+      const { status } = await apiRequest('/api/releases/groups', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'queue-test-group', name: 'Duplicate' })
+      });
+
+      assert.strictEqual(status, 409);
+    });
+
+    test('does not treat Object prototype keys as release groups', async () => {
+      const patched = await apiRequest('/api/releases/groups/constructor', {
+        method: 'PATCH',
+        body: JSON.stringify({ description: 'x' })
+      });
+      assert.strictEqual(patched.status, 404);
+      assert.strictEqual(Object.description, undefined);
+
+      const marked = await apiRequest('/api/releases/groups/constructor/dependencies/dep-1', {
+        method: 'PATCH',
+        body: JSON.stringify({ state: 'met' })
+      });
+      assert.strictEqual(marked.status, 404);
+      assert.strictEqual((await apiRequest('/api/releases/groups/constructor', { method: 'DELETE' })).status, 404);
+
+      for (const method of ['PATCH', 'DELETE']) {
+        const { status } = await apiRequest('/api/releases/groups/__proto__', { method, body: JSON.stringify({ description: 'x' }) });
+        assert.strictEqual(status, 400);
+      }
+      const created = await apiRequest('/api/releases/groups', {
+        method: 'POST',
+        body: JSON.stringify({ id: '__proto__', name: 'Prototype' })
+      });
+      assert.strictEqual(created.status, 400);
+    });
+
+    test('rejects items that do not match an existing episode', async () => {
+      const { status, data } = await apiRequest('/api/releases/groups', {
+        method: 'POST',
+        body: JSON.stringify({
+          id: 'bad-items',
+          name: 'Bad Items',
+          items: [{ path: 'series/nope/2025-01-01-missing' }]
+        })
+      });
+
+      assert.strictEqual(status, 400);
+      assert.ok(data.errors.some(e => e.includes('does not match an existing episode')));
+    });
+
+    test('rejects unknown distribution profiles and invalid dates', async () => {
+      const { status, data } = await apiRequest('/api/releases/groups', {
+        method: 'POST',
+        body: JSON.stringify({
+          id: 'bad-fields',
+          name: 'Bad Fields',
+          target_date: '2025-02-30',
+          items: [{ path: episodePath, distribution: 'not-a-profile' }]
+        })
+      });
+
+      assert.strictEqual(status, 400);
+      assert.ok(data.errors.some(e => e.includes('not a known distribution profile')));
+      assert.ok(data.errors.some(e => e.includes('valid ISO date')));
+    });
+
+    test('reorders release order and rejects unknown platforms', async () => {
+      const reordered = await apiRequest('/api/releases/groups/queue-test-group', {
+        method: 'PATCH',
+        body: JSON.stringify({ release_order: ['blog', 'youtube'] })
+      });
+      assert.strictEqual(reordered.status, 200);
+      assert.deepStrictEqual(reordered.data.group.release_order, ['blog', 'youtube']);
+
+      const invalid = await apiRequest('/api/releases/groups/queue-test-group', {
+        method: 'PATCH',
+        body: JSON.stringify({ release_order: ['myspace'] })
+      });
+      assert.strictEqual(invalid.status, 400);
+    });
+
+    test('returns 404 when updating an unknown group', async () => {
+      const { status } = await apiRequest('/api/releases/groups/nope', {
+        method: 'PATCH',
+        body: JSON.stringify({ name: 'Nope' })
+      });
+
+      assert.strictEqual(status, 404);
+    });
+
+    test('adds an episode to the staged list once', async () => {
+      const body = JSON.stringify({ path: episodePath, target_date: '2025-03-01', distribution: 'youtube-only' });
+      const created = await apiRequest('/api/releases/staged', { method: 'POST', body });
+      assert.strictEqual(created.status, 201);
+      assert.strictEqual(created.data.item.status, 'staged');
+
+      const duplicate = await apiRequest('/api/releases/staged', { method: 'POST', body });
+      assert.strictEqual(duplicate.status, 409);
+    });
+
+    test('rejects unknown queue sections', async () => {
+      const { status } = await apiRequest('/api/releases/pending', {
+        method: 'POST',
+        body: JSON.stringify({ path: episodePath })
+      });
+
+      assert.strictEqual(status, 404);
+    });
+
+    test('requires a reason when moving an item to blocked', async () => {
+      const missing = await apiRequest(`/api/releases/staged/${episodeRoute}/move`, {
+        method: 'POST',
+        body: JSON.stringify({ to: 'blocked' })
+      });
+      assert.strictEqual(missing.status, 400);
+
+      const moved = await apiRequest(`/api/releases/staged/${episodeRoute}/move`, {
+        method: 'POST',
+        body: JSON.stringify({ to: 'blocked', blocked_by: 'Waiting on legal review' })
+      });
+      assert.strictEqual(moved.status, 200);
+      assert.strictEqual(moved.data.item.status, 'blocked');
+      assert.ok(moved.data.item.blocked_since, 'blocked_since should default to today');
+
+      const releases = await apiRequest('/api/releases');
+      assert.ok(!releases.data.data.staged.some(item => item.path === episodePath));
+      assert.ok(releases.data.data.blocked.some(item => item.path === episodePath));
+    });
+
+    test('updates a blocked entry', async () => {
+      const { status, data } = await apiRequest(`/api/releases/blocked/${episodeRoute}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ notes: 'Follow up Friday' })
+      });
+
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.item.notes, 'Follow up Friday');
+      assert.strictEqual(data.item.blocked_by, 'Waiting on legal review');
+    });
+
+    test('removes queue entries and release groups', async () => {
+      const removed = await apiRequest(`/api/releases/blocked/${episodeRoute}`, { method: 'DELETE' });
+      assert.strictEqual(removed.status, 200);
+
+      const missing = await apiRequest(`/api/releases/blocked/${episodeRoute}`, { method: 'DELETE' });
+      assert.strictEqual(missing.status, 404);
+
+      const deleted = await apiRequest('/api/releases/groups/queue-test-group', { method: 'DELETE' });
+      assert.strictEqual(deleted.status, 200);
+    });
+
+    test('keeps untouched timestamps exactly as written', async () => {
+      const content = await fs.readFile(releaseQueueFile, 'utf8');
+
+      assert.ok(content.includes('2025-01-15T09:00:00-08:00'), 'offsets on existing entries should be preserved');
+      assert.ok(content.startsWith('# Release Queue'), 'header comment should be kept');
+    });
+  });
+
+  describe('Release dependencies', () => {
+    const releaseQueueFile = path.join(__dirname, '../../release-queue.yml');
+    const dependencySeries = 'dependency-test-series';
+    let originalQueue;
+    let dependentPath;
+    let dependentRoute;
+    let prerequisitePath;
+    let prerequisiteId;
+
+    before(async () => {
+      originalQueue = await fs.readFile(releaseQueueFile, 'utf8');
+      const created = [];
+      for (const topic of ['dependent', 'prerequisite']) {
+        const { data } = await apiRequest('/api/episodes', {
+          method: 'POST',
+          body: JSON.stringify({ series: dependencySeries, topic, title: `Dependency ${topic}` })
+        });
+        created.push(data.episode.episode);
+      }
+      dependentPath = `series/${dependencySeries}/${created[0]}`;
+      dependentRoute = `${dependencySeries}/${created[0]}`;
+      prerequisitePath = `series/${dependencySeries}/${created[1]}`;
+    });
+
+    after(async () => {
+      await fs.writeFile(releaseQueueFile, originalQueue, 'utf8');
+      await fs.rm(path.join(testSeriesDir, dependencySeries), { recursive: true, force: true });
+    });
+
+    test('records group dependencies and resolves the automatic ones', async () => {
+      const created = await apiRequest('/api/releases/groups', {
+        method: 'POST',
+        body: JSON.stringify({
+          id: 'dependency-test-group',
+          name: 'Dependency Test Group',
+          items: [{ path: dependentPath }],
+          dependencies: ['landing page live', `episode: ${prerequisitePath}`, 'date: 2020-01-01', 'file: release-queue.yml']
+        })
+      });
+      assert.strictEqual(created.status, 201);
+      assert.deepStrictEqual(created.data.group.dependencies[0], {
+        id: 'landing-page-live', type: 'manual', description: 'landing page live', state: 'pending'
+      });
+
+      const staged = await apiRequest('/api/releases/staged', {
+        method: 'POST',
+        body: JSON.stringify({ path: dependentPath, target_date: '2025-03-01' })
+      });
+      assert.strictEqual(staged.status, 201);
+
+      const { data } = await apiRequest('/api/releases');
+      const group = data.dependencies.groups['dependency-test-group'];
+      assert.deepStrictEqual(group.dependencies.map(dependency => dependency.state), ['pending', 'pending', 'met', 'met']);
+      assert.strictEqual(group.dependencies[1].detail, 'Episode is draft');
+      prerequisiteId = group.dependencies[1].id;
+      assert.strictEqual(group.releasable, false);
+
+      const item = data.dependencies.items[dependentPath];
+      assert.strictEqual(item.releasable, false);
+      assert.deepStrictEqual(item.unmet.map(dependency => dependency.from), ['dependency-test-group', 'dependency-test-group']);
+    });
+
+    test('reports the readiness of each release group', async () => {
+      const { data } = await apiRequest('/api/releases');
+      const readiness = data.readiness['dependency-test-group'];
+      assert.strictEqual(readiness.total, 1);
+      assert.strictEqual(readiness.ready, 0);
+      assert.strictEqual(readiness.items[0].content_status, 'draft');
+      assert.ok(readiness.items[0].workflow.total > 0);
+      assert.strictEqual(readiness.unmet_dependencies.length, 2);
+      assert.strictEqual(readiness.at_risk, false);
+
+      const invalid = await apiRequest('/api/releases?at_risk_days=soon');
+      assert.strictEqual(invalid.status, 400);
+    });
+
+    test('refuses to release a staged item with unmet dependencies', async () => {
+      const { status, data } = await apiRequest(`/api/releases/staged/${dependentRoute}/move`, {
+        method: 'POST',
+        body: JSON.stringify({ to: 'released' })
+      });
+
+      assert.strictEqual(status, 422);
+      assert.strictEqual(data.unmet.length, 2);
+      assert.ok(data.unmet[0].startsWith('landing page live'));
+    });
+
+    test('marks and waives group dependencies, keeping marks when the list is edited', async () => {
+      const endpoint = '/api/releases/groups/dependency-test-group/dependencies';
+      const marked = await apiRequest(`${endpoint}/landing-page-live`, {
+        method: 'PATCH',
+        body: JSON.stringify({ state: 'met', marked_by: 'alex' })
+      });
+      assert.strictEqual(marked.status, 200);
+      assert.strictEqual(marked.data.dependency.marked_by, 'alex');
+      assert.ok(marked.data.dependency.marked_at);
+
+      const automatic = await apiRequest(`${endpoint}/${prerequisiteId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ state: 'met', marked_by: 'alex' })
+      });
+      assert.strictEqual(automatic.status, 400);
+
+      const waived = await apiRequest(`${endpoint}/${prerequisiteId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ state: 'waived', marked_by: 'alex' })
+      });
+      assert.strictEqual(waived.status, 200);
+
+      const unknown = await apiRequest(`${endpoint}/nope`, {
+        method: 'PATCH',
+        body: JSON.stringify({ state: 'met', marked_by: 'alex' })
+      });
+      assert.strictEqual(unknown.status, 404);
+
+      const edited = await apiRequest('/api/releases/groups/dependency-test-group', {
+        method: 'PATCH',
+        body: JSON.stringify({ dependencies: ['landing page live', `episode: ${prerequisitePath}`, 'date: 2020-01-01', 'file: release-queue.yml'] })
+      });
+      assert.strictEqual(edited.status, 200);
+      assert.deepStrictEqual(edited.data.group.dependencies.map(dependency => dependency.state), ['met', 'waived', 'pending', 'pending']);
+      assert.strictEqual(edited.data.group.dependencies[0].marked_by, 'alex');
+    });
+
+    test('marks episode dependencies and releases once everything is met', async () => {
+      const endpoint = `/api/episodes/${dependentRoute}`;
+      const updated = await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({ release: { depends_on: ['sponsor approved'] } })
+      });
+      assert.strictEqual(updated.status, 200);
+      assert.strictEqual(updated.data.metadata.release.depends_on[0].state, 'pending');
+
+      const before = await apiRequest('/api/releases');
+      assert.deepStrictEqual(before.data.dependencies.items[dependentPath].unmet.map(dependency => dependency.id), ['sponsor-approved']);
+
+      const marked = await apiRequest(`${endpoint}/dependencies/sponsor-approved`, {
+        method: 'PATCH',
+        body: JSON.stringify({ state: 'met', marked_by: 'sam' })
+      });
+      assert.strictEqual(marked.status, 200);
+      assert.strictEqual(marked.data.metadata.release.depends_on[0].marked_by, 'sam');
+
+      const after = await apiRequest('/api/releases');
+      assert.strictEqual(after.data.dependencies.items[dependentPath].releasable, true);
+
+      const released = await apiRequest(`/api/releases/staged/${dependentRoute}/move`, {
+        method: 'POST',
+        body: JSON.stringify({ to: 'released' })
+      });
+      assert.strictEqual(released.status, 200);
+    });
+  });
+
+  describe('Release Scheduler', () => {
+    test('reports the scheduler settings and audit log', async () => {
+      const { status, data } = await apiRequest('/api/scheduler?limit=5');
+
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.success, true);
+      assert.ok(Array.isArray(data.config.actions));
+      assert.ok(Array.isArray(data.due));
+      assert.ok(Array.isArray(data.upcoming));
+      assert.ok(data.log.length <= 5);
+    });
+
+    test('rejects invalid scheduler requests', async () => {
+      const limit = await apiRequest('/api/scheduler?limit=0');
+      assert.strictEqual(limit.status, 400);
+
+      const dryRun = await apiRequest('/api/scheduler/run', {
+        method: 'POST',
+        body: JSON.stringify({ dry_run: 'yes' })
+      });
+      assert.strictEqual(dryRun.status, 400);
+      assert.strictEqual(dryRun.data.error, 'dry_run must be true or false');
+    });
+  });
+
+  describe('Calendar Feed', () => {
+    test('serves the release schedule as iCalendar', async () => {
+      const response = await fetch(`${baseUrl}/api/calendar.ics?status=staged,released`);
+      const text = await response.text();
+
+      assert.strictEqual(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/calendar/);
+      assert.ok(text.startsWith('BEGIN:VCALENDAR\r\n'));
+
+      const invalid = await apiRequest('/api/calendar.ics?status=done');
+      assert.strictEqual(invalid.status, 400);
+    });
+
+    test('previews an import without writing and rejects invalid files', async () => {
+      const ics = 'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nUID:lunch@example.com\r\nSUMMARY:Team lunch nobody titled an episode\r\nDTSTART;VALUE=DATE:20250301\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n';
+      const preview = await apiRequest('/api/calendar/import', {
+        method: 'POST',
+        body: JSON.stringify({ ics, dry_run: true })
+      });
+      assert.strictEqual(preview.status, 200);
+      assert.strictEqual(preview.data.dry_run, true);
+      assert.deepStrictEqual(preview.data.updated, []);
+      assert.strictEqual(preview.data.unmatched[0].reason, 'No episode matches this UID or title');
+
+      const invalid = await apiRequest('/api/calendar/import', {
+        method: 'POST',
+        body: JSON.stringify({ ics: 'not a calendar' })
+      });
+      assert.strictEqual(invalid.status, 400);
+    });
+  });
+
+  describe('Feeds', () => {
+    test('serves RSS and Atom feeds of released episodes', async () => {
+      const rss = await fetch(`${baseUrl}/api/feeds/rss.xml`);
+      assert.strictEqual(rss.status, 200);
+      assert.match(rss.headers.get('content-type'), /^application\/rss\+xml/);
+      assert.ok((await rss.text()).includes('<rss version="2.0"'));
+
+      const atom = await fetch(`${baseUrl}/api/feeds/atom.xml`);
+      assert.strictEqual(atom.status, 200);
+      assert.match(atom.headers.get('content-type'), /^application\/atom\+xml/);
+    });
+
+    test('returns 404 for unknown feeds and series', async () => {
+      assert.strictEqual((await apiRequest('/api/feeds/nope.xml')).status, 404);
+      assert.strictEqual((await apiRequest('/api/feeds/no-such-series/rss.xml')).status, 404);
+      assert.strictEqual((await apiRequest('/api/feeds/no-such-series/no-such-episode/chapters.json')).status, 404);
+    });
+
+    test('refuses to write static feeds without a media_url', async () => {
+      const response = await apiRequest('/api/feeds/write', { method: 'POST' });
+      assert.strictEqual(response.status, 400);
+      assert.match(response.data.error, /media_url/);
+    });
+  });
+
+  describe('Distribution Profile Editing', () => {
+    const profilesFile = path.join(__dirname, '../../distribution-profiles.yml');
+    const profileTestSeries = 'distribution-test-series';
+    let originalProfiles;
+    let episodeMetadataPath;
+
+    before(async () => {
+      originalProfiles = await fs.readFile(profilesFile, 'utf8');
+    });
+
+    after(async () => {
+      await fs.writeFile(profilesFile, originalProfiles, 'utf8');
+      await fs.rm(path.join(testSeriesDir, profileTestSeries), { recursive: true, force: true });
+    });
+
+    test('creates a platform and rejects invalid character limits', async () => {
+      const invalid = await apiRequest('/api/distribution/platforms', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'threads', name: 'Threads', type: 'social', character_limit: -5 })
+      });
+      assert.strictEqual(invalid.status, 400);
+
+      const { status, data } = await apiRequest('/api/distribution/platforms', {
+        method: 'POST',
+        body: JSON.stringify({
+          id: 'threads',
+          name: 'Threads',
+          type: 'social',
+          content_types: ['post'],
+          requires: ['text'],
+          character_limit: 500
+        })
+      });
+      assert.strictEqual(status, 201);
+      assert.strictEqual(data.platform.character_limit, 500);
+
+      // Per-profile comments survive a dashboard edit
+      const saved = await fs.readFile(profilesFile, 'utf8');
+      for (const line of originalProfiles.split('\n').filter(line => line.trim().startsWith('#'))) {
+        assert.ok(saved.includes(line), `comment should be kept: ${line}`);
+      }
+    });
+
+    test('creates a profile using known platforms only', async () => {
+      const unknown = await apiRequest('/api/distribution/profiles', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'test-social', platforms: ['myspace'] })
+      });
+      assert.strictEqual(unknown.status, 400);
+
+      const { status, data } = await apiRequest('/api/distribution/profiles', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'test-social', description: 'Test profile', platforms: ['threads', 'bluesky'] })
+      });
+      assert.strictEqual(status, 201);
+      assert.deepStrictEqual(data.profile.platforms, ['threads', 'bluesky']);
+
+      const distribution = await apiRequest('/api/distribution');
+      assert.ok(distribution.data.data.profiles['test-social'], 'profile should be saved');
+      assert.ok(Array.isArray(distribution.data.data.profiles['test-social'].platforms));
+    });
+
+    test('does not treat Object prototype keys as profiles or platforms', async () => {
+      for (const [kind, body] of [['profiles', { description: 'x' }], ['platforms', { name: 'x' }]]) {
+        for (const id of ['constructor', '__proto__']) {
+          const patched = await apiRequest(`/api/distribution/${kind}/${id}`, {
+            method: 'PATCH',
+            body: JSON.stringify(body)
+          });
+          assert.strictEqual(patched.status, 404, `PATCH ${kind}/${id}`);
+          assert.strictEqual((await apiRequest(`/api/distribution/${kind}/${id}`, { method: 'DELETE' })).status, 404);
+        }
+      }
+      const cloned = await apiRequest('/api/distribution/profiles/constructor/clone', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'constructor-copy' })
+      });
+      assert.strictEqual(cloned.status, 404);
+
+      // Unused names that match prototype keys can be created
+      const platform = await apiRequest('/api/distribution/platforms', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'constructor', name: 'Constructor', type: 'social' })
+      });
+      assert.strictEqual(platform.status, 201);
+      const profile = await apiRequest('/api/distribution/profiles', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'constructor', platforms: ['constructor'] })
+      });
+      assert.strictEqual(profile.status, 201);
+      assert.strictEqual((await apiRequest('/api/distribution/profiles/constructor', { method: 'DELETE' })).status, 200);
+      assert.strictEqual((await apiRequest('/api/distribution/platforms/constructor', { method: 'DELETE' })).status, 200);
+    });
+
+    test('clones and edits a profile', async () => {
+      const cloned = await apiRequest('/api/distribution/profiles/test-social/clone', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'test-social-copy' })
+      });
+      assert.strictEqual(cloned.status, 201);
+      assert.deepStrictEqual(cloned.data.profile.platforms, ['threads', 'bluesky']);
+
+      const duplicate = await apiRequest('/api/distribution/profiles/test-social/clone', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'test-social-copy' })
+      });
+      assert.strictEqual(duplicate.status, 409);
+
+      const edited = await apiRequest('/api/distribution/profiles/test-social-copy', {
+        method: 'PATCH',
+        body: JSON.stringify({ platforms: ['threads'], shorts: true })
+      });
+      assert.strictEqual(edited.status, 200);
+      assert.deepStrictEqual(edited.data.profile.platforms, ['threads']);
+      assert.strictEqual(edited.data.profile.shorts, true);
+    });
+
+    test('refuses to delete a platform that profiles use', async () => {
+      const { status, data } = await apiRequest('/api/distribution/platforms/threads', { method: 'DELETE' });
+
+      assert.strictEqual(status, 409);
+      assert.ok(data.profiles.includes('test-social'));
+    });
+
+    test('refuses to delete a profile episodes still reference', async () => {
+      const created = await apiRequest('/api/episodes', {
+        method: 'POST',
+        body: JSON.stringify({
+          series: profileTestSeries,
+          topic: 'profile-test',
+          title: 'Profile Test Episode',
+          distributionProfile: 'test-social'
+        })
+      });
+      assert.strictEqual(created.status, 201);
+      episodeMetadataPath = path.join(testSeriesDir, profileTestSeries, created.data.episode.episode, 'metadata.yml');
+
+      const { status, data } = await apiRequest('/api/distribution/profiles/test-social', { method: 'DELETE' });
+      assert.strictEqual(status, 409);
+      assert.strictEqual(data.episodes.length, 1);
+    });
+
+    test('reassigns episodes when deleting a referenced profile', async () => {
+      const { status, data } = await apiRequest('/api/distribution/profiles/test-social?reassign=test-social-copy', {
+        method: 'DELETE'
+      });
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.reassigned, 1);
+
+      const metadata = await fs.readFile(episodeMetadataPath, 'utf8');
+      assert.ok(metadata.includes('profile: test-social-copy'), 'episode should use the replacement profile');
+    });
+
+    test('deletes an unused platform', async () => {
+      await apiRequest('/api/distribution/profiles/test-social-copy?reassign=full', { method: 'DELETE' });
+
+      // An episode's custom platform list still counts as a use
+      const metadata = await fs.readFile(episodeMetadataPath, 'utf8');
+      await fs.writeFile(episodeMetadataPath, metadata.replace('profile: full', 'platforms: [threads]'), 'utf8');
+      const inUse = await apiRequest('/api/distribution/platforms/threads', { method: 'DELETE' });
+      assert.strictEqual(inUse.status, 409);
+      assert.deepStrictEqual(inUse.data.episodes, [path.relative(path.dirname(testSeriesDir), path.dirname(episodeMetadataPath))]);
+
+      await fs.writeFile(episodeMetadataPath, metadata, 'utf8');
+      const { status } = await apiRequest('/api/distribution/platforms/threads', { method: 'DELETE' });
+      assert.strictEqual(status, 200);
+    });
+  });
+
+  describe('Workspaces', () => {
+    const originalWorkspacesFile = process.env.WORKSPACES_FILE;
+    let workspaceDir;
+
+    before(async () => {
+      workspaceDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dashboard-workspace-'));
+      // Keep the registry these tests write out of the repository's workspaces.yml
+      process.env.WORKSPACES_FILE = path.join(workspaceDir, 'workspaces.yml');
+      await fs.mkdir(path.join(workspaceDir, 'series', 'other-brand', '2025-01-01-hello'), { recursive: true });
+      await fs.writeFile(
+        path.join(workspaceDir, 'series', 'other-brand', '2025-01-01-hello', 'metadata.yml'),
+        'content_status: ready\ntitle: "Other brand episode"\n',
+        'utf8'
+      );
+    });
+
+    after(async () => {
+      // Always leave the default workspace active
+      await apiRequest('/api/workspaces/default/activate', { method: 'POST' });
+      await apiRequest('/api/workspaces/test-brand', { method: 'DELETE' });
+      if (originalWorkspacesFile === undefined) {
+        delete process.env.WORKSPACES_FILE;
+      } else {
+        process.env.WORKSPACES_FILE = originalWorkspacesFile;
+      }
+      await fs.rm(workspaceDir, { recursive: true, force: true });
+    });
+
+    test('lists the default workspace as active', async () => {
+      const { status, data } = await apiRequest('/api/workspaces');
+
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.success, true);
+      const defaultWorkspace = data.workspaces.find(ws => ws.id === 'default');
+      assert.ok(defaultWorkspace, 'default workspace should be listed');
+    });
+
+    test('rejects a relative workspace path', async () => {
+      const { status, data } = await apiRequest('/api/workspaces', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'relative', path: 'some/dir' })
+      });
+
+      assert.strictEqual(status, 400);
+      assert.ok(data.errors.some(e => e.includes('absolute')), 'should mention absolute path');
+    });
+
+    test('rejects an invalid workspace id', async () => {
+      const { status, data } = await apiRequest('/api/workspaces', {
+        method: 'POST',
+        body: JSON.stringify({ id: '../evil', path: workspaceDir })
+      });
+
+      assert.strictEqual(status, 400);
+      assert.strictEqual(data.success, false);
+    });
+
+    test('refuses system directories and paths outside WORKSPACE_ROOTS', async () => {
+      const system = await apiRequest('/api/workspaces', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'system', path: '/etc' })
+      });
+      assert.strictEqual(system.status, 400);
+      assert.ok(system.data.errors.some(e => e.includes('system directory')), 'should mention system directory');
+
+      const fsRoot = await apiRequest('/api/workspaces', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'system', path: '/' })
+      });
+      assert.strictEqual(fsRoot.status, 400);
+
+      process.env.WORKSPACE_ROOTS = path.join(workspaceDir, 'series');
+      try {
+        const outside = await apiRequest('/api/workspaces', {
+          method: 'POST',
+          body: JSON.stringify({ id: 'outside', path: workspaceDir })
+        });
+        assert.strictEqual(outside.status, 400);
+        assert.ok(outside.data.errors.some(e => e.includes('WORKSPACE_ROOTS')), 'should mention WORKSPACE_ROOTS');
+      } finally {
+        delete process.env.WORKSPACE_ROOTS;
+      }
+    });
+
+    test('returns 404 when activating an unknown workspace', async () => {
+      const { status, data } = await apiRequest('/api/workspaces/nope/activate', { method: 'POST' });
+
+      assert.strictEqual(status, 404);
+      assert.strictEqual(data.success, false);
+    });
+
+    test('does not treat Object prototype keys as workspaces', async () => {
+      for (const id of ['constructor', '__proto__', 'toString']) {
+        const activated = await apiRequest(`/api/workspaces/${id}/activate`, { method: 'POST' });
+        assert.strictEqual(activated.status, 404, `activate ${id}`);
+        assert.strictEqual((await apiRequest(`/api/workspaces/${id}`, { method: 'DELETE' })).status, 404, `delete ${id}`);
+      }
+
+      const created = await apiRequest('/api/workspaces', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'constructor', path: workspaceDir })
+      });
+      assert.strictEqual(created.status, 201);
+      assert.strictEqual((await apiRequest('/api/workspaces/constructor', { method: 'DELETE' })).status, 200);
+    });
+
+    test('registers and switches to a workspace without restarting', async () => {
+      const created = await apiRequest('/api/workspaces', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'test-brand', name: 'Test Brand', path: workspaceDir })
+      });
+      assert.strictEqual(created.status, 201);
+      assert.strictEqual(created.data.workspace.id, 'test-brand');
+
+      const activated = await apiRequest('/api/workspaces/test-brand/activate', { method: 'POST' });
+      assert.strictEqual(activated.status, 200);
+      assert.strictEqual(activated.data.active, 'test-brand');
+
+      const series = await apiRequest('/api/series');
+      assert.deepStrictEqual(series.data.series, ['other-brand']);
+
+      const episodes = await apiRequest('/api/episodes');
+      assert.strictEqual(episodes.data.count, 1);
+      assert.strictEqual(episodes.data.episodes[0].path, path.join('series', 'other-brand', '2025-01-01-hello'));
+    });
+
+    test('refuses to remove the active workspace', async () => {
+      const { status, data } = await apiRequest('/api/workspaces/test-brand', { method: 'DELETE' });
+
+      assert.strictEqual(status, 400);
+      assert.strictEqual(data.success, false);
+    });
+
+    test('switches back to the default workspace', async () => {
+      const { status, data } = await apiRequest('/api/workspaces/default/activate', { method: 'POST' });
+      assert.strictEqual(status, 200);
+      assert.strictEqual(data.active, 'default');
+
+      const series = await apiRequest('/api/series');
+      assert.ok(!series.data.series.includes('other-brand'), 'default workspace should not list other brand series');
+    });
+  });
+
+  describe('Workflow Stages', () => {
+    const originalWorkspacesFile = process.env.WORKSPACES_FILE;
+    let workspaceDir;
+
+    before(async () => {
+      workspaceDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dashboard-stages-'));
+      // Keep the registry these tests write out of the repository's workspaces.yml
+      process.env.WORKSPACES_FILE = path.join(workspaceDir, 'workspaces.yml');
+      await fs.mkdir(path.join(workspaceDir, 'series'), { recursive: true });
+      await fs.writeFile(path.join(workspaceDir, 'workflow-stages.yml'), [
+        'stages:',
+        '  - id: scripted',
+        '  - id: recorded',
+        'series:',
+        '  interviews:',
+        '    - id: guest_confirmed',
+        '      label: Guest Confirmed',
+        '    - id: recorded',
+        '    - id: guest_approved_cut',
+        '  blog-posts: []'
+      ].join('\n') + '\n', 'utf8');
+
+      await apiRequest('/api/workspaces', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'test-stages', name: 'Test Stages', path: workspaceDir })
+      });
+      await apiRequest('/api/workspaces/test-stages/activate', { method: 'POST' });
+    });
+
+    after(async () => {
+      await apiRequest('/api/workspaces/default/activate', { method: 'POST' });
+      await apiRequest('/api/workspaces/test-stages', { method: 'DELETE' });
+      if (originalWorkspacesFile === undefined) {
+        delete process.env.WORKSPACES_FILE;
+      } else {
+        process.env.WORKSPACES_FILE = originalWorkspacesFile;
+      }
+      await fs.rm(workspaceDir, { recursive: true, force: true });
+    });
+
+    test('returns the default stages and per-series overrides', async () => {
+      const { status, data } = await apiRequest('/api/workflow-stages');
+
+      assert.strictEqual(status, 200);
+      assert.deepStrictEqual(data.stages, [
+        { id: 'scripted', label: 'Scripted' },
+        { id: 'recorded', label: 'Recorded' }
+      ]);
+      assert.deepStrictEqual(data.series.interviews.map(stage => stage.label), [
+        'Guest Confirmed', 'Recorded', 'Guest Approved Cut'
+      ]);
+      assert.deepStrictEqual(data.series['blog-posts'], []);
+    });
+
+    test('creates episodes with the stages of their series', async () => {
+      const interview = await apiRequest('/api/episodes', {
+        method: 'POST',
+        body: JSON.stringify({ series: 'interviews', topic: 'first-guest', title: 'First Guest' })
+      });
+      const post = await apiRequest('/api/episodes', {
+        method: 'POST',
+        body: JSON.stringify({ series: 'blog-posts', topic: 'first-post', title: 'First Post' })
+      });
+      assert.strictEqual(interview.status, 201);
+      assert.strictEqual(post.status, 201);
+
+      const interviewDetail = await apiRequest(`/api/episodes/interviews/${interview.data.episode.episode}`);
+      assert.deepStrictEqual(interviewDetail.data.metadata.workflow, {
+        guest_confirmed: false,
+        recorded: false,
+        guest_approved_cut: false
+      });
+      const postDetail = await apiRequest(`/api/episodes/blog-posts/${post.data.episode.episode}`);
+      assert.deepStrictEqual(postDetail.data.metadata.workflow, {});
+    });
+
+    test('accepts only the workflow stages of the episode series', async () => {
+      const episodes = await apiRequest('/api/episodes?series=interviews');
+      const endpoint = `/api/episodes/interviews/${episodes.data.episodes[0].episode}`;
+
+      const rejected = await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({ workflow: { guest_confirmed: true, edited: true } })
+      });
+      assert.strictEqual(rejected.status, 400);
+      assert.deepStrictEqual(rejected.data.errors, ["Workflow field 'edited' is not valid"]);
+
+      const accepted = await apiRequest(endpoint, {
+        method: 'PATCH',
+        headers: await ifMatchHeaders(endpoint),
+        body: JSON.stringify({ workflow: { guest_confirmed: true } })
+      });
+      assert.strictEqual(accepted.status, 200);
+      assert.strictEqual(accepted.data.metadata.workflow.guest_confirmed, true);
     });
   });
 });
@@ -0,0 +1,123 @@
+/**
+ * Asset Catalog Tests
+ * Tests validating, updating, moving and removing the license, attribution
+ * and tags kept for shared assets in asset-catalog.yml
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import {
+  readAssetCatalog,
+  writeAssetCatalog,
+  validateAssetEntry,
+  updateAssetEntry,
+  moveAssetEntries,
+  removeAssetEntries,
+  annotateAssetTree
+} from '../api/assetCatalog.js';
+
+describe('Asset Catalog', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'asset-catalog-'));
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test('reads a missing file as an empty catalog and writes entries sorted by path', async () => {
+    const filepath = path.join(dir, 'asset-catalog.yml');
+    assert.deepStrictEqual(await readAssetCatalog(filepath), { assets: {} });
+
+    await writeAssetCatalog(filepath, {
+      assets: {
+        'music/outro.mp3': { license: 'CC0-1.0' },
+        'music/intro.mp3': { tags: ['intro'], expires: '2026-12-31' }
+      }
+    });
+    const content = await fs.readFile(filepath, 'utf8');
+    assert.ok(content.startsWith('# Asset Catalog'));
+    assert.ok(content.indexOf('music/intro.mp3') < content.indexOf('music/outro.mp3'));
+    // Dates stay strings under the core schema
+    assert.strictEqual((await readAssetCatalog(filepath)).assets['music/intro.mp3'].expires, '2026-12-31');
+  });
+
+  test('validates and normalizes fields', () => {
+    assert.deepStrictEqual(validateAssetEntry({
+      tags: ['Intro', ' upbeat ', 'intro', ''],
+      license: ' CC-BY-4.0 ',
+      attribution: 'Intro Theme by Jane Doe\r\n(CC BY 4.0)',
+      source: 'https://example.com/intro',
+      expires: '2026-12-31'
+    }), {
+      errors: [],
+      sanitized: {
+        tags: ['intro', 'upbeat'],
+        license: 'CC-BY-4.0',
+        attribution: 'Intro Theme by Jane Doe\n(CC BY 4.0)',
+        source: 'https://example.com/intro',
+        expires: '2026-12-31'
+      }
+    });
+
+    assert.deepStrictEqual(validateAssetEntry({ tags: [], license: '', notes: null, expires: '' }).sanitized, {
+      tags: null, license: null, notes: null, expires: null
+    });
+
+    assert.deepStrictEqual(validateAssetEntry({
+      tags: 'intro',
+      source: 'javascript:alert(1)',
+      expires: '2026-02-30',
+      color: 'red'
+    }).errors, [
+      "Asset field 'color' is not valid",
+      'Tags must be an array of strings',
+      'source must be an http or https URL',
+      'expires must be a date in YYYY-MM-DD format'
+    ]);
+  });
+
+  test('updates entries and drops them once every field is cleared', () => {
+    const entry = updateAssetEntry(undefined, { license: 'CC0-1.0', tags: ['intro'] });
+    assert.deepStrictEqual(entry, { license: 'CC0-1.0', tags: ['intro'] });
+    assert.deepStrictEqual(updateAssetEntry(entry, { tags: null, notes: 'Loop' }), { license: 'CC0-1.0', notes: 'Loop' });
+    assert.strictEqual(updateAssetEntry(entry, { license: null, tags: null }), null);
+  });
+
+  test('moves and removes the entries of files and folders', () => {
+    const assets = {
+      'music/intro.mp3': { license: 'CC0-1.0' },
+      'music/loops/beat.wav': { license: 'CC-BY-4.0' },
+      'musical/other.mp3': { license: 'MIT' }
+    };
+
+    assert.strictEqual(moveAssetEntries(assets, 'music', 'audio'), 2);
+    assert.deepStrictEqual(Object.keys(assets).sort(), ['audio/intro.mp3', 'audio/loops/beat.wav', 'musical/other.mp3']);
+
+    assert.strictEqual(moveAssetEntries(assets, 'audio/intro.mp3', 'audio/theme.mp3'), 1);
+    assert.ok(assets['audio/theme.mp3']);
+
+    assert.strictEqual(removeAssetEntries(assets, 'audio/loops'), 1);
+    assert.strictEqual(removeAssetEntries(assets, 'missing'), 0);
+    assert.deepStrictEqual(Object.keys(assets).sort(), ['audio/theme.mp3', 'musical/other.mp3']);
+  });
+
+  test('annotates the files of an asset tree', () => {
+    const tree = {
+      type: 'directory',
+      path: 'assets',
+      children: [
+        { type: 'file', path: 'assets/music/intro.mp3' },
+        { type: 'directory', path: 'assets/music', children: [{ type: 'file', path: 'assets/music/outro.mp3' }] }
+      ]
+    };
+    annotateAssetTree(tree, { 'music/intro.mp3': { license: 'CC0-1.0' } }, node => node.path.replace(/^assets\//, ''));
+
+    assert.deepStrictEqual(tree.children[0].catalog, { license: 'CC0-1.0' });
+    assert.strictEqual(tree.children[1].children[0].catalog, null);
+    assert.strictEqual(tree.catalog, undefined);
+  });
+});
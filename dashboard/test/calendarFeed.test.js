@@ -0,0 +1,189 @@
+/**
+ * Calendar Feed Tests
+ * Tests the iCalendar export of the release schedule and the .ics import of target dates
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import yaml from 'js-yaml';
+import {
+  parseCalendarQuery,
+  collectCalendarEvents,
+  buildICalendar,
+  parseICalendar,
+  matchCalendarEvents,
+  applyCalendarImport
+} from '../api/calendarFeed.js';
+import { resolveContentPaths } from '../api/workspaces.js';
+
+const episodes = [
+  {
+    path: 'series/show/2025-01-01-pilot', series: 'show', episode: '2025-01-01-pilot',
+    metadata: {
+      title: 'Pilot, part one',
+      content_status: 'staged',
+      release: { target_date: '2025-01-15T09:00:00-08:00', release_group: 'launch' },
+      analytics: { publish_date: new Date('2025-01-20T00:00:00Z') }
+    }
+  },
+  {
+    path: 'series/other/2025-02-01-follow-up', series: 'other', episode: '2025-02-01-follow-up',
+    metadata: { title: 'Follow Up', content_status: 'draft', release: { target_date: '2025-02-10' } }
+  }
+];
+
+const queue = {
+  release_groups: {
+    launch: { name: 'Launch', status: 'staged', target_date: '2025-02-01', items: [{ path: 'series/show/2025-01-01-pilot' }] }
+  },
+  staged: [{ path: 'series/show/2025-01-01-pilot', target_date: '2025-01-15', notes: 'Holiday push' }]
+};
+
+describe('Calendar Feed', () => {
+  describe('export', () => {
+    test('collects target, publish, group and staged events with stable UIDs', () => {
+      const events = collectCalendarEvents(episodes, queue);
+
+      assert.deepStrictEqual(events.map(event => event.uid), [
+        'target/show/2025-01-01-pilot@content-workflow-dashboard',
+        'published/show/2025-01-01-pilot@content-workflow-dashboard',
+        'target/other/2025-02-01-follow-up@content-workflow-dashboard',
+        'group/launch@content-workflow-dashboard',
+        'staged/show/2025-01-01-pilot@content-workflow-dashboard'
+      ]);
+      assert.deepStrictEqual(events[0].start, { utc: '20250115T170000Z' });
+      assert.deepStrictEqual(events[1].start, { date: '20250120' });
+      assert.strictEqual(events[4].summary, 'Staged: Pilot, part one');
+    });
+
+    test('filters by series and status', () => {
+      const bySeries = collectCalendarEvents(episodes, queue, { series: ['other'], status: [] });
+      assert.deepStrictEqual(bySeries.map(event => event.kind), ['target']);
+
+      const byStatus = collectCalendarEvents(episodes, queue, { series: [], status: ['staged'] });
+      assert.deepStrictEqual(byStatus.map(event => event.kind), ['target', 'published', 'group', 'staged']);
+
+      assert.deepStrictEqual(parseCalendarQuery({ series: 'a, b', status: 'draft' }).options, { series: ['a', 'b'], status: ['draft'] });
+      assert.strictEqual(parseCalendarQuery({ status: 'done' }).errors.length, 1);
+    });
+
+    test('writes escaped, folded RFC 5545 lines', () => {
+      const longTitle = `${'Very long title '.repeat(6)}✓`;
+      const ics = buildICalendar(collectCalendarEvents([{ ...episodes[0], metadata: { ...episodes[0].metadata, title: longTitle } }], {}), {
+        now: new Date('2025-01-01T12:00:00Z'),
+        timeZone: 'America/Los_Angeles'
+      });
+      const lines = ics.split('\r\n');
+
+      assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+      assert.ok(lines.includes('X-WR-TIMEZONE:America/Los_Angeles'));
+      assert.ok(lines.includes('DTSTAMP:20250101T120000Z'));
+      assert.ok(lines.includes('DTSTART;VALUE=DATE:20250120'));
+      assert.ok(lines.includes('DTEND;VALUE=DATE:20250121'));
+      assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+      assert.ok(lines.some(line => line.startsWith(' ')));
+      assert.ok(ics.includes('DESCRIPTION:Series: show\\nStatus: staged\\nRelease group: launch'));
+    });
+  });
+
+  describe('import', () => {
+    test('reads folded events with all-day, UTC, zoned and floating starts', () => {
+      const events = parseICalendar([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:one@example.com',
+        'SUMMARY:Pilot\\, part',
+        '  one',
+        'DTSTART;VALUE=DATE:20250301',
+        'BEGIN:VALARM',
+        'DTSTART:20000101T000000Z',
+        'END:VALARM',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'SUMMARY:UTC',
+        'DTSTART:20250301T170000Z',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'SUMMARY:Zoned',
+        'DTSTART;TZID="America/New_York":20250701T090000',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'SUMMARY:Floating',
+        'DTSTART:20250301T090000',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'SUMMARY:Unknown zone',
+        'DTSTART;TZID=Nowhere/City:20250301T090000',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n'));
+
+      assert.deepStrictEqual(events.map(event => event.target_date ?? event.error), [
+        '2025-03-01',
+        '2025-03-01T17:00:00Z',
+        '2025-07-01T09:00:00-04:00',
+        '2025-03-01T09:00:00',
+        'Unknown time zone "Nowhere/City"'
+      ]);
+      assert.strictEqual(events[0].summary, 'Pilot, part one');
+      assert.throws(() => parseICalendar('hello'), /Not an iCalendar file/);
+    });
+
+    test('matches events by feed UID or unique title', () => {
+      const exported = parseICalendar(buildICalendar(collectCalendarEvents(episodes, queue)));
+      const roundTrip = matchCalendarEvents(exported, episodes);
+      assert.deepStrictEqual(roundTrip.updates, []);
+      assert.strictEqual(roundTrip.unchanged.length, 2);
+      assert.deepStrictEqual(roundTrip.unmatched.map(event => event.reason), [
+        'Publish date events are not imported',
+        'Release group events are not imported; change the group target date in the Release Queue',
+        'Another event already sets the target date of series/show/2025-01-01-pilot'
+      ]);
+
+      const { updates, unmatched } = matchCalendarEvents([
+        { uid: 'abc@google.com', summary: '  follow   up ', target_date: '2025-03-01' },
+        { uid: 'target/show/gone@content-workflow-dashboard', summary: 'Gone', target_date: '2025-03-01' },
+        { uid: 'xyz@google.com', summary: 'Team lunch', target_date: '2025-03-01' }
+      ], episodes);
+      assert.deepStrictEqual(updates, [{
+        uid: 'abc@google.com',
+        summary: '  follow   up ',
+        path: 'series/other/2025-02-01-follow-up',
+        target_date: '2025-03-01',
+        previous: '2025-02-10',
+        matched_by: 'title'
+      }]);
+      assert.deepStrictEqual(unmatched.map(event => event.reason), ['No episode at series/show/gone', 'No episode matches this UID or title']);
+    });
+
+    test('writes target dates to metadata, history and staged queue entries', async () => {
+      const contentDir = await fs.mkdtemp(path.join(os.tmpdir(), 'calendar-import-'));
+      try {
+        const episodeDir = path.join(contentDir, 'series', 'show', '2025-01-01-pilot');
+        await fs.mkdir(episodeDir, { recursive: true });
+        await fs.writeFile(path.join(episodeDir, 'metadata.yml'), '# Pilot\ntitle: "Pilot"\nrelease:\n  target_date: "2025-01-15"\n', 'utf8');
+        await fs.writeFile(path.join(contentDir, 'release-queue.yml'), 'staged:\n  - path: series/show/2025-01-01-pilot\n    target_date: "2025-01-15"\n', 'utf8');
+
+        await applyCalendarImport([{ path: 'series/show/2025-01-01-pilot', target_date: '2025-03-01T17:00:00Z' }], resolveContentPaths(contentDir));
+
+        const content = await fs.readFile(path.join(episodeDir, 'metadata.yml'), 'utf8');
+        assert.ok(content.startsWith('# Pilot\n'));
+        assert.strictEqual(yaml.load(content, { schema: yaml.CORE_SCHEMA }).release.target_date, '2025-03-01T17:00:00Z');
+        const queueContent = yaml.load(await fs.readFile(path.join(contentDir, 'release-queue.yml'), 'utf8'), { schema: yaml.CORE_SCHEMA });
+        assert.strictEqual(queueContent.staged[0].target_date, '2025-03-01T17:00:00Z');
+        const history = JSON.parse((await fs.readFile(path.join(episodeDir, '.history.jsonl'), 'utf8')).trim());
+        assert.strictEqual(history.action, 'calendar_import');
+
+        await assert.rejects(
+          applyCalendarImport([{ path: 'series/../../etc', target_date: '2025-03-01' }], resolveContentPaths(contentDir)),
+          /Invalid episode path/
+        );
+      } finally {
+        await fs.rm(contentDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Episode Bundle Tests
+ * Tests zip export of episode folders with checksummed manifests and their import
+ */
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import fsSync from 'node:fs';
+import os from 'node:os';
+import {
+  parseBundleInclude,
+  isSafeBundlePath,
+  collectBundleFiles,
+  prepareEpisodeBundle,
+  writeEpisodeBundle,
+  importEpisodeBundle
+} from '../api/episodeBundle.js';
+import { crc32, readZipEntries, writeZip } from '../api/zip.js';
+import { resolveContentPaths } from '../api/workspaces.js';
+
+let contentDir;
+let episodePath;
+
+async function exportBundle(include, zipPath = path.join(contentDir, 'bundle.zip')) {
+  const bundle = await prepareEpisodeBundle(episodePath, {
+    series: 'show',
+    episode: '2025-01-01-pilot',
+    include,
+    metadata: { title: 'Pilot', content_status: 'ready' },
+    now: new Date('2025-01-10T12:00:00Z')
+  });
+  const output = fsSync.createWriteStream(zipPath);
+  await writeEpisodeBundle(bundle, output);
+  output.end();
+  await new Promise(resolve => output.on('close', resolve));
+  return { bundle, zipPath };
+}
+
+describe('Episode Bundles', () => {
+  beforeEach(async () => {
+    contentDir = await fs.mkdtemp(path.join(os.tmpdir(), 'episode-bundle-'));
+    episodePath = path.join(contentDir, 'series', 'show', '2025-01-01-pilot');
+    await fs.mkdir(path.join(episodePath, 'exports', 'shorts'), { recursive: true });
+    await fs.mkdir(path.join(episodePath, 'raw'), { recursive: true });
+    await fs.writeFile(path.join(episodePath, 'metadata.yml'), `title: "Pilot"\n${'tags: []\n'.repeat(20)}`, 'utf8');
+    await fs.writeFile(path.join(episodePath, 'script.md'), '# Pilot\n', 'utf8');
+    await fs.writeFile(path.join(episodePath, 'exports', 'final.mp4'), Buffer.alloc(5000, 3));
+    await fs.writeFile(path.join(episodePath, 'exports', 'shorts', 'clip.mp4'), Buffer.alloc(10, 4));
+    await fs.writeFile(path.join(episodePath, 'raw', 'take-1.mov'), Buffer.alloc(10, 5));
+    await fs.writeFile(path.join(episodePath, 'Thumbs.db'), 'clutter', 'utf8');
+  });
+
+  afterEach(() => fs.rm(contentDir, { recursive: true, force: true }));
+
+  test('parses the include parts', () => {
+    assert.deepStrictEqual(parseBundleInclude(undefined).include, ['metadata', 'script', 'notes']);
+    assert.deepStrictEqual(parseBundleInclude('exports, metadata,exports').include, ['exports', 'metadata']);
+    assert.deepStrictEqual(parseBundleInclude('script,all').include, ['all']);
+    assert.strictEqual(parseBundleInclude('raw').errors.length, 1);
+
+    assert.strictEqual(isSafeBundlePath('exports/final.mp4'), true);
+    for (const unsafe of ['../x', '/etc/passwd', 'a//b', 'a\\b', 'C:/x', './a', '']) {
+      assert.strictEqual(isSafeBundlePath(unsafe), false, unsafe);
+    }
+  });
+
+  test('collects the files of each part', async () => {
+    assert.deepStrictEqual(await collectBundleFiles(episodePath, ['notes', 'exports', 'metadata']), [
+      'exports/final.mp4',
+      'exports/shorts/clip.mp4',
+      'metadata.yml'
+    ]);
+    assert.deepStrictEqual(await collectBundleFiles(episodePath, ['all']), [
+      'exports/final.mp4',
+      'exports/shorts/clip.mp4',
+      'metadata.yml',
+      'raw/take-1.mov',
+      'script.md'
+    ]);
+  });
+
+  test('writes a zip with the manifest first and text deflated', async () => {
+    const { bundle, zipPath } = await exportBundle(['metadata', 'exports']);
+    const entries = await readZipEntries(zipPath);
+
+    assert.deepStrictEqual(entries.map(entry => entry.name), [
+      'manifest.json',
+      '2025-01-01-pilot/exports/final.mp4',
+      '2025-01-01-pilot/exports/shorts/clip.mp4',
+      '2025-01-01-pilot/metadata.yml'
+    ]);
+    assert.strictEqual(entries[1].method, 0);
+    assert.strictEqual(entries[3].method, 8);
+    assert.ok(entries[3].compressedSize < entries[3].size);
+    assert.strictEqual(entries[1].crc, crc32(Buffer.alloc(5000, 3)));
+    assert.deepStrictEqual(bundle.manifest.include, ['metadata', 'exports']);
+    assert.strictEqual(bundle.manifest.created_at, '2025-01-10T12:00:00.000Z');
+    assert.strictEqual(bundle.manifest.files[0].sha256.length, 64);
+
+    const none = await prepareEpisodeBundle(episodePath, { series: 'show', episode: '2025-01-01-pilot', include: ['notes'] });
+    assert.strictEqual(none.status, 404);
+  });
+
+  test('imports into a new series, next to an existing episode, or over it', async () => {
+    const { zipPath } = await exportBundle(['all']);
+    const paths = resolveContentPaths(contentDir);
+
+    const created = await importEpisodeBundle(zipPath, { series: 'archive', paths });
+    assert.strictEqual(created.path, 'series/archive/2025-01-01-pilot');
+    assert.strictEqual(created.created, true);
+    assert.deepStrictEqual(
+      await fs.readFile(path.join(contentDir, created.path, 'raw', 'take-1.mov')),
+      Buffer.alloc(10, 5)
+    );
+
+    assert.strictEqual((await importEpisodeBundle(zipPath, { series: 'show', paths })).status, 409);
+    assert.strictEqual((await importEpisodeBundle(zipPath, { series: 'show', onConflict: 'rename', paths })).episode, '2025-01-01-pilot-2');
+    assert.strictEqual((await importEpisodeBundle(zipPath, { series: 'show', episode: 'copy', paths })).path, 'series/show/copy');
+
+    await fs.writeFile(path.join(episodePath, 'script.md'), '# Edited\n', 'utf8');
+    const overwritten = await importEpisodeBundle(zipPath, { series: 'show', onConflict: 'overwrite', paths });
+    assert.strictEqual(overwritten.created, false);
+    assert.strictEqual(await fs.readFile(path.join(episodePath, 'script.md'), 'utf8'), '# Pilot\n');
+    const history = JSON.parse((await fs.readFile(path.join(episodePath, '.history.jsonl'), 'utf8')).trim());
+    assert.strictEqual(history.action, 'bundle_import');
+    assert.strictEqual(history.before, '# Edited\n');
+
+    // Importing a metadata.yml with another status records the status change
+    await fs.writeFile(path.join(episodePath, 'metadata.yml'), 'title: "Pilot"\ncontent_status: draft\n', 'utf8');
+    const { zipPath: draftZip } = await exportBundle(['metadata'], path.join(contentDir, 'draft.zip'));
+    await fs.writeFile(path.join(episodePath, 'metadata.yml'), 'title: "Pilot"\ncontent_status: released\n', 'utf8');
+
+    // The status change is checked before anything is written
+    const checked = [];
+    const refused = await importEpisodeBundle(draftZip, {
+      series: 'show',
+      onConflict: 'overwrite',
+      paths,
+      checkMetadata: async (current, content, target) => {
+        checked.push([current, content, target]);
+        return { refused: { from: 'released', to: 'draft', unmet: ['Not allowed'] } };
+      }
+    });
+    assert.strictEqual(refused.status, 422);
+    assert.deepStrictEqual(refused.refused.unmet, ['Not allowed']);
+    assert.deepStrictEqual(checked, [['title: "Pilot"\ncontent_status: released\n', 'title: "Pilot"\ncontent_status: draft\n', episodePath]]);
+    assert.strictEqual(await fs.readFile(path.join(episodePath, 'metadata.yml'), 'utf8'), 'title: "Pilot"\ncontent_status: released\n');
+
+    const override = { reason: 'Back to the backup', from: 'released', to: 'draft', unmet: ['Not allowed'] };
+    await importEpisodeBundle(draftZip, { series: 'show', onConflict: 'overwrite', paths, checkMetadata: async () => ({ override }) });
+    const imported = await fs.readFile(path.join(episodePath, 'metadata.yml'), 'utf8');
+    assert.match(imported, /status_history:\n {2}- status: draft\n {4}timestamp: "[^"]+"\n {4}source: dashboard\n$/);
+    const revisions = (await fs.readFile(path.join(episodePath, '.history.jsonl'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(revisions.at(-1).override, override);
+
+    assert.deepStrictEqual(await fs.readdir(path.join(contentDir, 'uploads')), []);
+  });
+
+  test('rejects bundles that do not match their manifest', async () => {
+    const paths = resolveContentPaths(contentDir);
+    const manifest = {
+      format: 'content-workflow-episode-bundle',
+      version: 1,
+      episode: 'pilot',
+      files: [{ path: 'metadata.yml', size: 6, sha256: '0'.repeat(64) }]
+    };
+    const writeBundle = async (entries) => {
+      const zipPath = path.join(contentDir, 'tampered.zip');
+      const output = fsSync.createWriteStream(zipPath);
+      await writeZip(output, entries);
+      output.end();
+      await new Promise(resolve => output.on('close', resolve));
+      return zipPath;
+    };
+
+    const wrongChecksum = await writeBundle([
+      { name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest)) },
+      { name: 'pilot/metadata.yml', data: Buffer.from('title:') }
+    ]);
+    const result = await importEpisodeBundle(wrongChecksum, { series: 'archive', paths });
+    assert.strictEqual(result.status, 400);
+    assert.match(result.error, /metadata\.yml does not match its checksum/);
+    assert.strictEqual(fsSync.existsSync(path.join(contentDir, 'series', 'archive')), false);
+
+    const traversal = await writeBundle([
+      { name: 'manifest.json', data: Buffer.from(JSON.stringify({ ...manifest, files: [{ ...manifest.files[0], path: '../escape.yml' }] })) },
+      { name: 'pilot/../escape.yml', data: Buffer.from('title:') }
+    ]);
+    assert.match((await importEpisodeBundle(traversal, { series: 'archive', paths })).error, /invalid file path/);
+
+    const notZip = path.join(contentDir, 'not.zip');
+    await fs.writeFile(notZip, 'hello', 'utf8');
+    assert.strictEqual((await importEpisodeBundle(notZip, { series: 'archive', paths })).error, 'Invalid bundle: Not a ZIP archive');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Episode Index Tests
+ * Tests the in-memory episode index and its incremental updates
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import { createEpisodeIndex, parseEpisodeQuery, queryEpisodes, toDateKey } from '../api/episodeIndex.js';
+
+describe('Episode Index', () => {
+  let baseDir;
+  let seriesDir;
+
+  async function writeEpisode(series, episode, metadata) {
+    const dir = path.join(seriesDir, series, episode);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'metadata.yml'), metadata, 'utf8');
+    return dir;
+  }
+
+  before(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'episode-index-'));
+    seriesDir = path.join(baseDir, 'series');
+    await writeEpisode('show', '2025-01-01-first', 'title: First\ncontent_status: draft\n');
+    await writeEpisode('show', '2025-01-02-second', 'title: Second\ncontent_status: ready\n');
+  });
+
+  after(async () => {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  test('builds from the series directory on first read', async () => {
+    const index = createEpisodeIndex({ seriesDir, baseDir });
+    const episodes = await index.getEpisodes();
+
+    assert.strictEqual(episodes.length, 2);
+    assert.ok(episodes.every(ep => ep.series === 'show'));
+  });
+
+  test('applies add, change and unlinkDir events without rescanning', async () => {
+    const index = createEpisodeIndex({ seriesDir, baseDir });
+    await index.getEpisodes();
+
+    const thirdDir = await writeEpisode('show', '2025-01-03-third', 'title: Third\n');
+    await index.applyFileEvent('add', path.join(thirdDir, 'metadata.yml'));
+    assert.strictEqual((await index.getEpisodes()).length, 3);
+
+    await fs.writeFile(path.join(thirdDir, 'metadata.yml'), 'title: Third (edited)\n', 'utf8');
+    await index.applyFileEvent('change', path.join(thirdDir, 'metadata.yml'));
+    const third = (await index.getEpisodes()).find(ep => ep.episode === '2025-01-03-third');
+    assert.strictEqual(third.metadata.title, 'Third (edited)');
+
+    // Changes the index was not told about stay invisible until an event arrives
+    await writeEpisode('show', '2025-01-04-fourth', 'title: Fourth\n');
+    assert.strictEqual((await index.getEpisodes()).length, 3);
+
+    await fs.rm(thirdDir, { recursive: true });
+    await index.applyFileEvent('unlinkDir', thirdDir);
+    assert.ok(!(await index.getEpisodes()).some(ep => ep.episode === '2025-01-03-third'));
+  });
+
+  test('drops an episode when its metadata.yml is removed', async () => {
+    const index = createEpisodeIndex({ seriesDir, baseDir });
+    await index.getEpisodes();
+
+    const metadataPath = path.join(seriesDir, 'show', '2025-01-04-fourth', 'metadata.yml');
+    await fs.rm(metadataPath);
+    await index.applyFileEvent('unlink', metadataPath);
+
+    assert.ok(!(await index.getEpisodes()).some(ep => ep.episode === '2025-01-04-fourth'));
+  });
+
+  test('keeps episodes whose metadata.yml does not parse, with the syntax error as lint', async () => {
+    const brokenDir = await writeEpisode('broken', '2025-01-05-broken', 'title: "Broken\ncontent_status: [draft\n');
+    // A subfolder that looks like an episode must not be picked up in its place
+    await writeEpisode('broken', path.join('2025-01-05-broken', 'nested'), 'title: Nested\n');
+    const index = createEpisodeIndex({ seriesDir, baseDir });
+    const episodes = (await index.getEpisodes()).filter(ep => ep.series === 'broken');
+
+    assert.deepStrictEqual(episodes.map(ep => ep.episode), ['2025-01-05-broken']);
+    assert.deepStrictEqual(episodes[0].metadata, {});
+    assert.ok(episodes[0].lint.errors[0].message.startsWith('YAML syntax error'), episodes[0].lint.errors[0].message);
+
+    // The metadata comes from the same YAML 1.2 parse as the lint: dates stay strings
+    await fs.writeFile(path.join(brokenDir, 'metadata.yml'), 'title: Fixed\ncontent_status: draft\nrelease:\n  target_date: 2025-02-01\n', 'utf8');
+    await index.applyFileEvent('change', path.join(brokenDir, 'metadata.yml'));
+    const fixed = (await index.getEpisodes()).find(ep => ep.episode === '2025-01-05-broken');
+    assert.deepStrictEqual(fixed.metadata, { title: 'Fixed', content_status: 'draft', release: { target_date: '2025-02-01' } });
+    assert.deepStrictEqual(fixed.lint.errors, []);
+
+    await fs.rm(path.join(seriesDir, 'broken'), { recursive: true });
+  });
+
+  test('ignores events outside the series directory', async () => {
+    const index = createEpisodeIndex({ seriesDir, baseDir });
+    const before = (await index.getEpisodes()).length;
+
+    await index.applyFileEvent('change', path.join(baseDir, 'release-queue.yml'));
+    await index.applyFileEvent('unlinkDir', seriesDir);
+
+    assert.strictEqual((await index.getEpisodes()).length, before);
+  });
+});
+
+describe('Episode Queries', () => {
+  const episodes = [
+    { path: 'series/a/2025-01-01-one', series: 'a', episode: '2025-01-01-one', metadata: { title: 'One', content_status: 'draft', release: { target_date: new Date('2025-02-01T00:00:00Z') } } },
+    { path: 'series/b/2025-01-02-two', series: 'b', episode: '2025-01-02-two', metadata: { title: 'Two', content_status: 'released', analytics: { publish_date: '2025-01-20' }, tags: ['AI', null] } },
+    { path: 'series/a/2025-01-03-three', series: 'a', episode: '2025-01-03-three', metadata: null }
+  ];
+
+  test('defaults to newest episode folders first', () => {
+    const { options } = parseEpisodeQuery({});
+    const result = queryEpisodes(episodes, options);
+
+    assert.deepStrictEqual(result.episodes.map(ep => ep.episode), ['2025-01-03-three', '2025-01-02-two', '2025-01-01-one']);
+    assert.strictEqual(result.limit, null);
+  });
+
+  test('treats missing metadata as a draft', () => {
+    const { options } = parseEpisodeQuery({ status: 'draft', series: 'a' });
+
+    assert.strictEqual(queryEpisodes(episodes, options).total, 2);
+  });
+
+  test('filters on publish date and skips null tags', () => {
+    const { options } = parseEpisodeQuery({ date_field: 'publish_date', from: '2025-01-01', tag: 'ai' });
+
+    assert.deepStrictEqual(queryEpisodes(episodes, options).episodes.map(ep => ep.metadata.title), ['Two']);
+  });
+
+  test('toDateKey handles js-yaml dates and datetime strings', () => {
+    assert.strictEqual(toDateKey(new Date('2025-02-01T00:00:00Z')), '2025-02-01');
+    assert.strictEqual(toDateKey('2025-01-15T09:00:00-08:00'), '2025-01-15');
+    assert.strictEqual(toDateKey('soon'), '');
+  });
+});
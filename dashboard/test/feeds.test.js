@@ -0,0 +1,175 @@
+/**
+ * Feed Tests
+ * Tests RSS, Atom and podcast feeds of released episodes and writing them as static files
+ */
+
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import { JSDOM } from 'jsdom';
+
+// Static feeds are written for the active content root, so point it at a temporary one
+const contentDir = await fs.mkdtemp(path.join(os.tmpdir(), 'feeds-'));
+process.env.CONTENT_DIR = contentDir;
+process.env.WORKSPACES_FILE = path.join(contentDir, 'workspaces.yml');
+
+const episodeDir = path.join(contentDir, 'series', 'show', '2025-01-01-pilot');
+await fs.mkdir(path.join(episodeDir, 'exports'), { recursive: true });
+await fs.writeFile(path.join(episodeDir, 'exports', 'final.wav'), 'wav data');
+await fs.writeFile(path.join(episodeDir, 'exports', 'final.mp3'), 'mp3 data');
+await fs.writeFile(path.join(episodeDir, 'thumbnail.png'), 'png');
+await fs.writeFile(path.join(episodeDir, 'metadata.yml'), [
+  'title: "Pilot & friends"',
+  'content_status: released',
+  'description: |',
+  '  The first one.',
+  '',
+  '  ## Timestamps',
+  '  0:00 - Intro',
+  '  1:30 - Setup',
+  'tags: [AI, MCP]',
+  'thumbnail: thumbnail.png',
+  'recording:',
+  '  duration_final: "12:34"',
+  'series:',
+  '  episode_number: 1',
+  'analytics:',
+  '  publish_date: 2025-01-15',
+  ''
+].join('\n'), 'utf8');
+const draftDir = path.join(contentDir, 'series', 'show', '2025-02-01-draft');
+await fs.mkdir(draftDir, { recursive: true });
+await fs.writeFile(path.join(draftDir, 'metadata.yml'), 'title: "Not yet"\ncontent_status: draft\n', 'utf8');
+await fs.writeFile(path.join(contentDir, 'feeds.yml'), [
+  'title: "Toolkit"',
+  'media_url: "https://cdn.example.com/series/"',
+  'feeds_url: "https://example.com/feeds"',
+  'episode_url: "https://example.com/{series}/{episode}/"',
+  'series:',
+  '  show:',
+  '    title: "The Show"',
+  '    podcast:',
+  '      category: Technology',
+  '      owner_email: host@example.com',
+  ''
+].join('\n'), 'utf8');
+
+const {
+  validateFeedConfig,
+  parseDuration,
+  parseChapters,
+  collectFeedItems,
+  generateFeed,
+  writeStaticFeeds,
+  getEpisodeChapters
+} = await import('../api/feeds.js');
+const { getIndexedEpisodes } = await import('../api/episodeIndex.js');
+
+/**
+ * Parses feed XML, failing on malformed documents.
+ * @param {string} xml
+ * @returns {Document}
+ */
+function parseXml(xml) {
+  const document = new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+  assert.strictEqual(document.getElementsByTagName('parsererror').length, 0);
+  return document;
+}
+
+describe('Feeds', () => {
+  after(() => fs.rm(contentDir, { recursive: true, force: true }));
+
+  test('validates feeds.yml, falling back to defaults', () => {
+    const { errors, config } = validateFeedConfig({
+      media_url: 'ftp://example.com',
+      output_dir: '../outside',
+      limit: 0,
+      series: { show: { podcast: { type: 'daily', explicit: 'no' } }, other: { podcast: true } }
+    });
+    assert.strictEqual(errors.length, 5);
+    assert.strictEqual(config.media_url, '');
+    assert.strictEqual(config.output_dir, 'feeds');
+    assert.strictEqual(config.limit, 50);
+    assert.strictEqual(config.series.show.podcast.type, 'episodic');
+    assert.strictEqual(config.series.other.podcast.category, 'Technology');
+  });
+
+  test('parses durations and description chapters', () => {
+    assert.strictEqual(parseDuration('12:34'), 754);
+    assert.strictEqual(parseDuration('1:02:03'), 3723);
+    assert.strictEqual(parseDuration('12m 34s'), 754);
+    assert.strictEqual(parseDuration(90), 90);
+    assert.strictEqual(parseDuration('soon'), null);
+
+    assert.deepStrictEqual(parseChapters('Intro text\n0:00 - Intro\n1:02:03 — Deep dive\n0:30 - Out of order'), [
+      { startTime: 0, title: 'Intro' },
+      { startTime: 3723, title: 'Deep dive' }
+    ]);
+    assert.deepStrictEqual(parseChapters('5:00 - Starts late'), []);
+  });
+
+  test('collects released episodes with audio, thumbnail, duration and chapters', async () => {
+    const items = await collectFeedItems(await getIndexedEpisodes(), { baseDir: contentDir, limit: 10 });
+
+    assert.strictEqual(items.length, 1);
+    assert.deepStrictEqual(items[0].audio, { file: 'exports/final.mp3', type: 'audio/mpeg', length: 8 });
+    assert.strictEqual(items[0].thumbnail, 'thumbnail.png');
+    assert.strictEqual(items[0].duration, 754);
+    assert.strictEqual(items[0].published, Date.parse('2025-01-15T00:00:00Z'));
+    assert.strictEqual(items[0].chapters.length, 2);
+  });
+
+  test('builds RSS and Atom feeds', async () => {
+    const rss = parseXml((await generateFeed({ format: 'rss', origin: 'http://localhost:3000' })).xml);
+    const item = rss.querySelector('item');
+    assert.strictEqual(item.querySelector('title').textContent, 'Pilot & friends');
+    assert.strictEqual(item.querySelector('link').textContent, 'https://example.com/show/2025-01-01-pilot/');
+    assert.strictEqual(item.querySelector('pubDate').textContent, 'Wed, 15 Jan 2025 00:00:00 GMT');
+    assert.strictEqual(item.getElementsByTagName('media:thumbnail')[0].getAttribute('url'), 'https://cdn.example.com/series/show/2025-01-01-pilot/thumbnail.png');
+    assert.strictEqual(item.getElementsByTagName('enclosure').length, 0);
+    assert.strictEqual(rss.getElementsByTagName('atom:link')[0].getAttribute('href'), 'http://localhost:3000/api/feeds/rss.xml');
+
+    const atom = parseXml((await generateFeed({ format: 'atom', series: 'show', origin: 'http://localhost:3000' })).xml);
+    assert.strictEqual(atom.querySelector('feed > title').textContent, 'The Show');
+    assert.strictEqual(atom.querySelector('entry > id').textContent, 'tag:content-workflow-dashboard,2024:series/show/2025-01-01-pilot');
+    assert.deepStrictEqual([...atom.querySelectorAll('entry > category')].map(category => category.getAttribute('term')), ['AI', 'MCP']);
+  });
+
+  test('adds iTunes and Podcasting 2.0 tags in podcast mode', async () => {
+    const podcast = parseXml((await generateFeed({ format: 'podcast', series: 'show', origin: 'http://localhost:3000' })).xml);
+    const tag = (parent, name) => parent.getElementsByTagName(name)[0];
+    const item = podcast.querySelector('item');
+
+    assert.strictEqual(tag(podcast, 'itunes:category').getAttribute('text'), 'Technology');
+    assert.strictEqual(tag(podcast, 'itunes:email').textContent, 'host@example.com');
+    assert.strictEqual(tag(item, 'enclosure').getAttribute('url'), 'https://cdn.example.com/series/show/2025-01-01-pilot/exports/final.mp3');
+    assert.strictEqual(tag(item, 'enclosure').getAttribute('length'), '8');
+    assert.strictEqual(tag(item, 'itunes:duration').textContent, '754');
+    assert.strictEqual(tag(item, 'podcast:chapters').getAttribute('url'), 'http://localhost:3000/api/feeds/show/2025-01-01-pilot/chapters.json');
+    assert.deepStrictEqual([...item.getElementsByTagName('psc:chapter')].map(chapter => chapter.getAttribute('start')), ['00:00:00', '00:01:30']);
+
+    assert.strictEqual((await generateFeed({ format: 'podcast', origin: 'http://localhost:3000' })).status, 404);
+    assert.strictEqual((await generateFeed({ format: 'rss', series: 'missing', origin: 'http://localhost:3000' })).status, 404);
+    assert.deepStrictEqual((await getEpisodeChapters('show', '2025-01-01-pilot')).chapters[1], { startTime: 90, title: 'Setup' });
+    assert.strictEqual(await getEpisodeChapters('show', '2025-02-01-draft'), null);
+  });
+
+  test('writes every feed as static files', async () => {
+    const { files, output_dir: outputDir } = await writeStaticFeeds();
+
+    assert.strictEqual(outputDir, 'feeds');
+    assert.deepStrictEqual(files, [
+      'rss.xml',
+      'atom.xml',
+      'show/rss.xml',
+      'show/atom.xml',
+      'show/podcast.xml',
+      'show/2025-01-01-pilot/chapters.json'
+    ]);
+    const podcast = await fs.readFile(path.join(contentDir, 'feeds', 'show', 'podcast.xml'), 'utf8');
+    assert.ok(podcast.includes('<atom:link href="https://example.com/feeds/show/podcast.xml" rel="self"'));
+    assert.ok(podcast.includes('url="https://example.com/feeds/show/2025-01-01-pilot/chapters.json"'));
+  });
+});
@@ -3,10 +3,24 @@
  * Tests browser-side JavaScript functionality
  */
 
-import { describe, test, beforeEach } from 'node:test';
+import { describe, test, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 import { JSDOM } from 'jsdom';
-import { matchesAssetFilter, hasMatchingFilesInDir } from '../public/js/utils/assetFilters.js';
+import { matchesAssetFilter, hasMatchingFilesInDir, collectAssetLicenses, NO_LICENSE_FILTER } from '../public/js/utils/assetFilters.js';
+import { getChangedFields, renderDependencyList, renderQueueItem, renderGroupReadiness, renderSchedulerPanel } from '../public/js/views/releaseQueue.js';
+import { renderUnmetDependencies, renderGroupRisk, renderCalendarImportPreview } from '../public/js/views/calendar.js';
+import { parseIdList } from '../public/js/views/distribution.js';
+import { highlightSnippet, describeMatchLocation } from '../public/js/components/globalSearch.js';
+import { buildConflictRows, buildResolvedUpdates, diffLines } from '../public/js/components/conflictResolver.js';
+import { describeRevisionSource, parseDiffLines, renderHistoryEntries } from '../public/js/components/episodeHistory.js';
+import { buildBundleExportUrl, renderBundlePane } from '../public/js/components/episodeBundle.js';
+import { renderPublishResult, renderReadinessPanel } from '../public/js/components/publishPackage.js';
+import { renderLintBadge, renderEpisodeCard } from '../public/js/components/episodeCard.js';
+import { renderTransitionRefusal } from '../public/js/components/statusDropdown.js';
+import { renderMetadataFields, collectMetadataChanges, formatFieldValue } from '../public/js/components/metadataFields.js';
+import { formatDays, renderMetricsSections } from '../public/js/views/metrics.js';
+import { renderImageSpecChecks, renderAssetCatalogForm, collectAssetCatalogForm } from '../public/js/views/assets.js';
+import { formatMediaSummary, renderMediaInfoItems, hasFinalExport } from '../public/js/components/mediaInfo.js';
 
 describe('Frontend Tests', async () => {
 
@@ -238,6 +252,41 @@ describe('Frontend Tests', async () => {
 
       assert.ok(matchesAssetFilter(file, state), 'Unknown filter type should match all files');
     });
+
+    test('search matches catalog tags and license', () => {
+      const file = { name: 'track01.mp3', ext: '.mp3', catalog: { tags: ['intro', 'upbeat'], license: 'CC-BY-4.0' } };
+
+      assert.ok(matchesAssetFilter(file, { searchQuery: 'UPBEAT', filterType: 'all' }));
+      assert.ok(matchesAssetFilter(file, { searchQuery: 'cc-by', filterType: 'audio' }));
+      assert.ok(!matchesAssetFilter(file, { searchQuery: 'outro', filterType: 'all' }));
+      assert.ok(!matchesAssetFilter({ name: 'track02.mp3', ext: '.mp3', catalog: null }, { searchQuery: 'intro', filterType: 'all' }));
+    });
+
+    test('license filter matches exactly or files without a license', () => {
+      const licensed = { name: 'a.mp3', ext: '.mp3', catalog: { license: 'CC-BY-4.0' } };
+      const share = { name: 'b.mp3', ext: '.mp3', catalog: { license: 'CC-BY-SA-4.0' } };
+      const unlicensed = { name: 'c.mp3', ext: '.mp3', catalog: { tags: ['loop'] } };
+      const state = { searchQuery: '', filterType: 'all', filterLicense: 'cc-by-4.0' };
+
+      assert.deepStrictEqual([licensed, share, unlicensed].filter(file => matchesAssetFilter(file, state)), [licensed]);
+      state.filterLicense = NO_LICENSE_FILTER;
+      assert.deepStrictEqual([licensed, share, unlicensed].filter(file => matchesAssetFilter(file, state)), [unlicensed]);
+      assert.ok(!hasMatchingFilesInDir({ type: 'directory', children: [] }, state), 'License filter hides empty folders');
+    });
+
+    test('collectAssetLicenses lists distinct licenses in the tree', () => {
+      const tree = {
+        type: 'directory',
+        children: [
+          { type: 'file', catalog: { license: 'MIT' } },
+          { type: 'directory', children: [{ type: 'file', catalog: { license: 'CC0-1.0' } }, { type: 'file', catalog: { license: 'MIT' } }] },
+          { type: 'file', catalog: null }
+        ]
+      };
+
+      assert.deepStrictEqual(collectAssetLicenses(tree), ['CC0-1.0', 'MIT']);
+      assert.deepStrictEqual(collectAssetLicenses(null), []);
+    });
   });
 
   describe('XSS Prevention - Malicious Filenames', async () => {
@@ -797,4 +846,571 @@ describe('Frontend Tests', async () => {
       }
     });
   });
+
+  describe('Release Queue Editor', () => {
+    test('getChangedFields returns only edited fields', () => {
+      const initial = { name: 'Launch', target_date: '2025-01-15T17:00:00.000Z', release_order: ['youtube', 'blog'] };
+      const current = { name: 'Launch', target_date: '2025-01-15T17:00:00.000Z', release_order: ['blog', 'youtube'] };
+
+      assert.deepStrictEqual(getChangedFields(initial, current), { release_order: ['blog', 'youtube'] });
+    });
+
+    test('getChangedFields treats missing initial values as empty', () => {
+      const changed = getChangedFields({}, { notes: '', dependencies: [], condition: 'Repo public' });
+
+      assert.deepStrictEqual(changed, { condition: 'Repo public' });
+    });
+  });
+
+  describe('Release Dependencies', () => {
+    const manual = { id: 'landing-page-live', type: 'manual', description: 'landing page live', label: 'landing page live', state: 'pending', automatic: false, satisfied: false, detail: 'Not marked met yet', from: 'launch' };
+    const automatic = { id: 'date-2025-02-01', type: 'date', date: '2025-02-01', label: 'date: 2025-02-01', state: 'pending', automatic: true, satisfied: false, detail: 'Waiting until 2025-02-01', from: 'episode' };
+    const waived = { ...manual, id: 'repo-public', label: 'repo public', state: 'waived', satisfied: true, detail: 'Waived by alex' };
+
+    beforeEach(() => {
+      global.document = new JSDOM('').window.document;
+    });
+
+    afterEach(() => {
+      delete global.document;
+    });
+
+    test('offers mark, waive and reset only where they apply', () => {
+      const list = new JSDOM(renderDependencyList([manual, automatic, waived], dependency => `data-group-id="${dependency.from}"`)).window.document;
+      const actions = [...list.querySelectorAll('li')].map(item =>
+        [...item.querySelectorAll('[data-dependency-action]')].map(button => button.dataset.dependencyAction));
+
+      assert.deepStrictEqual(actions, [['met', 'waived'], ['waived'], ['pending']]);
+      assert.strictEqual(list.querySelector('[data-dependency-action]').dataset.dependencyId, 'landing-page-live');
+    });
+
+    test('shows whether a staged item is releasable and what it waits on', () => {
+      const item = { path: 'series/a/one', status: 'staged' };
+      const waiting = new JSDOM(renderQueueItem('staged', item, { dependencies: [manual, automatic], unmet: [manual, automatic], releasable: false })).window.document;
+
+      assert.ok(waiting.body.textContent.includes('2 unmet'));
+      assert.strictEqual(waiting.querySelector('[data-group-id]').dataset.groupId, 'launch');
+      assert.strictEqual(waiting.querySelector('[data-episode-path]').dataset.episodePath, 'series/a/one');
+
+      const ready = renderQueueItem('staged', item, { dependencies: [waived], unmet: [], releasable: true });
+      assert.ok(ready.includes('releasable'));
+    });
+
+    test('lists unmet dependencies in the calendar item modal', () => {
+      const html = renderUnmetDependencies({ dependencies: [manual, waived], releasable: false });
+
+      assert.ok(html.includes('landing page live'));
+      assert.ok(!html.includes('repo public'));
+      assert.ok(renderUnmetDependencies({ dependencies: [waived], releasable: true }).includes('All met'));
+      assert.strictEqual(renderUnmetDependencies({ dependencies: [], releasable: true }), '');
+    });
+
+    test('edits recorded dependencies as text in the episode modal', () => {
+      const def = { field: 'release.depends_on', type: 'list' };
+
+      assert.strictEqual(formatFieldValue(def, [manual, automatic, 'blog live']), 'landing page live, date: 2025-02-01, blog live');
+    });
+  });
+
+  describe('Release Group Readiness', () => {
+    const readiness = {
+      total: 2,
+      ready: 1,
+      percent: 50,
+      days_until_target: 3,
+      at_risk: true,
+      at_risk_reason: 'Target date in 3 days with 1 item still in draft',
+      items: [
+        { path: 'series/a/one', title: 'One', found: true, content_status: 'ready', workflow: { completed: 2, total: 2, missing: [] }, missing_requirements: [], unmet_dependencies: [], ready: true },
+        {
+          path: 'series/a/two', title: 'Two', found: true, content_status: 'draft',
+          workflow: { completed: 1, total: 2, missing: ['Edited'] },
+          missing_requirements: [{ platform: 'youtube', name: 'YouTube', missing: ['thumbnail (thumbnail.png not found)'] }],
+          unmet_dependencies: ['sponsor approved (Not marked met yet)'],
+          ready: false
+        }
+      ]
+    };
+
+    beforeEach(() => {
+      global.document = new JSDOM('').window.document;
+    });
+
+    afterEach(() => {
+      delete global.document;
+    });
+
+    test('shows progress and what each item is missing', () => {
+      const panel = new JSDOM(renderGroupReadiness(readiness)).window.document;
+
+      assert.ok(panel.body.textContent.includes('1 of 2 items ready'));
+      assert.ok(panel.body.textContent.includes('Target in 3 days'));
+      assert.strictEqual(panel.querySelector('.release-readiness-fill').style.width, '50%');
+      assert.deepStrictEqual([...panel.querySelectorAll('.release-readiness-problems li')].map(item => item.textContent), [
+        'Edited not done',
+        'YouTube: thumbnail (thumbnail.png not found)',
+        'sponsor approved (Not marked met yet)'
+      ]);
+      assert.strictEqual(renderGroupReadiness({ ...readiness, total: 0, items: [] }), '');
+    });
+
+    test('flags at-risk groups in the calendar modal', () => {
+      assert.ok(renderGroupRisk(readiness).includes('At risk'));
+      assert.ok(!renderGroupRisk({ ...readiness, at_risk: false }).includes('At risk'));
+    });
+
+    test('previews the target dates a calendar import changes', () => {
+      const preview = new JSDOM(renderCalendarImportPreview({
+        updated: [{ path: 'series/a/pilot', previous: null, target_date: '2025-03-01', matched_by: 'title' }],
+        unchanged: [],
+        unmatched: [{ uid: 'x@example.com', summary: '<Lunch>', reason: 'No episode matches this UID or title' }]
+      })).window.document;
+
+      assert.strictEqual(preview.querySelector('li').textContent.replace(/\s+/g, ' ').trim(), 'series/a/pilot: no date → 2025-03-01 (by title)');
+      assert.ok(preview.querySelector('details').textContent.includes('<Lunch>: No episode matches'));
+    });
+
+    test('renders the release scheduler state and audit log', () => {
+      const status = {
+        running: true,
+        config: { enabled: true, dry_run: true, interval_seconds: 60, actions: ['release', 'notify'], catch_up: 'notify' },
+        due: [],
+        upcoming: [{ title: 'Pilot <1>', due_at: '2025-01-15T17:00:00.000Z' }],
+        log: [{ timestamp: '2025-01-10T10:00:00.000Z', outcome: 'dry_run', message: 'Dry run: would release, notify for "Pilot"' }]
+      };
+      const panel = new JSDOM(renderSchedulerPanel(status)).window.document;
+
+      assert.strictEqual(panel.querySelector('.badge').textContent, 'dry run');
+      assert.ok(panel.body.textContent.includes('Next: Pilot <1>'));
+      assert.ok(panel.querySelector('.scheduler-log-entry.dry_run').textContent.includes('would release, notify'));
+      assert.ok(renderSchedulerPanel({ ...status, running: false, log: [] }).includes('Nothing logged yet'));
+      assert.strictEqual(renderSchedulerPanel(null), '');
+    });
+  });
+
+  describe('Distribution Editor', () => {
+    test('parseIdList splits and trims comma separated ids', () => {
+      assert.deepStrictEqual(parseIdList(' title, description ,, tags '), ['title', 'description', 'tags']);
+      assert.deepStrictEqual(parseIdList(''), []);
+    });
+  });
+
+  describe('Global Search', () => {
+    beforeEach(() => {
+      // escapeHtml needs a document to escape through
+      global.document = new JSDOM('').window.document;
+    });
+
+    afterEach(() => {
+      delete global.document;
+    });
+
+    test('highlightSnippet escapes text and marks highlighted ranges', () => {
+      const html = highlightSnippet('Use <b>cache</b> wisely', [[7, 12]]);
+
+      assert.strictEqual(html, 'Use &lt;b&gt;<mark>cache</mark>&lt;/b&gt; wisely');
+    });
+
+    test('describeMatchLocation shows line, timestamp or metadata field', () => {
+      assert.strictEqual(describeMatchLocation({ file: 'script.md' }, { line: 12 }), 'script.md:12');
+      assert.strictEqual(describeMatchLocation({ file: 'raw/a.srt' }, { line: 7, timestamp: '1:05' }), 'raw/a.srt @ 1:05');
+      assert.strictEqual(describeMatchLocation({ file: 'metadata.yml', field: 'title' }, {}), 'title');
+    });
+  });
+
+  describe('Edit Conflict Resolution', () => {
+    const base = { title: 'Old', tags: ['a'], release: { target_date: '', notes: 'n' } };
+    const current = { title: 'Theirs', tags: ['a'], release: { target_date: '2025-02-01', notes: 'n' } };
+
+    test('buildConflictRows keeps my edits and the other side\'s untouched fields', () => {
+      const submitted = { title: 'Old', tags: ['a', 'b', ''], release: { target_date: '', notes: 'n' } };
+      const rows = buildConflictRows(base, current, submitted);
+
+      assert.deepStrictEqual(rows.map(r => [r.field, r.choice, r.changedByOthers]), [
+        ['title', 'current', true],
+        ['tags', 'mine', false],
+        ['release.target_date', 'current', true]
+      ]);
+    });
+
+    test('buildConflictRows skips fields that already match the file', () => {
+      const rows = buildConflictRows(base, current, { title: ' Theirs ', release: { notes: 'n' } });
+
+      assert.deepStrictEqual(rows, []);
+    });
+
+    test('buildResolvedUpdates nests only the fields where mine was chosen', () => {
+      const updates = buildResolvedUpdates([
+        { field: 'title', mine: 'Mine', choice: 'mine' },
+        { field: 'release.notes', mine: 'x', choice: 'mine' },
+        { field: 'release.target_date', mine: '', choice: 'current' }
+      ]);
+
+      assert.deepStrictEqual(updates, { title: 'Mine', release: { notes: 'x' } });
+    });
+
+    test('diffLines marks removed and added lines around common ones', () => {
+      assert.deepStrictEqual(diffLines('a\nb\nc', 'a\nx\nc'), [
+        { type: 'same', text: 'a' },
+        { type: 'removed', text: 'b' },
+        { type: 'added', text: 'x' },
+        { type: 'same', text: 'c' }
+      ]);
+    });
+  });
+
+  describe('Episode History', () => {
+    beforeEach(() => {
+      global.document = new JSDOM('').window.document;
+    });
+
+    afterEach(() => {
+      delete global.document;
+    });
+
+    test('describeRevisionSource names the source and action', () => {
+      assert.strictEqual(describeRevisionSource({ source: 'mcp', action: 'schedule_release' }), 'MCP (schedule_release)');
+      assert.strictEqual(describeRevisionSource({ source: 'external', action: null }), 'File change');
+    });
+
+    test('parseDiffLines classifies hunk, added, removed and context lines', () => {
+      assert.deepStrictEqual(parseDiffLines('@@ -1,2 +1,2 @@\n a\n-b\n+c\n').map(line => line.type),
+        ['hunk', 'same', 'removed', 'added']);
+    });
+
+    test('renderHistoryEntries escapes diffs and only offers revert when restorable', () => {
+      const html = renderHistoryEntries([
+        { id: 'r2', timestamp: '2025-01-02T10:00:00Z', source: 'dashboard', action: 'update', file: 'metadata.yml', diff: '+title: <b>x</b>\n', restorable: true },
+        { id: 'r1', timestamp: '2025-01-01T10:00:00Z', source: 'dashboard', action: 'create', file: 'metadata.yml', diff: '+title: x\n', restorable: false }
+      ]);
+
+      assert.ok(html.includes('+title: &lt;b&gt;x&lt;/b&gt;'));
+      assert.strictEqual((html.match(/history-revert/g) || []).length, 1);
+      assert.ok(html.includes('data-revision-id="r2">Revert'));
+    });
+
+    test('renderHistoryEntries shows the reason of a status override', () => {
+      const html = renderHistoryEntries([{
+        id: 'r3',
+        timestamp: '2025-01-03T10:00:00Z',
+        source: 'dashboard',
+        action: 'update',
+        file: 'metadata.yml',
+        diff: '-content_status: draft\n+content_status: released\n',
+        restorable: true,
+        override: { reason: 'Hotfix <now>', from: 'draft', to: 'released', unmet: ["Workflow stage 'Edited' is not complete"] }
+      }]);
+      const entry = new JSDOM(html).window.document.querySelector('.history-override');
+
+      assert.strictEqual(entry.textContent, 'Override: Hotfix <now>');
+      assert.strictEqual(entry.getAttribute('title'), "Workflow stage 'Edited' is not complete");
+    });
+
+    test('renderBundlePane links the default export and offers the conflict modes', () => {
+      const episode = { series: 'My Show', episode: '2025-01-01-pilot' };
+      const pane = new JSDOM(renderBundlePane(episode)).window.document;
+
+      assert.strictEqual(pane.querySelector('#bundle-export-link').getAttribute('href'),
+        '/api/episodes/My%20Show/2025-01-01-pilot/export?include=metadata%2Cscript%2Cnotes');
+      assert.deepStrictEqual([...pane.querySelectorAll('input[name="bundle-part"]:checked')].map(input => input.value), ['metadata', 'script', 'notes']);
+      assert.deepStrictEqual([...pane.querySelectorAll('#bundle-import-conflict option')].map(option => option.value), ['fail', 'rename', 'overwrite']);
+      assert.strictEqual(buildBundleExportUrl(episode, ['all']), '/api/episodes/My%20Show/2025-01-01-pilot/export?include=all');
+    });
+
+    test('formatMediaSummary and renderMediaInfoItems describe media files', () => {
+      const media = {
+        container: 'mp4',
+        duration: 3872.6,
+        duration_formatted: '1:04:33',
+        video: { codec: 'h264', width: 3840, height: 2160, frame_rate: 29.97 },
+        audio: { codec: 'aac', sample_rate: 48000, channels: 2 }
+      };
+      assert.strictEqual(formatMediaSummary(media), '1:04:33 · 3840×2160 · 29.97 fps · h264/aac');
+      assert.strictEqual(formatMediaSummary({ container: 'wav', duration: 3.5, duration_formatted: '0:04', video: null, audio: { codec: 'pcm', sample_rate: 8000, channels: 1 } }), '0:04 · pcm');
+      assert.strictEqual(formatMediaSummary(null), '');
+
+      const info = new JSDOM(renderMediaInfoItems(media)).window.document;
+      assert.deepStrictEqual([...info.querySelectorAll('.asset-info-item')].map(item => [
+        item.querySelector('.asset-info-label').textContent,
+        item.querySelector('.asset-info-value').textContent
+      ]), [
+        ['Duration', '1:04:33'],
+        ['Resolution', '3840 × 2160'],
+        ['Video', 'h264, 29.97 fps'],
+        ['Audio', 'aac, 48 kHz stereo'],
+        ['Container', 'MP4']
+      ]);
+
+      assert.strictEqual(hasFinalExport([{ name: 'exports/final.mp4', media }]), true);
+      assert.strictEqual(hasFinalExport([{ name: 'raw/take.mp4', media }, { name: 'exports/final.mp4', media: null }]), false);
+    });
+
+    test('renderImageSpecChecks shows the image size and each platform spec', () => {
+      const html = renderImageSpecChecks({
+        type: 'image',
+        format: 'png',
+        width: 1000,
+        height: 1000,
+        specs: {
+          thumbnail: { label: 'YouTube thumbnail', errors: ['3 MB is over the 2 MB limit'], warnings: ['1000x1000 is not 16:9'] },
+          featured_image: { label: 'Featured image', errors: [], warnings: [] }
+        }
+      });
+      const info = new JSDOM(html).window.document;
+
+      assert.strictEqual(info.querySelector('.asset-info-value').textContent, '1000 × 1000 PNG');
+      assert.deepStrictEqual([...info.querySelectorAll('.image-spec')].map(spec => [spec.className, spec.querySelector('.text-muted').textContent]), [
+        ['image-spec image-spec-fail', '3 MB is over the 2 MB limit; 1000x1000 is not 16:9'],
+        ['image-spec image-spec-pass', 'Meets the spec']
+      ]);
+      assert.strictEqual(renderImageSpecChecks({ type: 'image' }), '');
+      assert.strictEqual(renderImageSpecChecks(null), '');
+    });
+
+    test('renderAssetCatalogForm edits the catalog entry and flags an expired license', () => {
+      const file = {
+        path: 'assets/music/intro.mp3',
+        catalog: { tags: ['intro', 'upbeat'], license: 'CC-BY-4.0', attribution: '<b>Jane</b>', expires: '2026-01-31' }
+      };
+      const form = new JSDOM(renderAssetCatalogForm(file, new Date('2026-03-01'))).window.document.querySelector('.asset-catalog');
+
+      assert.strictEqual(form.dataset.assetPath, 'assets/music/intro.mp3');
+      assert.strictEqual(form.querySelector('.badge.error').textContent, 'License expired 2026-01-31');
+      assert.strictEqual(form.querySelector('[data-catalog-field="attribution"]').value, '<b>Jane</b>');
+
+      form.querySelector('[data-catalog-field="tags"]').value = 'intro, , Loop ';
+      form.querySelector('[data-catalog-field="license"]').value = '';
+      assert.deepStrictEqual(collectAssetCatalogForm(form), {
+        tags: ['intro', 'Loop'],
+        license: '',
+        source: '',
+        expires: '2026-01-31',
+        attribution: '<b>Jane</b>',
+        notes: ''
+      });
+
+      const current = new JSDOM(renderAssetCatalogForm(file, new Date('2026-01-31'))).window.document;
+      assert.strictEqual(current.querySelector('.badge'), null);
+      const empty = new JSDOM(renderAssetCatalogForm({ path: 'assets/a.png', catalog: null })).window.document;
+      assert.strictEqual(empty.querySelector('[data-catalog-field="tags"]').value, '');
+    });
+
+    test('renderReadinessPanel shows pass, warn or fail per platform and check', () => {
+      const html = renderReadinessPanel({
+        status: 'fail',
+        platforms: [
+          {
+            platform: 'youtube',
+            name: 'YouTube',
+            status: 'fail',
+            checks: [
+              { requirement: 'title', status: 'pass', message: null },
+              { requirement: 'description', status: 'fail', message: 'Still has template text: [<Hook>]' }
+            ]
+          },
+          { platform: 'podcast', name: 'Podcast', status: 'pass', checks: [] }
+        ]
+      });
+      const panel = new JSDOM(html).window.document;
+
+      assert.deepStrictEqual([...panel.querySelectorAll('.readiness-platform-header .readiness-badge')].map(badge => badge.textContent), ['Fail', 'Pass']);
+      assert.deepStrictEqual([...panel.querySelectorAll('.readiness-check')].map(check => check.className), [
+        'readiness-check readiness-pass',
+        'readiness-check readiness-fail'
+      ]);
+      assert.strictEqual(panel.querySelector('.readiness-fail .text-muted').textContent, 'Still has template text: [<Hook>]');
+      assert.strictEqual(panel.querySelector('[data-platform="podcast"] .text-muted').textContent, 'Nothing required');
+    });
+
+    test('renderPublishResult lists the file or the problems of each platform', () => {
+      const html = renderPublishResult({
+        message: 'Wrote 1 of 2 publish package(s) to exports/publish',
+        platforms: [
+          { platform: 'youtube', name: 'YouTube', file: 'exports/publish/youtube.json', missing: [], warnings: [] },
+          { platform: 'bluesky', name: 'Blue Sky', file: null, missing: ['text (no Blue Sky post in social-posts.md)'], warnings: [] }
+        ]
+      });
+      const result = new JSDOM(html).window.document;
+
+      assert.deepStrictEqual([...result.querySelectorAll('.publish-platform')].map(item => item.className.split(' ')[1]),
+        ['publish-platform-written', 'publish-platform-missing']);
+      assert.strictEqual(result.querySelector('.publish-platform-written .text-muted').textContent, 'exports/publish/youtube.json');
+      assert.strictEqual(result.querySelector('.publish-problems li').textContent, 'text (no Blue Sky post in social-posts.md)');
+    });
+
+    test('renderTransitionRefusal lists the unmet conditions with an override form', () => {
+      const html = renderTransitionRefusal({ from: 'draft', to: 'released', unmet: ['YouTube requires <tags>', 'distribution is not set'] });
+      const panel = new JSDOM(html).window.document;
+
+      assert.strictEqual(panel.querySelector('.transition-refusal-title').textContent, 'Cannot move to released:');
+      assert.deepStrictEqual([...panel.querySelectorAll('li')].map(li => li.textContent), ['YouTube requires <tags>', 'distribution is not set']);
+      assert.ok(panel.querySelector('form input[name="override_reason"][required]'));
+    });
+  });
+
+  describe('Metadata Fields', () => {
+    const metadata = {
+      category: 28,
+      privacy: 'public',
+      thumbnail: 'thumbnail.png',
+      scheduled_at: '2025-06-01T09:00:00-08:00',
+      release: { target_date: '', depends_on: [] },
+      analytics: { views_24h: null }
+    };
+    let container;
+
+    beforeEach(() => {
+      const dom = new JSDOM('<!DOCTYPE html><html><body><div id="root"></div></body></html>');
+      global.document = dom.window.document;
+      container = dom.window.document.getElementById('root');
+      container.innerHTML = renderMetadataFields(metadata, {
+        profiles: [{ id: 'full' }],
+        releaseGroups: { launch: { name: 'Launch' } },
+        files: [{ name: 'cover.png', type: 'file', ext: '.png' }, { name: 'script.md', type: 'file', ext: '.md' }]
+      });
+    });
+
+    afterEach(() => {
+      delete global.document;
+    });
+
+    test('sends nothing when no field was touched', () => {
+      assert.deepStrictEqual(collectMetadataChanges(container, metadata), {});
+    });
+
+    test('collects only changed fields, typed and nested', () => {
+      container.querySelector('[data-field="category"]').value = '22';
+      container.querySelector('[data-field="release.depends_on"]').value = 'v1.0 shipped, blog live';
+      container.querySelector('[data-field="analytics.views_24h"]').value = '120';
+
+      assert.deepStrictEqual(collectMetadataChanges(container, metadata), {
+        category: 22,
+        release: { depends_on: ['v1.0 shipped', 'blog live'] },
+        analytics: { views_24h: 120 }
+      });
+    });
+
+    test('offers image files as thumbnails and keeps a missing current one', () => {
+      const options = [...container.querySelector('[data-field="thumbnail"]').options].map(option => option.textContent);
+
+      assert.deepStrictEqual(options, ['Not set', 'thumbnail.png (missing)', 'cover.png']);
+    });
+
+    test('formats categories and empty values for the view', () => {
+      assert.strictEqual(formatFieldValue({ field: 'category', type: 'select', options: 'categories' }, 28), '28 - Science & Technology');
+      assert.strictEqual(formatFieldValue({ field: 'release.depends_on', type: 'list' }, []), 'Not set');
+    });
+  });
+
+  describe('Metadata Lint Badge', () => {
+    beforeEach(() => {
+      global.document = new JSDOM('').window.document;
+    });
+
+    afterEach(() => {
+      delete global.document;
+    });
+
+    test('renders nothing for clean metadata', () => {
+      assert.strictEqual(renderLintBadge({ errors: [], warnings: [] }), '');
+      assert.strictEqual(renderLintBadge(undefined), '');
+    });
+
+    test('counts problems and lists them by line in the tooltip', () => {
+      const html = renderLintBadge({
+        errors: [{ line: 2, field: 'content_status', message: 'content_status must be one of: draft' }],
+        warnings: [{ line: 5, field: 'titel', message: "Unknown field 'titel'" }]
+      });
+
+      assert.ok(html.includes('class="badge error lint-badge"'));
+      assert.ok(html.includes('⚠ 2'));
+      assert.ok(html.includes('Line 2: content_status must be one of: draft'));
+      assert.ok(renderLintBadge({ errors: [], warnings: [{ line: 1, message: 'x' }] }).includes('badge warning'));
+    });
+  });
+
+  describe('Episode Card Workflow Indicators', () => {
+    beforeEach(() => {
+      global.document = new JSDOM('').window.document;
+    });
+
+    afterEach(() => {
+      delete global.document;
+    });
+
+    test('renders one indicator per configured stage of the series', () => {
+      const episode = {
+        series: 'interviews',
+        episode: '2025-01-01-guest',
+        path: 'series/interviews/2025-01-01-guest',
+        metadata: { title: 'Guest', workflow: { guest_confirmed: true, scripted: true } }
+      };
+      const html = renderEpisodeCard(episode, {}, [
+        { id: 'guest_confirmed', label: 'Guest Confirmed' },
+        { id: 'guest_approved_cut', label: 'Guest <Approved> Cut' }
+      ]);
+      const card = new JSDOM(html).window.document;
+      const indicators = [...card.querySelectorAll('.workflow-indicator')];
+
+      assert.deepStrictEqual(indicators.map(el => el.getAttribute('title')), ['Guest Confirmed', 'Guest <Approved> Cut']);
+      assert.deepStrictEqual(indicators.map(el => el.classList.contains('completed')), [true, false]);
+      assert.strictEqual(renderEpisodeCard(episode, {}, []).includes('workflow-indicator '), false);
+    });
+
+    test('shows the reason on blocked episodes only', () => {
+      const episode = {
+        series: 'show',
+        episode: '2025-01-01-pilot',
+        path: 'series/show/2025-01-01-pilot',
+        metadata: {
+          title: 'Pilot',
+          content_status: 'blocked',
+          release: { blocked_by: 'Waiting on <legal>', blocked_since: '2025-03-01' }
+        }
+      };
+      const card = new JSDOM(renderEpisodeCard(episode)).window.document;
+      const reason = card.querySelector('.blocked-reason');
+
+      assert.strictEqual(reason.textContent, '⛔ Waiting on <legal>');
+      assert.match(reason.getAttribute('title'), /^Blocked since /);
+
+      const ready = { ...episode, metadata: { ...episode.metadata, content_status: 'ready' } };
+      assert.strictEqual(renderEpisodeCard(ready).includes('blocked-reason'), false);
+    });
+  });
+
+  describe('Metrics View', () => {
+    beforeEach(() => {
+      global.document = new JSDOM('').window.document;
+    });
+
+    afterEach(() => {
+      delete global.document;
+    });
+
+    test('renders status averages, weekly bars and cycle time', () => {
+      const metrics = {
+        time_in_status: [
+          { status: 'draft', average_days: 3.5, count: 2, current: 1 },
+          { status: 'ready', average_days: null, count: 0, current: 0 }
+        ],
+        throughput: [{ week: '2025-01-06', released: 2 }, { week: '2025-01-13', released: 0 }],
+        cycle_time: [{ series: '<tutorials>', released: 2, average_days: 1 }],
+        tracked: 3,
+        untracked: 1
+      };
+      const view = new JSDOM(renderMetricsSections(metrics)).window.document;
+
+      const cells = [...view.querySelectorAll('.metrics-status-table tbody tr')].map(row => row.children[1].textContent);
+      assert.deepStrictEqual(cells, ['3.5 days', '—']);
+      const bars = [...view.querySelectorAll('.metrics-bar-fill')].map(bar => bar.style.height);
+      assert.deepStrictEqual(bars, ['100%', '0%']);
+      assert.strictEqual(view.querySelector('.metrics-cycle-table th[scope="row"]').textContent, '<tutorials>');
+      assert.strictEqual(formatDays(1), '1 day');
+      assert.match(view.body.textContent, /1 episode\(s\) have no status history yet/);
+
+      const empty = renderMetricsSections({ ...metrics, tracked: 0 });
+      assert.ok(empty.includes('No status changes recorded yet'));
+    });
+  });
 });
@@ -0,0 +1,112 @@
+/**
+ * Revision History Tests
+ * Tests diffs, tracked writes and detection of external edits
+ */
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import {
+  createUnifiedDiff,
+  writeTrackedFile,
+  recordExternalChange,
+  listRevisions,
+  HISTORY_FILE,
+  MAX_HISTORY_ENTRIES,
+  MAX_HISTORY_BYTES
+} from '../api/history.js';
+
+describe('Revision History', () => {
+  let episodeDir;
+
+  beforeEach(async () => {
+    episodeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-test-'));
+    await fs.writeFile(path.join(episodeDir, 'metadata.yml'), 'title: Test\n', 'utf8');
+  });
+
+  afterEach(async () => {
+    await fs.rm(episodeDir, { recursive: true, force: true });
+  });
+
+  test('createUnifiedDiff keeps two lines of context and merges close hunks', () => {
+    const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'].join('\n') + '\n';
+    const after = before.replace('3\n', 'three\n').replace('6\n', 'six\n');
+
+    assert.strictEqual(
+      createUnifiedDiff(before, after),
+      '@@ -1,8 +1,8 @@\n 1\n 2\n-3\n+three\n 4\n 5\n-6\n+six\n 7\n 8\n'
+    );
+    assert.strictEqual(createUnifiedDiff(before, before), '');
+  });
+
+  test('createUnifiedDiff replaces large changed regions as a whole', () => {
+    const before = ['keep', ...Array.from({ length: 1500 }, (_, i) => `old ${i}`), 'end'].join('\n') + '\n';
+    const after = ['keep', ...Array.from({ length: 1500 }, (_, i) => (i % 2 && i < 1499 ? `old ${i}` : `new ${i}`)), 'end'].join('\n') + '\n';
+
+    const lines = createUnifiedDiff(before, after).split('\n');
+    assert.strictEqual(lines[0], '@@ -1,1502 +1,1502 @@');
+    assert.strictEqual(lines[1], ' keep');
+    // Every old line is removed before any new line is added
+    assert.strictEqual(lines.slice(2, 1502).filter(line => line.startsWith('-')).length, 1500);
+    assert.strictEqual(lines[1502], '+new 0');
+    assert.strictEqual(lines[3002], ' end');
+  });
+
+  test('writeTrackedFile records the change before writing and skips no-ops', async () => {
+    const filepath = path.join(episodeDir, 'metadata.yml');
+
+    assert.strictEqual(await writeTrackedFile(filepath, 'title: New\n', { source: 'dashboard', action: 'update' }), true);
+    assert.strictEqual(await writeTrackedFile(filepath, 'title: New\n', { source: 'dashboard', action: 'update' }), false);
+
+    const history = await listRevisions(episodeDir);
+    assert.strictEqual(history.length, 1);
+    assert.strictEqual(history[0].diff, '@@ -1,1 +1,1 @@\n-title: Test\n+title: New\n');
+    assert.strictEqual(history[0].restorable, true);
+  });
+
+  test('recordExternalChange ignores recorded content and diffs against it otherwise', async () => {
+    const filepath = path.join(episodeDir, 'notes.md');
+    await writeTrackedFile(filepath, '# Notes\n', { source: 'mcp', action: 'create_episode', before: null });
+
+    // The watcher sees the tool's own write
+    assert.strictEqual(await recordExternalChange(filepath), null);
+
+    await fs.writeFile(filepath, '# Notes\nEdited in vim\n', 'utf8');
+    const revision = await recordExternalChange(filepath);
+
+    assert.strictEqual(revision.source, 'external');
+    assert.strictEqual(revision.file, 'notes.md');
+    assert.ok(revision.diff.includes('+Edited in vim'));
+    assert.strictEqual(revision.restorable, true);
+
+    assert.strictEqual(await recordExternalChange(path.join(episodeDir, 'thumbnail.png')), null);
+  });
+
+  test('keeps at most MAX_HISTORY_ENTRIES revisions', async () => {
+    const filepath = path.join(episodeDir, 'script.md');
+    for (let i = 0; i <= MAX_HISTORY_ENTRIES; i++) {
+      await writeTrackedFile(filepath, `draft ${i}\n`, { source: 'dashboard' });
+    }
+
+    const history = await listRevisions(episodeDir);
+    assert.strictEqual(history.length, MAX_HISTORY_ENTRIES);
+    assert.ok(history[0].diff.includes(`+draft ${MAX_HISTORY_ENTRIES}`));
+  });
+
+  test('keeps .history.jsonl under MAX_HISTORY_BYTES', async () => {
+    const filepath = path.join(episodeDir, 'script.md');
+    // Each revision stores the text before and after plus the diff of both
+    const size = Math.floor(MAX_HISTORY_BYTES / 8);
+    for (const letter of ['a', 'b', 'c', 'd', 'e']) {
+      await writeTrackedFile(filepath, `${letter.repeat(size)}\n`, { source: 'dashboard' });
+    }
+
+    const { size: bytes } = await fs.stat(path.join(episodeDir, HISTORY_FILE));
+    assert.ok(bytes <= MAX_HISTORY_BYTES, `history is ${bytes} bytes`);
+    const history = await listRevisions(episodeDir);
+    assert.ok(history.length < 5);
+    assert.ok(history[0].diff.includes(`+${'e'.repeat(size)}`));
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Image Info Tests
+ * Tests reading image sizes from PNG, JPEG, GIF and WebP headers and the
+ * platform image specs
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import { IMAGE_SPECS, readImageInfo, describeImage, checkImageSpec } from '../api/imageInfo.js';
+
+function png(width, height) {
+  const header = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).copy(header);
+  header.writeUInt32BE(13, 8);
+  header.write('IHDR', 12, 'ascii');
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return header;
+}
+
+function jpeg(width, height) {
+  const app0 = Buffer.from([0xFF, 0xE0, 0x00, 0x10, ...Buffer.from('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+  const sof = Buffer.alloc(19);
+  sof.writeUInt16BE(0xFFC2, 0);
+  sof.writeUInt16BE(17, 2);
+  sof[4] = 8;
+  sof.writeUInt16BE(height, 5);
+  sof.writeUInt16BE(width, 7);
+  return Buffer.concat([Buffer.from([0xFF, 0xD8]), app0, Buffer.from([0xFF]), sof, Buffer.from([0xFF, 0xD9])]);
+}
+
+function gif(width, height) {
+  const header = Buffer.alloc(13);
+  header.write('GIF89a', 0, 'ascii');
+  header.writeUInt16LE(width, 6);
+  header.writeUInt16LE(height, 8);
+  return header;
+}
+
+function webp(chunk, width, height) {
+  const header = Buffer.alloc(30);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(22, 4);
+  header.write('WEBPVP8', 8, 'ascii');
+  header.write(chunk, 15, 'ascii');
+  if (chunk === ' ') {
+    Buffer.from([0x9D, 0x01, 0x2A]).copy(header, 23);
+    header.writeUInt16LE(width, 26);
+    header.writeUInt16LE(height, 28);
+  } else if (chunk === 'L') {
+    header[20] = 0x2F;
+    header.writeUInt32LE((width - 1) | ((height - 1) << 14), 21);
+  } else {
+    header.writeUIntLE(width - 1, 24, 3);
+    header.writeUIntLE(height - 1, 27, 3);
+  }
+  return header;
+}
+
+describe('Image Info', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-info-'));
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  async function write(name, content) {
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, content);
+    return filePath;
+  }
+
+  test('reads the size of each format from its header', async () => {
+    const cases = [
+      ['a.png', png(1280, 720), 'png', 1280, 720],
+      ['b.jpg', jpeg(1920, 1080), 'jpeg', 1920, 1080],
+      ['c.gif', gif(640, 360), 'gif', 640, 360],
+      ['d.webp', webp(' ', 1200, 628), 'webp', 1200, 628],
+      ['e.webp', webp('L', 1200, 600), 'webp', 1200, 600],
+      ['f.webp', webp('X', 3840, 2160), 'webp', 3840, 2160]
+    ];
+    for (const [name, content, format, width, height] of cases) {
+      const info = await readImageInfo(await write(name, content));
+      assert.deepStrictEqual(info, { format, width, height, size: content.length }, name);
+    }
+  });
+
+  test('returns null for files that are not images and reads them again once changed', async () => {
+    const filePath = await write('thumbnail.png', 'png');
+    assert.strictEqual(await readImageInfo(filePath), null);
+    assert.strictEqual(await readImageInfo(await write('cut.jpg', Buffer.from([0xFF, 0xD8, 0xFF, 0xD9]))), null);
+
+    await fs.writeFile(filePath, png(1280, 720));
+    assert.strictEqual((await readImageInfo(filePath)).width, 1280);
+  });
+
+  test('describes images for file listings', async () => {
+    const described = await describeImage(await write('square.png', png(1000, 1000)));
+    assert.strictEqual(described.width, 1000);
+    assert.deepStrictEqual(described.specs.thumbnail.warnings, ['1000x1000 is not 16:9', '1000x1000 is smaller than the recommended 1280x720']);
+    assert.deepStrictEqual(described.specs.featured_image.warnings, ['1000x1000 is not 16:9 or 1.91:1 or 2:1', '1000x1000 is smaller than the recommended 1200 pixels wide']);
+
+    assert.deepStrictEqual(await describeImage(await write('broken.webp', 'not an image')), { type: 'image' });
+    assert.strictEqual(await describeImage(await write('notes.md', '# Notes')), null);
+  });
+
+  test('checks images against the platform specs', () => {
+    assert.deepStrictEqual(
+      checkImageSpec({ format: 'png', width: 1280, height: 720, size: 200000 }, IMAGE_SPECS.thumbnail),
+      { errors: [], warnings: [] }
+    );
+    assert.deepStrictEqual(
+      checkImageSpec({ format: 'webp', width: 600, height: 338, size: 3 * 1024 * 1024 }, IMAGE_SPECS.thumbnail),
+      {
+        errors: ['WEBP is not accepted (use PNG, JPEG, GIF)', '3 MB is over the 2 MB limit', '600x338 is narrower than the minimum 640 pixels'],
+        warnings: []
+      }
+    );
+    assert.deepStrictEqual(
+      checkImageSpec({ format: 'jpeg', width: 1200, height: 630, size: 90000 }, IMAGE_SPECS.featured_image),
+      { errors: [], warnings: [] }
+    );
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Metadata Lint Tests
+ * Tests schema validation of metadata.yml and release-queue.yml with line numbers
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { lintEpisodeContent, lintReleaseQueueContent, lintWorkspace } from '../api/lint.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const ctx = {
+  profiles: ['full'],
+  platforms: ['youtube'],
+  releaseGroups: ['launch'],
+  episodeExists: async (episodePath) => episodePath === 'series/show/2025-01-01-pilot'
+};
+
+describe('Metadata Lint', () => {
+  test('the metadata template is valid', async () => {
+    const template = await fs.readFile(path.join(__dirname, '../../templates/metadata-template.yml'), 'utf8');
+
+    assert.deepStrictEqual(lintEpisodeContent(template, ctx), { errors: [], warnings: [] });
+  });
+
+  test('reports schema errors on the line of the offending field', () => {
+    const content = [
+      'content_status: redy',
+      'title: Pilot',
+      'tags:',
+      '  - ok',
+      '  - 5',
+      'release:',
+      '  target_date: 2025-02-30',
+      'workflow:',
+      '  scripted: "yes"'
+    ].join('\n') + '\n';
+
+    const { errors } = lintEpisodeContent(content, ctx);
+
+    assert.deepStrictEqual(errors.map(e => [e.line, e.field]), [
+      [1, 'content_status'],
+      [5, 'tags[1]'],
+      [7, 'release.target_date'],
+      [9, 'workflow.scripted']
+    ]);
+    assert.match(errors[0].message, /must be one of: draft, ready, staged, blocked, released, archived \(got 'redy'\)/);
+  });
+
+  test('warns about unknown fields and unknown profile or group references', () => {
+    const content = 'content_status: draft\ntitel: Typo\ndistribution:\n  profile: everywhere\nrelease:\n  release_group: launch\n';
+
+    const { errors, warnings } = lintEpisodeContent(content, ctx);
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(warnings.map(w => [w.line, w.field]), [[2, 'titel'], [4, 'distribution.profile']]);
+  });
+
+  test('warns about workflow stages the series does not define', () => {
+    const content = 'content_status: draft\nworkflow:\n  guest_confirmed: true\n  edited: false\n';
+
+    const { errors, warnings } = lintEpisodeContent(content, { ...ctx, workflowStages: ['guest_confirmed', 'recorded'] });
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(warnings, [{
+      line: 4,
+      field: 'workflow.edited',
+      message: "Workflow stage 'edited' is not defined for this series in workflow-stages.yml"
+    }]);
+  });
+
+  test('reports blocked episodes without a reason on the release block', () => {
+    const content = 'content_status: blocked\nrelease:\n  blocked_by: ""\n';
+
+    assert.deepStrictEqual(lintEpisodeContent(content, ctx).errors, [{
+      line: 3,
+      field: 'release.blocked_by',
+      message: 'Blocked episodes need a reason (release.blocked_by)'
+    }]);
+    assert.deepStrictEqual(
+      lintEpisodeContent('content_status: blocked\nrelease:\n  blocked_by: Sponsor review\n', ctx).errors,
+      []
+    );
+  });
+
+  test('reports a missing required field on its parent and YAML syntax errors by line', () => {
+    assert.deepStrictEqual(lintEpisodeContent('title: Pilot\n').errors, [
+      { line: 1, field: 'content_status', message: 'content_status is required' }
+    ]);
+
+    const { errors } = lintEpisodeContent('content_status: draft\ntitle: Pilot\ntitle: Again\n');
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].line, 3);
+    assert.match(errors[0].message, /^YAML syntax error: /);
+  });
+
+  test('validates release groups and queue entries with their lines', async () => {
+    const content = [
+      'release_groups:',
+      '  launch:',
+      '    name: Launch',
+      '    target_date: not-a-date',
+      'staged:',
+      '  - path: series/show/2025-01-01-pilot',
+      '  - path: series/show/missing',
+      'pending: []'
+    ].join('\n') + '\n';
+
+    const { errors, warnings } = await lintReleaseQueueContent(content, ctx);
+
+    assert.deepStrictEqual(errors.map(e => e.line), [2, 7]);
+    assert.match(errors[0].message, /^Release group 'launch': /);
+    assert.match(errors[1].message, /^staged entry 2: /);
+    assert.deepStrictEqual(warnings.map(w => [w.line, w.message]), [[8, "Unknown section 'pending'"]]);
+  });
+
+  describe('lintWorkspace', () => {
+    let baseDir;
+
+    before(async () => {
+      baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lint-test-'));
+      for (const [episode, content] of [['2025-01-01-pilot', 'content_status: draft\n'], ['2025-01-02-broken', 'content_status: done\n']]) {
+        await fs.mkdir(path.join(baseDir, 'series', 'show', episode), { recursive: true });
+        await fs.writeFile(path.join(baseDir, 'series', 'show', episode, 'metadata.yml'), content, 'utf8');
+      }
+      await fs.writeFile(path.join(baseDir, 'release-queue.yml'), 'staged: []\n', 'utf8');
+    });
+
+    after(async () => {
+      await fs.rm(baseDir, { recursive: true, force: true });
+    });
+
+    test('lists only files with problems, relative to the content root', async () => {
+      const paths = {
+        baseDir,
+        seriesDir: path.join(baseDir, 'series'),
+        releaseQueue: path.join(baseDir, 'release-queue.yml')
+      };
+
+      const { checked, files } = await lintWorkspace(paths, ctx);
+
+      assert.strictEqual(checked, 3);
+      assert.strictEqual(files.length, 1);
+      assert.strictEqual(files[0].file, path.join('series', 'show', '2025-01-02-broken', 'metadata.yml'));
+      assert.strictEqual(files[0].type, 'episode');
+      assert.strictEqual(files[0].errors[0].line, 1);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Media Info Tests
+ * Tests reading duration, resolution, frame rate and codecs from MP4/MOV,
+ * WebM/MKV, WAV and MP3 container headers
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import {
+  readMediaInfo,
+  describeMedia,
+  formatDuration,
+  getRecordingFormat,
+  listEpisodeMedia,
+  getRecordingFromExport
+} from '../api/mediaInfo.js';
+
+function box(type, ...children) {
+  const body = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function fields(length, values) {
+  const buffer = Buffer.alloc(length);
+  for (const [offset, value, type = 'UInt32BE'] of values) {
+    if (type === 'ascii') buffer.write(value, offset, 'latin1');
+    else buffer[`write${type}`](value, offset);
+  }
+  return buffer;
+}
+
+// ftyp, mdat, then a moov with a 3840x2160 29.97 fps h264 track and a 48 kHz stereo aac track
+function mp4({ brand = 'isom', seconds = 754.21 } = {}) {
+  const frames = 22604;
+  const videoTrack = box('trak',
+    box('tkhd', fields(84, [[76, 3840 * 65536], [80, 2160 * 65536]])),
+    box('mdia',
+      box('mdhd', fields(24, [[12, 30000], [16, frames * 1001]])),
+      box('hdlr', fields(24, [[8, 'vide', 'ascii']])),
+      box('minf', box('stbl',
+        box('stsd', fields(8, [[4, 1]]), box('avc1', Buffer.alloc(78))),
+        box('stts', fields(16, [[4, 1], [8, frames], [12, 1001]]))
+      ))
+    )
+  );
+  const audioTrack = box('trak',
+    box('tkhd', Buffer.alloc(84)),
+    box('mdia',
+      box('mdhd', fields(24, [[12, 48000], [16, 48000 * 754]])),
+      box('hdlr', fields(24, [[8, 'soun', 'ascii']])),
+      box('minf', box('stbl', box('stsd', fields(8, [[4, 1]]), box('mp4a', fields(28, [[16, 2, 'UInt16BE'], [24, 48000 * 65536]])))))
+    )
+  );
+  return Buffer.concat([
+    box('ftyp', Buffer.from(`${brand}\0\0\0\0`, 'latin1')),
+    box('mdat', Buffer.alloc(64)),
+    box('moov', box('mvhd', fields(96, [[12, 1000], [16, Math.round(seconds * 1000)]])), videoTrack, audioTrack)
+  ]);
+}
+
+function ebml(id, data, unknownSize = false) {
+  const size = Buffer.alloc(8);
+  size[0] = 0x01;
+  if (unknownSize) size.fill(0xFF, 1);
+  else size.writeUIntBE(data.length, 2, 6);
+  return Buffer.concat([Buffer.from(id.toString(16).padStart(2, '0'), 'hex'), size, data]);
+}
+
+function ebmlUint(id, value) {
+  const data = Buffer.alloc(4);
+  data.writeUInt32BE(value);
+  return ebml(id, data);
+}
+
+function ebmlFloat(id, value) {
+  const data = Buffer.alloc(8);
+  data.writeDoubleBE(value);
+  return ebml(id, data);
+}
+
+function webm() {
+  return Buffer.concat([
+    ebml(0x1A45DFA3, ebml(0x4282, Buffer.from('webm'))),
+    ebml(0x18538067, Buffer.concat([
+      ebml(0x1549A966, Buffer.concat([ebmlUint(0x2AD7B1, 1000000), ebmlFloat(0x4489, 61500)])),
+      ebml(0x1654AE6B, Buffer.concat([
+        ebml(0xAE, Buffer.concat([
+          ebmlUint(0x83, 1),
+          ebml(0x86, Buffer.from('V_VP9')),
+          ebmlUint(0x23E383, 33366666),
+          ebml(0xE0, Buffer.concat([ebmlUint(0xB0, 1920), ebmlUint(0xBA, 1080)]))
+        ])),
+        ebml(0xAE, Buffer.concat([
+          ebmlUint(0x83, 2),
+          ebml(0x86, Buffer.from('A_OPUS')),
+          ebml(0xE1, Buffer.concat([ebmlFloat(0xB5, 48000), ebmlUint(0x9F, 2)]))
+        ]))
+      ])),
+      ebml(0x1F43B675, Buffer.alloc(32), true)
+    ]), true)
+  ]);
+}
+
+// 2.5 seconds of 8 kHz mono 16-bit audio, with an odd-sized chunk before the data
+function wav() {
+  return Buffer.concat([
+    Buffer.from('RIFF\0\0\0\0WAVE', 'latin1'),
+    Buffer.from('fmt ', 'latin1'), fields(20, [[0, 16, 'UInt32LE'], [4, 1, 'UInt16LE'], [6, 1, 'UInt16LE'], [8, 8000, 'UInt32LE'], [12, 16000, 'UInt32LE']]),
+    Buffer.from('LIST', 'latin1'), fields(4, [[0, 3, 'UInt32LE']]), Buffer.from('abc\0'),
+    Buffer.from('data', 'latin1'), fields(4, [[0, 40000, 'UInt32LE']]), Buffer.alloc(40000)
+  ]);
+}
+
+// An ID3 tag, then a 128 kbps 44.1 kHz stereo MPEG-1 layer III frame, with a Xing frame count or not
+function mp3(xingFrames) {
+  const frame = Buffer.alloc(417);
+  Buffer.from([0xFF, 0xFB, 0x90, 0x00]).copy(frame);
+  if (xingFrames) {
+    frame.write('Xing', 36, 'latin1');
+    frame.writeUInt32BE(1, 40);
+    frame.writeUInt32BE(xingFrames, 44);
+  }
+  return Buffer.concat([Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, 0, 0, 0, 10]), Buffer.alloc(10), frame, Buffer.alloc(16000 - frame.length)]);
+}
+
+describe('Media Info', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-info-'));
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  async function write(name, content) {
+    const filePath = path.join(dir, name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+    return filePath;
+  }
+
+  test('reads MP4 and MOV with the moov box after the media data', async () => {
+    const content = mp4();
+    assert.deepStrictEqual(await readMediaInfo(await write('final.mp4', content)), {
+      container: 'mp4',
+      duration: 754.21,
+      video: { codec: 'h264', width: 3840, height: 2160, frame_rate: 29.97 },
+      audio: { codec: 'aac', sample_rate: 48000, channels: 2 },
+      size: content.length
+    });
+    assert.strictEqual((await readMediaInfo(await write('take.mov', mp4({ brand: 'qt  ' })))).container, 'mov');
+  });
+
+  test('reads WebM from the Info and Tracks of a live (unknown size) segment', async () => {
+    const info = await readMediaInfo(await write('clip.webm', webm()));
+    assert.deepStrictEqual([info.container, info.duration, info.video, info.audio], [
+      'webm',
+      61.5,
+      { codec: 'vp9', width: 1920, height: 1080, frame_rate: 29.97 },
+      { codec: 'opus', sample_rate: 48000, channels: 2 }
+    ]);
+  });
+
+  test('reads WAV and MP3 audio', async () => {
+    const wavInfo = await readMediaInfo(await write('voice.wav', wav()));
+    assert.deepStrictEqual([wavInfo.container, wavInfo.duration, wavInfo.video, wavInfo.audio], [
+      'wav', 2.5, null, { codec: 'pcm', sample_rate: 8000, channels: 1 }
+    ]);
+
+    const vbr = await readMediaInfo(await write('vbr.mp3', mp3(1000)));
+    assert.deepStrictEqual([vbr.container, vbr.duration, vbr.audio], ['mp3', 26.122, { codec: 'mp3', sample_rate: 44100, channels: 2 }]);
+    // Without a frame count the bitrate gives the duration: 16000 bytes at 128 kbps
+    assert.strictEqual((await readMediaInfo(await write('cbr.mp3', mp3(null)))).duration, 1);
+  });
+
+  test('returns null for other and damaged files', async () => {
+    assert.strictEqual(await readMediaInfo(await write('notes.mp4', 'not a video')), null);
+    assert.strictEqual(await readMediaInfo(await write('cut.mp4', mp4().subarray(0, 40))), null);
+    assert.strictEqual(await describeMedia(await write('script.md', '# Script')), null);
+    assert.strictEqual((await describeMedia(await write('described.mp4', mp4()))).size, undefined);
+  });
+
+  test('formats durations and recording formats', () => {
+    assert.strictEqual(formatDuration(754.21), '12:34');
+    assert.strictEqual(formatDuration(3872.6), '1:04:33');
+    assert.strictEqual(formatDuration(59.6), '1:00');
+    assert.strictEqual(getRecordingFormat({ width: 3840, height: 2160 }), '4K');
+    assert.strictEqual(getRecordingFormat({ width: 1080, height: 1920 }), '1080p');
+    assert.strictEqual(getRecordingFormat({ width: 1280, height: 720 }), '720p');
+    assert.strictEqual(getRecordingFormat({ width: 640, height: 360 }), null);
+    assert.strictEqual(getRecordingFormat(null), null);
+  });
+
+  test('lists episode media and picks the final export for the recording fields', async () => {
+    const episodePath = path.join(dir, 'episode');
+    await write('episode/raw/camera/a-cam.mov', mp4({ brand: 'qt  ', seconds: 3872.6 }));
+    await write('episode/exports/final.mp4', mp4());
+    await write('episode/exports/publish/youtube.json', '{}');
+    await write('episode/thumbnail.png', 'png');
+
+    const media = await listEpisodeMedia(episodePath);
+    assert.deepStrictEqual(media.map(file => file.name).sort(), ['exports/final.mp4', 'raw/camera/a-cam.mov']);
+    assert.strictEqual(media.find(file => file.name === 'raw/camera/a-cam.mov').media.duration, 3872.6);
+    assert.strictEqual(media.find(file => file.name === 'raw/camera/a-cam.mov').media.duration_formatted, '1:04:33');
+    assert.ok((await listEpisodeMedia(episodePath, { describe: false })).every(file => !('media' in file)));
+
+    assert.deepStrictEqual(getRecordingFromExport(media), {
+      file: 'exports/final.mp4',
+      recording: { duration_final: '12:34', format: '4K' }
+    });
+    assert.strictEqual(getRecordingFromExport(media, 'raw/camera/a-cam.mov').status, 404);
+    assert.strictEqual(getRecordingFromExport(media.filter(file => file.name.startsWith('raw/'))).status, 404);
+    assert.deepStrictEqual(await listEpisodeMedia(path.join(dir, 'missing')), []);
+  });
+});
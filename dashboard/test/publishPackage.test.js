@@ -0,0 +1,245 @@
+/**
+ * Publish Package Tests
+ * Tests the per-platform packages written to exports/publish/
+ */
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import { parseSocialPosts, findSocialPost, buildPublishPackages, checkPublishReadiness } from '../api/publishPackage.js';
+import { validateStatusTransitions } from '../api/statusTransitions.js';
+
+const { config } = validateStatusTransitions({
+  requirements: {
+    thumbnail: { file_field: 'thumbnail' },
+    featured_image: { file_field: 'thumbnail' },
+    body: { file: 'blog-post.md' },
+    text: { file: 'social-posts.md' }
+  }
+});
+
+const distribution = {
+  profiles: { full: { platforms: ['youtube', 'blog', 'linkedin', 'bluesky', 'podcast'] } },
+  platforms: {
+    youtube: { name: 'YouTube', type: 'video', requires: ['title', 'description', 'tags', 'thumbnail'] },
+    blog: { name: 'Blog', type: 'written', requires: ['title', 'body', 'featured_image'] },
+    linkedin: { name: 'LinkedIn', type: 'social', character_limit: 3000, requires: ['text'] },
+    bluesky: { name: 'Blue Sky', type: 'social', character_limit: 20, requires: ['text'] },
+    podcast: { name: 'Podcast', type: 'audio', requires: [] }
+  }
+};
+
+// PNG header of a blank image, enough for its dimensions to be read
+function pngHeader(width, height) {
+  const header = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).copy(header);
+  header.writeUInt32BE(13, 8);
+  header.write('IHDR', 12, 'ascii');
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return header;
+}
+
+const SOCIAL_POSTS = `# Social Posts
+
+## LinkedIn Post
+
+\`\`\`
+Just published: Pilot
+
+## Not a heading
+\`\`\`
+
+---
+
+## Blue Sky
+
+New video: Pilot, the first episode of the show
+
+---
+`;
+
+let episodePath;
+let metadata;
+
+describe('Publish Packages', () => {
+  beforeEach(async () => {
+    episodePath = await fs.mkdtemp(path.join(os.tmpdir(), 'publish-package-'));
+    metadata = {
+      title: 'Pilot',
+      description: 'The first episode.\n\n## Timestamps\n0:00 - Intro\n',
+      tags: ['MCP', 'AI', null],
+      category: 28,
+      privacy: 'unlisted',
+      playlist: '',
+      scheduled_at: new Date('2025-01-10T15:00:00Z'),
+      thumbnail: 'thumbnail.png',
+      distribution: { profile: 'full' }
+    };
+    await fs.writeFile(path.join(episodePath, 'thumbnail.png'), pngHeader(1280, 720));
+    await fs.writeFile(path.join(episodePath, 'blog-post.md'), '---\ntitle: "Pilot, in writing"\n---\n# Pilot\n\nText.\n', 'utf8');
+    await fs.writeFile(path.join(episodePath, 'social-posts.md'), SOCIAL_POSTS, 'utf8');
+  });
+
+  afterEach(() => fs.rm(episodePath, { recursive: true, force: true }));
+
+  test('finds the post of each platform in social-posts.md', () => {
+    const sections = parseSocialPosts(SOCIAL_POSTS);
+    assert.deepStrictEqual(sections.map(section => section.heading), ['LinkedIn Post', 'Blue Sky']);
+    assert.strictEqual(sections[0].text, 'Just published: Pilot\n\n## Not a heading');
+
+    assert.strictEqual(findSocialPost(SOCIAL_POSTS, 'bluesky', 'Blue Sky'), 'New video: Pilot, the first episode of the show');
+    assert.strictEqual(findSocialPost(SOCIAL_POSTS, 'mastodon', 'Mastodon'), '');
+    assert.strictEqual(findSocialPost('One post for everyone\n', 'mastodon', 'Mastodon'), 'One post for everyone');
+    assert.strictEqual(findSocialPost({ mastodon: 'Toot' }, 'mastodon', 'Mastodon'), 'Toot');
+  });
+
+  test('writes a package per platform', async () => {
+    const result = await buildPublishPackages(episodePath, { metadata, config, distribution });
+    const publishDir = path.join(episodePath, 'exports', 'publish');
+
+    assert.strictEqual(result.complete, true);
+    assert.deepStrictEqual(result.platforms.map(entry => entry.file), [
+      'exports/publish/youtube.json',
+      'exports/publish/blog.md',
+      'exports/publish/linkedin.txt',
+      'exports/publish/bluesky.txt',
+      null
+    ]);
+    assert.deepStrictEqual((await fs.readdir(publishDir)).sort(), ['blog.md', 'bluesky.txt', 'linkedin.txt', 'youtube.json']);
+
+    const youtube = JSON.parse(await fs.readFile(path.join(publishDir, 'youtube.json'), 'utf8'));
+    assert.deepStrictEqual(youtube, {
+      title: 'Pilot',
+      description: 'The first episode.\n\n## Timestamps\n0:00 - Intro',
+      tags: ['MCP', 'AI'],
+      category: 28,
+      privacy: 'unlisted',
+      playlist: null,
+      scheduled_at: '2025-01-10T15:00:00.000Z',
+      thumbnail: 'thumbnail.png'
+    });
+
+    assert.strictEqual(await fs.readFile(path.join(publishDir, 'blog.md'), 'utf8'), [
+      '---',
+      'title: Pilot, in writing',
+      'description: The first episode.',
+      'date: 2025-01-10T15:00:00.000Z',
+      'tags:',
+      '  - MCP',
+      '  - AI',
+      'featured_image: thumbnail.png',
+      '---',
+      '',
+      '# Pilot',
+      '',
+      'Text.',
+      ''
+    ].join('\n'));
+    assert.strictEqual(await fs.readFile(path.join(publishDir, 'linkedin.txt'), 'utf8'), 'Just published: Pilot\n\n## Not a heading\n');
+
+    const bluesky = result.platforms.find(entry => entry.platform === 'bluesky');
+    assert.deepStrictEqual(bluesky.warnings, ['Post is 47 characters; Blue Sky allows 20']);
+    assert.deepStrictEqual(result.platforms[4].warnings, ['No publish package for audio platforms']);
+  });
+
+  test('reports missing inputs per platform and removes stale packages', async () => {
+    await buildPublishPackages(episodePath, { metadata, config, distribution });
+    await fs.rm(path.join(episodePath, 'thumbnail.png'));
+    await fs.writeFile(path.join(episodePath, 'social-posts.md'), '## LinkedIn\n\nHello\n', 'utf8');
+
+    const result = await buildPublishPackages(episodePath, {
+      metadata: { ...metadata, tags: [] },
+      config,
+      distribution
+    });
+
+    assert.strictEqual(result.complete, false);
+    const byPlatform = Object.fromEntries(result.platforms.map(entry => [entry.platform, entry]));
+    assert.deepStrictEqual(byPlatform.youtube.missing, ['tags (tags is empty)', 'thumbnail (thumbnail.png not found)']);
+    assert.deepStrictEqual(byPlatform.blog.missing, ['featured_image (thumbnail.png not found)']);
+    assert.deepStrictEqual(byPlatform.linkedin.missing, []);
+    assert.deepStrictEqual(byPlatform.bluesky.missing, ['text (no Blue Sky post in social-posts.md)']);
+    assert.deepStrictEqual(await fs.readdir(path.join(episodePath, 'exports', 'publish')), ['linkedin.txt']);
+  });
+
+  test('uses the platforms listed on the episode and refuses without any', async () => {
+    const own = await buildPublishPackages(episodePath, {
+      metadata: { ...metadata, distribution: { platforms: ['linkedin', 'threads'] } },
+      config,
+      distribution
+    });
+    assert.deepStrictEqual(own.platforms.map(entry => [entry.platform, entry.file, entry.warnings]), [
+      ['linkedin', 'exports/publish/linkedin.txt', []],
+      ['threads', null, ['threads is not defined in distribution-profiles.yml']]
+    ]);
+
+    const none = await buildPublishPackages(episodePath, { metadata: { title: 'Pilot' }, config, distribution });
+    assert.strictEqual(none.status, 400);
+  });
+
+  test('rates every requirement of every platform pass, warn or fail', async () => {
+    const report = await checkPublishReadiness(episodePath, { metadata, config, distribution });
+    const byPlatform = Object.fromEntries(report.platforms.map(entry => [entry.platform, entry]));
+
+    assert.strictEqual(report.status, 'fail');
+    assert.strictEqual(byPlatform.youtube.status, 'warn');
+    assert.deepStrictEqual(byPlatform.youtube.checks, [
+      { requirement: 'title', status: 'pass', message: null },
+      { requirement: 'description', status: 'pass', message: null },
+      { requirement: 'tags', status: 'warn', message: '1 empty tag (a "-" with nothing after it)' },
+      { requirement: 'thumbnail', status: 'pass', message: 'thumbnail.png, 1280x720 PNG' }
+    ]);
+    assert.strictEqual(byPlatform.linkedin.status, 'pass');
+    assert.deepStrictEqual(byPlatform.linkedin.checks[0].message, '39 of 3000 characters');
+    assert.deepStrictEqual(byPlatform.bluesky.checks, [
+      { requirement: 'text', status: 'fail', message: '47 characters; Blue Sky allows 20' }
+    ]);
+    assert.deepStrictEqual(byPlatform.podcast, { platform: 'podcast', name: 'Podcast', type: 'audio', status: 'pass', checks: [] });
+  });
+
+  test('fails template text, missing thumbnails and empty tags', async () => {
+    await fs.rm(path.join(episodePath, 'thumbnail.png'));
+    const report = await checkPublishReadiness(episodePath, {
+      metadata: {
+        ...metadata,
+        description: '[First 2-3 sentences are crucial - shown in search results]\n\nSee [the docs](https://example.com).',
+        tags: [null],
+        distribution: { platforms: ['youtube'] }
+      },
+      config,
+      distribution
+    });
+
+    assert.deepStrictEqual(report.platforms[0].checks.map(check => [check.requirement, check.status, check.message]), [
+      ['title', 'pass', null],
+      ['description', 'fail', 'Still has template text: [First 2-3 sentences are crucial - shown in search results]'],
+      ['tags', 'fail', 'tags is empty'],
+      ['thumbnail', 'fail', 'thumbnail.png not found']
+    ]);
+  });
+
+  test('checks the thumbnail against the image spec of each platform', async () => {
+    const checkImage = async (content) => {
+      await fs.writeFile(path.join(episodePath, 'thumbnail.png'), content);
+      const report = await checkPublishReadiness(episodePath, {
+        metadata: { ...metadata, distribution: { platforms: ['youtube', 'blog'] } },
+        config,
+        distribution
+      });
+      return report.platforms.map(entry => entry.checks.find(check => ['thumbnail', 'featured_image'].includes(check.requirement)));
+    };
+
+    const [thumbnail, featured] = await checkImage(pngHeader(1200, 630));
+    assert.deepStrictEqual(thumbnail, { requirement: 'thumbnail', status: 'warn', message: 'thumbnail.png, 1200x630 PNG: 1200x630 is not 16:9; 1200x630 is smaller than the recommended 1280x720' });
+    assert.deepStrictEqual(featured, { requirement: 'featured_image', status: 'pass', message: 'thumbnail.png, 1200x630 PNG' });
+
+    const [small] = await checkImage(pngHeader(320, 180));
+    assert.deepStrictEqual([small.status, small.message], ['fail', 'thumbnail.png, 320x180 PNG: 320x180 is narrower than the minimum 640 pixels']);
+
+    const [unreadable] = await checkImage('png');
+    assert.deepStrictEqual([unreadable.status, unreadable.message], ['warn', 'thumbnail.png: could not read the image size']);
+  });
+});
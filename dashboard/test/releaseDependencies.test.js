@@ -0,0 +1,138 @@
+/**
+ * Release Dependency Tests
+ * Tests parsing, marking and resolving release.depends_on and release group dependencies
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import {
+  validateDependencies,
+  carryDependencyStates,
+  markDependency,
+  resolveDependencies,
+  resolveQueueDependencies
+} from '../api/releaseDependencies.js';
+
+const now = Date.parse('2025-01-15T12:00:00Z');
+const noFiles = async () => null;
+
+describe('Release Dependencies', () => {
+  test('parses text lines and recorded dependencies', () => {
+    const { errors, dependencies } = validateDependencies([
+      'landing page live',
+      'episode: series/merview/2024-12-20-intro',
+      'Date: 2025-01-10',
+      'file: assets/press-kit.zip',
+      { id: 'v1', description: 'v1.0 shipped', state: 'met', marked_by: 'alex', marked_at: new Date('2025-01-02T10:00:00Z') },
+      'landing page live'
+    ], 'Dependencies');
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(dependencies.map(dependency => dependency.id), [
+      'landing-page-live',
+      'episode-series-merview-2024-12-20-intro',
+      'date-2025-01-10',
+      'file-assets-press-kit-zip',
+      'v1',
+      'landing-page-live-2'
+    ]);
+    assert.deepStrictEqual(dependencies[2], { id: 'date-2025-01-10', type: 'date', date: '2025-01-10' });
+    assert.strictEqual(dependencies[4].marked_at, '2025-01-02T10:00:00.000Z');
+  });
+
+  test('rejects bad targets, types and states', () => {
+    const { errors, dependencies } = validateDependencies([
+      'episode: merview/intro',
+      'date: 2025-02-30',
+      'file: ../secrets.txt',
+      { type: 'launch' },
+      { description: 'sign-off', state: 'done' },
+      42
+    ], 'Dependencies');
+
+    assert.strictEqual(dependencies.length, 0);
+    assert.strictEqual(errors.length, 6);
+    assert.ok(errors[0].startsWith('Dependencies entry 1: episode must look like'));
+    assert.deepStrictEqual(validateDependencies('not a list', 'Depends on').errors, ['Depends on must be a list']);
+  });
+
+  test('keeps recorded states when the list is edited as text', () => {
+    const previous = [{ id: 'landing-page-live', type: 'manual', description: 'landing page live', state: 'met', marked_by: 'alex', marked_at: '2025-01-02T10:00:00.000Z' }];
+    const { dependencies } = validateDependencies(['landing page live', 'repo public'], 'Dependencies');
+
+    assert.deepStrictEqual(carryDependencyStates(dependencies, previous), [
+      { ...previous[0] },
+      { id: 'repo-public', type: 'manual', description: 'repo public', state: 'pending' }
+    ]);
+  });
+
+  test('marks manual dependencies and only waives automatic ones', () => {
+    const list = ['landing page live', 'date: 2025-02-01'];
+    const marked = markDependency(list, 'landing-page-live', { state: 'met', marked_by: 'alex', marked_at: '2025-01-03T09:00:00.000Z' });
+
+    assert.deepStrictEqual(marked.dependency, {
+      id: 'landing-page-live', type: 'manual', description: 'landing page live', state: 'met', marked_by: 'alex', marked_at: '2025-01-03T09:00:00.000Z'
+    });
+    assert.strictEqual(marked.dependencies[1].state, 'pending');
+    assert.strictEqual(markDependency(list, 'date-2025-02-01', { state: 'met', marked_by: 'alex' }).status, 400);
+    assert.strictEqual(markDependency(list, 'date-2025-02-01', { state: 'waived', marked_by: 'alex' }).dependency.state, 'waived');
+    assert.strictEqual(markDependency(list, 'nope', { state: 'met', marked_by: 'alex' }).status, 404);
+    assert.strictEqual(markDependency(list, 'landing-page-live', { state: 'met' }).status, 400);
+  });
+
+  test('resolves episode, date and file dependencies', async () => {
+    const episodes = {
+      'series/a/released': { status: 'released', released_at: '2025-01-05T09:00:00.000Z' },
+      'series/a/draft': { status: 'draft', released_at: null }
+    };
+    const resolved = await resolveDependencies([
+      'episode: series/a/released',
+      'episode: series/a/draft',
+      'episode: series/a/missing',
+      'date: 2025-01-10',
+      'date: 2025-02-01',
+      'file: assets/press-kit.zip',
+      { type: 'date', date: '2025-03-01', state: 'waived', marked_by: 'alex' }
+    ], {
+      now,
+      getEpisode: episodePath => episodes[episodePath] ?? null,
+      statFile: async file => (file === 'assets/press-kit.zip' ? new Date('2025-01-04T00:00:00Z') : null)
+    });
+
+    assert.deepStrictEqual(resolved.map(dependency => [dependency.state, dependency.satisfied, dependency.detail]), [
+      ['met', true, 'Released 2025-01-05T09:00:00.000Z'],
+      ['pending', false, 'Episode is draft'],
+      ['pending', false, 'Episode not found'],
+      ['met', true, 'Date reached'],
+      ['pending', false, 'Waiting until 2025-02-01'],
+      ['met', true, 'File found'],
+      ['waived', true, 'Waived by alex']
+    ]);
+  });
+
+  test('combines an episode\'s own dependencies with its release groups\'', async () => {
+    const queue = {
+      release_groups: {
+        launch: { items: [{ path: 'series/a/one' }], dependencies: ['landing page live', 'date: 2025-01-01'] },
+        other: { items: [], dependencies: [] }
+      },
+      staged: [{ path: 'series/a/one' }, { path: 'series/a/two' }]
+    };
+    const episodes = [
+      { path: 'series/a/one', metadata: { release: { depends_on: [{ description: 'sponsor approved', state: 'met', marked_by: 'sam' }] } } },
+      { path: 'series/a/two', metadata: { release: { release_group: 'other' } } }
+    ];
+
+    const { groups, items } = await resolveQueueDependencies(queue, episodes, { now, statFile: noFiles });
+
+    assert.strictEqual(groups.launch.releasable, false);
+    assert.strictEqual(groups.other.releasable, true);
+    assert.deepStrictEqual(items['series/a/one'].dependencies.map(dependency => [dependency.id, dependency.from]), [
+      ['sponsor-approved', 'episode'],
+      ['landing-page-live', 'launch'],
+      ['date-2025-01-01', 'launch']
+    ]);
+    assert.deepStrictEqual(items['series/a/one'].unmet.map(dependency => dependency.id), ['landing-page-live']);
+    assert.strictEqual(items['series/a/two'].releasable, true);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Release Readiness Tests
+ * Tests the per-group roll-up of item status, workflow, platform requirements and dependencies
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { computeReleaseReadiness, parseAtRiskDays, DEFAULT_AT_RISK_DAYS } from '../api/releaseReadiness.js';
+
+const stages = [{ id: 'recorded', label: 'Recorded' }, { id: 'edited', label: 'Edited' }];
+
+const episodes = [
+  {
+    path: 'series/a/done', series: 'a', episode: 'done',
+    metadata: { title: 'Done', content_status: 'ready', workflow: { recorded: true, edited: true } }
+  },
+  {
+    path: 'series/a/draft', series: 'a', episode: 'draft',
+    metadata: { content_status: 'draft', workflow: { recorded: true }, distribution: { profile: 'full' } }
+  }
+];
+
+/**
+ * Builds a context where only profile 'youtube-only' misses a thumbnail.
+ */
+function createContext(overrides = {}) {
+  return {
+    dependencies: {
+      groups: { launch: { dependencies: [{ label: 'landing page live', detail: 'Not marked met yet', satisfied: false }] } },
+      items: { 'series/a/draft': { unmet: [{ label: 'sponsor approved', detail: 'Not marked met yet', from: 'episode' }] } }
+    },
+    today: '2025-01-10',
+    getStages: () => stages,
+    checkRequirements: async (episode, metadata) => (metadata.distribution?.profile === 'youtube-only'
+      ? [{ platform: 'youtube', name: 'YouTube', missing: ['thumbnail (thumbnail.png not found)'] }]
+      : []),
+    ...overrides
+  };
+}
+
+describe('Release Readiness', () => {
+  test('rolls up status, workflow, requirements and dependencies per item', async () => {
+    const queue = {
+      release_groups: {
+        launch: {
+          status: 'staged',
+          target_date: '2025-01-15',
+          items: [{ path: 'series/a/done', distribution: 'youtube-only' }, { path: 'series/a/draft' }, { path: 'series/a/gone' }]
+        }
+      }
+    };
+
+    const { launch } = await computeReleaseReadiness(queue, episodes, createContext());
+
+    assert.strictEqual(launch.total, 3);
+    assert.strictEqual(launch.ready, 0);
+    assert.deepStrictEqual(launch.statuses, { ready: 1, draft: 1, missing: 1 });
+    assert.strictEqual(launch.days_until_target, 5);
+    assert.deepStrictEqual(launch.unmet_dependencies, ['landing page live (Not marked met yet)']);
+
+    const [done, draft, gone] = launch.items;
+    assert.deepStrictEqual(done.missing_requirements, [{ platform: 'youtube', name: 'YouTube', missing: ['thumbnail (thumbnail.png not found)'] }]);
+    assert.deepStrictEqual(draft.workflow, { completed: 1, total: 2, missing: ['Edited'] });
+    assert.deepStrictEqual(draft.unmet_dependencies, ['sponsor approved (Not marked met yet)']);
+    assert.strictEqual(draft.title, 'draft');
+    assert.strictEqual(gone.found, false);
+  });
+
+  test('counts an item ready once it has nothing outstanding', async () => {
+    const queue = { release_groups: { launch: { items: [{ path: 'series/a/done' }] } } };
+    const { launch } = await computeReleaseReadiness(queue, episodes, createContext());
+
+    assert.strictEqual(launch.items[0].ready, true);
+    assert.strictEqual(launch.percent, 100);
+    assert.strictEqual(launch.days_until_target, null);
+    assert.strictEqual(launch.at_risk, false);
+  });
+
+  test('flags groups with draft items close to or past their target date', async () => {
+    const group = target => ({ status: 'staged', target_date: target, items: [{ path: 'series/a/draft' }] });
+    const queue = {
+      release_groups: {
+        soon: group(new Date('2025-01-13T17:00:00Z')),
+        later: group('2025-02-01'),
+        overdue: group('2025-01-09'),
+        shipped: { ...group('2025-01-09'), status: 'released' }
+      }
+    };
+
+    const readiness = await computeReleaseReadiness(queue, episodes, createContext());
+    assert.strictEqual(readiness.soon.at_risk_reason, 'Target date in 3 days with 1 item still in draft');
+    assert.strictEqual(readiness.later.at_risk, false);
+    assert.strictEqual(readiness.overdue.at_risk_reason, 'Target date passed 1 day ago with 1 item still in draft');
+    assert.strictEqual(readiness.shipped.at_risk, false);
+
+    const wider = await computeReleaseReadiness(queue, episodes, createContext({ atRiskDays: 30 }));
+    assert.strictEqual(wider.later.at_risk, true);
+  });
+
+  test('parses the at_risk_days parameter', () => {
+    assert.deepStrictEqual(parseAtRiskDays(undefined), { days: DEFAULT_AT_RISK_DAYS });
+    assert.deepStrictEqual(parseAtRiskDays('14'), { days: 14 });
+    assert.ok(parseAtRiskDays('-1').error);
+    assert.ok(parseAtRiskDays('2.5').error);
+    assert.ok(parseAtRiskDays('1000').error);
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Release Scheduler Tests
+ * Tests the scheduler settings, due-release planning and runs against a temporary content root
+ */
+
+import { describe, test, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import yaml from 'js-yaml';
+
+// The scheduler works on the active content root, so point it at a temporary one
+const contentDir = await fs.mkdtemp(path.join(os.tmpdir(), 'release-scheduler-'));
+process.env.CONTENT_DIR = contentDir;
+process.env.WORKSPACES_FILE = path.join(contentDir, 'workspaces.yml');
+
+const episodeDir = path.join(contentDir, 'series', 'show', '2025-01-01-pilot');
+const metadataPath = path.join(episodeDir, 'metadata.yml');
+const queuePath = path.join(contentDir, 'release-queue.yml');
+let contentVersion = 0;
+
+/**
+ * Writes a fresh content root: one staged episode due in the past and a
+ * queue entry for it. Releasing needs the `published` workflow stage.
+ * Each call moves the target date so earlier runs do not count it as finished.
+ */
+async function writeContent({ actions = ['release', 'stamp_publish_date', 'move_queue_entry', 'notify'], catchUp = 'run', published = true } = {}) {
+  await fs.rm(path.join(contentDir, 'series'), { recursive: true, force: true });
+  await fs.rm(path.join(contentDir, '.release-scheduler.jsonl'), { force: true });
+  await fs.mkdir(episodeDir, { recursive: true });
+  await fs.writeFile(metadataPath, [
+    'title: "Pilot"',
+    'content_status: staged',
+    'workflow:',
+    `  published: ${published}`,
+    'release:',
+    '  target_date: "2025-01-10"',
+    ''
+  ].join('\n'), 'utf8');
+  contentVersion++;
+  await fs.writeFile(queuePath, `staged:\n  - path: series/show/2025-01-01-pilot\n    target_date: 2025-01-${10 + contentVersion}T09:00:00-08:00\n`, 'utf8');
+  await fs.writeFile(path.join(contentDir, 'status-transitions.yml'), 'transitions:\n  released:\n    workflow: [published]\n', 'utf8');
+  await fs.writeFile(path.join(contentDir, 'workflow-stages.yml'), 'stages: [published]\n', 'utf8');
+  await fs.writeFile(path.join(contentDir, 'release-scheduler.yml'), yaml.dump({ actions, catch_up: catchUp }), 'utf8');
+}
+
+// Config files are resolved when the workspace module loads, so they must exist first
+await writeContent();
+const {
+  validateReleaseScheduler,
+  parseTargetTime,
+  findDueReleases,
+  readSchedulerLog,
+  runReleaseScheduler,
+  startReleaseScheduler,
+  stopReleaseScheduler,
+  getReleaseSchedulerStatus,
+  DEFAULT_SCHEDULER_CONFIG
+} = await import('../api/releaseScheduler.js');
+const { refreshIndexedEpisode } = await import('../api/episodeIndex.js');
+
+describe('Release Scheduler', () => {
+  after(async () => {
+    stopReleaseScheduler();
+    await fs.rm(contentDir, { recursive: true, force: true });
+  });
+
+  describe('settings', () => {
+    test('uses the defaults for missing and invalid settings', () => {
+      assert.deepStrictEqual(validateReleaseScheduler(null).config, DEFAULT_SCHEDULER_CONFIG);
+
+      const { errors, config } = validateReleaseScheduler({
+        dry_run: true,
+        interval_seconds: 5,
+        actions: ['move_queue_entry', 'release', 'publish'],
+        catch_up: 'skip'
+      });
+      assert.strictEqual(config.dry_run, true);
+      assert.strictEqual(config.interval_seconds, DEFAULT_SCHEDULER_CONFIG.interval_seconds);
+      assert.deepStrictEqual(config.actions, DEFAULT_SCHEDULER_CONFIG.actions);
+      assert.strictEqual(config.catch_up, 'skip');
+      assert.strictEqual(errors.length, 2);
+    });
+
+    test('runs actions in their fixed order', () => {
+      const { config } = validateReleaseScheduler({ actions: ['notify', 'move_queue_entry', 'release'] });
+      assert.deepStrictEqual(config.actions, ['release', 'move_queue_entry', 'notify']);
+    });
+
+    test('parses target times with offsets and bare dates', () => {
+      assert.strictEqual(parseTargetTime('2025-01-15T09:00:00-08:00'), Date.parse('2025-01-15T17:00:00Z'));
+      assert.strictEqual(parseTargetTime('2025-01-15'), new Date(2025, 0, 15).getTime());
+      assert.strictEqual(parseTargetTime(new Date('2025-01-15T17:00:00Z')), Date.parse('2025-01-15T17:00:00Z'));
+      assert.strictEqual(parseTargetTime('soon'), null);
+      assert.strictEqual(parseTargetTime(''), null);
+    });
+
+    test('treats an unquoted YAML date as local midnight', () => {
+      const timeZone = process.env.TZ;
+      process.env.TZ = 'America/Los_Angeles';
+      try {
+        const { release } = yaml.load('release:\n  target_date: 2025-01-15\n');
+        assert.ok(release.target_date instanceof Date);
+        assert.strictEqual(parseTargetTime(release.target_date), new Date(2025, 0, 15).getTime());
+        assert.strictEqual(parseTargetTime(release.target_date), Date.parse('2025-01-15T08:00:00Z'));
+      } finally {
+        if (timeZone === undefined) delete process.env.TZ;
+        else process.env.TZ = timeZone;
+      }
+    });
+  });
+
+  describe('planning', () => {
+    const noDependencies = { groups: {}, items: {} };
+
+    test('finds due episodes and groups and leaves grouped episodes to their group', () => {
+      const queue = {
+        release_groups: {
+          launch: { name: 'Launch', status: 'staged', target_date: '2025-01-20T10:00:00Z', items: [{ path: 'series/a/grouped' }] },
+          done: { status: 'released', target_date: '2025-01-01', items: [] }
+        },
+        staged: [{ path: 'series/a/solo', target_date: '2025-01-12T09:00:00Z' }]
+      };
+      const episodes = [
+        { path: 'series/a/solo', episode: 'solo', metadata: { content_status: 'staged', release: { target_date: '2025-03-01' } } },
+        { path: 'series/a/later', episode: 'later', metadata: { title: 'Later', content_status: 'staged', release: { target_date: '2025-06-01' } } },
+        { path: 'series/a/grouped', episode: 'grouped', metadata: { content_status: 'staged', release: { release_group: 'launch', target_date: '2025-01-02' } } },
+        { path: 'series/a/draft', episode: 'draft', metadata: { content_status: 'draft', release: { target_date: '2025-01-02' } } }
+      ];
+
+      const { due, upcoming } = findDueReleases({
+        queue,
+        episodes,
+        dependencies: noDependencies,
+        now: Date.parse('2025-02-01T00:00:00Z'),
+        startedAt: Date.parse('2025-01-15T00:00:00Z')
+      });
+
+      assert.deepStrictEqual(due.map(release => [release.kind, release.target, release.late]), [
+        ['episode', 'series/a/solo', true],
+        ['group', 'launch', false]
+      ]);
+      assert.strictEqual(due[0].due_at, '2025-01-12T09:00:00.000Z');
+      assert.deepStrictEqual(due[1].paths, ['series/a/grouped']);
+      assert.deepStrictEqual(upcoming.map(release => release.title), ['Later']);
+    });
+
+    test('holds releases with unmet dependencies', () => {
+      const queue = { release_groups: { launch: { status: 'staged', target_date: '2025-01-20', items: [{ path: 'series/a/one' }] } } };
+      const dependencies = {
+        groups: { launch: { dependencies: [{ label: 'landing page live', detail: 'Not marked met yet', satisfied: false }] } },
+        items: { 'series/a/one': { unmet: [{ label: 'sponsor approved', detail: 'Not marked met yet', from: 'episode' }] } }
+      };
+
+      const { due } = findDueReleases({ queue, episodes: [], dependencies, now: Date.parse('2025-02-01T00:00:00Z'), startedAt: null });
+      assert.strictEqual(due[0].releasable, false);
+      assert.strictEqual(due[0].late, false);
+      assert.deepStrictEqual(due[0].unmet, [
+        'landing page live (Not marked met yet)',
+        'series/a/one: sponsor approved (Not marked met yet)'
+      ]);
+    });
+  });
+
+  describe('runs', () => {
+    // Keep the episode index in step with the rewritten metadata
+    const writeContentAndIndex = async options => {
+      await writeContent(options);
+      await refreshIndexedEpisode(episodeDir);
+    };
+
+    beforeEach(() => writeContentAndIndex());
+
+    test('dry runs log what would happen without writing', async () => {
+      const originalMetadata = await fs.readFile(metadataPath, 'utf8');
+      const run = await runReleaseScheduler({ dryRun: true });
+
+      assert.strictEqual(run.dry_run, true);
+      assert.strictEqual(run.results[0].outcome, 'dry_run');
+      assert.strictEqual(run.results[0].message, 'Dry run: would release, stamp_publish_date, move_queue_entry, notify for "Pilot"');
+      assert.strictEqual(await fs.readFile(metadataPath, 'utf8'), originalMetadata);
+      assert.strictEqual((await readSchedulerLog(contentDir)).length, 1);
+    });
+
+    test('releases a due episode once and records it', async () => {
+      const run = await runReleaseScheduler({ dryRun: false });
+      assert.deepStrictEqual(run.results.map(entry => [entry.outcome, entry.target]), [['done', 'series/show/2025-01-01-pilot']]);
+
+      const metadata = yaml.load(await fs.readFile(metadataPath, 'utf8'));
+      assert.strictEqual(metadata.content_status, 'released');
+      assert.match(metadata.analytics.publish_date, /^\d{4}-\d{2}-\d{2}$/);
+      assert.strictEqual(metadata.status_history.at(-1).source, 'scheduler');
+
+      const queue = yaml.load(await fs.readFile(queuePath, 'utf8'));
+      assert.deepStrictEqual(queue.staged, []);
+      assert.strictEqual(queue.released[0].path, 'series/show/2025-01-01-pilot');
+
+      const history = (await fs.readFile(path.join(episodeDir, '.history.jsonl'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      assert.deepStrictEqual([history[0].source, history[0].action], ['scheduler', 'scheduled_release']);
+
+      const again = await runReleaseScheduler({ dryRun: false });
+      assert.deepStrictEqual(again.results, []);
+    });
+
+    test('logs a refused release once and retries it', async () => {
+      await writeContentAndIndex({ published: false });
+
+      const refused = await runReleaseScheduler({ dryRun: false });
+      assert.strictEqual(refused.results[0].outcome, 'refused');
+      assert.deepStrictEqual(refused.results[0].unmet, ["Workflow stage 'Published' is not complete"]);
+      assert.deepStrictEqual((await runReleaseScheduler({ dryRun: false })).results, []);
+
+      await fs.writeFile(metadataPath, (await fs.readFile(metadataPath, 'utf8')).replace('published: false', 'published: true'), 'utf8');
+      const released = await runReleaseScheduler({ dryRun: false });
+      assert.strictEqual(released.results[0].outcome, 'done');
+    });
+
+    test('applies the catch-up policy to releases missed before the start', async () => {
+      await writeContentAndIndex({ catchUp: 'skip' });
+      const notifications = [];
+      startReleaseScheduler({ notify: event => notifications.push(event) });
+      try {
+        // Let the first check start, then wait for it
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await runReleaseScheduler();
+      } finally {
+        stopReleaseScheduler();
+      }
+
+      const log = await readSchedulerLog(contentDir);
+      assert.deepStrictEqual(log.map(entry => [entry.outcome, entry.late]), [['skipped', true]]);
+      assert.strictEqual(yaml.load(await fs.readFile(metadataPath, 'utf8')).content_status, 'staged');
+      assert.deepStrictEqual(notifications, []);
+
+      const status = await getReleaseSchedulerStatus();
+      assert.strictEqual(status.running, false);
+      assert.deepStrictEqual(status.due, []);
+      assert.strictEqual(status.log[0].outcome, 'skipped');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Search Tests
+ * Tests full-text search over episode metadata, scripts, notes and transcripts
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import {
+  parseSearchTerms,
+  parseTranscript,
+  formatTimestamp,
+  findHighlights,
+  searchEpisodes
+} from '../api/search.js';
+
+describe('Search', () => {
+  let baseDir;
+  const episodes = [];
+
+  async function writeEpisode(episode, metadata, files) {
+    const relative = path.join('series', 'show', episode);
+    const dir = path.join(baseDir, relative);
+    await fs.mkdir(dir, { recursive: true });
+    for (const [name, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+      await fs.writeFile(path.join(dir, name), content, 'utf8');
+    }
+    episodes.push({ path: relative, series: 'show', episode, metadata });
+  }
+
+  before(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'search-'));
+    await writeEpisode('2025-01-01-caching', { title: 'Caching Deep Dive', tags: ['performance'] }, {
+      'script.md': '# Intro\n\nToday we talk about cache invalidation.\n',
+      'notes.md': 'Remember the rate limiter demo.\n'
+    });
+    await writeEpisode('2025-01-02-limits', { title: 'Rate Limits', description: 'Token buckets explained' }, {
+      'script.md': 'Rate limits protect the API.\nA rate limiter counts requests.\n',
+      'raw/take1.srt': '1\n00:00:01,000 --> 00:00:03,000\nWelcome back.\n\n2\n00:01:05,500 --> 00:01:09,000\nNow the token bucket\nstarts refilling.\n'
+    });
+  });
+
+  after(async () => {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  test('parses terms and quoted phrases', () => {
+    assert.deepStrictEqual(parseSearchTerms('Rate "token bucket" a rate'), ['rate', 'token bucket']);
+  });
+
+  test('parses SRT and VTT cues with their start time', () => {
+    const srt = parseTranscript('1\n00:00:01,000 --> 00:00:03,000\nHello\nworld\n');
+    assert.deepStrictEqual(srt, [{ line: 3, seconds: 1, text: 'Hello world' }]);
+
+    const vtt = parseTranscript('WEBVTT\n\nintro\n01:02:03.250 --> 01:02:05.000\n<v Host>Hi there</v>\n');
+    assert.deepStrictEqual(vtt, [{ line: 5, seconds: 3723, text: 'Hi there' }]);
+  });
+
+  test('formats timestamps', () => {
+    assert.strictEqual(formatTimestamp(65), '1:05');
+    assert.strictEqual(formatTimestamp(3723), '1:02:03');
+  });
+
+  test('merges overlapping highlights', () => {
+    assert.deepStrictEqual(findHighlights('Rate limiter', ['rate', 'rate limit']), [[0, 10]]);
+  });
+
+  test('ranks title matches above body matches', async () => {
+    const { hits } = await searchEpisodes(episodes, 'rate', { baseDir });
+
+    assert.strictEqual(hits[0].episode, '2025-01-02-limits');
+    assert.strictEqual(hits[0].field, 'title');
+    assert.ok(hits.some(hit => hit.episode === '2025-01-01-caching' && hit.file === 'notes.md'));
+  });
+
+  test('returns line numbers and highlight ranges for file matches', async () => {
+    const { hits } = await searchEpisodes(episodes, 'invalidation', { baseDir });
+
+    assert.strictEqual(hits.length, 1);
+    assert.strictEqual(hits[0].file, 'script.md');
+    const [match] = hits[0].matches;
+    assert.strictEqual(match.line, 3);
+    const [start, end] = match.highlights[0];
+    assert.strictEqual(match.snippet.slice(start, end), 'invalidation');
+  });
+
+  test('returns transcript timestamps', async () => {
+    const { hits } = await searchEpisodes(episodes, '"token bucket"', { baseDir });
+    const transcriptHit = hits.find(hit => hit.field === 'transcript');
+
+    assert.strictEqual(transcriptHit.file, 'raw/take1.srt');
+    assert.strictEqual(transcriptHit.matches[0].timestamp, '1:05');
+    assert.strictEqual(transcriptHit.matches[0].line, 7);
+  });
+
+  test('requires every term to appear in the episode', async () => {
+    const { total } = await searchEpisodes(episodes, 'rate invalidation', { baseDir });
+    assert.strictEqual(total, 2);
+
+    const { total: none } = await searchEpisodes(episodes, 'rate nonexistentword', { baseDir });
+    assert.strictEqual(none, 0);
+  });
+
+  test('picks up file edits', async () => {
+    const notesPath = path.join(baseDir, episodes[0].path, 'notes.md');
+    await fs.writeFile(notesPath, 'Remember the sharding demo and extra words.\n', 'utf8');
+
+    const { hits } = await searchEpisodes(episodes, 'sharding', { baseDir });
+    assert.strictEqual(hits.length, 1);
+    assert.strictEqual(hits[0].file, 'notes.md');
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Status History and Metrics Tests
+ * Tests recording hand-edited status changes and the metrics built from status_history
+ */
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import yaml from 'js-yaml';
+import { writeTrackedFile, recordExternalChange, listRevisions } from '../api/history.js';
+import { recordExternalStatusChange, getLastRecordedStatus, recordReplacedStatus } from '../api/statusHistory.js';
+import { computeStatusMetrics, getWeekStart } from '../api/metrics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Status History', () => {
+  let episodeDir;
+  let filepath;
+
+  beforeEach(async () => {
+    episodeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'status-history-test-'));
+    filepath = path.join(episodeDir, 'metadata.yml');
+  });
+
+  afterEach(async () => {
+    await fs.rm(episodeDir, { recursive: true, force: true });
+  });
+
+  test('adds an external entry when content_status is edited by hand', async () => {
+    const original = 'content_status: draft\nstatus_history:\n  - status: draft\n    timestamp: "2025-01-06T09:00:00.000Z"\n    source: dashboard\n';
+    await writeTrackedFile(filepath, original, { source: 'dashboard', action: 'create', before: null });
+
+    await fs.writeFile(filepath, original.replace('content_status: draft', 'content_status: ready'), 'utf8');
+    const revision = await recordExternalChange(filepath);
+    assert.strictEqual(await recordExternalStatusChange(filepath, revision.id), true);
+
+    const metadata = yaml.load(await fs.readFile(filepath, 'utf8'));
+    assert.strictEqual(getLastRecordedStatus(metadata), 'ready');
+    assert.strictEqual(metadata.status_history[1].source, 'external');
+    const [latest] = await listRevisions(episodeDir);
+    assert.strictEqual(latest.action, 'status-history');
+
+    // The watcher sees that write as already recorded
+    assert.strictEqual(await recordExternalChange(filepath), null);
+  });
+
+  test('skips edits that leave the status alone and episodes without a known previous status', async () => {
+    await writeTrackedFile(filepath, 'content_status: draft\ntitle: One\n', { source: 'dashboard', before: null });
+    await fs.writeFile(filepath, 'content_status: draft\ntitle: Two\n', 'utf8');
+    const unchanged = await recordExternalChange(filepath);
+    assert.strictEqual(await recordExternalStatusChange(filepath, unchanged.id), false);
+
+    // Without a history file the first edit has no earlier content to compare with
+    await fs.rm(path.join(episodeDir, '.history.jsonl'));
+    await fs.writeFile(filepath, 'content_status: ready\ntitle: Two\n', 'utf8');
+    const unknown = await recordExternalChange(filepath);
+    assert.strictEqual(await recordExternalStatusChange(filepath, unknown.id), false);
+    assert.strictEqual(await fs.readFile(filepath, 'utf8'), 'content_status: ready\ntitle: Two\n');
+  });
+
+  test('records the status a restored or imported metadata.yml goes back to', () => {
+    const restored = recordReplacedStatus('content_status: draft\ntitle: One\n', 'content_status: released\ntitle: Two\n', 'dashboard');
+    assert.strictEqual(getLastRecordedStatus(yaml.load(restored)), 'draft');
+    assert.ok(restored.startsWith('content_status: draft\ntitle: One\n'));
+
+    // Same status, nothing to replace, or unreadable YAML: written as it is
+    assert.strictEqual(recordReplacedStatus('content_status: draft\n', 'title: New\n', 'dashboard'), 'content_status: draft\n');
+    assert.strictEqual(recordReplacedStatus('content_status: ready\n', null, 'dashboard'), 'content_status: ready\n');
+    assert.strictEqual(recordReplacedStatus('content_status: ready\n', 'title: [', 'dashboard'), 'content_status: ready\n');
+  });
+});
+
+describe('Status Metrics', () => {
+  const now = Date.parse('2025-01-22T12:00:00Z');
+  const at = days => new Date(now - days * DAY_MS).toISOString();
+  const episode = (series, history) => ({
+    series,
+    metadata: { status_history: history.map(([status, daysAgo]) => ({ status, timestamp: at(daysAgo), source: 'dashboard' })) }
+  });
+
+  test('getWeekStart returns the Monday of the week', () => {
+    assert.strictEqual(getWeekStart(Date.parse('2025-01-09T12:00:00Z')), '2025-01-06');
+    assert.strictEqual(getWeekStart(Date.parse('2025-01-06T00:00:00Z')), '2025-01-06');
+    assert.strictEqual(getWeekStart(Date.parse('2025-01-12T23:59:00Z')), '2025-01-06');
+  });
+
+  test('averages time in each status, weekly throughput and per-series cycle time', () => {
+    const episodes = [
+      episode('tutorials', [['draft', 20], ['ready', 16], ['released', 10]]),
+      episode('tutorials', [['draft', 12], ['ready', 10], ['released', 2]]),
+      episode('interviews', [['draft', 6], ['ready', 3]]),
+      { series: 'interviews', metadata: { content_status: 'draft' } }
+    ];
+
+    const metrics = computeStatusMetrics(episodes, { now, weeks: 3 });
+    const byStatus = Object.fromEntries(metrics.time_in_status.map(row => [row.status, row]));
+
+    assert.deepStrictEqual(byStatus.draft, { status: 'draft', average_days: 3, count: 3, current: 0 });
+    assert.deepStrictEqual(byStatus.ready, { status: 'ready', average_days: 7, count: 2, current: 1 });
+    assert.deepStrictEqual(byStatus.released, { status: 'released', average_days: null, count: 0, current: 2 });
+    assert.deepStrictEqual(metrics.throughput, [
+      { week: '2025-01-06', released: 1 },
+      { week: '2025-01-13', released: 0 },
+      { week: '2025-01-20', released: 1 }
+    ]);
+    assert.deepStrictEqual(metrics.cycle_time, [{ series: 'tutorials', released: 2, average_days: 10 }]);
+    assert.strictEqual(metrics.tracked, 3);
+    assert.strictEqual(metrics.untracked, 1);
+  });
+});
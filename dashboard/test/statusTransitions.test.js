@@ -0,0 +1,126 @@
+/**
+ * Status Transition Tests
+ * Tests reading status-transitions.yml and checking an episode against its rules
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import { fileURLToPath } from 'node:url';
+import yaml from 'js-yaml';
+import {
+  validateStatusTransitions,
+  readStatusTransitions,
+  checkTransition,
+  getEpisodePlatforms
+} from '../api/statusTransitions.js';
+import { DEFAULT_WORKFLOW_STAGES } from '../api/workflowStages.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Status Transitions', () => {
+  let tmpDir;
+  let config;
+  let distribution;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'status-transitions-'));
+    config = await readStatusTransitions(path.join(__dirname, '../../status-transitions.yml'));
+    distribution = yaml.load(await fs.readFile(path.join(__dirname, '../../distribution-profiles.yml'), 'utf8'));
+  });
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const ctx = () => ({ config, episodePath: tmpDir, stages: DEFAULT_WORKFLOW_STAGES, distribution });
+
+  test('reads the shipped rules and allows everything without a file', async () => {
+    assert.deepStrictEqual(config.transitions.ready, {
+      workflow: ['scripted', 'recorded', 'edited'],
+      fields: [],
+      platform_requirements: false
+    });
+    assert.strictEqual(config.transitions.released.platform_requirements, true);
+    assert.deepStrictEqual(config.requirements.thumbnail, { file_field: 'thumbnail' });
+
+    const none = await readStatusTransitions(path.join(tmpDir, 'missing.yml'));
+    assert.deepStrictEqual(none, { transitions: {}, requirements: {} });
+  });
+
+  test('skips unknown statuses, bad names and bad requirements', () => {
+    const { errors, config: parsed } = validateStatusTransitions({
+      transitions: {
+        done: { workflow: ['edited'] },
+        ready: { workflow: ['edited', 'Not Valid'], fields: 'title' }
+      },
+      requirements: { body: { file: '../outside.md' }, text: { field: 'social.text' } }
+    });
+
+    assert.deepStrictEqual(parsed, {
+      transitions: { ready: { workflow: ['edited'], fields: [], platform_requirements: false } },
+      requirements: { text: { field: 'social.text' } }
+    });
+    assert.strictEqual(errors.length, 4);
+  });
+
+  test('lists unchecked stages by label and skips stages the series does not define', async () => {
+    const metadata = { workflow: { scripted: true, recorded: false } };
+
+    assert.deepStrictEqual(await checkTransition(metadata, 'ready', ctx()), [
+      "Workflow stage 'Recorded' is not complete",
+      "Workflow stage 'Edited' is not complete"
+    ]);
+
+    const interviewStages = [{ id: 'recorded', label: 'Recorded' }];
+    assert.deepStrictEqual(
+      await checkTransition({ workflow: { recorded: true } }, 'ready', { ...ctx(), stages: interviewStages }),
+      []
+    );
+    assert.deepStrictEqual(await checkTransition(metadata, 'draft', ctx()), []);
+  });
+
+  test('requires fields to be filled in', async () => {
+    const metadata = {
+      workflow: { scripted: true, recorded: true, edited: true },
+      release: { target_date: '' },
+      distribution: { profile: '' }
+    };
+
+    assert.deepStrictEqual(await checkTransition(metadata, 'staged', ctx()), [
+      'release.target_date is not set',
+      'distribution is not set'
+    ]);
+  });
+
+  test('checks the requirements of every platform the episode goes to', async () => {
+    const metadata = {
+      title: 'Pilot',
+      description: 'About the pilot',
+      tags: ['', ''],
+      thumbnail: 'thumbnail.png',
+      workflow: { scripted: true, recorded: true, edited: true },
+      distribution: { profile: 'minimal' }
+    };
+    assert.deepStrictEqual(getEpisodePlatforms(metadata, distribution), ['youtube', 'linkedin']);
+
+    assert.deepStrictEqual(await checkTransition(metadata, 'released', ctx()), [
+      'YouTube requires tags (tags is empty)',
+      'YouTube requires thumbnail (thumbnail.png not found)',
+      'LinkedIn requires text (social-posts.md not found)'
+    ]);
+
+    await fs.writeFile(path.join(tmpDir, 'thumbnail.png'), 'png', 'utf8');
+    await fs.writeFile(path.join(tmpDir, 'social-posts.md'), '# Posts\n', 'utf8');
+    const unmet = await checkTransition({ ...metadata, distribution: { platforms: ['bluesky', 'mastodon', 'youtube'] } }, 'released', ctx());
+    assert.deepStrictEqual(unmet, ['YouTube requires tags (tags is empty)']);
+
+    await fs.rm(path.join(tmpDir, 'social-posts.md'));
+    assert.deepStrictEqual(
+      await checkTransition({ ...metadata, tags: ['pilot'], distribution: { platforms: ['bluesky', 'mastodon'] } }, 'released', ctx()),
+      ['Blue Sky, Mastodon require text (social-posts.md not found)']
+    );
+  });
+});
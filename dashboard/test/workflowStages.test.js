@@ -0,0 +1,81 @@
+/**
+ * Workflow Stage Tests
+ * Tests reading workflow-stages.yml and resolving the stages of a series
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import { fileURLToPath } from 'node:url';
+import {
+  DEFAULT_WORKFLOW_STAGES,
+  validateWorkflowStages,
+  readWorkflowStages,
+  getSeriesStages
+} from '../api/workflowStages.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Workflow Stages', () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'workflow-stages-'));
+  });
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('the shipped workflow-stages.yml matches the built-in defaults', async () => {
+    const config = await readWorkflowStages(path.join(__dirname, '../../workflow-stages.yml'));
+
+    assert.deepStrictEqual(config, { stages: DEFAULT_WORKFLOW_STAGES, series: {} });
+  });
+
+  test('uses the default stages when the file is missing', async () => {
+    const config = await readWorkflowStages(path.join(tmpDir, 'missing.yml'));
+
+    assert.deepStrictEqual(config.stages, DEFAULT_WORKFLOW_STAGES);
+    assert.deepStrictEqual(getSeriesStages(config, 'anything'), DEFAULT_WORKFLOW_STAGES);
+  });
+
+  test('resolves per-series overrides, including an empty checklist', () => {
+    const { errors, config } = validateWorkflowStages({
+      stages: ['scripted', { id: 'published', label: 'Live' }],
+      series: {
+        interviews: [{ id: 'guest_confirmed' }, 'recorded'],
+        'blog-posts': []
+      }
+    });
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(getSeriesStages(config, 'show'), [
+      { id: 'scripted', label: 'Scripted' },
+      { id: 'published', label: 'Live' }
+    ]);
+    assert.deepStrictEqual(getSeriesStages(config, 'interviews'), [
+      { id: 'guest_confirmed', label: 'Guest Confirmed' },
+      { id: 'recorded', label: 'Recorded' }
+    ]);
+    assert.deepStrictEqual(getSeriesStages(config, 'blog-posts'), []);
+    assert.deepStrictEqual(getSeriesStages(config, 'toString'), config.stages);
+  });
+
+  test('reports invalid and duplicate stages and skips them', () => {
+    const { errors, config } = validateWorkflowStages({
+      stages: ['scripted', 'Bad Id', 'scripted'],
+      series: { broken: 'recorded' }
+    });
+
+    assert.deepStrictEqual(errors, [
+      'stages entry 2: id must be lowercase letters, numbers and underscores',
+      "stages: stage 'scripted' is listed more than once",
+      "series 'broken' must be a list of stages"
+    ]);
+    assert.deepStrictEqual(config.stages, [{ id: 'scripted', label: 'Scripted' }]);
+    assert.strictEqual(getSeriesStages(config, 'broken'), config.stages);
+  });
+});
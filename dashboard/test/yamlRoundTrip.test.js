@@ -0,0 +1,131 @@
+/**
+ * YAML Round-Trip Tests
+ * Tests that metadata edits keep comments, ordering, quoting and block scalars
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import yaml from 'js-yaml';
+import { updateYamlContent } from '../api/yamlRoundTrip.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const templatePath = path.join(__dirname, '../../templates/metadata-template.yml');
+
+/**
+ * Returns the lines that differ between two texts of the same line count
+ */
+function changedLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  assert.strictEqual(a.length, b.length, 'line count changed');
+  return b.filter((line, i) => line !== a[i]);
+}
+
+describe('YAML Round-Trip', () => {
+  test('changes only the edited line of the metadata template', async () => {
+    const template = await fs.readFile(templatePath, 'utf8');
+    const { content } = updateYamlContent(template, data => {
+      data.content_status = 'ready';
+      data.workflow.recorded = true;
+    });
+
+    assert.deepStrictEqual(changedLines(template, content), ['content_status: ready', '  recorded: true']);
+  });
+
+  test('keeps quoting style of edited values', () => {
+    const source = 'release:\n  target_date: "" # when\n  notes: \'\'\n';
+    const { content } = updateYamlContent(source, data => {
+      data.release.target_date = '2025-03-01';
+      data.release.notes = 'It\'s ready';
+    });
+
+    assert.strictEqual(content, 'release:\n  target_date: "2025-03-01" # when\n  notes: \'It\'\'s ready\'\n');
+  });
+
+  test('quotes new plain values that YAML 1.1 readers would not treat as strings', () => {
+    const source = 'title: Old\nrelease:\n  notes: x\n';
+    const { content } = updateYamlContent(source, data => {
+      data.release.target_date = '2025-03-01';
+    });
+
+    assert.strictEqual(content, 'title: Old\nrelease:\n  notes: x\n  target_date: "2025-03-01"\n');
+    assert.strictEqual(yaml.load(content).release.target_date, '2025-03-01');
+  });
+
+  test('rewrites block scalars in place', async () => {
+    const template = await fs.readFile(templatePath, 'utf8');
+    const { content } = updateYamlContent(template, data => {
+      data.description = 'First line\n\nSecond line\n';
+    });
+
+    assert.ok(content.includes('description: |\n  First line\n\n  Second line\n\n# Separate with commas'));
+    assert.strictEqual(yaml.load(content).description, 'First line\n\nSecond line\n');
+  });
+
+  test('edits, removes and appends sequence items without touching comments', () => {
+    const source = '# Tags\ntags:\n  - MCP # main\n  - AI\n  -\n\n# Category\ncategory: 28\n';
+    const { content } = updateYamlContent(source, data => {
+      data.tags = ['MCP', 'Testing'];
+    });
+
+    assert.strictEqual(content, '# Tags\ntags:\n  - MCP # main\n  - Testing\n\n# Category\ncategory: 28\n');
+
+    const { content: grown } = updateYamlContent(source, data => {
+      data.tags = ['MCP', 'AI', 'Docs', 'More'];
+    });
+    assert.strictEqual(grown, '# Tags\ntags:\n  - MCP # main\n  - AI\n  - Docs\n  - More\n\n# Category\ncategory: 28\n');
+  });
+
+  test('fills empty values and flow collections', () => {
+    const source = 'series:\n  name: ""\n  episode_number:\ndepends_on: []\n';
+    const { content } = updateYamlContent(source, data => {
+      data.series.episode_number = 3;
+      data.depends_on = ['repo public', 'v1.0'];
+    });
+
+    assert.strictEqual(content, 'series:\n  name: ""\n  episode_number: 3\ndepends_on: [repo public, v1.0]\n');
+  });
+
+  test('adds keys to a trailing nested mapping before new keys of its parent', () => {
+    const source = 'content_status: draft\nrelease:\n  notes: ""\n';
+    const { content } = updateYamlContent(source, data => {
+      data.release.blocked_by = 'Waiting';
+      data.status_history = [{ status: 'blocked', source: 'dashboard' }];
+    });
+
+    assert.strictEqual(content, 'content_status: draft\nrelease:\n  notes: ""\n  blocked_by: Waiting\n' +
+      'status_history:\n  - status: blocked\n    source: dashboard\n');
+  });
+
+  test('rewrites an entry whose shape changes', () => {
+    const source = 'a: 1\nrelease:\nb: 2 # keep\n';
+    const { content } = updateYamlContent(source, data => {
+      data.release = { target_date: '2025-01-01', notes: 'later' };
+      delete data.a;
+    });
+
+    assert.strictEqual(content, 'release:\n  target_date: "2025-01-01"\n  notes: later\nb: 2 # keep\n');
+  });
+
+  test('removes keys named like Object prototype properties', () => {
+    const { content } = updateYamlContent('constructor: 1\ntoString: 2\nkeep: 3\n', data => {
+      delete data.constructor;
+      delete data.toString;
+    });
+
+    assert.strictEqual(content, 'keep: 3\n');
+  });
+
+  test('leaves unchanged timestamps byte-identical', () => {
+    const source = 'created: 2025-01-01T10:00:00Z\ncontent_status: draft\n';
+    const { content, data } = updateYamlContent(source, d => {
+      d.content_status = 'ready';
+    });
+
+    assert.strictEqual(content, 'created: 2025-01-01T10:00:00Z\ncontent_status: ready\n');
+    assert.strictEqual(data.created, '2025-01-01T10:00:00Z');
+  });
+});
@@ -0,0 +1,52 @@
+// Content status rules that depend on an episode's current metadata
+// Mirrors applyStatusRules in dashboard/api/episodeMetadata.js and
+// appendStatusHistory in dashboard/api/statusHistory.js
+
+import type { ContentStatus, EpisodeMetadata, StatusHistoryEntry } from './types.js';
+
+/**
+ * A blocked episode needs a reason (release.blocked_by), either in the update
+ * or already in the file; blocked_since defaults to the day it was blocked.
+ * Moving out of `blocked` clears both fields. Adds those values to `updates`
+ * and returns the problems, if any.
+ */
+export function applyStatusRules(
+  current: Partial<EpisodeMetadata>,
+  updates: Partial<EpisodeMetadata>,
+  today: string
+): string[] {
+  const wasBlocked = current.content_status === 'blocked';
+  const status = updates.content_status ?? current.content_status;
+  const release = updates.release ?? {};
+
+  if (status === 'blocked') {
+    // Only checked when the update touches the status or the reason, so other
+    // edits still work on a file that was blocked by hand without one
+    const touched = updates.content_status !== undefined || release.blocked_by !== undefined;
+    if (touched && !(release.blocked_by ?? current.release?.blocked_by)) {
+      return ['Blocked episodes need a reason (release.blocked_by)'];
+    }
+    if (!wasBlocked && !release.blocked_since) {
+      updates.release = { ...release, blocked_since: today };
+    }
+  } else if (wasBlocked) {
+    updates.release = { blocked_by: '', blocked_since: '', ...release };
+  }
+  return [];
+}
+
+/**
+ * Add a status change to metadata.status_history (created if missing);
+ * changes `metadata` in place
+ */
+export function appendStatusHistory(
+  metadata: Partial<EpisodeMetadata>,
+  status: ContentStatus,
+  source: NonNullable<StatusHistoryEntry['source']>,
+  timestamp = new Date().toISOString()
+): void {
+  if (!Array.isArray(metadata.status_history)) {
+    metadata.status_history = [];
+  }
+  metadata.status_history.push({ status, timestamp, source });
+}
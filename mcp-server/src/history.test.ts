@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createUnifiedDiff, writeTrackedFile, HISTORY_FILE, MAX_HISTORY_BYTES } from './history.js';
+
+let episodeDir: string;
+
+beforeEach(async () => {
+  episodeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-history-'));
+});
+
+afterEach(async () => {
+  await fs.rm(episodeDir, { recursive: true, force: true });
+});
+
+describe('createUnifiedDiff', () => {
+  it('should produce hunks with surrounding context', () => {
+    const before = 'a\nb\nc\nd\ne\nf\ng\nh\n';
+    const after = 'a\nb\nc\nD\ne\nf\ng\nh\n';
+
+    expect(createUnifiedDiff(before, after)).toBe('@@ -2,5 +2,5 @@\n b\n c\n-d\n+D\n e\n f\n');
+  });
+
+  it('should diff a new file as all added lines', () => {
+    expect(createUnifiedDiff(null, 'one\ntwo\n')).toBe('@@ -0,0 +1,2 @@\n+one\n+two\n');
+    expect(createUnifiedDiff('same\n', 'same\n')).toBe('');
+  });
+
+  it('should replace large changed regions as a whole', () => {
+    const before = ['keep', ...Array.from({ length: 1500 }, (_, i) => `old ${i}`), 'end'].join('\n') + '\n';
+    const after = ['keep', ...Array.from({ length: 1500 }, (_, i) => (i % 2 && i < 1499 ? `old ${i}` : `new ${i}`)), 'end'].join('\n') + '\n';
+
+    const lines = createUnifiedDiff(before, after).split('\n');
+    expect(lines[0]).toBe('@@ -1,1502 +1,1502 @@');
+    expect(lines.slice(2, 1502).every(line => line.startsWith('-'))).toBe(true);
+    expect(lines[1502]).toBe('+new 0');
+  });
+});
+
+describe('writeTrackedFile', () => {
+  it('should record a revision and skip unchanged content', async () => {
+    const filepath = path.join(episodeDir, 'notes.md');
+    await fs.writeFile(filepath, '# Notes\n', 'utf8');
+
+    expect(await writeTrackedFile(filepath, '# Notes\nIdea\n', 'test')).toBe(true);
+    expect(await writeTrackedFile(filepath, '# Notes\nIdea\n', 'test')).toBe(false);
+
+    expect(await fs.readFile(filepath, 'utf8')).toBe('# Notes\nIdea\n');
+    const entries = (await fs.readFile(path.join(episodeDir, HISTORY_FILE), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ source: 'mcp', action: 'test', file: 'notes.md', before: '# Notes\n' });
+  });
+
+  it('should keep the history under MAX_HISTORY_BYTES', async () => {
+    const filepath = path.join(episodeDir, 'script.md');
+    // Each revision stores the text before and after plus the diff of both
+    const size = Math.floor(MAX_HISTORY_BYTES / 8);
+    for (const letter of ['a', 'b', 'c', 'd', 'e']) {
+      await writeTrackedFile(filepath, `${letter.repeat(size)}\n`, 'test');
+    }
+
+    const { size: bytes } = await fs.stat(path.join(episodeDir, HISTORY_FILE));
+    expect(bytes).toBeLessThanOrEqual(MAX_HISTORY_BYTES);
+    const entries = (await fs.readFile(path.join(episodeDir, HISTORY_FILE), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(entries.length).toBeLessThan(5);
+    expect(entries[entries.length - 1].after).toBe(`${'e'.repeat(size)}\n`);
+  });
+});
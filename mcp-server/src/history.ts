@@ -0,0 +1,233 @@
+// Per-episode revision history for files written by MCP tools
+// Mirrors the writer side of dashboard/api/history.js; both append to the same
+// .history.jsonl in the episode folder, which the dashboard lists and restores from
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import type { StatusOverride } from './types.js';
+
+export const HISTORY_FILE = '.history.jsonl';
+
+// Oldest revisions are dropped once an episode has this many
+export const MAX_HISTORY_ENTRIES = 200;
+
+// ...or once .history.jsonl would grow past this size (the newest revision is always kept)
+export const MAX_HISTORY_BYTES = 5 * 1024 * 1024;
+
+// Lines of unchanged context around each hunk of a diff
+const DIFF_CONTEXT_LINES = 2;
+
+// Largest changed region (old lines × new lines) diffed line by line; bigger
+// changes are recorded as removing every old line and adding every new one
+const MAX_DIFF_CELLS = 1000000;
+
+export interface RevisionEntry {
+  id: string;
+  timestamp: string;
+  source: 'dashboard' | 'mcp' | 'external' | 'scheduler';
+  action: string | null;
+  file: string;
+  diff: string;
+  before: string | null;
+  after: string;
+  restored_from?: string;
+  override?: StatusOverride;
+}
+
+interface DiffOp {
+  op: ' ' | '-' | '+';
+  text: string;
+}
+
+function splitLines(text: string | null): string[] {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Line-level edit script (longest common subsequence), matching common
+ * leading and trailing lines up front so typical edits stay cheap.
+ * The rest is replaced as a whole when larger than MAX_DIFF_CELLS
+ */
+function diffOps(a: string[], b: string[]): DiffOp[] {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.slice(0, start).map((text): DiffOp => ({ op: ' ', text })),
+      ...midA.map((text): DiffOp => ({ op: '-', text })),
+      ...midB.map((text): DiffOp => ({ op: '+', text })),
+      ...a.slice(endA).map((text): DiffOp => ({ op: ' ', text }))
+    ];
+  }
+
+  const lengths = Array.from({ length: midA.length + 1 }, () => new Array<number>(midB.length + 1).fill(0));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lengths[i][j] = midA[i] === midB[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops: DiffOp[] = a.slice(0, start).map(text => ({ op: ' ', text }));
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      ops.push({ op: ' ', text: midA[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ op: '-', text: midA[i++] });
+    } else {
+      ops.push({ op: '+', text: midB[j++] });
+    }
+  }
+  while (i < midA.length) ops.push({ op: '-', text: midA[i++] });
+  while (j < midB.length) ops.push({ op: '+', text: midB[j++] });
+  ops.push(...a.slice(endA).map((text): DiffOp => ({ op: ' ', text })));
+  return ops;
+}
+
+/**
+ * Unified diff (hunks only, no file headers) between two texts
+ */
+export function createUnifiedDiff(before: string | null, after: string | null): string {
+  const ops = diffOps(splitLines(before), splitLines(after));
+  const changed = ops.map((op, index) => (op.op === ' ' ? -1 : index)).filter(index => index !== -1);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows touch into hunks
+  const hunks: { start: number; end: number }[] = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= DIFF_CONTEXT_LINES * 2 + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  let output = '';
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - DIFF_CONTEXT_LINES);
+    const to = Math.min(ops.length, hunk.end + DIFF_CONTEXT_LINES + 1);
+    const preceding = ops.slice(0, from);
+    const oldStart = preceding.filter(op => op.op !== '+').length + 1;
+    const newStart = preceding.filter(op => op.op !== '-').length + 1;
+    const lines = ops.slice(from, to);
+    const oldCount = lines.filter(op => op.op !== '+').length;
+    const newCount = lines.filter(op => op.op !== '-').length;
+
+    output += `@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@\n`;
+    output += lines.map(op => `${op.op}${op.text}\n`).join('');
+  }
+  return output;
+}
+
+async function readEntries(historyPath: string): Promise<RevisionEntry[]> {
+  let content: string;
+  try {
+    content = await fs.readFile(historyPath, 'utf8');
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries: RevisionEntry[] = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line) as RevisionEntry);
+    } catch {
+      // Ignore a corrupt line rather than losing the rest of the history
+    }
+  }
+  return entries;
+}
+
+/**
+ * Append a revision to an episode's history, dropping the oldest entries
+ * beyond MAX_HISTORY_ENTRIES or MAX_HISTORY_BYTES
+ */
+export async function recordRevision(
+  episodeDir: string,
+  revision: { file: string; action: string; before: string | null; after: string; override?: StatusOverride }
+): Promise<RevisionEntry> {
+  const historyPath = path.join(episodeDir, HISTORY_FILE);
+  const entry: RevisionEntry = {
+    id: `${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`,
+    timestamp: new Date().toISOString(),
+    source: 'mcp',
+    action: revision.action,
+    file: revision.file,
+    diff: createUnifiedDiff(revision.before, revision.after),
+    before: revision.before,
+    after: revision.after
+  };
+  if (revision.override) entry.override = revision.override;
+
+  const lines = [...await readEntries(historyPath), entry].map(e => JSON.stringify(e) + '\n');
+  let first = Math.max(0, lines.length - MAX_HISTORY_ENTRIES);
+  let bytes = lines.slice(first).reduce((total, line) => total + Buffer.byteLength(line), 0);
+  while (bytes > MAX_HISTORY_BYTES && first < lines.length - 1) {
+    bytes -= Buffer.byteLength(lines[first]);
+    first++;
+  }
+
+  if (first > 0) {
+    await fs.writeFile(historyPath, lines.slice(first).join(''), 'utf8');
+  } else {
+    await fs.appendFile(historyPath, lines[lines.length - 1], 'utf8');
+  }
+  return entry;
+}
+
+/**
+ * Write an episode file (metadata.yml, script.md, notes.md) and record the
+ * change as made by an MCP tool. The revision is recorded before the write so
+ * the dashboard's file watcher does not log the same content as an external edit.
+ * Returns false when the content was unchanged and nothing was written.
+ * `override` records a status change forced past unmet transition rules.
+ */
+export async function writeTrackedFile(
+  filepath: string,
+  content: string,
+  action: string,
+  before?: string | null,
+  override?: StatusOverride
+): Promise<boolean> {
+  let previous = before;
+  if (previous === undefined) {
+    try {
+      previous = await fs.readFile(filepath, 'utf8');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') throw error;
+      previous = null;
+    }
+  }
+  if (previous === content) return false;
+
+  await recordRevision(path.dirname(filepath), {
+    file: path.basename(filepath),
+    action,
+    before: previous,
+    after: content,
+    override
+  });
+  await fs.writeFile(filepath, content, 'utf8');
+  return true;
+}
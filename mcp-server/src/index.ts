@@ -27,7 +27,8 @@ import {
 import {
   getReleaseQueueContents,
   updateReleaseStatus,
-  scheduleRelease
+  scheduleRelease,
+  markReleaseDependency
 } from './tools/release.js';
 import {
   updateWorkflowProgress,
@@ -44,6 +45,14 @@ import {
   moveAsset,
   deleteAsset
 } from './tools/assets.js';
+import {
+  exportEpisodeBundle,
+  importEpisodeBundle,
+  BUNDLE_PARTS,
+  BUNDLE_CONFLICT_MODES
+} from './tools/bundles.js';
+import { buildPublishPackage } from './tools/publish.js';
+import { VALID_CONTENT_STATUSES, DEPENDENCY_STATES } from './types.js';
 
 // Define the available tools
 const tools: Tool[] = [
@@ -76,7 +85,7 @@ const tools: Tool[] = [
   },
   {
     name: 'update_episode_metadata',
-    description: 'Updates fields in an episode\'s metadata.yml file',
+    description: 'Updates fields in an episode\'s metadata.yml file. A content_status change must meet its conditions in status-transitions.yml; refused changes list the unmet conditions',
     inputSchema: {
       type: 'object',
       properties: {
@@ -96,7 +105,7 @@ const tools: Tool[] = [
             description: { type: 'string' },
             content_status: {
               type: 'string',
-              enum: ['draft', 'ready', 'staged', 'released']
+              enum: [...VALID_CONTENT_STATUSES]
             },
             tags: {
               type: 'array',
@@ -104,24 +113,29 @@ const tools: Tool[] = [
             },
             workflow: {
               type: 'object',
-              properties: {
-                scripted: { type: 'boolean' },
-                recorded: { type: 'boolean' },
-                edited: { type: 'boolean' },
-                thumbnail_created: { type: 'boolean' },
-                uploaded: { type: 'boolean' },
-                published: { type: 'boolean' }
-              }
+              description: 'Stage id to completion flag; stage ids come from workflow-stages.yml for the series',
+              additionalProperties: { type: 'boolean' }
             },
             release: {
               type: 'object',
               properties: {
                 target_date: { type: 'string' },
                 release_group: { type: 'string' },
-                notes: { type: 'string' }
+                notes: { type: 'string' },
+                depends_on: {
+                  type: 'array',
+                  description: 'Release dependencies as text lines: free text, "episode: series/<series>/<episode>", "date: YYYY-MM-DD" or "file: <path>"',
+                  items: { type: 'string' }
+                },
+                blocked_by: { type: 'string', description: 'Required when content_status is blocked' },
+                blocked_since: { type: 'string', description: 'YYYY-MM-DD; defaults to the day the episode is blocked' }
               }
             }
           }
+        },
+        override_reason: {
+          type: 'string',
+          description: 'Why to move the status although status-transitions.yml conditions are unmet; recorded in the episode history'
         }
       },
       required: ['series', 'episode', 'updates']
@@ -153,8 +167,8 @@ const tools: Tool[] = [
       properties: {
         status: {
           type: 'string',
-          description: 'Filter by content status (draft, ready, staged, released)',
-          enum: ['draft', 'ready', 'staged', 'released']
+          description: 'Filter by content status (draft, ready, staged, blocked, released, archived)',
+          enum: [...VALID_CONTENT_STATUSES]
         },
         series: {
           type: 'string',
@@ -197,7 +211,7 @@ const tools: Tool[] = [
   // Release Management Tools
   {
     name: 'get_release_queue',
-    description: 'Returns the contents of release-queue.yml including release groups, staged, blocked, and released content',
+    description: 'Returns the contents of release-queue.yml including release groups, staged, blocked, and released content, plus the resolved dependencies of each group and queued episode',
     inputSchema: {
       type: 'object',
       properties: {}
@@ -205,7 +219,7 @@ const tools: Tool[] = [
   },
   {
     name: 'update_release_status',
-    description: 'Updates the content_status field in an episode\'s metadata',
+    description: 'Updates the content_status field in an episode\'s metadata. Blocking needs a blocked_by reason; blocked_since is set to today. Leaving blocked clears both. The move must meet its conditions in status-transitions.yml; refused moves list the unmet conditions.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -216,7 +230,15 @@ const tools: Tool[] = [
         status: {
           type: 'string',
           description: 'New status value',
-          enum: ['draft', 'ready', 'staged', 'released']
+          enum: [...VALID_CONTENT_STATUSES]
+        },
+        blocked_by: {
+          type: 'string',
+          description: 'Why the episode is blocked (required when status is blocked and the episode has no reason yet)'
+        },
+        override_reason: {
+          type: 'string',
+          description: 'Why to move the status although status-transitions.yml conditions are unmet; recorded in the episode history'
         }
       },
       required: ['path', 'status']
@@ -224,7 +246,7 @@ const tools: Tool[] = [
   },
   {
     name: 'schedule_release',
-    description: 'Adds an episode to the release queue with a target date',
+    description: 'Adds an episode to the release queue with a target date and marks it staged (subject to status-transitions.yml)',
     inputSchema: {
       type: 'object',
       properties: {
@@ -239,16 +261,50 @@ const tools: Tool[] = [
         group: {
           type: 'string',
           description: 'Optional release group ID to associate with'
+        },
+        override_reason: {
+          type: 'string',
+          description: 'Why to move the status although status-transitions.yml conditions are unmet; recorded in the episode history'
         }
       },
       required: ['path', 'date']
     }
   },
+  {
+    name: 'update_release_dependency',
+    description: 'Marks a release dependency of an episode (release.depends_on) or a release group as met, waived or pending. Episode, date and file dependencies resolve on their own and can only be waived or reset.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'Path to the episode whose dependency to mark (give this or group)'
+        },
+        group: {
+          type: 'string',
+          description: 'Release group ID whose dependency to mark (give this or path)'
+        },
+        dependency_id: {
+          type: 'string',
+          description: 'Dependency id as listed by get_release_queue'
+        },
+        state: {
+          type: 'string',
+          enum: [...DEPENDENCY_STATES]
+        },
+        marked_by: {
+          type: 'string',
+          description: 'Who is marking the dependency (defaults to "mcp")'
+        }
+      },
+      required: ['dependency_id', 'state']
+    }
+  },
 
   // Workflow Tools
   {
     name: 'update_workflow_progress',
-    description: 'Updates a workflow stage checkbox (scripted, recorded, edited, thumbnail_created, uploaded, published)',
+    description: 'Updates a workflow stage checkbox. Stages are configured per series in workflow-stages.yml (default: scripted, recorded, edited, thumbnail_created, uploaded, published)',
     inputSchema: {
       type: 'object',
       properties: {
@@ -262,8 +318,7 @@ const tools: Tool[] = [
         },
         stage: {
           type: 'string',
-          description: 'The workflow stage to update',
-          enum: ['scripted', 'recorded', 'edited', 'thumbnail_created', 'uploaded', 'published']
+          description: 'The workflow stage id to update, as listed in workflow-stages.yml for the series'
         },
         complete: {
           type: 'boolean',
@@ -275,7 +330,7 @@ const tools: Tool[] = [
   },
   {
     name: 'get_pipeline_status',
-    description: 'Returns a summary of all content organized by status (draft, ready, staged, released, blocked)',
+    description: 'Returns a summary of all content organized by status (draft, ready, staged, released, archived, blocked episodes and blocked release queue entries)',
     inputSchema: {
       type: 'object',
       properties: {}
@@ -366,6 +421,62 @@ const tools: Tool[] = [
     }
   },
 
+  // Episode Bundle Tools
+  {
+    name: 'export_episode_bundle',
+    description: 'Exports an episode as a zip bundle with a manifest of SHA-256 checksums, for handing to an editor or archiving. Returns the bundle path (relative to the content root) and its manifest.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        series: {
+          type: 'string',
+          description: 'The series name'
+        },
+        episode: {
+          type: 'string',
+          description: 'The episode folder name'
+        },
+        include: {
+          type: 'array',
+          items: { type: 'string', enum: [...BUNDLE_PARTS] },
+          description: 'Parts to bundle: metadata, script, notes, exports, or all for the whole folder including raw/. Defaults to metadata, script and notes.'
+        },
+        output: {
+          type: 'string',
+          description: 'Optional .zip path relative to the content root (default: bundles/<series>-<episode>.zip)'
+        }
+      },
+      required: ['series', 'episode']
+    }
+  },
+  {
+    name: 'import_episode_bundle',
+    description: 'Restores an episode bundle (from export_episode_bundle or the dashboard) into a series after checking every file against the manifest checksums.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        bundle_path: {
+          type: 'string',
+          description: 'Path to the bundle .zip, absolute or relative to the content root'
+        },
+        series: {
+          type: 'string',
+          description: 'The series to import into (created if missing)'
+        },
+        on_conflict: {
+          type: 'string',
+          enum: [...BUNDLE_CONFLICT_MODES],
+          description: 'When the episode folder exists: fail (default), rename to <episode>-2, or overwrite its files (metadata, script and notes keep a revision)'
+        },
+        episode: {
+          type: 'string',
+          description: 'Optional target episode folder name (defaults to the one in the bundle)'
+        }
+      },
+      required: ['bundle_path', 'series']
+    }
+  },
+
   // Content Generation Tools
   {
     name: 'generate_description',
@@ -407,6 +518,24 @@ const tools: Tool[] = [
       },
       required: ['series', 'episode']
     }
+  },
+  {
+    name: 'build_publish_package',
+    description: 'Writes a ready-to-paste file per platform of the episode distribution profile (or platforms list) into exports/publish/: YouTube upload fields as JSON, the blog post with front matter, and LinkedIn, Bluesky and Mastodon post text from social-posts.md. Reports the missing required inputs of each platform.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        series: {
+          type: 'string',
+          description: 'The series name'
+        },
+        episode: {
+          type: 'string',
+          description: 'The episode folder name'
+        }
+      },
+      required: ['series', 'episode']
+    }
   }
 ];
 
@@ -449,12 +578,13 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case 'update_episode_metadata': {
-        const { series, episode, updates } = args as {
+        const { series, episode, updates, override_reason } = args as {
           series: string;
           episode: string;
           updates: Record<string, unknown>;
+          override_reason?: string;
         };
-        const result = await updateEpisodeMetadata(series, episode, updates);
+        const result = await updateEpisodeMetadata(series, episode, updates, override_reason);
         return {
           content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
         };
@@ -504,20 +634,40 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case 'update_release_status': {
-        const { path, status } = args as { path: string; status: string };
-        const result = await updateReleaseStatus(path, status);
+        const { path, status, blocked_by, override_reason } = args as {
+          path: string;
+          status: string;
+          blocked_by?: string;
+          override_reason?: string;
+        };
+        const result = await updateReleaseStatus(path, status, blocked_by, override_reason);
         return {
           content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
         };
       }
 
       case 'schedule_release': {
-        const { path, date, group } = args as {
+        const { path, date, group, override_reason } = args as {
           path: string;
           date: string;
           group?: string;
+          override_reason?: string;
         };
-        const result = await scheduleRelease(path, date, group);
+        const result = await scheduleRelease(path, date, group, override_reason);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
+        };
+      }
+
+      case 'update_release_dependency': {
+        const { path, group, dependency_id, state, marked_by } = args as {
+          path?: string;
+          group?: string;
+          dependency_id: string;
+          state: string;
+          marked_by?: string;
+        };
+        const result = await markReleaseDependency({ episodePath: path, groupId: group }, dependency_id, state, marked_by);
         return {
           content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
         };
@@ -585,6 +735,33 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      // Episode Bundles
+      case 'export_episode_bundle': {
+        const { series, episode, include, output } = args as {
+          series: string;
+          episode: string;
+          include?: string[];
+          output?: string;
+        };
+        const result = await exportEpisodeBundle(series, episode, include, output);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
+        };
+      }
+
+      case 'import_episode_bundle': {
+        const { bundle_path, series, on_conflict, episode } = args as {
+          bundle_path: string;
+          series: string;
+          on_conflict?: string;
+          episode?: string;
+        };
+        const result = await importEpisodeBundle(bundle_path, series, on_conflict, episode);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
+        };
+      }
+
       // Content Generation (stubs)
       case 'generate_description': {
         const { series, episode } = args as { series: string; episode: string };
@@ -606,6 +783,14 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      case 'build_publish_package': {
+        const { series, episode } = args as { series: string; episode: string };
+        const result = await buildPublishPackage(series, episode);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
+        };
+      }
+
       default:
         return {
           content: [{ type: 'text', text: `Unknown tool: ${name}` }],
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import { parse } from 'yaml';
+import { TOOLKIT_DIR } from './utils.js';
+import { validateEpisodeMetadata, formatFieldPath } from './metadataSchema.js';
+
+describe('validateEpisodeMetadata', () => {
+  it('should accept the metadata template', async () => {
+    const template = await fs.readFile(path.join(TOOLKIT_DIR, 'templates', 'metadata-template.yml'), 'utf8');
+
+    expect(validateEpisodeMetadata(parse(template))).toEqual([]);
+  });
+
+  it('should report type, enum and date errors with their field paths', () => {
+    const issues = validateEpisodeMetadata({
+      content_status: 'redy',
+      tags: ['ok', 5],
+      category: 0,
+      release: { target_date: '2025-13-01' },
+      scheduled_at: '2025-01-15'
+    });
+
+    expect(issues.map(issue => [formatFieldPath(issue.path), issue.severity])).toEqual([
+      ['content_status', 'error'],
+      ['tags[1]', 'error'],
+      ['category', 'error'],
+      ['release.target_date', 'error'],
+      ['scheduled_at', 'error']
+    ]);
+  });
+
+  it('should warn about unknown fields and require content_status', () => {
+    const issues = validateEpisodeMetadata({ titel: 'Typo', analytics: { views_24h: 10, likes: 3 } });
+
+    expect(issues).toEqual([
+      { path: ['content_status'], severity: 'error', message: 'content_status is required' },
+      { path: ['titel'], severity: 'warning', message: "Unknown field 'titel'" },
+      { path: ['analytics', 'likes'], severity: 'warning', message: "Unknown field 'analytics.likes'" }
+    ]);
+  });
+
+  it('should accept any workflow stage id with a boolean value', () => {
+    const issues = validateEpisodeMetadata({
+      content_status: 'draft',
+      workflow: { scripted: true, guest_confirmed: false, guest_approved_cut: 'yes' }
+    });
+
+    expect(issues).toEqual([
+      { path: ['workflow', 'guest_approved_cut'], severity: 'error', message: 'workflow.guest_approved_cut must be boolean, not string' }
+    ]);
+  });
+});
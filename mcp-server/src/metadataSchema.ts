@@ -0,0 +1,161 @@
+// Episode metadata validation against the shared schema
+// Mirrors dashboard/api/metadataSchema.js; both read schemas/episode-metadata.schema.json
+// from the toolkit checkout so the dashboard lint and MCP tools apply the same rules
+
+import fsSync from 'fs';
+import path from 'path';
+import { TOOLKIT_DIR } from './utils.js';
+
+export const EPISODE_SCHEMA_PATH = path.join(TOOLKIT_DIR, 'schemas', 'episode-metadata.schema.json');
+
+export type FieldPath = Array<string | number>;
+
+export interface SchemaIssue {
+  path: FieldPath;
+  severity: 'error' | 'warning';
+  message: string;
+}
+
+export interface JsonSchema {
+  type?: string | string[];
+  enum?: unknown[];
+  format?: 'date' | 'date-time';
+  maxLength?: number;
+  minimum?: number;
+  items?: JsonSchema;
+  required?: string[];
+  properties?: Record<string, JsonSchema>;
+  additionalProperties?: boolean | JsonSchema;
+}
+
+const ISO_DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const DATE_TIME_REGEX = /T\d{2}:\d{2}/;
+
+let episodeSchema: JsonSchema | null = null;
+
+/**
+ * The episode metadata schema, read once from schemas/
+ */
+export function getEpisodeSchema(): JsonSchema {
+  if (!episodeSchema) {
+    episodeSchema = JSON.parse(fsSync.readFileSync(EPISODE_SCHEMA_PATH, 'utf8')) as JsonSchema;
+  }
+  return episodeSchema;
+}
+
+/**
+ * ISO 8601 date (YYYY-MM-DD) or datetime whose calendar date actually exists
+ */
+export function isValidIsoDate(value: unknown): boolean {
+  if (typeof value !== 'string') return false;
+  const match = ISO_DATE_REGEX.exec(value);
+  if (!match) return false;
+
+  const [, year, month, day, hour, minute, second] = match.map(v => (v === undefined ? undefined : Number(v)));
+  const date = new Date(year!, month! - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month! - 1 || date.getDate() !== day) {
+    return false;
+  }
+  if (hour !== undefined && (hour > 23 || minute! > 59 || (second !== undefined && second > 59))) {
+    return false;
+  }
+  return true;
+}
+
+function typeOf(value: unknown): string {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value: unknown, expected: string | string[]): boolean {
+  const actual = typeOf(value);
+  return ([] as string[]).concat(expected).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Format a field path for messages, e.g. 'release.target_date' or 'tags[2]'
+ */
+export function formatFieldPath(fieldPath: FieldPath): string {
+  return fieldPath.reduce<string>((label, key) => (
+    typeof key === 'number' ? `${label}[${key}]` : (label ? `${label}.${key}` : key)
+  ), '');
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used in schemas/.
+ * Unknown properties are warnings; everything else is an error.
+ */
+export function validateAgainstSchema(value: unknown, schema: JsonSchema, fieldPath: FieldPath = []): SchemaIssue[] {
+  const issues: SchemaIssue[] = [];
+  const label = formatFieldPath(fieldPath) || 'metadata';
+  const error = (message: string) => issues.push({ path: fieldPath, severity: 'error', message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const types = ([] as string[]).concat(schema.type);
+    const expected = types.filter(type => type !== 'null');
+    error(`${label} must be ${expected.join(' or ')}${expected.length < types.length ? ' (or empty)' : ''}, not ${typeOf(value)}`);
+    return issues;
+  }
+
+  if (schema.enum && !schema.enum.includes(value ?? null)) {
+    const options = schema.enum.filter(option => option !== null && option !== '');
+    error(`${label} must be one of: ${options.join(', ')} (got '${String(value)}')`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      error(`${label} must be ${schema.maxLength} characters or less`);
+    }
+    if (value !== '' && schema.format === 'date' && !isValidIsoDate(value)) {
+      error(`${label} must be a valid date (YYYY-MM-DD)`);
+    }
+    if (value !== '' && schema.format === 'date-time' && !(isValidIsoDate(value) && DATE_TIME_REGEX.test(value))) {
+      error(`${label} must be a valid date and time (YYYY-MM-DDTHH:MM:SSZ)`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    error(`${label} must be at least ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      issues.push(...validateAgainstSchema(item, schema.items!, [...fieldPath, index]));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    const object = value as Record<string, unknown>;
+    for (const key of schema.required || []) {
+      if (object[key] === undefined) {
+        const keyPath = [...fieldPath, key];
+        issues.push({ path: keyPath, severity: 'error', message: `${formatFieldPath(keyPath)} is required` });
+      }
+    }
+    for (const [key, child] of Object.entries(object)) {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        issues.push(...validateAgainstSchema(child, childSchema, [...fieldPath, key]));
+      } else if (typeof schema.additionalProperties === 'object') {
+        issues.push(...validateAgainstSchema(child, schema.additionalProperties, [...fieldPath, key]));
+      } else if (schema.additionalProperties === false) {
+        issues.push({
+          path: [...fieldPath, key],
+          severity: 'warning',
+          message: `Unknown field '${formatFieldPath([...fieldPath, key])}'`
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate episode metadata (parsed with timestamps as strings) against the shared schema
+ */
+export function validateEpisodeMetadata(metadata: unknown): SchemaIssue[] {
+  return validateAgainstSchema(metadata, getEpisodeSchema());
+}
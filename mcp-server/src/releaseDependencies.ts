@@ -0,0 +1,370 @@
+// Release dependencies (release.depends_on and release group dependencies)
+// Mirrors dashboard/api/releaseDependencies.js: entries are lines of text or
+// recorded dependencies with a state; episode, date and file ones resolve
+// automatically
+
+import fs from 'fs/promises';
+import path from 'path';
+import { BASE_DIR } from './utils.js';
+import { isValidIsoDate } from './metadataSchema.js';
+import { DEPENDENCY_STATES, DEPENDENCY_TYPES } from './types.js';
+import type {
+  DependencyState,
+  DependencyType,
+  Episode,
+  EpisodeMetadata,
+  ReleaseDependency,
+  ReleaseQueue,
+  ResolvedDependency
+} from './types.js';
+
+type DependencyInput = Omit<ReleaseDependency, 'id'> & { id?: string };
+
+// Text form of the automatic kinds, e.g. "episode: series/merview/2025-01-01-intro"
+const TEXT_PREFIXES: Record<string, DependencyType> = { episode: 'episode_released', date: 'date', file: 'file_exists' };
+const TARGET_FIELDS: Record<DependencyType, 'description' | 'episode' | 'date' | 'file'> = {
+  manual: 'description',
+  episode_released: 'episode',
+  date: 'date',
+  file_exists: 'file'
+};
+
+const EPISODE_PATH_REGEX = /^series\/[^/\\]+\/[^/\\]+$/;
+const DEPENDENCY_ID_REGEX = /^[a-z0-9][a-z0-9-]*$/;
+const MAX_TEXT_LENGTH = 200;
+const MAX_MARKED_BY_LENGTH = 100;
+const MAX_ID_LENGTH = 60;
+
+/**
+ * Strip control characters and trim; dates parsed from unquoted YAML
+ * timestamps become ISO text again (date-only when at midnight UTC)
+ */
+function sanitizeLine(value: unknown, maxLength: number): string {
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  return String(value ?? '').replace(/[\x00-\x1F\x7F]/g, '').trim().substring(0, maxLength);
+}
+
+/**
+ * The one-line text form of a dependency, as typed in the editors
+ */
+export function formatDependency(dependency: DependencyInput): string {
+  if (dependency.type === 'manual') return dependency.description ?? '';
+  const prefix = Object.keys(TEXT_PREFIXES).find(key => TEXT_PREFIXES[key] === dependency.type);
+  return `${prefix}: ${dependency[TARGET_FIELDS[dependency.type]]}`;
+}
+
+function toDependencyId(text: string): string {
+  const id = text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+/, '').substring(0, MAX_ID_LENGTH);
+  return id.replace(/-+$/, '') || 'dependency';
+}
+
+/**
+ * Check the target of a dependency (episode path, date or file path)
+ */
+function validateTarget(type: DependencyType, target: string, errors: string[], label: string): string | undefined {
+  if (!target) {
+    errors.push(`${label} needs a ${TARGET_FIELDS[type]}`);
+    return undefined;
+  }
+  if (type === 'episode_released' && (!EPISODE_PATH_REGEX.test(target) || target.includes('..'))) {
+    errors.push(`${label}: episode must look like series/<series>/<episode>`);
+    return undefined;
+  }
+  if (type === 'date' && !isValidIsoDate(target)) {
+    errors.push(`${label}: date must be a valid ISO date (YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS with optional offset)`);
+    return undefined;
+  }
+  if (type === 'file_exists' && (path.isAbsolute(target) || target.split(/[\\/]/).includes('..'))) {
+    errors.push(`${label}: file must be a path relative to the content root`);
+    return undefined;
+  }
+  return target;
+}
+
+/**
+ * Parse one dependency: a line of text or a stored record
+ */
+function parseDependency(value: unknown, errors: string[], label: string): DependencyInput | undefined {
+  if (typeof value === 'string') {
+    const text = sanitizeLine(value, MAX_TEXT_LENGTH);
+    if (!text) return undefined;
+    const match = /^(episode|date|file):\s*(.+)$/i.exec(text);
+    if (!match) return { type: 'manual', description: text };
+    const type = TEXT_PREFIXES[match[1].toLowerCase()];
+    const target = validateTarget(type, match[2].trim(), errors, label);
+    return target === undefined ? undefined : { type, [TARGET_FIELDS[type]]: target };
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${label} must be text or a mapping with a type`);
+    return undefined;
+  }
+  const record = value as Record<string, unknown>;
+  const type = (record.type ?? 'manual') as DependencyType;
+  if (!(DEPENDENCY_TYPES as readonly string[]).includes(type)) {
+    errors.push(`${label}: type must be one of: ${DEPENDENCY_TYPES.join(', ')}`);
+    return undefined;
+  }
+  const target = validateTarget(type, sanitizeLine(record[TARGET_FIELDS[type]], MAX_TEXT_LENGTH), errors, label);
+  if (target === undefined) return undefined;
+
+  const dependency: DependencyInput = { type, [TARGET_FIELDS[type]]: target };
+  if (record.id !== undefined) {
+    if (typeof record.id !== 'string' || !DEPENDENCY_ID_REGEX.test(record.id) || record.id.length > MAX_ID_LENGTH) {
+      errors.push(`${label}: id must use lowercase letters, numbers and hyphens`);
+      return undefined;
+    }
+    dependency.id = record.id;
+  }
+  if (record.state !== undefined) {
+    if (!(DEPENDENCY_STATES as readonly unknown[]).includes(record.state)) {
+      errors.push(`${label}: state must be one of: ${DEPENDENCY_STATES.join(', ')}`);
+      return undefined;
+    }
+    dependency.state = record.state as DependencyState;
+  }
+  if (record.marked_by) dependency.marked_by = sanitizeLine(record.marked_by, MAX_MARKED_BY_LENGTH);
+  if (record.marked_at) {
+    const markedAt = sanitizeLine(record.marked_at, MAX_TEXT_LENGTH);
+    if (!isValidIsoDate(markedAt)) {
+      errors.push(`${label}: marked_at must be a valid ISO date`);
+      return undefined;
+    }
+    dependency.marked_at = markedAt;
+  }
+  return dependency;
+}
+
+/**
+ * Validate a dependency list; every valid entry gets a unique id derived from
+ * its text unless it has one. Records keep `state` only when one was given.
+ */
+export function validateDependencies(value: unknown, label: string): { errors: string[]; dependencies: ReleaseDependency[] } {
+  const errors: string[] = [];
+  const dependencies: ReleaseDependency[] = [];
+  if (value === null || value === undefined) return { errors, dependencies };
+  if (!Array.isArray(value)) {
+    errors.push(`${label} must be a list`);
+    return { errors, dependencies };
+  }
+
+  const ids = new Set<string>();
+  value.forEach((entry, index) => {
+    const dependency = parseDependency(entry, errors, `${label} entry ${index + 1}`);
+    if (!dependency) return;
+    const base = dependency.id ?? toDependencyId(formatDependency(dependency));
+    let id = base;
+    for (let n = 2; ids.has(id); n++) {
+      id = `${base.substring(0, MAX_ID_LENGTH - 4)}-${n}`;
+    }
+    ids.add(id);
+    dependencies.push({ ...dependency, id });
+  });
+  return { errors, dependencies };
+}
+
+/**
+ * Read a stored dependency list, skipping invalid entries and treating
+ * entries without a state as pending
+ */
+export function readDependencies(value: unknown): Array<ReleaseDependency & { state: DependencyState }> {
+  return validateDependencies(value, 'Dependencies').dependencies
+    .map(dependency => ({ ...dependency, state: dependency.state ?? 'pending' }));
+}
+
+/**
+ * Keep the state of dependencies that were already recorded (matched by id),
+ * so editing the list as text does not reset what was marked
+ */
+export function carryDependencyStates(dependencies: ReleaseDependency[], previous: unknown): ReleaseDependency[] {
+  const recorded = new Map(readDependencies(previous).map(dependency => [dependency.id, dependency]));
+  return dependencies.map(dependency => {
+    if (dependency.state) return dependency;
+    const before = recorded.get(dependency.id);
+    if (!before || before.type !== dependency.type) return { ...dependency, state: 'pending' };
+    const { state, marked_by: markedBy, marked_at: markedAt } = before;
+    return { ...dependency, state, ...(markedBy ? { marked_by: markedBy } : {}), ...(markedAt ? { marked_at: markedAt } : {}) };
+  });
+}
+
+/**
+ * Mark a dependency in a stored list. Automatic kinds can only be waived (or
+ * set back to pending); they are met when their condition holds.
+ */
+export function markDependency(
+  list: unknown,
+  id: string,
+  { state, marked_by: markedBy, marked_at: markedAt = new Date().toISOString() }: { state: string; marked_by?: string; marked_at?: string }
+): { error: string } | { dependencies: ReleaseDependency[]; dependency: ReleaseDependency } {
+  if (!(DEPENDENCY_STATES as readonly string[]).includes(state)) {
+    return { error: `State must be one of: ${DEPENDENCY_STATES.join(', ')}` };
+  }
+  if (typeof markedBy !== 'string' || !sanitizeLine(markedBy, MAX_MARKED_BY_LENGTH)) {
+    return { error: 'marked_by must name who marked the dependency' };
+  }
+  const dependencies = readDependencies(list);
+  const dependency = dependencies.find(entry => entry.id === id);
+  if (!dependency) {
+    return { error: `Dependency '${id}' not found` };
+  }
+  if (state === 'met' && dependency.type !== 'manual') {
+    return { error: `'${formatDependency(dependency)}' resolves automatically; it can only be waived` };
+  }
+
+  dependency.state = state as DependencyState;
+  dependency.marked_by = sanitizeLine(markedBy, MAX_MARKED_BY_LENGTH);
+  dependency.marked_at = markedAt;
+  return { dependencies, dependency };
+}
+
+/**
+ * Modification time of a file under the content root, or null
+ */
+export async function statContentFile(file: string): Promise<Date | null> {
+  const root = path.resolve(BASE_DIR);
+  const resolved = path.resolve(root, file);
+  if (!resolved.startsWith(root + path.sep)) return null;
+  try {
+    const stats = await fs.stat(resolved);
+    return stats.isFile() ? stats.mtime : null;
+  } catch {
+    return null;
+  }
+}
+
+interface ResolveContext {
+  now: number;
+  getEpisode: (episodePath: string) => { status: string; released_at: string | null } | null;
+  statFile: (file: string) => Promise<Date | null>;
+}
+
+/**
+ * Work out the current state of each dependency. Waived and manual ones keep
+ * their recorded state; automatic ones are met once their episode is
+ * released, their date has passed or their file exists.
+ */
+export async function resolveDependencies(list: unknown, { now, getEpisode, statFile }: ResolveContext): Promise<ResolvedDependency[]> {
+  const resolved: ResolvedDependency[] = [];
+  for (const dependency of readDependencies(list)) {
+    const entry: ResolvedDependency = {
+      ...dependency,
+      automatic: dependency.type !== 'manual',
+      satisfied: false,
+      label: formatDependency(dependency),
+      detail: ''
+    };
+
+    if (dependency.state === 'waived') {
+      entry.detail = `Waived by ${dependency.marked_by || 'unknown'}`;
+    } else if (dependency.type === 'manual') {
+      entry.detail = dependency.state === 'met' ? `Marked met by ${dependency.marked_by || 'unknown'}` : 'Not marked met yet';
+    } else if (dependency.type === 'episode_released') {
+      const episode = getEpisode(dependency.episode ?? '');
+      entry.state = episode?.status === 'released' ? 'met' : 'pending';
+      if (!episode) {
+        entry.detail = 'Episode not found';
+      } else if (entry.state === 'met') {
+        entry.detail = episode.released_at ? `Released ${episode.released_at}` : 'Released';
+        entry.met_at = episode.released_at || null;
+      } else {
+        entry.detail = `Episode is ${episode.status || 'draft'}`;
+      }
+    } else if (dependency.type === 'date') {
+      const reached = Date.parse(dependency.date ?? '') <= now;
+      entry.state = reached ? 'met' : 'pending';
+      entry.detail = reached ? 'Date reached' : `Waiting until ${dependency.date}`;
+      if (reached) entry.met_at = dependency.date;
+    } else {
+      const mtime = await statFile(dependency.file ?? '');
+      entry.state = mtime ? 'met' : 'pending';
+      entry.detail = mtime ? 'File found' : 'File not found';
+      if (mtime) entry.met_at = mtime.toISOString();
+    }
+
+    entry.satisfied = entry.state === 'met' || entry.state === 'waived';
+    resolved.push(entry);
+  }
+  return resolved;
+}
+
+/**
+ * When an episode was released: its last `released` status_history entry,
+ * otherwise analytics.publish_date
+ */
+function getReleasedAt(metadata: Partial<EpisodeMetadata> | undefined): string | null {
+  const history = Array.isArray(metadata?.status_history) ? metadata.status_history : [];
+  const released = history.filter(entry => entry?.status === 'released').pop();
+  const value = released?.timestamp ?? metadata?.analytics?.publish_date;
+  return value ? sanitizeLine(value, MAX_TEXT_LENGTH) : null;
+}
+
+export interface QueueDependencies {
+  groups: Record<string, { dependencies: ResolvedDependency[]; releasable: boolean }>;
+  items: Record<string, { dependencies: ResolvedDependency[]; unmet: ResolvedDependency[]; releasable: boolean }>;
+}
+
+/**
+ * Resolve the dependencies of every release group and of every episode the
+ * release queue deals with (staged, blocked, in a group, or with dependencies
+ * of its own). An episode's dependencies are its release.depends_on plus
+ * those of its release groups, tagged with `from`; it is releasable once all
+ * of them are met or waived.
+ */
+export async function resolveQueueDependencies(
+  queue: ReleaseQueue,
+  episodes: Episode[],
+  { now = Date.now(), statFile = statContentFile }: { now?: number; statFile?: (file: string) => Promise<Date | null> } = {}
+): Promise<QueueDependencies> {
+  const byPath = new Map(episodes.map(episode => [episode.path.split(path.sep).join('/'), episode]));
+  const ctx: ResolveContext = {
+    now,
+    statFile,
+    getEpisode: episodePath => {
+      const episode = byPath.get(episodePath);
+      if (!episode) return null;
+      return { status: episode.metadata?.content_status || 'draft', released_at: getReleasedAt(episode.metadata) };
+    }
+  };
+
+  const groups: QueueDependencies['groups'] = {};
+  for (const [id, group] of Object.entries(queue.release_groups || {})) {
+    const dependencies = await resolveDependencies(group?.dependencies, ctx);
+    groups[id] = { dependencies, releasable: dependencies.every(dependency => dependency.satisfied) };
+  }
+
+  const paths = new Set<string>();
+  for (const item of [...(queue.staged || []), ...(queue.blocked || [])]) {
+    if (typeof item?.path === 'string') paths.add(item.path);
+  }
+  for (const group of Object.values(queue.release_groups || {})) {
+    for (const item of Array.isArray(group?.items) ? group.items : []) {
+      if (typeof item?.path === 'string') paths.add(item.path);
+    }
+  }
+  for (const [episodePath, episode] of byPath) {
+    const release = episode.metadata?.release;
+    if (release?.release_group || (Array.isArray(release?.depends_on) && release.depends_on.length > 0)) {
+      paths.add(episodePath);
+    }
+  }
+
+  const items: QueueDependencies['items'] = {};
+  for (const itemPath of paths) {
+    const release = byPath.get(itemPath)?.metadata?.release;
+    const dependencies = (await resolveDependencies(release?.depends_on, ctx))
+      .map(dependency => ({ ...dependency, from: 'episode' }));
+    for (const [id, group] of Object.entries(queue.release_groups || {})) {
+      const listed = Array.isArray(group?.items) && group.items.some(item => item?.path === itemPath);
+      if (listed || release?.release_group === id) {
+        dependencies.push(...groups[id].dependencies.map(dependency => ({ ...dependency, from: id })));
+      }
+    }
+    const unmet = dependencies.filter(dependency => !dependency.satisfied);
+    items[itemPath] = { dependencies, unmet, releasable: unmet.length === 0 };
+  }
+
+  return { groups, items };
+}
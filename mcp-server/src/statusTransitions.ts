@@ -0,0 +1,324 @@
+// Status transition rules (status-transitions.yml)
+// Mirrors dashboard/api/statusTransitions.js: the content root's file wins, then
+// the toolkit copy; without either file every transition is allowed
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { BASE_DIR, TOOLKIT_DIR, deepMerge } from './utils.js';
+import { getSeriesStages } from './workflowStages.js';
+import { VALID_CONTENT_STATUSES } from './types.js';
+import type {
+  ContentStatus,
+  EpisodeMetadata,
+  PlatformRequirement,
+  StatusOverride,
+  StatusTransitionConfig,
+  TransitionRule,
+  WorkflowStage
+} from './types.js';
+
+// Dotted metadata paths, e.g. release.target_date
+const FIELD_PATH_REGEX = /^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)*$/;
+const VALID_STAGE_ID_REGEX = /^[a-z][a-z0-9_]*$/;
+const MAX_REASON_LENGTH = 200;
+
+export interface DistributionConfig {
+  profiles?: Record<string, { platforms?: string[] }>;
+  platforms?: Record<string, { name?: string; type?: string; requires?: string[]; character_limit?: number }>;
+}
+
+/**
+ * Unmet platform requirements of one platform
+ */
+export interface PlatformRequirementCheck {
+  platform: string;
+  name: string;
+  missing: string[];
+}
+
+/**
+ * A status change held back by unmet conditions
+ */
+export interface TransitionCheck {
+  from: string;
+  to: string;
+  unmet: string[];
+}
+
+function parseNameList(value: unknown, pattern: RegExp): string[] {
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.filter((entry): entry is string => typeof entry === 'string' && pattern.test(entry)))];
+}
+
+/**
+ * Build the rule configuration from parsed status-transitions.yml content;
+ * invalid entries are skipped
+ */
+export function parseStatusTransitions(data: unknown): StatusTransitionConfig {
+  const config: StatusTransitionConfig = { transitions: {}, requirements: {} };
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return config;
+
+  const { transitions, requirements } = data as { transitions?: unknown; requirements?: unknown };
+  if (transitions && typeof transitions === 'object') {
+    for (const [status, rule] of Object.entries(transitions)) {
+      if (!(VALID_CONTENT_STATUSES as readonly string[]).includes(status)) continue;
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) continue;
+      const { workflow, fields, platform_requirements: platformRequirements } = rule as Record<string, unknown>;
+      config.transitions[status as ContentStatus] = {
+        workflow: parseNameList(workflow, VALID_STAGE_ID_REGEX),
+        fields: parseNameList(fields, FIELD_PATH_REGEX),
+        platform_requirements: platformRequirements === true
+      };
+    }
+  }
+
+  if (requirements && typeof requirements === 'object') {
+    for (const [name, requirement] of Object.entries(requirements)) {
+      const entry = (requirement ?? {}) as Record<string, unknown>;
+      if (typeof entry.file === 'string' && entry.file === path.basename(entry.file) && !entry.file.startsWith('.')) {
+        config.requirements[name] = { file: entry.file };
+      } else if (typeof entry.field === 'string' && FIELD_PATH_REGEX.test(entry.field)) {
+        config.requirements[name] = { field: entry.field };
+      } else if (typeof entry.file_field === 'string' && FIELD_PATH_REGEX.test(entry.file_field)) {
+        config.requirements[name] = { file_field: entry.file_field };
+      }
+    }
+  }
+  return config;
+}
+
+/**
+ * Read a YAML config file from the content root, falling back to the toolkit copy
+ */
+async function readConfigFile(filename: string): Promise<unknown> {
+  for (const dir of [BASE_DIR, TOOLKIT_DIR]) {
+    try {
+      const content = await fs.readFile(path.join(dir, filename), 'utf8');
+      return yaml.load(content, { schema: yaml.CORE_SCHEMA });
+    } catch (err: unknown) {
+      if ((err as NodeJS.ErrnoException).code !== 'ENOENT') throw err;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read status-transitions.yml from the content root, falling back to the toolkit copy
+ */
+export async function readStatusTransitions(): Promise<StatusTransitionConfig> {
+  return parseStatusTransitions(await readConfigFile('status-transitions.yml'));
+}
+
+/**
+ * Read distribution-profiles.yml from the content root, falling back to the toolkit copy
+ */
+export async function readDistributionProfiles(): Promise<DistributionConfig> {
+  return ((await readConfigFile('distribution-profiles.yml')) ?? {}) as DistributionConfig;
+}
+
+/**
+ * Strip control characters from an override reason; empty when none was given
+ */
+export function sanitizeOverrideReason(value: unknown): string {
+  if (typeof value !== 'string') return '';
+  return value.replace(/[\x00-\x1F\x7F]/g, '').trim().substring(0, MAX_REASON_LENGTH);
+}
+
+/**
+ * Whether a metadata value counts as filled in; lists and sections are filled
+ * when any of their values is
+ */
+function isFilled(value: unknown): boolean {
+  if (value === null || value === undefined || value === false) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.some(isFilled);
+  if (typeof value === 'object') return Object.values(value).some(isFilled);
+  return true;
+}
+
+function getField(metadata: unknown, fieldPath: string): unknown {
+  return fieldPath.split('.').reduce<unknown>(
+    (value, key) => (value && typeof value === 'object' ? (value as Record<string, unknown>)[key] : undefined),
+    metadata
+  );
+}
+
+async function episodeFileExists(episodeDir: string, name: string): Promise<boolean> {
+  const filePath = path.resolve(episodeDir, name);
+  if (path.dirname(filePath) !== path.resolve(episodeDir)) return false;
+  try {
+    return (await fs.stat(filePath)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Platforms an episode goes to: its own distribution.platforms, otherwise its profile's
+ */
+export function getEpisodePlatforms(metadata: Partial<EpisodeMetadata>, distribution: DistributionConfig): string[] {
+  const own = metadata.distribution?.platforms;
+  if (Array.isArray(own) && own.length > 0) return own.filter(id => typeof id === 'string');
+  const profileId = metadata.distribution?.profile;
+  const profile = profileId ? distribution.profiles?.[profileId] : undefined;
+  return Array.isArray(profile?.platforms) ? profile.platforms : [];
+}
+
+async function checkRequirement(
+  name: string,
+  metadata: Partial<EpisodeMetadata>,
+  config: StatusTransitionConfig,
+  episodeDir: string
+): Promise<string | null> {
+  const requirement: PlatformRequirement = config.requirements[name] ?? { field: name };
+
+  if ('file' in requirement) {
+    return await episodeFileExists(episodeDir, requirement.file) ? null : `${requirement.file} not found`;
+  }
+  const fieldPath = 'field' in requirement ? requirement.field : requirement.file_field;
+  const value = getField(metadata, fieldPath);
+  if (!isFilled(value)) {
+    return `${fieldPath} is empty`;
+  }
+  if ('file_field' in requirement && !(await episodeFileExists(episodeDir, String(value)))) {
+    return `${value} not found`;
+  }
+  return null;
+}
+
+/**
+ * Read what a platform requirement points at: the text of its file, or the
+ * metadata value (the file name for file_field requirements); undefined when
+ * the file does not exist
+ */
+export async function readRequirementValue(
+  name: string,
+  metadata: Partial<EpisodeMetadata>,
+  config: StatusTransitionConfig,
+  episodeDir: string
+): Promise<unknown> {
+  const requirement: PlatformRequirement = config.requirements[name] ?? { field: name };
+  if (!('file' in requirement)) {
+    return getField(metadata, 'field' in requirement ? requirement.field : requirement.file_field);
+  }
+  if (!(await episodeFileExists(episodeDir, requirement.file))) return undefined;
+  return fs.readFile(path.join(episodeDir, requirement.file), 'utf8');
+}
+
+/**
+ * List, per platform the episode goes to, the `requires` entries that are not met yet
+ * (only platforms with something missing)
+ */
+export async function checkPlatformRequirements(
+  metadata: Partial<EpisodeMetadata>,
+  ctx: { config: StatusTransitionConfig; episodeDir: string; distribution: DistributionConfig }
+): Promise<PlatformRequirementCheck[]> {
+  const problems = new Map<string, string | null>();
+  const results: PlatformRequirementCheck[] = [];
+  for (const id of getEpisodePlatforms(metadata, ctx.distribution)) {
+    const platform = ctx.distribution.platforms?.[id];
+    const missing: string[] = [];
+    for (const name of Array.isArray(platform?.requires) ? platform.requires : []) {
+      if (!problems.has(name)) {
+        problems.set(name, await checkRequirement(name, metadata, ctx.config, ctx.episodeDir));
+      }
+      const problem = problems.get(name);
+      if (problem) missing.push(`${name} (${problem})`);
+    }
+    if (missing.length > 0) {
+      results.push({ platform: id, name: platform?.name || id, missing });
+    }
+  }
+  return results;
+}
+
+/**
+ * List the conditions that keep an episode from moving to a status, checked
+ * against the metadata as it would be after the update
+ */
+export async function checkTransition(
+  metadata: Partial<EpisodeMetadata>,
+  status: string,
+  ctx: { config: StatusTransitionConfig; episodeDir: string; stages: WorkflowStage[]; distribution: DistributionConfig }
+): Promise<string[]> {
+  const rule: TransitionRule | undefined = ctx.config.transitions[status as ContentStatus];
+  if (!rule) return [];
+
+  const unmet: string[] = [];
+  const workflow = (metadata.workflow ?? {}) as Record<string, boolean>;
+  for (const stageId of rule.workflow) {
+    // Stages the series does not define are skipped
+    const stage = ctx.stages.find(candidate => candidate.id === stageId);
+    if (stage && workflow[stageId] !== true) {
+      unmet.push(`Workflow stage '${stage.label}' is not complete`);
+    }
+  }
+
+  for (const fieldPath of rule.fields) {
+    if (!isFilled(getField(metadata, fieldPath))) {
+      unmet.push(`${fieldPath} is not set`);
+    }
+  }
+
+  if (rule.platform_requirements) {
+    // Group platforms by requirement so a shared one (e.g. text) is reported once
+    const requiredBy = new Map<string, string[]>();
+    for (const id of getEpisodePlatforms(metadata, ctx.distribution)) {
+      const platform = ctx.distribution.platforms?.[id];
+      for (const name of Array.isArray(platform?.requires) ? platform.requires : []) {
+        requiredBy.set(name, [...(requiredBy.get(name) ?? []), platform?.name || id]);
+      }
+    }
+    for (const [name, names] of requiredBy) {
+      const problem = await checkRequirement(name, metadata, ctx.config, ctx.episodeDir);
+      if (problem) {
+        unmet.push(`${names.join(', ')} ${names.length === 1 ? 'requires' : 'require'} ${name} (${problem})`);
+      }
+    }
+  }
+  return unmet;
+}
+
+/**
+ * Check a status change made by `updates` against status-transitions.yml.
+ * Returns null when the status does not change or every condition is met.
+ */
+export async function checkStatusChange(
+  series: string,
+  episodeDir: string,
+  current: Partial<EpisodeMetadata>,
+  updates: Partial<EpisodeMetadata>
+): Promise<TransitionCheck | null> {
+  const from = current.content_status || 'draft';
+  const to = updates.content_status;
+  if (!to || to === from) return null;
+
+  const updated = deepMerge(structuredClone(current), updates);
+  const unmet = await checkTransition(updated, to, {
+    config: await readStatusTransitions(),
+    episodeDir,
+    stages: await getSeriesStages(series),
+    distribution: await readDistributionProfiles()
+  });
+  return unmet.length > 0 ? { from, to, unmet } : null;
+}
+
+/**
+ * Result for a status change refused by its transition rules
+ */
+export function refuseTransition(check: TransitionCheck): { success: false; error: string; unmet: string[] } {
+  return {
+    success: false,
+    error: `Cannot move from '${check.from}' to '${check.to}': ${check.unmet.join('; ')}. ` +
+      'Pass override_reason to move it anyway (recorded in the episode history).',
+    unmet: check.unmet
+  };
+}
+
+/**
+ * The history record for a status change forced past its conditions
+ */
+export function toOverride(check: TransitionCheck, reason: string): StatusOverride {
+  return { reason, from: check.from, to: check.to, unmet: check.unmet };
+}
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import os from 'os';
+
+import type * as UtilsModule from '../utils.js';
+
+// Test directory state
+let testDir: string;
+let seriesDir: string;
+let episodePath: string;
+
+/**
+ * Helper to set up the mock for utils module with test directories.
+ */
+async function setupUtilsMock(): Promise<void> {
+  vi.doMock('../utils.js', async () => {
+    const actual = await vi.importActual<typeof UtilsModule>('../utils.js');
+    return {
+      ...actual,
+      SERIES_DIR: seriesDir,
+      BASE_DIR: testDir
+    };
+  });
+}
+
+/**
+ * Helper to import the bundle tools after mock setup.
+ */
+async function importBundlesModule() {
+  return await import('./bundles.js');
+}
+
+beforeEach(async () => {
+  testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-bundles-test-'));
+  seriesDir = path.join(testDir, 'series');
+  episodePath = path.join(seriesDir, 'show', '2025-01-01-pilot');
+  await fs.mkdir(path.join(episodePath, 'exports'), { recursive: true });
+  await fs.mkdir(path.join(episodePath, 'raw'), { recursive: true });
+  await fs.writeFile(path.join(episodePath, 'metadata.yml'), 'title: "Pilot"\ncontent_status: ready\n', 'utf8');
+  await fs.writeFile(path.join(episodePath, 'script.md'), '# Pilot\n\nHello.\n', 'utf8');
+  await fs.writeFile(path.join(episodePath, 'exports', 'final.mp4'), Buffer.alloc(4096, 1));
+  await fs.writeFile(path.join(episodePath, 'raw', 'take-1.mov'), Buffer.alloc(1024, 2));
+  await fs.writeFile(path.join(episodePath, '.DS_Store'), 'clutter', 'utf8');
+  await setupUtilsMock();
+});
+
+afterEach(async () => {
+  vi.resetModules();
+  if (testDir) {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+  testDir = '';
+});
+
+describe('exportEpisodeBundle', () => {
+  it('should bundle the selected parts with checksums', async () => {
+    const { exportEpisodeBundle } = await importBundlesModule();
+    const result = await exportEpisodeBundle('show', '2025-01-01-pilot', ['metadata', 'script', 'exports', 'notes']);
+
+    expect(result.success).toBe(true);
+    expect(result.path).toBe('bundles/show-2025-01-01-pilot.zip');
+    expect(result.manifest?.files.map(file => file.path)).toEqual(['exports/final.mp4', 'metadata.yml', 'script.md']);
+    expect(result.manifest?.title).toBe('Pilot');
+    expect(fsSync.existsSync(path.join(testDir, 'bundles', 'show-2025-01-01-pilot.zip'))).toBe(true);
+    expect(await fs.readdir(path.join(testDir, 'bundles'))).toEqual(['show-2025-01-01-pilot.zip']);
+  });
+
+  it('should include raw/ only with all, and skip system files', async () => {
+    const { exportEpisodeBundle } = await importBundlesModule();
+    const result = await exportEpisodeBundle('show', '2025-01-01-pilot', ['all'], 'archive/pilot.zip');
+
+    expect(result.success).toBe(true);
+    expect(result.path).toBe('archive/pilot.zip');
+    expect(result.manifest?.files.map(file => file.path)).toEqual([
+      'exports/final.mp4',
+      'metadata.yml',
+      'raw/take-1.mov',
+      'script.md'
+    ]);
+  });
+
+  it('should reject unknown parts, missing episodes and outputs outside the content root', async () => {
+    const { exportEpisodeBundle } = await importBundlesModule();
+
+    expect((await exportEpisodeBundle('show', '2025-01-01-pilot', ['everything'])).error).toContain('include must list parts from');
+    expect((await exportEpisodeBundle('show', 'missing')).error).toBe('Episode not found: show/missing');
+    expect((await exportEpisodeBundle('show', '2025-01-01-pilot', undefined, '../outside.zip')).success).toBe(false);
+    expect((await exportEpisodeBundle('show', '2025-01-01-pilot', undefined, 'series/show/pilot.zip')).success).toBe(false);
+  });
+});
+
+describe('importEpisodeBundle', () => {
+  it('should restore a bundle into another series', async () => {
+    const { exportEpisodeBundle, importEpisodeBundle } = await importBundlesModule();
+    await exportEpisodeBundle('show', '2025-01-01-pilot', ['all']);
+
+    const result = await importEpisodeBundle('bundles/show-2025-01-01-pilot.zip', 'archive');
+
+    expect(result).toMatchObject({ success: true, path: 'series/archive/2025-01-01-pilot', created: true });
+    const restored = path.join(seriesDir, 'archive', '2025-01-01-pilot');
+    expect(await fs.readFile(path.join(restored, 'script.md'), 'utf8')).toBe('# Pilot\n\nHello.\n');
+    expect((await fs.readFile(path.join(restored, 'exports', 'final.mp4'))).equals(Buffer.alloc(4096, 1))).toBe(true);
+    // Staging happens outside series/ and is cleaned up
+    expect(await fs.readdir(path.join(testDir, 'uploads'))).toEqual([]);
+  });
+
+  it('should fail, rename or overwrite when the episode exists', async () => {
+    const { exportEpisodeBundle, importEpisodeBundle } = await importBundlesModule();
+    await exportEpisodeBundle('show', '2025-01-01-pilot');
+    const bundle = path.join(testDir, 'bundles', 'show-2025-01-01-pilot.zip');
+
+    const refused = await importEpisodeBundle(bundle, 'show');
+    expect(refused).toEqual({ success: false, error: 'show/2025-01-01-pilot already exists' });
+
+    const renamed = await importEpisodeBundle(bundle, 'show', 'rename');
+    expect(renamed.episode).toBe('2025-01-01-pilot-2');
+
+    await fs.writeFile(path.join(episodePath, 'script.md'), '# Edited\n', 'utf8');
+    const overwritten = await importEpisodeBundle(bundle, 'show', 'overwrite');
+    expect(overwritten).toMatchObject({ success: true, created: false, episode: '2025-01-01-pilot' });
+    expect(await fs.readFile(path.join(episodePath, 'script.md'), 'utf8')).toBe('# Pilot\n\nHello.\n');
+    const history = (await fs.readFile(path.join(episodePath, '.history.jsonl'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(history.map(entry => [entry.file, entry.action])).toEqual([['script.md', 'import_episode_bundle']]);
+    expect(history[0].before).toBe('# Edited\n');
+  });
+
+  it('should reject bundles whose files do not match the manifest', async () => {
+    const { exportEpisodeBundle, importEpisodeBundle } = await importBundlesModule();
+    await exportEpisodeBundle('show', '2025-01-01-pilot', ['exports', 'metadata']);
+    const bundle = path.join(testDir, 'bundles', 'show-2025-01-01-pilot.zip');
+
+    // Flip one byte of the stored (uncompressed) video
+    const data = await fs.readFile(bundle);
+    const index = data.indexOf(Buffer.alloc(64, 1));
+    data[index] = 9;
+    await fs.writeFile(bundle, data);
+
+    const result = await importEpisodeBundle(bundle, 'archive');
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('exports/final.mp4 is corrupt');
+    expect(fsSync.existsSync(path.join(seriesDir, 'archive', '2025-01-01-pilot'))).toBe(false);
+
+    await fs.writeFile(path.join(testDir, 'not-a-bundle.zip'), 'hello', 'utf8');
+    expect((await importEpisodeBundle('not-a-bundle.zip', 'archive')).error).toBe('Invalid bundle: Not a ZIP archive');
+  });
+
+  it('should only import a bundle without metadata.yml over an existing episode', async () => {
+    const { exportEpisodeBundle, importEpisodeBundle } = await importBundlesModule();
+    await exportEpisodeBundle('show', '2025-01-01-pilot', ['exports']);
+    const bundle = 'bundles/show-2025-01-01-pilot.zip';
+
+    expect((await importEpisodeBundle(bundle, 'archive')).error).toContain('no metadata.yml');
+    expect((await importEpisodeBundle(bundle, 'show', 'overwrite')).files).toEqual(['exports/final.mp4']);
+    expect((await importEpisodeBundle(bundle, 'show', 'merge')).error).toBe('on_conflict must be one of: fail, rename, overwrite');
+  });
+});
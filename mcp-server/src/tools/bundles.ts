@@ -0,0 +1,425 @@
+// Episode Bundle Tools for the MCP Server
+// Same bundle format as the dashboard's export and import (dashboard/api/episodeBundle.js):
+// a zip with manifest.json (SHA-256 per file) next to an <episode>/ folder
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { createHash, randomBytes } from 'crypto';
+import { BASE_DIR, SERIES_DIR, isValidSeriesName, readYamlFile } from '../utils.js';
+import { HISTORY_FILE, writeTrackedFile } from '../history.js';
+import { checksumFile, estimateZipSize, extractZipEntry, readZipEntries, writeZip, MAX_ZIP_BYTES, type ZipEntry, type ZipInputEntry } from '../zip.js';
+import type { EpisodeMetadata } from '../types.js';
+
+export const BUNDLE_MANIFEST = 'manifest.json';
+export const BUNDLE_FORMAT = 'content-workflow-episode-bundle';
+export const BUNDLE_VERSION = 1;
+
+// What a bundle can carry; `all` is the whole episode folder, raw/ included
+export const BUNDLE_PARTS = ['metadata', 'script', 'notes', 'exports', 'all'] as const;
+export const DEFAULT_BUNDLE_PARTS = ['metadata', 'script', 'notes'];
+export const BUNDLE_CONFLICT_MODES = ['fail', 'rename', 'overwrite'] as const;
+
+// Default folder (in the content root) for bundles written by export_episode_bundle
+export const BUNDLES_DIR = 'bundles';
+
+const PART_FILES: Record<string, string> = {
+  metadata: 'metadata.yml',
+  script: 'script.md',
+  notes: 'notes.md'
+};
+
+// Files that record a revision when a bundle overwrites them (as in the dashboard)
+const TRACKED_FILES = ['metadata.yml', 'script.md', 'notes.md'];
+
+// Operating system clutter that is never bundled
+const SKIPPED_FILES = new Set(['.DS_Store', 'Thumbs.db', 'desktop.ini']);
+
+// Text files worth deflating; media is already compressed and is stored as is
+const COMPRESSIBLE_EXTENSIONS = new Set(['.md', '.txt', '.yml', '.yaml', '.json', '.jsonl', '.csv', '.xml', '.svg', '.srt', '.vtt', '.html']);
+const MAX_COMPRESSED_FILE_BYTES = 16 * 1024 * 1024;
+const MAX_MANIFEST_BYTES = 1024 * 1024;
+const MAX_RENAME_ATTEMPTS = 100;
+
+export interface BundleManifestFile {
+  path: string;
+  size: number;
+  sha256: string;
+}
+
+export interface BundleManifest {
+  format: string;
+  version: number;
+  series: string;
+  episode: string;
+  title: string;
+  content_status: string;
+  created_at: string;
+  include: string[];
+  files: BundleManifestFile[];
+}
+
+/**
+ * Whether a manifest path is a plain relative path inside the episode folder
+ */
+export function isSafeBundlePath(filePath: unknown): filePath is string {
+  if (typeof filePath !== 'string' || filePath === '' || filePath.includes('\\') || filePath.includes('\0')) {
+    return false;
+  }
+  if (filePath.startsWith('/') || /^[a-zA-Z]:/.test(filePath)) return false;
+  return filePath.split('/').every(segment => segment !== '' && segment !== '.' && segment !== '..');
+}
+
+function isValidEpisodeFolder(name: string): boolean {
+  return name.length > 0 && name.length <= 200 && !name.startsWith('.') &&
+    !name.includes('..') && !name.includes('/') && !name.includes('\\') && !name.includes('\0');
+}
+
+function isWithin(parent: string, target: string): boolean {
+  const relative = path.relative(path.resolve(parent), path.resolve(target));
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+async function pathExists(target: string): Promise<boolean> {
+  try {
+    await fsp.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Every file below dir, as paths relative to root with forward slashes
+async function listFilesRecursive(root: string, dir: string = root): Promise<string[]> {
+  const files: string[] = [];
+  let entries: fs.Dirent[];
+  try {
+    entries = await fsp.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return files;
+    throw error;
+  }
+
+  for (const entry of entries) {
+    if (SKIPPED_FILES.has(entry.name)) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFilesRecursive(root, fullPath));
+    } else if (entry.isFile()) {
+      files.push(path.relative(root, fullPath).split(path.sep).join('/'));
+    }
+  }
+  return files;
+}
+
+/**
+ * List the files of an episode folder that the given parts cover
+ */
+export async function collectBundleFiles(episodePath: string, include: string[]): Promise<string[]> {
+  if (include.includes('all')) {
+    return (await listFilesRecursive(episodePath)).sort();
+  }
+
+  const files: string[] = [];
+  for (const part of include) {
+    if (part === 'exports') {
+      files.push(...(await listFilesRecursive(path.join(episodePath, 'exports'))).map(file => `exports/${file}`));
+    } else {
+      try {
+        const stats = await fsp.stat(path.join(episodePath, PART_FILES[part]));
+        if (stats.isFile()) files.push(PART_FILES[part]);
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== 'ENOENT') throw error;
+      }
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Export an episode as a zip bundle with a checksummed manifest.
+ * `output` is a .zip path inside the content root (default bundles/<series>-<episode>.zip).
+ */
+export async function exportEpisodeBundle(
+  series: string,
+  episode: string,
+  include?: string[],
+  output?: string
+): Promise<{ success: boolean; path?: string; size?: number; manifest?: BundleManifest; error?: string }> {
+  try {
+    if (!isValidSeriesName(series) || !isValidEpisodeFolder(episode)) {
+      return { success: false, error: 'Invalid series or episode name' };
+    }
+    const episodePath = path.join(SERIES_DIR, series, episode);
+    if (!isWithin(SERIES_DIR, episodePath) || !(await pathExists(path.join(episodePath, 'metadata.yml')))) {
+      return { success: false, error: `Episode not found: ${series}/${episode}` };
+    }
+
+    const parts = include && include.length > 0 ? include : DEFAULT_BUNDLE_PARTS;
+    const unknown = parts.filter(part => !(BUNDLE_PARTS as readonly string[]).includes(part));
+    if (unknown.length > 0) {
+      return { success: false, error: `include must list parts from: ${BUNDLE_PARTS.join(', ')}` };
+    }
+    const normalized = parts.includes('all') ? ['all'] : [...new Set(parts)];
+
+    const outputPath = path.resolve(BASE_DIR, output || path.join(BUNDLES_DIR, `${series}-${episode}.zip`));
+    if (!isWithin(BASE_DIR, outputPath) || isWithin(SERIES_DIR, outputPath) || path.extname(outputPath).toLowerCase() !== '.zip') {
+      return { success: false, error: 'output must be a .zip path inside the content root, outside series/' };
+    }
+
+    const files = await collectBundleFiles(episodePath, normalized);
+    if (files.length === 0) {
+      return { success: false, error: `The episode has no files for: ${normalized.join(', ')}` };
+    }
+
+    const metadata = await readYamlFile<EpisodeMetadata>(path.join(episodePath, 'metadata.yml')) || {} as EpisodeMetadata;
+    const manifestFiles: BundleManifestFile[] = [];
+    const entries: ZipInputEntry[] = [];
+    for (const file of files) {
+      const absolute = path.join(episodePath, ...file.split('/'));
+      const stats = await fsp.stat(absolute);
+      const name = `${episode}/${file}`;
+      if (COMPRESSIBLE_EXTENSIONS.has(path.extname(file).toLowerCase()) && stats.size <= MAX_COMPRESSED_FILE_BYTES) {
+        const data = await fsp.readFile(absolute);
+        entries.push({ name, data, modified: stats.mtime });
+        manifestFiles.push({ path: file, size: data.length, sha256: createHash('sha256').update(data).digest('hex') });
+      } else {
+        const { size, crc, sha256 } = await checksumFile(absolute);
+        entries.push({ name, file: absolute, size, crc, modified: stats.mtime });
+        manifestFiles.push({ path: file, size, sha256 });
+      }
+    }
+
+    const now = new Date();
+    const manifest: BundleManifest = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      series,
+      episode,
+      title: typeof metadata.title === 'string' ? metadata.title : '',
+      content_status: typeof metadata.content_status === 'string' ? metadata.content_status : '',
+      created_at: now.toISOString(),
+      include: normalized,
+      files: manifestFiles
+    };
+    entries.unshift({ name: BUNDLE_MANIFEST, data: Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`, 'utf8'), modified: now });
+
+    const estimate = estimateZipSize(entries.map(entry => ({ name: entry.name, size: entry.data ? entry.data.length : entry.size ?? 0 })));
+    if (estimate > MAX_ZIP_BYTES) {
+      return { success: false, error: 'The bundle would be larger than 4 GB; include fewer parts (raw/ is only in "all")' };
+    }
+
+    // Written next to the target and renamed, so a failed export leaves no partial zip behind
+    await fsp.mkdir(path.dirname(outputPath), { recursive: true });
+    const partialPath = `${outputPath}.${randomBytes(4).toString('hex')}.partial`;
+    try {
+      const stream = fs.createWriteStream(partialPath);
+      const closed = new Promise<void>((resolve, reject) => {
+        stream.on('close', resolve);
+        stream.on('error', reject);
+      });
+      let failure: unknown = null;
+      try {
+        await writeZip(stream, entries);
+      } catch (error) {
+        failure = error;
+      }
+      stream.end();
+      await closed;
+      if (failure) throw failure;
+      await fsp.rename(partialPath, outputPath);
+    } finally {
+      await fsp.rm(partialPath, { force: true });
+    }
+
+    const { size } = await fsp.stat(outputPath);
+    return {
+      success: true,
+      path: path.relative(BASE_DIR, outputPath).split(path.sep).join('/'),
+      size,
+      manifest
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : String(error)
+    };
+  }
+}
+
+/**
+ * Check a bundle manifest and pair each listed file with its zip entry
+ */
+export function matchBundleManifest(
+  manifest: unknown,
+  zipEntries: ZipEntry[]
+): { error: string; files?: undefined } | { error?: undefined; files: Array<BundleManifestFile & { entry: ZipEntry }> } {
+  const candidate = manifest as Partial<BundleManifest> | null;
+  if (!candidate || typeof candidate !== 'object' || candidate.format !== BUNDLE_FORMAT) {
+    return { error: 'manifest.json is not an episode bundle manifest' };
+  }
+  if (candidate.version !== BUNDLE_VERSION) {
+    return { error: `Unsupported bundle version: ${candidate.version}` };
+  }
+  if (typeof candidate.episode !== 'string' || !isValidEpisodeFolder(candidate.episode)) {
+    return { error: 'manifest.json has an invalid episode name' };
+  }
+  if (!Array.isArray(candidate.files) || candidate.files.length === 0) {
+    return { error: 'manifest.json lists no files' };
+  }
+
+  const byName = new Map(zipEntries.map(entry => [entry.name, entry]));
+  const seen = new Set<string>();
+  const files: Array<BundleManifestFile & { entry: ZipEntry }> = [];
+  for (const file of candidate.files) {
+    if (!file || !isSafeBundlePath(file.path) || seen.has(file.path)) {
+      return { error: `manifest.json has an invalid file path: ${file?.path}` };
+    }
+    if (!Number.isInteger(file.size) || file.size < 0 || typeof file.sha256 !== 'string' || !/^[0-9a-f]{64}$/.test(file.sha256)) {
+      return { error: `manifest.json has no size or sha256 for ${file.path}` };
+    }
+    const entry = byName.get(`${candidate.episode}/${file.path}`);
+    if (!entry) {
+      return { error: `${file.path} is listed in manifest.json but missing from the bundle` };
+    }
+    if (entry.size !== file.size) {
+      return { error: `${file.path} does not match the size in manifest.json` };
+    }
+    seen.add(file.path);
+    files.push({ path: file.path, size: file.size, sha256: file.sha256, entry });
+  }
+  return { files };
+}
+
+/**
+ * Restore an episode bundle into a series. Every file is extracted to a
+ * staging folder and checked against the manifest's SHA-256 before anything
+ * in the series changes. `bundlePath` is absolute or relative to the content root.
+ * When the episode exists: fail (default), rename (<episode>-2, ...) or overwrite
+ * (tracked files record a revision; the existing history is kept).
+ */
+export async function importEpisodeBundle(
+  bundlePath: string,
+  series: string,
+  onConflict: string = 'fail',
+  episode?: string
+): Promise<{ success: boolean; series?: string; episode?: string; path?: string; created?: boolean; files?: string[]; error?: string }> {
+  if (!isValidSeriesName(series)) {
+    return { success: false, error: 'Invalid series name' };
+  }
+  if (!(BUNDLE_CONFLICT_MODES as readonly string[]).includes(onConflict)) {
+    return { success: false, error: `on_conflict must be one of: ${BUNDLE_CONFLICT_MODES.join(', ')}` };
+  }
+  if (episode !== undefined && !isValidEpisodeFolder(episode)) {
+    return { success: false, error: 'Invalid episode folder name' };
+  }
+
+  const zipPath = path.resolve(BASE_DIR, bundlePath);
+  let zipEntries: ZipEntry[];
+  try {
+    zipEntries = await readZipEntries(zipPath);
+  } catch (error) {
+    return { success: false, error: `Invalid bundle: ${error instanceof Error ? error.message : String(error)}` };
+  }
+  const manifestEntry = zipEntries.find(entry => entry.name === BUNDLE_MANIFEST);
+  if (!manifestEntry) {
+    return { success: false, error: `Invalid bundle: no ${BUNDLE_MANIFEST}` };
+  }
+  if (manifestEntry.size > MAX_MANIFEST_BYTES) {
+    return { success: false, error: `Invalid bundle: ${BUNDLE_MANIFEST} is too large` };
+  }
+
+  // Staged in the dashboard's upload folder: outside series/, so no half-imported episode is ever listed
+  const stagingDir = path.join(BASE_DIR, 'uploads', `.bundle-${randomBytes(6).toString('hex')}`);
+  const stagedEpisode = path.join(stagingDir, 'episode');
+  try {
+    await fsp.mkdir(stagedEpisode, { recursive: true });
+
+    let manifest: BundleManifest;
+    try {
+      const manifestPath = path.join(stagingDir, BUNDLE_MANIFEST);
+      await extractZipEntry(zipPath, manifestEntry, manifestPath);
+      manifest = JSON.parse(await fsp.readFile(manifestPath, 'utf8'));
+    } catch (error) {
+      return { success: false, error: `Invalid bundle: ${BUNDLE_MANIFEST} could not be read (${error instanceof Error ? error.message : String(error)})` };
+    }
+    const matched = matchBundleManifest(manifest, zipEntries);
+    if (matched.error !== undefined) {
+      return { success: false, error: `Invalid bundle: ${matched.error}` };
+    }
+    const files = matched.files;
+
+    const seriesPath = path.join(SERIES_DIR, series);
+    const requested = episode || manifest.episode;
+    let targetName = requested;
+    let targetPath = path.join(seriesPath, targetName);
+    if (!isWithin(SERIES_DIR, targetPath)) {
+      return { success: false, error: 'Invalid path detected' };
+    }
+
+    let exists = await pathExists(targetPath);
+    if (exists && onConflict === 'fail') {
+      return { success: false, error: `${series}/${targetName} already exists` };
+    }
+    if (exists && onConflict === 'rename') {
+      for (let suffix = 2; exists && suffix <= MAX_RENAME_ATTEMPTS; suffix++) {
+        targetName = `${requested}-${suffix}`;
+        targetPath = path.join(seriesPath, targetName);
+        exists = await pathExists(targetPath);
+      }
+      if (exists) {
+        return { success: false, error: `No free folder name for ${series}/${requested}` };
+      }
+    }
+    if (!exists && !files.some(file => file.path === 'metadata.yml')) {
+      return { success: false, error: 'The bundle has no metadata.yml, so it can only be imported over an existing episode (on_conflict "overwrite")' };
+    }
+
+    for (const file of files) {
+      const destination = path.join(stagedEpisode, ...file.path.split('/'));
+      await fsp.mkdir(path.dirname(destination), { recursive: true });
+      let extracted: { sha256: string };
+      try {
+        extracted = await extractZipEntry(zipPath, file.entry, destination);
+      } catch (error) {
+        return { success: false, error: `Invalid bundle: ${error instanceof Error ? error.message : String(error)}` };
+      }
+      if (extracted.sha256 !== file.sha256) {
+        return { success: false, error: `Invalid bundle: ${file.path} does not match its checksum in manifest.json` };
+      }
+    }
+
+    if (!exists) {
+      await fsp.mkdir(seriesPath, { recursive: true });
+      await fsp.rename(stagedEpisode, targetPath);
+    } else {
+      for (const file of files) {
+        if (file.path === HISTORY_FILE) continue;
+        const staged = path.join(stagedEpisode, ...file.path.split('/'));
+        const destination = path.join(targetPath, ...file.path.split('/'));
+        if (TRACKED_FILES.includes(file.path)) {
+          await writeTrackedFile(destination, await fsp.readFile(staged, 'utf8'), 'import_episode_bundle');
+        } else {
+          await fsp.mkdir(path.dirname(destination), { recursive: true });
+          await fsp.rename(staged, destination);
+        }
+      }
+    }
+
+    return {
+      success: true,
+      series,
+      episode: targetName,
+      path: path.relative(BASE_DIR, targetPath).split(path.sep).join('/'),
+      created: !exists,
+      files: files.map(file => file.path)
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : String(error)
+    };
+  } finally {
+    await fsp.rm(stagingDir, { recursive: true, force: true });
+  }
+}
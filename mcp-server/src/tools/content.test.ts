@@ -5,6 +5,7 @@ import os from 'os';
 
 // Import the actual utils module type for better type safety
 import type * as UtilsModule from '../utils.js';
+import type { EpisodeMetadata } from '../types.js';
 
 // Test directory state
 let testDir: string;
@@ -262,3 +263,132 @@ describe('listSeries', () => {
     expect(result.series?.[0].slug).toBe('orphan-series');
   });
 });
+
+describe('updateEpisodeMetadata', () => {
+  it('should keep comments and layout of metadata.yml', async () => {
+    const episodePath = path.join(seriesDir, 'show', '2025-01-01-pilot');
+    await fs.mkdir(episodePath, { recursive: true });
+    const original = '# Status banner\ncontent_status: draft # current\n\ntitle: "Pilot"\nrelease:\n  target_date: ""\n' +
+      'workflow:\n  scripted: true\n  recorded: true\n  edited: true\n';
+    await fs.writeFile(path.join(episodePath, 'metadata.yml'), original, 'utf8');
+
+    const { updateEpisodeMetadata } = await importContentModule();
+    const result = await updateEpisodeMetadata('show', '2025-01-01-pilot', {
+      content_status: 'ready',
+      release: { target_date: '2025-02-01' }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.metadata?.content_status).toBe('ready');
+    const updated = await fs.readFile(path.join(episodePath, 'metadata.yml'), 'utf8');
+    const expected = original.replace('content_status: draft', 'content_status: ready')
+      .replace('target_date: ""', 'target_date: "2025-02-01"');
+    // The status change is added to status_history at the end of the file
+    expect(updated.slice(0, expected.length)).toBe(expected);
+    expect(updated.slice(expected.length)).toMatch(/^status_history:\n {2}- status: ready\n {4}timestamp: "[^"]+"\n {4}source: mcp\n$/);
+  });
+
+  it('should not accept status_history updates', async () => {
+    const episodePath = path.join(seriesDir, 'show', '2025-01-01-pilot');
+    await fs.mkdir(episodePath, { recursive: true });
+    await fs.writeFile(path.join(episodePath, 'metadata.yml'), 'title: Pilot\ncontent_status: draft\n', 'utf8');
+
+    const { updateEpisodeMetadata } = await importContentModule();
+    const result = await updateEpisodeMetadata('show', '2025-01-01-pilot', {
+      status_history: [{ status: 'released', timestamp: '2025-01-01T00:00:00Z' }]
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('status_history is recorded automatically');
+  });
+
+  it('should record the change in the episode history', async () => {
+    const episodePath = path.join(seriesDir, 'show', '2025-01-01-pilot');
+    await fs.mkdir(episodePath, { recursive: true });
+    await fs.writeFile(path.join(episodePath, 'metadata.yml'), 'title: Pilot\ncontent_status: draft\n', 'utf8');
+
+    const { updateEpisodeMetadata } = await importContentModule();
+    await updateEpisodeMetadata('show', '2025-01-01-pilot', { content_status: 'archived' });
+
+    const lines = (await fs.readFile(path.join(episodePath, '.history.jsonl'), 'utf8')).trim().split('\n');
+    expect(lines).toHaveLength(1);
+    const entry = JSON.parse(lines[0]);
+    expect(entry).toMatchObject({
+      source: 'mcp',
+      action: 'update_episode_metadata',
+      file: 'metadata.yml',
+      before: 'title: Pilot\ncontent_status: draft\n'
+    });
+    expect(entry.after).toMatch(/^title: Pilot\ncontent_status: archived\nstatus_history:\n {2}- status: archived\n/);
+    expect(entry.diff).toContain('-content_status: draft\n+content_status: archived\n');
+  });
+
+  it('should reject values that fail the metadata schema without writing', async () => {
+    const episodePath = path.join(seriesDir, 'show', '2025-01-01-pilot');
+    await fs.mkdir(episodePath, { recursive: true });
+    const original = 'title: Pilot\ncontent_status: draft\n';
+    await fs.writeFile(path.join(episodePath, 'metadata.yml'), original, 'utf8');
+
+    const { updateEpisodeMetadata } = await importContentModule();
+    const result = await updateEpisodeMetadata('show', '2025-01-01-pilot', {
+      content_status: 'redy' as EpisodeMetadata['content_status'],
+      release: { target_date: '2025-02-30' }
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("content_status must be one of: draft, ready, staged, blocked, released, archived (got 'redy')");
+    expect(result.error).toContain('release.target_date must be a valid date');
+    expect(await fs.readFile(path.join(episodePath, 'metadata.yml'), 'utf8')).toBe(original);
+    await expect(fs.access(path.join(episodePath, '.history.jsonl'))).rejects.toThrow();
+  });
+
+  it('should store depends_on lines structured and keep recorded states', async () => {
+    const episodePath = path.join(seriesDir, 'show', '2025-01-01-pilot');
+    await fs.mkdir(episodePath, { recursive: true });
+    await fs.writeFile(path.join(episodePath, 'metadata.yml'), 'title: Pilot\nrelease:\n  depends_on:\n' +
+      '    - id: sponsor-approved\n      type: manual\n      description: sponsor approved\n      state: met\n      marked_by: sam\n', 'utf8');
+
+    const { updateEpisodeMetadata } = await importContentModule();
+    const result = await updateEpisodeMetadata('show', '2025-01-01-pilot', {
+      release: { depends_on: ['sponsor approved', 'date: 2025-02-01'] }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.metadata?.release?.depends_on).toEqual([
+      { id: 'sponsor-approved', type: 'manual', description: 'sponsor approved', state: 'met', marked_by: 'sam' },
+      { id: 'date-2025-02-01', type: 'date', date: '2025-02-01', state: 'pending' }
+    ]);
+
+    const rejected = await updateEpisodeMetadata('show', '2025-01-01-pilot', {
+      release: { depends_on: ['episode: show/intro'] }
+    });
+    expect(rejected.success).toBe(false);
+    expect(rejected.error).toContain('Depends on entry 1: episode must look like');
+  });
+
+  it('should only accept workflow stages configured for the series', async () => {
+    await fs.writeFile(
+      path.join(testDir, 'workflow-stages.yml'),
+      'series:\n  interviews:\n    - guest_confirmed\n    - recorded\n',
+      'utf8'
+    );
+    const episodePath = path.join(seriesDir, 'interviews', '2025-01-01-guest');
+    await fs.mkdir(episodePath, { recursive: true });
+    await fs.writeFile(path.join(episodePath, 'metadata.yml'), 'content_status: draft\n', 'utf8');
+
+    const { updateEpisodeMetadata } = await importContentModule();
+    const rejected = await updateEpisodeMetadata('interviews', '2025-01-01-guest', {
+      workflow: { guest_confirmed: true, edited: true }
+    });
+    expect(rejected).toEqual({
+      success: false,
+      error: "Invalid metadata: unknown workflow stages for series 'interviews': edited"
+    });
+
+    const accepted = await updateEpisodeMetadata('interviews', '2025-01-01-guest', {
+      workflow: { guest_confirmed: true }
+    });
+    expect(accepted.success).toBe(true);
+    expect(accepted.metadata?.workflow).toEqual({ guest_confirmed: true });
+  });
+});
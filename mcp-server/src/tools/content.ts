@@ -14,13 +14,19 @@ import {
   isValidSlug,
   isValidSeriesName,
   deepMerge,
-  writeYamlFile,
+  updateYamlFile,
   readYamlFile,
   MAX_TITLE_LENGTH,
   MAX_DESCRIPTION_LENGTH,
   MAX_SERIES_NAME_LENGTH
 } from '../utils.js';
-import type { Episode, EpisodeMetadata, WorkflowStage, VALID_WORKFLOW_STAGES, VALID_CONTENT_STATUSES, SeriesMetadata, SeriesInfo, SeriesTemplate } from '../types.js';
+import { writeTrackedFile } from '../history.js';
+import { validateEpisodeMetadata, type FieldPath } from '../metadataSchema.js';
+import { getSeriesStages } from '../workflowStages.js';
+import { applyStatusRules, appendStatusHistory } from '../contentStatus.js';
+import { validateDependencies, carryDependencyStates } from '../releaseDependencies.js';
+import { checkStatusChange, refuseTransition, sanitizeOverrideReason, toOverride } from '../statusTransitions.js';
+import type { Episode, EpisodeMetadata, ReleaseDependency, VALID_CONTENT_STATUSES, SeriesMetadata, SeriesInfo, SeriesTemplate } from '../types.js';
 import { VALID_SERIES_TEMPLATES } from '../types.js';
 
 /**
@@ -131,6 +137,8 @@ export async function createEpisode(
     const metadata = await getMetadataTemplate();
     metadata.title = sanitizedTitle;
     metadata.content_status = 'draft';
+    metadata.status_history = [];
+    appendStatusHistory(metadata, 'draft', 'mcp');
 
     if (sanitizedDescription) {
       metadata.description = sanitizedDescription;
@@ -142,13 +150,16 @@ export async function createEpisode(
     metadata.recording = metadata.recording || {};
     metadata.recording.date = date;
 
+    // The checklist comes from workflow-stages.yml, not the template
+    metadata.workflow = Object.fromEntries((await getSeriesStages(seriesName)).map(stage => [stage.id, false]));
+
     // Write metadata file
     const metadataContent = '# Episode Metadata\n' + yaml.dump(metadata, {
       lineWidth: -1,
       quotingType: '"',
       forceQuotes: false
     });
-    await fs.writeFile(path.join(episodePath, 'metadata.yml'), metadataContent, 'utf8');
+    await writeTrackedFile(path.join(episodePath, 'metadata.yml'), metadataContent, 'create_episode', null);
 
     // Create basic script file
     const basicScript = `# ${sanitizedTitle}
@@ -169,7 +180,7 @@ export async function createEpisode(
 
 ## Call to Action
 `;
-    await fs.writeFile(path.join(episodePath, 'script.md'), basicScript, 'utf8');
+    await writeTrackedFile(path.join(episodePath, 'script.md'), basicScript, 'create_episode', null);
 
     // Create notes.md
     const notesContent = `# Episode Notes: ${slug}
@@ -189,7 +200,7 @@ export async function createEpisode(
 ## Post-Publish Notes
 
 `;
-    await fs.writeFile(path.join(episodePath, 'notes.md'), notesContent, 'utf8');
+    await writeTrackedFile(path.join(episodePath, 'notes.md'), notesContent, 'create_episode', null);
 
     // Return created episode
     const episode = await getEpisode(seriesName, episodeFolderName);
@@ -211,14 +222,40 @@ export async function createEpisode(
   }
 }
 
+/**
+ * Paths of the values an update sets (arrays are replaced whole)
+ */
+function updatedPaths(updates: Record<string, unknown>, prefix: FieldPath = []): FieldPath[] {
+  return Object.entries(updates).flatMap(([key, value]) => (
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? updatedPaths(value as Record<string, unknown>, [...prefix, key])
+      : [[...prefix, key]]
+  ));
+}
+
+/**
+ * Schema problems (including unknown fields) in the values an update sets.
+ * Problems elsewhere in the file are left to the dashboard's lint report.
+ */
+function validateMetadataUpdate(metadata: EpisodeMetadata, updates: Partial<EpisodeMetadata>): string[] {
+  const touched = updatedPaths(updates as Record<string, unknown>);
+  return validateEpisodeMetadata(metadata)
+    .filter(issue => touched.some(prefix => prefix.every((key, index) => issue.path[index] === key)))
+    .map(issue => issue.message);
+}
+
 /**
  * Update episode metadata fields
+ * Values are checked against the shared metadata schema; nothing is written if they fail.
+ * A content_status change that breaks status-transitions.yml needs an override reason.
  */
 export async function updateEpisodeMetadata(
   series: string,
   episode: string,
-  updates: Partial<EpisodeMetadata>
-): Promise<{ success: boolean; metadata?: EpisodeMetadata; error?: string }> {
+  updates: Partial<EpisodeMetadata>,
+  overrideReason?: string
+): Promise<{ success: boolean; metadata?: EpisodeMetadata; error?: string; unmet?: string[] }> {
+  let problems: string[] = [];
   try {
     // Validate path parameters
     if (series.includes('..') || series.includes('/') || series.includes('\\') ||
@@ -243,18 +280,66 @@ export async function updateEpisodeMetadata(
       return { success: false, error: 'Episode not found' };
     }
 
-    // Read existing metadata
-    const metadata = await readYamlFile<EpisodeMetadata>(metadataPath);
+    if (updates.status_history !== undefined) {
+      return { success: false, error: 'Invalid metadata: status_history is recorded automatically on status changes' };
+    }
 
-    // Deep merge updates into existing metadata
-    deepMerge(metadata, updates);
+    // Workflow keys must be stages of this series
+    if (updates.workflow && typeof updates.workflow === 'object') {
+      const stageIds = (await getSeriesStages(series)).map(stage => stage.id);
+      const unknown = Object.keys(updates.workflow).filter(key => !stageIds.includes(key));
+      if (unknown.length > 0) {
+        return {
+          success: false,
+          error: `Invalid metadata: unknown workflow stages for series '${series}': ${unknown.join(', ')}`
+        };
+      }
+    }
+
+    // Dependencies may be given as text lines; they are stored structured
+    let dependsOn: ReleaseDependency[] | undefined;
+    if (updates.release?.depends_on !== undefined) {
+      const { errors, dependencies } = validateDependencies(updates.release.depends_on, 'Depends on');
+      if (errors.length > 0) {
+        return { success: false, error: `Invalid metadata: ${errors.join('; ')}` };
+      }
+      dependsOn = dependencies;
+    }
+
+    // A status change must meet its conditions in status-transitions.yml
+    const override = sanitizeOverrideReason(overrideReason);
+    const check = await checkStatusChange(series, episodePath, await readYamlFile<EpisodeMetadata>(metadataPath), updates);
+    if (check && !override) {
+      return refuseTransition(check);
+    }
 
-    // Write updated metadata
-    await writeYamlFile(metadataPath, metadata);
+    // Deep merge updates into the file, keeping its comments and layout
+    const metadata = await updateYamlFile<EpisodeMetadata>(metadataPath, data => {
+      problems = applyStatusRules(data, updates, getCurrentDate());
+      if (problems.length > 0) {
+        throw new Error('Invalid metadata');
+      }
+      const previous = data.content_status || 'draft';
+      if (dependsOn) {
+        // Keep who marked a dependency met when the list is edited
+        updates = { ...updates, release: { ...updates.release, depends_on: carryDependencyStates(dependsOn, data.release?.depends_on) } };
+      }
+      deepMerge(data, updates);
+      if (updates.content_status && updates.content_status !== previous) {
+        appendStatusHistory(data, updates.content_status, 'mcp');
+      }
+      problems = validateMetadataUpdate(data, updates);
+      if (problems.length > 0) {
+        throw new Error('Invalid metadata');
+      }
+    }, 'update_episode_metadata', check ? toOverride(check, override) : undefined);
 
     return { success: true, metadata };
 
   } catch (error) {
+    if (problems.length > 0) {
+      return { success: false, error: `Invalid metadata: ${problems.join('; ')}` };
+    }
     return {
       success: false,
       error: `Failed to update metadata: ${error instanceof Error ? error.message : String(error)}`
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+import type * as UtilsModule from '../utils.js';
+
+// Test directory state
+let testDir: string;
+let seriesDir: string;
+let episodePath: string;
+
+/**
+ * Helper to set up the mock for utils module with test directories.
+ * Config files fall back to the toolkit's status-transitions.yml and
+ * distribution-profiles.yml.
+ */
+async function setupUtilsMock(): Promise<void> {
+  vi.doMock('../utils.js', async () => {
+    const actual = await vi.importActual<typeof UtilsModule>('../utils.js');
+    return {
+      ...actual,
+      SERIES_DIR: seriesDir,
+      BASE_DIR: testDir
+    };
+  });
+}
+
+async function writeMetadata(content: string): Promise<void> {
+  await fs.writeFile(path.join(episodePath, 'metadata.yml'), content, 'utf8');
+}
+
+const METADATA = `title: "Pilot"
+description: |
+  The first episode.
+
+  ## Timestamps
+  0:00 - Intro
+tags:
+  - MCP
+  -
+category: 28
+privacy: public
+playlist: ""
+scheduled_at: ""
+thumbnail: thumbnail.png
+distribution:
+  profile: full
+`;
+
+beforeEach(async () => {
+  testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-publish-test-'));
+  seriesDir = path.join(testDir, 'series');
+  episodePath = path.join(seriesDir, 'show', '2025-01-01-pilot');
+  await fs.mkdir(episodePath, { recursive: true });
+  await writeMetadata(METADATA);
+  await fs.writeFile(path.join(episodePath, 'thumbnail.png'), 'png', 'utf8');
+  await fs.writeFile(path.join(episodePath, 'blog-post.md'), '# Pilot\n\nThe post.\n', 'utf8');
+  await fs.writeFile(path.join(episodePath, 'social-posts.md'), [
+    '## LinkedIn Post',
+    '```',
+    'Just published: Pilot',
+    '```',
+    '## Blue Sky',
+    'New: Pilot',
+    '## Mastodon',
+    'Pilot is out #MCP',
+    ''
+  ].join('\n'), 'utf8');
+  await setupUtilsMock();
+});
+
+afterEach(async () => {
+  vi.resetModules();
+  if (testDir) {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+  testDir = '';
+});
+
+describe('buildPublishPackage', () => {
+  it('should write a package for every platform of the profile', async () => {
+    const { buildPublishPackage } = await import('./publish.js');
+    const result = await buildPublishPackage('show', '2025-01-01-pilot');
+
+    expect(result.success).toBe(true);
+    expect(result.complete).toBe(true);
+    expect(result.platforms?.map(entry => entry.file)).toEqual([
+      'exports/publish/youtube.json',
+      'exports/publish/blog.md',
+      'exports/publish/linkedin.txt',
+      'exports/publish/bluesky.txt',
+      'exports/publish/mastodon.txt'
+    ]);
+
+    const publishDir = path.join(episodePath, 'exports', 'publish');
+    expect(JSON.parse(await fs.readFile(path.join(publishDir, 'youtube.json'), 'utf8'))).toEqual({
+      title: 'Pilot',
+      description: 'The first episode.\n\n## Timestamps\n0:00 - Intro',
+      tags: ['MCP'],
+      category: 28,
+      privacy: 'public',
+      playlist: null,
+      scheduled_at: null,
+      thumbnail: 'thumbnail.png'
+    });
+    expect(await fs.readFile(path.join(publishDir, 'blog.md'), 'utf8')).toBe(
+      '---\ntitle: Pilot\ndescription: The first episode.\ntags:\n  - MCP\nfeatured_image: thumbnail.png\n---\n\n# Pilot\n\nThe post.\n'
+    );
+    expect(await fs.readFile(path.join(publishDir, 'linkedin.txt'), 'utf8')).toBe('Just published: Pilot\n');
+    expect(await fs.readFile(path.join(publishDir, 'mastodon.txt'), 'utf8')).toBe('Pilot is out #MCP\n');
+  });
+
+  it('should report missing inputs per platform and skip those packages', async () => {
+    const { buildPublishPackage } = await import('./publish.js');
+    await buildPublishPackage('show', '2025-01-01-pilot');
+    await fs.rm(path.join(episodePath, 'blog-post.md'));
+    await writeMetadata(METADATA.replace('distribution:\n  profile: full', 'distribution:\n  platforms: [blog, linkedin, bluesky, threads]'));
+    await fs.writeFile(path.join(episodePath, 'social-posts.md'), '## LinkedIn\n\nHello\n', 'utf8');
+
+    const result = await buildPublishPackage('show', '2025-01-01-pilot');
+
+    expect(result.complete).toBe(false);
+    expect(result.platforms?.map(entry => [entry.platform, entry.missing, entry.warnings])).toEqual([
+      ['blog', ['body (blog-post.md not found)'], []],
+      ['linkedin', [], []],
+      ['bluesky', ['text (no Blue Sky post in social-posts.md)'], []],
+      ['threads', [], ['threads is not defined in distribution-profiles.yml']]
+    ]);
+    // Packages of platforms that are now incomplete are removed
+    expect((await fs.readdir(path.join(episodePath, 'exports', 'publish'))).sort()).toEqual([
+      'linkedin.txt',
+      'mastodon.txt',
+      'youtube.json'
+    ]);
+  });
+
+  it('should reject episodes without platforms and missing episodes', async () => {
+    const { buildPublishPackage } = await import('./publish.js');
+    await writeMetadata('title: "Pilot"\n');
+
+    expect((await buildPublishPackage('show', '2025-01-01-pilot')).error).toContain('no platforms to publish to');
+    expect((await buildPublishPackage('show', 'missing')).error).toBe('Episode not found: show/missing');
+    expect((await buildPublishPackage('show', '../show')).error).toBe('Invalid series or episode name');
+  });
+});
+
+describe('findSocialPost', () => {
+  it('should match sections by platform id or name', async () => {
+    const { findSocialPost } = await import('./publish.js');
+    const content = '## Blue Sky Post\n\n```\nHi\n## still the post\n```\n\n---\n\n## LinkedIn\n\nHello\n\n---\n';
+
+    expect(findSocialPost(content, 'bluesky', 'Blue Sky')).toBe('Hi\n## still the post');
+    expect(findSocialPost(content, 'linkedin', 'LinkedIn')).toBe('Hello');
+    expect(findSocialPost(content, 'mastodon', 'Mastodon')).toBe('');
+    expect(findSocialPost('Same post everywhere', 'mastodon', 'Mastodon')).toBe('Same post everywhere');
+  });
+});
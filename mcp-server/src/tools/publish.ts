@@ -0,0 +1,280 @@
+// Publish Package Tools for the MCP Server
+// Same packages as the dashboard (dashboard/api/publishPackage.js): one
+// ready-to-paste file per distribution platform in exports/publish/
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { SERIES_DIR, isValidSeriesName, readYamlFile, fileExists } from '../utils.js';
+import {
+  checkPlatformRequirements,
+  getEpisodePlatforms,
+  readDistributionProfiles,
+  readRequirementValue,
+  readStatusTransitions,
+  type DistributionConfig
+} from '../statusTransitions.js';
+import type { EpisodeMetadata, StatusTransitionConfig } from '../types.js';
+
+// Where packages are written, relative to the episode folder
+export const PUBLISH_DIR = 'exports/publish';
+
+// Package written for each platform type; audio platforms get none
+const PACKAGE_EXTENSIONS: Record<string, string> = {
+  video: '.json',
+  written: '.md',
+  social: '.txt'
+};
+
+// YouTube's limits for the fields of a video package
+const MAX_VIDEO_TITLE_LENGTH = 100;
+const MAX_VIDEO_DESCRIPTION_LENGTH = 5000;
+
+const FRONT_MATTER_REGEX = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * What was written for one platform, or what it is missing
+ */
+export interface PublishPlatformResult {
+  platform: string;
+  name: string;
+  type: string | null;
+  file: string | null;
+  missing: string[];
+  warnings: string[];
+}
+
+interface PackageContext {
+  id: string;
+  platform: NonNullable<DistributionConfig['platforms']>[string];
+  metadata: Partial<EpisodeMetadata>;
+  config: StatusTransitionConfig;
+  read: (name: string) => Promise<unknown>;
+  entry: PublishPlatformResult;
+}
+
+function normalizeKey(text: string): string {
+  return text.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function toText(value: unknown): string {
+  if (value instanceof Date) return value.toISOString();
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * Tags that are filled in (the template ends its list with an empty one)
+ */
+function cleanTags(tags: unknown): string[] {
+  return (Array.isArray(tags) ? tags : []).map(toText).filter(Boolean);
+}
+
+/**
+ * Split social-posts.md into its `##` sections; a section's post is its first
+ * fenced code block, or the section's text when it has none
+ */
+export function parseSocialPosts(content: string): { heading: string; text: string }[] {
+  const sections: { heading: string; lines: string[] }[] = [];
+  let current: { heading: string; lines: string[] } | null = null;
+  let inFence = false;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (line.startsWith('```')) inFence = !inFence;
+    const heading = inFence ? null : line.match(/^##\s+(.+?)\s*$/);
+    if (heading) {
+      current = { heading: heading[1], lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  return sections.map(({ heading, lines }) => {
+    const body = lines.join('\n');
+    const fence = body.match(/^```[^\n]*\n([\s\S]*?)^```/m);
+    // Sections of the template are separated by --- rules
+    const text = fence ? fence[1] : body.replace(/\n-{3,}\s*$/, '');
+    return { heading, text: text.trim() };
+  });
+}
+
+/**
+ * The post for one platform: the section whose heading starts with the
+ * platform's id or name, or the whole text when it has no sections. A mapping
+ * from a metadata field is keyed by platform id.
+ */
+export function findSocialPost(value: unknown, id: string, name: string): string {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return toText((value as Record<string, unknown>)[id]);
+  }
+  const content = toText(value);
+  const sections = parseSocialPosts(content);
+  if (sections.length === 0) return content;
+
+  const keys = [normalizeKey(id), normalizeKey(name)].filter(Boolean);
+  const section = sections.find(({ heading }) => keys.some(key => normalizeKey(heading).startsWith(key)));
+  return section?.text ?? '';
+}
+
+function splitFrontMatter(content: string): { data: Record<string, unknown>; body: string } {
+  const match = content.match(FRONT_MATTER_REGEX);
+  if (!match) return { data: {}, body: content };
+  try {
+    const data = yaml.load(match[1], { schema: yaml.CORE_SCHEMA });
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      return { data: data as Record<string, unknown>, body: content.slice(match[0].length) };
+    }
+  } catch {
+    // Not front matter after all; publish the file as it is
+  }
+  return { data: {}, body: content };
+}
+
+async function buildVideoPackage({ metadata, read, entry }: PackageContext): Promise<string> {
+  const fields = {
+    title: toText(await read('title')),
+    description: toText(await read('description')),
+    tags: cleanTags(await read('tags')),
+    category: metadata.category ?? null,
+    privacy: toText(metadata.privacy) || null,
+    playlist: toText(metadata.playlist) || null,
+    scheduled_at: toText(metadata.scheduled_at) || null,
+    thumbnail: toText(await read('thumbnail')) || null
+  };
+
+  if (fields.title.length > MAX_VIDEO_TITLE_LENGTH) {
+    entry.warnings.push(`title is ${fields.title.length} characters; YouTube allows ${MAX_VIDEO_TITLE_LENGTH}`);
+  }
+  if (fields.description.length > MAX_VIDEO_DESCRIPTION_LENGTH) {
+    entry.warnings.push(`description is ${fields.description.length} characters; YouTube allows ${MAX_VIDEO_DESCRIPTION_LENGTH}`);
+  }
+  return `${JSON.stringify(fields, null, 2)}\n`;
+}
+
+async function buildWrittenPackage({ metadata, read }: PackageContext): Promise<string> {
+  const { data, body } = splitFrontMatter(toText(await read('body')));
+  const generated = {
+    title: toText(await read('title')),
+    // The first paragraph; the rest of a video description is timestamps and links
+    description: toText(metadata.description).split(/\n\s*\n/)[0].trim(),
+    date: toText(metadata.analytics?.publish_date) || toText(metadata.scheduled_at) || toText(metadata.release?.target_date),
+    tags: cleanTags(await read('tags')),
+    featured_image: toText(await read('featured_image'))
+  };
+
+  // Front matter already in the post wins over the fields from metadata
+  const frontMatter = Object.fromEntries(
+    Object.entries({ ...generated, ...data }).filter(([, value]) => value !== '' && !(Array.isArray(value) && value.length === 0))
+  );
+  const dumped = yaml.dump(frontMatter, { schema: yaml.CORE_SCHEMA, indent: 2, lineWidth: -1, noRefs: true, quotingType: '"' });
+  return `---\n${dumped}---\n\n${body.trim()}\n`;
+}
+
+async function buildSocialPackage({ id, platform, config, read, entry }: PackageContext): Promise<string | null> {
+  const post = findSocialPost(await read('text'), id, entry.name);
+  if (!post) {
+    const requirement = config.requirements.text;
+    const source = requirement && 'file' in requirement ? requirement.file
+      : requirement && 'field' in requirement ? requirement.field : 'text';
+    entry.missing.push(`text (no ${entry.name} post in ${source})`);
+    return null;
+  }
+
+  const limit = platform.character_limit;
+  if (Number.isInteger(limit) && post.length > (limit as number)) {
+    entry.warnings.push(`Post is ${post.length} characters; ${entry.name} allows ${limit}`);
+  }
+  return `${post}\n`;
+}
+
+const PACKAGE_BUILDERS: Record<string, (ctx: PackageContext) => Promise<string | null>> = {
+  video: buildVideoPackage,
+  written: buildWrittenPackage,
+  social: buildSocialPackage
+};
+
+/**
+ * Write a ready-to-paste package for each platform the episode is distributed
+ * to into exports/publish/ (youtube.json, blog.md, linkedin.txt, ...). Platforms
+ * with missing inputs are reported and get no package; an earlier one is removed.
+ */
+export async function buildPublishPackage(
+  series: string,
+  episode: string
+): Promise<{
+  success: boolean;
+  directory?: string;
+  complete?: boolean;
+  platforms?: PublishPlatformResult[];
+  error?: string;
+}> {
+  try {
+    if (!isValidSeriesName(series) || !episode || episode.startsWith('.') ||
+        episode.includes('..') || episode.includes('/') || episode.includes('\\')) {
+      return { success: false, error: 'Invalid series or episode name' };
+    }
+    const episodeDir = path.join(SERIES_DIR, series, episode);
+    const metadataPath = path.join(episodeDir, 'metadata.yml');
+    if (!(await fileExists(metadataPath))) {
+      return { success: false, error: `Episode not found: ${series}/${episode}` };
+    }
+
+    const metadata = (await readYamlFile<Partial<EpisodeMetadata>>(metadataPath)) || {};
+    const [config, distribution] = await Promise.all([readStatusTransitions(), readDistributionProfiles()]);
+    const ids = getEpisodePlatforms(metadata, distribution);
+    if (ids.length === 0) {
+      return { success: false, error: 'The episode has no platforms to publish to. Set distribution.profile or distribution.platforms.' };
+    }
+
+    const unmet = await checkPlatformRequirements(metadata, { config, episodeDir, distribution });
+    const read = (name: string) => readRequirementValue(name, metadata, config, episodeDir);
+    const outputDir = path.join(episodeDir, PUBLISH_DIR);
+    const platforms: PublishPlatformResult[] = [];
+
+    for (const id of ids) {
+      const platform = distribution.platforms?.[id];
+      const entry: PublishPlatformResult = {
+        platform: id,
+        name: platform?.name || id,
+        type: platform?.type ?? null,
+        file: null,
+        missing: [...(unmet.find(result => result.platform === id)?.missing ?? [])],
+        warnings: []
+      };
+      platforms.push(entry);
+
+      const extension = platform?.type ? PACKAGE_EXTENSIONS[platform.type] : undefined;
+      if (!platform || !extension) {
+        entry.warnings.push(platform
+          ? `No publish package for ${platform.type || 'untyped'} platforms`
+          : `${id} is not defined in distribution-profiles.yml`);
+        continue;
+      }
+
+      const file = `${id}${extension}`;
+      const content = entry.missing.length === 0
+        ? await PACKAGE_BUILDERS[platform.type as string]({ id, platform, metadata, config, read, entry })
+        : null;
+      if (content === null) {
+        await fs.rm(path.join(outputDir, file), { force: true });
+        continue;
+      }
+
+      await fs.mkdir(outputDir, { recursive: true });
+      await fs.writeFile(path.join(outputDir, file), content, 'utf8');
+      entry.file = `${PUBLISH_DIR}/${file}`;
+    }
+
+    return {
+      success: true,
+      directory: PUBLISH_DIR,
+      complete: platforms.every(entry => entry.missing.length === 0),
+      platforms
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to build publish package: ${error instanceof Error ? error.message : String(error)}`
+    };
+  }
+}
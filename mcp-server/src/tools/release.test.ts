@@ -0,0 +1,225 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import yaml from 'js-yaml';
+
+// Import the actual utils module type for better type safety
+import type * as UtilsModule from '../utils.js';
+
+// Test directory state
+let testDir: string;
+let seriesDir: string;
+let metadataPath: string;
+
+/**
+ * Helper to set up the mock for utils module with test directories.
+ */
+async function setupUtilsMock(): Promise<void> {
+  vi.doMock('../utils.js', async () => {
+    const actual = await vi.importActual<typeof UtilsModule>('../utils.js');
+    return {
+      ...actual,
+      SERIES_DIR: seriesDir,
+      BASE_DIR: testDir,
+      RELEASE_QUEUE_PATH: path.join(testDir, 'release-queue.yml'),
+      // getReleaseQueue reads the real RELEASE_QUEUE_PATH inside utils
+      getReleaseQueue: async () => actual.readYamlFile(path.join(testDir, 'release-queue.yml'))
+        .catch(() => ({ release_groups: {}, staged: [], blocked: [], released: [] })),
+      getCurrentDate: () => '2025-03-01'
+    };
+  });
+}
+
+/**
+ * Helper to import release module after mock setup.
+ */
+async function importReleaseModule() {
+  return await import('./release.js');
+}
+
+async function readMetadata(): Promise<Record<string, any>> {
+  return yaml.load(await fs.readFile(metadataPath, 'utf8'), { schema: yaml.CORE_SCHEMA }) as Record<string, any>;
+}
+
+// Setup test directory before each test
+beforeEach(async () => {
+  testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-release-test-'));
+  seriesDir = path.join(testDir, 'series');
+  const episodePath = path.join(seriesDir, 'show', '2025-01-01-pilot');
+  await fs.mkdir(episodePath, { recursive: true });
+  metadataPath = path.join(episodePath, 'metadata.yml');
+  await fs.writeFile(metadataPath, 'content_status: ready\nrelease:\n  target_date: ""\n', 'utf8');
+  await setupUtilsMock();
+});
+
+// Cleanup after each test
+afterEach(async () => {
+  vi.resetModules();
+  if (testDir) {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+  testDir = '';
+});
+
+describe('updateReleaseStatus', () => {
+  it('should require a reason to block an episode', async () => {
+    const { updateReleaseStatus } = await importReleaseModule();
+    const result = await updateReleaseStatus('series/show/2025-01-01-pilot', 'blocked');
+
+    expect(result).toEqual({ success: false, error: 'Blocked episodes need a reason (release.blocked_by)' });
+    expect((await readMetadata()).content_status).toBe('ready');
+  });
+
+  it('should record the reason and date when blocking, and clear them when unblocking', async () => {
+    const { updateReleaseStatus } = await importReleaseModule();
+
+    const blocked = await updateReleaseStatus('show/2025-01-01-pilot', 'blocked', 'Waiting for API access');
+    expect(blocked.success).toBe(true);
+    expect((await readMetadata())).toMatchObject({
+      content_status: 'blocked',
+      release: { blocked_by: 'Waiting for API access', blocked_since: '2025-03-01' }
+    });
+
+    const draft = await updateReleaseStatus('show/2025-01-01-pilot', 'draft');
+    expect(draft.success).toBe(true);
+    expect((await readMetadata())).toMatchObject({
+      content_status: 'draft',
+      release: { blocked_by: '', blocked_since: '' }
+    });
+  });
+
+  it('should accept archived and reject unknown statuses', async () => {
+    const { updateReleaseStatus } = await importReleaseModule();
+
+    expect(await updateReleaseStatus('show/2025-01-01-pilot', 'archived')).toEqual({ success: true });
+    expect((await readMetadata()).content_status).toBe('archived');
+
+    const invalid = await updateReleaseStatus('show/2025-01-01-pilot', 'shelved');
+    expect(invalid.success).toBe(false);
+    expect(invalid.error).toBe('Invalid status. Must be one of: draft, ready, staged, blocked, released, archived');
+  });
+});
+
+describe('status history', () => {
+  it('should add a status_history entry for each status change', async () => {
+    const { updateReleaseStatus } = await importReleaseModule();
+
+    await updateReleaseStatus('show/2025-01-01-pilot', 'archived');
+    await updateReleaseStatus('show/2025-01-01-pilot', 'archived');
+    await updateReleaseStatus('show/2025-01-01-pilot', 'draft');
+
+    const history = (await readMetadata()).status_history;
+    expect(history.map((entry: Record<string, string>) => [entry.status, entry.source])).toEqual([
+      ['archived', 'mcp'],
+      ['draft', 'mcp']
+    ]);
+    expect(Number.isNaN(Date.parse(history[0].timestamp))).toBe(false);
+  });
+});
+
+describe('status transition rules', () => {
+  it('should refuse a move with unmet conditions and list them', async () => {
+    const { updateReleaseStatus } = await importReleaseModule();
+    const result = await updateReleaseStatus('show/2025-01-01-pilot', 'released');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/^Cannot move from 'ready' to 'released': /);
+    expect(result.unmet).toEqual([
+      "Workflow stage 'Scripted' is not complete",
+      "Workflow stage 'Recorded' is not complete",
+      "Workflow stage 'Edited' is not complete",
+      'distribution is not set'
+    ]);
+    expect((await readMetadata()).content_status).toBe('ready');
+  });
+
+  it('should move with an override reason and record it in the history', async () => {
+    const { updateReleaseStatus } = await importReleaseModule();
+    const result = await updateReleaseStatus('show/2025-01-01-pilot', 'released', undefined, 'Published by hand');
+
+    expect(result).toEqual({ success: true });
+    expect((await readMetadata()).content_status).toBe('released');
+    const history = await fs.readFile(path.join(path.dirname(metadataPath), '.history.jsonl'), 'utf8');
+    expect(JSON.parse(history.trim())).toMatchObject({
+      action: 'update_release_status',
+      override: { reason: 'Published by hand', from: 'ready', to: 'released' }
+    });
+  });
+
+  it('should check the episode before schedule_release touches the queue', async () => {
+    const { scheduleRelease } = await importReleaseModule();
+    const result = await scheduleRelease('show/2025-01-01-pilot', '2025-04-01');
+
+    expect(result.success).toBe(false);
+    expect(result.unmet).toContain('distribution is not set');
+    expect(result.unmet).not.toContain('release.target_date is not set');
+    await expect(fs.access(path.join(testDir, 'release-queue.yml'))).rejects.toThrow();
+  });
+});
+
+describe('release dependencies', () => {
+  async function writeQueue(): Promise<void> {
+    await fs.writeFile(path.join(testDir, 'release-queue.yml'), [
+      'release_groups:',
+      '  launch:',
+      '    name: "Launch"',
+      '    items: []',
+      '    dependencies:',
+      '      - "landing page live"',
+      '      - "date: 2020-01-01"',
+      '      - "file: assets/press-kit.zip"',
+      ''
+    ].join('\n'), 'utf8');
+  }
+
+  it('should resolve group dependencies in the release queue', async () => {
+    await writeQueue();
+    await fs.mkdir(path.join(testDir, 'assets'));
+    await fs.writeFile(path.join(testDir, 'assets', 'press-kit.zip'), 'zip', 'utf8');
+    const { getReleaseQueueContents } = await importReleaseModule();
+
+    const result = await getReleaseQueueContents();
+    const launch = result.dependencies?.groups.launch;
+    expect(launch?.releasable).toBe(false);
+    expect(launch?.dependencies.map(dependency => [dependency.id, dependency.satisfied])).toEqual([
+      ['landing-page-live', false],
+      ['date-2020-01-01', true],
+      ['file-assets-press-kit-zip', true]
+    ]);
+  });
+
+  it('should mark a group dependency met and record who marked it', async () => {
+    await writeQueue();
+    const { markReleaseDependency } = await importReleaseModule();
+
+    const result = await markReleaseDependency({ groupId: 'launch' }, 'landing-page-live', 'met', 'alex');
+    expect(result.success).toBe(true);
+    expect(result.dependency).toMatchObject({ id: 'landing-page-live', state: 'met', marked_by: 'alex' });
+
+    const queue = yaml.load(await fs.readFile(path.join(testDir, 'release-queue.yml'), 'utf8')) as Record<string, any>;
+    expect(queue.release_groups.launch.dependencies[0]).toMatchObject({ description: 'landing page live', state: 'met' });
+    expect(queue.release_groups.launch.dependencies[1]).toMatchObject({ type: 'date', state: 'pending' });
+  });
+
+  it('should only waive automatic episode dependencies', async () => {
+    await fs.writeFile(metadataPath, 'content_status: ready\nrelease:\n  depends_on:\n    - "date: 2099-01-01"\n', 'utf8');
+    const { markReleaseDependency } = await importReleaseModule();
+
+    const refused = await markReleaseDependency({ episodePath: 'show/2025-01-01-pilot' }, 'date-2099-01-01', 'met');
+    expect(refused.success).toBe(false);
+    expect((await readMetadata()).release.depends_on).toEqual(['date: 2099-01-01']);
+
+    const waived = await markReleaseDependency({ episodePath: 'show/2025-01-01-pilot' }, 'date-2099-01-01', 'waived');
+    expect(waived.success).toBe(true);
+    expect((await readMetadata()).release.depends_on[0]).toMatchObject({ type: 'date', date: '2099-01-01', state: 'waived', marked_by: 'mcp' });
+    const history = await fs.readFile(path.join(path.dirname(metadataPath), '.history.jsonl'), 'utf8');
+    expect(JSON.parse(history.trim())).toMatchObject({ action: 'update_release_dependency' });
+  });
+
+  it('should need exactly one of an episode path and a group id', async () => {
+    const { markReleaseDependency } = await importReleaseModule();
+    const result = await markReleaseDependency({}, 'anything', 'met');
+    expect(result).toEqual({ success: false, error: 'Give either an episode path or a release group id' });
+  });
+});
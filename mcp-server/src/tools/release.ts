@@ -4,24 +4,40 @@ import path from 'path';
 import {
   SERIES_DIR,
   getReleaseQueue,
+  getCurrentDate,
+  deepMerge,
+  updateYamlFile,
   readYamlFile,
   writeYamlFile,
+  fileExists,
   RELEASE_QUEUE_PATH,
-  isPathWithinSeries
+  isPathWithinSeries,
+  scanForEpisodes
 } from '../utils.js';
-import type { ReleaseQueue, ReleaseQueueItem, EpisodeMetadata } from '../types.js';
+import { applyStatusRules, appendStatusHistory } from '../contentStatus.js';
+import { markDependency, resolveQueueDependencies } from '../releaseDependencies.js';
+import type { QueueDependencies } from '../releaseDependencies.js';
+import { checkStatusChange, refuseTransition, sanitizeOverrideReason, toOverride } from '../statusTransitions.js';
+import { VALID_CONTENT_STATUSES } from '../types.js';
+import type { ReleaseQueue, ReleaseQueueItem, EpisodeMetadata, ContentStatus, ReleaseDependency } from '../types.js';
+
+// Matches the blocked_by limit in schemas/episode-metadata.schema.json
+const MAX_BLOCKED_BY_LENGTH = 200;
 
 /**
- * Get the contents of release-queue.yml
+ * Get the contents of release-queue.yml, with the resolved dependencies of
+ * each release group and queued episode (see resolveQueueDependencies)
  */
 export async function getReleaseQueueContents(): Promise<{
   success: boolean;
   data?: ReleaseQueue;
+  dependencies?: QueueDependencies;
   error?: string;
 }> {
   try {
     const releaseQueue = await getReleaseQueue();
-    return { success: true, data: releaseQueue };
+    const dependencies = await resolveQueueDependencies(releaseQueue, await scanForEpisodes(SERIES_DIR));
+    return { success: true, data: releaseQueue, dependencies };
   } catch (error) {
     return {
       success: false,
@@ -32,21 +48,32 @@ export async function getReleaseQueueContents(): Promise<{
 
 /**
  * Update the content_status in an episode's metadata
+ * Blocking needs a reason (blockedBy) unless the episode already has one;
+ * leaving `blocked` clears release.blocked_by and release.blocked_since.
+ * A move that breaks status-transitions.yml is refused with the unmet
+ * conditions unless an override reason is given.
  */
 export async function updateReleaseStatus(
   episodePath: string,
-  status: string
-): Promise<{ success: boolean; error?: string }> {
+  status: string,
+  blockedBy?: string,
+  overrideReason?: string
+): Promise<{ success: boolean; error?: string; unmet?: string[] }> {
+  let problems: string[] = [];
   try {
     // Validate status
-    const validStatuses = ['draft', 'ready', 'staged', 'released'];
-    if (!validStatuses.includes(status)) {
+    if (!(VALID_CONTENT_STATUSES as readonly string[]).includes(status)) {
       return {
         success: false,
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+        error: `Invalid status. Must be one of: ${VALID_CONTENT_STATUSES.join(', ')}`
       };
     }
 
+    const reason = blockedBy?.replace(/[\x00-\x1F\x7F]/g, '').trim();
+    if (reason !== undefined && reason.length > MAX_BLOCKED_BY_LENGTH) {
+      return { success: false, error: `blocked_by must be ${MAX_BLOCKED_BY_LENGTH} characters or less` };
+    }
+
     // Normalize path - strip 'series/' prefix if present
     const normalizedEpisodePath = episodePath.startsWith('series/')
       ? episodePath.slice(7) // Remove 'series/' prefix
@@ -60,14 +87,40 @@ export async function updateReleaseStatus(
     // Construct the metadata path
     const metadataPath = path.join(SERIES_DIR, normalizedEpisodePath, 'metadata.yml');
 
-    // Read and update metadata
-    const metadata = await readYamlFile<EpisodeMetadata>(metadataPath);
-    metadata.content_status = status as EpisodeMetadata['content_status'];
+    const updates: Partial<EpisodeMetadata> = { content_status: status as ContentStatus };
+    if (reason) {
+      updates.release = { blocked_by: reason };
+    }
+
+    const override = sanitizeOverrideReason(overrideReason);
+    const check = await checkStatusChange(
+      normalizedEpisodePath.split(/[\\/]/)[0],
+      path.dirname(metadataPath),
+      await readYamlFile<EpisodeMetadata>(metadataPath),
+      updates
+    );
+    if (check && !override) {
+      return refuseTransition(check);
+    }
 
-    await writeYamlFile(metadataPath, metadata);
+    // Update metadata, keeping its comments and layout
+    await updateYamlFile<EpisodeMetadata>(metadataPath, metadata => {
+      problems = applyStatusRules(metadata, updates, getCurrentDate());
+      if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+      }
+      const previous = metadata.content_status || 'draft';
+      deepMerge(metadata, updates);
+      if (status !== previous) {
+        appendStatusHistory(metadata, status as ContentStatus, 'mcp');
+      }
+    }, 'update_release_status', check ? toOverride(check, override) : undefined);
 
     return { success: true };
   } catch (error) {
+    if (problems.length > 0) {
+      return { success: false, error: problems.join('; ') };
+    }
     return {
       success: false,
       error: `Failed to update release status: ${error instanceof Error ? error.message : String(error)}`
@@ -77,12 +130,15 @@ export async function updateReleaseStatus(
 
 /**
  * Add an episode to the release queue with a target date
+ * Staging an existing episode follows status-transitions.yml like
+ * updateReleaseStatus, including the override reason
  */
 export async function scheduleRelease(
   episodePath: string,
   targetDate: string,
-  releaseGroup?: string
-): Promise<{ success: boolean; error?: string }> {
+  releaseGroup?: string,
+  overrideReason?: string
+): Promise<{ success: boolean; error?: string; unmet?: string[] }> {
   try {
     // Validate date format (YYYY-MM-DD or ISO)
     const dateRegex = /^\d{4}-\d{2}-\d{2}(T[\d:.-]+Z?)?$/;
@@ -103,6 +159,24 @@ export async function scheduleRelease(
       return { success: false, error: 'Invalid path - must be within series directory' };
     }
 
+    // Staging must meet its conditions before anything is written
+    const metadataPath = path.join(SERIES_DIR, pathForValidation, 'metadata.yml');
+    const override = sanitizeOverrideReason(overrideReason);
+    let check = null;
+    if (await fileExists(metadataPath)) {
+      const release: EpisodeMetadata['release'] = { target_date: targetDate };
+      if (releaseGroup) release.release_group = releaseGroup;
+      check = await checkStatusChange(
+        pathForValidation.split(/[\\/]/)[0],
+        path.dirname(metadataPath),
+        await readYamlFile<EpisodeMetadata>(metadataPath),
+        { content_status: 'staged', release }
+      );
+      if (check && !override) {
+        return refuseTransition(check);
+      }
+    }
+
     // Read current release queue
     const releaseQueue = await getReleaseQueue();
 
@@ -159,17 +233,18 @@ export async function scheduleRelease(
     await writeYamlFile(RELEASE_QUEUE_PATH, releaseQueue);
 
     // Also update the episode metadata (use already-validated path)
-    const metadataPath = path.join(SERIES_DIR, pathForValidation, 'metadata.yml');
-
     try {
-      const metadata = await readYamlFile<EpisodeMetadata>(metadataPath);
-      metadata.content_status = 'staged';
-      metadata.release = metadata.release || {};
-      metadata.release.target_date = targetDate;
-      if (releaseGroup) {
-        metadata.release.release_group = releaseGroup;
-      }
-      await writeYamlFile(metadataPath, metadata);
+      await updateYamlFile<EpisodeMetadata>(metadataPath, metadata => {
+        if (metadata.content_status !== 'staged') {
+          appendStatusHistory(metadata, 'staged', 'mcp');
+        }
+        metadata.content_status = 'staged';
+        metadata.release = metadata.release || {};
+        metadata.release.target_date = targetDate;
+        if (releaseGroup) {
+          metadata.release.release_group = releaseGroup;
+        }
+      }, 'schedule_release', check ? toOverride(check, override) : undefined);
     } catch {
       // Episode might not exist yet, just update the queue
     }
@@ -182,3 +257,70 @@ export async function scheduleRelease(
     };
   }
 }
+
+/**
+ * Mark a release dependency met, waived or pending, either in an episode's
+ * release.depends_on (episodePath) or in a release group (groupId).
+ * Episode, date and file dependencies resolve on their own and can only be
+ * waived or reset.
+ */
+export async function markReleaseDependency(
+  target: { episodePath?: string; groupId?: string },
+  dependencyId: string,
+  state: string,
+  markedBy = 'mcp'
+): Promise<{ success: boolean; dependency?: ReleaseDependency; error?: string }> {
+  let problem = '';
+  try {
+    if (Boolean(target.episodePath) === Boolean(target.groupId)) {
+      return { success: false, error: 'Give either an episode path or a release group id' };
+    }
+
+    if (target.groupId) {
+      const releaseQueue = await getReleaseQueue();
+      const group = releaseQueue.release_groups?.[target.groupId];
+      if (!group) {
+        return { success: false, error: `Release group '${target.groupId}' not found` };
+      }
+      const marked = markDependency(group.dependencies, dependencyId, { state, marked_by: markedBy });
+      if ('error' in marked) {
+        return { success: false, error: marked.error };
+      }
+      group.dependencies = marked.dependencies;
+      await writeYamlFile(RELEASE_QUEUE_PATH, releaseQueue);
+      return { success: true, dependency: marked.dependency };
+    }
+
+    const episodePath = target.episodePath as string;
+    const normalizedEpisodePath = episodePath.startsWith('series/') ? episodePath.slice(7) : episodePath;
+    if (!isPathWithinSeries(normalizedEpisodePath)) {
+      return { success: false, error: 'Invalid path - must be within series directory' };
+    }
+    const metadataPath = path.join(SERIES_DIR, normalizedEpisodePath, 'metadata.yml');
+    if (!(await fileExists(metadataPath))) {
+      return { success: false, error: 'Episode not found' };
+    }
+
+    let dependency: ReleaseDependency | undefined;
+    await updateYamlFile<EpisodeMetadata>(metadataPath, metadata => {
+      const marked = markDependency(metadata.release?.depends_on, dependencyId, { state, marked_by: markedBy });
+      if ('error' in marked) {
+        problem = marked.error;
+        throw new Error(problem);
+      }
+      metadata.release = metadata.release || {};
+      metadata.release.depends_on = marked.dependencies;
+      dependency = marked.dependency;
+    }, 'update_release_dependency');
+
+    return { success: true, dependency };
+  } catch (error) {
+    if (problem) {
+      return { success: false, error: problem };
+    }
+    return {
+      success: false,
+      error: `Failed to update release dependency: ${error instanceof Error ? error.message : String(error)}`
+    };
+  }
+}
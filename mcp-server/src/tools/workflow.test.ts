@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import yaml from 'js-yaml';
+
+// Import the actual utils module type for better type safety
+import type * as UtilsModule from '../utils.js';
+
+// Test directory state
+let testDir: string;
+let seriesDir: string;
+
+/**
+ * Helper to set up the mock for utils module with test directories.
+ */
+async function setupUtilsMock(): Promise<void> {
+  vi.doMock('../utils.js', async () => {
+    const actual = await vi.importActual<typeof UtilsModule>('../utils.js');
+    return {
+      ...actual,
+      SERIES_DIR: seriesDir,
+      BASE_DIR: testDir
+    };
+  });
+}
+
+/**
+ * Helper to import workflow module after mock setup.
+ */
+async function importWorkflowModule() {
+  return await import('./workflow.js');
+}
+
+/**
+ * Create an episode folder with the given metadata.yml content
+ */
+async function createEpisode(series: string, episode: string, content: string): Promise<string> {
+  const episodePath = path.join(seriesDir, series, episode);
+  await fs.mkdir(episodePath, { recursive: true });
+  await fs.writeFile(path.join(episodePath, 'metadata.yml'), content, 'utf8');
+  return path.join(episodePath, 'metadata.yml');
+}
+
+const INTERVIEW_STAGES = `stages:
+  - id: scripted
+  - id: recorded
+series:
+  interviews:
+    - id: guest_confirmed
+      label: Guest Confirmed
+    - id: recorded
+    - id: guest_approved_cut
+  blog-posts: []
+`;
+
+// Setup test directory before each test
+beforeEach(async () => {
+  testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-workflow-test-'));
+  seriesDir = path.join(testDir, 'series');
+  await fs.mkdir(seriesDir, { recursive: true });
+  await setupUtilsMock();
+});
+
+// Cleanup after each test
+afterEach(async () => {
+  vi.resetModules();
+  if (testDir) {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+  testDir = '';
+});
+
+describe('updateWorkflowProgress', () => {
+  it('should use the default stages when the content root has no workflow-stages.yml', async () => {
+    const metadataPath = await createEpisode('show', '2025-01-01-pilot', 'content_status: draft\n');
+
+    const { updateWorkflowProgress } = await importWorkflowModule();
+    const result = await updateWorkflowProgress('show', '2025-01-01-pilot', 'thumbnail_created', true);
+
+    expect(result.success).toBe(true);
+    expect(result.workflow).toEqual({
+      scripted: false,
+      recorded: false,
+      edited: false,
+      thumbnail_created: true,
+      uploaded: false,
+      published: false
+    });
+    expect(yaml.load(await fs.readFile(metadataPath, 'utf8'))).toMatchObject({ workflow: result.workflow });
+  });
+
+  it('should accept the stages of a series override and reject others', async () => {
+    await fs.writeFile(path.join(testDir, 'workflow-stages.yml'), INTERVIEW_STAGES, 'utf8');
+    const metadataPath = await createEpisode('interviews', '2025-01-01-guest', 'content_status: draft\n');
+    await createEpisode('show', '2025-01-01-pilot', 'content_status: draft\n');
+
+    const { updateWorkflowProgress } = await importWorkflowModule();
+    const confirmed = await updateWorkflowProgress('interviews', '2025-01-01-guest', 'guest_confirmed', true);
+    expect(confirmed.success).toBe(true);
+    expect(confirmed.workflow).toEqual({ guest_confirmed: true, recorded: false, guest_approved_cut: false });
+
+    const edited = await updateWorkflowProgress('interviews', '2025-01-01-guest', 'scripted', true);
+    expect(edited.success).toBe(false);
+    expect(edited.error).toBe(
+      "Invalid workflow stage for series 'interviews'. Must be one of: guest_confirmed, recorded, guest_approved_cut"
+    );
+    expect(await fs.readFile(metadataPath, 'utf8')).not.toContain('scripted');
+
+    // Series without an override use the default list from the same file
+    const other = await updateWorkflowProgress('show', '2025-01-01-pilot', 'guest_confirmed', true);
+    expect(other.success).toBe(false);
+    expect(other.error).toContain('Must be one of: scripted, recorded');
+  });
+
+  it('should report series that have no workflow stages', async () => {
+    await fs.writeFile(path.join(testDir, 'workflow-stages.yml'), INTERVIEW_STAGES, 'utf8');
+    await createEpisode('blog-posts', '2025-01-01-post', 'content_status: draft\n');
+
+    const { updateWorkflowProgress } = await importWorkflowModule();
+    const result = await updateWorkflowProgress('blog-posts', '2025-01-01-post', 'scripted', true);
+
+    expect(result).toEqual({
+      success: false,
+      error: "Series 'blog-posts' has no workflow stages (see workflow-stages.yml)"
+    });
+  });
+});
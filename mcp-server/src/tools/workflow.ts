@@ -5,28 +5,19 @@ import {
   SERIES_DIR,
   scanForEpisodes,
   getReleaseQueue,
-  readYamlFile,
-  writeYamlFile
+  fileExists,
+  updateYamlFile
 } from '../utils.js';
+import { getSeriesStages } from '../workflowStages.js';
 import type {
   EpisodeMetadata,
   Episode,
-  PipelineStatus,
-  WorkflowStage,
-  VALID_WORKFLOW_STAGES
+  PipelineStatus
 } from '../types.js';
 
-const WORKFLOW_STAGES: WorkflowStage[] = [
-  'scripted',
-  'recorded',
-  'edited',
-  'thumbnail_created',
-  'uploaded',
-  'published'
-];
-
 /**
  * Update workflow progress (checkboxes) for an episode
+ * Stages come from workflow-stages.yml and may differ per series
  */
 export async function updateWorkflowProgress(
   series: string,
@@ -35,20 +26,23 @@ export async function updateWorkflowProgress(
   complete: boolean
 ): Promise<{ success: boolean; workflow?: Record<string, boolean>; error?: string }> {
   try {
-    // Validate stage
-    if (!WORKFLOW_STAGES.includes(stage as WorkflowStage)) {
-      return {
-        success: false,
-        error: `Invalid workflow stage. Must be one of: ${WORKFLOW_STAGES.join(', ')}`
-      };
-    }
-
     // Validate path parameters
     if (series.includes('..') || series.includes('/') || series.includes('\\') ||
         episode.includes('..') || episode.includes('/') || episode.includes('\\')) {
       return { success: false, error: 'Invalid series or episode name' };
     }
 
+    // Validate stage against the series' checklist
+    const stageIds = (await getSeriesStages(series)).map(s => s.id);
+    if (!stageIds.includes(stage)) {
+      return {
+        success: false,
+        error: stageIds.length > 0
+          ? `Invalid workflow stage for series '${series}'. Must be one of: ${stageIds.join(', ')}`
+          : `Series '${series}' has no workflow stages (see workflow-stages.yml)`
+      };
+    }
+
     const metadataPath = path.join(SERIES_DIR, series, episode, 'metadata.yml');
 
     // Verify path is within series directory
@@ -58,30 +52,18 @@ export async function updateWorkflowProgress(
       return { success: false, error: 'Invalid path detected' };
     }
 
-    // Read existing metadata
-    let metadata: EpisodeMetadata;
-    try {
-      metadata = await readYamlFile<EpisodeMetadata>(metadataPath);
-    } catch {
+    if (!await fileExists(metadataPath)) {
       return { success: false, error: 'Episode not found' };
     }
 
-    // Update workflow
-    if (!metadata.workflow) {
-      metadata.workflow = {
-        scripted: false,
-        recorded: false,
-        edited: false,
-        thumbnail_created: false,
-        uploaded: false,
-        published: false
-      };
-    }
-
-    metadata.workflow[stage as WorkflowStage] = complete;
+    // Update workflow, keeping the file's comments and layout
+    const metadata = await updateYamlFile<EpisodeMetadata>(metadataPath, data => {
+      if (!data.workflow) {
+        data.workflow = Object.fromEntries(stageIds.map(id => [id, false]));
+      }
 
-    // Write updated metadata
-    await writeYamlFile(metadataPath, metadata);
+      data.workflow[stage] = complete;
+    }, 'update_workflow_progress');
 
     return { success: true, workflow: metadata.workflow };
 
@@ -114,6 +96,8 @@ export async function getPipelineStatus(): Promise<{
       ready: [],
       staged: [],
       released: [],
+      archived: [],
+      blocked_episodes: [],
       blocked: releaseQueue.blocked || [],
       total: episodes.length
     };
@@ -128,6 +112,10 @@ export async function getPipelineStatus(): Promise<{
         pipeline.staged.push(episode);
       } else if (status === 'released') {
         pipeline.released.push(episode);
+      } else if (status === 'archived') {
+        pipeline.archived.push(episode);
+      } else if (status === 'blocked') {
+        pipeline.blocked_episodes.push(episode);
       }
     }
 
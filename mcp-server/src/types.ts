@@ -1,7 +1,10 @@
 // Types for the Content Workflow MCP Server
 
+// Keep in sync with schemas/episode-metadata.schema.json (validated in metadataSchema.ts)
 export interface EpisodeMetadata {
-  content_status: 'draft' | 'ready' | 'staged' | 'released';
+  content_status: ContentStatus;
+  // Recorded on every status change (see appendStatusHistory in contentStatus.ts)
+  status_history?: StatusHistoryEntry[];
   title?: string;
   description?: string;
   tags?: string[];
@@ -17,8 +20,12 @@ export interface EpisodeMetadata {
   release?: {
     target_date?: string;
     release_group?: string;
-    depends_on?: string[];
+    // Lines of text or recorded dependencies (see releaseDependencies.ts)
+    depends_on?: Array<string | ReleaseDependency>;
     notes?: string;
+    // Only for content_status: blocked (see applyStatusRules in contentStatus.ts)
+    blocked_by?: string;
+    blocked_since?: string;
   };
   recording?: {
     date?: string;
@@ -30,14 +37,8 @@ export interface EpisodeMetadata {
     name?: string;
     episode_number?: number | null;
   };
-  workflow?: {
-    scripted?: boolean;
-    recorded?: boolean;
-    edited?: boolean;
-    thumbnail_created?: boolean;
-    uploaded?: boolean;
-    published?: boolean;
-  };
+  // Keys are the stage ids from workflow-stages.yml for the episode's series
+  workflow?: Record<string, boolean>;
   analytics?: {
     youtube_id?: string;
     publish_date?: string;
@@ -86,7 +87,7 @@ export interface ReleaseGroup {
     type: string;
     distribution: string;
   }[];
-  dependencies?: string[];
+  dependencies?: Array<string | ReleaseDependency>;
   release_order?: string[];
 }
 
@@ -102,22 +103,105 @@ export interface PipelineStatus {
   ready: Episode[];
   staged: Episode[];
   released: Episode[];
+  archived: Episode[];
+  // Episodes whose content_status is blocked; `blocked` lists the release queue's blocked section
+  blocked_episodes: Episode[];
   blocked: ReleaseQueueItem[];
   total: number;
 }
 
-export type WorkflowStage = 'scripted' | 'recorded' | 'edited' | 'thumbnail_created' | 'uploaded' | 'published';
+/**
+ * A workflow checklist stage from workflow-stages.yml
+ */
+export interface WorkflowStage {
+  id: string;
+  label: string;
+}
 
-export const VALID_WORKFLOW_STAGES: WorkflowStage[] = [
-  'scripted',
-  'recorded',
-  'edited',
-  'thumbnail_created',
-  'uploaded',
-  'published'
-];
+export interface WorkflowStageConfig {
+  stages: WorkflowStage[];
+  series: Record<string, WorkflowStage[]>;
+}
+
+export const VALID_CONTENT_STATUSES = ['draft', 'ready', 'staged', 'blocked', 'released', 'archived'] as const;
+
+export type ContentStatus = typeof VALID_CONTENT_STATUSES[number];
+
+/**
+ * Conditions for moving to a status, from status-transitions.yml
+ */
+export interface TransitionRule {
+  workflow: string[];
+  fields: string[];
+  platform_requirements: boolean;
+}
 
-export const VALID_CONTENT_STATUSES = ['draft', 'ready', 'staged', 'released'] as const;
+/**
+ * How a platform `requires` entry is checked: a metadata field, a file in the
+ * episode folder, or a metadata field naming such a file
+ */
+export type PlatformRequirement = { field: string } | { file: string } | { file_field: string };
+
+export interface StatusTransitionConfig {
+  transitions: Partial<Record<ContentStatus, TransitionRule>>;
+  requirements: Record<string, PlatformRequirement>;
+}
+
+/**
+ * One status change in metadata.yml's status_history
+ */
+export interface StatusHistoryEntry {
+  status: ContentStatus;
+  timestamp: string;
+  source?: 'dashboard' | 'mcp' | 'external' | 'scheduler';
+}
+
+export const DEPENDENCY_TYPES = ['manual', 'episode_released', 'date', 'file_exists'] as const;
+export const DEPENDENCY_STATES = ['pending', 'met', 'waived'] as const;
+
+export type DependencyType = typeof DEPENDENCY_TYPES[number];
+export type DependencyState = typeof DEPENDENCY_STATES[number];
+
+/**
+ * A release dependency as stored in release.depends_on or a release group.
+ * Manual ones are marked by hand; the others are met once the episode is
+ * released, the date has passed or the file exists.
+ */
+export interface ReleaseDependency {
+  id: string;
+  type: DependencyType;
+  description?: string;
+  episode?: string;
+  date?: string;
+  file?: string;
+  state?: DependencyState;
+  marked_by?: string;
+  marked_at?: string;
+}
+
+/**
+ * A dependency with its current state worked out
+ */
+export interface ResolvedDependency extends ReleaseDependency {
+  state: DependencyState;
+  automatic: boolean;
+  satisfied: boolean;
+  label: string;
+  detail: string;
+  met_at?: string | null;
+  // 'episode' or the release group id it comes from (queue items only)
+  from?: string;
+}
+
+/**
+ * A status change forced past unmet conditions, recorded in the episode history
+ */
+export interface StatusOverride {
+  reason: string;
+  from: string;
+  to: string;
+  unmet: string[];
+}
 
 /**
  * Available series template types
@@ -4,17 +4,25 @@ import fs from 'fs/promises';
 import path from 'path';
 import yaml from 'js-yaml';
 import { fileURLToPath } from 'url';
-import type { EpisodeMetadata, Episode, ReleaseQueue, FileInfo } from './types.js';
+import { updateYamlContent } from './yamlRoundTrip.js';
+import { HISTORY_FILE, writeTrackedFile } from './history.js';
+import type { EpisodeMetadata, Episode, ReleaseQueue, FileInfo, StatusOverride } from './types.js';
 
 // Get the directory of this module
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Base paths - resolved relative to mcp-server directory (up one level to project root)
-export const BASE_DIR = path.resolve(__dirname, '../..');
+// Toolkit root - resolved relative to mcp-server directory (up one level to project root)
+export const TOOLKIT_DIR = path.resolve(__dirname, '../..');
+
+// Content root - CONTENT_DIR points at a separate (private) content repository,
+// matching the dashboard; defaults to the toolkit checkout
+export const BASE_DIR = process.env.CONTENT_DIR
+  ? path.resolve(process.env.CONTENT_DIR)
+  : TOOLKIT_DIR;
 export const SERIES_DIR = path.join(BASE_DIR, 'series');
 export const ASSETS_DIR = path.join(BASE_DIR, 'assets');
-export const TEMPLATES_DIR = path.join(BASE_DIR, 'templates');
+export const TEMPLATES_DIR = path.join(TOOLKIT_DIR, 'templates');
 export const RELEASE_QUEUE_PATH = path.join(BASE_DIR, 'release-queue.yml');
 
 // Validation constants
@@ -49,6 +57,28 @@ export async function writeYamlFile(filepath: string, data: unknown): Promise<vo
   await fs.writeFile(filepath, content, 'utf8');
 }
 
+/**
+ * Apply a change to a YAML file, rewriting only the values that changed
+ * (comments, key order, quoting and block scalars are kept).
+ * With `action` (the tool name) the write is recorded in the episode's history,
+ * along with `override` when it forces a status change past its conditions.
+ */
+export async function updateYamlFile<T>(
+  filepath: string,
+  mutate: (data: T) => void,
+  action?: string,
+  override?: StatusOverride
+): Promise<T> {
+  const original = await fs.readFile(filepath, 'utf8');
+  const { content, data } = updateYamlContent<T>(original, mutate);
+  if (action) {
+    await writeTrackedFile(filepath, content, action, original, override);
+  } else if (content !== original) {
+    await fs.writeFile(filepath, content, 'utf8');
+  }
+  return data;
+}
+
 /**
  * Slugify a string for use in file/folder names
  */
@@ -177,10 +207,10 @@ export async function getEpisode(series: string, episode: string): Promise<Episo
     await fs.access(episodePath);
     const metadata = await readYamlFile<EpisodeMetadata>(metadataPath);
 
-    // Get list of files
+    // Get list of files (the revision history file is internal)
     const fileEntries = await fs.readdir(episodePath, { withFileTypes: true });
     const files: FileInfo[] = await Promise.all(
-      fileEntries.map(async (entry) => {
+      fileEntries.filter(entry => entry.name !== HISTORY_FILE).map(async (entry) => {
         const filePath = path.join(episodePath, entry.name);
         const stats = await fs.stat(filePath);
         return {
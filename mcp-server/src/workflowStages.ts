@@ -0,0 +1,90 @@
+// Workflow stage configuration (workflow-stages.yml)
+// Mirrors dashboard/api/workflowStages.js: the content root's file wins, then the
+// toolkit copy, then the built-in stages
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { BASE_DIR, TOOLKIT_DIR } from './utils.js';
+import type { WorkflowStage, WorkflowStageConfig } from './types.js';
+
+export const DEFAULT_WORKFLOW_STAGES: WorkflowStage[] = [
+  { id: 'scripted', label: 'Scripted' },
+  { id: 'recorded', label: 'Recorded' },
+  { id: 'edited', label: 'Edited' },
+  { id: 'thumbnail_created', label: 'Thumbnail Created' },
+  { id: 'uploaded', label: 'Uploaded' },
+  { id: 'published', label: 'Published' }
+];
+
+// Stage ids become keys under `workflow:` in metadata.yml
+const VALID_STAGE_ID_REGEX = /^[a-z][a-z0-9_]*$/;
+const MAX_STAGE_ID_LENGTH = 50;
+const MAX_LABEL_LENGTH = 100;
+
+function labelFromId(id: string): string {
+  return id.split('_').filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Parse a stage list; invalid and duplicate entries are skipped
+ */
+function parseStageList(value: unknown): WorkflowStage[] | null {
+  if (!Array.isArray(value)) return null;
+
+  const stages: WorkflowStage[] = [];
+  for (const entry of value) {
+    const stage = (typeof entry === 'string' ? { id: entry } : entry) as { id?: unknown; label?: unknown } | null;
+    const id = stage?.id;
+    if (typeof id !== 'string' || id.length > MAX_STAGE_ID_LENGTH || !VALID_STAGE_ID_REGEX.test(id)) continue;
+    if (stages.some(existing => existing.id === id)) continue;
+
+    const label = typeof stage?.label === 'string'
+      ? stage.label.replace(/[\x00-\x1F\x7F]/g, '').trim().substring(0, MAX_LABEL_LENGTH)
+      : '';
+    stages.push({ id, label: label || labelFromId(id) });
+  }
+  return stages;
+}
+
+/**
+ * Build the stage configuration from parsed workflow-stages.yml content
+ */
+export function parseWorkflowStages(data: unknown): WorkflowStageConfig {
+  const config: WorkflowStageConfig = { stages: DEFAULT_WORKFLOW_STAGES, series: {} };
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return config;
+
+  const { stages, series } = data as { stages?: unknown; series?: unknown };
+  config.stages = parseStageList(stages) ?? DEFAULT_WORKFLOW_STAGES;
+
+  if (series && typeof series === 'object' && !Array.isArray(series)) {
+    for (const [name, list] of Object.entries(series)) {
+      const seriesStages = parseStageList(list ?? []);
+      if (seriesStages) config.series[name] = seriesStages;
+    }
+  }
+  return config;
+}
+
+/**
+ * Read workflow-stages.yml from the content root, falling back to the toolkit copy
+ */
+export async function readWorkflowStages(): Promise<WorkflowStageConfig> {
+  for (const dir of [BASE_DIR, TOOLKIT_DIR]) {
+    try {
+      const content = await fs.readFile(path.join(dir, 'workflow-stages.yml'), 'utf8');
+      return parseWorkflowStages(yaml.load(content, { schema: yaml.CORE_SCHEMA }));
+    } catch (err: unknown) {
+      if ((err as NodeJS.ErrnoException).code !== 'ENOENT') throw err;
+    }
+  }
+  return parseWorkflowStages(null);
+}
+
+/**
+ * Stages for a series: its override when workflow-stages.yml has one, the defaults otherwise
+ */
+export async function getSeriesStages(series: string): Promise<WorkflowStage[]> {
+  const config = await readWorkflowStages();
+  return Object.hasOwn(config.series, series) ? config.series[series] : config.stages;
+}
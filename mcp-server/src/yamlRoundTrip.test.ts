@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import yaml from 'js-yaml';
+import { updateYamlContent } from './yamlRoundTrip.js';
+
+interface TestMetadata {
+  content_status?: string;
+  tags?: unknown[];
+  description?: string;
+  release?: Record<string, unknown>;
+  workflow?: Record<string, boolean>;
+}
+
+const SOURCE = `# Episode Metadata
+# =============================================================================
+
+# Overall content status
+content_status: draft # draft | ready
+
+release:
+  target_date: ""
+  depends_on: []
+
+description: |
+  Intro line
+
+  More text
+
+tags:
+  - MCP
+  -
+
+workflow:
+  scripted: false
+  recorded: false
+`;
+
+describe('updateYamlContent', () => {
+  it('should change only the edited lines', () => {
+    const { content } = updateYamlContent<TestMetadata>(SOURCE, data => {
+      data.content_status = 'ready';
+      data.workflow!.recorded = true;
+    });
+
+    expect(content).toBe(
+      SOURCE.replace('content_status: draft', 'content_status: ready')
+        .replace('  recorded: false', '  recorded: true')
+    );
+  });
+
+  it('should keep quoting, flow collections and block scalars', () => {
+    const { content } = updateYamlContent<TestMetadata>(SOURCE, data => {
+      data.release!.target_date = '2025-02-01';
+      data.release!.depends_on = ['blog post live'];
+      data.description = 'New intro\n';
+    });
+
+    expect(content).toContain('  target_date: "2025-02-01"\n  depends_on: [blog post live]\n');
+    expect(content).toContain('description: |\n  New intro\n\ntags:');
+    expect((yaml.load(content) as TestMetadata).description).toBe('New intro\n');
+  });
+
+  it('should edit sequences item by item', () => {
+    const { content } = updateYamlContent<TestMetadata>(SOURCE, data => {
+      data.tags = ['MCP', 'AI', 'Testing'];
+    });
+
+    expect(content).toContain('tags:\n  - MCP\n  - AI\n  - Testing\n\nworkflow:');
+  });
+
+  it('should append new keys to their mapping', () => {
+    const { content } = updateYamlContent<TestMetadata>(SOURCE, data => {
+      data.release!.release_group = 'launch';
+    });
+
+    expect(content).toContain('  depends_on: []\n  release_group: launch\n\ndescription:');
+  });
+
+  it('should add keys to a trailing nested mapping before new keys of its parent', () => {
+    const { content } = updateYamlContent<Record<string, any>>('content_status: draft\nrelease:\n  notes: ""\n', data => {
+      data.release.blocked_by = 'Waiting';
+      data.status_history = [{ status: 'blocked', source: 'mcp' }];
+    });
+
+    expect(content).toBe('content_status: draft\nrelease:\n  notes: ""\n  blocked_by: Waiting\n' +
+      'status_history:\n  - status: blocked\n    source: mcp\n');
+  });
+
+  it('should remove keys named like Object prototype properties', () => {
+    const { content } = updateYamlContent<Record<string, unknown>>('constructor: 1\ntoString: 2\nkeep: 3\n', data => {
+      for (const key of ['constructor', 'toString']) delete data[key];
+    });
+
+    expect(content).toBe('keep: 3\n');
+  });
+});
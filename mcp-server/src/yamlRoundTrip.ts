@@ -0,0 +1,231 @@
+// Comment-preserving YAML updates for metadata files
+// Mirrors dashboard/api/yamlRoundTrip.js so both write paths produce the same edits
+
+import { parseDocument, stringify, Document, Scalar, isMap, isSeq, isScalar } from 'yaml';
+import type { Node, YAMLMap, YAMLSeq, Pair, ToStringOptions, CreateNodeOptions, DocumentOptions, SchemaOptions } from 'yaml';
+
+type StringifyOptions = DocumentOptions & SchemaOptions & CreateNodeOptions & ToStringOptions;
+type Range = [number, number, number];
+type PlainObject = Record<string, unknown>;
+
+interface TextEdit {
+  start: number;
+  end: number;
+  text: string;
+}
+
+// Quoting follows YAML 1.1 so strings like dates or "yes" stay strings for js-yaml readers
+const STRINGIFY_OPTIONS: StringifyOptions = { lineWidth: 0, flowCollectionPadding: false, version: '1.1' };
+
+function isPlainObject(value: unknown): value is PlainObject {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a: unknown, b: unknown): boolean {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function rangeOf(node: Node | null | undefined): Range | null {
+  return (node?.range as Range | undefined) ?? null;
+}
+
+/**
+ * Apply non-overlapping edits from the end so earlier offsets stay valid;
+ * insertions at the same offset keep the order they were planned in
+ */
+function applyEdits(source: string, edits: TextEdit[]): string {
+  let result = source;
+  const ordered = edits.map((edit, index) => ({ ...edit, index }));
+  for (const edit of ordered.sort((a, b) => b.start - a.start || b.index - a.index)) {
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+  }
+  return result;
+}
+
+/**
+ * Computes text edits that turn parsed nodes into new values,
+ * touching only the lines whose values changed
+ */
+class EditPlanner {
+  readonly edits: TextEdit[] = [];
+
+  constructor(private readonly source: string) {}
+
+  private lineStart(pos: number): number {
+    return this.source.lastIndexOf('\n', pos - 1) + 1;
+  }
+
+  // Offset just past the newline ending the line that contains the character before `pos`
+  private lineEndAfter(pos: number): number {
+    const from = this.source[pos - 1] === '\n' ? pos - 1 : pos;
+    const newline = this.source.indexOf('\n', from);
+    return newline === -1 ? this.source.length : newline + 1;
+  }
+
+  private column(pos: number): number {
+    return pos - this.lineStart(pos);
+  }
+
+  private indentLines(text: string, indent: number, indentFirst: boolean): string {
+    const pad = ' '.repeat(indent);
+    return text
+      .split('\n')
+      .map((line, i) => (line && (i > 0 || indentFirst) ? pad + line : line))
+      .join('\n');
+  }
+
+  private insertLines(pos: number, text: string): void {
+    const at = this.lineEndAfter(pos);
+    const needsNewline = at === this.source.length && !this.source.endsWith('\n');
+    this.edits.push({ start: at, end: at, text: (needsNewline ? '\n' : '') + text });
+  }
+
+  private removeLines(start: number, end: number): void {
+    this.edits.push({ start: this.lineStart(start), end: this.lineEndAfter(end), text: '' });
+  }
+
+  /**
+   * Render a scalar in the style of the node it replaces (quotes, block literal)
+   */
+  private renderScalar(node: Scalar, range: Range, value: unknown, indent: number): string {
+    const scalar = new Scalar(value);
+    if (typeof value === 'string' && node.type) {
+      scalar.type = node.type;
+    }
+    // Render as a mapping value so block scalars get their content indentation
+    const wrapper = new Document({}, STRINGIFY_OPTIONS);
+    wrapper.set('v', scalar);
+    let text = wrapper.toString(STRINGIFY_OPTIONS).slice('v:'.length).replace(/^ /, '');
+    const isBlock = text.startsWith('|') || text.startsWith('>');
+    // Block scalars own their trailing newline; inline scalars do not
+    if (!(isBlock && this.source[range[1] - 1] === '\n')) {
+      text = text.replace(/\n$/, '');
+    }
+    text = this.indentLines(text, indent, false);
+    // An empty value (`key:`) has no space after the indicator yet
+    const prev = this.source[range[0] - 1];
+    return prev === ' ' || prev === '\n' ? text : ` ${text}`;
+  }
+
+  private renderPair(key: string, value: unknown, indent: number): string {
+    return this.indentLines(stringify({ [key]: value }, STRINGIFY_OPTIONS), indent, true);
+  }
+
+  private renderItem(value: unknown, indent: number): string {
+    return this.indentLines(stringify([value], STRINGIFY_OPTIONS), indent, true);
+  }
+
+  /**
+   * Update a value in place when its shape allows it.
+   * Returns false when the caller must rewrite the enclosing entry.
+   */
+  private updateValue(node: unknown, prev: unknown, next: unknown, indent: number): boolean {
+    if (isEqual(prev, next)) return true;
+    const range = rangeOf(node as Node | null);
+    if (!range) return false;
+
+    if ((isMap(node) || isSeq(node)) && node.flow && (isPlainObject(next) || Array.isArray(next))) {
+      const text = stringify(next, { ...STRINGIFY_OPTIONS, collectionStyle: 'flow' }).replace(/\n$/, '');
+      this.edits.push({ start: range[0], end: range[1], text });
+      return true;
+    }
+    if (isMap(node) && isPlainObject(prev) && isPlainObject(next) && Object.keys(next).length > 0) {
+      this.updateMap(node, prev, next);
+      return true;
+    }
+    if (isSeq(node) && Array.isArray(prev) && Array.isArray(next) && next.length > 0) {
+      this.updateSeq(node, prev, next);
+      return true;
+    }
+    if (isScalar(node) && !(next !== null && typeof next === 'object')) {
+      this.edits.push({ start: range[0], end: range[1], text: this.renderScalar(node, range, next, indent) });
+      return true;
+    }
+    return false;
+  }
+
+  updateMap(node: YAMLMap, prev: PlainObject, next: PlainObject): void {
+    const pairs = node.items as Pair<Scalar, Node | null>[];
+    const indent = this.column(rangeOf(pairs[0].key)![0]);
+    const seen = new Set<string>();
+
+    const valueEnd = (pair: Pair<Scalar, Node | null>): number =>
+      rangeOf(pair.value)?.[1] ?? rangeOf(pair.key)![1];
+
+    for (const pair of pairs) {
+      const key = String(pair.key?.value);
+      const keyStart = rangeOf(pair.key)![0];
+      seen.add(key);
+
+      if (!Object.hasOwn(next, key) || next[key] === undefined) {
+        this.removeLines(keyStart, valueEnd(pair));
+      } else if (!this.updateValue(pair.value, prev[key], next[key], indent)) {
+        // Shape changed (e.g. scalar to map): rewrite this entry only
+        this.edits.push({
+          start: this.lineStart(keyStart),
+          end: this.lineEndAfter(valueEnd(pair)),
+          text: this.renderPair(key, next[key], indent)
+        });
+      }
+    }
+
+    const added = Object.keys(next).filter(key => !seen.has(key) && next[key] !== undefined);
+    if (added.length > 0) {
+      const text = added.map(key => this.renderPair(key, next[key], indent)).join('');
+      this.insertLines(valueEnd(pairs[pairs.length - 1]), text);
+    }
+  }
+
+  private updateSeq(node: YAMLSeq, prev: unknown[], next: unknown[]): void {
+    const indent = this.column(rangeOf(node)![0]);
+    const items = node.items as Node[];
+
+    items.forEach((item, index) => {
+      const range = rangeOf(item)!;
+      if (index >= next.length) {
+        this.removeLines(range[0], range[1]);
+      } else if (!this.updateValue(item, prev[index], next[index], indent)) {
+        this.edits.push({
+          start: this.lineStart(range[0]),
+          end: this.lineEndAfter(range[1]),
+          text: this.renderItem(next[index], indent)
+        });
+      }
+    });
+
+    if (next.length > items.length) {
+      const text = next.slice(items.length).map(value => this.renderItem(value, indent)).join('');
+      this.insertLines(rangeOf(items[items.length - 1])![1], text);
+    }
+  }
+}
+
+/**
+ * Apply a change to YAML text while keeping comments, key order, quoting and
+ * block scalars. Only lines whose values changed are rewritten; new keys are
+ * appended to the end of their mapping.
+ */
+export function updateYamlContent<T>(
+  content: string,
+  mutate: (data: T) => void
+): { content: string; data: T } {
+  const doc = parseDocument(content);
+  if (doc.errors.length > 0) {
+    throw doc.errors[0];
+  }
+
+  const before = (doc.toJS() ?? {}) as PlainObject;
+  const data = (doc.toJS() ?? {}) as T;
+  mutate(data);
+
+  const root = doc.contents;
+  if (!isMap(root) || root.items.length === 0 || !isPlainObject(data)) {
+    // Nothing to preserve: keep leading comments and write the data out
+    const header = content.slice(0, rangeOf(root)?.[0] ?? content.length);
+    return { content: header + stringify(data, STRINGIFY_OPTIONS), data };
+  }
+
+  const planner = new EditPlanner(content);
+  planner.updateMap(root, before, data);
+  return { content: applyEdits(content, planner.edits), data };
+}